@@ -0,0 +1,88 @@
+/**
+ * @file allowlist_mode.js
+ * @description Allowlist mode for deep work: the opposite of the distracting sites list.
+ * While it is on, only pages matching `allowlistPatterns` can be opened and every other
+ * web page goes to the timeout page (see site_blocker.js).
+ *
+ * The mode is on while `allowlistEnabled` is set, from the popup or the settings page, and
+ * during the windows of `allowlistSchedule`. Those windows are schedule rules as in
+ * site_schedule.js, always with `mode: 'block'`. Only http and https pages are ever held
+ * back, so extension pages (the timeout page, the popup, settings) and about: URLs stay
+ * reachable.
+ *
+ * The `allowlistSchedule` alarm fires when a window may start or end, so background.js can
+ * send open tabs to the timeout page as soon as a window begins. Like the other alarms it
+ * is scheduled again whenever the settings change and on startup.
+ */
+
+import { getUrlParts, urlMatchesPattern } from './url_matcher.js';
+import {
+  getActiveScheduleRule,
+  getNextAvailableTime,
+  getNextScheduleChange,
+} from './site_schedule.js';
+
+/** Alarm that fires when an allowlist window may start or end. */
+export const ALLOWLIST_ALARM = 'allowlistSchedule';
+
+const NO_USAGE = { timeSpentSeconds: 0, opens: 0 };
+
+// The windows as a site schedule, so site_schedule.js can evaluate them
+const _asSite = (settings) => ({ schedule: settings.allowlistSchedule || [] });
+
+/**
+ * Tells whether allowlist mode is on and, if a window turned it on, until when.
+ *
+ * @param {Object} settings - The preferences (`allowlistEnabled`, `allowlistSchedule`).
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {{active: boolean, enabled: boolean, scheduled: boolean, endsAt: number|null}}
+ *          Whether it is on, switched on by hand or by a window, and when it goes off by
+ *          itself; `endsAt` is null while it is switched on by hand.
+ */
+export function getAllowlistState(settings, now = Date.now()) {
+  const date = new Date(now);
+  const site = _asSite(settings);
+  const enabled = settings.allowlistEnabled === true;
+  const scheduled = getActiveScheduleRule(site, date) !== null;
+  return {
+    active: enabled || scheduled,
+    enabled,
+    scheduled,
+    endsAt:
+      scheduled && !enabled ? getNextAvailableTime(site, date, NO_USAGE) : null,
+  };
+}
+
+/**
+ * Tells whether allowlist mode lets a URL through: pages other than http and https
+ * always, web pages only if they match one of the patterns.
+ *
+ * @param {string} url - The URL to check.
+ * @param {Array<string>} patterns - The allowed URL patterns.
+ * @returns {boolean}
+ */
+export function isAllowlisted(url, patterns) {
+  const parts = getUrlParts(url);
+  if (!parts) {
+    return true;
+  }
+  return (patterns || []).some((pattern) => urlMatchesPattern(parts, pattern));
+}
+
+/**
+ * Schedules the alarm for the next time an allowlist window may start or end, or clears
+ * it when there are no windows.
+ *
+ * @async
+ * @param {Object} settings - The preferences (`allowlistSchedule`).
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<void>}
+ */
+export async function scheduleAllowlistAlarm(settings, now = Date.now()) {
+  const next = getNextScheduleChange(_asSite(settings), new Date(now));
+  if (next === null) {
+    await browser.alarms.clear(ALLOWLIST_ALARM);
+    return;
+  }
+  await browser.alarms.create(ALLOWLIST_ALARM, { when: next });
+}
@@ -11,29 +11,110 @@
  *
  * Key responsibilities:
  * - Listen to browser.runtime.onInstalled to initialize alarms
+ * - Listen to browser.runtime.onStartup to resume a running focus session and reschedule
+ *   the daily reset, which starts at the configured day-start hour (see clock.js)
+ * - Take the steps of limit reduction plans that are due (see reduction_plan.js)
+ * - Listen to browser.runtime.onSuspend to write buffered usage before the page unloads
  * - Listen to browser.alarms.onAlarm to handle scheduled tasks
  * - Listen to browser.webNavigation.onBeforeNavigate for proactive site blocking
+ * - Send sites with a mindful pause to the pause page first (see mindful_pause.js)
  * - Listen to browser.runtime.onMessage for UI communication
+ * - Listen to browser.idle.onStateChanged to pause usage tracking while the user is away
+ * - Count sites that opted in while they play media or are visible in an unfocused window
  * - Listen to browser.action.onClicked for toolbar interaction
+ * - Listen to browser.storage.onChanged to keep storage.sync in step (when sync is on)
  * - Route events to appropriate modules (daily reset, usage tracking, site blocking, etc.)
  * - Maintain stateless architecture with chrome.storage as single source of truth
  * - [NEW] Immediate cache invalidation and tab re-evaluation on settings changes
  */
 
 import { initializeDailyResetAlarm, performDailyReset } from './daily_reset.js';
-import { handlePotentialRedirect, checkAndBlockSite } from './site_blocker.js';
+import {
+  handlePotentialRedirect,
+  checkAndBlockSite,
+  getPageEnforcement,
+} from './site_blocker.js';
 import {
   startTracking,
   stopTracking,
   updateUsage,
   getCurrentTrackingInfo,
+  pauseTracking,
+  resumeTracking,
+  isTrackingPaused,
+  getBackgroundSessions,
+  syncBackgroundSessions,
+  updateBackgroundUsage,
+  flushUsage,
+  recordOpenTime,
 } from './usage_recorder.js';
+import { selectBackgroundSessions } from './background_tracking.js';
+import { initializeClock, getTodayKey, hasTimezoneChanged } from './clock.js';
+import {
+  SESSION_END_REASONS,
+  getSessionLogEntries,
+  deriveDailyTotals,
+} from './session_log.js';
+import {
+  hasPeriodBudget,
+  getPeriodUsage,
+  describePeriodBudgets,
+} from './period_budget.js';
+import { getBankedTime } from './rollover_bank.js';
+import { checkLimitWarnings } from './limit_warnings.js';
+import {
+  REDUCTION_PLAN_ALARM,
+  getReductionPlans,
+  getReductionLog,
+  getRevertibleEntryIds,
+  describeReductionPlan,
+  startReductionPlan,
+  setReductionPlanPaused,
+  deleteReductionPlan,
+  revertReductionStep,
+  applyReductionPlans,
+  scheduleReductionAlarm,
+  PLAN_STATUS,
+} from './reduction_plan.js';
+import {
+  STRICT_MODE_ALARM,
+  PENDING_CHANGE_TARGETS,
+  splitSiteUpdates,
+  findLoosenedSites,
+  splitGroupUpdates,
+  splitSettingsUpdates,
+  getStrictModeDelayEnd,
+  getPendingChanges,
+  queuePendingChange,
+  cancelPendingChange,
+  discardPendingChanges,
+  takeDuePendingChanges,
+} from './strict_mode.js';
+import {
+  ALLOWLIST_ALARM,
+  getAllowlistState,
+  scheduleAllowlistAlarm,
+} from './allowlist_mode.js';
+import {
+  getPinStatus,
+  setPin,
+  removePin,
+  lockPin,
+  authorizeChange,
+} from './pin_lock.js';
 import {
   checkIfUrlIsDistracting,
+  hasTitleRules,
+  hasBackgroundSites,
+  getCachedDistractingSites,
   initializeDistractionDetector,
   loadDistractingSitesFromStorage,
 } from './distraction_detector.js';
 import { updateBadge } from './badge_manager.js';
+import {
+  handleOverlayConnect,
+  pushOverlayUpdates,
+} from './overlay_manager.js';
 
 // Storage module imports for message handling
 import {
@@ -42,17 +123,82 @@ import {
   updateDistractingSite,
   deleteDistractingSite,
 } from './site_storage.js';
+import {
+  getSiteGroups,
+  addSiteGroup,
+  updateSiteGroup,
+  deleteSiteGroup,
+} from './group_storage.js';
 import {
   getTimeoutNotes,
   addTimeoutNote,
   updateTimeoutNote,
   deleteTimeoutNote,
 } from './note_storage.js';
+import { getAppSettings, updateAppSettings } from './settings_storage.js';
+import { getUsageStatistics } from './usage_history.js';
+import {
+  createBackup,
+  createUsageCsv,
+  previewImport,
+  importBackup,
+  IMPORT_MODES,
+} from './config_backup.js';
+import {
+  runSync,
+  reportDeviceUsage,
+  handleSyncSettingsChanged,
+  handleSyncStorageChange,
+  getSyncStatus,
+} from './sync_manager.js';
+import {
+  getOverrideOptions,
+  requestOverride,
+  getOverrideLog,
+} from './override_manager.js';
+import {
+  needsMindfulPause,
+  startMindfulPause,
+  continueAfterPause,
+  getMindfulPauseUrl,
+  getMindfulPauseInfo,
+  forgetMindfulPause,
+} from './mindful_pause.js';
+import {
+  FOCUS_PHASE_ALARM,
+  FOCUS_TICK_ALARM,
+  getFocusSession,
+  getFocusHistory,
+  describeFocusSession,
+  startFocusSession,
+  stopFocusSession,
+  handleFocusPhaseEnd,
+  resumeFocusSession,
+} from './focus_session.js';
+import {
+  configureIdleDetection,
+  getIdleState,
+  getMediaPlayingTabs,
+  setTabMediaPlaying,
+  clearMediaPlayback,
+  shouldPauseTracking,
+} from './idle_monitor.js';
 
 // Enhanced validation and error handling utilities
 import {
   categorizeError,
   validateRequiredFields,
+  validateUrlPattern,
+  validateExcludedPatterns,
+  validateSchedule,
+  validatePeriodBudgets,
+  validateRolloverPolicy,
+  validateReductionPlan,
+  validateWarningThresholds,
+  validateEnforcementSteps,
+  validateSiteGroup,
+  validateAppSettings,
+  validatePin,
   ERROR_TYPES,
 } from './validation_utils.js';
 
@@ -74,11 +220,88 @@ async function handleInstalled(details) {
     // Initialize the distraction detector
     await initializeDistractionDetector();
     console.log('[Background] Distraction detector initialized successfully');
+
+    // Pick up a focus session that was running before the update
+    await resumeFocusSession();
+
+    // Take plan steps that fell due while the extension was off
+    await _applyReductionPlans();
+
+    // Put changes held back by strict mode that fell due in the meantime into effect
+    await _applyDuePendingChanges();
+
+    const appSettings = await getAppSettings();
+    await configureIdleDetection(appSettings);
+    await scheduleAllowlistAlarm(appSettings);
+
+    // Catch up with changes made on other devices while this one was off
+    if (appSettings.syncEnabled) {
+      const syncResult = await runSync();
+      if (syncResult.applied) {
+        await _handleSyncApplied();
+      }
+    }
   } catch (error) {
     console.error('[Background] Error during initialization:', error);
   }
 }
 
+/**
+ * Handles browser startup.
+ * Alarms do not outlive the browser, so a focus session that was running when it
+ * closed gets its alarms back (or is finished if it ran out in the meantime).
+ */
+async function handleStartup() {
+  console.log('[Background] Browser started');
+
+  try {
+    // Tab IDs from the last run mean nothing now
+    await clearMediaPlayback();
+  } catch (error) {
+    console.error('[Background] Error clearing media playback:', error);
+  }
+
+  try {
+    await configureIdleDetection(await getAppSettings());
+  } catch (error) {
+    console.error('[Background] Error configuring idle detection:', error);
+  }
+
+  try {
+    await initializeDailyResetAlarm();
+  } catch (error) {
+    console.error('[Background] Error scheduling the daily reset:', error);
+  }
+
+  try {
+    await scheduleAllowlistAlarm(await getAppSettings());
+  } catch (error) {
+    console.error('[Background] Error scheduling allowlist mode:', error);
+  }
+
+  try {
+    const session = await resumeFocusSession();
+    if (session) {
+      console.log('[Background] Resumed focus session:', session.id);
+      await _refreshCurrentTabBadge();
+    }
+  } catch (error) {
+    console.error('[Background] Error resuming focus session:', error);
+  }
+
+  await _applyReductionPlans();
+  await _applyDuePendingChanges();
+}
+
+/**
+ * Handles the background script being suspended.
+ * Usage is buffered in memory between writes, so it is written out before it is lost.
+ */
+async function handleSuspend() {
+  console.log('[Background] Suspending, writing buffered usage');
+  await flushUsage();
+}
+
 /**
  * Handles alarm events from the browser.alarms API.
  * Routes different alarm types to their appropriate handlers.
@@ -88,23 +311,38 @@ async function handleInstalled(details) {
  * @param {number} alarm.scheduledTime - When the alarm was scheduled to fire
  */
 async function handleAlarm(alarm) {
-  console.log(
-    `[Background] Alarm "${alarm.name}" triggered at ${new Date(alarm.scheduledTime).toISOString()}`
-  );
+  // The usage timer fires every 2 seconds, logging it would drown everything else
+  if (alarm.name !== 'usageTimer') {
+    console.log(
+      `[Background] Alarm "${alarm.name}" triggered at ${new Date(alarm.scheduledTime).toISOString()}`
+    );
+  }
 
   try {
     switch (alarm.name) {
       case 'dailyResetAlarm':
+        // The alarm fires once, schedule the next day start first
+        await initializeDailyResetAlarm();
         await performDailyReset();
         console.log('[Background] Daily reset completed successfully');
+        await _refreshCurrentTabBadge();
+        await pushOverlayUpdates();
         break;
 
       case 'usageTimer': {
-        // Update usage for currently tracked site
+        await _rescheduleDailyResetIfClockMoved();
+
+        // Stop counting if the user walked away (or start again if they're back)
+        await _applyIdleState();
+
+        // Tabs counted in the background (audio, picture-in-picture, other windows)
+        await _updateBackgroundTracking();
+
+        // Update usage for currently tracked site (buffered, written every 30 seconds)
         const totalTimeSeconds = await updateUsage();
-        console.log(
-          `[Background] Usage updated via alarm. Total time: ${totalTimeSeconds}s`
-        );
+
+        // Share today's usage with other devices (throttled, only if enabled)
+        await reportDeviceUsage();
 
         // Update badge for current tracking info and broadcast usage update
         try {
@@ -114,9 +352,6 @@ async function handleAlarm(alarm) {
             trackingInfo.tabId &&
             trackingInfo.siteId
           ) {
-            console.log(
-              `[Background] Updating badge for tracked tab ${trackingInfo.tabId} after usage update`
-            );
             await updateBadge(trackingInfo.tabId);
 
             // QA FIX: Check if current site should be blocked due to time limit being exceeded
@@ -128,20 +363,19 @@ async function handleAlarm(alarm) {
                 tab.url &&
                 !tab.url.includes('ui/timeout/timeout.html')
               ) {
-                console.log(
-                  `[Background] Checking if current site should be blocked after usage update`
-                );
+                // This visit was counted as an open when tracking started
                 const wasRedirected = await handlePotentialRedirect(
                   trackingInfo.tabId,
-                  tab.url
+                  tab.url,
+                  { visitCounted: true, title: tab.title }
                 );
                 if (wasRedirected) {
                   console.log(
                     `[Background] Automatically redirected tab ${trackingInfo.tabId} to timeout page due to time limit`
                   );
                   // Stop tracking since we're redirecting to timeout page
-                  await stopTracking();
-                  await browser.alarms.clear('usageTimer');
+                  await stopTracking(SESSION_END_REASONS.BLOCKED);
+                  await _stopUsageTimer();
                   return; // Exit early since we redirected
                 }
               }
@@ -153,16 +387,18 @@ async function handleAlarm(alarm) {
               // Continue with normal flow if redirect check fails
             }
 
+            // Warn before the limit is reached
+            await _checkLimitWarnings(trackingInfo.siteId);
+
+            // Keep the countdown overlays of the site's pages in step
+            await pushOverlayUpdates();
+
             // Broadcast usage update to UI components
             await broadcastToUIComponents('usageUpdated', {
               siteId: trackingInfo.siteId,
               totalTimeSeconds: totalTimeSeconds,
               tabId: trackingInfo.tabId,
             });
-          } else {
-            console.log(
-              `[Background] No active tracking found during alarm, skipping badge update`
-            );
           }
         } catch (error) {
           console.warn(
@@ -174,6 +410,41 @@ async function handleAlarm(alarm) {
         break;
       }
 
+      case FOCUS_PHASE_ALARM: {
+        const { session, entry } = await handleFocusPhaseEnd();
+        console.log(
+          `[Background] Focus session phase ended.`,
+          session ? 'Session continues.' : 'Session finished.'
+        );
+        if (session) {
+          // A new focus period blocks the session's sites again
+          await _enforceOpenTabs();
+        } else {
+          await _refreshCurrentTabBadge();
+        }
+        await broadcastToUIComponents('focusSessionUpdated', {
+          session: describeFocusSession(session, Date.now()),
+          entry,
+        });
+        break;
+      }
+
+      case FOCUS_TICK_ALARM:
+        await _refreshCurrentTabBadge();
+        break;
+
+      case REDUCTION_PLAN_ALARM:
+        await _applyReductionPlans();
+        break;
+
+      case STRICT_MODE_ALARM:
+        await _applyDuePendingChanges();
+        break;
+
+      case ALLOWLIST_ALARM:
+        await _handleAllowlistChanged();
+        break;
+
       default:
         console.warn(`[Background] Unknown alarm: ${alarm.name}`);
         break;
@@ -186,6 +457,7 @@ async function handleAlarm(alarm) {
 /**
  * Handles navigation events before the navigation occurs.
  * This enables proactive site blocking before the page loads.
+ * Sites that are not blocked but have a mindful pause go to the pause page instead.
  * Only processes main frame navigations to avoid blocking iframes, ads, etc.
  * FIXED: Now properly updates usage before checking blocking to ensure accurate limit enforcement.
  *
@@ -215,24 +487,33 @@ async function handleBeforeNavigate(details) {
     // CRITICAL FIX: Update any active tracking before checking blocking
     // This ensures we have the most current usage data for limit checks
     const currentTrackingInfo = await getCurrentTrackingInfo();
-    if (currentTrackingInfo.isTracking && currentTrackingInfo.tabId === tabId) {
+    const isTrackedTab =
+      currentTrackingInfo.isTracking && currentTrackingInfo.tabId === tabId;
+    if (isTrackedTab) {
       console.log(
         `[Background] Updating usage for current tracking before navigation blocking check`
       );
       await updateUsage();
     }
 
+    // Navigating within the tracked site continues a visit that was already counted
+    const visitCounted =
+      isTrackedTab &&
+      checkIfUrlIsDistracting(url).siteId === currentTrackingInfo.siteId;
+
     // Check if the site should be blocked and redirect if necessary
-    const wasRedirected = await handlePotentialRedirect(tabId, url);
+    const wasRedirected = await handlePotentialRedirect(tabId, url, {
+      visitCounted,
+    });
 
     if (wasRedirected) {
       console.log(
         `[Background] Successfully blocked navigation to ${url} in tab ${tabId}`
       );
       // Stop any current tracking since we're redirecting to timeout page
-      await stopTracking();
+      await stopTracking(SESSION_END_REASONS.BLOCKED);
       try {
-        await browser.alarms.clear('usageTimer');
+        await _stopUsageTimer();
         console.log('[Background] Cleared usage timer after blocking redirect');
       } catch (error) {
         console.warn(
@@ -240,6 +521,14 @@ async function handleBeforeNavigate(details) {
           error
         );
       }
+    } else if (await _checkMindfulPause(tabId, url, visitCounted)) {
+      console.log(`[Background] Paused navigation to ${url} in tab ${tabId}`);
+    } else if (!visitCounted) {
+      // A new visit starts the cooldown between opens, switching tabs doesn't
+      const { siteId } = checkIfUrlIsDistracting(url);
+      if (siteId) {
+        recordOpenTime(siteId);
+      }
     }
   } catch (error) {
     console.error(
@@ -263,7 +552,7 @@ async function handleTabActivated(activeInfo) {
   try {
     // Get the tab details
     const tab = await browser.tabs.get(tabId);
-    await handleTabActivity(tabId, tab.url, true);
+    await handleTabActivity(tabId, tab.url, true, tab.title);
 
     // Update badge for the newly activated tab
     try {
@@ -280,18 +569,30 @@ async function handleTabActivated(activeInfo) {
       error
     );
   }
+
+  // The previously active tab may keep counting in the background
+  await _syncBackgroundTracking();
 }
 
 /**
  * Handles tab update events.
  * Monitors URL changes in the currently tracked tab or starts tracking new distracting sites.
+ * While there are title rules, a new tab title is checked like a navigation, as the page
+ * may only now match one (or stop matching it).
  * @param {number} tabId - The ID of the updated tab
  * @param {Object} changeInfo - What changed about the tab
  * @param {Object} tab - The updated tab object
  */
 async function handleTabUpdated(tabId, changeInfo, tab) {
-  // Only respond to URL changes or page load completion
-  if (!changeInfo.url && changeInfo.status !== 'complete') {
+  // A tab that starts or stops playing sound may count in the background
+  if ('audible' in changeInfo) {
+    await _syncBackgroundTracking();
+  }
+
+  const titleChanged = 'title' in changeInfo && hasTitleRules();
+
+  // Only respond to URL changes, page load completion or titles that rules look at
+  if (!changeInfo.url && changeInfo.status !== 'complete' && !titleChanged) {
     return;
   }
 
@@ -315,7 +616,15 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
     const isWindowFocused = currentWindow && currentWindow.focused;
 
     const shouldTrack = isActiveTab && isWindowFocused;
-    await handleTabActivity(tabId, newUrl, shouldTrack);
+
+    if (titleChanged && (await _checkTitleBlock(tabId, newUrl, tab.title))) {
+      return;
+    }
+    // A new title in a tab in the back changes nothing about what is tracked
+    if (!changeInfo.url && changeInfo.status !== 'complete' && !isActiveTab) {
+      return;
+    }
+    await handleTabActivity(tabId, newUrl, shouldTrack, tab.title);
 
     // Update badge when navigation is complete for active tab
     if (isActiveTab && changeInfo.status === 'complete') {
@@ -334,6 +643,20 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
       error
     );
   }
+
+  // A tab that left the site, or whose title no longer matches, stops counting in the background
+  if (changeInfo.url || titleChanged) {
+    await _syncBackgroundTracking();
+  }
+}
+
+/**
+ * Handles tab removal events.
+ * Forgets the tab's mindful pause, as tab IDs can be reused.
+ * @param {number} tabId - The ID of the closed tab
+ */
+function handleTabRemoved(tabId) {
+  forgetMindfulPause(tabId);
 }
 
 /**
@@ -346,7 +669,7 @@ async function handleWindowFocusChanged(windowId) {
   try {
     if (windowId === browser.windows.WINDOW_ID_NONE) {
       // No window focused, stop tracking
-      await stopTracking();
+      await stopTracking(SESSION_END_REASONS.FOCUS_LOST);
       console.log('[Background] Stopped tracking due to window focus loss');
     } else {
       // Window focused, check if we should resume tracking
@@ -355,12 +678,32 @@ async function handleWindowFocusChanged(windowId) {
         windowId: windowId,
       });
       if (activeTab && activeTab.url) {
-        await handleTabActivity(activeTab.id, activeTab.url, true);
+        await handleTabActivity(
+          activeTab.id,
+          activeTab.url,
+          true,
+          activeTab.title
+        );
       }
     }
   } catch (error) {
     console.error('[Background] Error handling window focus change:', error);
   }
+
+  await _syncBackgroundTracking();
+}
+
+/**
+ * Handles idle state changes from browser.idle.
+ * Pauses usage tracking when the user goes idle or locks the screen, and resumes it
+ * when they are back. A tab playing media keeps counting while the user is idle.
+ * @param {string} newState - 'active', 'idle' or 'locked'
+ */
+async function handleIdleStateChanged(newState) {
+  console.log(`[Background] Idle state changed: ${newState}`);
+  await _rescheduleDailyResetIfClockMoved();
+  await _applyIdleState(newState);
+  await _syncBackgroundTracking();
 }
 
 /**
@@ -369,8 +712,9 @@ async function handleWindowFocusChanged(windowId) {
  * @param {number} tabId - The tab ID
  * @param {string} url - The tab URL
  * @param {boolean} shouldTrack - Whether tracking should be active
+ * @param {string} [title] - The tab title, for title rules
  */
-async function handleTabActivity(tabId, url, shouldTrack) {
+async function handleTabActivity(tabId, url, shouldTrack, title) {
   console.log(
     `[Background] handleTabActivity: tab=${tabId}, url=${url}, shouldTrack=${shouldTrack}`
   );
@@ -387,7 +731,7 @@ async function handleTabActivity(tabId, url, shouldTrack) {
     }
 
     // Check if URL is a distracting site
-    const distractionCheck = checkIfUrlIsDistracting(url);
+    const distractionCheck = checkIfUrlIsDistracting(url, title);
     const { isMatch, siteId } = distractionCheck;
 
     console.log(`[Background] Distraction check result:`, {
@@ -401,10 +745,15 @@ async function handleTabActivity(tabId, url, shouldTrack) {
       console.log(
         '[Background] Stopping tracking (not shouldTrack or not distracting site)'
       );
-      await stopTracking();
+      const trackingInfo = await getCurrentTrackingInfo();
+      await stopTracking(
+        trackingInfo.tabId === tabId
+          ? SESSION_END_REASONS.NAVIGATION
+          : SESSION_END_REASONS.TAB_SWITCH
+      );
       // Clear any existing usage timer
       try {
-        await browser.alarms.clear('usageTimer');
+        await _stopUsageTimer();
         console.log('[Background] Cleared usage timer alarm');
       } catch (error) {
         console.warn('[Background] Error clearing usage timer:', error);
@@ -447,7 +796,7 @@ async function handleTabActivity(tabId, url, shouldTrack) {
     }
 
     // Start tracking for this site and tab
-    const trackingStarted = await startTracking(tabId, siteId);
+    const trackingStarted = await startTracking(tabId, siteId, url);
     console.log(`[Background] Tracking started: ${trackingStarted}`);
 
     if (trackingStarted) {
@@ -488,16 +837,17 @@ async function handleTabActivity(tabId, url, shouldTrack) {
  * @param {Object} message - The message object sent from UI
  * @param {string} message.action - The action to perform
  * @param {Object} [message.payload] - Data associated with the action
- * @param {Object} _sender - Information about the message sender
+ * @param {Object} sender - Information about the message sender
  * @param {Function} _sendResponse - Function to send response back
  * @returns {Promise<any>|boolean} Response data or boolean indicating async response
  */
-async function handleMessage(message, _sender, _sendResponse) {
-  console.log(
-    '[Background] Received message:',
-    message.action,
-    message.payload
-  );
+async function handleMessage(message, sender, _sendResponse) {
+  // A new PIN (setPin) travels in the payload and must not end up in the console
+  const loggedPayload =
+    message.payload && message.payload.pin !== undefined
+      ? { ...message.payload, pin: '[hidden]' }
+      : message.payload;
+  console.log('[Background] Received message:', message.action, loggedPayload);
 
   // Validate basic message structure
   if (!message || typeof message !== 'object') {
@@ -530,203 +880,177 @@ async function handleMessage(message, _sender, _sendResponse) {
     switch (message.action) {
       // === Settings API ===
       case 'getAllSettings': {
-        const [distractingSites, timeoutNotes] = await Promise.all([
-          getDistractingSites(),
-          getTimeoutNotes(),
-        ]);
+        const [distractingSites, timeoutNotes, siteGroups, appSettings] =
+          await Promise.all([
+            getDistractingSites(),
+            getTimeoutNotes(),
+            getSiteGroups(),
+            getAppSettings(),
+          ]);
         return {
           success: true,
-          data: { distractingSites, timeoutNotes },
+          data: { distractingSites, timeoutNotes, siteGroups, appSettings },
           error: null,
         };
       }
 
-      // === Distracting Sites Management ===
-      case 'addDistractingSite': {
-        const validation = validateRequiredFields(message.payload, [
-          'urlPattern',
-          'dailyLimitSeconds',
-        ]);
-        if (!validation.isValid) {
+      case 'updateAppSettings': {
+        const settingsValidation = validateAppSettings(message.payload);
+        if (!settingsValidation.isValid) {
           return {
             success: false,
             error: {
-              message: validation.error,
+              message: settingsValidation.error,
               type: ERROR_TYPES.VALIDATION,
               isRetryable: false,
-              field: validation.missingField,
+              field: settingsValidation.field,
             },
           };
         }
 
-        const newSite = await addDistractingSite(message.payload);
-        if (!newSite) {
+        // With a PIN set, weakening strict mode or making overrides easier needs it;
+        // while strict mode is on, it waits
+        const currentSettings = await getAppSettings();
+        const pinError = await _requirePinToLoosen(
+          message,
+          currentSettings,
+          settingsValidation.sanitizedSettings,
+          splitSettingsUpdates
+        );
+        if (pinError) {
+          return pinError;
+        }
+
+        const strict = await _holdBackLoosening(
+          {
+            target: PENDING_CHANGE_TARGETS.SETTINGS,
+            targetId: 'appSettings',
+            targetName: 'Settings',
+          },
+          currentSettings,
+          settingsValidation.sanitizedSettings,
+          splitSettingsUpdates
+        );
+        if (strict.errorResponse) {
+          return strict.errorResponse;
+        }
+        if (Object.keys(strict.immediate).length === 0) {
+          return {
+            success: true,
+            data: currentSettings,
+            pendingChange: strict.pendingChange,
+            error: null,
+          };
+        }
+
+        const updatedSettings = await _applyAppSettings(strict.immediate);
+        if (!updatedSettings) {
           return {
             success: false,
             error: {
-              message:
-                'Failed to add site. Please check the URL format and try again.',
+              message: 'Failed to save settings. Please try again.',
               type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
           };
         }
 
-        // Reload distraction detector cache when sites change
-        await _reloadDistractionDetectorCache();
-
-        // Refresh badge for current tab since limits may have changed
-        await _refreshCurrentTabBadge();
-
-        // QA FIX: Re-evaluate ALL tabs for new site blocking status
-        // A newly added site might now block currently open tabs
-        try {
-          await _reEvaluateAllTabsForSite(newSite, 'add');
-        } catch (error) {
-          console.warn(
-            '[Background] Error re-evaluating all tabs after site addition:',
-            error
-          );
-          // Don't fail the operation if re-evaluation fails
-        }
-
-        // Broadcast the update to all UI components
-        await broadcastToUIComponents('siteAdded', { site: newSite });
-
         return {
           success: true,
-          data: newSite,
+          data: updatedSettings,
+          pendingChange: strict.pendingChange,
           error: null,
         };
       }
 
-      case 'updateDistractingSite': {
-        const validation = validateRequiredFields(message.payload, [
-          'id',
-          'updates',
-        ]);
-        if (!validation.isValid) {
+      // === Sync API ===
+      case 'getSyncStatus': {
+        const status = await getSyncStatus();
+        if (!status) {
           return {
             success: false,
             error: {
-              message: validation.error,
-              type: ERROR_TYPES.VALIDATION,
-              isRetryable: false,
-              field: validation.missingField,
+              message: 'Failed to read sync status. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
             },
           };
         }
+        return {
+          success: true,
+          data: status,
+          error: null,
+        };
+      }
 
-        const updatedSite = await updateDistractingSite(
-          message.payload.id,
-          message.payload.updates
-        );
-        if (!updatedSite) {
+      case 'syncNow': {
+        const syncResult = await runSync();
+        if (syncResult.applied) {
+          await _handleSyncApplied();
+        }
+        if (!syncResult.success) {
           return {
             success: false,
             error: {
-              message:
-                'Failed to update site. Site may not exist or update data is invalid.',
+              message: syncResult.error,
               type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
           };
         }
-
-        await _reloadDistractionDetectorCache();
-
-        // Refresh badge for current tab since limits may have changed
-        await _refreshCurrentTabBadge();
-
-        // Broadcast the update to all UI components
-        await broadcastToUIComponents('siteUpdated', {
-          site: updatedSite,
-          updates: message.payload.updates,
-        });
-
-        // QA FIX: Re-evaluate ALL tabs for blocking status immediately after limit update
-        // This ensures users can access sites immediately after updating limits in any tab
-        try {
-          await _reEvaluateAllTabsForSite(updatedSite, 'update');
-        } catch (error) {
-          console.warn(
-            '[Background] Error re-evaluating all tabs after limit update:',
-            error
-          );
-          // Don't fail the whole operation if re-evaluation fails
-        }
-
+        await reportDeviceUsage({ force: true });
         return {
           success: true,
-          data: updatedSite,
+          data: await getSyncStatus(),
           error: null,
         };
       }
 
-      case 'deleteDistractingSite': {
-        const validation = validateRequiredFields(message.payload, ['id']);
-        if (!validation.isValid) {
+      // === Backup & Restore API ===
+      case 'exportConfiguration': {
+        const backup = await createBackup();
+        if (!backup) {
           return {
             success: false,
             error: {
-              message: validation.error,
-              type: ERROR_TYPES.VALIDATION,
-              isRetryable: false,
-              field: validation.missingField,
+              message: 'Failed to create backup. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
             },
           };
         }
+        return {
+          success: true,
+          data: backup,
+          error: null,
+        };
+      }
 
-        const deleteResult = await deleteDistractingSite(message.payload.id);
-        if (!deleteResult) {
+      case 'exportUsageCsv': {
+        const csv = await createUsageCsv();
+        if (csv === null) {
           return {
             success: false,
             error: {
-              message: 'Failed to delete site. Site may not exist.',
+              message: 'Failed to export usage data. Please try again.',
               type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
           };
         }
-
-        await _reloadDistractionDetectorCache();
-
-        // Refresh badge for current tab since the site may have been removed
-        await _refreshCurrentTabBadge();
-
-        // QA FIX: Re-evaluate ALL tabs for blocking status immediately after site deletion
-        // This ensures users can access sites immediately after removing limits from any tab
-        try {
-          // Use the deleted site's data for re-evaluation (pass the site that was just deleted)
-          const deletedSiteData = { 
-            id: message.payload.id, 
-            urlPattern: '*', // We don't have the pattern anymore, so check all tabs
-            isEnabled: false // Deleted sites are effectively disabled
-          };
-          await _reEvaluateAllTabsForSite(deletedSiteData, 'delete');
-        } catch (error) {
-          console.warn(
-            '[Background] Error re-evaluating all tabs after site deletion:',
-            error
-          );
-          // Don't fail the whole operation if re-evaluation fails
-        }
-
-        // Broadcast the update to all UI components
-        await broadcastToUIComponents('siteDeleted', {
-          siteId: message.payload.id,
-        });
-
         return {
           success: true,
-          data: { deleted: true, id: message.payload.id },
+          data: { csv },
           error: null,
         };
       }
 
-      // === Timeout Notes Management ===
-      case 'addTimeoutNote': {
-        const validation = validateRequiredFields(message.payload, ['text']);
+      case 'previewImport':
+      case 'importConfiguration': {
+        const validation = validateRequiredFields(message.payload, [
+          'backup',
+          'mode',
+        ]);
         if (!validation.isValid) {
           return {
             success: false,
@@ -738,28 +1062,242 @@ async function handleMessage(message, _sender, _sendResponse) {
             },
           };
         }
-
-        const newNote = await addTimeoutNote(message.payload);
-        if (!newNote) {
+        if (!IMPORT_MODES.includes(message.payload.mode)) {
           return {
             success: false,
             error: {
-              message:
-                'Failed to add note. Please check the note text and try again.',
-              type: ERROR_TYPES.STORAGE,
-              isRetryable: true,
+              message: `Import mode must be one of: ${IMPORT_MODES.join(', ')}`,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: 'mode',
             },
           };
         }
 
-        return {
-          success: true,
-          data: newNote,
+        const isPreview = message.action === 'previewImport';
+        if (!isPreview) {
+          const pinError = await _requirePin(message);
+          if (pinError) {
+            return pinError;
+          }
+        }
+        // An import replaces rules wholesale, it can't be held back field by field
+        if (!isPreview && (await getAppSettings()).strictModeEnabled) {
+          return {
+            success: false,
+            error: {
+              message:
+                'Importing could loosen your rules at once, so it is turned off in strict mode.',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        const { backup, mode } = message.payload;
+        const outcome = isPreview
+          ? await previewImport(backup, mode)
+          : await importBackup(backup, mode);
+
+        if (!outcome) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to read or write settings. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+        if (!outcome.isValid) {
+          return {
+            success: false,
+            error: {
+              message: outcome.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: 'backup',
+            },
+          };
+        }
+
+        if (!isPreview) {
+          await _reloadDistractionDetectorCache();
+          await _refreshCurrentTabBadge();
+          await broadcastToUIComponents('configurationImported', {
+            diff: outcome.diff,
+          });
+
+          // Any site may have been added, changed or removed
+          try {
+            await _reEvaluateAllTabsForSite({}, 'update');
+          } catch (error) {
+            console.warn(
+              '[Background] Error re-evaluating all tabs after import:',
+              error
+            );
+          }
+          await _handleAllowlistChanged();
+        }
+
+        return {
+          success: true,
+          data: outcome.diff,
           error: null,
         };
       }
 
-      case 'updateTimeoutNote': {
+      // === Statistics API ===
+      case 'getUsageStatistics': {
+        // The statistics read the history straight from storage, buffered usage included
+        await flushUsage();
+        const statistics = await getUsageStatistics();
+        if (!statistics) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to load usage statistics. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+        return {
+          success: true,
+          data: statistics,
+          error: null,
+        };
+      }
+
+      // === Session Log API ===
+      case 'getSessionLog': {
+        const queryError = _validateSessionLogQuery(message.payload || {});
+        if (queryError) {
+          return queryError;
+        }
+
+        // Running sessions are written to the log before it is read
+        await flushUsage();
+        const { day, siteId, limit } = message.payload || {};
+        const entries = await getSessionLogEntries({ day, siteId, limit });
+        return {
+          success: true,
+          data: entries,
+          error: null,
+        };
+      }
+
+      case 'getSessionLogTotals': {
+        const validation = validateRequiredFields(message.payload, ['day']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+        const queryError = _validateSessionLogQuery(message.payload);
+        if (queryError) {
+          return queryError;
+        }
+
+        await flushUsage();
+        const entries = await getSessionLogEntries({
+          day: message.payload.day,
+        });
+        return {
+          success: true,
+          data: deriveDailyTotals(entries),
+          error: null,
+        };
+      }
+
+      // === Distracting Sites Management ===
+      case 'addDistractingSite': {
+        const validation = validateRequiredFields(message.payload, [
+          'urlPattern',
+          'dailyLimitSeconds',
+        ]);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const rulesError =
+          _validateSiteRules(message.payload) ||
+          (await _validateSiteGroupId(message.payload.groupId));
+        if (rulesError) {
+          return rulesError;
+        }
+
+        const sites = await getDistractingSites();
+        if (findLoosenedSites(message.payload, sites).length > 0) {
+          const pinError = await _requirePin(message);
+          if (pinError) {
+            return pinError;
+          }
+        }
+
+        const { newSite, pendingChange, errorResponse } = await _addSite(
+          message.payload,
+          sites
+        );
+        if (errorResponse) {
+          return errorResponse;
+        }
+        if (!newSite) {
+          return {
+            success: false,
+            error: {
+              message:
+                'Failed to add site. Please check the URL format and try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        // Reload distraction detector cache when sites change
+        await _reloadDistractionDetectorCache();
+
+        // Refresh badge for current tab since limits may have changed
+        await _refreshCurrentTabBadge();
+
+        // QA FIX: Re-evaluate ALL tabs for new site blocking status
+        // A newly added site might now block currently open tabs
+        try {
+          await _reEvaluateAllTabsForSite(newSite, 'add');
+        } catch (error) {
+          console.warn(
+            '[Background] Error re-evaluating all tabs after site addition:',
+            error
+          );
+          // Don't fail the operation if re-evaluation fails
+        }
+
+        // Broadcast the update to all UI components
+        await broadcastToUIComponents('siteAdded', { site: newSite });
+
+        return {
+          success: true,
+          data: newSite,
+          pendingChange,
+          error: null,
+        };
+      }
+
+      case 'updateDistractingSite': {
         const validation = validateRequiredFields(message.payload, [
           'id',
           'updates',
@@ -776,16 +1314,63 @@ async function handleMessage(message, _sender, _sendResponse) {
           };
         }
 
-        const updatedNote = await updateTimeoutNote(
+        const rulesError =
+          _validateSiteRules(message.payload.updates) ||
+          (await _validateSiteGroupId(message.payload.updates.groupId));
+        if (rulesError) {
+          return rulesError;
+        }
+
+        const sites = await getDistractingSites();
+        const site = sites.find(
+          (candidate) => candidate.id === message.payload.id
+        );
+        // Switching a site on can take URLs over from a stricter one
+        const splitUpdates = (current, updates) =>
+          splitSiteUpdates(current, updates, sites);
+        const pinError = await _requirePinToLoosen(
+          message,
+          site,
+          message.payload.updates,
+          splitUpdates
+        );
+        if (pinError) {
+          return pinError;
+        }
+
+        const strict = await _holdBackLoosening(
+          {
+            target: PENDING_CHANGE_TARGETS.SITE,
+            targetId: message.payload.id,
+            targetName: site && site.urlPattern,
+          },
+          site,
+          message.payload.updates,
+          splitUpdates
+        );
+        if (strict.errorResponse) {
+          return strict.errorResponse;
+        }
+        // Everything was held back, the site stays as it is for now
+        if (Object.keys(strict.immediate).length === 0) {
+          return {
+            success: true,
+            data: site,
+            pendingChange: strict.pendingChange,
+            error: null,
+          };
+        }
+
+        const updatedSite = await _applySiteUpdate(
           message.payload.id,
-          message.payload.updates
+          strict.immediate
         );
-        if (!updatedNote) {
+        if (!updatedSite) {
           return {
             success: false,
             error: {
               message:
-                'Failed to update note. Note may not exist or update data is invalid.',
+                'Failed to update site. Site may not exist or update data is invalid.',
               type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
@@ -794,12 +1379,13 @@ async function handleMessage(message, _sender, _sendResponse) {
 
         return {
           success: true,
-          data: updatedNote,
+          data: updatedSite,
+          pendingChange: strict.pendingChange,
           error: null,
         };
       }
 
-      case 'deleteTimeoutNote': {
+      case 'deleteDistractingSite': {
         const validation = validateRequiredFields(message.payload, ['id']);
         if (!validation.isValid) {
           return {
@@ -813,12 +1399,41 @@ async function handleMessage(message, _sender, _sendResponse) {
           };
         }
 
-        const deleteResult = await deleteTimeoutNote(message.payload.id);
+        const site = (await getDistractingSites()).find(
+          (candidate) => candidate.id === message.payload.id
+        );
+        const pinError = await _requirePinToLoosen(message, site, null);
+        if (pinError) {
+          return pinError;
+        }
+
+        const strict = await _holdBackLoosening(
+          {
+            target: PENDING_CHANGE_TARGETS.SITE,
+            targetId: message.payload.id,
+            targetName: site && site.urlPattern,
+          },
+          site,
+          null
+        );
+        if (strict.errorResponse) {
+          return strict.errorResponse;
+        }
+        if (strict.pendingChange) {
+          return {
+            success: true,
+            data: { deleted: false, id: message.payload.id },
+            pendingChange: strict.pendingChange,
+            error: null,
+          };
+        }
+
+        const deleteResult = await _applySiteDeletion(message.payload.id);
         if (!deleteResult) {
           return {
             success: false,
             error: {
-              message: 'Failed to delete note. Note may not exist.',
+              message: 'Failed to delete site. Site may not exist.',
               type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
@@ -832,273 +1447,201 @@ async function handleMessage(message, _sender, _sendResponse) {
         };
       }
 
-      // === Timeout Page API ===
-      case 'getTimeoutNotes': {
-        const notes = await getTimeoutNotes();
+      // === Site Groups Management ===
+      case 'getSiteGroups': {
+        const groups = await getSiteGroups();
         return {
           success: true,
-          data: notes,
+          data: groups,
           error: null,
         };
       }
 
-      case 'getRandomTimeoutNote': {
-        const notes = await getTimeoutNotes();
-        if (notes && notes.length > 0) {
-          const randomIndex = Math.floor(Math.random() * notes.length);
+      case 'addSiteGroup': {
+        const groupValidation = validateSiteGroup(message.payload);
+        if (!groupValidation.isValid) {
           return {
-            success: true,
-            data: notes[randomIndex],
-            error: null,
+            success: false,
+            error: {
+              message: groupValidation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: groupValidation.field,
+            },
+          };
+        }
+
+        const newGroup = await addSiteGroup(message.payload);
+        if (!newGroup) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to add group. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
           };
         }
+
+        await broadcastToUIComponents('groupAdded', { group: newGroup });
+
         return {
           success: true,
-          data: null,
+          data: newGroup,
           error: null,
         };
       }
 
-      case 'shuffleTimeoutNote': {
-        const notes = await getTimeoutNotes();
-        if (notes && notes.length > 0) {
-          const randomIndex = Math.floor(Math.random() * notes.length);
+      case 'updateSiteGroup': {
+        const validation = validateRequiredFields(message.payload, [
+          'id',
+          'updates',
+        ]);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const group = (await getSiteGroups()).find(
+          (candidate) => candidate.id === message.payload.id
+        );
+        const pinError = await _requirePinToLoosen(
+          message,
+          group,
+          message.payload.updates,
+          splitGroupUpdates
+        );
+        if (pinError) {
+          return pinError;
+        }
+
+        const strict = await _holdBackLoosening(
+          {
+            target: PENDING_CHANGE_TARGETS.GROUP,
+            targetId: message.payload.id,
+            targetName: group && group.name,
+          },
+          group,
+          message.payload.updates,
+          splitGroupUpdates
+        );
+        if (strict.errorResponse) {
+          return strict.errorResponse;
+        }
+        if (Object.keys(strict.immediate).length === 0) {
           return {
             success: true,
-            data: notes[randomIndex],
+            data: group,
+            pendingChange: strict.pendingChange,
             error: null,
           };
         }
-        return {
-          success: true,
-          data: { text: 'Stay focused and make the most of your time!' },
-          error: null,
-        };
-      }
 
-      // === Popup API ===
-      case 'getCurrentPageLimitInfo': {
-        try {
-          // Get current active tab
-          const tabs = await browser.tabs.query({
-            active: true,
-            currentWindow: true,
-          });
-          if (tabs.length === 0) {
-            return {
-              success: false,
-              error: {
-                message: 'No active tab found',
-                type: ERROR_TYPES.SYSTEM,
-                isRetryable: true,
-              },
-            };
-          }
-
-          const activeTab = tabs[0];
-          if (!activeTab.url) {
-            return {
-              success: false,
-              error: {
-                message: 'Cannot access current tab URL',
-                type: ERROR_TYPES.SYSTEM,
-                isRetryable: true,
-              },
-            };
-          }
-
-          // Check if URL is a distracting site
-          const distractionCheck = checkIfUrlIsDistracting(activeTab.url);
-          const { isMatch, siteId } = distractionCheck;
-
-          if (!isMatch || !siteId) {
-            return {
-              success: true,
-              data: {
-                url: activeTab.url,
-                hostname: new URL(activeTab.url).hostname,
-                isDistractingSite: false,
-                siteInfo: null,
-              },
-              error: null,
-            };
-          }
-
-          // Get site information and current usage data
-          const [sites, { getUsageStats }] = await Promise.all([
-            getDistractingSites(),
-            import('./usage_storage.js'),
-          ]);
-
-          const site = sites.find((s) => s.id === siteId);
-
-          if (!site) {
-            return {
-              success: true,
-              data: {
-                url: activeTab.url,
-                hostname: new URL(activeTab.url).hostname,
-                isDistractingSite: false,
-                siteInfo: null,
-              },
-              error: null,
-            };
-          }
-
-          // Get today's usage stats for accurate progress bars
-          const today = new Date().toISOString().split('T')[0];
-          const todayUsage = await getUsageStats(today);
-          const siteUsage = todayUsage[siteId] || {
-            timeSpentSeconds: 0,
-            opens: 0,
-          };
-
-          // Enhanced site info with real usage data
-          const enhancedSiteInfo = {
-            ...site,
-            todaySeconds: siteUsage.timeSpentSeconds,
-            todayOpenCount: siteUsage.opens,
-            lastUpdated: Date.now(),
-          };
-
-          return {
-            success: true,
-            data: {
-              url: activeTab.url,
-              hostname: new URL(activeTab.url).hostname,
-              isDistractingSite: true,
-              siteInfo: enhancedSiteInfo,
-            },
-            error: null,
-          };
-        } catch (error) {
-          console.error(
-            '[Background] Error getting current page limit info:',
-            error
-          );
+        const updatedGroup = await _applyGroupUpdate(
+          message.payload.id,
+          strict.immediate
+        );
+        if (!updatedGroup) {
           return {
             success: false,
             error: {
-              message: 'Failed to get current page information',
-              type: ERROR_TYPES.SYSTEM,
+              message:
+                'Failed to update group. Group may not exist or update data is invalid.',
+              type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
           };
         }
-      }
-
-      // === Real-time Updates API ===
-      case 'refreshCurrentPageData': {
-        try {
-          // Get current active tab
-          const tabs = await browser.tabs.query({
-            active: true,
-            currentWindow: true,
-          });
-          if (tabs.length === 0) {
-            return {
-              success: false,
-              error: {
-                message: 'No active tab found',
-                type: ERROR_TYPES.SYSTEM,
-                isRetryable: true,
-              },
-            };
-          }
-
-          const activeTab = tabs[0];
-          if (!activeTab.url) {
-            return {
-              success: false,
-              error: {
-                message: 'Cannot access current tab URL',
-                type: ERROR_TYPES.SYSTEM,
-                isRetryable: true,
-              },
-            };
-          }
-
-          // Check if URL is a distracting site
-          const distractionCheck = checkIfUrlIsDistracting(activeTab.url);
-          const { isMatch, siteId } = distractionCheck;
-
-          if (!isMatch || !siteId) {
-            return {
-              success: true,
-              data: {
-                isDistractingSite: false,
-                usage: null,
-                badgeText: '',
-              },
-              error: null,
-            };
-          }
 
-          // Get current usage data and site info
-          const [sites, { getUsageStats }] = await Promise.all([
-            getDistractingSites(),
-            import('./usage_storage.js'),
-          ]);
-
-          const site = sites.find((s) => s.id === siteId);
-          if (!site || !site.isEnabled) {
-            return {
-              success: true,
-              data: {
-                isDistractingSite: false,
-                usage: null,
-                badgeText: '',
-              },
-              error: null,
-            };
-          }
+        return {
+          success: true,
+          data: updatedGroup,
+          pendingChange: strict.pendingChange,
+          error: null,
+        };
+      }
 
-          // Get today's usage stats
-          const today = new Date().toISOString().split('T')[0];
-          const todayUsage = await getUsageStats(today);
-          const siteUsage = todayUsage[siteId] || {
-            timeSpentSeconds: 0,
-            opens: 0,
+      case 'deleteSiteGroup': {
+        const validation = validateRequiredFields(message.payload, ['id']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
           };
+        }
 
-          // Update badge for current tab
-          await updateBadge(activeTab.id);
+        const group = (await getSiteGroups()).find(
+          (candidate) => candidate.id === message.payload.id
+        );
+        const pinError = await _requirePinToLoosen(message, group, null);
+        if (pinError) {
+          return pinError;
+        }
 
+        const strict = await _holdBackLoosening(
+          {
+            target: PENDING_CHANGE_TARGETS.GROUP,
+            targetId: message.payload.id,
+            targetName: group && group.name,
+          },
+          group,
+          null
+        );
+        if (strict.errorResponse) {
+          return strict.errorResponse;
+        }
+        if (strict.pendingChange) {
           return {
             success: true,
-            data: {
-              isDistractingSite: true,
-              usage: {
-                timeSpentSeconds: siteUsage.timeSpentSeconds,
-                opens: siteUsage.opens,
-                lastUpdated: Date.now(),
-              },
-              site: site,
-              badgeText: 'Updated by badge manager',
-            },
+            data: { deleted: false, id: message.payload.id },
+            pendingChange: strict.pendingChange,
             error: null,
           };
-        } catch (error) {
-          console.error(
-            '[Background] Error refreshing current page data:',
-            error
-          );
+        }
+
+        const deleteResult = await _applyGroupDeletion(message.payload.id);
+        if (!deleteResult) {
           return {
             success: false,
             error: {
-              message: 'Failed to refresh page data',
-              type: ERROR_TYPES.SYSTEM,
+              message: 'Failed to delete group. Group may not exist.',
+              type: ERROR_TYPES.STORAGE,
               isRetryable: true,
             },
           };
         }
+
+        return {
+          success: true,
+          data: { deleted: true, id: message.payload.id },
+          error: null,
+        };
       }
 
-      case 'addQuickLimit': {
-        const validation = validateRequiredFields(message.payload, [
-          'urlPattern',
-          'dailyLimitSeconds',
-        ]);
+      // === Strict Mode ===
+      case 'getPendingChanges': {
+        const pendingChanges = await getPendingChanges();
+        return {
+          success: true,
+          data: pendingChanges,
+          error: null,
+        };
+      }
+
+      case 'cancelPendingChange': {
+        const validation = validateRequiredFields(message.payload, ['id']);
         if (!validation.isValid) {
           return {
             success: false,
@@ -1111,220 +1654,2294 @@ async function handleMessage(message, _sender, _sendResponse) {
           };
         }
 
-        const newSite = await addDistractingSite(message.payload);
-        if (!newSite) {
+        const cancelled = await cancelPendingChange(message.payload.id);
+        if (!cancelled) {
           return {
             success: false,
             error: {
-              message:
-                'Failed to add site limit. Please check the URL format and try again.',
-              type: ERROR_TYPES.STORAGE,
-              isRetryable: true,
+              message: 'This change already took effect or was cancelled.',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
             },
           };
         }
 
-        // Reload distraction detector cache when sites change
-        await _reloadDistractionDetectorCache();
+        return {
+          success: true,
+          data: { cancelled: true, id: message.payload.id },
+          error: null,
+        };
+      }
 
-        // Refresh badge for current tab
-        await _refreshCurrentTabBadge();
+      // === PIN Lock ===
+      case 'getPinStatus': {
+        const status = await getPinStatus();
+        return {
+          success: true,
+          data: status,
+          error: null,
+        };
+      }
+
+      case 'setPin': {
+        const validation = validateRequiredFields(message.payload, ['pin']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+        const pinValidation = validatePin(message.payload.pin);
+        if (!pinValidation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: pinValidation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: 'pin',
+            },
+          };
+        }
+
+        // Changing the PIN always asks for the current one
+        const pinError = await _requirePin(message, false);
+        if (pinError) {
+          return pinError;
+        }
+
+        const saved = await setPin(message.payload.pin);
+        if (!saved) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to save the PIN. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        return {
+          success: true,
+          data: await getPinStatus(),
+          error: null,
+        };
+      }
+
+      case 'removePin': {
+        const pinError = await _requirePin(message, false);
+        if (pinError) {
+          return pinError;
+        }
+
+        const removed = await removePin();
+        if (!removed) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to remove the PIN. Please try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        return {
+          success: true,
+          data: await getPinStatus(),
+          error: null,
+        };
+      }
+
+      case 'lockPin': {
+        lockPin();
+        return {
+          success: true,
+          data: await getPinStatus(),
+          error: null,
+        };
+      }
+
+      // === Allowlist Mode ===
+      case 'getAllowlistStatus': {
+        const appSettings = await getAppSettings();
+        return {
+          success: true,
+          data: {
+            ...getAllowlistState(appSettings),
+            patternCount: appSettings.allowlistPatterns.length,
+          },
+          error: null,
+        };
+      }
+
+      // === Timeout Notes Management ===
+      case 'addTimeoutNote': {
+        const validation = validateRequiredFields(message.payload, ['text']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const newNote = await addTimeoutNote(message.payload);
+        if (!newNote) {
+          return {
+            success: false,
+            error: {
+              message:
+                'Failed to add note. Please check the note text and try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        return {
+          success: true,
+          data: newNote,
+          error: null,
+        };
+      }
+
+      case 'updateTimeoutNote': {
+        const validation = validateRequiredFields(message.payload, [
+          'id',
+          'updates',
+        ]);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const updatedNote = await updateTimeoutNote(
+          message.payload.id,
+          message.payload.updates
+        );
+        if (!updatedNote) {
+          return {
+            success: false,
+            error: {
+              message:
+                'Failed to update note. Note may not exist or update data is invalid.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        return {
+          success: true,
+          data: updatedNote,
+          error: null,
+        };
+      }
+
+      case 'deleteTimeoutNote': {
+        const validation = validateRequiredFields(message.payload, ['id']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const deleteResult = await deleteTimeoutNote(message.payload.id);
+        if (!deleteResult) {
+          return {
+            success: false,
+            error: {
+              message: 'Failed to delete note. Note may not exist.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        return {
+          success: true,
+          data: { deleted: true, id: message.payload.id },
+          error: null,
+        };
+      }
+
+      // === Timeout Page API ===
+      case 'getTimeoutNotes': {
+        const notes = await getTimeoutNotes();
+        return {
+          success: true,
+          data: notes,
+          error: null,
+        };
+      }
+
+      case 'getRandomTimeoutNote': {
+        const notes = await getTimeoutNotes();
+        if (notes && notes.length > 0) {
+          const randomIndex = Math.floor(Math.random() * notes.length);
+          return {
+            success: true,
+            data: notes[randomIndex],
+            error: null,
+          };
+        }
+        return {
+          success: true,
+          data: null,
+          error: null,
+        };
+      }
+
+      case 'shuffleTimeoutNote': {
+        const notes = await getTimeoutNotes();
+        if (notes && notes.length > 0) {
+          const randomIndex = Math.floor(Math.random() * notes.length);
+          return {
+            success: true,
+            data: notes[randomIndex],
+            error: null,
+          };
+        }
+        return {
+          success: true,
+          data: { text: 'Stay focused and make the most of your time!' },
+          error: null,
+        };
+      }
+
+      case 'refreshBadge': {
+        // The timeout page of a cooldown asks for this as its countdown ticks over
+        if (!sender || !sender.tab || !sender.tab.id) {
+          return {
+            success: false,
+            error: {
+              message: 'The badge can only be refreshed from a tab',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+        await updateBadge(sender.tab.id);
+        return {
+          success: true,
+          data: null,
+          error: null,
+        };
+      }
+
+      // === Overrides API ===
+      case 'getOverrideOptions': {
+        const blockCheck = await _checkBlockForOverride(message, sender);
+        if (blockCheck.success === false) {
+          return blockCheck;
+        }
+        return {
+          success: true,
+          data: await getOverrideOptions(blockCheck),
+          error: null,
+        };
+      }
+
+      case 'requestOverride': {
+        const blockCheck = await _checkBlockForOverride(message, sender);
+        if (blockCheck.success === false) {
+          return blockCheck;
+        }
+
+        const { entry, error } = await requestOverride(
+          blockCheck,
+          message.payload.challengeId,
+          message.payload.answer
+        );
+        if (!entry) {
+          return {
+            success: false,
+            error: {
+              message: error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        console.log(
+          `[Background] Override granted for site ${entry.siteId}:`,
+          entry
+        );
+        await broadcastToUIComponents('overrideGranted', { entry });
+
+        return {
+          success: true,
+          data: entry,
+          error: null,
+        };
+      }
+
+      case 'getOverrideLog': {
+        const log = await getOverrideLog();
+        return {
+          success: true,
+          data: log,
+          error: null,
+        };
+      }
+
+      // === Mindful Pause API ===
+      case 'getMindfulPause':
+      case 'continueAfterPause': {
+        if (!sender || !sender.tab || !sender.tab.id) {
+          return {
+            success: false,
+            error: {
+              message: 'The pause can only be shown in a tab',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+        const siteId = message.payload && message.payload.siteId;
+        if (!siteId || typeof siteId !== 'string') {
+          return {
+            success: false,
+            error: {
+              message: 'Site ID is required',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: 'siteId',
+            },
+          };
+        }
+
+        if (message.action === 'getMindfulPause') {
+          return {
+            success: true,
+            data: await getMindfulPauseInfo(sender.tab.id, siteId),
+            error: null,
+          };
+        }
+
+        if (!continueAfterPause(sender.tab.id, siteId)) {
+          return {
+            success: false,
+            error: {
+              message: 'Please wait for the countdown to finish.',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: true,
+            },
+          };
+        }
+        return {
+          success: true,
+          data: { siteId },
+          error: null,
+        };
+      }
+
+      // === Focus Sessions API ===
+      case 'getFocusSession': {
+        const session = await getFocusSession();
+        return {
+          success: true,
+          data: describeFocusSession(session, Date.now()),
+          error: null,
+        };
+      }
+
+      case 'startFocusSession': {
+        // Anything not given in the payload comes from the focus settings
+        const appSettings = await getAppSettings();
+        const optionsValidation = validateAppSettings({
+          focusMinutes: appSettings.focusMinutes,
+          focusBreakMinutes: appSettings.focusBreakMinutes,
+          focusCycles: appSettings.focusCycles,
+          focusSiteIds: appSettings.focusSiteIds,
+          ...(message.payload || {}),
+        });
+        if (!optionsValidation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: optionsValidation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: optionsValidation.field,
+            },
+          };
+        }
+
+        const { session, error } = await startFocusSession(
+          optionsValidation.sanitizedSettings
+        );
+        if (!session) {
+          return {
+            success: false,
+            error: {
+              message: error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        console.log('[Background] Focus session started:', session);
+        await _enforceOpenTabs();
+
+        const described = describeFocusSession(session, Date.now());
+        await broadcastToUIComponents('focusSessionUpdated', {
+          session: described,
+          entry: null,
+        });
+
+        return {
+          success: true,
+          data: described,
+          error: null,
+        };
+      }
+
+      case 'stopFocusSession': {
+        const strictError = await _refuseInStrictMode(
+          "Ending a focus session early lets its sites through, which strict mode doesn't allow."
+        );
+        if (strictError) {
+          return strictError;
+        }
+
+        const entry = await stopFocusSession();
+        if (!entry) {
+          return {
+            success: false,
+            error: {
+              message: 'No focus session is running.',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        console.log('[Background] Focus session stopped:', entry);
+        await _refreshCurrentTabBadge();
+        await broadcastToUIComponents('focusSessionUpdated', {
+          session: null,
+          entry,
+        });
+
+        return {
+          success: true,
+          data: entry,
+          error: null,
+        };
+      }
+
+      case 'getFocusHistory': {
+        const history = await getFocusHistory();
+        return {
+          success: true,
+          data: history,
+          error: null,
+        };
+      }
+
+      // === Limit Reduction Plans API ===
+      case 'getReductionPlans': {
+        const [plans, log, sites] = await Promise.all([
+          getReductionPlans(),
+          getReductionLog(),
+          getDistractingSites(),
+        ]);
+        const revertibleIds = getRevertibleEntryIds(log);
+        const findSite = (siteId) => sites.find((site) => site.id === siteId);
+        return {
+          success: true,
+          data: {
+            plans: Object.values(plans).map((plan) =>
+              describeReductionPlan(plan, findSite(plan.siteId))
+            ),
+            log: log.map((entry) => {
+              const site = findSite(entry.siteId);
+              return {
+                ...entry,
+                urlPattern: site ? site.urlPattern : null,
+                canRevert: Boolean(site) && revertibleIds.has(entry.id),
+              };
+            }),
+          },
+          error: null,
+        };
+      }
+
+      case 'startReductionPlan': {
+        const validation = validateRequiredFields(message.payload, ['siteId']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const planValidation = validateReductionPlan(message.payload);
+        if (!planValidation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: planValidation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: planValidation.field,
+            },
+          };
+        }
+
+        // Starting at or below the current limit only tightens it
+        const pinError = await _requirePinToLoosen(
+          message,
+          (await getDistractingSites()).find(
+            (candidate) => candidate.id === message.payload.siteId
+          ),
+          { dailyLimitSeconds: message.payload.startLimitSeconds },
+          splitSiteUpdates
+        );
+        if (pinError) {
+          return pinError;
+        }
+
+        const { plan, site, error } = await startReductionPlan(
+          message.payload.siteId,
+          {
+            startLimitSeconds: message.payload.startLimitSeconds,
+            targetLimitSeconds: message.payload.targetLimitSeconds,
+            weeklyReductionPercent: message.payload.weeklyReductionPercent,
+            // Strict mode would hold back raising the limit, so the plan can't do it
+            allowRaise: !(await getAppSettings()).strictModeEnabled,
+          },
+          await getTodayKey()
+        );
+        if (!plan) {
+          return {
+            success: false,
+            error: {
+              message: error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        await _handleReductionLimitChanged(site);
+        return {
+          success: true,
+          data: describeReductionPlan(plan, site),
+          error: null,
+        };
+      }
+
+      case 'setReductionPlanPaused': {
+        const validation = validateRequiredFields(message.payload, [
+          'siteId',
+          'paused',
+        ]);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const currentPlan = (await getReductionPlans())[message.payload.siteId];
+        const pinError = await _requirePinToLoosen(message, currentPlan, null);
+        if (pinError) {
+          return pinError;
+        }
+        if (
+          message.payload.paused &&
+          currentPlan &&
+          currentPlan.status === PLAN_STATUS.ACTIVE
+        ) {
+          const strictError = await _refuseInStrictMode(
+            "Pausing the plan stops lowering the limit, which strict mode doesn't allow."
+          );
+          if (strictError) {
+            return strictError;
+          }
+        }
+
+        const plan = await setReductionPlanPaused(
+          message.payload.siteId,
+          Boolean(message.payload.paused),
+          await getTodayKey()
+        );
+        if (!plan) {
+          return {
+            success: false,
+            error: {
+              message: 'No plan to pause or resume for this site.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: false,
+            },
+          };
+        }
+        return {
+          success: true,
+          data: plan,
+          error: null,
+        };
+      }
+
+      case 'deleteReductionPlan': {
+        const validation = validateRequiredFields(message.payload, ['siteId']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const currentPlan = (await getReductionPlans())[message.payload.siteId];
+        const pinError = await _requirePinToLoosen(message, currentPlan, null);
+        if (pinError) {
+          return pinError;
+        }
+        if (currentPlan && currentPlan.status === PLAN_STATUS.ACTIVE) {
+          const strictError = await _refuseInStrictMode(
+            "Stopping the plan stops lowering the limit, which strict mode doesn't allow."
+          );
+          if (strictError) {
+            return strictError;
+          }
+        }
+
+        const deleted = await deleteReductionPlan(message.payload.siteId);
+        return {
+          success: true,
+          data: { deleted, siteId: message.payload.siteId },
+          error: null,
+        };
+      }
+
+      case 'revertReductionStep': {
+        const validation = validateRequiredFields(message.payload, ['entryId']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const pinError = await _requirePin(message);
+        if (pinError) {
+          return pinError;
+        }
+        const strictError = await _refuseInStrictMode(
+          "Reverting raises the limit at once, which strict mode doesn't allow. Raise it in the site's settings instead."
+        );
+        if (strictError) {
+          return strictError;
+        }
+
+        const { site, error } = await revertReductionStep(
+          message.payload.entryId
+        );
+        if (!site) {
+          return {
+            success: false,
+            error: {
+              message: error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        await _handleReductionLimitChanged(site);
+        return {
+          success: true,
+          data: site,
+          error: null,
+        };
+      }
+
+      // === Popup API ===
+      case 'getCurrentPageLimitInfo': {
+        try {
+          // Get current active tab
+          const tabs = await browser.tabs.query({
+            active: true,
+            currentWindow: true,
+          });
+          if (tabs.length === 0) {
+            return {
+              success: false,
+              error: {
+                message: 'No active tab found',
+                type: ERROR_TYPES.SYSTEM,
+                isRetryable: true,
+              },
+            };
+          }
+
+          const activeTab = tabs[0];
+          if (!activeTab.url) {
+            return {
+              success: false,
+              error: {
+                message: 'Cannot access current tab URL',
+                type: ERROR_TYPES.SYSTEM,
+                isRetryable: true,
+              },
+            };
+          }
+
+          // Check if URL is a distracting site
+          const distractionCheck = checkIfUrlIsDistracting(
+            activeTab.url,
+            activeTab.title
+          );
+          const { isMatch, siteId } = distractionCheck;
+
+          if (!isMatch || !siteId) {
+            return {
+              success: true,
+              data: {
+                url: activeTab.url,
+                hostname: new URL(activeTab.url).hostname,
+                isDistractingSite: false,
+                siteInfo: null,
+              },
+              error: null,
+            };
+          }
+
+          // Get site information and current usage data
+          const [sites, { getCombinedUsageStats }] = await Promise.all([
+            getDistractingSites(),
+            import('./usage_storage.js'),
+          ]);
+
+          const site = sites.find((s) => s.id === siteId);
+
+          if (!site) {
+            return {
+              success: true,
+              data: {
+                url: activeTab.url,
+                hostname: new URL(activeTab.url).hostname,
+                isDistractingSite: false,
+                siteInfo: null,
+              },
+              error: null,
+            };
+          }
+
+          // Get today's usage stats for accurate progress bars
+          const today = await getTodayKey();
+          const todayUsage = await getCombinedUsageStats(today);
+          const siteUsage = todayUsage[siteId] || {
+            timeSpentSeconds: 0,
+            opens: 0,
+          };
+
+          // Enhanced site info with real usage data
+          const enhancedSiteInfo = {
+            ...site,
+            todaySeconds: siteUsage.timeSpentSeconds,
+            todayOpenCount: siteUsage.opens,
+            periodBudgets: await _getPeriodBudgetInfo(site, today, todayUsage),
+            bankedSeconds: await getBankedTime(site, today),
+            lastUpdated: Date.now(),
+          };
+
+          return {
+            success: true,
+            data: {
+              url: activeTab.url,
+              hostname: new URL(activeTab.url).hostname,
+              isDistractingSite: true,
+              siteInfo: enhancedSiteInfo,
+            },
+            error: null,
+          };
+        } catch (error) {
+          console.error(
+            '[Background] Error getting current page limit info:',
+            error
+          );
+          return {
+            success: false,
+            error: {
+              message: 'Failed to get current page information',
+              type: ERROR_TYPES.SYSTEM,
+              isRetryable: true,
+            },
+          };
+        }
+      }
+
+      // === Real-time Updates API ===
+      case 'refreshCurrentPageData': {
+        try {
+          // Get current active tab
+          const tabs = await browser.tabs.query({
+            active: true,
+            currentWindow: true,
+          });
+          if (tabs.length === 0) {
+            return {
+              success: false,
+              error: {
+                message: 'No active tab found',
+                type: ERROR_TYPES.SYSTEM,
+                isRetryable: true,
+              },
+            };
+          }
+
+          const activeTab = tabs[0];
+          if (!activeTab.url) {
+            return {
+              success: false,
+              error: {
+                message: 'Cannot access current tab URL',
+                type: ERROR_TYPES.SYSTEM,
+                isRetryable: true,
+              },
+            };
+          }
+
+          // Check if URL is a distracting site
+          const distractionCheck = checkIfUrlIsDistracting(
+            activeTab.url,
+            activeTab.title
+          );
+          const { isMatch, siteId } = distractionCheck;
+
+          if (!isMatch || !siteId) {
+            return {
+              success: true,
+              data: {
+                isDistractingSite: false,
+                usage: null,
+                badgeText: '',
+              },
+              error: null,
+            };
+          }
+
+          // Get current usage data and site info
+          const [sites, { getCombinedUsageStats }] = await Promise.all([
+            getDistractingSites(),
+            import('./usage_storage.js'),
+          ]);
+
+          const site = sites.find((s) => s.id === siteId);
+          if (!site || !site.isEnabled) {
+            return {
+              success: true,
+              data: {
+                isDistractingSite: false,
+                usage: null,
+                badgeText: '',
+              },
+              error: null,
+            };
+          }
+
+          // Get today's usage stats
+          const today = await getTodayKey();
+          const todayUsage = await getCombinedUsageStats(today);
+          const siteUsage = todayUsage[siteId] || {
+            timeSpentSeconds: 0,
+            opens: 0,
+          };
+
+          // Update badge for current tab
+          await updateBadge(activeTab.id);
+
+          return {
+            success: true,
+            data: {
+              isDistractingSite: true,
+              usage: {
+                timeSpentSeconds: siteUsage.timeSpentSeconds,
+                opens: siteUsage.opens,
+                periodBudgets: await _getPeriodBudgetInfo(
+                  site,
+                  today,
+                  todayUsage
+                ),
+                bankedSeconds: await getBankedTime(site, today),
+                lastUpdated: Date.now(),
+              },
+              site: site,
+              badgeText: 'Updated by badge manager',
+            },
+            error: null,
+          };
+        } catch (error) {
+          console.error(
+            '[Background] Error refreshing current page data:',
+            error
+          );
+          return {
+            success: false,
+            error: {
+              message: 'Failed to refresh page data',
+              type: ERROR_TYPES.SYSTEM,
+              isRetryable: true,
+            },
+          };
+        }
+      }
+
+      case 'addQuickLimit': {
+        const validation = validateRequiredFields(message.payload, [
+          'urlPattern',
+          'dailyLimitSeconds',
+        ]);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        const rulesError =
+          _validateSiteRules(message.payload) ||
+          (await _validateSiteGroupId(message.payload.groupId));
+        if (rulesError) {
+          return rulesError;
+        }
+
+        // The popup is one click away on any page, so with a PIN set it asks for it
+        const pinError = await _requirePin(message);
+        if (pinError) {
+          return pinError;
+        }
+
+        const { newSite, pendingChange, errorResponse } = await _addSite(
+          message.payload,
+          await getDistractingSites()
+        );
+        if (errorResponse) {
+          return errorResponse;
+        }
+        if (!newSite) {
+          return {
+            success: false,
+            error: {
+              message:
+                'Failed to add site limit. Please check the URL format and try again.',
+              type: ERROR_TYPES.STORAGE,
+              isRetryable: true,
+            },
+          };
+        }
+
+        // Reload distraction detector cache when sites change
+        await _reloadDistractionDetectorCache();
+
+        // Refresh badge for current tab
+        await _refreshCurrentTabBadge();
+
+        // Broadcast the update to all UI components
+        await broadcastToUIComponents('quickLimitAdded', { site: newSite });
+
+        return {
+          success: true,
+          data: newSite,
+          pendingChange,
+          error: null,
+        };
+      }
+
+      case 'getBadgeInfo': {
+        const validation = validateRequiredFields(message.payload, ['url']);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: {
+              message: validation.error,
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+              field: validation.missingField,
+            },
+          };
+        }
+
+        try {
+          const { url } = message.payload;
+
+          // Check if URL is a distracting site
+          const distractionCheck = checkIfUrlIsDistracting(url);
+          const { isMatch, siteId } = distractionCheck;
+
+          if (!isMatch || !siteId) {
+            return {
+              success: true,
+              data: {
+                showBadge: false,
+                badgeText: '',
+                limitInfo: null,
+              },
+              error: null,
+            };
+          }
+
+          // Get site and usage information
+          const [sites, usageStatsModule] = await Promise.all([
+            getDistractingSites(),
+            import('./usage_storage.js'),
+          ]);
+
+          const usageStats = await usageStatsModule.getCombinedUsageStats(
+            await getTodayKey()
+          );
+
+          const site = sites.find((s) => s.id === siteId);
+          if (!site || !site.isEnabled) {
+            return {
+              success: true,
+              data: {
+                showBadge: false,
+                badgeText: '',
+                limitInfo: null,
+              },
+              error: null,
+            };
+          }
+
+          const siteUsage = usageStats[siteId] || {
+            timeSpentSeconds: 0,
+            opens: 0,
+          };
+
+          return {
+            success: true,
+            data: {
+              showBadge: true,
+              badgeText: 'Will be calculated by badge manager',
+              limitInfo: {
+                site: site,
+                usage: siteUsage,
+              },
+            },
+            error: null,
+          };
+        } catch (error) {
+          console.error('[Background] Error getting badge info:', error);
+          return {
+            success: false,
+            error: {
+              message: 'Failed to get badge information',
+              type: ERROR_TYPES.SYSTEM,
+              isRetryable: true,
+            },
+          };
+        }
+      }
+
+      // === Content Script API ===
+      case 'mediaPlaybackChanged': {
+        if (!sender || !sender.tab || !sender.tab.id) {
+          return {
+            success: false,
+            error: {
+              message: 'Media playback can only be reported from a tab',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        const playing = Boolean(message.payload && message.payload.playing);
+        await setTabMediaPlaying(sender.tab.id, playing);
+        await _applyIdleState();
+        await _syncBackgroundTracking();
+
+        return {
+          success: true,
+          data: { playing },
+          error: null,
+        };
+      }
+
+      case 'getEnforcement': {
+        if (!sender || !sender.tab || !sender.tab.id) {
+          return {
+            success: false,
+            error: {
+              message: 'Enforcement can only be asked for from a tab',
+              type: ERROR_TYPES.VALIDATION,
+              isRetryable: false,
+            },
+          };
+        }
+
+        // A page loading within the tracked site continues a visit already counted
+        const url = sender.url || sender.tab.url;
+        const trackingInfo = await getCurrentTrackingInfo();
+        const { title } = sender.tab;
+        const visitCounted =
+          trackingInfo.isTracking &&
+          trackingInfo.tabId === sender.tab.id &&
+          checkIfUrlIsDistracting(url, title).siteId === trackingInfo.siteId;
+        const enforcement = await getPageEnforcement(sender.tab.id, url, {
+          visitCounted,
+          title,
+        });
+
+        return {
+          success: true,
+          data: { enforcement },
+          error: null,
+        };
+      }
+
+      // === Debug/Status API ===
+      case 'getSystemStatus': {
+        try {
+          const trackingInfo = await getCurrentTrackingInfo();
+          const status = {
+            isActive: trackingInfo.isTracking,
+            currentlyTrackedSiteId: trackingInfo.siteId,
+            currentTabId: trackingInfo.tabId,
+            timestamp: Date.now(),
+          };
+          return {
+            success: true,
+            data: status,
+            error: null,
+          };
+        } catch (error) {
+          console.error('[Background] Error getting system status:', error);
+          return {
+            success: false,
+            error: {
+              message: 'Failed to get system status',
+              type: ERROR_TYPES.SYSTEM,
+              isRetryable: true,
+            },
+          };
+        }
+      }
+
+      default:
+        console.warn('[Background] Unknown message action:', message.action);
+        return {
+          success: false,
+          error: {
+            message: `Unknown action: ${message.action}`,
+            type: ERROR_TYPES.VALIDATION,
+            isRetryable: false,
+          },
+        };
+    }
+  } catch (error) {
+    console.error('[Background] Error handling message:', error);
+
+    const categorized = categorizeError(error);
+    return {
+      success: false,
+      error: {
+        message: categorized.userMessage,
+        type: categorized.type,
+        isRetryable: categorized.isRetryable,
+        originalError: error.message,
+      },
+    };
+  }
+}
+
+/**
+ * Handles toolbar action button clicks.
+ * The popup will open automatically due to manifest configuration,
+ * but we can handle cases where popup is disabled or fails to open.
+ * @param {Object} tab - The tab where the action was clicked
+ */
+async function handleActionClick(tab) {
+  console.log('[Background] Toolbar action clicked for tab:', tab.id, tab.url);
+
+  try {
+    // If popup fails to open for any reason, we could implement fallback behavior here
+    // For now, we just log the event since the popup should handle the interaction
+
+    // Update badge for the current tab to ensure it's up to date
+    if (tab.url && tab.id) {
+      await updateBadge(tab.id);
+    }
+  } catch (actionError) {
+    console.error('[Background] Error handling action click:', actionError);
+  }
+}
+
+/**
+ * Handles browser.storage.onChanged events for sync: local edits of sites, groups and
+ * notes are pushed to storage.sync, and changes from other devices are pulled in.
+ * Site changes also update the countdown overlays of open pages.
+ *
+ * @param {Object} changes - The changed keys with their old and new values
+ * @param {string} areaName - The storage area that changed ("local" or "sync")
+ */
+async function handleStorageChanged(changes, areaName) {
+  try {
+    const { applied } = await handleSyncStorageChange(changes, areaName);
+    if (applied) {
+      await _handleSyncApplied();
+    }
+    // Overlays show, hide or move when their site changes, from any source
+    if (areaName === 'local' && changes.distractingSites) {
+      await pushOverlayUpdates();
+    }
+  } catch (error) {
+    console.error('[Background] Error handling storage change:', error);
+  }
+}
+
+/**
+ * Makes sites, groups and notes received from other devices take effect immediately.
+ * @private
+ */
+async function _handleSyncApplied() {
+  await _reloadDistractionDetectorCache();
+  await _refreshCurrentTabBadge();
+  await broadcastToUIComponents('syncApplied', {});
+
+  // Any site may have been added, changed or removed
+  try {
+    await _reEvaluateAllTabsForSite({}, 'update');
+  } catch (error) {
+    console.warn('[Background] Error re-evaluating all tabs after sync:', error);
+  }
+}
+
+/**
+ * Saves validated preferences and puts them into effect.
+ * @private
+ * @param {Object} updates - The sanitized preferences to change.
+ * @returns {Promise<Object|null>} The full updated preferences, or null if saving failed.
+ */
+async function _applyAppSettings(updates) {
+  const updatedSettings = await updateAppSettings(updates);
+  if (!updatedSettings) {
+    return null;
+  }
+
+  if (
+    'idleDetectionEnabled' in updates ||
+    'idleThresholdSeconds' in updates ||
+    'idleCountMedia' in updates
+  ) {
+    await configureIdleDetection(updatedSettings);
+    await _applyIdleState();
+  }
+
+  if ('syncEnabled' in updates || 'syncUsageAcrossDevices' in updates) {
+    const syncResult = await handleSyncSettingsChanged(updatedSettings);
+    if (syncResult.applied) {
+      await _handleSyncApplied();
+    }
+  }
+
+  if (
+    'allowlistEnabled' in updates ||
+    'allowlistPatterns' in updates ||
+    'allowlistSchedule' in updates
+  ) {
+    await _handleAllowlistChanged(updatedSettings);
+  }
+
+  await broadcastToUIComponents('appSettingsUpdated', {
+    settings: updatedSettings,
+  });
+
+  return updatedSettings;
+}
+
+/**
+ * Saves updates to a site and puts them into effect: the cache, the badge, background
+ * counting, open UI pages and tabs that may now be blocked or unblocked.
+ * @private
+ * @param {string} siteId - The site ID.
+ * @param {Object} updates - The updates to the site.
+ * @returns {Promise<Object|null>} The updated site, or null if it could not be saved.
+ */
+async function _applySiteUpdate(siteId, updates) {
+  const updatedSite = await updateDistractingSite(siteId, updates);
+  if (!updatedSite) {
+    return null;
+  }
+
+  await _reloadDistractionDetectorCache();
+
+  // Refresh badge for current tab since limits may have changed
+  await _refreshCurrentTabBadge();
+
+  if ('trackInBackground' in updates) {
+    await _syncBackgroundTracking();
+  }
+
+  // Broadcast the update to all UI components
+  await broadcastToUIComponents('siteUpdated', {
+    site: updatedSite,
+    updates,
+  });
+
+  // QA FIX: Re-evaluate ALL tabs for blocking status immediately after limit update
+  // This ensures users can access sites immediately after updating limits in any tab
+  try {
+    await _reEvaluateAllTabsForSite(updatedSite, 'update');
+  } catch (error) {
+    console.warn(
+      '[Background] Error re-evaluating all tabs after limit update:',
+      error
+    );
+    // Don't fail the whole operation if re-evaluation fails
+  }
+
+  return updatedSite;
+}
+
+/**
+ * Deletes a site with its reduction plan and pending changes, and lets the cache, the
+ * badge, open UI pages and tabs know.
+ * @private
+ * @param {string} siteId - The site ID.
+ * @returns {Promise<boolean>} True if the site was deleted.
+ */
+async function _applySiteDeletion(siteId) {
+  const deleteResult = await deleteDistractingSite(siteId);
+  if (!deleteResult) {
+    return false;
+  }
+
+  // The site's reduction plan goes with it; its log entries stay
+  await deleteReductionPlan(siteId);
+  await discardPendingChanges(PENDING_CHANGE_TARGETS.SITE, siteId);
+
+  await _reloadDistractionDetectorCache();
+
+  // Refresh badge for current tab since the site may have been removed
+  await _refreshCurrentTabBadge();
+
+  // QA FIX: Re-evaluate ALL tabs for blocking status immediately after site deletion
+  // This ensures users can access sites immediately after removing limits from any tab
+  try {
+    // Use the deleted site's data for re-evaluation (pass the site that was just deleted)
+    const deletedSiteData = { 
+      id: siteId,
+      urlPattern: '*', // We don't have the pattern anymore, so check all tabs
+      isEnabled: false // Deleted sites are effectively disabled
+    };
+    await _reEvaluateAllTabsForSite(deletedSiteData, 'delete');
+  } catch (error) {
+    console.warn(
+      '[Background] Error re-evaluating all tabs after site deletion:',
+      error
+    );
+    // Don't fail the whole operation if re-evaluation fails
+  }
+
+  // Broadcast the update to all UI components
+  await broadcastToUIComponents('siteDeleted', { siteId });
+
+  return true;
+}
+
+/**
+ * Saves updates to a group and puts them into effect for its member sites.
+ * @private
+ * @param {string} groupId - The group ID.
+ * @param {Object} updates - The updates to the group.
+ * @returns {Promise<Object|null>} The updated group, or null if it could not be saved.
+ */
+async function _applyGroupUpdate(groupId, updates) {
+  const updatedGroup = await updateSiteGroup(groupId, updates);
+  if (!updatedGroup) {
+    return null;
+  }
+
+  await _refreshCurrentTabBadge();
+
+  await broadcastToUIComponents('groupUpdated', {
+    group: updatedGroup,
+    updates,
+  });
+
+  // A changed budget may block or unblock every member site
+  try {
+    await _reEvaluateAllTabsForSite({ groupId: updatedGroup.id }, 'update');
+  } catch (error) {
+    console.warn(
+      '[Background] Error re-evaluating all tabs after group update:',
+      error
+    );
+  }
+
+  return updatedGroup;
+}
+
+/**
+ * Deletes a group with its pending changes and puts the ungrouping of its member sites
+ * into effect.
+ * @private
+ * @param {string} groupId - The group ID.
+ * @returns {Promise<boolean>} True if the group was deleted.
+ */
+async function _applyGroupDeletion(groupId) {
+  const deleteResult = await deleteSiteGroup(groupId);
+  if (!deleteResult) {
+    return false;
+  }
+  await discardPendingChanges(PENDING_CHANGE_TARGETS.GROUP, groupId);
+
+  // Member sites were ungrouped, so the cached sites are stale
+  await _reloadDistractionDetectorCache();
+  await _refreshCurrentTabBadge();
+
+  await broadcastToUIComponents('groupDeleted', { groupId });
+
+  try {
+    await _reEvaluateAllTabsForSite({ groupId }, 'delete');
+  } catch (error) {
+    console.warn(
+      '[Background] Error re-evaluating all tabs after group deletion:',
+      error
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Adds a site. One that would take URLs over from a stricter site (see
+ * findLoosenedSites) loosens that site, so in strict mode it is added switched off and
+ * switching it on is held back.
+ * @private
+ * @param {Object} payload - The validated site.
+ * @param {Array<Object>} sites - The sites as stored.
+ * @returns {Promise<Object>} `{newSite, pendingChange, errorResponse}`: the added site
+ *          (null if it could not be added), the pending change that switches it on and
+ *          an error response if that could not be stored.
+ */
+async function _addSite(payload, sites) {
+  const holdBack =
+    findLoosenedSites(payload, sites).length > 0 &&
+    (await getAppSettings()).strictModeEnabled;
+  const newSite = await addDistractingSite(
+    holdBack ? { ...payload, isEnabled: false } : payload
+  );
+  if (!newSite || !holdBack) {
+    return { newSite, pendingChange: null, errorResponse: null };
+  }
+
+  const strict = await _holdBackLoosening(
+    {
+      target: PENDING_CHANGE_TARGETS.SITE,
+      targetId: newSite.id,
+      targetName: newSite.urlPattern,
+    },
+    newSite,
+    { isEnabled: true },
+    (current, updates) => splitSiteUpdates(current, updates, sites)
+  );
+  return {
+    newSite,
+    pendingChange: strict.pendingChange,
+    errorResponse: strict.errorResponse,
+  };
+}
+
+/**
+ * Holds back the part of an edit that loosens a rule while strict mode is on (see
+ * strict_mode.js).
+ * @private
+ * @param {Object} change - `{target, targetId, targetName}` of what is edited.
+ * @param {Object|undefined} current - The site, group or preferences as stored; if not
+ *                                     found, nothing is held back.
+ * @param {Object|null} updates - The updates, or null for a deletion.
+ * @param {Function} [split] - Splits updates into immediate and delayed fields.
+ * @returns {Promise<Object>} `{immediate, pendingChange, errorResponse}`: the updates to
+ *          save now (null for a held back deletion), the pending change (null if nothing
+ *          was held back) and an error response if it could not be stored.
+ */
+async function _holdBackLoosening(change, current, updates, split) {
+  const settings = await getAppSettings();
+  if (!settings.strictModeEnabled || !current) {
+    return { immediate: updates, pendingChange: null, errorResponse: null };
+  }
+
+  const { immediate, delayed } = updates
+    ? split(current, updates)
+    : { immediate: null, delayed: null };
+  if (delayed && Object.keys(delayed).length === 0) {
+    return { immediate, pendingChange: null, errorResponse: null };
+  }
+
+  const pendingChange = await queuePendingChange(
+    { ...change, action: updates ? 'update' : 'delete', updates: delayed },
+    getStrictModeDelayEnd(settings)
+  );
+  if (!pendingChange) {
+    return {
+      immediate,
+      pendingChange: null,
+      errorResponse: {
+        success: false,
+        error: {
+          message: 'Failed to save the change. Please try again.',
+          type: ERROR_TYPES.STORAGE,
+          isRetryable: true,
+        },
+      },
+    };
+  }
+  return { immediate, pendingChange, errorResponse: null };
+}
+
+/**
+ * Checks the PIN sent along with a message that needs it (see pin_lock.js).
+ * @private
+ * @param {Object} message - The message, with the PIN in `message.pin`.
+ * @param {boolean} [allowUnlocked=true] - Whether a PIN entered in the last few minutes
+ *                                         counts.
+ * @returns {Promise<Object|null>} An error response, or null if the change may go ahead.
+ */
+async function _requirePin(message, allowUnlocked = true) {
+  const { allowed, error, lockedUntil } = await authorizeChange(
+    message.pin,
+    Date.now(),
+    allowUnlocked
+  );
+  if (allowed) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      message: error,
+      type: ERROR_TYPES.PIN_REQUIRED,
+      isRetryable: !lockedUntil,
+      lockedUntil,
+    },
+  };
+}
+
+/**
+ * Checks the PIN for a change that loosens a rule: a deletion, or updates with fields
+ * strict mode would hold back.
+ * @private
+ * @param {Object} message - The message, with the PIN in `message.pin`.
+ * @param {Object|undefined} current - The site, group or preferences as stored; if not
+ *                                     found, no PIN is needed.
+ * @param {Object|null} updates - The updates, or null for a deletion.
+ * @param {Function} [split] - Splits updates into immediate and delayed fields.
+ * @returns {Promise<Object|null>} An error response, or null if the change may go ahead.
+ */
+async function _requirePinToLoosen(message, current, updates, split) {
+  if (!current) {
+    return null;
+  }
+  if (updates && Object.keys(split(current, updates).delayed).length === 0) {
+    return null;
+  }
+  return _requirePin(message);
+}
+
+/**
+ * Refuses a change that would loosen a rule at once, while strict mode is on. For
+ * changes that can't wait as a pending change, like ending a focus session.
+ * @private
+ * @param {string} errorMessage - Why strict mode doesn't allow it.
+ * @returns {Promise<Object|null>} An error response, or null if strict mode is off.
+ */
+async function _refuseInStrictMode(errorMessage) {
+  if (!(await getAppSettings()).strictModeEnabled) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      message: errorMessage,
+      type: ERROR_TYPES.VALIDATION,
+      isRetryable: false,
+    },
+  };
+}
+
+/**
+ * Puts a pending change into effect.
+ * @private
+ * @param {Object} change - The pending change.
+ * @returns {Promise<boolean>} False if it no longer applies, e.g. its site is gone.
+ */
+async function _applyPendingChange(change) {
+  const isDeletion = change.action === 'delete';
+  switch (change.target) {
+    case PENDING_CHANGE_TARGETS.SITE:
+      if (isDeletion) {
+        return _applySiteDeletion(change.targetId);
+      }
+      // The group the site was moved to may have been deleted in the meantime
+      if (await _validateSiteGroupId(change.updates.groupId)) {
+        return false;
+      }
+      return Boolean(await _applySiteUpdate(change.targetId, change.updates));
+    case PENDING_CHANGE_TARGETS.GROUP:
+      return isDeletion
+        ? _applyGroupDeletion(change.targetId)
+        : Boolean(await _applyGroupUpdate(change.targetId, change.updates));
+    default:
+      return Boolean(await _applyAppSettings(change.updates));
+  }
+}
+
+/**
+ * Puts the pending changes that are due into effect, oldest first, and lets the
+ * settings page know.
+ * @private
+ */
+async function _applyDuePendingChanges() {
+  try {
+    const due = await takeDuePendingChanges();
+    if (due.length === 0) {
+      return;
+    }
+    for (const change of due) {
+      if (!(await _applyPendingChange(change))) {
+        console.warn(
+          '[Background] Dropped a pending change that no longer applies:',
+          change
+        );
+      }
+    }
+    await broadcastToUIComponents('pendingChangesApplied', { changes: due });
+  } catch (error) {
+    console.error('[Background] Error applying pending changes:', error);
+  }
+}
+
+/**
+ * Helper function to reload the distraction detector cache when sites change.
+ * This ensures the detector always has up-to-date site information.
+ * Enhanced with better error handling.
+ * @private
+ */
+async function _reloadDistractionDetectorCache() {
+  try {
+    // The distraction detector has a method to reload from storage
+    await loadDistractingSitesFromStorage();
+    console.log(
+      '[Background] Reloaded distraction detector cache after sites change'
+    );
+  } catch (error) {
+    console.error(
+      '[Background] Error reloading distraction detector cache:',
+      error
+    );
+    // This is not critical for functionality, so we continue without throwing
+  }
+}
+
+/**
+ * Validates the URL pattern, exception rules, schedule and warnings of a site payload so the UI
+ * receives a precise validation message instead of a generic storage failure.
+ * @private
+ * @param {Object} siteData - A site object or a partial update.
+ * @returns {Object|null} An error response, or null if the patterns are valid.
+ */
+function _validateSiteRules(siteData) {
+  const checks = [];
+  if (siteData.urlPattern !== undefined) {
+    const result = validateUrlPattern(siteData.urlPattern);
+    checks.push({
+      field: 'urlPattern',
+      isValid: result.isValid,
+      error: result.error,
+    });
+  }
+  if (siteData.excludedPatterns !== undefined) {
+    const result = validateExcludedPatterns(siteData.excludedPatterns);
+    checks.push({
+      field: 'excludedPatterns',
+      isValid: result.isValid,
+      error: result.error,
+    });
+  }
+  if (siteData.schedule !== undefined) {
+    const result = validateSchedule(siteData.schedule);
+    checks.push({
+      field: 'schedule',
+      isValid: result.isValid,
+      error: result.error,
+    });
+  }
+  if (
+    siteData.warningThresholds !== undefined &&
+    siteData.warningThresholds !== null
+  ) {
+    const result = validateWarningThresholds(siteData.warningThresholds);
+    checks.push({
+      field: 'warningThresholds',
+      isValid: result.isValid,
+      error: result.error,
+    });
+  }
+  if (siteData.enforcement !== undefined && siteData.enforcement !== null) {
+    const result = validateEnforcementSteps(siteData.enforcement);
+    checks.push({
+      field: 'enforcement',
+      isValid: result.isValid,
+      error: result.error,
+    });
+  }
+  const budgetResult = validatePeriodBudgets(siteData);
+  checks.push({
+    field: budgetResult.field,
+    isValid: budgetResult.isValid,
+    error: budgetResult.error,
+  });
+  const rolloverResult = validateRolloverPolicy(siteData);
+  checks.push({
+    field: rolloverResult.field,
+    isValid: rolloverResult.isValid,
+    error: rolloverResult.error,
+  });
+
+  const failed = checks.find((check) => !check.isValid);
+  if (!failed) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      message: failed.error,
+      type: ERROR_TYPES.VALIDATION,
+      isRetryable: false,
+      field: failed.field,
+    },
+  };
+}
+
+/**
+ * Describes a site's weekly and monthly budgets for the popup's progress bars.
+ * @private
+ * @param {Object} site - The site configuration.
+ * @param {string} today - Today's usage day, "YYYY-MM-DD".
+ * @param {Object} todayUsage - Today's combined usage stats keyed by site ID.
+ * @returns {Promise<Array<Object>>} The budgets, as described by describePeriodBudgets;
+ *                                   empty if the site has none.
+ */
+async function _getPeriodBudgetInfo(site, today, todayUsage) {
+  if (!hasPeriodBudget(site)) {
+    return [];
+  }
+  const periodUsage = await getPeriodUsage(today, todayUsage);
+  return describePeriodBudgets(site, periodUsage);
+}
+
+/**
+ * Checks that a site's `groupId` refers to an existing group.
+ * @private
+ * @param {string|null|undefined} groupId - The group ID from a site payload.
+ * @returns {Promise<Object|null>} An error response, or null if the group exists
+ *                                 or no group is being assigned.
+ */
+async function _validateSiteGroupId(groupId) {
+  if (!groupId) {
+    return null;
+  }
+  const groups = await getSiteGroups();
+  if (groups.some((group) => group.id === groupId)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      message: 'The selected group no longer exists.',
+      type: ERROR_TYPES.VALIDATION,
+      isRetryable: false,
+      field: 'groupId',
+    },
+  };
+}
+
+/**
+ * Checks the day, site and limit of a session log query.
+ * @private
+ * @param {Object} query - The getSessionLog or getSessionLogTotals payload.
+ * @returns {Object|null} An error response, or null if the query is valid.
+ */
+function _validateSessionLogQuery(query) {
+  let failed = null;
+  if (query.day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(query.day)) {
+    failed = {
+      field: 'day',
+      error: 'Day must be a date in YYYY-MM-DD format.',
+    };
+  } else if (
+    query.siteId !== undefined &&
+    (typeof query.siteId !== 'string' || !query.siteId)
+  ) {
+    failed = { field: 'siteId', error: 'Site ID must be a non-empty string.' };
+  } else if (
+    query.limit !== undefined &&
+    !(Number.isInteger(query.limit) && query.limit > 0)
+  ) {
+    failed = {
+      field: 'limit',
+      error: 'Limit must be a positive whole number.',
+    };
+  }
+
+  if (!failed) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      message: failed.error,
+      type: ERROR_TYPES.VALIDATION,
+      isRetryable: false,
+      field: failed.field,
+    },
+  };
+}
+
+/**
+ * Checks the blocked URL of an override message against the current limits, from the
+ * point of view of the timeout page's tab.
+ * @private
+ * @param {Object} message - A getOverrideOptions or requestOverride message.
+ * @param {Object} sender - The message sender (the timeout page).
+ * @returns {Promise<Object>} The checkAndBlockSite result, or an error response.
+ */
+async function _checkBlockForOverride(message, sender) {
+  const validation = validateRequiredFields(message.payload, ['blockedUrl']);
+  if (!validation.isValid) {
+    return {
+      success: false,
+      error: {
+        message: validation.error,
+        type: ERROR_TYPES.VALIDATION,
+        isRetryable: false,
+        field: validation.missingField,
+      },
+    };
+  }
+
+  const tabId = sender && sender.tab ? sender.tab.id : null;
+  if (!tabId) {
+    return {
+      success: false,
+      error: {
+        message: 'Overrides can only be requested from the timeout page.',
+        type: ERROR_TYPES.VALIDATION,
+        isRetryable: false,
+      },
+    };
+  }
+
+  // Title rules need the title the page had when it was blocked
+  return checkAndBlockSite(tabId, message.payload.blockedUrl, {
+    title: message.payload.blockedTitle,
+  });
+}
+
+/**
+ * Checks a tab whose title changed against the limits, as title rules may only match
+ * now, and sends it to the timeout page if it is blocked.
+ * @private
+ * @param {number} tabId - The tab ID
+ * @param {string} url - The tab URL
+ * @param {string} title - The new tab title
+ * @returns {Promise<boolean>} Whether the tab was redirected
+ */
+async function _checkTitleBlock(tabId, url, title) {
+  // The same site under a new title continues a visit that was already counted
+  const trackingInfo = await getCurrentTrackingInfo();
+  const isTrackedTab = trackingInfo.isTracking && trackingInfo.tabId === tabId;
+  const visitCounted =
+    isTrackedTab &&
+    checkIfUrlIsDistracting(url, title).siteId === trackingInfo.siteId;
+
+  const wasRedirected = await handlePotentialRedirect(tabId, url, {
+    visitCounted,
+    title,
+  });
+  if (wasRedirected && isTrackedTab) {
+    await stopTracking(SESSION_END_REASONS.BLOCKED);
+    await _stopUsageTimer();
+  }
+  return wasRedirected;
+}
+
+/**
+ * Sends a navigation to the pause page if its site has a mindful pause and the tab is
+ * neither in the site already nor in its grace period. The site doesn't load, so backing
+ * out of the pause uses up no open.
+ * @private
+ * @param {number} tabId - The tab ID
+ * @param {string} url - The URL being navigated to
+ * @param {boolean} visitCounted - Whether the navigation continues a counted visit
+ * @returns {Promise<boolean>} Whether the tab was sent to the pause page
+ */
+async function _checkMindfulPause(tabId, url, visitCounted) {
+  const { siteId } = checkIfUrlIsDistracting(url);
+  if (!siteId) {
+    return false;
+  }
+  const site = (await getDistractingSites()).find((s) => s.id === siteId);
+  if (!needsMindfulPause(tabId, site, visitCounted)) {
+    return false;
+  }
+
+  startMindfulPause(tabId, siteId);
+  await browser.tabs.update(tabId, { url: getMindfulPauseUrl(url, siteId) });
+  return true;
+}
+
+/**
+ * Sends open tabs that are blocked now, e.g. by a new focus period or by allowlist mode,
+ * to the timeout page, and refreshes the badge countdown.
+ * @private
+ */
+async function _enforceOpenTabs() {
+  try {
+    const [allTabs, trackingInfo] = await Promise.all([
+      browser.tabs.query({}),
+      getCurrentTrackingInfo(),
+    ]);
 
-        // Broadcast the update to all UI components
-        await broadcastToUIComponents('quickLimitAdded', { site: newSite });
+    for (const tab of allTabs) {
+      if (!tab.id || !tab.url || !/^https?:/.test(tab.url)) continue;
 
-        return {
-          success: true,
-          data: newSite,
-          error: null,
-        };
+      // Open tabs were counted as an open when they were visited
+      const wasRedirected = await handlePotentialRedirect(tab.id, tab.url, {
+        visitCounted: true,
+        title: tab.title,
+      });
+      if (
+        wasRedirected &&
+        trackingInfo.isTracking &&
+        trackingInfo.tabId === tab.id
+      ) {
+        await stopTracking(SESSION_END_REASONS.BLOCKED);
+        await _stopUsageTimer();
       }
+    }
+  } catch (error) {
+    console.warn('[Background] Error enforcing blocks on open tabs:', error);
+  }
 
-      case 'getBadgeInfo': {
-        const validation = validateRequiredFields(message.payload, ['url']);
-        if (!validation.isValid) {
-          return {
-            success: false,
-            error: {
-              message: validation.error,
-              type: ERROR_TYPES.VALIDATION,
-              isRetryable: false,
-              field: validation.missingField,
-            },
-          };
-        }
+  await _refreshCurrentTabBadge();
+}
 
-        try {
-          const { url } = message.payload;
+/**
+ * Pauses or resumes the current tracking session to match the idle state.
+ * @private
+ * @param {string} [idleState] - The state reported by browser.idle; queried if omitted
+ */
+async function _applyIdleState(idleState) {
+  try {
+    const trackingInfo = await getCurrentTrackingInfo();
+    if (!trackingInfo.isTracking || !trackingInfo.tabId) {
+      return;
+    }
 
-          // Check if URL is a distracting site
-          const distractionCheck = checkIfUrlIsDistracting(url);
-          const { isMatch, siteId } = distractionCheck;
+    const appSettings = await getAppSettings();
+    const state = idleState || (await getIdleState(appSettings));
+    const [shouldPause, isPaused] = await Promise.all([
+      shouldPauseTracking(trackingInfo.tabId, appSettings, state),
+      isTrackingPaused(),
+    ]);
+
+    if (shouldPause && !isPaused) {
+      await pauseTracking();
+      console.log(`[Background] Paused tracking (user is ${state})`);
+    } else if (!shouldPause && isPaused) {
+      await resumeTracking();
+      console.log('[Background] Resumed tracking');
+    }
+  } catch (error) {
+    console.warn('[Background] Error applying idle state:', error);
+  }
+}
 
-          if (!isMatch || !siteId) {
-            return {
-              success: true,
-              data: {
-                showBadge: false,
-                badgeText: '',
-                limitInfo: null,
-              },
-              error: null,
-            };
-          }
+/**
+ * Starts and ends background sessions so they match the tabs that count right now
+ * (see background_tracking.js), and keeps the usage timer running while any do.
+ * @private
+ */
+async function _syncBackgroundTracking() {
+  try {
+    await initializeDistractionDetector();
 
-          // Get site and usage information
-          const [sites, usageStatsModule] = await Promise.all([
-            getDistractingSites(),
-            import('./usage_storage.js'),
-          ]);
+    // Runs on every usage timer tick; nothing to look at unless a site opts in
+    const currentSessions = await getBackgroundSessions();
+    if (!hasBackgroundSites() && Object.keys(currentSessions).length === 0) {
+      return;
+    }
 
-          const usageStats = await usageStatsModule.getUsageStats(
-            new Date().toISOString().split('T')[0]
-          );
+    const trackingInfo = await getCurrentTrackingInfo();
+    let entries = [];
+    if (hasBackgroundSites()) {
+      const [tabs, windows, appSettings, mediaTabIds] = await Promise.all([
+        browser.tabs.query({}),
+        browser.windows.getAll(),
+        getAppSettings(),
+        getMediaPlayingTabs(),
+      ]);
+      entries = selectBackgroundSessions({
+        tabs,
+        windows,
+        sites: getCachedDistractingSites(),
+        matchSiteId: (url, title) =>
+          checkIfUrlIsDistracting(url, title).siteId || null,
+        foregroundSiteId: trackingInfo.isTracking ? trackingInfo.siteId : null,
+        mediaTabIds,
+        idleState: await getIdleState(appSettings),
+        settings: appSettings,
+        currentSessions,
+      });
+    }
+    const sessions = await syncBackgroundSessions(entries);
 
-          const site = sites.find((s) => s.id === siteId);
-          if (!site || !site.isEnabled) {
-            return {
-              success: true,
-              data: {
-                showBadge: false,
-                badgeText: '',
-                limitInfo: null,
-              },
-              error: null,
-            };
-          }
+    if (Object.keys(sessions).length > 0) {
+      const usageTimer = await browser.alarms.get('usageTimer');
+      if (!usageTimer) {
+        await browser.alarms.create('usageTimer', { periodInMinutes: 2 / 60 });
+      }
+    } else if (!trackingInfo.isTracking) {
+      await browser.alarms.clear('usageTimer');
+    }
+  } catch (error) {
+    console.warn('[Background] Error syncing background tracking:', error);
+  }
+}
 
-          const siteUsage = usageStats[siteId] || {
-            timeSpentSeconds: 0,
-            opens: 0,
-          };
+/**
+ * Records the time of the background sessions and sends any tab whose site has run
+ * out to the timeout page, then re-selects the tabs that count.
+ * @private
+ */
+async function _updateBackgroundTracking() {
+  try {
+    await updateBackgroundUsage();
 
-          return {
-            success: true,
-            data: {
-              showBadge: true,
-              badgeText: 'Will be calculated by badge manager',
-              limitInfo: {
-                site: site,
-                usage: siteUsage,
-              },
-            },
-            error: null,
-          };
-        } catch (error) {
-          console.error('[Background] Error getting badge info:', error);
-          return {
-            success: false,
-            error: {
-              message: 'Failed to get badge information',
-              type: ERROR_TYPES.SYSTEM,
-              isRetryable: true,
-            },
-          };
+    const sessions = await getBackgroundSessions();
+    for (const session of Object.values(sessions)) {
+      try {
+        const tab = await browser.tabs.get(session.tabId);
+        if (tab && tab.url) {
+          // The visit was counted as an open when the tab was in front
+          await handlePotentialRedirect(session.tabId, tab.url, {
+            visitCounted: true,
+            title: tab.title,
+          });
         }
+      } catch (error) {
+        // The tab was closed; the sync below ends its session
+        console.warn(
+          `[Background] Could not check background tab ${session.tabId}:`,
+          error
+        );
       }
+    }
+  } catch (error) {
+    console.warn('[Background] Error updating background tracking:', error);
+  }
 
-      // === Debug/Status API ===
-      case 'getSystemStatus': {
-        try {
-          const trackingInfo = await getCurrentTrackingInfo();
-          const status = {
-            isActive: trackingInfo.isTracking,
-            currentlyTrackedSiteId: trackingInfo.siteId,
-            currentTabId: trackingInfo.tabId,
-            timestamp: Date.now(),
-          };
-          return {
-            success: true,
-            data: status,
-            error: null,
-          };
-        } catch (error) {
-          console.error('[Background] Error getting system status:', error);
-          return {
-            success: false,
-            error: {
-              message: 'Failed to get system status',
-              type: ERROR_TYPES.SYSTEM,
-              isRetryable: true,
-            },
-          };
-        }
-      }
+  await _syncBackgroundTracking();
+}
 
-      default:
-        console.warn('[Background] Unknown message action:', message.action);
-        return {
-          success: false,
-          error: {
-            message: `Unknown action: ${message.action}`,
-            type: ERROR_TYPES.VALIDATION,
-            isRetryable: false,
-          },
-        };
+/**
+ * Fires the limit warnings that became due for the tracked site.
+ * @private
+ * @param {string} siteId - The ID of the tracked site.
+ */
+async function _checkLimitWarnings(siteId) {
+  try {
+    const [sites, { getCombinedUsageStats }] = await Promise.all([
+      getDistractingSites(),
+      import('./usage_storage.js'),
+    ]);
+    const site = sites.find((candidate) => candidate.id === siteId);
+    if (!site || site.isEnabled === false) {
+      return;
     }
+    const today = await getTodayKey();
+    const todayUsage = await getCombinedUsageStats(today);
+    await checkLimitWarnings(
+      site,
+      todayUsage[siteId] || { timeSpentSeconds: 0, opens: 0 },
+      today,
+      await getBankedTime(site, today)
+    );
   } catch (error) {
-    console.error('[Background] Error handling message:', error);
-
-    const categorized = categorizeError(error);
-    return {
-      success: false,
-      error: {
-        message: categorized.userMessage,
-        type: categorized.type,
-        isRetryable: categorized.isRetryable,
-        originalError: error.message,
-      },
-    };
+    console.warn('[Background] Error checking limit warnings:', error);
   }
 }
 
 /**
- * Handles toolbar action button clicks.
- * The popup will open automatically due to manifest configuration,
- * but we can handle cases where popup is disabled or fails to open.
- * @param {Object} tab - The tab where the action was clicked
+ * Takes the reduction plan steps that are due and lets the UI know about the limits
+ * they changed.
+ * @private
  */
-async function handleActionClick(tab) {
-  console.log('[Background] Toolbar action clicked for tab:', tab.id, tab.url);
-
+async function _applyReductionPlans() {
   try {
-    // If popup fails to open for any reason, we could implement fallback behavior here
-    // For now, we just log the event since the popup should handle the interaction
-
-    // Update badge for the current tab to ensure it's up to date
-    if (tab.url && tab.id) {
-      await updateBadge(tab.id);
+    const entries = await applyReductionPlans(await getTodayKey());
+    if (entries.length === 0) {
+      return;
     }
-  } catch (actionError) {
-    console.error('[Background] Error handling action click:', actionError);
+    await _reloadDistractionDetectorCache();
+    await _refreshCurrentTabBadge();
+    await broadcastToUIComponents('reductionPlansUpdated', { entries });
+  } catch (error) {
+    console.error('[Background] Error applying reduction plans:', error);
   }
 }
 
 /**
- * Helper function to reload the distraction detector cache when sites change.
- * This ensures the detector always has up-to-date site information.
- * Enhanced with better error handling.
+ * Puts a daily time limit set by a reduction plan action into effect, like a site
+ * update from the settings page.
  * @private
+ * @param {Object} site - The updated site.
  */
-async function _reloadDistractionDetectorCache() {
+async function _handleReductionLimitChanged(site) {
+  await _reloadDistractionDetectorCache();
+  await _refreshCurrentTabBadge();
+  await broadcastToUIComponents('siteUpdated', {
+    site,
+    updates: { dailyLimitSeconds: site.dailyLimitSeconds },
+  });
   try {
-    // The distraction detector has a method to reload from storage
-    await loadDistractingSitesFromStorage();
-    console.log(
-      '[Background] Reloaded distraction detector cache after sites change'
-    );
+    await _reEvaluateAllTabsForSite(site, 'update');
   } catch (error) {
-    console.error(
-      '[Background] Error reloading distraction detector cache:',
+    console.warn(
+      '[Background] Error re-evaluating all tabs after a plan change:',
       error
     );
-    // This is not critical for functionality, so we continue without throwing
   }
 }
 
+/**
+ * Puts allowlist mode into effect after its settings changed or one of its windows
+ * started or ended: schedules the next window, sends open tabs off the list to the
+ * timeout page and tells open UI pages.
+ * @private
+ * @param {Object} [settings] - The preferences; read from storage if not given.
+ */
+async function _handleAllowlistChanged(settings) {
+  const appSettings = settings || (await getAppSettings());
+  try {
+    await scheduleAllowlistAlarm(appSettings);
+  } catch (error) {
+    console.error('[Background] Error scheduling allowlist mode:', error);
+  }
+
+  const state = getAllowlistState(appSettings);
+  if (state.active) {
+    await _enforceOpenTabs();
+  }
+  await broadcastToUIComponents('allowlistUpdated', state);
+}
+
+/**
+ * Schedules the daily reset and the next reduction plan step again for the new
+ * day-start hour, and refreshes the badge, which may now count against another day.
+ * @private
+ * @param {number} dayStartHour - The hour usage days start at now.
+ */
+async function _handleDayStartChanged(dayStartHour) {
+  console.log(`[Background] Day-start hour changed to ${dayStartHour}`);
+  try {
+    await initializeDailyResetAlarm();
+    // Plan steps are due at the start of a usage day too
+    await scheduleReductionAlarm();
+  } catch (error) {
+    console.error('[Background] Error scheduling the daily reset:', error);
+  }
+  await _refreshCurrentTabBadge();
+}
+
+/**
+ * Schedules the daily reset again if a DST or timezone change moved the local clock,
+ * since the alarm is set for an absolute time.
+ * @private
+ */
+async function _rescheduleDailyResetIfClockMoved() {
+  if (!hasTimezoneChanged()) {
+    return;
+  }
+  console.log('[Background] Timezone offset changed, rescheduling daily reset');
+  try {
+    await initializeDailyResetAlarm();
+  } catch (error) {
+    console.error('[Background] Error scheduling the daily reset:', error);
+  }
+}
+
+/**
+ * Stops the usage timer after the foreground session ended, unless background
+ * sessions still need it.
+ * @private
+ */
+async function _stopUsageTimer() {
+  const sessions = await getBackgroundSessions();
+  if (Object.keys(sessions).length > 0) {
+    return;
+  }
+  await browser.alarms.clear('usageTimer');
+}
+
 /**
  * Helper function to refresh the badge for the current active tab.
  * @private
@@ -1375,7 +3992,9 @@ async function _reEvaluateAllTabsForSite(siteData, operation) {
       try {
         // For deletions, we check if any site would block this tab
         // For updates, we check the specific site
-        const blockResult = await checkAndBlockSite(tab.id, tab.url);
+        const blockResult = await checkAndBlockSite(tab.id, tab.url, {
+          title: tab.title,
+        });
         
         console.log(`[Background] Tab ${tab.id} (${tab.url}) - Block result:`, {
           shouldBlock: blockResult.shouldBlock,
@@ -1479,7 +4098,9 @@ async function broadcastToUIComponents(type, data) {
 try {
   // Extension lifecycle events
   browser.runtime.onInstalled.addListener(handleInstalled);
-  console.log('[Background] runtime.onInstalled listener registered');
+  browser.runtime.onStartup.addListener(handleStartup);
+  browser.runtime.onSuspend.addListener(handleSuspend);
+  console.log('[Background] runtime lifecycle listeners registered');
 
   // Alarm events
   browser.alarms.onAlarm.addListener(handleAlarm);
@@ -1494,25 +4115,45 @@ try {
   // Tab events
   browser.tabs.onActivated.addListener(handleTabActivated);
   browser.tabs.onUpdated.addListener(handleTabUpdated);
+  browser.tabs.onRemoved.addListener(handleTabRemoved);
   console.log('[Background] tab event listeners registered');
 
   // Window events
   browser.windows.onFocusChanged.addListener(handleWindowFocusChanged);
   console.log('[Background] windows.onFocusChanged listener registered');
 
+  // Idle events (tracking pauses while the user is away)
+  browser.idle.onStateChanged.addListener(handleIdleStateChanged);
+  console.log('[Background] idle.onStateChanged listener registered');
+
   // Message events for UI communication
   browser.runtime.onMessage.addListener(handleMessage);
   console.log('[Background] runtime.onMessage listener registered');
 
+  // Ports of the in-page countdown overlay
+  browser.runtime.onConnect.addListener((port) =>
+    handleOverlayConnect(port, (site) =>
+      broadcastToUIComponents('overlayMoved', { site })
+    )
+  );
+  console.log('[Background] runtime.onConnect listener registered');
+
   // Action button events
   browser.action.onClicked.addListener(handleActionClick);
   console.log('[Background] action.onClicked listener registered');
 
+  // Storage events (registered here so sync changes can wake the background page)
+  browser.storage.onChanged.addListener(handleStorageChanged);
+  console.log('[Background] storage.onChanged listener registered');
+
   console.log('[Background] All event listeners registered successfully');
 } catch (listenerError) {
   console.error('[Background] Error registering event listeners:', listenerError);
 }
 
+// Usage days may not start at midnight; follow the setting while the page is awake
+initializeClock(_handleDayStartChanged);
+
 console.log(
   '[Background] Firefox Distraction Limiter background script loaded'
 );
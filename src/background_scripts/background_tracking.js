@@ -0,0 +1,105 @@
+/**
+ * @file background_tracking.js
+ * @description Works out which tabs count towards their site's usage while they are not
+ * the active tab of the focused window. Sites opt in with `trackInBackground`. Such a
+ * site counts while one of its tabs is audible, is playing media (this includes a video
+ * popped out into picture-in-picture, which keeps playing in its tab) or is the visible
+ * tab of a window that isn't minimized. The idle rules of idle_monitor.js apply as well.
+ * The selected tabs are recorded as background sessions by usage_recorder.js.
+ */
+
+import { isPausedByIdleState } from './idle_monitor.js';
+
+/**
+ * Tells whether a tab's time counts while it is in the background.
+ *
+ * @param {Object} tab - A tab from browser.tabs.query.
+ * @param {Set<number>} visibleWindowIds - IDs of the windows that are not minimized.
+ * @param {Array<number>} mediaTabIds - Tabs whose page reported playing media.
+ * @returns {{counts: boolean, playingMedia: boolean}} Whether the tab counts, and
+ *          whether that is because it plays media.
+ */
+export function getBackgroundActivity(tab, visibleWindowIds, mediaTabIds) {
+  const playingMedia = Boolean(tab.audible) || mediaTabIds.includes(tab.id);
+  const visible = Boolean(tab.active) && visibleWindowIds.has(tab.windowId);
+  return { counts: playingMedia || visible, playingMedia };
+}
+
+/**
+ * Selects the sites that should be counted in the background right now, with the tab
+ * that keeps each of them running.
+ *
+ * @param {Object} context - Everything the decision depends on.
+ * @param {Array<Object>} context.tabs - All open tabs.
+ * @param {Array<Object>} context.windows - All browser windows.
+ * @param {Array<Object>} context.sites - The distracting sites.
+ * @param {Function} context.matchSiteId - Returns the ID of the site a URL (and tab title)
+ *                                         belongs to, or null.
+ * @param {string|null} context.foregroundSiteId - The site tracked in the foreground,
+ *                                                 which is not counted a second time.
+ * @param {Array<number>} context.mediaTabIds - Tabs whose page reported playing media.
+ * @param {string} context.idleState - 'active', 'idle' or 'locked'.
+ * @param {Object} context.settings - The app settings (see settings_storage.js).
+ * @param {Object} [context.currentSessions] - Running background sessions; a site keeps
+ *                                             its tab while that tab still counts.
+ * @returns {Array<{siteId: string, tabId: number, url: string}>} One entry per site to
+ *          count, with the tab that keeps it running and that tab's URL.
+ */
+export function selectBackgroundSessions(context) {
+  const {
+    tabs,
+    windows,
+    sites,
+    matchSiteId,
+    foregroundSiteId,
+    mediaTabIds,
+    idleState,
+    settings,
+    currentSessions = {},
+  } = context;
+
+  const optedIn = new Set(
+    sites
+      .filter((site) => site.isEnabled && site.trackInBackground)
+      .map((site) => site.id)
+  );
+  if (optedIn.size === 0) {
+    return [];
+  }
+
+  const visibleWindowIds = new Set(
+    windows
+      .filter((window) => window.state !== 'minimized')
+      .map((window) => window.id)
+  );
+
+  const selected = new Map();
+  for (const tab of tabs) {
+    if (!tab.id || !tab.url || !/^https?:/.test(tab.url)) continue;
+
+    const siteId = matchSiteId(tab.url, tab.title);
+    if (!siteId || siteId === foregroundSiteId || !optedIn.has(siteId)) {
+      continue;
+    }
+
+    const { counts, playingMedia } = getBackgroundActivity(
+      tab,
+      visibleWindowIds,
+      mediaTabIds
+    );
+    if (!counts || isPausedByIdleState(settings, idleState, playingMedia)) {
+      continue;
+    }
+
+    const current = currentSessions[siteId];
+    if (!selected.has(siteId) || (current && current.tabId === tab.id)) {
+      selected.set(siteId, tab);
+    }
+  }
+
+  return Array.from(selected, ([siteId, tab]) => ({
+    siteId,
+    tabId: tab.id,
+    url: tab.url,
+  }));
+}
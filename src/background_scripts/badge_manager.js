@@ -3,15 +3,32 @@
  * @description Simplified badge manager for the event-driven architecture.
  * Provides a single updateBadge(tabId) function that fetches all necessary data
  * from chrome.storage and updates the badge text based on current usage and limits.
+ * Sites running on an override ("borrowed time") get an orange badge; for time
+ * overrides it shows the borrowed time left with a "+" in front.
+ * While a focus session runs, every tab shows the minutes left in the current focus
+ * period (red) or break (green) instead.
+ * A timeout page for a cooldown between opens (see open_cooldown.js) shows the minutes
+ * until the site can be opened again (purple).
  * This module is stateless and designed for Manifest V3 compatibility.
  */
 
 import { getDistractingSites } from './site_storage.js';
-import { getUsageStats } from './usage_storage.js';
+import { getCombinedUsageStats } from './usage_storage.js';
 import {
   checkIfUrlIsDistracting,
   initializeDistractionDetector,
 } from './distraction_detector.js';
+import { findMatchingSite } from './url_matcher.js';
+import { getFocusSession, describeFocusSession } from './focus_session.js';
+import { getTodayKey } from './clock.js';
+import { getSiteAllowance } from './site_allowance.js';
+
+/** Badge colors: normal, while the site runs on an override, during focus sessions and cooldowns. */
+const BADGE_COLOR = [0, 122, 255, 255]; // Blue
+const BORROWED_BADGE_COLOR = [255, 149, 0, 255]; // Orange
+const FOCUS_BADGE_COLOR = [255, 59, 48, 255]; // Red
+const FOCUS_BREAK_BADGE_COLOR = [52, 199, 89, 255]; // Green
+const COOLDOWN_BADGE_COLOR = [175, 82, 222, 255]; // Purple
 
 // Ensure detector is initialized
 let _detectorInitialized = false;
@@ -37,19 +54,6 @@ async function _ensureDetectorInitialized() {
   }
 }
 
-/**
- * Returns the current date as a string in "YYYY-MM-DD" format for storage keys.
- * @private
- * @returns {string} The formatted date string.
- */
-function _getCurrentDateString() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
 /**
  * Formats remaining time into a concise display format.
  * @private
@@ -72,6 +76,40 @@ function _formatRemainingTime(remainingSeconds) {
   }
 }
 
+/**
+ * Formats the time left in a focus session phase or a cooldown, rounded up to whole
+ * minutes so the once-a-minute refresh never shows a stale countdown.
+ * @private
+ * @param {number} remainingMs - Time left in milliseconds
+ * @returns {string} Formatted countdown (e.g., "25m", "1m")
+ */
+function _formatCountdown(remainingMs) {
+  return `${Math.max(1, Math.ceil(remainingMs / 60000))}m`;
+}
+
+/**
+ * Reads when the cooldown ends from a timeout page URL.
+ * @private
+ * @param {string} url - The tab URL
+ * @param {number} now - The current time in ms
+ * @returns {number|null} The end of the cooldown in ms, or null if the tab doesn't show
+ *          the timeout page of a cooldown that is still running
+ */
+function _getCooldownPageEnd(url, now) {
+  if (!url.includes('ui/timeout/timeout.html')) {
+    return null;
+  }
+  try {
+    const params = new URL(url).searchParams;
+    const availableAt = parseInt(params.get('availableAt'), 10);
+    return params.get('limitType') === 'cooldown' && availableAt > now
+      ? availableAt
+      : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Formats remaining opens into a concise display format.
  * @private
@@ -84,39 +122,25 @@ function _formatRemainingOpens(remainingOpens) {
 }
 
 /**
- * Calculates badge text for a specific site based on its limits and current usage.
+ * Calculates badge text for a site from its remaining allowance. During a scheduled
+ * block the badge shows "OFF".
  * @private
- * @param {Object} site - The site object with limits
- * @param {Object} usageStats - Current usage statistics for the site
+ * @param {Object} allowance - The site's allowance (see getSiteAllowance)
  * @returns {string} Badge text to display, or empty string if no limits apply
  */
-function _calculateBadgeText(site, usageStats) {
-  if (!site || !site.isEnabled) return '';
+function _calculateBadgeText(allowance) {
+  if (allowance.scheduledBlock) return 'OFF';
 
-  const siteUsage = usageStats[site.id] || { timeSpentSeconds: 0, opens: 0 };
   const parts = [];
 
-  // Calculate remaining time if time limit is set
-  if (site.dailyLimitSeconds > 0) {
-    const remainingSeconds = Math.max(
-      0,
-      site.dailyLimitSeconds - siteUsage.timeSpentSeconds
-    );
-    if (remainingSeconds > 0) {
-      parts.push(_formatRemainingTime(remainingSeconds));
-    } else {
-      parts.push('0s');
-    }
+  // Calculate remaining time if a time limit is set
+  if (allowance.remainingSeconds !== null) {
+    parts.push(_formatRemainingTime(allowance.remainingSeconds));
   }
 
-  // Calculate remaining opens if open limit is set
-  if (site.dailyOpenLimit > 0) {
-    const remainingOpens = Math.max(0, site.dailyOpenLimit - siteUsage.opens);
-    if (remainingOpens > 0) {
-      parts.push(_formatRemainingOpens(remainingOpens));
-    } else {
-      parts.push('0');
-    }
+  // Calculate remaining opens if an open limit is set
+  if (allowance.remainingOpens !== null) {
+    parts.push(_formatRemainingOpens(allowance.remainingOpens));
   }
 
   // Join parts with a separator if both exist
@@ -130,29 +154,26 @@ function _calculateBadgeText(site, usageStats) {
 }
 
 /**
- * Checks if a URL is a distracting site using manual pattern matching
+ * Checks if a URL is a distracting site using the shared URL matcher
  * This is a fallback when the distraction detector is not available
  * @private
  * @param {string} url - The URL to check
  * @param {Array} sites - Array of distracting sites
+ * @param {string} [title] - The tab title, for title rules
  * @returns {Object} Object with isMatch and siteId properties
  */
-function _manualDistractionCheck(url, sites) {
+function _manualDistractionCheck(url, sites, title) {
   try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-
-    for (const site of sites) {
-      if (
-        site.isEnabled &&
-        site.urlPattern &&
-        hostname.includes(site.urlPattern)
-      ) {
-        console.log(
-          `[BadgeManager] Manual match found: ${hostname} contains ${site.urlPattern} (site ID: ${site.id})`
-        );
-        return { isMatch: true, siteId: site.id };
-      }
+    const site = findMatchingSite(
+      url,
+      sites.filter((candidate) => candidate.isEnabled),
+      title
+    );
+    if (site) {
+      console.log(
+        `[BadgeManager] Manual match found: ${url} matches ${site.urlPattern} (site ID: ${site.id})`
+      );
+      return { isMatch: true, siteId: site.id };
     }
 
     return { isMatch: false, siteId: null };
@@ -167,8 +188,9 @@ function _manualDistractionCheck(url, sites) {
  * @private
  * @param {number} tabId - The tab ID to update
  * @param {string} text - The badge text to display
+ * @param {Array<number>} [color=BADGE_COLOR] - The badge background color
  */
-async function _setBadgeText(tabId, text) {
+async function _setBadgeText(tabId, text, color = BADGE_COLOR) {
   try {
     await browser.action.setBadgeText({
       text: text,
@@ -178,7 +200,7 @@ async function _setBadgeText(tabId, text) {
     // Set badge background color for better visibility
     if (text) {
       await browser.action.setBadgeBackgroundColor({
-        color: [0, 122, 255, 255], // Blue background
+        color: color,
         tabId: tabId,
       });
     }
@@ -220,6 +242,29 @@ export async function updateBadge(tabId) {
 
     console.log(`[BadgeManager] Processing tab ${tabId} with URL: ${tab.url}`);
 
+    // A running focus session takes over the badge on every tab
+    const now = Date.now();
+    const focus = describeFocusSession(await getFocusSession(), now);
+    if (focus && focus.phase !== 'ended') {
+      await _setBadgeText(
+        tabId,
+        _formatCountdown(focus.phaseEndsAt - now),
+        focus.phase === 'break' ? FOCUS_BREAK_BADGE_COLOR : FOCUS_BADGE_COLOR
+      );
+      return;
+    }
+
+    // The timeout page of a cooldown counts down to when the site can be opened again
+    const cooldownEnd = _getCooldownPageEnd(tab.url, now);
+    if (cooldownEnd) {
+      await _setBadgeText(
+        tabId,
+        _formatCountdown(cooldownEnd - now),
+        COOLDOWN_BADGE_COLOR
+      );
+      return;
+    }
+
     // Skip internal pages
     if (
       tab.url.startsWith('chrome://') ||
@@ -236,7 +281,7 @@ export async function updateBadge(tabId) {
     console.log(`[BadgeManager] Retrieved ${sites.length} sites from storage`);
 
     // Check if URL is a distracting site (with fallback)
-    let distractionCheck = checkIfUrlIsDistracting(tab.url);
+    let distractionCheck = checkIfUrlIsDistracting(tab.url, tab.title);
     console.log(
       `[BadgeManager] Primary distraction check result:`,
       distractionCheck
@@ -247,7 +292,7 @@ export async function updateBadge(tabId) {
       console.log(
         `[BadgeManager] Primary check failed, trying manual fallback`
       );
-      distractionCheck = _manualDistractionCheck(tab.url, sites);
+      distractionCheck = _manualDistractionCheck(tab.url, sites, tab.title);
       console.log(
         `[BadgeManager] Manual distraction check result:`,
         distractionCheck
@@ -264,18 +309,15 @@ export async function updateBadge(tabId) {
     }
 
     // Get usage data from storage
-    console.log(
-      `[BadgeManager] Fetching usage data for date: ${_getCurrentDateString()}`
-    );
-    const usageStats = await getUsageStats(_getCurrentDateString()).catch(
-      (error) => {
-        console.warn(
-          '[BadgeManager] Failed to fetch usage stats, using empty data:',
-          error
-        );
-        return {};
-      }
-    );
+    const today = await getTodayKey();
+    console.log(`[BadgeManager] Fetching usage data for date: ${today}`);
+    const usageStats = await getCombinedUsageStats(today).catch((error) => {
+      console.warn(
+        '[BadgeManager] Failed to fetch usage stats, using empty data:',
+        error
+      );
+      return {};
+    });
 
     console.log(`[BadgeManager] Retrieved usage stats:`, usageStats);
 
@@ -299,10 +341,28 @@ export async function updateBadge(tabId) {
     });
 
     // Calculate and set badge text
-    const badgeText = _calculateBadgeText(site, usageStats);
-    console.log(`[BadgeManager] Calculated badge text: "${badgeText}"`);
+    const allowance = site.isEnabled
+      ? await getSiteAllowance(site, sites, usageStats, today)
+      : null;
+    let badgeText = allowance ? _calculateBadgeText(allowance) : '';
+
+    // Mark a site that is running on borrowed time
+    const override = allowance
+      ? allowance.override
+      : { time: false, opens: false, remainingSeconds: 0 };
+    const borrowed = override.time || override.opens;
+    if (override.time) {
+      badgeText = `+${_formatRemainingTime(override.remainingSeconds)}`;
+    }
+    console.log(`[BadgeManager] Calculated badge text: "${badgeText}"`, {
+      borrowed,
+    });
 
-    await _setBadgeText(tabId, badgeText);
+    await _setBadgeText(
+      tabId,
+      badgeText,
+      borrowed ? BORROWED_BADGE_COLOR : BADGE_COLOR
+    );
 
     console.log(
       `[BadgeManager] Successfully updated badge for tab ${tabId}: "${badgeText}"`
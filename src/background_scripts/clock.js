@@ -0,0 +1,222 @@
+/**
+ * @file clock.js
+ * @description Decides which day it is. Every module that reads or writes usage by day
+ * gets its date keys from here, so the recorder, the blocker, the badge, the popup and
+ * the daily reset always agree.
+ *
+ * Usage is counted per usage day, which starts at `dayStartHour` in the app settings
+ * (0 = midnight, 4 = "my day starts at 4:00"). A usage day is named after the calendar
+ * day it starts on, as a local "YYYY-MM-DD" key, so with a 4:00 start, 01:30 on Tuesday
+ * still belongs to Monday.
+ *
+ * Days are worked out from local wall-clock time every time they are needed, so a DST
+ * change makes a usage day 23 or 25 hours long and a timezone change takes effect
+ * immediately. Points in time, such as the next day start, are built from local date
+ * parts rather than by adding 24 hours, for the same reason.
+ */
+
+import { getAppSettings } from './settings_storage.js';
+
+/** The hour a usage day starts at unless the user chose another one (midnight). */
+export const DEFAULT_DAY_START_HOUR = 0;
+
+let _dayStartHour = DEFAULT_DAY_START_HOUR;
+let _initPromise = null;
+let _onDayStartChanged = null; // Callback for when the day-start hour changes
+
+// The UTC offset the clock last saw, to notice DST and timezone changes
+let _lastTimezoneOffset = new Date().getTimezoneOffset();
+
+/**
+ * Formats a date as a local "YYYY-MM-DD" key of its calendar day.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date key.
+ */
+export function formatDateKey(date) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" key into a Date at local midnight.
+ *
+ * @param {string} dateKey - The date key to parse.
+ * @returns {Date} The parsed date.
+ */
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Moves a date key by a number of calendar days.
+ * Works on calendar dates, so DST changes never skip or repeat a day.
+ *
+ * @param {string} dateKey - The starting date key.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} The resulting date key.
+ */
+export function shiftDateKey(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return formatDateKey(date);
+}
+
+/**
+ * Returns the key of the Monday that starts the week containing the given date.
+ *
+ * @param {string} dateKey - A date key.
+ * @returns {string} The date key of that week's Monday.
+ */
+export function getWeekStartKey(dateKey) {
+  const date = parseDateKey(dateKey);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return formatDateKey(date);
+}
+
+/**
+ * Returns the key of the first day of the month containing the given date.
+ *
+ * @param {string} dateKey - A date key.
+ * @param {number} [months=0] - Months to move forward (negative to go back).
+ * @returns {string} The date key of that month's first day.
+ */
+export function getMonthStartKey(dateKey, months = 0) {
+  const date = parseDateKey(dateKey);
+  return formatDateKey(
+    new Date(date.getFullYear(), date.getMonth() + months, 1)
+  );
+}
+
+/**
+ * Returns the hour usage days start at.
+ * @returns {number} 0–23.
+ */
+export function getDayStartHour() {
+  return _dayStartHour;
+}
+
+/**
+ * Returns the key of the usage day a point in time belongs to.
+ *
+ * @param {Date} [date=new Date()] - The point in time.
+ * @param {number} [dayStartHour] - The hour days start at; defaults to the setting.
+ * @returns {string} The "YYYY-MM-DD" key of the usage day.
+ */
+export function getDayKey(date = new Date(), dayStartHour = _dayStartHour) {
+  const calendarDay = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() - (date.getHours() < dayStartHour ? 1 : 0)
+  );
+  return formatDateKey(calendarDay);
+}
+
+/**
+ * Returns when a usage day starts.
+ *
+ * @param {string} dayKey - The "YYYY-MM-DD" key of the usage day.
+ * @param {number} [dayStartHour] - The hour days start at; defaults to the setting.
+ * @returns {number} Timestamp (ms). If the hour is skipped by a DST change, the first
+ *                   moment after the gap.
+ */
+export function getDayStartTime(dayKey, dayStartHour = _dayStartHour) {
+  const date = parseDateKey(dayKey);
+  date.setHours(dayStartHour);
+  return date.getTime();
+}
+
+/**
+ * Returns when the usage day after the one containing a point in time starts.
+ *
+ * @param {Date} [date=new Date()] - The point in time.
+ * @param {number} [dayStartHour] - The hour days start at; defaults to the setting.
+ * @returns {number} Timestamp (ms) of the next day start.
+ */
+export function getNextDayStart(
+  date = new Date(),
+  dayStartHour = _dayStartHour
+) {
+  return getDayStartTime(
+    shiftDateKey(getDayKey(date, dayStartHour), 1),
+    dayStartHour
+  );
+}
+
+/**
+ * Tells whether the UTC offset changed since the last call, because of a DST change or
+ * because the user moved to another timezone. Alarms set for a local time need to be
+ * scheduled again when it did.
+ * @returns {boolean} True if the offset changed.
+ */
+export function hasTimezoneChanged() {
+  const offset = new Date().getTimezoneOffset();
+  const changed = offset !== _lastTimezoneOffset;
+  _lastTimezoneOffset = offset;
+  return changed;
+}
+
+/**
+ * Handles changes in browser storage.
+ * If the day-start hour in `appSettings` changed, updates it and tells the callback.
+ * @private
+ * @param {Object} changes - The changes object from browser.storage.onChanged.
+ * @param {string} areaName - The storage area name (e.g., "local", "sync").
+ */
+function _handleStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !changes.appSettings) {
+    return;
+  }
+
+  const settings = changes.appSettings.newValue || {};
+  const hour =
+    settings.dayStartHour !== undefined
+      ? settings.dayStartHour
+      : DEFAULT_DAY_START_HOUR;
+  if (hour !== _dayStartHour) {
+    console.log(`[Clock] Usage days now start at ${hour}:00`);
+    _dayStartHour = hour;
+    if (_onDayStartChanged) {
+      _onDayStartChanged(hour);
+    }
+  }
+}
+
+/**
+ * Initializes the clock: loads the day-start hour and follows later changes to it.
+ * Safe to call more than once; later calls wait for the first one to finish.
+ * @param {Function} [onDayStartChanged] - Optional callback invoked with the new hour
+ *                                         when the day-start hour changes.
+ * @returns {Promise<void>}
+ */
+export function initializeClock(onDayStartChanged) {
+  if (onDayStartChanged) {
+    _onDayStartChanged = onDayStartChanged;
+  }
+
+  if (!_initPromise) {
+    _initPromise = (async () => {
+      try {
+        const settings = await getAppSettings();
+        _dayStartHour = settings.dayStartHour;
+        browser.storage.onChanged.addListener(_handleStorageChange);
+      } catch (error) {
+        console.error('[Clock] Error loading the day-start hour:', error);
+      }
+    })();
+  }
+  return _initPromise;
+}
+
+/**
+ * Returns the key of the current usage day, once the day-start hour is loaded.
+ * @returns {Promise<string>} The "YYYY-MM-DD" key of today's usage day.
+ */
+export async function getTodayKey() {
+  await initializeClock();
+  return getDayKey();
+}
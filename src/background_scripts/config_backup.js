@@ -0,0 +1,502 @@
+/**
+ * @file config_backup.js
+ * @description Exports and imports the full extension configuration and usage history.
+ *
+ * A backup is a versioned JSON envelope:
+ * `{format, version, exportedAt, data: {distractingSites, siteGroups, timeoutNotes,
+ * appSettings, usageHistory: {daily, weekly}}}`.
+ * Imports are validated with validateBackupData and can either merge into the current
+ * configuration (sites matched by URL pattern, groups by name, notes by text) or
+ * replace it. Both modes are planned in full before anything is written, so the
+ * settings page can show the exact diff as a preview.
+ */
+
+import {
+  validateBackupData,
+  validateStorageLimits,
+} from './validation_utils.js';
+import {
+  DAILY_STATS_PREFIX,
+  WEEKLY_ROLLUP_PREFIX,
+  splitHistoryEntries,
+} from './usage_history.js';
+import { flushPendingUsage } from './usage_storage.js';
+
+export const BACKUP_FORMAT = 'firefox-distraction-limiter-backup';
+export const BACKUP_VERSION = 1;
+export const IMPORT_MODES = Object.freeze(['merge', 'replace']);
+
+/**
+ * Reads the current configuration and history from storage.
+ * @private
+ * @returns {Promise<Object>} Data in the same shape as a backup's `data` section.
+ */
+async function _readCurrentData() {
+  // Include usage that is still buffered in memory
+  await flushPendingUsage();
+  const allStorage = await browser.storage.local.get(null);
+  const { daily, weekly } = splitHistoryEntries(allStorage);
+  return {
+    distractingSites: allStorage.distractingSites || [],
+    siteGroups: allStorage.siteGroups || [],
+    timeoutNotes: allStorage.timeoutNotes || [],
+    appSettings: allStorage.appSettings || {},
+    usageHistory: { daily, weekly },
+  };
+}
+
+/**
+ * Creates a backup of the full configuration and usage history.
+ *
+ * @async
+ * @function createBackup
+ * @returns {Promise<Object|null>} A promise that resolves to the backup envelope,
+ *                                 or null if a storage error occurs.
+ */
+export async function createBackup() {
+  try {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: await _readCurrentData(),
+    };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks a backup envelope and validates its data.
+ *
+ * @function parseBackup
+ * @param {Object} backup - The parsed backup file.
+ * @returns {{isValid: boolean, error: string|null, data: Object|null}}
+ *          The sanitized data if valid.
+ */
+export function parseBackup(backup) {
+  if (
+    !backup ||
+    typeof backup !== 'object' ||
+    backup.format !== BACKUP_FORMAT
+  ) {
+    return {
+      isValid: false,
+      error: 'This file is not a Distraction Limiter backup',
+      data: null,
+    };
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return {
+      isValid: false,
+      error: `Unsupported backup version ${backup.version} (this version of the extension reads up to ${BACKUP_VERSION})`,
+      data: null,
+    };
+  }
+
+  const validation = validateBackupData(backup.data);
+  if (!validation.isValid) {
+    return {
+      isValid: false,
+      error: `Invalid backup: ${validation.error}`,
+      data: null,
+    };
+  }
+  return { isValid: true, error: null, data: validation.sanitizedData };
+}
+
+/**
+ * JSON representation with sorted keys, used to detect changed entries.
+ *
+ * @function stableStringify
+ * @param {*} value - Any JSON-compatible value.
+ * @returns {string} The JSON text, identical for objects that differ only in key order.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Returns an ID for an imported entry: the ID of the entry it matched, else its own
+ * ID unless that is already taken, else a fresh one.
+ * @private
+ */
+function _resolveId(incomingId, matchedEntry, takenIds) {
+  if (matchedEntry) {
+    return matchedEntry.id;
+  }
+  const id = takenIds.has(incomingId) ? crypto.randomUUID() : incomingId;
+  takenIds.add(id);
+  return id;
+}
+
+/**
+ * Diffs two lists of entries matched by a key, reporting labels.
+ * @private
+ */
+function _diffEntries(currentList, resultList, keyOf, labelOf) {
+  const currentByKey = new Map(
+    currentList.map((entry) => [keyOf(entry), entry])
+  );
+  const resultKeys = new Set(resultList.map(keyOf));
+  const diff = { added: [], updated: [], removed: [] };
+
+  for (const entry of resultList) {
+    const existing = currentByKey.get(keyOf(entry));
+    if (!existing) {
+      diff.added.push(labelOf(entry));
+    } else if (stableStringify(existing) !== stableStringify(entry)) {
+      diff.updated.push(labelOf(entry));
+    }
+  }
+  for (const entry of currentList) {
+    if (!resultKeys.has(keyOf(entry))) {
+      diff.removed.push(labelOf(entry));
+    }
+  }
+  return diff;
+}
+
+/**
+ * Diffs two usage tables by date key, counting days.
+ * @private
+ */
+function _diffUsageTable(currentTable, resultTable) {
+  const diff = { added: 0, updated: 0, removed: 0 };
+  for (const [dateKey, stats] of Object.entries(resultTable)) {
+    if (!currentTable[dateKey]) {
+      diff.added++;
+    } else if (
+      stableStringify(currentTable[dateKey]) !== stableStringify(stats)
+    ) {
+      diff.updated++;
+    }
+  }
+  for (const dateKey of Object.keys(currentTable)) {
+    if (!resultTable[dateKey]) {
+      diff.removed++;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Merges usage tables, translating incoming site IDs. When both sides have a record
+ * for the same site and date the larger values win, so importing the same backup
+ * twice does not double the usage.
+ * @private
+ */
+function _mergeUsageTable(currentTable, incomingTable, siteIdMap) {
+  const merged = {};
+  for (const [dateKey, stats] of Object.entries(currentTable)) {
+    merged[dateKey] = { ...stats };
+  }
+  for (const [dateKey, stats] of Object.entries(incomingTable)) {
+    merged[dateKey] = merged[dateKey] || {};
+    for (const [incomingSiteId, usage] of Object.entries(stats)) {
+      const siteId = siteIdMap.get(incomingSiteId) || incomingSiteId;
+      const existing = merged[dateKey][siteId];
+      merged[dateKey][siteId] = existing
+        ? Object.fromEntries(
+            Object.keys(usage).map((field) => [
+              field,
+              Math.max(existing[field] || 0, usage[field]),
+            ])
+          )
+        : { ...usage };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Computes the result of an import without writing anything.
+ *
+ * @function planImport
+ * @param {Object} current - The current data (backup `data` shape).
+ * @param {Object} incoming - The validated incoming data (backup `data` shape).
+ * @param {string} mode - 'merge' or 'replace'.
+ * @returns {{result: Object, diff: Object, error: string|null}} The data to store,
+ *          a summary of the changes, and an error if the result would exceed a
+ *          storage limit.
+ */
+export function planImport(current, incoming, mode) {
+  let result;
+
+  if (mode === 'replace') {
+    result = incoming;
+  } else {
+    // Groups are matched by name, sites by URL pattern, notes by text
+    const groupIds = new Set(current.siteGroups.map((group) => group.id));
+    const groupIdMap = new Map();
+    const siteGroups = current.siteGroups.map((group) => ({ ...group }));
+    for (const group of incoming.siteGroups) {
+      const match = siteGroups.find(
+        (existing) => existing.name.toLowerCase() === group.name.toLowerCase()
+      );
+      const id = _resolveId(group.id, match, groupIds);
+      groupIdMap.set(group.id, id);
+      const merged = { ...group, id };
+      if (match) {
+        siteGroups[siteGroups.indexOf(match)] = merged;
+      } else {
+        siteGroups.push(merged);
+      }
+    }
+
+    const siteIds = new Set(current.distractingSites.map((site) => site.id));
+    const siteIdMap = new Map();
+    const distractingSites = current.distractingSites.map((site) => ({
+      ...site,
+    }));
+    for (const site of incoming.distractingSites) {
+      const match = distractingSites.find(
+        (existing) => existing.urlPattern === site.urlPattern
+      );
+      const id = _resolveId(site.id, match, siteIds);
+      siteIdMap.set(site.id, id);
+      const merged = { ...site, id };
+      if (site.groupId) {
+        merged.groupId = groupIdMap.get(site.groupId);
+      }
+      if (match) {
+        distractingSites[distractingSites.indexOf(match)] = merged;
+      } else {
+        distractingSites.push(merged);
+      }
+    }
+
+    const noteIds = new Set(current.timeoutNotes.map((note) => note.id));
+    const timeoutNotes = [...current.timeoutNotes];
+    for (const note of incoming.timeoutNotes) {
+      const exists = timeoutNotes.some(
+        (existing) => existing.text.toLowerCase() === note.text.toLowerCase()
+      );
+      if (!exists) {
+        timeoutNotes.push({ ...note, id: _resolveId(note.id, null, noteIds) });
+      }
+    }
+
+    result = {
+      distractingSites,
+      siteGroups,
+      timeoutNotes,
+      appSettings: { ...current.appSettings, ...incoming.appSettings },
+      usageHistory: {
+        daily: _mergeUsageTable(
+          current.usageHistory.daily,
+          incoming.usageHistory.daily,
+          siteIdMap
+        ),
+        weekly: _mergeUsageTable(
+          current.usageHistory.weekly,
+          incoming.usageHistory.weekly,
+          siteIdMap
+        ),
+      },
+    };
+  }
+
+  // The imported lists must fit, i.e. their last entry must have been addable
+  let error = null;
+  for (const [dataType, list] of [
+    ['sites', result.distractingSites],
+    ['groups', result.siteGroups],
+    ['notes', result.timeoutNotes],
+  ]) {
+    const limitCheck = validateStorageLimits(dataType, list.length - 1);
+    if (!limitCheck.isValid) {
+      error = limitCheck.error;
+      break;
+    }
+  }
+
+  const diff = {
+    mode,
+    sites: _diffEntries(
+      current.distractingSites,
+      result.distractingSites,
+      (site) => site.urlPattern,
+      (site) => site.urlPattern
+    ),
+    groups: _diffEntries(
+      current.siteGroups,
+      result.siteGroups,
+      (group) => group.name.toLowerCase(),
+      (group) => group.name
+    ),
+    notes: _diffEntries(
+      current.timeoutNotes,
+      result.timeoutNotes,
+      (note) => note.text.toLowerCase(),
+      (note) => note.text
+    ),
+    settingsChanged:
+      stableStringify(current.appSettings) !==
+      stableStringify(result.appSettings),
+    usageDays: _diffUsageTable(
+      current.usageHistory.daily,
+      result.usageHistory.daily
+    ),
+    usageWeeks: _diffUsageTable(
+      current.usageHistory.weekly,
+      result.usageHistory.weekly
+    ),
+  };
+
+  return { result, diff, error };
+}
+
+/**
+ * Validates a backup and computes what importing it would change.
+ *
+ * @async
+ * @function previewImport
+ * @param {Object} backup - The parsed backup file.
+ * @param {string} mode - 'merge' or 'replace'.
+ * @returns {Promise<Object|null>} A promise that resolves to `{isValid, error, diff}`
+ *                                 (the diff if the backup can be imported),
+ *                                 or null if a storage error occurs.
+ */
+export async function previewImport(backup, mode) {
+  const parsed = parseBackup(backup);
+  if (!parsed.isValid) {
+    return { isValid: false, error: parsed.error, diff: null };
+  }
+  try {
+    const plan = planImport(await _readCurrentData(), parsed.data, mode);
+    if (plan.error) {
+      return { isValid: false, error: plan.error, diff: null };
+    }
+    return { isValid: true, error: null, diff: plan.diff };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return null;
+  }
+}
+
+/**
+ * Imports a backup, merging into or replacing the current configuration.
+ *
+ * @async
+ * @function importBackup
+ * @param {Object} backup - The parsed backup file.
+ * @param {string} mode - 'merge' or 'replace'.
+ * @returns {Promise<Object|null>} A promise that resolves to `{isValid, error, diff}`
+ *                                 (the applied diff if the import succeeded),
+ *                                 or null if a storage error occurs.
+ */
+export async function importBackup(backup, mode) {
+  const parsed = parseBackup(backup);
+  if (!parsed.isValid) {
+    return { isValid: false, error: parsed.error, diff: null };
+  }
+
+  try {
+    const current = await _readCurrentData();
+    const { result, diff, error } = planImport(current, parsed.data, mode);
+    if (error) {
+      return { isValid: false, error, diff: null };
+    }
+
+    const items = {
+      distractingSites: result.distractingSites,
+      siteGroups: result.siteGroups,
+      timeoutNotes: result.timeoutNotes,
+      appSettings: result.appSettings,
+    };
+    for (const [dateKey, stats] of Object.entries(result.usageHistory.daily)) {
+      items[`${DAILY_STATS_PREFIX}${dateKey}`] = stats;
+    }
+    for (const [weekKey, stats] of Object.entries(result.usageHistory.weekly)) {
+      items[`${WEEKLY_ROLLUP_PREFIX}${weekKey}`] = stats;
+    }
+    await browser.storage.local.set(items);
+
+    // Replacing drops history the backup does not contain
+    const staleKeys = [
+      ...Object.keys(current.usageHistory.daily)
+        .filter((dateKey) => !result.usageHistory.daily[dateKey])
+        .map((dateKey) => `${DAILY_STATS_PREFIX}${dateKey}`),
+      ...Object.keys(current.usageHistory.weekly)
+        .filter((weekKey) => !result.usageHistory.weekly[weekKey])
+        .map((weekKey) => `${WEEKLY_ROLLUP_PREFIX}${weekKey}`),
+    ];
+    if (staleKeys.length > 0) {
+      await browser.storage.local.remove(staleKeys);
+    }
+
+    return { isValid: true, error: null, diff };
+  } catch (error) {
+    console.error('Error importing backup:', error);
+    return null;
+  }
+}
+
+/**
+ * Quotes a CSV field when needed. Fields that a spreadsheet would read as a formula
+ * (such as the exact-host pattern `=x.com`) are prefixed with an apostrophe.
+ * @private
+ */
+function _csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the stored daily usage as CSV, one row per site and day, oldest day first.
+ * Usage of sites that have since been deleted is included with an empty URL pattern.
+ *
+ * @async
+ * @function createUsageCsv
+ * @returns {Promise<string|null>} A promise that resolves to the CSV text,
+ *                                 or null if a storage error occurs.
+ */
+export async function createUsageCsv() {
+  try {
+    const current = await _readCurrentData();
+    const patterns = new Map(
+      current.distractingSites.map((site) => [site.id, site.urlPattern])
+    );
+
+    const rows = [
+      'date,url_pattern,site_id,time_spent_seconds,time_spent_minutes,opens',
+    ];
+    for (const dateKey of Object.keys(current.usageHistory.daily).sort()) {
+      for (const [siteId, usage] of Object.entries(
+        current.usageHistory.daily[dateKey]
+      )) {
+        const seconds = usage.timeSpentSeconds || 0;
+        rows.push(
+          [
+            dateKey,
+            patterns.get(siteId) || '',
+            siteId,
+            seconds,
+            (seconds / 60).toFixed(1),
+            usage.opens || 0,
+          ]
+            .map(_csvField)
+            .join(',')
+        );
+      }
+    }
+    return `${rows.join('\n')}\n`;
+  } catch (error) {
+    console.error('Error creating usage CSV:', error);
+    return null;
+  }
+}
@@ -2,39 +2,41 @@
  * @file daily_reset.js
  * @description Manages the daily reset functionality for site usage statistics.
  * This module provides functions to initialize the daily reset alarm and perform
- * the actual reset operation. The alarm listener is now handled by background.js
+ * the actual reset operation, which prunes usage history beyond the retention window. The alarm listener is now handled by background.js
  * as part of the event-driven architecture.
  */
 
-import { getUsageStats } from './usage_storage.js';
+import { getUsageStats, flushPendingUsage } from './usage_storage.js';
+import { getAppSettings } from './settings_storage.js';
+import {
+  DAILY_STATS_PREFIX,
+  WEEKLY_ROLLUP_PREFIX,
+  splitHistoryEntries,
+  rollUpDailyStats,
+} from './usage_history.js';
+import {
+  initializeClock,
+  getTodayKey,
+  getNextDayStart,
+  shiftDateKey,
+  getWeekStartKey,
+} from './clock.js';
+import { deleteSessionLogBefore } from './session_log.js';
+import { getFirstNeededDayKey } from './period_budget.js';
+import { settleRolloverBank } from './rollover_bank.js';
 
 // Name for the daily reset alarm - updated to match background.js
 const DAILY_USAGE_RESET_ALARM_NAME = 'dailyResetAlarm';
 
-/**
- * Calculates the timestamp for the next occurrence of midnight.
- * This is used to schedule the alarm's first run.
- *
- * @returns {number} The timestamp (milliseconds since epoch) for the next midnight.
- */
-function getNextMidnight() {
-  const now = new Date();
-  // Create a date object for today, then advance to tomorrow
-  const tomorrow = new Date(
-    now.getFullYear(),
-    now.getMonth(),
-    now.getDate() + 1
-  );
-  // Set time to 00:00:00 for the start of tomorrow
-  tomorrow.setHours(0, 0, 0, 0);
-  return tomorrow.getTime();
-}
+// Weekly rollups are kept for about two years
+const WEEKLY_ROLLUP_RETENTION_WEEKS = 104;
 
 /**
  * Initializes the daily reset alarm.
- * This function creates a WebExtension alarm that is scheduled to fire at the next
- * midnight and then periodically every 24 hours.
- * It should be called once, typically from the background script on extension startup.
+ * This function creates a WebExtension alarm that fires once, when the next usage day
+ * starts (see clock.js). A repeating 24-hour alarm would drift away from the day start
+ * with every DST change, so the background script schedules it again each time it
+ * fires, on startup, and when the day-start hour or the timezone changes.
  *
  * @async
  * @returns {Promise<void>}
@@ -42,10 +44,10 @@ function getNextMidnight() {
  */
 export async function initializeDailyResetAlarm() {
   try {
-    const nextRunTime = getNextMidnight();
+    await initializeClock();
+    const nextRunTime = getNextDayStart();
     await browser.alarms.create(DAILY_USAGE_RESET_ALARM_NAME, {
       when: nextRunTime,
-      periodInMinutes: 24 * 60, // Every 24 hours
     });
 
     // Confirm and log scheduled time
@@ -69,10 +71,15 @@ export async function initializeDailyResetAlarm() {
 }
 
 /**
- * Performs the daily reset of usage statistics.
- * This function clears all usage data that is older than the current day,
- * effectively resetting daily usage tracking. It preserves the current day's
- * data if any exists.
+ * Performs the daily maintenance of usage statistics.
+ * Daily stats stay in storage for the configured history retention window
+ * (`historyRetentionDays` in the app settings) so the statistics page can show them,
+ * and longer if weekly or monthly budgets still need them (see period_budget.js).
+ * Before that, the days that ended since the last reset are settled in the rollover bank
+ * (see rollover_bank.js).
+ * Days that fall out of the window are folded into weekly rollups before being
+ * removed, and rollups older than WEEKLY_ROLLUP_RETENTION_WEEKS are dropped. The session
+ * log (see session_log.js) keeps the same days as the daily stats.
  *
  * @async
  * @returns {Promise<void>}
@@ -80,24 +87,77 @@ export async function initializeDailyResetAlarm() {
  */
 export async function performDailyReset() {
   const currentTime = new Date();
-  const currentDateString = currentTime.toISOString().split('T')[0]; // YYYY-MM-DD format
+  const currentDateString = await getTodayKey(); // The usage day, as used by the usage keys
 
   console.log(
     `[DailyReset] Starting daily reset process at ${currentTime.toISOString()}`
   );
 
   try {
-    // Get all storage keys to find usage statistics
+    const { historyRetentionDays } = await getAppSettings();
+    const oldestKeptWeek = getWeekStartKey(
+      shiftDateKey(currentDateString, -7 * WEEKLY_ROLLUP_RETENTION_WEEKS)
+    );
+
+    // Get all storage keys to find usage statistics, including buffered usage
+    await flushPendingUsage();
     const allStorage = await browser.storage.local.get(null);
-    const usageStatsKeys = Object.keys(allStorage).filter((key) =>
-      key.startsWith('usageStats-')
+    const { daily, weekly } = splitHistoryEntries(allStorage);
+
+    // Bank the unused time of the days that ended, while their usage is still stored
+    await settleRolloverBank(
+      currentDateString,
+      allStorage.distractingSites || []
     );
 
-    // Identify keys that are not for today
-    const keysToRemove = usageStatsKeys.filter((key) => {
-      const dateFromKey = key.replace('usageStats-', '');
-      return dateFromKey !== currentDateString;
-    });
+    // Weekly and monthly budgets add up the daily stats of the current week and month,
+    // so those days stay even when they are older than the retention window
+    const retentionStart = shiftDateKey(
+      currentDateString,
+      -(historyRetentionDays - 1)
+    );
+    const budgetStart = getFirstNeededDayKey(
+      allStorage.distractingSites || [],
+      currentDateString
+    );
+    const oldestKeptDate =
+      budgetStart && budgetStart < retentionStart
+        ? budgetStart
+        : retentionStart;
+
+    // Identify days that fell out of the retention window
+    const expiredDailyStats = {};
+    Object.keys(daily)
+      .filter((dateKey) => dateKey < oldestKeptDate)
+      .forEach((dateKey) => {
+        expiredDailyStats[dateKey] = daily[dateKey];
+      });
+
+    // Fold them into their weekly rollups, skipping weeks that are too old to keep
+    const updatedRollups = rollUpDailyStats(expiredDailyStats, weekly);
+    const rollupItems = {};
+    Object.keys(updatedRollups)
+      .filter((weekKey) => weekKey >= oldestKeptWeek)
+      .forEach((weekKey) => {
+        rollupItems[`${WEEKLY_ROLLUP_PREFIX}${weekKey}`] =
+          updatedRollups[weekKey];
+      });
+
+    if (Object.keys(rollupItems).length > 0) {
+      console.log(
+        `[DailyReset] Rolling ${Object.keys(expiredDailyStats).length} day(s) into ${Object.keys(rollupItems).length} weekly rollup(s)`
+      );
+      await browser.storage.local.set(rollupItems);
+    }
+
+    const keysToRemove = [
+      ...Object.keys(expiredDailyStats).map(
+        (dateKey) => `${DAILY_STATS_PREFIX}${dateKey}`
+      ),
+      ...Object.keys(weekly)
+        .filter((weekKey) => weekKey < oldestKeptWeek)
+        .map((weekKey) => `${WEEKLY_ROLLUP_PREFIX}${weekKey}`),
+    ];
 
     if (keysToRemove.length > 0) {
       console.log(
@@ -109,6 +169,13 @@ export async function performDailyReset() {
       console.log('[DailyReset] No old usage statistics found to remove');
     }
 
+    const removedSessions = await deleteSessionLogBefore(oldestKeptDate);
+    if (removedSessions > 0) {
+      console.log(
+        `[DailyReset] Removed ${removedSessions} session(s) from the session log`
+      );
+    }
+
     // Verify current day's stats still exist (should be preserved)
     const currentDayStats = await getUsageStats(currentDateString);
     const sitesCount = Object.keys(currentDayStats).length;
@@ -1,38 +1,22 @@
 /**
  * @file distraction_detector.js
  * @description Manages the list of distracting sites and provides a function
- * to check if a given URL is considered distracting based on hostname matching.
+ * to check if a given URL is considered distracting using the shared URL matcher.
  * It loads distracting sites from storage and keeps the list updated if changes occur.
+ * Keyword and title rules live in the same list; callers that know the tab title pass
+ * it along so `title:` rules can match. The cached list is also handed out to the
+ * background counting that runs on every usage timer tick, so it needn't read storage.
  */
 
 import { getDistractingSites } from './site_storage.js';
+import { findMatchingSite, usesTabTitle } from './url_matcher.js';
 
 let _distractingSitesCache = [];
+let _hasTitleRules = false;
+let _hasBackgroundSites = false;
 let _isInitialized = false;
 let _onSitesReloadedCallback = null; // Callback for when sites are reloaded
 
-/**
- * Extracts the hostname from a given URL string.
- * @private
- * @param {string} urlString - The URL to parse.
- * @returns {string|null} The hostname, or null if the URL is invalid or not http/https.
- */
-function _getHostnameFromUrl(urlString) {
-  try {
-    if (
-      !urlString ||
-      (!urlString.startsWith('http:') && !urlString.startsWith('https:'))
-    ) {
-      return null;
-    }
-    const url = new URL(urlString);
-    return url.hostname;
-  } catch {
-    // Log quietly as this can happen with temporary/internal URLs
-    return null;
-  }
-}
-
 /**
  * Loads distracting sites from storage and updates the local cache.
  * @returns {Promise<void>}
@@ -41,6 +25,12 @@ export async function loadDistractingSitesFromStorage() {
   try {
     const sites = await getDistractingSites();
     _distractingSitesCache = sites && Array.isArray(sites) ? sites : [];
+    _hasTitleRules = _distractingSitesCache.some(
+      (site) => site.isEnabled !== false && usesTabTitle(site.urlPattern)
+    );
+    _hasBackgroundSites = _distractingSitesCache.some(
+      (site) => site.isEnabled !== false && site.trackInBackground
+    );
     console.log(
       '[DistractionDetector] Distracting sites cache reloaded:',
       _distractingSitesCache
@@ -54,12 +44,16 @@ export async function loadDistractingSitesFromStorage() {
       error
     );
     _distractingSitesCache = []; // Ensure cache is an array even on error
+    _hasTitleRules = false;
+    _hasBackgroundSites = false;
   }
 }
 
 /**
  * Handles changes in browser storage.
  * If `distractingSites` are changed, reloads them into the cache.
+ * Changes in the `sync` area are not read here: sync_manager.js applies synced sites to
+ * storage.local, and that write triggers the reload like any local edit.
  * @param {Object} changes - The changes object from browser.storage.onChanged.
  * @param {string} areaName - The storage area name (e.g., "local", "sync").
  */
@@ -94,39 +88,54 @@ export async function initializeDistractionDetector(onSitesReloaded) {
 }
 
 /**
- * Checks if the given URL matches any of the cached distracting sites based on hostname.
+ * Tells whether any enabled site matches on the tab title, so title changes are worth
+ * checking.
+ * @returns {boolean}
+ */
+export function hasTitleRules() {
+  return _hasTitleRules;
+}
+
+/**
+ * Tells whether any enabled site counts in the background (`trackInBackground`), so
+ * other tabs are worth looking at.
+ * @returns {boolean}
+ */
+export function hasBackgroundSites() {
+  return _hasBackgroundSites;
+}
+
+/**
+ * Returns the cached distracting sites, kept in step with storage.
+ * @returns {Array<Object>}
+ */
+export function getCachedDistractingSites() {
+  return _distractingSitesCache;
+}
+
+/**
+ * Checks if the given URL matches any of the cached distracting sites.
  * @param {string} url - The URL to check.
+ * @param {string} [title] - The tab title, if known; `title:` rules don't match without it.
  * @returns {{isMatch: boolean, siteId: string|null, matchingPattern: string|null}}
  *           Object indicating if it's a match, the ID of the matched site, and the pattern that matched.
  */
-export function checkIfUrlIsDistracting(url) {
+export function checkIfUrlIsDistracting(url, title) {
   if (!_isInitialized) {
     console.warn(
       '[DistractionDetector] Detector not initialized. Call initializeDistractionDetector first.'
     );
     return { isMatch: false, siteId: null, matchingPattern: null };
   }
-  const currentHostname = _getHostnameFromUrl(url);
-  if (!currentHostname) {
-    return { isMatch: false, siteId: null, matchingPattern: null };
-  }
-
-  for (const site of _distractingSitesCache) {
-    // Ensure site.urlPattern exists and is a string before attempting to match
-    if (site.urlPattern && typeof site.urlPattern === 'string') {
-      // The pattern should be a substring of the hostname, not the other way around
-      // This allows 'example.com' to match both 'example.com' and 'sub.example.com'
-      if (
-        currentHostname.includes(site.urlPattern) &&
-        site.isEnabled !== false
-      ) {
-        return {
-          isMatch: true,
-          siteId: site.id,
-          matchingPattern: site.urlPattern,
-        };
-      }
-    }
+  // The shared matcher handles host/subdomain rules, paths, globs, regex and
+  // exclusions, and picks the most specific rule when several match.
+  const site = findMatchingSite(url, _distractingSitesCache, title);
+  if (site) {
+    return {
+      isMatch: true,
+      siteId: site.id,
+      matchingPattern: site.urlPattern,
+    };
   }
   return { isMatch: false, siteId: null, matchingPattern: null };
 }
@@ -0,0 +1,183 @@
+/**
+ * @file enforcement_modes.js
+ * @description Decides what happens on a site once its limit is used up, and tells its
+ * pages about the soft modes (content_scripts/soft_enforcement.js applies them).
+ *
+ * A site's `enforcement` lists escalation steps, `[{mode, afterMinutes}]`: each step takes
+ * over once the time spent is `afterMinutes` past the limit, e.g. grayscale at the limit
+ * and a hard block 10 minutes later. Without it the site is blocked at the limit. Modes:
+ * - 'block': the tab is sent to the timeout page
+ * - 'grayscale': the page loses its colours
+ * - 'blur': the page is blurred and dimmed behind a notice that can be dismissed after
+ *   BLUR_DISMISS_DELAY_SECONDS
+ * - 'delay': every page load is held back, the longer the further past the limit
+ *
+ * Escalation is measured in time past the time limit that was used up; a site that is
+ * only over an open limit stays on its first step. Schedule and focus blocks always block.
+ */
+
+/** Steps of a site without its own: a hard block at the limit. */
+export const DEFAULT_ENFORCEMENT = [{ mode: 'block', afterMinutes: 0 }];
+
+/** How long the blur notice stays before it can be dismissed. */
+export const BLUR_DISMISS_DELAY_SECONDS = 15;
+
+/** Page loads are held back 5 seconds at the limit, 5 more every 5 minutes past it. */
+const LOAD_DELAY_BASE_SECONDS = 5;
+const LOAD_DELAY_STEP_MINUTES = 5;
+const MAX_LOAD_DELAY_SECONDS = 60;
+
+// Soft enforcement last sent to each tab, as JSON, so unchanged states aren't resent
+const _tabStates = new Map();
+
+/**
+ * Returns the escalation steps of a site.
+ *
+ * @param {Object} site - The site configuration.
+ * @returns {Array<{mode: string, afterMinutes: number}>} The steps, first one at the limit.
+ */
+export function getEnforcementSteps(site) {
+  return Array.isArray(site.enforcement) && site.enforcement.length > 0
+    ? site.enforcement
+    : DEFAULT_ENFORCEMENT;
+}
+
+/**
+ * Returns how long a page load is held back in 'delay' mode.
+ *
+ * @param {number} overSeconds - Time spent past the limit.
+ * @returns {number} The delay in seconds.
+ */
+export function getLoadDelaySeconds(overSeconds) {
+  const steps = Math.floor(
+    Math.max(0, overSeconds) / (LOAD_DELAY_STEP_MINUTES * 60)
+  );
+  return Math.min(
+    MAX_LOAD_DELAY_SECONDS,
+    LOAD_DELAY_BASE_SECONDS * (steps + 1)
+  );
+}
+
+/**
+ * Works out the enforcement in force for a site that is over its limit.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {number} overSeconds - Time spent past the time limit (0 if only an open limit
+ *                               is used up).
+ * @returns {{mode: string, next: {mode: string, inSeconds: number}|null,
+ *          dismissAfterSeconds?: number, delaySeconds?: number}} The mode, the step that
+ *          follows it (if any) and the options of the mode.
+ */
+export function resolveEnforcement(site, overSeconds) {
+  const steps = getEnforcementSteps(site);
+  const over = Math.max(0, overSeconds);
+  let index = 0;
+  while (
+    index + 1 < steps.length &&
+    over >= steps[index + 1].afterMinutes * 60
+  ) {
+    index++;
+  }
+
+  const { mode } = steps[index];
+  const following = steps[index + 1];
+  const enforcement = {
+    mode,
+    next: following
+      ? { mode: following.mode, inSeconds: following.afterMinutes * 60 - over }
+      : null,
+  };
+  if (mode === 'blur') {
+    enforcement.dismissAfterSeconds = BLUR_DISMISS_DELAY_SECONDS;
+  } else if (mode === 'delay') {
+    enforcement.delaySeconds = getLoadDelaySeconds(over);
+  }
+  return enforcement;
+}
+
+/**
+ * Tells whether a checkAndBlockSite result only needs a soft mode, so the tab stays on
+ * the page. Results without an enforcement are hard blocks.
+ *
+ * @param {Object} blockResult - The result of checkAndBlockSite.
+ * @returns {boolean} True if the site is over its limit and enforced softly.
+ */
+export function isSoftEnforcement(blockResult) {
+  return Boolean(
+    blockResult.shouldBlock &&
+    blockResult.enforcement &&
+    blockResult.enforcement.mode !== 'block'
+  );
+}
+
+/**
+ * Describes what a page has to apply for a checkAndBlockSite result.
+ *
+ * @param {Object} blockResult - The result of checkAndBlockSite.
+ * @returns {Object|null} `{mode, reason, nextMode, dismissAfterSeconds?, delaySeconds?}` for
+ *          soft modes, or null if the page is left alone (or is blocked outright).
+ */
+export function describePageEnforcement(blockResult) {
+  if (!isSoftEnforcement(blockResult)) {
+    return null;
+  }
+  const { mode, next, ...options } = blockResult.enforcement;
+  return {
+    mode,
+    reason: blockResult.reason,
+    // Only the mode that follows; the countdown to it would change on every check
+    nextMode: next ? next.mode : null,
+    ...options,
+  };
+}
+
+/**
+ * Remembers the state a tab's page asked for itself, so it isn't sent again.
+ *
+ * @param {number} tabId - The tab.
+ * @param {Object|null} state - The state (see describePageEnforcement).
+ */
+export function rememberTabEnforcement(tabId, state) {
+  if (state) {
+    _tabStates.set(tabId, JSON.stringify(state));
+  } else {
+    _tabStates.delete(tabId);
+  }
+}
+
+/**
+ * Sends a tab the soft enforcement its page has to apply, if it changed. A page that
+ * isn't listening yet asks for its state once it loads.
+ *
+ * @async
+ * @param {number} tabId - The tab.
+ * @param {Object|null} state - The state (see describePageEnforcement); null lifts it.
+ * @returns {Promise<boolean>} Whether a message was sent.
+ */
+export async function sendTabEnforcement(tabId, state) {
+  const serialized = state ? JSON.stringify(state) : undefined;
+  if (_tabStates.get(tabId) === serialized) {
+    return false;
+  }
+  rememberTabEnforcement(tabId, state);
+
+  try {
+    await browser.tabs.sendMessage(tabId, {
+      type: 'enforcementChanged',
+      enforcement: state,
+    });
+    return true;
+  } catch {
+    // No content script in the page (yet); it asks when it loads
+    return false;
+  }
+}
+
+/**
+ * Forgets a tab, e.g. when it is closed or sent to the timeout page.
+ *
+ * @param {number} tabId - The tab.
+ */
+export function forgetTabEnforcement(tabId) {
+  _tabStates.delete(tabId);
+}
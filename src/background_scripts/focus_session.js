@@ -0,0 +1,396 @@
+/**
+ * @file focus_session.js
+ * @description Timed focus sessions ("Pomodoro mode").
+ *
+ * A focus session fully blocks a list of sites for a fixed time, however much of their
+ * daily budget is left. A session runs `cycles` focus periods of `focusMinutes` each,
+ * with a break of `breakMinutes` between them during which the sites are allowed again.
+ *
+ * The running session is kept in storage.local (`focusSession`) and its phase is worked
+ * out from the start time, so blocking stays correct even if an alarm is missed. Alarms
+ * only drive the side effects: `focusPhaseEnd` fires when the current phase ends (to send
+ * notifications and finish the session) and `focusTick` refreshes the badge countdown
+ * every minute. Like `usageTimer`, both are recreated when the background script starts.
+ *
+ * Finished and stopped sessions are appended to the focus history (`focusHistory`).
+ */
+
+/** Storage key of the running session. */
+export const FOCUS_SESSION_KEY = 'focusSession';
+
+/** Storage key of the session history. */
+export const FOCUS_HISTORY_KEY = 'focusHistory';
+
+/** Oldest sessions are dropped once the history grows past this size. */
+export const MAX_FOCUS_HISTORY_ENTRIES = 200;
+
+/** Alarm that fires when the current phase of the session ends. */
+export const FOCUS_PHASE_ALARM = 'focusPhaseEnd';
+
+/** Alarm that refreshes the badge countdown while a session runs. */
+export const FOCUS_TICK_ALARM = 'focusTick';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Works out where a session stands at a given time.
+ *
+ * @param {Object} session - The session (`{startedAt, focusMinutes, breakMinutes, cycles}`)
+ * @param {number} now - The current time in ms
+ * @returns {{phase: string, cycle: number, phaseEndsAt: number|null}}
+ *          The phase ('focus', 'break' or 'ended'), the focus cycle it belongs to
+ *          (1-based) and when the phase ends
+ */
+export function getFocusPhase(session, now) {
+  const focusMs = session.focusMinutes * MINUTE_MS;
+  const cycleMs = focusMs + session.breakMinutes * MINUTE_MS;
+  const elapsed = Math.max(0, now - session.startedAt);
+
+  const index = Math.min(Math.floor(elapsed / cycleMs), session.cycles - 1);
+  const cycleStart = session.startedAt + index * cycleMs;
+
+  if (now < cycleStart + focusMs) {
+    return {
+      phase: 'focus',
+      cycle: index + 1,
+      phaseEndsAt: cycleStart + focusMs,
+    };
+  }
+  if (index < session.cycles - 1 && now < cycleStart + cycleMs) {
+    return {
+      phase: 'break',
+      cycle: index + 1,
+      phaseEndsAt: cycleStart + cycleMs,
+    };
+  }
+  return { phase: 'ended', cycle: session.cycles, phaseEndsAt: null };
+}
+
+/**
+ * Returns when a session ends if it is not stopped early.
+ *
+ * @param {Object} session - The session
+ * @returns {number} Timestamp (ms) of the end of the last focus period
+ */
+export function getFocusSessionEnd(session) {
+  return (
+    session.startedAt +
+    session.cycles * session.focusMinutes * MINUTE_MS +
+    (session.cycles - 1) * session.breakMinutes * MINUTE_MS
+  );
+}
+
+/**
+ * Counts the focus periods of a session that were completed by a given time.
+ *
+ * @param {Object} session - The session
+ * @param {number} now - The time in ms
+ * @returns {number} Number of finished focus periods
+ */
+export function countCompletedCycles(session, now) {
+  const focusMs = session.focusMinutes * MINUTE_MS;
+  const cycleMs = focusMs + session.breakMinutes * MINUTE_MS;
+  const elapsed = now - session.startedAt;
+  if (elapsed < focusMs) {
+    return 0;
+  }
+  return Math.min(
+    session.cycles,
+    Math.floor((elapsed - focusMs) / cycleMs) + 1
+  );
+}
+
+/**
+ * Adds the current phase to a session, for the popup and the badge.
+ *
+ * @param {Object|null} session - The running session, if any
+ * @param {number} now - The current time in ms
+ * @returns {Object|null} The session with `phase`, `cycle`, `phaseEndsAt` and `endsAt`,
+ *                        or null if there is no session
+ */
+export function describeFocusSession(session, now) {
+  if (!session) {
+    return null;
+  }
+  return {
+    ...session,
+    ...getFocusPhase(session, now),
+    endsAt: getFocusSessionEnd(session),
+  };
+}
+
+/**
+ * Checks whether a session blocks a site right now.
+ *
+ * @param {Object|null} session - The running session, if any
+ * @param {string} siteId - The site's ID
+ * @param {number} now - The current time in ms
+ * @returns {{cycle: number, phaseEndsAt: number}|null} The focus period blocking the
+ *          site, or null if the site is allowed
+ */
+export function getFocusBlock(session, siteId, now) {
+  if (!session) {
+    return null;
+  }
+  if (session.siteIds.length > 0 && !session.siteIds.includes(siteId)) {
+    return null;
+  }
+
+  const { phase, cycle, phaseEndsAt } = getFocusPhase(session, now);
+  return phase === 'focus' ? { cycle, phaseEndsAt } : null;
+}
+
+/**
+ * Shows a notification, ignoring failures (notifications are a nicety).
+ * @private
+ */
+async function _notify(title, message) {
+  try {
+    await browser.notifications.create({
+      type: 'basic',
+      iconUrl: 'assets/icons/icon-48.png',
+      title,
+      message,
+    });
+  } catch (error) {
+    console.warn('[FocusSession] Could not create notification:', error);
+  }
+}
+
+/**
+ * Creates the alarms for the current phase of a running session.
+ * @private
+ */
+async function _scheduleAlarms(session, now) {
+  const { phaseEndsAt } = getFocusPhase(session, now);
+  if (!phaseEndsAt) {
+    return;
+  }
+  await browser.alarms.create(FOCUS_PHASE_ALARM, { when: phaseEndsAt });
+  await browser.alarms.create(FOCUS_TICK_ALARM, { periodInMinutes: 1 });
+}
+
+/**
+ * Removes the alarms of a session.
+ * @private
+ */
+async function _clearAlarms() {
+  await browser.alarms.clear(FOCUS_PHASE_ALARM);
+  await browser.alarms.clear(FOCUS_TICK_ALARM);
+}
+
+/**
+ * Retrieves the running focus session.
+ *
+ * @async
+ * @function getFocusSession
+ * @returns {Promise<Object|null>} A promise that resolves to the session
+ *   (`{id, startedAt, focusMinutes, breakMinutes, cycles, siteIds}`), or null if none
+ *   is running or an error occurs. The session may have run out; see getFocusPhase.
+ */
+export async function getFocusSession() {
+  try {
+    const result = await browser.storage.local.get(FOCUS_SESSION_KEY);
+    return result[FOCUS_SESSION_KEY] || null;
+  } catch (error) {
+    console.error('Error getting focus session:', error);
+    return null;
+  }
+}
+
+/**
+ * Retrieves the focus session history, oldest session first.
+ *
+ * @async
+ * @function getFocusHistory
+ * @returns {Promise<Array<Object>>} A promise that resolves to the history entries.
+ *                                    Returns an empty array if there are none or an error occurs.
+ */
+export async function getFocusHistory() {
+  try {
+    const result = await browser.storage.local.get(FOCUS_HISTORY_KEY);
+    return result[FOCUS_HISTORY_KEY] || [];
+  } catch (error) {
+    console.error('Error getting focus history:', error);
+    return [];
+  }
+}
+
+/**
+ * Ends a session and records it in the history.
+ * @private
+ * @param {Object} session - The session to end
+ * @param {string} status - 'completed' or 'stopped'
+ * @param {number} now - The current time in ms
+ * @returns {Promise<Object>} The history entry
+ */
+async function _finishFocusSession(session, status, now) {
+  const endedAt = status === 'completed' ? getFocusSessionEnd(session) : now;
+  const entry = {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt,
+    focusMinutes: session.focusMinutes,
+    breakMinutes: session.breakMinutes,
+    cycles: session.cycles,
+    completedCycles: countCompletedCycles(session, endedAt),
+    status,
+    siteIds: session.siteIds,
+  };
+
+  const history = await getFocusHistory();
+  await browser.storage.local.set({
+    [FOCUS_SESSION_KEY]: null,
+    [FOCUS_HISTORY_KEY]: [...history, entry].slice(-MAX_FOCUS_HISTORY_ENTRIES),
+  });
+  await _clearAlarms();
+
+  return entry;
+}
+
+/**
+ * Starts a focus session and announces it with a notification.
+ *
+ * @async
+ * @function startFocusSession
+ * @param {Object} options - Validated session options (see validateAppSettings)
+ * @param {number} options.focusMinutes - Length of each focus period
+ * @param {number} options.focusBreakMinutes - Length of the breaks between them
+ * @param {number} options.focusCycles - Number of focus periods
+ * @param {Array<string>} options.focusSiteIds - Sites to block; empty blocks all sites
+ * @param {number} [now=Date.now()] - The current time in ms
+ * @returns {Promise<{session: Object|null, error: string|null}>} A promise that resolves
+ *          to the new session, or to a message explaining why none was started.
+ */
+export async function startFocusSession(options, now = Date.now()) {
+  const running = await getFocusSession();
+  if (running && getFocusPhase(running, now).phase !== 'ended') {
+    return { session: null, error: 'A focus session is already running.' };
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    startedAt: now,
+    focusMinutes: options.focusMinutes,
+    breakMinutes: options.focusBreakMinutes,
+    cycles: options.focusCycles,
+    siteIds: [...options.focusSiteIds],
+  };
+
+  try {
+    if (running) {
+      await _finishFocusSession(running, 'completed', now);
+    }
+    await browser.storage.local.set({ [FOCUS_SESSION_KEY]: session });
+    await _scheduleAlarms(session, now);
+  } catch (error) {
+    console.error('Error starting focus session:', error);
+    return {
+      session: null,
+      error: 'Failed to start the focus session. Please try again.',
+    };
+  }
+
+  await _notify(
+    'Focus session started',
+    session.cycles > 1
+      ? `${session.cycles} × ${session.focusMinutes} minutes of focus, with ${session.breakMinutes} minute breaks.`
+      : `Stay focused for the next ${session.focusMinutes} minutes.`
+  );
+
+  return { session, error: null };
+}
+
+/**
+ * Stops the running focus session early.
+ *
+ * @async
+ * @function stopFocusSession
+ * @param {number} [now=Date.now()] - The current time in ms
+ * @returns {Promise<Object|null>} A promise that resolves to the history entry of the
+ *                                 stopped session, or null if none was running or an error occurs.
+ */
+export async function stopFocusSession(now = Date.now()) {
+  const session = await getFocusSession();
+  if (!session) {
+    return null;
+  }
+
+  try {
+    const ended = getFocusPhase(session, now).phase === 'ended';
+    return await _finishFocusSession(
+      session,
+      ended ? 'completed' : 'stopped',
+      now
+    );
+  } catch (error) {
+    console.error('Error stopping focus session:', error);
+    return null;
+  }
+}
+
+/**
+ * Handles the `focusPhaseEnd` alarm: announces the next phase, or finishes the
+ * session after its last focus period.
+ *
+ * @async
+ * @function handleFocusPhaseEnd
+ * @param {number} [now=Date.now()] - The current time in ms
+ * @returns {Promise<{session: Object|null, entry: Object|null}>} A promise that resolves
+ *          to the session if it is still running, or to its history entry if it ended.
+ */
+export async function handleFocusPhaseEnd(now = Date.now()) {
+  const session = await getFocusSession();
+  if (!session) {
+    await _clearAlarms();
+    return { session: null, entry: null };
+  }
+
+  const { phase, cycle, phaseEndsAt } = getFocusPhase(session, now);
+  if (phase === 'ended') {
+    const entry = await _finishFocusSession(session, 'completed', now);
+    await _notify(
+      'Focus session complete',
+      `Well done! You stayed focused for ${entry.completedCycles * entry.focusMinutes} minutes.`
+    );
+    return { session: null, entry };
+  }
+
+  await _scheduleAlarms(session, now);
+  if (phase === 'break') {
+    await _notify(
+      'Time for a break',
+      `Focus period ${cycle} of ${session.cycles} is done. Take ${Math.round((phaseEndsAt - now) / MINUTE_MS)} minutes off.`
+    );
+  } else {
+    await _notify(
+      'Back to focus',
+      `Focus period ${cycle} of ${session.cycles} has started.`
+    );
+  }
+  return { session, entry: null };
+}
+
+/**
+ * Picks up a session after the background script (re)starts: finishes it if it ran
+ * out in the meantime, and otherwise recreates its alarms.
+ *
+ * @async
+ * @function resumeFocusSession
+ * @param {number} [now=Date.now()] - The current time in ms
+ * @returns {Promise<Object|null>} A promise that resolves to the session if it is still running.
+ */
+export async function resumeFocusSession(now = Date.now()) {
+  const session = await getFocusSession();
+  if (!session) {
+    return null;
+  }
+
+  if (getFocusPhase(session, now).phase === 'ended') {
+    await handleFocusPhaseEnd(now);
+    return null;
+  }
+
+  await _scheduleAlarms(session, now);
+  return session;
+}
@@ -0,0 +1,198 @@
+/**
+ * @file group_storage.js
+ * @description Manages CRUD operations for site groups in browser.storage.local.
+ * A group (e.g. "Social") has a shared daily time and/or open budget. Sites join a
+ * group through their `groupId` property; the group's usage for a day is the sum of
+ * the usage recorded for its member sites, so moving a site between groups moves its
+ * usage along with it.
+ */
+
+import { validateSiteGroup } from './validation_utils.js';
+
+/**
+ * Retrieves the list of site groups from storage.
+ *
+ * @async
+ * @function getSiteGroups
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of group objects.
+ *                                    Returns an empty array if no groups are found or an error occurs.
+ */
+export async function getSiteGroups() {
+  try {
+    const result = await browser.storage.local.get('siteGroups');
+    return result.siteGroups || [];
+  } catch (error) {
+    console.error('Error getting site groups:', error);
+    return [];
+  }
+}
+
+/**
+ * Adds a new site group to the storage.
+ * Validates the group object and generates a unique ID.
+ *
+ * @async
+ * @function addSiteGroup
+ * @param {Object} groupObject - The group object to add.
+ * @param {string} groupObject.name - The display name of the group.
+ * @param {number} [groupObject.dailyLimitSeconds] - The shared daily time budget in seconds.
+ * @param {number} [groupObject.dailyOpenLimit] - The shared daily open budget.
+ * @returns {Promise<Object|null>} A promise that resolves to the added group object (including its new ID)
+ *                                 or null if validation fails or a storage error occurs.
+ */
+export async function addSiteGroup(groupObject) {
+  const validation = validateSiteGroup(groupObject);
+  if (!validation.isValid) {
+    console.error(
+      'Invalid groupObject provided to addSiteGroup:',
+      validation.error
+    );
+    return null;
+  }
+
+  const newGroup = {
+    id: crypto.randomUUID(),
+    ...validation.sanitizedGroup,
+  };
+
+  try {
+    const groups = await getSiteGroups();
+    groups.push(newGroup);
+    await browser.storage.local.set({ siteGroups: groups });
+    return newGroup;
+  } catch (error) {
+    console.error('Error adding site group:', error);
+    return null;
+  }
+}
+
+/**
+ * Updates an existing site group in storage by its ID.
+ * The merged group is validated as a whole, so a limit can be removed by setting it to 0
+ * as long as the other limit remains.
+ *
+ * @async
+ * @function updateSiteGroup
+ * @param {string} groupId - The ID of the group to update.
+ * @param {Object} updates - An object containing the properties to update.
+ * @param {string} [updates.name] - The new name.
+ * @param {number} [updates.dailyLimitSeconds] - The new time budget (0 removes it).
+ * @param {number} [updates.dailyOpenLimit] - The new open budget (0 removes it).
+ * @returns {Promise<Object|null>} A promise that resolves to the updated group object
+ *                                 or null if the group is not found, validation fails, or a storage error occurs.
+ */
+export async function updateSiteGroup(groupId, updates) {
+  if (!groupId || typeof groupId !== 'string') {
+    console.error('Invalid groupId provided to updateSiteGroup.');
+    return null;
+  }
+  if (
+    !updates ||
+    typeof updates !== 'object' ||
+    Object.keys(updates).length === 0
+  ) {
+    console.error(
+      'Invalid updates object provided to updateSiteGroup.',
+      updates
+    );
+    return null;
+  }
+
+  try {
+    const groups = await getSiteGroups();
+    const groupIndex = groups.findIndex((group) => group.id === groupId);
+
+    if (groupIndex === -1) {
+      console.warn(`Group with ID "${groupId}" not found for update.`);
+      return null;
+    }
+
+    const validation = validateSiteGroup({ ...groups[groupIndex], ...updates });
+    if (!validation.isValid) {
+      console.error('Invalid updates for updateSiteGroup.', validation.error);
+      return null;
+    }
+
+    const updatedGroup = { id: groupId, ...validation.sanitizedGroup };
+    groups[groupIndex] = updatedGroup;
+
+    await browser.storage.local.set({ siteGroups: groups });
+    return updatedGroup;
+  } catch (error) {
+    console.error(`Error updating site group with ID "${groupId}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a site group from storage by its ID.
+ * Member sites are kept but removed from the group.
+ *
+ * @async
+ * @function deleteSiteGroup
+ * @param {string} groupId - The ID of the group to delete.
+ * @returns {Promise<boolean>} A promise that resolves to true if deletion was successful,
+ *                             false if the group was not found or a storage error occurred.
+ */
+export async function deleteSiteGroup(groupId) {
+  if (!groupId || typeof groupId !== 'string') {
+    console.error('Invalid groupId provided to deleteSiteGroup.');
+    return false;
+  }
+  try {
+    const result = await browser.storage.local.get([
+      'siteGroups',
+      'distractingSites',
+    ]);
+    const groups = result.siteGroups || [];
+    const remainingGroups = groups.filter((group) => group.id !== groupId);
+
+    if (remainingGroups.length === groups.length) {
+      console.warn(`Group with ID "${groupId}" not found for deletion.`);
+      return false;
+    }
+
+    const sites = (result.distractingSites || []).map((site) => {
+      if (site.groupId !== groupId) {
+        return site;
+      }
+      const ungroupedSite = { ...site };
+      delete ungroupedSite.groupId;
+      return ungroupedSite;
+    });
+
+    await browser.storage.local.set({
+      siteGroups: remainingGroups,
+      distractingSites: sites,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error deleting site group with ID "${groupId}":`, error);
+    return false;
+  }
+}
+
+/**
+ * Sums the usage of all member sites of a group for one day.
+ *
+ * @function getGroupUsage
+ * @param {string} groupId - The ID of the group.
+ * @param {Array<Object>} sites - All distracting sites.
+ * @param {Object} dailyStats - The day's usage stats, keyed by site ID.
+ * @returns {{timeSpentSeconds: number, opens: number}} The combined usage.
+ */
+export function getGroupUsage(groupId, sites, dailyStats) {
+  return sites
+    .filter((site) => site.groupId === groupId)
+    .reduce(
+      (total, site) => {
+        const siteStats = dailyStats[site.id];
+        if (siteStats) {
+          total.timeSpentSeconds += siteStats.timeSpentSeconds || 0;
+          total.opens += siteStats.opens || 0;
+        }
+        return total;
+      },
+      { timeSpentSeconds: 0, opens: 0 }
+    );
+}
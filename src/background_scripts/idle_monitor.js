@@ -0,0 +1,160 @@
+/**
+ * @file idle_monitor.js
+ * @description Decides when usage tracking should pause because the user has stepped away.
+ * Idleness comes from browser.idle, using the threshold from the app settings. A tab
+ * that is playing media keeps counting while the user is idle (nobody moves the mouse
+ * while watching a video), but a locked screen always pauses tracking. Playing media is
+ * recognised from tab.audible and from the media_activity.js content script, which also
+ * reports muted or silent videos.
+ */
+
+/**
+ * Storage key of the tab IDs whose page reported playing media. Uses the session prefix
+ * of usage_recorder.js because tab IDs do not survive a browser restart.
+ * @type {string}
+ */
+export const MEDIA_TABS_KEY = 'session_media_playing_tabs';
+
+/**
+ * Applies the configured idle threshold to browser.idle, so onStateChanged fires
+ * after the same amount of inactivity that queryState checks for.
+ *
+ * @param {Object} settings - The app settings (see settings_storage.js).
+ * @returns {Promise<void>}
+ */
+export async function configureIdleDetection(settings) {
+  try {
+    await browser.idle.setDetectionInterval(settings.idleThresholdSeconds);
+  } catch (error) {
+    console.warn(
+      '[IdleMonitor] Could not set the idle detection interval:',
+      error
+    );
+  }
+}
+
+/**
+ * Reads the current idle state.
+ *
+ * @param {Object} settings - The app settings (see settings_storage.js).
+ * @returns {Promise<string>} 'active', 'idle' or 'locked'. Always 'active' while idle
+ *                            detection is turned off or the state cannot be read.
+ */
+export async function getIdleState(settings) {
+  if (!settings.idleDetectionEnabled) {
+    return 'active';
+  }
+
+  try {
+    return await browser.idle.queryState(settings.idleThresholdSeconds);
+  } catch (error) {
+    console.warn('[IdleMonitor] Could not read the idle state:', error);
+    return 'active';
+  }
+}
+
+/**
+ * Retrieves the tabs whose page reported playing media.
+ *
+ * @returns {Promise<Array<number>>} The tab IDs, or an empty array on error.
+ */
+export async function getMediaPlayingTabs() {
+  try {
+    const result = await browser.storage.local.get(MEDIA_TABS_KEY);
+    return Array.isArray(result[MEDIA_TABS_KEY]) ? result[MEDIA_TABS_KEY] : [];
+  } catch (error) {
+    console.error('[IdleMonitor] Error getting media playback state:', error);
+    return [];
+  }
+}
+
+/**
+ * Records whether the page in a tab is playing media.
+ *
+ * @param {number} tabId - The tab the report came from.
+ * @param {boolean} playing - Whether any media element in the page is playing.
+ * @returns {Promise<boolean>} True if the state was saved, false on error.
+ */
+export async function setTabMediaPlaying(tabId, playing) {
+  try {
+    const tabs = (await getMediaPlayingTabs()).filter((id) => id !== tabId);
+    if (playing) {
+      tabs.push(tabId);
+    }
+    await browser.storage.local.set({ [MEDIA_TABS_KEY]: tabs });
+    return true;
+  } catch (error) {
+    console.error('[IdleMonitor] Error saving media playback state:', error);
+    return false;
+  }
+}
+
+/**
+ * Forgets all media playback reports, e.g. after a browser restart.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearMediaPlayback() {
+  try {
+    await browser.storage.local.remove(MEDIA_TABS_KEY);
+  } catch (error) {
+    console.warn('[IdleMonitor] Error clearing media playback state:', error);
+  }
+}
+
+/**
+ * Tells whether a tab is playing media, either audibly or as reported by its page.
+ *
+ * @param {number} tabId - The tab to check.
+ * @returns {Promise<boolean>} True if the tab is playing media.
+ */
+export async function isTabPlayingMedia(tabId) {
+  try {
+    const tab = await browser.tabs.get(tabId);
+    if (tab && tab.audible) {
+      return true;
+    }
+  } catch (error) {
+    console.warn(`[IdleMonitor] Could not read tab ${tabId}:`, error);
+  }
+
+  const tabs = await getMediaPlayingTabs();
+  return tabs.includes(tabId);
+}
+
+/**
+ * Decides whether a tab's time should stop counting for the given idle state.
+ *
+ * @param {Object} settings - The app settings (see settings_storage.js).
+ * @param {string} idleState - 'active', 'idle' or 'locked'.
+ * @param {boolean} playingMedia - Whether the tab is playing media.
+ * @returns {boolean} True if the time in the tab should not be counted.
+ */
+export function isPausedByIdleState(settings, idleState, playingMedia) {
+  if (!settings.idleDetectionEnabled || idleState === 'active') {
+    return false;
+  }
+  if (idleState === 'locked' || !settings.idleCountMedia) {
+    return true;
+  }
+  return !playingMedia;
+}
+
+/**
+ * Decides whether tracking of a tab should pause for the given idle state.
+ *
+ * @param {number} tabId - The tracked tab.
+ * @param {Object} settings - The app settings (see settings_storage.js).
+ * @param {string} idleState - 'active', 'idle' or 'locked'.
+ * @returns {Promise<boolean>} True if the time in the tab should not be counted.
+ */
+export async function shouldPauseTracking(tabId, settings, idleState) {
+  if (!isPausedByIdleState(settings, idleState, false)) {
+    return false;
+  }
+  // Only worth looking at the tab if playing media would make a difference
+  if (idleState === 'locked' || !settings.idleCountMedia) {
+    return true;
+  }
+  return !(await isTabPlayingMedia(tabId));
+}
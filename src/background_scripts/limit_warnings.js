@@ -0,0 +1,238 @@
+/**
+ * @file limit_warnings.js
+ * @description Warns with a notification before a site's limit is reached.
+ *
+ * A site warns at its own `warningThresholds` or, without them, at the app-wide
+ * `warningThresholds` preference (see settings_storage.js). A threshold is either a share
+ * of the day's time limit used ("50%") or the minutes left ("5m"); with `warnLastOpen`
+ * on, a site with an open limit also warns when one open is left. The limits are those
+ * in force at the time (schedules and banked rollover time included).
+ *
+ * Each warning fires at most once per site and usage day. Warnings that fall into quiet
+ * hours count as fired but stay silent. The warnings fired today are stored under
+ * WARNING_STATE_KEY as `{date: "YYYY-MM-DD", fired: {siteId: [warningId]}}`.
+ */
+
+import { getAppSettings } from './settings_storage.js';
+import { getEffectiveLimits, parseTimeOfDay } from './site_schedule.js';
+import { getEffectiveLimit } from './rollover_bank.js';
+import { parseWarningThreshold } from './validation_utils.js';
+
+/** Storage key of the warnings fired today. */
+export const WARNING_STATE_KEY = 'limitWarnings';
+
+/** ID of the "one open left" warning. */
+export const LAST_OPEN_WARNING = 'lastOpen';
+
+/**
+ * Tells whether a time falls into the quiet hours of the preferences. Windows whose end
+ * is earlier than their start run past midnight; an empty window is never quiet.
+ *
+ * @param {Object} settings - The app preferences.
+ * @param {Date} date - The time to check.
+ * @returns {boolean} True if warnings should stay silent.
+ */
+export function isInQuietHours(settings, date) {
+  if (!settings.quietHoursEnabled) {
+    return false;
+  }
+  const start = parseTimeOfDay(settings.quietHoursStart);
+  const end = parseTimeOfDay(settings.quietHoursEnd);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Returns the thresholds a site warns at: its own when set (an empty list turns the
+ * warnings off), otherwise the default ones.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {Object} settings - The app preferences.
+ * @returns {Array<string>} The thresholds, such as "50%" or "5m".
+ */
+export function getWarningThresholds(site, settings) {
+  if (Array.isArray(site.warningThresholds)) {
+    return site.warningThresholds;
+  }
+  return settings.warningThresholds || [];
+}
+
+/**
+ * Lists the warnings that are due for a site's usage, fired before or not.
+ *
+ * @param {Array<string>} thresholds - The thresholds the site warns at.
+ * @param {boolean} warnLastOpen - Whether to warn when one open is left.
+ * @param {{timeSpentSeconds: number, opens: number}} usage - Today's usage of the site.
+ * @param {number} limitSeconds - The time limit in force, banked time included (0 = none).
+ * @param {number} openLimit - The open limit in force (0 = none).
+ * @returns {Array<{id: string, kind: string, value: number}>} The due warnings; `kind` is
+ *          'percent', 'minutesLeft' or 'lastOpen'.
+ */
+export function getDueWarnings(
+  thresholds,
+  warnLastOpen,
+  usage,
+  limitSeconds,
+  openLimit
+) {
+  const due = [];
+  const remaining = limitSeconds - usage.timeSpentSeconds;
+
+  // Once the time is up the site is blocked, which needs no warning
+  if (limitSeconds > 0 && remaining > 0) {
+    for (const id of thresholds) {
+      const threshold = parseWarningThreshold(id);
+      if (!threshold) {
+        continue;
+      }
+      const isDue =
+        threshold.kind === 'percent'
+          ? usage.timeSpentSeconds >= (limitSeconds * threshold.value) / 100
+          : remaining <= threshold.value * 60;
+      if (isDue) {
+        due.push({ id, ...threshold });
+      }
+    }
+  }
+
+  if (warnLastOpen && openLimit > 0 && openLimit - usage.opens === 1) {
+    due.push({ id: LAST_OPEN_WARNING, kind: 'lastOpen', value: 1 });
+  }
+  return due;
+}
+
+/**
+ * Formats a duration as whole minutes, rounded up.
+ * @private
+ */
+function _formatMinutesLeft(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+/**
+ * Builds the text of a notification for the warnings that just fired.
+ * @private
+ */
+function _buildMessage(site, warnings, usage, limitSeconds) {
+  const lines = [];
+  const timeWarnings = warnings.filter(
+    (warning) => warning.kind !== 'lastOpen'
+  );
+  if (timeWarnings.length > 0) {
+    const left = _formatMinutesLeft(limitSeconds - usage.timeSpentSeconds);
+    const usedPercent = Math.floor(
+      (usage.timeSpentSeconds / limitSeconds) * 100
+    );
+    // Say how much is left once a "minutes left" threshold is crossed, else how much is used
+    lines.push(
+      timeWarnings.some((warning) => warning.kind === 'minutesLeft')
+        ? `${left} left on ${site.urlPattern} today.`
+        : `${usedPercent}% of today's time on ${site.urlPattern} used, ${left} left.`
+    );
+  }
+  if (warnings.some((warning) => warning.kind === 'lastOpen')) {
+    lines.push(`One open of ${site.urlPattern} left today.`);
+  }
+  return lines.join(' ');
+}
+
+/**
+ * Reads the warnings fired on a usage day.
+ * @private
+ */
+async function _getFiredWarnings(dayKey) {
+  const result = await browser.storage.local.get(WARNING_STATE_KEY);
+  const state = result[WARNING_STATE_KEY];
+  return state && state.date === dayKey ? state.fired : {};
+}
+
+/**
+ * Fires the warnings that became due for a site since the last check, at most once per
+ * threshold and day. Called as usage is recorded.
+ *
+ * @async
+ * @param {Object} site - The site configuration.
+ * @param {{timeSpentSeconds: number, opens: number}} usage - Today's usage of the site.
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @param {number} [bankedSeconds=0] - The site's banked rollover time.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<Array<Object>>} The warnings shown; empty if none fired, they fell
+ *          into quiet hours or an error occurs.
+ */
+export async function checkLimitWarnings(
+  site,
+  usage,
+  dayKey,
+  bankedSeconds = 0,
+  now = new Date()
+) {
+  try {
+    const settings = await getAppSettings();
+    if (!settings.warningsEnabled) {
+      return [];
+    }
+    const limits = getEffectiveLimits(site, now);
+    if (limits.mode === 'block') {
+      return [];
+    }
+    const limitSeconds = getEffectiveLimit(
+      limits.dailyLimitSeconds,
+      bankedSeconds
+    );
+
+    const fired = await _getFiredWarnings(dayKey);
+    const siteFired = fired[site.id] || [];
+    const newWarnings = getDueWarnings(
+      getWarningThresholds(site, settings),
+      settings.warnLastOpen,
+      usage,
+      limitSeconds,
+      limits.dailyOpenLimit
+    ).filter((warning) => !siteFired.includes(warning.id));
+    if (newWarnings.length === 0) {
+      return [];
+    }
+
+    await browser.storage.local.set({
+      [WARNING_STATE_KEY]: {
+        date: dayKey,
+        fired: {
+          ...fired,
+          [site.id]: [
+            ...siteFired,
+            ...newWarnings.map((warning) => warning.id),
+          ],
+        },
+      },
+    });
+
+    if (isInQuietHours(settings, now)) {
+      console.log(
+        `[LimitWarnings] Quiet hours: not warning about ${site.urlPattern}`
+      );
+      return [];
+    }
+
+    try {
+      // One notification per site, replaced by later warnings of the same site
+      await browser.notifications.create(`limitWarning-${site.id}`, {
+        type: 'basic',
+        iconUrl: 'assets/icons/icon-48.png',
+        title: 'Limit almost reached',
+        message: _buildMessage(site, newWarnings, usage, limitSeconds),
+      });
+    } catch (error) {
+      console.warn('[LimitWarnings] Could not create notification:', error);
+    }
+    return newWarnings;
+  } catch (error) {
+    console.error('[LimitWarnings] Error checking limit warnings:', error);
+    return [];
+  }
+}
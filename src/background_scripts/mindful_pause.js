@@ -0,0 +1,169 @@
+/**
+ * @file mindful_pause.js
+ * @description Mindful pause: sites with `mindfulPause` set open behind a short pause page
+ * (ui/pause/pause.html) even while they are under their limits. The page shows the
+ * remaining budget and a countdown of MINDFUL_PAUSE_SECONDS before it lets the user
+ * continue, which breaks the habit of opening the site without thinking.
+ *
+ * background.js sends the tab to the pause page from handleBeforeNavigate, on the same
+ * path as the timeout page redirect. The site never loads behind the page, so backing out
+ * uses up no open. Continuing gives the tab a grace period of PAUSE_GRACE_MINUTES for the
+ * site, which every navigation within it extends, so moving around the site doesn't pause
+ * again. The countdown is checked here too, so the page can't be skipped by messaging the
+ * background directly. Like the PIN unlock, pauses and grace periods are kept in memory
+ * only, and are forgotten when their tab is closed.
+ */
+
+import { getDistractingSites } from './site_storage.js';
+import { getCombinedUsageStats } from './usage_storage.js';
+import { getTodayKey } from './clock.js';
+import { getSiteAllowance } from './site_allowance.js';
+
+/** How long the pause page counts down before it lets the user continue. */
+export const MINDFUL_PAUSE_SECONDS = 10;
+
+/** How long a tab can navigate within a site after continuing, extended by each navigation. */
+export const PAUSE_GRACE_MINUTES = 5;
+
+const GRACE_MS = PAUSE_GRACE_MINUTES * 60 * 1000;
+
+// Pauses and grace periods by tab ID: {siteId, readyAt, graceUntil}
+const _tabs = new Map();
+
+/**
+ * Builds the URL of the pause page for a navigation.
+ *
+ * @param {string} url - The URL the tab was going to.
+ * @param {string} siteId - The ID of the site the URL belongs to.
+ * @returns {string} The pause page URL.
+ */
+export function getMindfulPauseUrl(url, siteId) {
+  return (
+    browser.runtime.getURL('ui/pause/pause.html') +
+    `?url=${encodeURIComponent(url)}&siteId=${encodeURIComponent(siteId)}`
+  );
+}
+
+/**
+ * Tells whether a navigation to a site has to go through the pause page. A navigation
+ * within a visit that was already counted, or during the tab's grace period for the
+ * site, doesn't, and extends the grace period instead.
+ *
+ * @param {number} tabId - The navigating tab.
+ * @param {Object|null} site - The site the URL belongs to, if any.
+ * @param {boolean} [visitCounted=false] - Whether the navigation continues a counted visit.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {boolean}
+ */
+export function needsMindfulPause(
+  tabId,
+  site,
+  visitCounted = false,
+  now = Date.now()
+) {
+  if (!site || !site.isEnabled || !site.mindfulPause) {
+    return false;
+  }
+  const state = _tabs.get(tabId);
+  const inGrace = state && state.siteId === site.id && state.graceUntil > now;
+  if (visitCounted || inGrace) {
+    _tabs.set(tabId, {
+      siteId: site.id,
+      readyAt: null,
+      graceUntil: now + GRACE_MS,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Starts the pause of a tab, ending any grace period it had.
+ *
+ * @param {number} tabId - The tab showing the pause page.
+ * @param {string} siteId - The site the tab was going to.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {number} When the user may continue, in ms.
+ */
+export function startMindfulPause(tabId, siteId, now = Date.now()) {
+  const readyAt = now + MINDFUL_PAUSE_SECONDS * 1000;
+  _tabs.set(tabId, { siteId, readyAt, graceUntil: 0 });
+  return readyAt;
+}
+
+/**
+ * Lets a paused tab continue to its site once the countdown is over, starting its grace
+ * period.
+ *
+ * @param {number} tabId - The tab showing the pause page.
+ * @param {string} siteId - The site the tab was going to.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {boolean} Whether the tab may continue; false before the countdown is over or
+ *          without a pause for the site.
+ */
+export function continueAfterPause(tabId, siteId, now = Date.now()) {
+  const state = _tabs.get(tabId);
+  if (!state || state.siteId !== siteId || !state.readyAt) {
+    return false;
+  }
+  if (now < state.readyAt) {
+    return false;
+  }
+  _tabs.set(tabId, { siteId, readyAt: null, graceUntil: now + GRACE_MS });
+  return true;
+}
+
+/**
+ * Forgets the pause or grace period of a tab that was closed, so the map doesn't grow
+ * and a new tab that gets the same ID starts without one.
+ *
+ * @param {number} tabId - The closed tab.
+ */
+export function forgetMindfulPause(tabId) {
+  _tabs.delete(tabId);
+}
+
+/**
+ * Describes what the pause page of a tab shows. A page without a running pause for the
+ * site, e.g. after the background script was reloaded, starts one.
+ *
+ * @async
+ * @param {number} tabId - The tab showing the pause page.
+ * @param {string} siteId - The site the tab was going to.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<Object|null>} `{siteId, urlPattern, readyAt, remainingSeconds,
+ *          remainingOpens}`, with null remaining values where no limit applies; or null
+ *          if the site is gone or no longer pauses.
+ */
+export async function getMindfulPauseInfo(tabId, siteId, now = Date.now()) {
+  try {
+    const sites = await getDistractingSites();
+    const site = sites.find((s) => s.id === siteId);
+    if (!site || !site.isEnabled || !site.mindfulPause) {
+      return null;
+    }
+
+    const state = _tabs.get(tabId);
+    const readyAt =
+      state && state.siteId === siteId && state.readyAt
+        ? state.readyAt
+        : startMindfulPause(tabId, siteId, now);
+
+    const today = await getTodayKey();
+    const usageStats = await getCombinedUsageStats(today);
+    const allowance = await getSiteAllowance(site, sites, usageStats, today);
+    const { override } = allowance;
+    return {
+      siteId: site.id,
+      urlPattern: site.urlPattern,
+      readyAt,
+      remainingSeconds: override.time
+        ? override.remainingSeconds
+        : allowance.remainingSeconds,
+      remainingOpens: override.opens ? null : allowance.remainingOpens,
+    };
+  } catch (error) {
+    console.error('[MindfulPause] Error describing the pause:', error);
+    return null;
+  }
+}
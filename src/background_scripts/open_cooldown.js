@@ -0,0 +1,67 @@
+/**
+ * @file open_cooldown.js
+ * @description Cooldown between opens: a site with `openCooldownSeconds` set can be opened
+ * at most once per that many seconds, e.g. once every 45 minutes, so an open limit can't
+ * be used up in a few minutes.
+ *
+ * The cooldown runs from the site's latest open, which the usage stats keep as
+ * `lastOpenAt` (see usage_storage.js). Only navigating to the site opens it again
+ * (see recordOpenTime); switching back to one of its tabs or moving around the site in
+ * the same tab doesn't. A cooldown carries over the start of the usage day while
+ * yesterday's stats are kept. Only this device's opens count, as the usage other devices
+ * sync has no open times.
+ */
+
+import { getUsageStatsForDates } from './usage_storage.js';
+import { shiftDateKey } from './clock.js';
+
+/**
+ * Tells whether a site has a cooldown between opens.
+ *
+ * @param {Object} site - The site configuration.
+ * @returns {boolean}
+ */
+export function hasOpenCooldown(site) {
+  return Boolean(site) && site.openCooldownSeconds > 0;
+}
+
+/**
+ * Returns when a site was last opened, today or else on the day before.
+ *
+ * @async
+ * @param {string} siteId - The site ID.
+ * @param {string} dateString - The current usage day, "YYYY-MM-DD".
+ * @param {Object} [dailyStats] - Today's usage stats, if already read.
+ * @returns {Promise<number|null>} The time of the last open in ms, or null if the site
+ *          wasn't opened on either day.
+ */
+export async function getLastOpenAt(siteId, dateString, dailyStats) {
+  const today = dailyStats && dailyStats[siteId];
+  if (today && today.lastOpenAt) {
+    return today.lastOpenAt;
+  }
+
+  const yesterdayKey = shiftDateKey(dateString, -1);
+  const stats = await getUsageStatsForDates(
+    dailyStats ? [yesterdayKey] : [dateString, yesterdayKey]
+  );
+  const usage =
+    (!dailyStats && stats[dateString] && stats[dateString][siteId]) ||
+    (stats[yesterdayKey] && stats[yesterdayKey][siteId]);
+  return (usage && usage.lastOpenAt) || null;
+}
+
+/**
+ * Returns when a site may be opened again after its last open.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {number|null} lastOpenAt - When the site was last opened, in ms.
+ * @returns {number|null} The end of the cooldown in ms, or null if the site has no
+ *          cooldown or wasn't opened.
+ */
+export function getCooldownEnd(site, lastOpenAt) {
+  if (!hasOpenCooldown(site) || !lastOpenAt) {
+    return null;
+  }
+  return lastOpenAt + site.openCooldownSeconds * 1000;
+}
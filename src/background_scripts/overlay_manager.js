@@ -0,0 +1,286 @@
+/**
+ * @file overlay_manager.js
+ * @description Feeds the in-page countdown overlay (content_scripts/countdown_overlay.js).
+ *
+ * Every page connects over a port named OVERLAY_PORT_NAME. Pages of a site with
+ * `showOverlay` set receive the site's remaining allowance, the same one the badge
+ * shows (see getSiteAllowance), and whether the tab is counting right now so the page
+ * can count down between updates. Other pages receive a null state and are
+ * disconnected, so only pages of overlay sites are kept up to date; they connect again
+ * when they navigate, change their title or come back into view. States are pushed
+ * again as usage is recorded and when sites change, but only to pages whose state
+ * changed.
+ *
+ * Dragging the overlay into another corner sets the site's `overlayPosition`.
+ */
+
+import { getDistractingSites, updateDistractingSite } from './site_storage.js';
+import { getCombinedUsageStats } from './usage_storage.js';
+import { findMatchingSite } from './url_matcher.js';
+import { getTodayKey } from './clock.js';
+import { getSiteAllowance } from './site_allowance.js';
+import { getCurrentTrackingInfo, isTrackingPaused } from './usage_recorder.js';
+import { OVERLAY_POSITIONS } from './validation_utils.js';
+
+/** Name of the port the overlay content script connects with. */
+export const OVERLAY_PORT_NAME = 'countdownOverlay';
+
+/** Corner of the overlay unless the site sets `overlayPosition`. */
+export const DEFAULT_OVERLAY_POSITION = 'bottom-right';
+
+// Connected pages by tab ID: {port, url, title, lastState, onSiteUpdated}
+const _overlays = new Map();
+
+/**
+ * Describes what the overlay of a site shows.
+ *
+ * @param {Object|null} site - The site the page belongs to, if any.
+ * @param {Object|null} allowance - The site's allowance (see getSiteAllowance).
+ * @param {boolean} isCounting - Whether the page's time is being counted right now.
+ * @returns {Object|null} `{siteId, urlPattern, position, remainingSeconds, remainingOpens,
+ *          borrowed, counting}`, with null remaining values where no limit applies; or
+ *          null if the page shows no overlay.
+ */
+export function describeOverlayState(site, allowance, isCounting) {
+  if (!site || !site.isEnabled || !site.showOverlay || !allowance) {
+    return null;
+  }
+  // A scheduled block is handled by the timeout page
+  if (allowance.scheduledBlock) {
+    return null;
+  }
+
+  const { override } = allowance;
+  const remainingSeconds = override.time
+    ? override.remainingSeconds
+    : allowance.remainingSeconds;
+  const remainingOpens = override.opens ? null : allowance.remainingOpens;
+  if (remainingSeconds === null && remainingOpens === null) {
+    return null;
+  }
+
+  return {
+    siteId: site.id,
+    urlPattern: site.urlPattern,
+    position: site.overlayPosition || DEFAULT_OVERLAY_POSITION,
+    remainingSeconds,
+    remainingOpens,
+    borrowed: override.time || override.opens,
+    counting: isCounting,
+  };
+}
+
+/**
+ * Works out the overlay state of every given connected tab, loading the shared data
+ * once.
+ * @private
+ * @param {Array<number>} tabIds - The tabs to describe.
+ * @returns {Promise<{states: Map<number, Object|null>, unmatched: Set<Object>}>} The
+ *          states by tab ID, and the connected pages that belong to no site with the
+ *          overlay.
+ */
+async function _getOverlayStates(tabIds) {
+  const [sites, today, tracking, paused] = await Promise.all([
+    getDistractingSites(),
+    getTodayKey(),
+    getCurrentTrackingInfo(),
+    isTrackingPaused(),
+  ]);
+  const overlaySites = sites.filter((site) => site.isEnabled);
+  const usageStats = await getCombinedUsageStats(today);
+
+  const allowances = new Map();
+  const states = new Map();
+  const unmatched = new Set();
+  for (const tabId of tabIds) {
+    const overlay = _overlays.get(tabId);
+    const site = findMatchingSite(overlay.url, overlaySites, overlay.title);
+    if (!site || !site.showOverlay) {
+      states.set(tabId, null);
+      unmatched.add(overlay);
+      continue;
+    }
+    if (!allowances.has(site.id)) {
+      allowances.set(
+        site.id,
+        await getSiteAllowance(site, sites, usageStats, today)
+      );
+    }
+    const isCounting =
+      tracking.isTracking && tracking.tabId === tabId && !paused;
+    states.set(
+      tabId,
+      describeOverlayState(site, allowances.get(site.id), isCounting)
+    );
+  }
+  return { states, unmatched };
+}
+
+/**
+ * Disconnects a page that shows no overlay, so it isn't updated any more.
+ * @private
+ * @param {number} tabId - The tab of the page.
+ */
+function _releaseOverlay(tabId) {
+  const overlay = _overlays.get(tabId);
+  _overlays.delete(tabId);
+  try {
+    overlay.port.disconnect();
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Sends the connected pages their overlay state, if it changed since the last time.
+ * Pages that belong to no site with the overlay are disconnected after their null state.
+ *
+ * @async
+ * @function pushOverlayUpdates
+ * @param {Array<number>} [tabIds] - Only update these tabs (default: all connected).
+ * @returns {Promise<number>} How many pages were sent a new state.
+ */
+export async function pushOverlayUpdates(tabIds) {
+  const targets = (tabIds || Array.from(_overlays.keys())).filter((tabId) =>
+    _overlays.has(tabId)
+  );
+  if (targets.length === 0) {
+    return 0;
+  }
+
+  try {
+    const { states, unmatched } = await _getOverlayStates(targets);
+    let sent = 0;
+    for (const [tabId, state] of states) {
+      const overlay = _overlays.get(tabId);
+      const serialized = JSON.stringify(state);
+      if (!overlay) {
+        continue;
+      }
+      if (overlay.lastState !== serialized) {
+        try {
+          overlay.port.postMessage({ type: 'overlayState', state });
+          overlay.lastState = serialized;
+          sent++;
+        } catch {
+          // The page went away without disconnecting first
+          _overlays.delete(tabId);
+          continue;
+        }
+      }
+      // Unless the page connected again meanwhile
+      if (unmatched.has(overlay)) {
+        _releaseOverlay(tabId);
+      }
+    }
+    return sent;
+  } catch (error) {
+    console.error('[OverlayManager] Error updating overlays:', error);
+    return 0;
+  }
+}
+
+/**
+ * Moves the overlay of a site to another corner, for all of its pages.
+ * @private
+ */
+async function _setOverlayPosition(tabId, position) {
+  if (!OVERLAY_POSITIONS.includes(position)) {
+    console.warn('[OverlayManager] Ignoring unknown position:', position);
+    return;
+  }
+  const sites = await getDistractingSites();
+  const { url, title } = _overlays.get(tabId);
+  const site = findMatchingSite(
+    url,
+    sites.filter((candidate) => candidate.isEnabled),
+    title
+  );
+  if (!site || site.overlayPosition === position) {
+    return;
+  }
+  const updatedSite = await updateDistractingSite(site.id, {
+    overlayPosition: position,
+  });
+  if (updatedSite) {
+    await _overlays.get(tabId).onSiteUpdated(updatedSite);
+  }
+  await pushOverlayUpdates();
+}
+
+/**
+ * Handles a message from an overlay content script.
+ * @private
+ */
+async function _handleOverlayMessage(tabId, message) {
+  const overlay = _overlays.get(tabId);
+  if (!overlay || !message) {
+    return;
+  }
+  try {
+    switch (message.type) {
+      case 'refresh':
+        // The page came back into view, navigated within itself or changed its title
+        if (typeof message.url === 'string') {
+          overlay.url = message.url;
+        }
+        if (typeof message.title === 'string') {
+          overlay.title = message.title;
+        }
+        overlay.lastState = undefined;
+        await pushOverlayUpdates([tabId]);
+        break;
+      case 'setPosition':
+        await _setOverlayPosition(tabId, message.position);
+        break;
+      default:
+        console.warn('[OverlayManager] Unknown message type:', message.type);
+    }
+  } catch (error) {
+    console.error('[OverlayManager] Error handling overlay message:', error);
+  }
+}
+
+/**
+ * Accepts a connection from the overlay content script of a page and sends it its
+ * first state. Ports with other names are left alone.
+ *
+ * @param {Object} port - The runtime.Port that connected.
+ * @param {Function} [onSiteUpdated] - Called with the updated site when the page moves
+ *                                     the overlay of its site.
+ * @returns {boolean} True if the port belongs to an overlay.
+ */
+export function handleOverlayConnect(port, onSiteUpdated = async () => {}) {
+  if (port.name !== OVERLAY_PORT_NAME || !port.sender || !port.sender.tab) {
+    return false;
+  }
+  const tabId = port.sender.tab.id;
+  _overlays.set(tabId, {
+    port,
+    url: port.sender.url || port.sender.tab.url,
+    title: port.sender.tab.title || '',
+    lastState: undefined,
+    onSiteUpdated,
+  });
+
+  port.onDisconnect.addListener(() => {
+    const overlay = _overlays.get(tabId);
+    if (overlay && overlay.port === port) {
+      _overlays.delete(tabId);
+    }
+  });
+  port.onMessage.addListener((message) =>
+    _handleOverlayMessage(tabId, message)
+  );
+
+  pushOverlayUpdates([tabId]);
+  return true;
+}
+
+/**
+ * Tells how many pages are connected (for tests and diagnostics).
+ * @returns {number} The number of connected overlay ports.
+ */
+export function getConnectedOverlayCount() {
+  return _overlays.size;
+}
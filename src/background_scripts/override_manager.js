@@ -0,0 +1,390 @@
+/**
+ * @file override_manager.js
+ * @description Optional "snooze" overrides for blocked sites.
+ *
+ * When overrides are turned on in the app settings, the timeout page may borrow a
+ * little more of a site after its daily limit (or its group's budget) is used up:
+ * - A time override allows `overrideMinutes` more minutes on the site.
+ * - An open override allows one more visit, also before a cooldown between opens (see
+ *   open_cooldown.js) is over.
+ * Both are granted together when both limits are used up. Scheduled blocks and focus
+ * sessions cannot be overridden, and each site gets at most `overrideDailyLimit`
+ * overrides per day.
+ *
+ * Every override costs some friction first, chosen by `overrideFriction`: a countdown,
+ * typing a sentence or solving a sum. The challenge is issued and checked here rather
+ * than on the timeout page, so the page cannot skip it.
+ *
+ * Granted overrides are appended to the override log (`overrideLog` in storage.local),
+ * which doubles as the record of today's active overrides: each entry keeps the site's
+ * usage at the time it was granted, and the override lasts until usage has grown past
+ * that baseline by the borrowed amount.
+ */
+
+import { getAppSettings } from './settings_storage.js';
+import { getDistractingSites } from './site_storage.js';
+import { getCombinedUsageStats } from './usage_storage.js';
+import { getTodayKey } from './clock.js';
+
+/** Storage key of the override log. */
+export const OVERRIDE_LOG_KEY = 'overrideLog';
+
+/** Oldest entries are dropped once the log grows past this size. */
+export const MAX_OVERRIDE_LOG_ENTRIES = 500;
+
+/** The sentence to type for the 'sentence' friction. */
+export const OVERRIDE_SENTENCE =
+  'I am choosing to spend more time on this site instead of what I planned.';
+
+const PENDING_CHALLENGES_KEY = 'overrideChallenges';
+const CHALLENGE_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Normalizes typed text so extra spaces and letter case do not matter.
+ * @private
+ */
+function _normalizeSentence(text) {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Works out which of a site's overrides for today are still running.
+ *
+ * @param {Array<Object>} overrides - Today's override log entries for the site
+ * @param {Object} siteStats - The site's usage today (`{timeSpentSeconds, opens}`)
+ * @param {boolean} [visitCounted=false] - Whether the visit being checked is already
+ *                                         included in `siteStats.opens`
+ * @returns {{time: boolean, opens: boolean, remainingSeconds: number}}
+ *          Whether time and open limits are lifted, and how much borrowed time is left
+ */
+export function getActiveOverride(overrides, siteStats, visitCounted = false) {
+  const visitOpens = visitCounted
+    ? Math.max(0, siteStats.opens - 1)
+    : siteStats.opens;
+
+  let remainingSeconds = 0;
+  let opens = false;
+  for (const override of overrides) {
+    if (override.extraSeconds > 0) {
+      remainingSeconds = Math.max(
+        remainingSeconds,
+        override.baseline.timeSpentSeconds +
+          override.extraSeconds -
+          siteStats.timeSpentSeconds
+      );
+    }
+    if (
+      override.extraOpens > 0 &&
+      visitOpens < override.baseline.opens + override.extraOpens
+    ) {
+      opens = true;
+    }
+  }
+
+  return { time: remainingSeconds > 0, opens, remainingSeconds };
+}
+
+/**
+ * Creates the challenge for one override request.
+ *
+ * @param {string} friction - 'none', 'countdown', 'sentence' or 'arithmetic'
+ * @param {number} countdownSeconds - How long the 'countdown' friction waits
+ * @param {number} now - The current time in ms
+ * @param {Function} [random=Math.random] - Source of randomness (for tests)
+ * @returns {Object} The challenge: `{id, type, prompt, answer, issuedAt, readyAt}`.
+ *                   `answer` is what has to be typed, or null if nothing is asked.
+ */
+export function createOverrideChallenge(
+  friction,
+  countdownSeconds,
+  now,
+  random = Math.random
+) {
+  const challenge = {
+    id: crypto.randomUUID(),
+    type: friction,
+    prompt: null,
+    answer: null,
+    issuedAt: now,
+    readyAt: now,
+  };
+
+  switch (friction) {
+    case 'countdown':
+      challenge.readyAt = now + countdownSeconds * 1000;
+      break;
+    case 'sentence':
+      challenge.prompt = OVERRIDE_SENTENCE;
+      challenge.answer = OVERRIDE_SENTENCE;
+      break;
+    case 'arithmetic': {
+      const a = 12 + Math.floor(random() * 38);
+      const b = 3 + Math.floor(random() * 7);
+      const c = 11 + Math.floor(random() * 89);
+      challenge.prompt = `${a} × ${b} + ${c}`;
+      challenge.answer = String(a * b + c);
+      break;
+    }
+    default:
+      challenge.type = 'none';
+      break;
+  }
+
+  return challenge;
+}
+
+/**
+ * Checks the user's response to a challenge.
+ *
+ * @param {Object} challenge - A challenge from createOverrideChallenge
+ * @param {string} answer - What the user typed (ignored if nothing is asked)
+ * @param {number} now - The current time in ms
+ * @returns {string|null} Why the response is not accepted, or null if it is
+ */
+export function checkChallengeAnswer(challenge, answer, now) {
+  if (now < challenge.readyAt) {
+    return 'Please wait until the countdown has finished.';
+  }
+
+  if (challenge.type === 'sentence') {
+    if (
+      typeof answer !== 'string' ||
+      _normalizeSentence(answer) !== _normalizeSentence(challenge.answer)
+    ) {
+      return 'The sentence does not match. Please type it exactly as shown.';
+    }
+  } else if (challenge.type === 'arithmetic') {
+    if (typeof answer !== 'string' || answer.trim() !== challenge.answer) {
+      return 'That is not the right answer. Please try again.';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Retrieves the override log, oldest entry first.
+ *
+ * @async
+ * @function getOverrideLog
+ * @returns {Promise<Array<Object>>} A promise that resolves to the log entries.
+ *                                    Returns an empty array if the log is empty or an error occurs.
+ */
+export async function getOverrideLog() {
+  try {
+    const result = await browser.storage.local.get(OVERRIDE_LOG_KEY);
+    return result[OVERRIDE_LOG_KEY] || [];
+  } catch (error) {
+    console.error('Error getting override log:', error);
+    return [];
+  }
+}
+
+/**
+ * Retrieves the overrides granted for a site on a given day.
+ *
+ * @async
+ * @function getOverridesForSite
+ * @param {string} siteId - The site's ID.
+ * @param {string} dateString - The day in "YYYY-MM-DD" format.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the matching log entries.
+ */
+export async function getOverridesForSite(siteId, dateString) {
+  const log = await getOverrideLog();
+  return log.filter(
+    (entry) => entry.siteId === siteId && entry.date === dateString
+  );
+}
+
+/**
+ * Works out what an override would grant for a block, or why none is possible.
+ * @private
+ * @param {Object} blockResult - The result of checkAndBlockSite for the blocked URL
+ * @param {Object} settings - The app settings
+ * @param {number} usedToday - Overrides already granted for the site today
+ * @returns {{extraSeconds: number, extraOpens: number, message: string|null}}
+ */
+function _planOverride(blockResult, settings, usedToday) {
+  const none = (message) => ({ extraSeconds: 0, extraOpens: 0, message });
+
+  if (blockResult.shouldBlock && blockResult.limitType === 'allowlist') {
+    return none("Allowlist mode can't be overridden.");
+  }
+  if (!blockResult.shouldBlock || !blockResult.siteId) {
+    return none('This site is no longer blocked.');
+  }
+  if (blockResult.limitType === 'focus') {
+    return none("Focus sessions can't be overridden.");
+  }
+  if (!blockResult.exceeded) {
+    return none("Scheduled blocks can't be overridden.");
+  }
+  if (usedToday >= settings.overrideDailyLimit) {
+    return none(
+      `You've used all ${settings.overrideDailyLimit} overrides for this site today.`
+    );
+  }
+
+  return {
+    extraSeconds: blockResult.exceeded.time ? settings.overrideMinutes * 60 : 0,
+    extraOpens: blockResult.exceeded.opens ? 1 : 0,
+    message: null,
+  };
+}
+
+/**
+ * Loads the pending challenges, dropping expired ones.
+ * @private
+ */
+async function _getPendingChallenges(now) {
+  const result = await browser.storage.local.get(PENDING_CHALLENGES_KEY);
+  const challenges = result[PENDING_CHALLENGES_KEY] || {};
+  return Object.fromEntries(
+    Object.entries(challenges).filter(
+      ([, challenge]) => now - challenge.issuedAt < CHALLENGE_TTL_MS
+    )
+  );
+}
+
+/**
+ * Describes the override the timeout page may offer for a block, and issues the
+ * challenge that has to be completed first.
+ *
+ * @async
+ * @function getOverrideOptions
+ * @param {Object} blockResult - The result of checkAndBlockSite for the blocked URL.
+ * @returns {Promise<Object>} A promise that resolves to
+ *   `{available: false, message}` when no override can be offered (`message` is null
+ *   when overrides are turned off), or
+ *   `{available: true, remaining, extraSeconds, extraOpens, challenge: {id, type, prompt, readyAt}}`.
+ */
+export async function getOverrideOptions(blockResult) {
+  const settings = await getAppSettings();
+  if (!settings.overridesEnabled) {
+    return { available: false, message: null };
+  }
+
+  const now = Date.now();
+  const usedToday = (
+    await getOverridesForSite(blockResult.siteId, await getTodayKey())
+  ).length;
+  const plan = _planOverride(blockResult, settings, usedToday);
+  if (plan.message) {
+    return { available: false, message: plan.message };
+  }
+
+  const challenge = createOverrideChallenge(
+    settings.overrideFriction,
+    settings.overrideCountdownSeconds,
+    now
+  );
+
+  try {
+    const challenges = await _getPendingChallenges(now);
+    challenges[challenge.id] = { ...challenge, siteId: blockResult.siteId };
+    await browser.storage.local.set({ [PENDING_CHALLENGES_KEY]: challenges });
+  } catch (error) {
+    console.error('Error saving override challenge:', error);
+    return {
+      available: false,
+      message: 'Overrides are unavailable right now. Please try again.',
+    };
+  }
+
+  return {
+    available: true,
+    remaining: settings.overrideDailyLimit - usedToday,
+    extraSeconds: plan.extraSeconds,
+    extraOpens: plan.extraOpens,
+    challenge: {
+      id: challenge.id,
+      type: challenge.type,
+      prompt: challenge.prompt,
+      readyAt: challenge.readyAt,
+    },
+  };
+}
+
+/**
+ * Grants an override once its challenge has been completed, and records it in the log.
+ *
+ * @async
+ * @function requestOverride
+ * @param {Object} blockResult - The result of checkAndBlockSite for the blocked URL.
+ * @param {string} challengeId - The ID of the challenge from getOverrideOptions.
+ * @param {string} [answer] - The user's response to the challenge.
+ * @returns {Promise<{entry: Object|null, error: string|null}>} A promise that resolves to
+ *          the new log entry, or to a message explaining why the override was refused.
+ */
+export async function requestOverride(blockResult, challengeId, answer) {
+  const refuse = (error) => ({ entry: null, error });
+
+  const settings = await getAppSettings();
+  if (!settings.overridesEnabled) {
+    return refuse('Overrides are turned off.');
+  }
+
+  const now = Date.now();
+  const date = await getTodayKey();
+
+  try {
+    const [log, challenges] = await Promise.all([
+      getOverrideLog(),
+      _getPendingChallenges(now),
+    ]);
+
+    const usedToday = log.filter(
+      (entry) => entry.siteId === blockResult.siteId && entry.date === date
+    ).length;
+    const plan = _planOverride(blockResult, settings, usedToday);
+    if (plan.message) {
+      return refuse(plan.message);
+    }
+
+    const challenge = challenges[challengeId];
+    if (!challenge || challenge.siteId !== blockResult.siteId) {
+      return refuse('This override request has expired. Please try again.');
+    }
+    const answerError = checkChallengeAnswer(challenge, answer, now);
+    if (answerError) {
+      return refuse(answerError);
+    }
+
+    const [sites, dailyStats] = await Promise.all([
+      getDistractingSites(),
+      getCombinedUsageStats(date),
+    ]);
+    const site = sites.find((s) => s.id === blockResult.siteId);
+    const siteStats = dailyStats[blockResult.siteId] || {
+      timeSpentSeconds: 0,
+      opens: 0,
+    };
+
+    const entry = {
+      id: crypto.randomUUID(),
+      siteId: blockResult.siteId,
+      urlPattern: site ? site.urlPattern : '',
+      date,
+      grantedAt: now,
+      limitType: blockResult.limitType,
+      extraSeconds: plan.extraSeconds,
+      extraOpens: plan.extraOpens,
+      friction: challenge.type,
+      baseline: {
+        timeSpentSeconds: siteStats.timeSpentSeconds,
+        opens: siteStats.opens,
+      },
+    };
+
+    delete challenges[challengeId];
+    await browser.storage.local.set({
+      [OVERRIDE_LOG_KEY]: [...log, entry].slice(-MAX_OVERRIDE_LOG_ENTRIES),
+      [PENDING_CHALLENGES_KEY]: challenges,
+    });
+
+    return { entry, error: null };
+  } catch (error) {
+    console.error('Error granting override:', error);
+    return refuse('Failed to grant the override. Please try again.');
+  }
+}
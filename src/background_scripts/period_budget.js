@@ -0,0 +1,212 @@
+/**
+ * @file period_budget.js
+ * @description Weekly and monthly budgets of a site, next to its daily limits.
+ *
+ * A site can have a time and/or open budget per week (`weeklyLimitSeconds`,
+ * `weeklyOpenLimit`) and per month (`monthlyLimitSeconds`, `monthlyOpenLimit`). Weeks
+ * start on Monday like the weekly rollups (see usage_history.js) and months on the 1st,
+ * both at the start of the usage day (see clock.js). A period's usage is the sum of the
+ * daily usage of its days so far, so the daily reset keeps the daily stats of the
+ * current week and month while any site has a budget for it (see getFirstNeededDayKey).
+ *
+ * Today's usage includes the usage other devices reported when usage is synced; earlier
+ * days only count this device's usage.
+ */
+
+import { getUsageStatsForDates } from './usage_storage.js';
+import {
+  shiftDateKey,
+  getWeekStartKey,
+  getMonthStartKey,
+  getDayStartTime,
+} from './clock.js';
+
+/** The budget periods, with the site fields that hold their budgets. */
+export const BUDGET_PERIODS = [
+  {
+    period: 'week',
+    limitField: 'weeklyLimitSeconds',
+    openLimitField: 'weeklyOpenLimit',
+  },
+  {
+    period: 'month',
+    limitField: 'monthlyLimitSeconds',
+    openLimitField: 'monthlyOpenLimit',
+  },
+];
+
+/**
+ * Returns the first day of the current week and month.
+ *
+ * @param {string} dayKey - The usage day, "YYYY-MM-DD".
+ * @returns {{week: string, month: string}} The date keys of the period starts.
+ */
+export function getPeriodStartKeys(dayKey) {
+  return { week: getWeekStartKey(dayKey), month: getMonthStartKey(dayKey) };
+}
+
+/**
+ * Returns when the period after the one containing a usage day starts.
+ *
+ * @param {'week'|'month'} period - The period.
+ * @param {string} dayKey - The usage day, "YYYY-MM-DD".
+ * @returns {number} Timestamp (ms) of the next period start.
+ */
+export function getNextPeriodStart(period, dayKey) {
+  const nextStartKey =
+    period === 'week'
+      ? shiftDateKey(getWeekStartKey(dayKey), 7)
+      : getMonthStartKey(dayKey, 1);
+  return getDayStartTime(nextStartKey);
+}
+
+/**
+ * Tells whether a site has a weekly or monthly budget.
+ *
+ * @param {Object} site - The site configuration.
+ * @returns {boolean} True if at least one period budget is set.
+ */
+export function hasPeriodBudget(site) {
+  return BUDGET_PERIODS.some((budget) => _hasBudget(site, budget));
+}
+
+/**
+ * Returns the first day whose daily stats the period budgets of the given sites still
+ * need: the start of the current month if any site has a monthly budget, otherwise of
+ * the current week if any site has a weekly budget.
+ *
+ * @param {Array<Object>} sites - The site configurations.
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @returns {string|null} The date key, or null if no site has a period budget.
+ */
+export function getFirstNeededDayKey(sites, dayKey) {
+  const starts = getPeriodStartKeys(dayKey);
+  const neededStarts = BUDGET_PERIODS.filter((budget) =>
+    sites.some((site) => _hasBudget(site, budget))
+  ).map(({ period }) => starts[period]);
+  return neededStarts.length > 0 ? neededStarts.sort()[0] : null;
+}
+
+/**
+ * Tells whether a site has a time or open budget for one period.
+ * @private
+ */
+function _hasBudget(site, { limitField, openLimitField }) {
+  return site[limitField] > 0 || site[openLimitField] > 0;
+}
+
+/**
+ * Adds daily usage to per-site period totals.
+ * @private
+ */
+function _addUsage(totals, dailyStats) {
+  for (const [siteId, usage] of Object.entries(dailyStats || {})) {
+    const total = totals[siteId] || { timeSpentSeconds: 0, opens: 0 };
+    totals[siteId] = {
+      timeSpentSeconds: total.timeSpentSeconds + (usage.timeSpentSeconds || 0),
+      opens: total.opens + (usage.opens || 0),
+    };
+  }
+}
+
+/**
+ * Sums the usage of the current week and month per site.
+ *
+ * @async
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @param {Object} todayStats - Today's usage keyed by site ID, as limits are enforced
+ *                              against (see getCombinedUsageStats).
+ * @returns {Promise<{week: Object, month: Object}>} Usage keyed by site ID per period.
+ */
+export async function getPeriodUsage(dayKey, todayStats) {
+  const starts = getPeriodStartKeys(dayKey);
+  const firstKey = starts.week < starts.month ? starts.week : starts.month;
+
+  const earlierDays = [];
+  for (let key = firstKey; key < dayKey; key = shiftDateKey(key, 1)) {
+    earlierDays.push(key);
+  }
+  const history = await getUsageStatsForDates(earlierDays);
+
+  const usage = { week: {}, month: {} };
+  for (const [key, dailyStats] of Object.entries(history)) {
+    if (key >= starts.week) {
+      _addUsage(usage.week, dailyStats);
+    }
+    if (key >= starts.month) {
+      _addUsage(usage.month, dailyStats);
+    }
+  }
+  _addUsage(usage.week, todayStats);
+  _addUsage(usage.month, todayStats);
+  return usage;
+}
+
+/**
+ * Describes a site's period budgets and what is left of them.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {{week: Object, month: Object}} periodUsage - The result of getPeriodUsage.
+ * @returns {Array<{period: string, usage: Object, limitSeconds: number, openLimit: number,
+ *          remainingSeconds: number|null, remainingOpens: number|null}>} One entry per
+ *          period with a budget; the remaining values are null when that kind of budget
+ *          is not set.
+ */
+export function describePeriodBudgets(site, periodUsage) {
+  return BUDGET_PERIODS.filter((budget) => _hasBudget(site, budget)).map(
+    ({ period, limitField, openLimitField }) => {
+      const usage = periodUsage[period][site.id] || {
+        timeSpentSeconds: 0,
+        opens: 0,
+      };
+      const limitSeconds = site[limitField] || 0;
+      const openLimit = site[openLimitField] || 0;
+      return {
+        period,
+        usage,
+        limitSeconds,
+        openLimit,
+        remainingSeconds:
+          limitSeconds > 0 ? limitSeconds - usage.timeSpentSeconds : null,
+        remainingOpens: openLimit > 0 ? openLimit - usage.opens : null,
+      };
+    }
+  );
+}
+
+/**
+ * Finds the period budgets of a site that are used up, with the same rules as the daily
+ * limits: an open budget of N allows N visits, and active overrides lift them.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {{week: Object, month: Object}} periodUsage - The result of getPeriodUsage.
+ * @param {Object} override - The site's active override (see getActiveOverride).
+ * @param {boolean} visitCounted - Whether the current visit is already counted as an open.
+ * @returns {Array<Object>} The used-up budgets, as described by describePeriodBudgets,
+ *          with `timeExceeded` and `opensExceeded`.
+ */
+export function getExceededPeriodBudgets(
+  site,
+  periodUsage,
+  override,
+  visitCounted
+) {
+  return describePeriodBudgets(site, periodUsage)
+    .map((budget) => {
+      const openedBefore = visitCounted
+        ? budget.usage.opens - 1
+        : budget.usage.opens;
+      return {
+        ...budget,
+        timeExceeded:
+          budget.limitSeconds > 0 &&
+          budget.usage.timeSpentSeconds >= budget.limitSeconds &&
+          !override.time,
+        opensExceeded:
+          budget.openLimit > 0 &&
+          openedBefore >= budget.openLimit &&
+          !override.opens,
+      };
+    })
+    .filter((budget) => budget.timeExceeded || budget.opensExceeded);
+}
@@ -0,0 +1,295 @@
+/**
+ * @file pin_lock.js
+ * @description PIN lock: a PIN or passphrase that has to be entered before rules are
+ * loosened, for shared computers or for handing the key to someone else.
+ *
+ * With a PIN set, the changes strict mode would hold back (see strict_mode.js) need it:
+ * deleting a site or group, disabling a site, raising or removing a limit and the like.
+ * So do importing a backup, reverting a reduction step and adding sites from the popup.
+ * Loosening changes from other devices wait for it too (see sync_manager.js).
+ * background.js checks the PIN sent along with these messages (`message.pin`) through
+ * authorizeChange, so going around the UI doesn't help. A correct PIN unlocks for
+ * PIN_UNLOCK_MINUTES, so a few edits in a row only ask once; the unlock is kept in memory
+ * and ends early when the background script is unloaded.
+ *
+ * The PIN is stored in storage.local (`pinLock`) as a salted PBKDF2-SHA-256 hash,
+ * `{salt, hash, iterations, failedAttempts, lockedUntil}`, and is neither synced nor
+ * exported. MAX_PIN_ATTEMPTS wrong PINs in a row lock it for PIN_LOCKOUT_MINUTES.
+ */
+
+/** Storage key of the PIN hash and its failed attempts. */
+export const PIN_LOCK_KEY = 'pinLock';
+
+/** PBKDF2 rounds for new PINs; stored with the hash so it can be raised later. */
+export const PIN_ITERATIONS = 310000;
+
+/** Wrong PINs in a row before the lock holds for PIN_LOCKOUT_MINUTES. */
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MINUTES = 15;
+
+/** How long a correct PIN lets protected changes through. */
+export const PIN_UNLOCK_MINUTES = 5;
+
+const SALT_BYTES = 16;
+const MINUTE_MS = 60 * 1000;
+
+// Until when a correct PIN lets protected changes through
+let _unlockedUntil = 0;
+
+const _toHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+const _fromHex = (hex) =>
+  new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+
+/**
+ * Derives the hash of a PIN.
+ * @private
+ * @returns {Promise<string>} The 256-bit hash as hex.
+ */
+async function _hashPin(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return _toHex(new Uint8Array(bits));
+}
+
+/**
+ * Compares two hashes without stopping at the first difference.
+ * @private
+ */
+function _equalHashes(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Reads the stored PIN lock; storage errors are left to the caller.
+ * @private
+ */
+async function _getPinLock() {
+  const result = await browser.storage.local.get(PIN_LOCK_KEY);
+  return result[PIN_LOCK_KEY] || null;
+}
+
+/**
+ * Tells whether a PIN is set and whether it is locked out or unlocked right now.
+ *
+ * @async
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<{enabled: boolean, lockedUntil: number|null, unlockedUntil: number|null}>}
+ *          The status; not enabled if an error occurs.
+ */
+export async function getPinStatus(now = Date.now()) {
+  try {
+    const lock = await _getPinLock();
+    if (!lock) {
+      return { enabled: false, lockedUntil: null, unlockedUntil: null };
+    }
+    return {
+      enabled: true,
+      lockedUntil: lock.lockedUntil > now ? lock.lockedUntil : null,
+      unlockedUntil: _unlockedUntil > now ? _unlockedUntil : null,
+    };
+  } catch (error) {
+    console.error('[PinLock] Error reading the PIN status:', error);
+    return { enabled: false, lockedUntil: null, unlockedUntil: null };
+  }
+}
+
+/**
+ * Sets a new PIN, replacing any earlier one. Callers check the current PIN first.
+ *
+ * @async
+ * @param {string} pin - The new PIN, validated by validatePin.
+ * @returns {Promise<boolean>} True if it was saved, false if an error occurs.
+ */
+export async function setPin(pin) {
+  try {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    await browser.storage.local.set({
+      [PIN_LOCK_KEY]: {
+        salt: _toHex(salt),
+        hash: await _hashPin(pin, salt, PIN_ITERATIONS),
+        iterations: PIN_ITERATIONS,
+        failedAttempts: 0,
+        lockedUntil: 0,
+      },
+    });
+    _unlockedUntil = 0;
+    return true;
+  } catch (error) {
+    console.error('[PinLock] Error saving the PIN:', error);
+    return false;
+  }
+}
+
+/**
+ * Removes the PIN. Callers check it first.
+ *
+ * @async
+ * @returns {Promise<boolean>} True if it was removed, false if an error occurs.
+ */
+export async function removePin() {
+  try {
+    await browser.storage.local.remove(PIN_LOCK_KEY);
+    _unlockedUntil = 0;
+    return true;
+  } catch (error) {
+    console.error('[PinLock] Error removing the PIN:', error);
+    return false;
+  }
+}
+
+/**
+ * Locks protected changes again before the unlock runs out.
+ */
+export function lockPin() {
+  _unlockedUntil = 0;
+}
+
+/**
+ * Checks a PIN, counting wrong ones towards the lockout. A correct PIN unlocks protected
+ * changes for PIN_UNLOCK_MINUTES.
+ *
+ * @async
+ * @param {string} pin - The PIN that was entered.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<{valid: boolean, attemptsLeft: number|null, lockedUntil: number|null}>}
+ *          Whether it is right, how many tries are left before the lockout and when a
+ *          lockout ends. Not valid if no PIN is set or an error occurs.
+ */
+export async function verifyPin(pin, now = Date.now()) {
+  try {
+    const lock = await _getPinLock();
+    if (!lock) {
+      return { valid: false, attemptsLeft: null, lockedUntil: null };
+    }
+    if (lock.lockedUntil > now) {
+      return { valid: false, attemptsLeft: 0, lockedUntil: lock.lockedUntil };
+    }
+
+    const valid =
+      typeof pin === 'string' &&
+      _equalHashes(
+        await _hashPin(pin, _fromHex(lock.salt), lock.iterations),
+        lock.hash
+      );
+    if (valid) {
+      if (lock.failedAttempts > 0) {
+        await browser.storage.local.set({
+          [PIN_LOCK_KEY]: { ...lock, failedAttempts: 0 },
+        });
+      }
+      _unlockedUntil = now + PIN_UNLOCK_MINUTES * MINUTE_MS;
+      return { valid: true, attemptsLeft: null, lockedUntil: null };
+    }
+
+    const failedAttempts = lock.failedAttempts + 1;
+    // The count starts over once a lockout is served
+    const lockedUntil =
+      failedAttempts >= MAX_PIN_ATTEMPTS
+        ? now + PIN_LOCKOUT_MINUTES * MINUTE_MS
+        : null;
+    await browser.storage.local.set({
+      [PIN_LOCK_KEY]: {
+        ...lock,
+        failedAttempts: lockedUntil ? 0 : failedAttempts,
+        lockedUntil: lockedUntil || lock.lockedUntil,
+      },
+    });
+    _unlockedUntil = 0;
+    if (lockedUntil) {
+      console.warn('[PinLock] Too many wrong PINs, locked until', lockedUntil);
+    }
+    return {
+      valid: false,
+      attemptsLeft: lockedUntil ? 0 : MAX_PIN_ATTEMPTS - failedAttempts,
+      lockedUntil,
+    };
+  } catch (error) {
+    console.error('[PinLock] Error checking the PIN:', error);
+    return { valid: false, attemptsLeft: null, lockedUntil: null };
+  }
+}
+
+/**
+ * Decides whether a protected change may go ahead: always without a PIN, while unlocked,
+ * or with the right PIN.
+ *
+ * @async
+ * @param {string} [pin] - The PIN sent along with the change, if any.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @param {boolean} [allowUnlocked=true] - Whether an earlier correct PIN counts; changing
+ *                                         or removing the PIN itself always asks for it.
+ * @returns {Promise<{allowed: boolean, error: string|null, lockedUntil: number|null}>}
+ *          Whether it may, and why not. Refused if the PIN can't be read.
+ */
+export async function authorizeChange(
+  pin,
+  now = Date.now(),
+  allowUnlocked = true
+) {
+  let lock;
+  try {
+    lock = await _getPinLock();
+  } catch (error) {
+    console.error('[PinLock] Error reading the PIN:', error);
+    return {
+      allowed: false,
+      error: "Couldn't check your PIN. Please try again.",
+      lockedUntil: null,
+    };
+  }
+  if (!lock || (allowUnlocked && _unlockedUntil > now)) {
+    return { allowed: true, error: null, lockedUntil: null };
+  }
+  if (lock.lockedUntil > now) {
+    return {
+      allowed: false,
+      error: `Too many wrong PINs. Try again in ${Math.ceil((lock.lockedUntil - now) / MINUTE_MS)} min.`,
+      lockedUntil: lock.lockedUntil,
+    };
+  }
+  if (typeof pin !== 'string' || pin === '') {
+    return {
+      allowed: false,
+      error: 'Enter your PIN to make this change.',
+      lockedUntil: null,
+    };
+  }
+
+  const result = await verifyPin(pin, now);
+  if (result.valid) {
+    return { allowed: true, error: null, lockedUntil: null };
+  }
+  if (result.lockedUntil) {
+    return {
+      allowed: false,
+      error: `Too many wrong PINs. Try again in ${PIN_LOCKOUT_MINUTES} min.`,
+      lockedUntil: result.lockedUntil,
+    };
+  }
+  return {
+    allowed: false,
+    error:
+      result.attemptsLeft === null
+        ? "Couldn't check your PIN. Please try again."
+        : `Wrong PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'try' : 'tries'} left.`,
+    lockedUntil: null,
+  };
+}
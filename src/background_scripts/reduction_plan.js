@@ -0,0 +1,502 @@
+/**
+ * @file reduction_plan.js
+ * @description Progressive limit reduction plans ("reduce by 10% per week").
+ *
+ * A plan takes a site's daily time limit from `startLimitSeconds` down to
+ * `targetLimitSeconds`, cutting it by `weeklyReductionPercent` percent (rounded down to
+ * whole minutes) every REDUCTION_STEP_DAYS days. Before each step the plan looks back at
+ * the days since the previous one: if the limit was used up on PAUSE_AFTER_EXCEEDED_DAYS
+ * of them or more, the plan pauses instead of cutting further, until it is resumed.
+ * A plan is completed once the limit reaches the target.
+ *
+ * Plans are kept in storage.local (`reductionPlans`, keyed by site ID) and steps are
+ * worked out from their usage days, so steps missed while the browser was closed are
+ * caught up. The `reductionPlanStep` alarm fires at the start of the day the next step
+ * is due; like the daily reset, it is scheduled again each time it fires and on startup.
+ *
+ * Every change a plan makes on its own is appended to the reduction log (`reductionLog`).
+ * The latest limit cut of a site can be reverted, which restores the limit before it and
+ * pauses the plan; an automatic pause is undone by resuming the plan.
+ */
+
+import { getDistractingSites, updateDistractingSite } from './site_storage.js';
+import { getUsageStatsForDates } from './usage_storage.js';
+import { shiftDateKey, getDayStartTime } from './clock.js';
+
+/** Storage key of the plans, keyed by site ID. */
+export const REDUCTION_PLANS_KEY = 'reductionPlans';
+
+/** Storage key of the log of automatic changes. */
+export const REDUCTION_LOG_KEY = 'reductionLog';
+
+/** Oldest log entries are dropped once the log grows past this size. */
+export const MAX_REDUCTION_LOG_ENTRIES = 500;
+
+/** Alarm that fires when the next plan step is due. */
+export const REDUCTION_PLAN_ALARM = 'reductionPlanStep';
+
+/** Days between two steps of a plan. */
+export const REDUCTION_STEP_DAYS = 7;
+
+/** A plan pauses when its limit was used up on this many days since the last step. */
+export const PAUSE_AFTER_EXCEEDED_DAYS = 3;
+
+/** Plan states. */
+export const PLAN_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+};
+
+/** Kinds of reduction log entries. */
+export const REDUCTION_LOG_TYPES = {
+  REDUCED: 'reduced',
+  PAUSED: 'paused',
+};
+
+const MINUTE_SECONDS = 60;
+
+/**
+ * Works out the limit a plan's next step sets: the current limit cut by the plan's
+ * percentage, rounded down to whole minutes (at least one minute less) and never
+ * below the target.
+ *
+ * @param {Object} plan - The plan.
+ * @param {number} currentLimitSeconds - The site's daily time limit now.
+ * @returns {number} The new daily time limit in seconds.
+ */
+export function getNextReductionLimit(plan, currentLimitSeconds) {
+  const reduced =
+    Math.floor(
+      (currentLimitSeconds * (100 - plan.weeklyReductionPercent)) /
+        100 /
+        MINUTE_SECONDS
+    ) * MINUTE_SECONDS;
+  return Math.max(
+    plan.targetLimitSeconds,
+    Math.min(reduced, currentLimitSeconds - MINUTE_SECONDS)
+  );
+}
+
+/**
+ * Counts the days a site used up a daily time limit.
+ *
+ * @param {string} siteId - The site ID.
+ * @param {number} limitSeconds - The daily time limit.
+ * @param {Object<string, Object>} history - Daily usage keyed by date, then by site ID.
+ * @returns {number} The number of days.
+ */
+export function countExceededDays(siteId, limitSeconds, history) {
+  return Object.values(history).filter((dailyStats) => {
+    const usage = (dailyStats || {})[siteId];
+    return usage && usage.timeSpentSeconds >= limitSeconds;
+  }).length;
+}
+
+/**
+ * Returns the usage day a plan's next step is due on.
+ *
+ * @param {Object} plan - The plan.
+ * @returns {string} The date key, "YYYY-MM-DD".
+ */
+export function getNextStepKey(plan) {
+  return shiftDateKey(plan.lastStepOn, REDUCTION_STEP_DAYS);
+}
+
+/**
+ * Describes a plan for the settings page.
+ *
+ * @param {Object} plan - The plan.
+ * @param {Object|undefined} site - The plan's site.
+ * @returns {Object} The plan with `urlPattern`, `currentLimitSeconds`,
+ *          `progressPercent` (how much of the way from start to target the limit has
+ *          come) and `nextStepOn` (null unless the plan is active).
+ */
+export function describeReductionPlan(plan, site) {
+  const currentLimitSeconds = site ? site.dailyLimitSeconds || 0 : 0;
+  const range = plan.startLimitSeconds - plan.targetLimitSeconds;
+  const progress = (plan.startLimitSeconds - currentLimitSeconds) / range;
+  return {
+    ...plan,
+    urlPattern: site ? site.urlPattern : null,
+    currentLimitSeconds,
+    progressPercent: Math.round(Math.min(1, Math.max(0, progress)) * 100),
+    nextStepOn:
+      plan.status === PLAN_STATUS.ACTIVE ? getNextStepKey(plan) : null,
+  };
+}
+
+/**
+ * Retrieves all plans from storage.
+ *
+ * @async
+ * @returns {Promise<Object<string, Object>>} The plans keyed by site ID; empty if none
+ *          are stored or an error occurs.
+ */
+export async function getReductionPlans() {
+  try {
+    const result = await browser.storage.local.get(REDUCTION_PLANS_KEY);
+    return result[REDUCTION_PLANS_KEY] || {};
+  } catch (error) {
+    console.error('[ReductionPlan] Error reading reduction plans:', error);
+    return {};
+  }
+}
+
+/**
+ * Retrieves the log of automatic changes, oldest first.
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} The log entries; empty if none exist or an error occurs.
+ */
+export async function getReductionLog() {
+  try {
+    const result = await browser.storage.local.get(REDUCTION_LOG_KEY);
+    return result[REDUCTION_LOG_KEY] || [];
+  } catch (error) {
+    console.error('[ReductionPlan] Error reading the reduction log:', error);
+    return [];
+  }
+}
+
+/**
+ * Tells which log entry holds the latest limit cut of each site that can still be
+ * reverted.
+ *
+ * @param {Array<Object>} log - The reduction log.
+ * @returns {Set<string>} The IDs of the revertible entries.
+ */
+export function getRevertibleEntryIds(log) {
+  const latest = {};
+  for (const entry of log) {
+    if (entry.type === REDUCTION_LOG_TYPES.REDUCED && !entry.revertedAt) {
+      latest[entry.siteId] = entry.id;
+    }
+  }
+  return new Set(Object.values(latest));
+}
+
+/**
+ * Writes plans and log entries to storage, trimming the log to its maximum size.
+ * @private
+ */
+async function _save(plans, log) {
+  await browser.storage.local.set({
+    [REDUCTION_PLANS_KEY]: plans,
+    [REDUCTION_LOG_KEY]: log.slice(-MAX_REDUCTION_LOG_ENTRIES),
+  });
+}
+
+/**
+ * Schedules the alarm for the earliest step due among the active plans, or clears it
+ * when no plan is active.
+ *
+ * @async
+ * @param {Object<string, Object>} [plans] - The plans; read from storage if not given.
+ * @returns {Promise<void>}
+ */
+export async function scheduleReductionAlarm(plans) {
+  const nextKeys = Object.values(plans || (await getReductionPlans()))
+    .filter((plan) => plan.status === PLAN_STATUS.ACTIVE)
+    .map(getNextStepKey)
+    .sort();
+
+  if (nextKeys.length === 0) {
+    await browser.alarms.clear(REDUCTION_PLAN_ALARM);
+    return;
+  }
+  await browser.alarms.create(REDUCTION_PLAN_ALARM, {
+    when: getDayStartTime(nextKeys[0]),
+  });
+}
+
+/**
+ * Starts a plan for a site, replacing any plan it had, and sets the site's daily time
+ * limit to the plan's start limit. The first step is due REDUCTION_STEP_DAYS days later.
+ *
+ * @async
+ * @param {string} siteId - The site ID.
+ * @param {Object} options - `{startLimitSeconds, targetLimitSeconds,
+ *                           weeklyReductionPercent}`, already validated, and
+ *                           `allowRaise`: whether the start limit may be above the
+ *                           site's current limit.
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @returns {Promise<{plan: Object|null, site: Object|null, error: string|null}>}
+ *          The plan and the updated site, or the reason the plan could not start.
+ */
+export async function startReductionPlan(siteId, options, dayKey) {
+  const sites = await getDistractingSites();
+  const current = sites.find((site) => site.id === siteId);
+  if (!current) {
+    return { plan: null, site: null, error: 'Site not found' };
+  }
+  // A site without a time limit allows everything, so no start limit raises it
+  const raisesLimit =
+    current.dailyLimitSeconds > 0 &&
+    options.startLimitSeconds > current.dailyLimitSeconds;
+  if (raisesLimit && !options.allowRaise) {
+    return {
+      plan: null,
+      site: null,
+      error: `The plan can't start above the site's current limit of ${Math.floor(current.dailyLimitSeconds / MINUTE_SECONDS)} minutes.`,
+    };
+  }
+
+  const site = await updateDistractingSite(siteId, {
+    dailyLimitSeconds: options.startLimitSeconds,
+  });
+  if (!site) {
+    return { plan: null, site: null, error: 'Failed to set the start limit' };
+  }
+
+  const plan = {
+    siteId,
+    startLimitSeconds: options.startLimitSeconds,
+    targetLimitSeconds: options.targetLimitSeconds,
+    weeklyReductionPercent: options.weeklyReductionPercent,
+    startedOn: dayKey,
+    lastStepOn: dayKey,
+    status: PLAN_STATUS.ACTIVE,
+    pausedReason: null,
+  };
+  const plans = { ...(await getReductionPlans()), [siteId]: plan };
+  await _save(plans, await getReductionLog());
+  await scheduleReductionAlarm(plans);
+
+  console.log(`[ReductionPlan] Started a plan for site ${siteId}:`, plan);
+  return { plan, site, error: null };
+}
+
+/**
+ * Pauses or resumes a plan. A resumed plan waits REDUCTION_STEP_DAYS days at the
+ * current limit before its next step.
+ *
+ * @async
+ * @param {string} siteId - The site ID.
+ * @param {boolean} paused - True to pause, false to resume.
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @returns {Promise<Object|null>} The updated plan, or null if the site has no plan
+ *          (or it is completed) or an error occurs.
+ */
+export async function setReductionPlanPaused(siteId, paused, dayKey) {
+  try {
+    const plans = await getReductionPlans();
+    const plan = plans[siteId];
+    if (!plan || plan.status === PLAN_STATUS.COMPLETED) {
+      return null;
+    }
+
+    plans[siteId] = paused
+      ? { ...plan, status: PLAN_STATUS.PAUSED, pausedReason: 'manual' }
+      : {
+          ...plan,
+          status: PLAN_STATUS.ACTIVE,
+          pausedReason: null,
+          lastStepOn: dayKey,
+        };
+    await _save(plans, await getReductionLog());
+    await scheduleReductionAlarm(plans);
+    return plans[siteId];
+  } catch (error) {
+    console.error('[ReductionPlan] Error pausing or resuming a plan:', error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a site's plan. The site keeps its current limit and the log is kept.
+ *
+ * @async
+ * @param {string} siteId - The site ID.
+ * @returns {Promise<boolean>} True if a plan was deleted, false otherwise.
+ */
+export async function deleteReductionPlan(siteId) {
+  try {
+    const plans = await getReductionPlans();
+    if (!plans[siteId]) {
+      return false;
+    }
+    delete plans[siteId];
+    await browser.storage.local.set({ [REDUCTION_PLANS_KEY]: plans });
+    await scheduleReductionAlarm(plans);
+    return true;
+  } catch (error) {
+    console.error('[ReductionPlan] Error deleting a plan:', error);
+    return false;
+  }
+}
+
+/**
+ * Reverts a limit cut: restores the site's limit before it and pauses the site's plan,
+ * which would otherwise cut the limit again at its next step. Only the latest cut of a
+ * site that is not reverted yet can be reverted, so earlier ones are undone one by one.
+ *
+ * @async
+ * @param {string} entryId - The ID of the log entry of the cut.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<{site: Object|null, error: string|null}>} The updated site, or the
+ *          reason the cut could not be reverted.
+ */
+export async function revertReductionStep(entryId, now = Date.now()) {
+  const log = await getReductionLog();
+  const entry = log.find((logEntry) => logEntry.id === entryId);
+  if (!entry || entry.type !== REDUCTION_LOG_TYPES.REDUCED) {
+    return { site: null, error: 'Change not found' };
+  }
+  if (!getRevertibleEntryIds(log).has(entryId)) {
+    return {
+      site: null,
+      error: entry.revertedAt
+        ? 'This change was already reverted'
+        : 'Revert the later changes to this site first',
+    };
+  }
+
+  const site = await updateDistractingSite(entry.siteId, {
+    dailyLimitSeconds: entry.fromSeconds,
+  });
+  if (!site) {
+    return { site: null, error: 'The site no longer exists' };
+  }
+
+  entry.revertedAt = now;
+  const plans = await getReductionPlans();
+  if (plans[entry.siteId]) {
+    plans[entry.siteId] = {
+      ...plans[entry.siteId],
+      status: PLAN_STATUS.PAUSED,
+      pausedReason: 'reverted',
+    };
+  }
+  await _save(plans, log);
+  await scheduleReductionAlarm(plans);
+
+  console.log(
+    `[ReductionPlan] Reverted the limit of site ${entry.siteId} to ${entry.fromSeconds}s`
+  );
+  return { site, error: null };
+}
+
+/**
+ * Takes every step that is due, catching up on steps missed while the browser was
+ * closed. Plans whose site is gone, or no longer has a daily time limit, are dropped.
+ *
+ * @async
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<Array<Object>>} The log entries of the changes made; empty if
+ *          nothing was due or an error occurs.
+ */
+export async function applyReductionPlans(dayKey, now = Date.now()) {
+  try {
+    const plans = await getReductionPlans();
+    const sites = await getDistractingSites();
+    const entries = [];
+    let plansChanged = false;
+
+    for (const siteId of Object.keys(plans)) {
+      let plan = plans[siteId];
+      if (plan.status !== PLAN_STATUS.ACTIVE) {
+        continue;
+      }
+      const site = sites.find((candidate) => candidate.id === siteId);
+      if (!site || !(site.dailyLimitSeconds > 0)) {
+        console.log(
+          `[ReductionPlan] Dropping the plan of site ${siteId}, which has no time limit anymore`
+        );
+        delete plans[siteId];
+        plansChanged = true;
+        continue;
+      }
+
+      let limitSeconds = site.dailyLimitSeconds;
+      while (
+        plan.status === PLAN_STATUS.ACTIVE &&
+        getNextStepKey(plan) <= dayKey
+      ) {
+        const stepKey = getNextStepKey(plan);
+        plansChanged = true;
+
+        if (limitSeconds <= plan.targetLimitSeconds) {
+          plan = { ...plan, status: PLAN_STATUS.COMPLETED };
+          break;
+        }
+
+        const days = [];
+        for (
+          let key = plan.lastStepOn;
+          key < stepKey;
+          key = shiftDateKey(key, 1)
+        ) {
+          days.push(key);
+        }
+        const history = await getUsageStatsForDates(days);
+        const exceededDays = countExceededDays(siteId, limitSeconds, history);
+
+        const entry = {
+          id: `${siteId}-${stepKey}-${now}`,
+          siteId,
+          date: stepKey,
+          changedAt: now,
+          fromSeconds: limitSeconds,
+          exceededDays,
+          revertedAt: null,
+        };
+
+        if (exceededDays >= PAUSE_AFTER_EXCEEDED_DAYS) {
+          entries.push({
+            ...entry,
+            type: REDUCTION_LOG_TYPES.PAUSED,
+            toSeconds: limitSeconds,
+          });
+          plan = {
+            ...plan,
+            status: PLAN_STATUS.PAUSED,
+            pausedReason: 'exceeded',
+            lastStepOn: stepKey,
+          };
+          break;
+        }
+
+        const nextLimit = getNextReductionLimit(plan, limitSeconds);
+        const updatedSite = await updateDistractingSite(siteId, {
+          dailyLimitSeconds: nextLimit,
+        });
+        if (!updatedSite) {
+          // Try again the next time the alarm fires
+          break;
+        }
+        entries.push({
+          ...entry,
+          type: REDUCTION_LOG_TYPES.REDUCED,
+          toSeconds: nextLimit,
+        });
+        limitSeconds = nextLimit;
+        plan = {
+          ...plan,
+          lastStepOn: stepKey,
+          status:
+            nextLimit <= plan.targetLimitSeconds
+              ? PLAN_STATUS.COMPLETED
+              : PLAN_STATUS.ACTIVE,
+        };
+      }
+      plans[siteId] = plan;
+    }
+
+    if (plansChanged) {
+      await _save(plans, [...(await getReductionLog()), ...entries]);
+    }
+    await scheduleReductionAlarm(plans);
+
+    if (entries.length > 0) {
+      console.log(
+        `[ReductionPlan] Applied ${entries.length} plan step(s) on ${dayKey}`
+      );
+    }
+    return entries;
+  } catch (error) {
+    console.error('[ReductionPlan] Error applying reduction plans:', error);
+    return [];
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * @file rollover_bank.js
+ * @description Carries part of a site's unused daily time over to the following days.
+ *
+ * A site with a rollover policy banks `rolloverPercent` percent of the daily time limit
+ * it left unused, up to `rolloverCapSeconds` in the bank. Each deposit can be spent for
+ * `rolloverExpiryDays` days (DEFAULT_ROLLOVER_EXPIRY_DAYS unless set) after the day it
+ * was saved on. The bank adds to the daily time limit in force (see getEffectiveLimit);
+ * banked time is spent once the day's own limit is used up, oldest deposits first.
+ *
+ * The daily reset settles the bank for every day since the last settlement (see
+ * settleRolloverBank), from this device's recorded usage. The bank is stored under
+ * ROLLOVER_BANK_KEY as `{settledThrough: "YYYY-MM-DD", banks: {siteId: [{date, seconds}]}}`.
+ */
+
+import { getUsageStatsForDates } from './usage_storage.js';
+import { shiftDateKey } from './clock.js';
+
+/** Storage key of the rollover bank. */
+export const ROLLOVER_BANK_KEY = 'rolloverBank';
+
+/** The site fields of a rollover policy. */
+export const ROLLOVER_FIELDS = [
+  'rolloverPercent',
+  'rolloverCapSeconds',
+  'rolloverExpiryDays',
+];
+
+/** How many days a deposit lasts unless the site sets `rolloverExpiryDays`. */
+export const DEFAULT_ROLLOVER_EXPIRY_DAYS = 7;
+
+// Deposits never last longer than this, so older days never need settling
+const MAX_ROLLOVER_EXPIRY_DAYS = 30;
+
+/**
+ * Tells whether a site banks unused time: it needs a daily time limit, a percentage
+ * and a cap.
+ *
+ * @param {Object} site - The site configuration.
+ * @returns {boolean} True if the site has a rollover policy.
+ */
+export function hasRolloverPolicy(site) {
+  return (
+    site.dailyLimitSeconds > 0 &&
+    site.rolloverPercent > 0 &&
+    site.rolloverCapSeconds > 0
+  );
+}
+
+/**
+ * Drops the deposits that can no longer be spent on a day.
+ * @private
+ */
+function _unexpiredDeposits(site, deposits, dayKey) {
+  const expiryDays = site.rolloverExpiryDays || DEFAULT_ROLLOVER_EXPIRY_DAYS;
+  return deposits.filter(
+    (deposit) => shiftDateKey(deposit.date, expiryDays) >= dayKey
+  );
+}
+
+/**
+ * Sums the deposits of a site that can be spent on a day.
+ *
+ * @param {Object} site - The site configuration.
+ * @param {Array<{date: string, seconds: number}>} deposits - The site's bank.
+ * @param {string} dayKey - The usage day, "YYYY-MM-DD".
+ * @returns {number} The banked time in seconds, at most the site's cap.
+ */
+export function getBankedSeconds(site, deposits, dayKey) {
+  const banked = _unexpiredDeposits(site, deposits || [], dayKey).reduce(
+    (total, deposit) => total + deposit.seconds,
+    0
+  );
+  return Math.min(banked, site.rolloverCapSeconds || 0);
+}
+
+/**
+ * Settles one finished day of a site: spends the banked time used beyond the day's
+ * limit and deposits the share of the limit that was left unused.
+ *
+ * @param {Object} site - The site configuration, with a rollover policy.
+ * @param {Array<{date: string, seconds: number}>} deposits - The bank before the day.
+ * @param {number} usedSeconds - The time spent on the site that day.
+ * @param {string} dayKey - The day, "YYYY-MM-DD".
+ * @returns {Array<{date: string, seconds: number}>} The bank after the day.
+ */
+export function settleDay(site, deposits, usedSeconds, dayKey) {
+  // Time spent beyond the day's limit came out of the bank, oldest deposits first
+  let spent = Math.max(0, usedSeconds - site.dailyLimitSeconds);
+  const remaining = [];
+  for (const deposit of _unexpiredDeposits(site, deposits, dayKey)) {
+    const taken = Math.min(spent, deposit.seconds);
+    spent -= taken;
+    if (deposit.seconds > taken) {
+      remaining.push({ ...deposit, seconds: deposit.seconds - taken });
+    }
+  }
+
+  // Deposits that run out before the next day are dropped right away
+  const kept = _unexpiredDeposits(site, remaining, shiftDateKey(dayKey, 1));
+  const banked = kept.reduce((total, deposit) => total + deposit.seconds, 0);
+  const unused = Math.max(0, site.dailyLimitSeconds - usedSeconds);
+  const deposit = Math.min(
+    Math.floor((unused * site.rolloverPercent) / 100),
+    site.rolloverCapSeconds - banked
+  );
+  if (deposit > 0) {
+    kept.push({ date: dayKey, seconds: deposit });
+  }
+  return kept;
+}
+
+/**
+ * Retrieves the rollover bank from storage.
+ *
+ * @async
+ * @returns {Promise<{settledThrough: string|null, banks: Object}>} The bank; empty if
+ *          nothing is stored or an error occurs.
+ */
+export async function getRolloverBank() {
+  try {
+    const result = await browser.storage.local.get(ROLLOVER_BANK_KEY);
+    return result[ROLLOVER_BANK_KEY] || { settledThrough: null, banks: {} };
+  } catch (error) {
+    console.error('[RolloverBank] Error reading the rollover bank:', error);
+    return { settledThrough: null, banks: {} };
+  }
+}
+
+/**
+ * Returns the time a site has banked for today.
+ *
+ * @async
+ * @param {Object} site - The site configuration.
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @returns {Promise<number>} The banked time in seconds; 0 without a rollover policy.
+ */
+export async function getBankedTime(site, dayKey) {
+  if (!hasRolloverPolicy(site)) {
+    return 0;
+  }
+  const { banks } = await getRolloverBank();
+  return getBankedSeconds(site, banks[site.id], dayKey);
+}
+
+/**
+ * Returns a site's daily time limit with its banked time added.
+ *
+ * @param {number} dailyLimitSeconds - The daily time limit in force (0 = none).
+ * @param {number} bankedSeconds - The site's banked time.
+ * @returns {number} The effective daily time limit; 0 if there is no limit.
+ */
+export function getEffectiveLimit(dailyLimitSeconds, bankedSeconds) {
+  return dailyLimitSeconds > 0 ? dailyLimitSeconds + bankedSeconds : 0;
+}
+
+/**
+ * Settles the rollover bank for every finished day since the last settlement, up to
+ * the day before `dayKey`. Days the browser was not used count as unused. Banks of
+ * sites without a rollover policy are dropped, and so is the whole bank once no site
+ * has one.
+ *
+ * @async
+ * @param {string} dayKey - Today's usage day, "YYYY-MM-DD".
+ * @param {Array<Object>} sites - All site configurations.
+ * @returns {Promise<boolean>} True on success (or nothing to settle), false on failure.
+ */
+export async function settleRolloverBank(dayKey, sites) {
+  try {
+    const { settledThrough, banks } = await getRolloverBank();
+    const lastDay = shiftDateKey(dayKey, -1);
+    if (settledThrough && settledThrough >= lastDay) {
+      return true;
+    }
+
+    // Nothing to bank: start afresh from the day a site gets a rollover policy, rather
+    // than banking every day since the last settlement
+    const policySites = sites.filter(hasRolloverPolicy);
+    if (policySites.length === 0) {
+      if (settledThrough) {
+        await browser.storage.local.remove(ROLLOVER_BANK_KEY);
+      }
+      return true;
+    }
+
+    const oldestDay = shiftDateKey(dayKey, -MAX_ROLLOVER_EXPIRY_DAYS);
+    let firstDay = settledThrough ? shiftDateKey(settledThrough, 1) : lastDay;
+    if (firstDay < oldestDay) {
+      firstDay = oldestDay;
+    }
+    const days = [];
+    for (let key = firstDay; key <= lastDay; key = shiftDateKey(key, 1)) {
+      days.push(key);
+    }
+    const history = await getUsageStatsForDates(days);
+
+    const settledBanks = {};
+    for (const site of policySites) {
+      let deposits = banks[site.id] || [];
+      for (const day of days) {
+        const usage = (history[day] || {})[site.id];
+        deposits = settleDay(
+          site,
+          deposits,
+          usage ? usage.timeSpentSeconds : 0,
+          day
+        );
+      }
+      if (deposits.length > 0) {
+        settledBanks[site.id] = deposits;
+      }
+    }
+
+    await browser.storage.local.set({
+      [ROLLOVER_BANK_KEY]: { settledThrough: lastDay, banks: settledBanks },
+    });
+    console.log(
+      `[RolloverBank] Settled ${days.length} day(s) through ${lastDay} for ${Object.keys(settledBanks).length} site(s) with banked time`
+    );
+    return true;
+  } catch (error) {
+    console.error('[RolloverBank] Error settling the rollover bank:', error);
+    return false;
+  }
+}
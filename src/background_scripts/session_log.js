@@ -0,0 +1,309 @@
+/**
+ * @file session_log.js
+ * @description Keeps a log of every tracking session in IndexedDB: the site, the tab,
+ * the URL, when it started and ended, the time it counted and how it ended.
+ *
+ * Entries are written by usage_recorder.js, which adds the same time and opens to an
+ * entry that it adds to the daily totals (see usage_storage.js). An entry belongs to a
+ * single day: a session that runs past midnight ends with DAY_CHANGE and continues in a
+ * new entry that counts no open. The totals of a day can therefore be derived from its
+ * entries (see deriveDailyTotals).
+ *
+ * Like the usage, entries are kept in memory and written by flushSessionLog, which the
+ * recorder calls right before it writes the usage. The running entries are also kept
+ * with the session state in storage.local, so after a crash they are written again as
+ * they were when the usage was last saved.
+ *
+ * The `sessions` object store is indexed by `day` ("YYYY-MM-DD") and by `siteId`.
+ */
+
+const DB_NAME = 'distractionLimiterLog';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+/** How a logged session ended. A running session has no end reason yet. */
+export const SESSION_END_REASONS = {
+  TAB_SWITCH: 'tab-switch', // Another tab or site came to the front
+  NAVIGATION: 'navigation', // The tab left the site
+  BLOCKED: 'blocked', // The tab was sent to the timeout page
+  FOCUS_LOST: 'focus-lost', // No browser window is focused any more
+  BACKGROUND_ENDED: 'background-ended', // A background tab stopped counting
+  DAY_CHANGE: 'day-change', // Continued in the next day's entry
+  INTERRUPTED: 'interrupted', // The browser or extension was closed
+  NOT_TRACKED: 'not-tracked', // An open that was counted without tracking time
+};
+
+let _dbPromise = null;
+
+// Entries not written yet, keyed by entry ID; a newer copy replaces an older one
+const _pendingEntries = new Map();
+
+// Serializes flushes so an older copy of an entry can't overwrite a newer one
+let _flushQueue = Promise.resolve();
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @private
+ */
+function _promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction has been committed.
+ * @private
+ */
+function _transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Opens the log database, creating the store and its indexes the first time.
+ * @private
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function _openDatabase() {
+  if (!_dbPromise) {
+    _dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SESSION_STORE, {
+          keyPath: 'id',
+        });
+        store.createIndex('day', 'day');
+        store.createIndex('siteId', 'siteId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Try again on the next call
+      _dbPromise = null;
+      throw error;
+    });
+  }
+  return _dbPromise;
+}
+
+/**
+ * Creates the entry of a session that starts now. It is not queued for writing.
+ *
+ * @param {Object} details - The session.
+ * @param {string} details.siteId - The ID of the distracting site.
+ * @param {number} details.tabId - The tab the session runs in.
+ * @param {string|null} [details.url] - The URL of the page.
+ * @param {string} details.day - The day the session counts towards ("YYYY-MM-DD").
+ * @param {number} details.startTime - When the session started.
+ * @param {number} [details.opens=0] - 1 if the session counted an open.
+ * @param {boolean} [details.background=false] - Whether it is a background session.
+ * @returns {Object} The new entry.
+ */
+export function createLogEntry({
+  siteId,
+  tabId,
+  url = null,
+  day,
+  startTime,
+  opens = 0,
+  background = false,
+}) {
+  return {
+    id: crypto.randomUUID(),
+    siteId,
+    tabId,
+    url,
+    day,
+    startTime,
+    endTime: startTime,
+    timeSpentSeconds: 0,
+    opens,
+    background,
+    endReason: null,
+  };
+}
+
+/**
+ * Queues an entry to be written by the next flush.
+ * @param {Object} entry - The entry, as created by createLogEntry.
+ */
+export function queueLogEntry(entry) {
+  _pendingEntries.set(entry.id, { ...entry });
+}
+
+/**
+ * Adds recorded time to a running entry and queues it. If the time counts towards a
+ * later day than the entry, the entry ends with DAY_CHANGE and the time goes to a new
+ * entry for that day.
+ *
+ * @param {Object} entry - The running entry.
+ * @param {number} seconds - The time recorded, as added to the daily totals.
+ * @param {number} recordedUntil - The end of the recorded time.
+ * @param {string} day - The day the time counts towards ("YYYY-MM-DD").
+ * @returns {Object} The entry that is running now.
+ */
+export function addLogTime(entry, seconds, recordedUntil, day) {
+  let current = entry;
+  if (current.day !== day) {
+    endLogEntry(current, SESSION_END_REASONS.DAY_CHANGE);
+    current = createLogEntry({
+      siteId: current.siteId,
+      tabId: current.tabId,
+      url: current.url,
+      day,
+      startTime: current.endTime,
+      background: current.background,
+    });
+  }
+
+  const updated = {
+    ...current,
+    endTime: recordedUntil,
+    timeSpentSeconds: current.timeSpentSeconds + seconds,
+  };
+  queueLogEntry(updated);
+  return updated;
+}
+
+/**
+ * Ends an entry and queues it.
+ *
+ * @param {Object} entry - The running entry.
+ * @param {string} endReason - One of SESSION_END_REASONS.
+ * @param {number} [endTime] - When the session ended; defaults to the end of its
+ *                             recorded time.
+ * @returns {Object} The ended entry.
+ */
+export function endLogEntry(entry, endReason, endTime = entry.endTime) {
+  const ended = { ...entry, endTime, endReason };
+  queueLogEntry(ended);
+  return ended;
+}
+
+/**
+ * Writes the queued entries to the database. Entries that could not be written stay
+ * queued for the next flush.
+ * @returns {Promise<boolean>} True if everything was written, false otherwise.
+ */
+export function flushSessionLog() {
+  const flush = _flushQueue.then(async () => {
+    if (_pendingEntries.size === 0) {
+      return true;
+    }
+
+    const entries = Array.from(_pendingEntries.values());
+    _pendingEntries.clear();
+
+    try {
+      const db = await _openDatabase();
+      const transaction = db.transaction(SESSION_STORE, 'readwrite');
+      const store = transaction.objectStore(SESSION_STORE);
+      entries.forEach((entry) => store.put(entry));
+      await _transactionDone(transaction);
+      return true;
+    } catch (error) {
+      console.error('[SessionLog] Error writing session log:', error);
+      // Keep them for the next flush, unless a newer copy was queued meanwhile
+      entries.forEach((entry) => {
+        if (!_pendingEntries.has(entry.id)) {
+          _pendingEntries.set(entry.id, entry);
+        }
+      });
+      return false;
+    }
+  });
+
+  _flushQueue = flush;
+  return flush;
+}
+
+/**
+ * Reads logged sessions, oldest first. Entries that are still queued are not included.
+ *
+ * @param {Object} [query={}] - Which sessions to read.
+ * @param {string} [query.day] - Only sessions of this day ("YYYY-MM-DD").
+ * @param {string} [query.siteId] - Only sessions of this site.
+ * @param {number} [query.limit] - Only the latest `limit` sessions.
+ * @returns {Promise<Array<Object>>} The entries, or an empty array if an error occurs.
+ */
+export async function getSessionLogEntries({ day, siteId, limit } = {}) {
+  try {
+    const db = await _openDatabase();
+    const store = db
+      .transaction(SESSION_STORE, 'readonly')
+      .objectStore(SESSION_STORE);
+
+    let entries;
+    if (day) {
+      entries = await _promisifyRequest(
+        store.index('day').getAll(IDBKeyRange.only(day))
+      );
+      if (siteId) {
+        entries = entries.filter((entry) => entry.siteId === siteId);
+      }
+    } else if (siteId) {
+      entries = await _promisifyRequest(
+        store.index('siteId').getAll(IDBKeyRange.only(siteId))
+      );
+    } else {
+      entries = await _promisifyRequest(store.getAll());
+    }
+
+    entries.sort((a, b) => a.startTime - b.startTime);
+    return limit ? entries.slice(-limit) : entries;
+  } catch (error) {
+    console.error('[SessionLog] Error reading session log:', error);
+    return [];
+  }
+}
+
+/**
+ * Adds up the time and opens of logged sessions per site. For the entries of one day
+ * this gives that day's usage totals.
+ *
+ * @param {Array<Object>} entries - Log entries.
+ * @returns {Object<string, {timeSpentSeconds: number, opens: number}>} Totals keyed by
+ *          site ID.
+ */
+export function deriveDailyTotals(entries) {
+  const totals = {};
+  entries.forEach((entry) => {
+    const siteTotals = totals[entry.siteId] || {
+      timeSpentSeconds: 0,
+      opens: 0,
+    };
+    siteTotals.timeSpentSeconds += entry.timeSpentSeconds;
+    siteTotals.opens += entry.opens;
+    totals[entry.siteId] = siteTotals;
+  });
+  return totals;
+}
+
+/**
+ * Deletes the sessions of the days before the given one.
+ *
+ * @param {string} day - The oldest day to keep ("YYYY-MM-DD").
+ * @returns {Promise<number>} The number of sessions deleted, 0 if an error occurs.
+ */
+export async function deleteSessionLogBefore(day) {
+  try {
+    const db = await _openDatabase();
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    const index = transaction.objectStore(SESSION_STORE).index('day');
+    const keys = await _promisifyRequest(
+      index.getAllKeys(IDBKeyRange.upperBound(day, true))
+    );
+    const store = transaction.objectStore(SESSION_STORE);
+    keys.forEach((key) => store.delete(key));
+    await _transactionDone(transaction);
+    return keys.length;
+  } catch (error) {
+    console.error('[SessionLog] Error pruning session log:', error);
+    return 0;
+  }
+}
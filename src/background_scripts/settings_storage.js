@@ -0,0 +1,151 @@
+/**
+ * @file settings_storage.js
+ * @description Manages the extension-wide preferences in browser.storage.local.
+ * Preferences are stored under a single `appSettings` key and always read merged
+ * over DEFAULT_APP_SETTINGS, so new preferences get sensible values for existing users.
+ */
+
+import { validateAppSettings } from './validation_utils.js';
+
+/**
+ * Default values for every extension-wide preference.
+ * @type {Readonly<Object>}
+ * @property {number} historyRetentionDays - How many days of daily usage history to keep.
+ *                                           Older days are folded into weekly rollups.
+ * @property {number} dayStartHour - The hour (0–23) a usage day starts at, so late nights
+ *                                   can count towards the day before (see clock.js).
+ * @property {boolean} syncEnabled - Whether sites, groups and notes are mirrored into
+ *                                   browser.storage.sync (see sync_manager.js).
+ * @property {boolean} syncUsageAcrossDevices - Whether today's usage from other synced
+ *                                              devices counts towards the limits.
+ * @property {boolean} overridesEnabled - Whether the timeout page offers a short override
+ *                                        (see override_manager.js).
+ * @property {number} overrideMinutes - Minutes granted by a time override.
+ * @property {number} overrideDailyLimit - Overrides allowed per site per day.
+ * @property {string} overrideFriction - What an override asks for first: 'none',
+ *                                       'countdown', 'sentence' or 'arithmetic'.
+ * @property {number} overrideCountdownSeconds - How long the 'countdown' friction waits.
+ * @property {number} focusMinutes - Default length of a focus session (see focus_session.js).
+ * @property {number} focusBreakMinutes - Length of the break between focus cycles.
+ * @property {number} focusCycles - How many focus periods a session runs.
+ * @property {Array<string>} focusSiteIds - Sites blocked during a focus session; an empty
+ *                                          list blocks every distracting site.
+ * @property {boolean} idleDetectionEnabled - Whether usage tracking pauses while the user
+ *                                            is idle or the screen is locked (see idle_monitor.js).
+ * @property {number} idleThresholdSeconds - Seconds without input before the user counts as idle.
+ * @property {boolean} idleCountMedia - Whether a tab playing media keeps counting while idle.
+ * @property {boolean} warningsEnabled - Whether a notification warns before a limit is reached
+ *                                       (see limit_warnings.js).
+ * @property {Array<string>} warningThresholds - When to warn for sites without their own
+ *                                               thresholds: "50%" of the limit used or "5m" left.
+ * @property {boolean} warnLastOpen - Whether to warn when only one open is left.
+ * @property {boolean} quietHoursEnabled - Whether warnings stay silent during quiet hours.
+ * @property {string} quietHoursStart - When quiet hours start, "HH:MM".
+ * @property {string} quietHoursEnd - When quiet hours end, "HH:MM" (may be past midnight).
+ * @property {boolean} strictModeEnabled - Whether changes that loosen a rule are held back
+ *                                         for a while (see strict_mode.js).
+ * @property {string} strictModeDelay - When held back changes take effect: 'nextDay' (at the
+ *                                      start of the next usage day) or 'cooldown'.
+ * @property {number} strictModeCooldownHours - Hours the 'cooldown' delay lasts.
+ * @property {boolean} allowlistEnabled - Whether allowlist mode is switched on, so only
+ *                                        the allowed sites can be opened (see allowlist_mode.js).
+ * @property {Array<string>} allowlistPatterns - URL patterns reachable in allowlist mode.
+ * @property {Array<Object>} allowlistSchedule - Weekday/time windows ('block' schedule rules)
+ *                                               during which allowlist mode is on by itself.
+ */
+export const DEFAULT_APP_SETTINGS = Object.freeze({
+  historyRetentionDays: 90,
+  dayStartHour: 0,
+  syncEnabled: false,
+  syncUsageAcrossDevices: false,
+  overridesEnabled: false,
+  overrideMinutes: 5,
+  overrideDailyLimit: 2,
+  overrideFriction: 'countdown',
+  overrideCountdownSeconds: 30,
+  focusMinutes: 25,
+  focusBreakMinutes: 5,
+  focusCycles: 1,
+  focusSiteIds: [],
+  idleDetectionEnabled: true,
+  idleThresholdSeconds: 60,
+  idleCountMedia: true,
+  warningsEnabled: true,
+  warningThresholds: ['50%', '5m', '1m'],
+  warnLastOpen: true,
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+  strictModeEnabled: false,
+  strictModeDelay: 'nextDay',
+  strictModeCooldownHours: 24,
+  allowlistEnabled: false,
+  allowlistPatterns: [],
+  allowlistSchedule: [],
+});
+
+/**
+ * Retrieves the extension-wide preferences, filled in with defaults.
+ *
+ * @async
+ * @function getAppSettings
+ * @returns {Promise<Object>} A promise that resolves to the preferences object.
+ *                            Returns the defaults if nothing is stored or an error occurs.
+ */
+export async function getAppSettings() {
+  try {
+    const result = await browser.storage.local.get('appSettings');
+    return { ...DEFAULT_APP_SETTINGS, ...(result.appSettings || {}) };
+  } catch (error) {
+    console.error('Error getting app settings:', error);
+    return { ...DEFAULT_APP_SETTINGS };
+  }
+}
+
+/**
+ * Updates one or more extension-wide preferences.
+ *
+ * @async
+ * @function updateAppSettings
+ * @param {Object} updates - The preferences to change.
+ * @param {number} [updates.historyRetentionDays] - Days of daily history to keep.
+ * @param {number} [updates.dayStartHour] - The hour a usage day starts at.
+ * @param {boolean} [updates.syncEnabled] - Mirror the configuration into storage.sync.
+ * @param {boolean} [updates.syncUsageAcrossDevices] - Count usage from other devices.
+ * @param {boolean} [updates.overridesEnabled] - Offer overrides on the timeout page.
+ * @param {number} [updates.overrideMinutes] - Minutes granted by a time override.
+ * @param {number} [updates.overrideDailyLimit] - Overrides allowed per site per day.
+ * @param {string} [updates.overrideFriction] - What an override asks for first.
+ * @param {number} [updates.overrideCountdownSeconds] - Length of the countdown friction.
+ * @param {boolean} [updates.idleDetectionEnabled] - Pause tracking while the user is idle.
+ * @param {number} [updates.idleThresholdSeconds] - Seconds without input before idle.
+ * @param {boolean} [updates.idleCountMedia] - Keep counting while media plays.
+ * @param {boolean} [updates.strictModeEnabled] - Hold back changes that loosen a rule.
+ * @param {string} [updates.strictModeDelay] - When held back changes take effect.
+ * @param {number} [updates.strictModeCooldownHours] - Hours the 'cooldown' delay lasts.
+ * @param {boolean} [updates.allowlistEnabled] - Switch allowlist mode on or off.
+ * @param {Array<string>} [updates.allowlistPatterns] - Sites reachable in allowlist mode.
+ * @param {Array<Object>} [updates.allowlistSchedule] - When allowlist mode is on by itself.
+ * @returns {Promise<Object|null>} A promise that resolves to the full updated preferences
+ *                                 or null if validation fails or a storage error occurs.
+ */
+export async function updateAppSettings(updates) {
+  const validation = validateAppSettings(updates);
+  if (!validation.isValid) {
+    console.error(
+      'Invalid updates provided to updateAppSettings:',
+      validation.error
+    );
+    return null;
+  }
+
+  try {
+    const current = await getAppSettings();
+    const updatedSettings = { ...current, ...validation.sanitizedSettings };
+    await browser.storage.local.set({ appSettings: updatedSettings });
+    return updatedSettings;
+  } catch (error) {
+    console.error('Error updating app settings:', error);
+    return null;
+  }
+}
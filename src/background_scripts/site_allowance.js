@@ -0,0 +1,143 @@
+/**
+ * @file site_allowance.js
+ * @description Remaining allowance of a site: the tightest of its daily limits in force
+ * (from its schedule, with banked time added), its weekly and monthly budgets and its
+ * group's shared budget, and whether it runs on an override. The badge, the countdown
+ * overlay and the mindful pause page all read it from here.
+ */
+
+import { getSiteGroups, getGroupUsage } from './group_storage.js';
+import { getEffectiveLimits } from './site_schedule.js';
+import { getOverridesForSite, getActiveOverride } from './override_manager.js';
+import { getBankedTime, getEffectiveLimit } from './rollover_bank.js';
+import {
+  hasPeriodBudget,
+  getPeriodUsage,
+  describePeriodBudgets,
+} from './period_budget.js';
+
+/**
+ * Works out how much of a site's allowance is left: the tightest of its daily
+ * allowance in force (banked time included), its weekly and monthly budgets and its
+ * group's remaining budget. Limits come from the site's schedule when a window is active.
+ *
+ * @param {Object} site - The site object with limits
+ * @param {Object} usageStats - Current usage statistics for the site
+ * @param {Object|null} [group=null] - The site's group, if any
+ * @param {Object|null} [groupUsage=null] - The group's combined usage
+ * @param {Object|null} [periodUsage=null] - This week's and month's usage (see
+ *                                           getPeriodUsage)
+ * @param {number} [bankedSeconds=0] - Banked time added to the daily time limit
+ * @returns {{scheduledBlock: boolean, remainingSeconds: number|null,
+ *            remainingOpens: number|null}} What is left, never below 0; null where no
+ *          limit of that kind applies. `scheduledBlock` is true during a block window.
+ */
+export function calculateRemainingAllowance(
+  site,
+  usageStats,
+  group = null,
+  groupUsage = null,
+  periodUsage = null,
+  bankedSeconds = 0
+) {
+  const limits = getEffectiveLimits(site, new Date());
+  if (limits.mode === 'block') {
+    return { scheduledBlock: true, remainingSeconds: 0, remainingOpens: 0 };
+  }
+
+  const siteUsage = usageStats[site.id] || { timeSpentSeconds: 0, opens: 0 };
+
+  // Collect the remaining allowance of every budget that applies
+  const remainingTimes = [];
+  const remainingOpenCounts = [];
+  const timeLimitSeconds = getEffectiveLimit(
+    limits.dailyLimitSeconds,
+    bankedSeconds
+  );
+  if (timeLimitSeconds > 0) {
+    remainingTimes.push(timeLimitSeconds - siteUsage.timeSpentSeconds);
+  }
+  if (limits.dailyOpenLimit > 0) {
+    remainingOpenCounts.push(limits.dailyOpenLimit - siteUsage.opens);
+  }
+  if (periodUsage) {
+    describePeriodBudgets(site, periodUsage).forEach((budget) => {
+      if (budget.remainingSeconds !== null) {
+        remainingTimes.push(budget.remainingSeconds);
+      }
+      if (budget.remainingOpens !== null) {
+        remainingOpenCounts.push(budget.remainingOpens);
+      }
+    });
+  }
+  if (group && groupUsage) {
+    if (group.dailyLimitSeconds > 0) {
+      remainingTimes.push(
+        group.dailyLimitSeconds - groupUsage.timeSpentSeconds
+      );
+    }
+    if (group.dailyOpenLimit > 0) {
+      remainingOpenCounts.push(group.dailyOpenLimit - groupUsage.opens);
+    }
+  }
+
+  return {
+    scheduledBlock: false,
+    remainingSeconds:
+      remainingTimes.length > 0
+        ? Math.max(0, Math.min(...remainingTimes))
+        : null,
+    remainingOpens:
+      remainingOpenCounts.length > 0
+        ? Math.max(0, Math.min(...remainingOpenCounts))
+        : null,
+  };
+}
+
+/**
+ * Gathers what calculateRemainingAllowance needs for a site (its group, this week's
+ * and month's usage, its banked time) and whether it runs on an override.
+ *
+ * @async
+ * @function getSiteAllowance
+ * @param {Object} site - The site object with limits
+ * @param {Array<Object>} sites - All sites, for the group's usage
+ * @param {Object} usageStats - Today's usage statistics
+ * @param {string} today - Today's usage day, "YYYY-MM-DD"
+ * @returns {Promise<Object>} The allowance (see calculateRemainingAllowance) with an
+ *          `override` field: the active override (see getActiveOverride)
+ */
+export async function getSiteAllowance(site, sites, usageStats, today) {
+  // Include the shared budget of the site's group
+  let group = null;
+  let groupUsage = null;
+  if (site.groupId) {
+    const groups = await getSiteGroups();
+    group = groups.find((g) => g.id === site.groupId) || null;
+    if (group) {
+      groupUsage = getGroupUsage(group.id, sites, usageStats);
+    }
+  }
+
+  // Include the weekly and monthly budgets
+  const periodUsage = hasPeriodBudget(site)
+    ? await getPeriodUsage(today, usageStats)
+    : null;
+
+  const allowance = calculateRemainingAllowance(
+    site,
+    usageStats,
+    group,
+    groupUsage,
+    periodUsage,
+    await getBankedTime(site, today)
+  );
+
+  // Overrides do not lift scheduled blocks
+  const override = getActiveOverride(
+    allowance.scheduledBlock ? [] : await getOverridesForSite(site.id, today),
+    usageStats[site.id] || { timeSpentSeconds: 0, opens: 0 },
+    true
+  );
+  return { ...allowance, override };
+}
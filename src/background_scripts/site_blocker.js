@@ -4,24 +4,182 @@
  * Works in conjunction with the usage_storage and site_storage modules to determine when to block.
  * Updated to support both time limits and open count limits.
  *
+ * Overrides granted from the timeout page (see override_manager.js) lift the limits they
+ * cover until the borrowed time or open is used up.
+ *
+ * While a focus session (see focus_session.js) is in a focus period, the sites it covers
+ * are blocked outright.
+ *
+ * A site over its limit may be enforced softly instead (see enforcement_modes.js): the
+ * tab then stays on the page, which grays, blurs or slows itself down.
+ *
+ * While allowlist mode (see allowlist_mode.js) is on, every web page that is not on the
+ * allowlist is blocked too, distracting or not.
+ *
+ * A site with a cooldown between opens (see open_cooldown.js) is blocked for a new visit
+ * until the cooldown since its last open is over.
+ *
  * This module is now event-driven and called directly from background.js navigation events.
  * It operates statelessly, retrieving all necessary data from chrome.storage on each call.
  */
 
 import { getDistractingSites } from './site_storage.js';
-import { getUsageStats } from './usage_storage.js';
+import { getCombinedUsageStats } from './usage_storage.js';
+import { findMatchingSite } from './url_matcher.js';
+import { getSiteGroups, getGroupUsage } from './group_storage.js';
+import { getOverridesForSite, getActiveOverride } from './override_manager.js';
+import { getFocusSession, getFocusBlock } from './focus_session.js';
+import { getAppSettings } from './settings_storage.js';
+import { getAllowlistState, isAllowlisted } from './allowlist_mode.js';
+import {
+  getEffectiveLimits,
+  getNextAvailableTime,
+  isBlockedAt,
+} from './site_schedule.js';
+import { getTodayKey, getNextDayStart } from './clock.js';
+import {
+  hasPeriodBudget,
+  getPeriodUsage,
+  getExceededPeriodBudgets,
+  getNextPeriodStart,
+} from './period_budget.js';
+import { getBankedTime, getEffectiveLimit } from './rollover_bank.js';
+import {
+  hasOpenCooldown,
+  getLastOpenAt,
+  getCooldownEnd,
+} from './open_cooldown.js';
+import {
+  resolveEnforcement,
+  isSoftEnforcement,
+  describePageEnforcement,
+  rememberTabEnforcement,
+  sendTabEnforcement,
+  forgetTabEnforcement,
+} from './enforcement_modes.js';
+
+/** Enforcement of schedule, focus, allowlist and cooldown blocks, which ignore the site's soft modes. */
+const HARD_BLOCK = { mode: 'block', next: null };
+
+/**
+ * Formats a timestamp as a short local time, adding the weekday if it is not today.
+ * @private
+ * @param {number} timestamp - The time in milliseconds.
+ * @param {Date} now - The current time.
+ * @returns {string} E.g. "17:00" or "Mon 09:00".
+ */
+function _formatAvailableAt(timestamp, now) {
+  const date = new Date(timestamp);
+  const time = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+  if (date.toDateString() === now.toDateString()) {
+    return time;
+  }
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][
+    date.getDay()
+  ];
+  return `${weekday} ${time}`;
+}
+
+/**
+ * Returns when a site blocked by a budget opens again: when the budget resets, or later
+ * if the site's own schedule blocks it at that point.
+ * @private
+ * @param {Object} site - The site configuration
+ * @param {number} resetTime - When the budget resets (ms), e.g. the next day start
+ * @returns {number|null} Timestamp (ms), or null if unknown
+ */
+function _getAvailableAfterReset(site, resetTime) {
+  const resetDate = new Date(resetTime);
+  const freshUsage = { timeSpentSeconds: 0, opens: 0 };
+  if (!isBlockedAt(site, resetDate, freshUsage)) {
+    return resetTime;
+  }
+  return getNextAvailableTime(site, resetDate, freshUsage);
+}
 
 /**
- * Returns the current date as a string in "YYYY-MM-DD" format for storage keys.
+ * Checks whether the shared budget of the site's group is used up.
  * @private
- * @returns {string} The formatted date string.
+ * @param {Object} site - The matched site configuration
+ * @param {Array<Object>} sites - All distracting sites (to find the other members)
+ * @param {Object} dailyStats - Today's usage stats keyed by site ID
+ * @param {Object} override - The site's active override (see getActiveOverride)
+ * @param {boolean} visitCounted - Whether the current visit is already counted as an open
+ * @returns {Promise<{group: Object, groupStats: Object, timeExceeded: boolean, opensExceeded: boolean}|null>}
+ *          The exceeded group budget, or null if the site has no group or budget is left
  */
-function _getCurrentDateString() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
+async function _checkGroupBudget(
+  site,
+  sites,
+  dailyStats,
+  override,
+  visitCounted
+) {
+  if (!site.groupId) {
+    return null;
+  }
+
+  const groups = await getSiteGroups();
+  const group = groups.find((g) => g.id === site.groupId);
+  if (!group) {
+    return null;
+  }
+
+  const groupStats = getGroupUsage(group.id, sites, dailyStats);
+  const openedBefore = visitCounted ? groupStats.opens - 1 : groupStats.opens;
+  const timeExceeded =
+    group.dailyLimitSeconds > 0 &&
+    groupStats.timeSpentSeconds >= group.dailyLimitSeconds &&
+    !override.time;
+  const opensExceeded =
+    group.dailyOpenLimit > 0 &&
+    openedBefore >= group.dailyOpenLimit &&
+    !override.opens;
+
+  console.log(`[SiteBlocker] Group "${group.name}" usage:`, {
+    ...groupStats,
+    dailyLimitSeconds: group.dailyLimitSeconds,
+    dailyOpenLimit: group.dailyOpenLimit,
+  });
+
+  if (!timeExceeded && !opensExceeded) {
+    return null;
+  }
+  return { group, groupStats, timeExceeded, opensExceeded };
+}
+
+/**
+ * Generates a human-readable reason for a block caused by a group budget.
+ * @private
+ * @param {Object} group - The group configuration
+ * @param {Object} groupStats - The group's combined usage
+ * @param {boolean} timeExceeded - Whether the group time budget was exceeded
+ * @returns {string} Human-readable blocking reason
+ */
+function _generateGroupBlockingReason(group, groupStats, timeExceeded) {
+  if (timeExceeded) {
+    const timeSpentMinutes = Math.round(groupStats.timeSpentSeconds / 60);
+    const limitMinutes = Math.round(group.dailyLimitSeconds / 60);
+    return `You've spent ${timeSpentMinutes} minutes on "${group.name}" sites today, using up the group's ${limitMinutes} minute budget.`;
+  }
+  return `You've opened "${group.name}" sites ${groupStats.opens} times today, using up the group's ${group.dailyOpenLimit} open budget.`;
+}
+
+/**
+ * Generates a human-readable reason for a block caused by a weekly or monthly budget.
+ * @private
+ * @param {Object} budget - The used-up budget (see getExceededPeriodBudgets)
+ * @returns {string} Human-readable blocking reason
+ */
+function _generatePeriodBlockingReason(budget) {
+  const { period } = budget;
+  const adjective = budget.period === 'week' ? 'weekly' : 'monthly';
+  if (budget.timeExceeded) {
+    const timeSpentMinutes = Math.round(budget.usage.timeSpentSeconds / 60);
+    const limitMinutes = Math.round(budget.limitSeconds / 60);
+    return `You've spent ${timeSpentMinutes} minutes on this site this ${period}, using up your ${limitMinutes} minute ${adjective} budget.`;
+  }
+  return `You've opened this site ${budget.usage.opens} times this ${period}, using up your ${budget.openLimit} open ${adjective} budget.`;
 }
 
 /**
@@ -31,16 +189,31 @@ function _getCurrentDateString() {
  * @param {Object} siteStats - The current usage statistics
  * @param {boolean} timeExceeded - Whether time limit was exceeded
  * @param {boolean} opensExceeded - Whether open limit was exceeded
+ * @param {number} [bankedSeconds=0] - Banked time added to the time limit
  * @returns {string} Human-readable blocking reason
  */
-function _generateBlockingReason(site, siteStats, timeExceeded, opensExceeded) {
+function _generateBlockingReason(
+  site,
+  siteStats,
+  timeExceeded,
+  opensExceeded,
+  bankedSeconds = 0
+) {
   const timeSpentMinutes = Math.round(siteStats.timeSpentSeconds / 60);
   const limitMinutes = Math.round(site.dailyLimitSeconds / 60);
+  // E.g. "30m + 12m banked" when banked time was added to the limit
+  const bankedLimit =
+    bankedSeconds > 0
+      ? `${limitMinutes}m + ${Math.round(bankedSeconds / 60)}m banked`
+      : null;
 
   if (timeExceeded && opensExceeded) {
-    return `You've exceeded both your time limit (${timeSpentMinutes}/${limitMinutes} minutes) and open limit (${siteStats.opens}/${site.dailyOpenLimit} opens) for this site today.`;
+    const timeUsage = bankedLimit
+      ? `${timeSpentMinutes} minutes of ${bankedLimit}`
+      : `${timeSpentMinutes}/${limitMinutes} minutes`;
+    return `You've exceeded both your time limit (${timeUsage}) and open limit (${siteStats.opens}/${site.dailyOpenLimit} opens) for this site today.`;
   } else if (timeExceeded) {
-    return `You've spent ${timeSpentMinutes} minutes on this site today, exceeding your ${limitMinutes} minute limit.`;
+    return `You've spent ${timeSpentMinutes} minutes on this site today, exceeding your ${bankedLimit || `${limitMinutes} minute`} limit.`;
   } else if (opensExceeded) {
     return `You've opened this site ${siteStats.opens} times today, exceeding your ${site.dailyOpenLimit} open limit.`;
   }
@@ -51,17 +224,43 @@ function _generateBlockingReason(site, siteStats, timeExceeded, opensExceeded) {
 /**
  * Checks if a site should be blocked based on its daily limits and current usage.
  * Now supports both time limits and open count limits.
+ * Site schedules are honoured: a 'block' window blocks regardless of usage and a
+ * 'limit' window replaces the daily limits while it is active.
+ * Time banked by the site's rollover policy (see rollover_bank.js) adds to its time limit.
+ * Weekly and monthly budgets (see period_budget.js) block the site until the period ends.
+ * Sites in a group are also blocked once the group's shared budget is used up.
+ * A running focus session blocks the sites it covers during its focus periods.
+ * Allowlist mode blocks every web page that is not on the allowlist, matching site or not.
+ * Active overrides lift the time and/or open limits they cover (not focus or schedule blocks).
+ * Limit, budget and group blocks carry the site's enforcement mode for the time spent past
+ * the limit (see enforcement_modes.js); schedule, focus and allowlist blocks are always
+ * hard blocks.
  * This function is stateless and suitable for event-driven architecture.
  *
+ * An open limit of N allows N visits. A visit counts as an open as soon as tracking
+ * starts, so checks made during a visit must pass `visitCounted` to not count it twice.
+ *
  * @param {string|number} tabId - The ID of the tab to check (from navigation event)
  * @param {string} url - The URL to check (from navigation event)
- * @returns {Promise<{shouldBlock: boolean, siteId: string|null, reason: string|null, limitType: string|null}>} Object containing:
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.visitCounted=false] - Whether the check is for a visit that is
+ *                                                 already counted in today's opens
+ * @param {string} [options.title] - The tab title, for `title:` rules; they don't match
+ *                                   while it is unknown, e.g. when a navigation starts
+ * @returns {Promise<{shouldBlock: boolean, siteId: string|null, reason: string|null, limitType: string|null, availableAt?: number|null, exceeded?: {time: boolean, opens: boolean}, enforcement?: Object}>} Object containing:
  *   - shouldBlock: Whether the site should be blocked
- *   - siteId: The ID of the matched distracting site, if any
+ *   - siteId: The ID of the matched distracting site, if any (allowlist blocks may have none)
  *   - reason: A human-readable reason for blocking, if shouldBlock is true
- *   - limitType: The type of limit that was exceeded ('time', 'opens', or 'both')
+ *   - limitType: The type of limit that was exceeded ('time', 'opens', 'both', 'weekly', 'monthly',
+ *     'focus', 'schedule', 'group', 'cooldown' or 'allowlist')
+ *   - availableAt: When blocked, the timestamp (ms) at which the site opens again, or null if unknown
+ *   - exceeded: For limit, budget, group and cooldown blocks, which kinds of limit are used up
+ *   - enforcement: When blocked, what to do about it (see resolveEnforcement); a mode other
+ *     than 'block' leaves the tab on the page
  */
-export async function checkAndBlockSite(tabId, url) {
+export async function checkAndBlockSite(tabId, url, options = {}) {
+  const { visitCounted = false, title } = options;
+
   // Enhanced validation for navigation event parameters
   if (!tabId || !url || typeof url !== 'string') {
     console.warn(
@@ -80,29 +279,39 @@ export async function checkAndBlockSite(tabId, url) {
       `[SiteBlocker] Retrieved ${distractingSites.length} distracting sites from storage`
     );
 
-    // Find a matching site that is enabled
-    const matchingSite = distractingSites.find((site) => {
-      if (!site.isEnabled) {
-        console.log(`[SiteBlocker] Skipping disabled site: ${site.urlPattern}`);
-        return false;
-      }
-      try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname;
-        // FIXED: Check if hostname contains the pattern, not the other way around
-        const isMatch = hostname.includes(site.urlPattern);
-        console.log(
-          `[SiteBlocker] Checking pattern '${site.urlPattern}' against hostname '${hostname}': ${isMatch ? 'MATCH' : 'no match'}`
-        );
-        return isMatch;
-      } catch (error) {
-        console.warn(
-          `[SiteBlocker] Error parsing URL '${url}':`,
-          error.message
-        );
-        return false;
-      }
-    });
+    // Find the most specific enabled site matching the URL
+    const matchingSite = findMatchingSite(
+      url,
+      distractingSites.filter((site) => site.isEnabled),
+      title
+    );
+
+    const now = new Date();
+
+    // Allowlist mode blocks everything off the list, whatever is left of the limits
+    const appSettings = await getAppSettings();
+    const allowlist = getAllowlistState(appSettings, now.getTime());
+    if (
+      allowlist.active &&
+      !isAllowlisted(url, appSettings.allowlistPatterns)
+    ) {
+      const reason = allowlist.endsAt
+        ? `Only your allowlisted sites can be opened until ${_formatAvailableAt(allowlist.endsAt, now)}.`
+        : 'Allowlist mode is on: only your allowlisted sites can be opened.';
+
+      console.log(
+        `[SiteBlocker] BLOCKING ${url} due to allowlist mode. Reason: ${reason}`
+      );
+
+      return {
+        shouldBlock: true,
+        siteId: matchingSite ? matchingSite.id : null,
+        reason: reason,
+        limitType: 'allowlist',
+        availableAt: allowlist.endsAt,
+        enforcement: HARD_BLOCK,
+      };
+    }
 
     if (!matchingSite) {
       console.log(
@@ -121,9 +330,9 @@ export async function checkAndBlockSite(tabId, url) {
     );
 
     // Get today's usage stats
-    const dateString = _getCurrentDateString();
+    const dateString = await getTodayKey();
     console.log(`[SiteBlocker] Getting usage stats for date: ${dateString}`);
-    const dailyStats = await getUsageStats(dateString);
+    const dailyStats = await getCombinedUsageStats(dateString);
     const siteStats = dailyStats[matchingSite.id] || {
       timeSpentSeconds: 0,
       opens: 0,
@@ -135,27 +344,92 @@ export async function checkAndBlockSite(tabId, url) {
       timeSpentMinutes: Math.round(siteStats.timeSpentSeconds / 60),
     });
 
+    // A focus session blocks its sites regardless of the budget that is left
+    const focusBlock = getFocusBlock(
+      await getFocusSession(),
+      matchingSite.id,
+      now.getTime()
+    );
+    if (focusBlock) {
+      const reason = `This site is blocked during your focus session until ${_formatAvailableAt(focusBlock.phaseEndsAt, now)}.`;
+
+      console.log(
+        `[SiteBlocker] BLOCKING site ${matchingSite.id} due to focus session. Reason: ${reason}`
+      );
+
+      return {
+        shouldBlock: true,
+        siteId: matchingSite.id,
+        reason: reason,
+        limitType: 'focus',
+        availableAt: focusBlock.phaseEndsAt,
+        enforcement: HARD_BLOCK,
+      };
+    }
+
+    // Resolve the limits in force right now (schedule rules may override them)
+    const limits = getEffectiveLimits(matchingSite, now);
+
     console.log(`[SiteBlocker] Site limits:`, {
-      dailyLimitSeconds: matchingSite.dailyLimitSeconds,
-      dailyLimitMinutes: Math.round(matchingSite.dailyLimitSeconds / 60),
-      dailyOpenLimit: matchingSite.dailyOpenLimit,
+      mode: limits.mode,
+      dailyLimitSeconds: limits.dailyLimitSeconds,
+      dailyLimitMinutes: Math.round(limits.dailyLimitSeconds / 60),
+      dailyOpenLimit: limits.dailyOpenLimit,
     });
 
+    if (limits.mode === 'block') {
+      const availableAt = getNextAvailableTime(matchingSite, now, siteStats);
+      const reason = availableAt
+        ? `This site is blocked by your schedule until ${_formatAvailableAt(availableAt, now)}.`
+        : 'This site is blocked by your schedule.';
+
+      console.log(
+        `[SiteBlocker] BLOCKING site ${matchingSite.id} due to schedule. Reason: ${reason}`
+      );
+
+      return {
+        shouldBlock: true,
+        siteId: matchingSite.id,
+        reason: reason,
+        limitType: 'schedule',
+        availableAt: availableAt,
+        enforcement: HARD_BLOCK,
+      };
+    }
+
+    // Overrides granted today may lift the time and/or open limits
+    const override = getActiveOverride(
+      await getOverridesForSite(matchingSite.id, dateString),
+      siteStats,
+      visitCounted
+    );
+
+    // Time banked on earlier days (see rollover_bank.js) adds to the time limit
+    const bankedSeconds = await getBankedTime(matchingSite, dateString);
+    const timeLimitSeconds = getEffectiveLimit(
+      limits.dailyLimitSeconds,
+      bankedSeconds
+    );
+
     // Check both time and open limits
-    const hasTimeLimit = matchingSite.dailyLimitSeconds > 0;
-    const hasOpenLimit = matchingSite.dailyOpenLimit > 0;
+    const hasTimeLimit = timeLimitSeconds > 0;
+    const hasOpenLimit = limits.dailyOpenLimit > 0;
+    const openedBefore = visitCounted ? siteStats.opens - 1 : siteStats.opens;
 
     const timeExceeded =
       hasTimeLimit &&
-      siteStats.timeSpentSeconds >= matchingSite.dailyLimitSeconds;
+      siteStats.timeSpentSeconds >= timeLimitSeconds &&
+      !override.time;
     const opensExceeded =
-      hasOpenLimit && siteStats.opens >= matchingSite.dailyOpenLimit;
+      hasOpenLimit && openedBefore >= limits.dailyOpenLimit && !override.opens;
 
     console.log(`[SiteBlocker] Limit check results:`, {
+      bankedSeconds,
       hasTimeLimit,
       hasOpenLimit,
       timeExceeded,
       opensExceeded,
+      override,
     });
 
     // Block if any limit is exceeded
@@ -170,10 +444,11 @@ export async function checkAndBlockSite(tabId, url) {
       }
 
       const reason = _generateBlockingReason(
-        matchingSite,
+        { ...matchingSite, ...limits },
         siteStats,
         timeExceeded,
-        opensExceeded
+        opensExceeded,
+        bankedSeconds
       );
 
       console.log(
@@ -185,9 +460,137 @@ export async function checkAndBlockSite(tabId, url) {
         siteId: matchingSite.id,
         reason: reason,
         limitType: limitType,
+        availableAt: getNextAvailableTime(matchingSite, now, siteStats),
+        exceeded: { time: timeExceeded, opens: opensExceeded },
+        enforcement: resolveEnforcement(
+          matchingSite,
+          timeExceeded ? siteStats.timeSpentSeconds - timeLimitSeconds : 0
+        ),
       };
     }
 
+    // Check the weekly and monthly budgets; when several are used up, the one that
+    // resets last decides when the site opens again
+    if (hasPeriodBudget(matchingSite)) {
+      const periodUsage = await getPeriodUsage(dateString, dailyStats);
+      const exceededBudgets = getExceededPeriodBudgets(
+        matchingSite,
+        periodUsage,
+        override,
+        visitCounted
+      ).map((budget) => ({
+        ...budget,
+        availableAt: _getAvailableAfterReset(
+          matchingSite,
+          getNextPeriodStart(budget.period, dateString)
+        ),
+      }));
+
+      if (exceededBudgets.length > 0) {
+        const budget = exceededBudgets.reduce((latest, candidate) =>
+          (candidate.availableAt || 0) > (latest.availableAt || 0)
+            ? candidate
+            : latest
+        );
+        const reason = _generatePeriodBlockingReason(budget);
+        const limitType = budget.period === 'week' ? 'weekly' : 'monthly';
+
+        console.log(
+          `[SiteBlocker] BLOCKING site ${matchingSite.id} due to ${limitType} budget. Reason: ${reason}`
+        );
+
+        return {
+          shouldBlock: true,
+          siteId: matchingSite.id,
+          reason: reason,
+          limitType: limitType,
+          availableAt: budget.availableAt,
+          exceeded: {
+            time: exceededBudgets.some((b) => b.timeExceeded),
+            opens: exceededBudgets.some((b) => b.opensExceeded),
+          },
+          enforcement: resolveEnforcement(
+            matchingSite,
+            Math.max(
+              0,
+              ...exceededBudgets
+                .filter((b) => b.timeExceeded)
+                .map((b) => b.usage.timeSpentSeconds - b.limitSeconds)
+            )
+          ),
+        };
+      }
+    }
+
+    // Check the shared budget of the site's group
+    const groupCheck = await _checkGroupBudget(
+      matchingSite,
+      distractingSites,
+      dailyStats,
+      override,
+      visitCounted
+    );
+    if (groupCheck) {
+      const reason = _generateGroupBlockingReason(
+        groupCheck.group,
+        groupCheck.groupStats,
+        groupCheck.timeExceeded
+      );
+
+      console.log(
+        `[SiteBlocker] BLOCKING site ${matchingSite.id} due to group "${groupCheck.group.name}". Reason: ${reason}`
+      );
+
+      return {
+        shouldBlock: true,
+        siteId: matchingSite.id,
+        reason: reason,
+        limitType: 'group',
+        availableAt: _getAvailableAfterReset(
+          matchingSite,
+          getNextDayStart(now)
+        ),
+        exceeded: {
+          time: groupCheck.timeExceeded,
+          opens: groupCheck.opensExceeded,
+        },
+        enforcement: resolveEnforcement(
+          matchingSite,
+          groupCheck.timeExceeded
+            ? groupCheck.groupStats.timeSpentSeconds -
+                groupCheck.group.dailyLimitSeconds
+            : 0
+        ),
+      };
+    }
+
+    // A new visit has to wait for the cooldown since the last open; a borrowed open
+    // skips it
+    if (hasOpenCooldown(matchingSite) && !visitCounted && !override.opens) {
+      const cooldownEnd = getCooldownEnd(
+        matchingSite,
+        await getLastOpenAt(matchingSite.id, dateString, dailyStats)
+      );
+      if (cooldownEnd && cooldownEnd > now.getTime()) {
+        const minutes = Math.ceil((cooldownEnd - now.getTime()) / 60000);
+        const reason = `You can open this site again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'} (at ${_formatAvailableAt(cooldownEnd, now)}).`;
+
+        console.log(
+          `[SiteBlocker] BLOCKING site ${matchingSite.id} due to open cooldown. Reason: ${reason}`
+        );
+
+        return {
+          shouldBlock: true,
+          siteId: matchingSite.id,
+          reason: reason,
+          limitType: 'cooldown',
+          availableAt: cooldownEnd,
+          exceeded: { time: false, opens: true },
+          enforcement: HARD_BLOCK,
+        };
+      }
+    }
+
     console.log(
       `[SiteBlocker] Site ${matchingSite.id} is within limits, allowing access`
     );
@@ -223,41 +626,65 @@ export async function checkOpenLimitBeforeAccess(url) {
     // Get all distracting sites
     const distractingSites = await getDistractingSites();
 
-    // Find a matching site that is enabled and has an open limit
-    const matchingSite = distractingSites.find((site) => {
-      if (!site.isEnabled || !site.dailyOpenLimit) return false;
-      try {
-        const urlObj = new URL(url);
-        return urlObj.hostname.includes(site.urlPattern);
-      } catch (error) {
-        console.warn(
-          `[SiteBlocker] Error parsing URL '${url}':`,
-          error.message
-        );
-        return false;
-      }
-    });
-
-    if (!matchingSite) {
+    // Find the enabled site governing the URL; only its open limit applies,
+    // as resolved by its schedule for the current time
+    const matchingSite = findMatchingSite(
+      url,
+      distractingSites.filter((site) => site.isEnabled)
+    );
+    const openLimit = matchingSite
+      ? getEffectiveLimits(matchingSite, new Date()).dailyOpenLimit
+      : 0;
+
+    // The open budget of the site's group applies as well
+    const group =
+      matchingSite && matchingSite.groupId
+        ? (await getSiteGroups()).find((g) => g.id === matchingSite.groupId)
+        : null;
+    const groupOpenLimit = (group && group.dailyOpenLimit) || 0;
+
+    if (!matchingSite || (!openLimit && !groupOpenLimit)) {
       return { wouldExceed: false, siteId: null, currentOpens: 0, limit: 0 };
     }
 
     // Get today's usage stats
-    const dateString = _getCurrentDateString();
-    const dailyStats = await getUsageStats(dateString);
+    const dateString = await getTodayKey();
+    const dailyStats = await getCombinedUsageStats(dateString);
     const siteStats = dailyStats[matchingSite.id] || {
       timeSpentSeconds: 0,
       opens: 0,
     };
 
-    // Check if we would exceed the open limit with one more open
-    const wouldExceed = siteStats.opens + 1 > matchingSite.dailyOpenLimit;
+    // Check if we would exceed the site's open limit with one more open
+    if (openLimit && siteStats.opens + 1 > openLimit) {
+      return {
+        wouldExceed: true,
+        siteId: matchingSite.id,
+        currentOpens: siteStats.opens,
+        limit: openLimit,
+      };
+    }
+
+    // Then the group's shared open budget; reported when it is exceeded
+    // or when it is the only open limit that applies
+    if (groupOpenLimit) {
+      const groupStats = getGroupUsage(group.id, distractingSites, dailyStats);
+      const groupWouldExceed = groupStats.opens + 1 > groupOpenLimit;
+      if (groupWouldExceed || !openLimit) {
+        return {
+          wouldExceed: groupWouldExceed,
+          siteId: matchingSite.id,
+          currentOpens: groupStats.opens,
+          limit: groupOpenLimit,
+        };
+      }
+    }
 
     return {
-      wouldExceed: wouldExceed,
+      wouldExceed: false,
       siteId: matchingSite.id,
       currentOpens: siteStats.opens,
-      limit: matchingSite.dailyOpenLimit,
+      limit: openLimit,
     };
   } catch (error) {
     console.error(
@@ -271,24 +698,35 @@ export async function checkOpenLimitBeforeAccess(url) {
 /**
  * Redirects a tab to the timeout page if the site should be blocked.
  * This is the main entry point called by the event-driven background script.
- * It checks blocking status and performs redirection if necessary.
+ * It checks blocking status and performs redirection if necessary. Sites enforced softly
+ * are not redirected; their page is told the mode to apply instead (or that it is lifted).
  *
  * @param {string|number} tabId - The ID of the tab to potentially redirect (from navigation event)
  * @param {string} url - The URL being accessed (from navigation event)
+ * @param {Object} [options] - Check options, passed on to checkAndBlockSite
  * @returns {Promise<boolean>} Whether the tab was redirected
  */
-export async function handlePotentialRedirect(tabId, url) {
+export async function handlePotentialRedirect(tabId, url, options = {}) {
   console.log(
     `[SiteBlocker] handlePotentialRedirect called for tab ${tabId}, URL: ${url}`
   );
 
   try {
-    const { shouldBlock, siteId, reason, limitType } = await checkAndBlockSite(
-      tabId,
-      url
-    );
+    const blockResult = await checkAndBlockSite(tabId, url, options);
+    const { shouldBlock, siteId, reason, limitType, availableAt } = blockResult;
 
-    if (shouldBlock && siteId) {
+    if (isSoftEnforcement(blockResult)) {
+      console.log(
+        `[SiteBlocker] Enforcing ${blockResult.enforcement.mode} mode on tab ${tabId}. Reason: ${reason}`
+      );
+      await sendTabEnforcement(tabId, describePageEnforcement(blockResult));
+      return false;
+    }
+    // Lift a soft mode the page may still apply
+    await sendTabEnforcement(tabId, null);
+
+    // Allowlist blocks cover pages of no distracting site as well
+    if (shouldBlock && (siteId || limitType === 'allowlist')) {
       console.log(
         `[SiteBlocker] Redirecting tab ${tabId} to timeout page. Reason: ${reason}`
       );
@@ -296,9 +734,15 @@ export async function handlePotentialRedirect(tabId, url) {
       // Construct timeout page URL with query parameters
       const timeoutUrl =
         browser.runtime.getURL('ui/timeout/timeout.html') +
-        `?blockedUrl=${encodeURIComponent(url)}&siteId=${encodeURIComponent(siteId)}&reason=${encodeURIComponent(reason)}&limitType=${encodeURIComponent(limitType)}`;
+        `?blockedUrl=${encodeURIComponent(url)}&siteId=${encodeURIComponent(siteId || '')}&reason=${encodeURIComponent(reason)}&limitType=${encodeURIComponent(limitType)}` +
+        (availableAt ? `&availableAt=${encodeURIComponent(availableAt)}` : '') +
+        // Title rules need the title to check the block again, e.g. for an override
+        (options.title
+          ? `&blockedTitle=${encodeURIComponent(options.title)}`
+          : '');
 
       // Perform the redirect
+      forgetTabEnforcement(tabId);
       await browser.tabs.update(tabId, { url: timeoutUrl });
       console.log(
         `[SiteBlocker] Successfully redirected tab ${tabId} to timeout page`
@@ -316,3 +760,28 @@ export async function handlePotentialRedirect(tabId, url) {
     return false;
   }
 }
+
+/**
+ * Returns the soft enforcement a page has to apply, for the page to ask for when it
+ * loads (see content_scripts/soft_enforcement.js). Pages of sites without soft modes
+ * are answered without checking the limits.
+ *
+ * @param {string|number} tabId - The ID of the page's tab
+ * @param {string} url - The page's URL
+ * @param {Object} [options] - Check options, passed on to checkAndBlockSite
+ * @returns {Promise<Object|null>} The state (see describePageEnforcement), or null if the
+ *          page is left alone
+ */
+export async function getPageEnforcement(tabId, url, options = {}) {
+  const matchingSite = findMatchingSite(
+    url,
+    (await getDistractingSites()).filter((site) => site.isEnabled),
+    options.title
+  );
+  const state =
+    matchingSite && matchingSite.enforcement
+      ? describePageEnforcement(await checkAndBlockSite(tabId, url, options))
+      : null;
+  rememberTabEnforcement(tabId, state);
+  return state;
+}
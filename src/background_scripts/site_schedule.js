@@ -0,0 +1,215 @@
+/**
+ * @file site_schedule.js
+ * @description Evaluates per-site schedules. A site may carry a `schedule` array of rules
+ * (see the SiteScheduleRule typedef in site_storage.js). During an active rule the site is
+ * either blocked outright (`mode: 'block'`) or its daily limits are replaced by the rule's
+ * limits (`mode: 'limit'`). Outside every rule the site's base daily limits apply.
+ *
+ * Rules are checked in list order and the first active rule wins. Windows whose end is
+ * earlier than their start run past midnight, e.g. 22:00–06:00 on Friday also covers the
+ * early hours of Saturday. All functions are pure and take the current time as a parameter;
+ * only the hour usage days start at comes from clock.js.
+ */
+
+import { formatDateKey, getDayKey, getDayStartTime } from './clock.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far ahead getNextAvailableTime looks before giving up
+const LOOKAHEAD_DAYS = 8;
+
+/**
+ * Parses a "HH:MM" string into minutes since midnight. "24:00" is allowed as an end time.
+ * @param {string} timeString - The time of day.
+ * @returns {number|null} Minutes since midnight, or null if the string is invalid.
+ */
+export function parseTimeOfDay(timeString) {
+  if (typeof timeString !== 'string') {
+    return null;
+  }
+  const match = timeString.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Checks whether a single rule is active at the given time.
+ * @private
+ * @param {Object} rule - The schedule rule.
+ * @param {Date} date - The time to check.
+ * @returns {boolean}
+ */
+function _isRuleActiveAt(rule, date) {
+  const start = parseTimeOfDay(rule.start);
+  const end = parseTimeOfDay(rule.end);
+  if (start === null || end === null || !Array.isArray(rule.days)) {
+    return false;
+  }
+
+  const weekday = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start < end) {
+    return rule.days.includes(weekday) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window (or a full 24h window when start === end)
+  const previousWeekday = (weekday + 6) % 7;
+  return (
+    (rule.days.includes(weekday) && minutes >= start) ||
+    (rule.days.includes(previousWeekday) && minutes < end)
+  );
+}
+
+/**
+ * Returns the first schedule rule of a site that is active at the given time.
+ * @param {Object} site - The site object.
+ * @param {Date} date - The time to check.
+ * @returns {Object|null} The active rule, or null if none applies.
+ */
+export function getActiveScheduleRule(site, date) {
+  if (!site || !Array.isArray(site.schedule) || site.schedule.length === 0) {
+    return null;
+  }
+  return site.schedule.find((rule) => _isRuleActiveAt(rule, date)) || null;
+}
+
+/**
+ * Resolves the limits that apply to a site at the given time.
+ * Limits of 0 or undefined mean "no limit" of that kind.
+ * @param {Object} site - The site object.
+ * @param {Date} date - The time to check.
+ * @returns {{mode: string, dailyLimitSeconds: number, dailyOpenLimit: number, rule: Object|null}}
+ */
+export function getEffectiveLimits(site, date) {
+  const rule = getActiveScheduleRule(site, date);
+  if (!rule) {
+    return {
+      mode: 'limit',
+      dailyLimitSeconds: site.dailyLimitSeconds || 0,
+      dailyOpenLimit: site.dailyOpenLimit || 0,
+      rule: null,
+    };
+  }
+  if (rule.mode === 'block') {
+    return { mode: 'block', dailyLimitSeconds: 0, dailyOpenLimit: 0, rule };
+  }
+  return {
+    mode: 'limit',
+    dailyLimitSeconds: rule.dailyLimitSeconds || 0,
+    dailyOpenLimit: rule.dailyOpenLimit || 0,
+    rule,
+  };
+}
+
+/**
+ * Checks whether a site is blocked at the given time for the given usage.
+ * @param {Object} site - The site object.
+ * @param {Date} date - The time to check.
+ * @param {{timeSpentSeconds: number, opens: number}} usage - Usage for the day of `date`.
+ * @returns {boolean}
+ */
+export function isBlockedAt(site, date, usage) {
+  const limits = getEffectiveLimits(site, date);
+  if (limits.mode === 'block') {
+    return true;
+  }
+  const timeExceeded =
+    limits.dailyLimitSeconds > 0 &&
+    usage.timeSpentSeconds >= limits.dailyLimitSeconds;
+  const opensExceeded =
+    limits.dailyOpenLimit > 0 && usage.opens >= limits.dailyOpenLimit;
+  return timeExceeded || opensExceeded;
+}
+
+/**
+ * Collects the times after `now` at which a site's situation may change:
+ * every schedule window start/end and every day start (daily usage reset).
+ * @private
+ * @param {Object} site - The site object.
+ * @param {Date} now - The current time.
+ * @returns {Array<Date>} Candidate times in ascending order.
+ */
+function _getCandidateTimes(site, now) {
+  const candidates = [];
+  const rules = Array.isArray(site.schedule) ? site.schedule : [];
+
+  // Start a day back, as an overnight window that began yesterday ends today
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate() + offset
+    );
+    candidates.push(new Date(getDayStartTime(formatDateKey(day))));
+
+    for (const rule of rules) {
+      if (!Array.isArray(rule.days) || !rule.days.includes(day.getDay())) {
+        continue;
+      }
+      const start = parseTimeOfDay(rule.start);
+      const end = parseTimeOfDay(rule.end);
+      if (start === null || end === null) {
+        continue;
+      }
+      const endOffset = end <= start ? end + MINUTES_PER_DAY : end;
+      for (const minutes of [start, endOffset]) {
+        candidates.push(
+          new Date(
+            day.getFullYear(),
+            day.getMonth(),
+            day.getDate(),
+            Math.floor(minutes / 60),
+            minutes % 60
+          )
+        );
+      }
+    }
+  }
+
+  return candidates
+    .filter((candidate) => candidate.getTime() > now.getTime())
+    .sort((a, b) => a.getTime() - b.getTime());
+}
+
+/**
+ * Finds the next time a currently blocked site becomes available again, taking
+ * schedule windows and the daily usage reset (see clock.js) into account.
+ * @param {Object} site - The site object.
+ * @param {Date} now - The current time.
+ * @param {{timeSpentSeconds: number, opens: number}} usage - Today's usage for the site.
+ * @returns {number|null} Timestamp (ms) when the site is next available, or null if
+ *                        it stays blocked for the whole lookahead period.
+ */
+export function getNextAvailableTime(site, now, usage) {
+  const emptyUsage = { timeSpentSeconds: 0, opens: 0 };
+  for (const candidate of _getCandidateTimes(site, now)) {
+    const sameDay = getDayKey(candidate) === getDayKey(now);
+    if (!isBlockedAt(site, candidate, sameDay ? usage : emptyUsage)) {
+      return candidate.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the next time a site's schedule may start or end a window. Day starts count as
+ * well, so the result is a time to check again rather than a guaranteed change.
+ * @param {Object} site - The site object.
+ * @param {Date} now - The current time.
+ * @returns {number|null} Timestamp (ms), or null if the site has no schedule.
+ */
+export function getNextScheduleChange(site, now) {
+  if (!site || !Array.isArray(site.schedule) || site.schedule.length === 0) {
+    return null;
+  }
+  const [next] = _getCandidateTimes(site, now);
+  return next ? next.getTime() : null;
+}
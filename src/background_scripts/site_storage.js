@@ -2,6 +2,49 @@
  * @file site_storage.js
  * @description Manages CRUD operations for distracting sites in browser.storage.local.
  * Updated to support both time limits and open count limits.
+ * URL patterns and exception rules are validated and normalized with validation_utils.js
+ * so they are stored in the exact form the shared url_matcher expects.
+ */
+
+import {
+  validateUrlPattern,
+  validateExcludedPatterns,
+  validateSchedule,
+  validatePeriodBudgets,
+  validateRolloverPolicy,
+  validateOpenCooldown,
+  validateWarningThresholds,
+  validateOverlaySettings,
+  validateEnforcementSteps,
+} from './validation_utils.js';
+import { BUDGET_PERIODS } from './period_budget.js';
+import { ROLLOVER_FIELDS } from './rollover_bank.js';
+
+// Optional numeric site fields that 0 removes: weekly and monthly budgets (see
+// period_budget.js), the rollover policy (see rollover_bank.js) and the cooldown
+// between opens (see open_cooldown.js)
+const OPTIONAL_LIMIT_FIELDS = [
+  ...BUDGET_PERIODS.flatMap(({ limitField, openLimitField }) => [
+    limitField,
+    openLimitField,
+  ]),
+  ...ROLLOVER_FIELDS,
+  'openCooldownSeconds',
+];
+
+/**
+ * A time-of-day/weekday window attached to a site via its `schedule` array.
+ * Evaluated by site_schedule.js; the first active rule wins.
+ *
+ * @typedef {Object} SiteScheduleRule
+ * @property {Array<number>} days - Weekdays the window starts on (0 = Sunday ... 6 = Saturday).
+ * @property {string} start - Window start, "HH:MM" local time.
+ * @property {string} end - Window end, "HH:MM" local time ("24:00" allowed). An end before
+ *                          the start makes the window run past midnight.
+ * @property {'block'|'limit'} mode - 'block' makes the site unavailable for the whole window,
+ *                                    'limit' replaces the daily limits while the window is active.
+ * @property {number} [dailyLimitSeconds] - Time limit while a 'limit' window is active.
+ * @property {number} [dailyOpenLimit] - Open limit while a 'limit' window is active.
  */
 
 /**
@@ -32,6 +75,30 @@ export async function getDistractingSites() {
  * @param {string} siteObject.urlPattern - The URL pattern for the site.
  * @param {number} siteObject.dailyLimitSeconds - The daily time limit in seconds.
  * @param {number} [siteObject.dailyOpenLimit] - The daily open count limit (optional).
+ * @param {number} [siteObject.weeklyLimitSeconds] - The weekly time budget in seconds (optional).
+ * @param {number} [siteObject.weeklyOpenLimit] - The weekly open budget (optional).
+ * @param {number} [siteObject.monthlyLimitSeconds] - The monthly time budget in seconds (optional).
+ * @param {number} [siteObject.monthlyOpenLimit] - The monthly open budget (optional).
+ * @param {number} [siteObject.rolloverPercent] - Share of unused daily time to bank, in percent (optional).
+ * @param {number} [siteObject.rolloverCapSeconds] - Most time the bank can hold, in seconds (optional).
+ * @param {number} [siteObject.rolloverExpiryDays] - Days a banked deposit lasts (optional).
+ * @param {number} [siteObject.openCooldownSeconds] - Least time between two opens, in seconds (optional).
+ * @param {Array<string>} [siteObject.excludedPatterns] - URL patterns exempt from this rule (optional).
+ * @param {Array<SiteScheduleRule>} [siteObject.schedule] - Time-of-day/weekday rules (optional).
+ * @param {string} [siteObject.groupId] - ID of the site group sharing this site's budget (optional).
+ * @param {boolean} [siteObject.trackInBackground=false] - Whether the site also counts while it
+ *                                                       plays media or is visible in an unfocused window.
+ * @param {Array<string>} [siteObject.warningThresholds] - Limit warnings such as "50%" or "5m"
+ *                                                        instead of the default ones (optional;
+ *                                                        an empty array turns them off).
+ * @param {boolean} [siteObject.showOverlay=false] - Whether pages of the site show the countdown
+ *                                                 overlay (see countdown_overlay.js).
+ * @param {string} [siteObject.overlayPosition] - The corner of the overlay, e.g. 'bottom-right'.
+ * @param {boolean} [siteObject.mindfulPause=false] - Whether opening the site shows a short pause
+ *                                                  page first (see mindful_pause.js).
+ * @param {Array<Object>} [siteObject.enforcement] - What happens once the limit is used up, as
+ *                                                 escalation steps (see enforcement_modes.js;
+ *                                                 optional, a hard block by default).
  * @param {boolean} [siteObject.isEnabled=true] - Whether the site rule is enabled.
  * @returns {Promise<Object|null>} A promise that resolves to the added site object (including its new ID)
  *                                 or null if validation fails or a storage error occurs.
@@ -64,9 +131,139 @@ export async function addDistractingSite(siteObject) {
     return null;
   }
 
+  const budgetValidation = validatePeriodBudgets(siteObject);
+  if (!budgetValidation.isValid) {
+    console.error(
+      'Invalid period budget provided to addDistractingSite:',
+      budgetValidation.error
+    );
+    return null;
+  }
+
+  const rolloverValidation = validateRolloverPolicy(siteObject);
+  if (!rolloverValidation.isValid) {
+    console.error(
+      'Invalid rollover policy provided to addDistractingSite:',
+      rolloverValidation.error
+    );
+    return null;
+  }
+
+  const cooldownValidation = validateOpenCooldown(siteObject);
+  if (!cooldownValidation.isValid) {
+    console.error(
+      'Invalid openCooldownSeconds provided to addDistractingSite:',
+      cooldownValidation.error
+    );
+    return null;
+  }
+
+  const overlayValidation = validateOverlaySettings(siteObject);
+  if (!overlayValidation.isValid) {
+    console.error(
+      'Invalid overlay settings provided to addDistractingSite:',
+      overlayValidation.error
+    );
+    return null;
+  }
+
+  const urlValidation = validateUrlPattern(siteObject.urlPattern);
+  if (!urlValidation.isValid) {
+    console.error(
+      'Invalid urlPattern provided to addDistractingSite:',
+      urlValidation.error
+    );
+    return null;
+  }
+
+  let excludedValidation = null;
+  if (Object.prototype.hasOwnProperty.call(siteObject, 'excludedPatterns')) {
+    excludedValidation = validateExcludedPatterns(siteObject.excludedPatterns);
+    if (!excludedValidation.isValid) {
+      console.error(
+        'Invalid excludedPatterns provided to addDistractingSite:',
+        excludedValidation.error
+      );
+      return null;
+    }
+  }
+
+  if (
+    siteObject.groupId !== undefined &&
+    siteObject.groupId !== null &&
+    typeof siteObject.groupId !== 'string'
+  ) {
+    console.error(
+      'Invalid groupId provided to addDistractingSite. Must be a string if specified.',
+      siteObject.groupId
+    );
+    return null;
+  }
+
+  if (
+    siteObject.trackInBackground !== undefined &&
+    typeof siteObject.trackInBackground !== 'boolean'
+  ) {
+    console.error(
+      'Invalid trackInBackground provided to addDistractingSite. Must be a boolean if specified.',
+      siteObject.trackInBackground
+    );
+    return null;
+  }
+
+  if (
+    siteObject.mindfulPause !== undefined &&
+    typeof siteObject.mindfulPause !== 'boolean'
+  ) {
+    console.error(
+      'Invalid mindfulPause provided to addDistractingSite. Must be a boolean if specified.',
+      siteObject.mindfulPause
+    );
+    return null;
+  }
+
+  let scheduleValidation = null;
+  if (Object.prototype.hasOwnProperty.call(siteObject, 'schedule')) {
+    scheduleValidation = validateSchedule(siteObject.schedule);
+    if (!scheduleValidation.isValid) {
+      console.error(
+        'Invalid schedule provided to addDistractingSite:',
+        scheduleValidation.error
+      );
+      return null;
+    }
+  }
+
+  let warningValidation = null;
+  if (
+    siteObject.warningThresholds !== undefined &&
+    siteObject.warningThresholds !== null
+  ) {
+    warningValidation = validateWarningThresholds(siteObject.warningThresholds);
+    if (!warningValidation.isValid) {
+      console.error(
+        'Invalid warningThresholds provided to addDistractingSite:',
+        warningValidation.error
+      );
+      return null;
+    }
+  }
+
+  let enforcementValidation = null;
+  if (siteObject.enforcement !== undefined && siteObject.enforcement !== null) {
+    enforcementValidation = validateEnforcementSteps(siteObject.enforcement);
+    if (!enforcementValidation.isValid) {
+      console.error(
+        'Invalid enforcement provided to addDistractingSite:',
+        enforcementValidation.error
+      );
+      return null;
+    }
+  }
+
   const newSite = {
     id: crypto.randomUUID(),
-    urlPattern: siteObject.urlPattern.trim(),
+    urlPattern: urlValidation.normalizedPattern,
     dailyLimitSeconds: siteObject.dailyLimitSeconds,
     isEnabled:
       typeof siteObject.isEnabled === 'boolean' ? siteObject.isEnabled : true,
@@ -77,6 +274,51 @@ export async function addDistractingSite(siteObject) {
     newSite.dailyOpenLimit = siteObject.dailyOpenLimit;
   }
 
+  // Add weekly and monthly budgets and the rollover policy if provided
+  OPTIONAL_LIMIT_FIELDS.filter((field) => siteObject[field] > 0).forEach(
+    (field) => {
+      newSite[field] = siteObject[field];
+    }
+  );
+
+  // Add exception rules if any were provided
+  if (excludedValidation && excludedValidation.normalizedPatterns.length > 0) {
+    newSite.excludedPatterns = excludedValidation.normalizedPatterns;
+  }
+
+  // Add schedule rules if any were provided
+  if (scheduleValidation && scheduleValidation.normalizedSchedule.length > 0) {
+    newSite.schedule = scheduleValidation.normalizedSchedule;
+  }
+
+  // Add group membership if provided
+  if (siteObject.groupId) {
+    newSite.groupId = siteObject.groupId;
+  }
+
+  if (siteObject.trackInBackground) {
+    newSite.trackInBackground = true;
+  }
+
+  if (warningValidation) {
+    newSite.warningThresholds = warningValidation.normalizedThresholds;
+  }
+
+  if (siteObject.showOverlay) {
+    newSite.showOverlay = true;
+  }
+  if (siteObject.overlayPosition) {
+    newSite.overlayPosition = siteObject.overlayPosition;
+  }
+
+  if (siteObject.mindfulPause) {
+    newSite.mindfulPause = true;
+  }
+
+  if (enforcementValidation && enforcementValidation.normalizedSteps) {
+    newSite.enforcement = enforcementValidation.normalizedSteps;
+  }
+
   try {
     const sites = await getDistractingSites();
     sites.push(newSite);
@@ -99,6 +341,25 @@ export async function addDistractingSite(siteObject) {
  * @param {string} [updates.urlPattern] - The new URL pattern.
  * @param {number} [updates.dailyLimitSeconds] - The new daily time limit in seconds.
  * @param {number} [updates.dailyOpenLimit] - The new daily open count limit.
+ * @param {number|null} [updates.weeklyLimitSeconds] - The new weekly time budget (0 or null removes it).
+ * @param {number|null} [updates.weeklyOpenLimit] - The new weekly open budget (0 or null removes it).
+ * @param {number|null} [updates.monthlyLimitSeconds] - The new monthly time budget (0 or null removes it).
+ * @param {number|null} [updates.monthlyOpenLimit] - The new monthly open budget (0 or null removes it).
+ * @param {number|null} [updates.rolloverPercent] - The new rollover percentage (0 or null turns rollover off).
+ * @param {number|null} [updates.rolloverCapSeconds] - The new rollover cap (0 or null turns rollover off).
+ * @param {number|null} [updates.rolloverExpiryDays] - The new rollover expiry in days (0 or null for the default).
+ * @param {number|null} [updates.openCooldownSeconds] - The new cooldown between opens (0 or null removes it).
+ * @param {Array<string>} [updates.excludedPatterns] - The new list of exception patterns.
+ * @param {Array<SiteScheduleRule>} [updates.schedule] - The new schedule (an empty array clears it).
+ * @param {string|null} [updates.groupId] - The new group ID (null or '' removes the site from its group).
+ * @param {boolean} [updates.trackInBackground] - Whether the site counts in the background.
+ * @param {Array<string>|null} [updates.warningThresholds] - The site's own limit warnings (null
+ *                                                         goes back to the default ones).
+ * @param {boolean} [updates.showOverlay] - Whether pages of the site show the countdown overlay.
+ * @param {string|null} [updates.overlayPosition] - The corner of the overlay (null for the default).
+ * @param {boolean} [updates.mindfulPause] - Whether opening the site shows the pause page first.
+ * @param {Array<Object>|null} [updates.enforcement] - The new escalation steps (null goes back to
+ *                                                   a hard block).
  * @param {boolean} [updates.isEnabled] - The new enabled state.
  * @returns {Promise<Object|null>} A promise that resolves to the updated site object
  *                                 or null if the site is not found, validation fails, or a storage error occurs.
@@ -121,13 +382,79 @@ export async function updateDistractingSite(siteId, updates) {
   }
 
   // Validate updates
+  const normalizedUpdates = { ...updates };
+  if (Object.prototype.hasOwnProperty.call(updates, 'urlPattern')) {
+    const urlValidation = validateUrlPattern(updates.urlPattern);
+    if (!urlValidation.isValid) {
+      console.error(
+        'Invalid urlPattern in updates for updateDistractingSite.',
+        updates.urlPattern
+      );
+      return null;
+    }
+    normalizedUpdates.urlPattern = urlValidation.normalizedPattern;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'excludedPatterns')) {
+    const excludedValidation = validateExcludedPatterns(
+      updates.excludedPatterns
+    );
+    if (!excludedValidation.isValid) {
+      console.error(
+        'Invalid excludedPatterns in updates for updateDistractingSite.',
+        excludedValidation.error
+      );
+      return null;
+    }
+    normalizedUpdates.excludedPatterns = excludedValidation.normalizedPatterns;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'schedule')) {
+    const scheduleValidation = validateSchedule(updates.schedule);
+    if (!scheduleValidation.isValid) {
+      console.error(
+        'Invalid schedule in updates for updateDistractingSite.',
+        scheduleValidation.error
+      );
+      return null;
+    }
+    normalizedUpdates.schedule = scheduleValidation.normalizedSchedule;
+  }
+  if (
+    updates.warningThresholds !== undefined &&
+    updates.warningThresholds !== null
+  ) {
+    const warningValidation = validateWarningThresholds(
+      updates.warningThresholds
+    );
+    if (!warningValidation.isValid) {
+      console.error(
+        'Invalid warningThresholds in updates for updateDistractingSite.',
+        warningValidation.error
+      );
+      return null;
+    }
+    normalizedUpdates.warningThresholds =
+      warningValidation.normalizedThresholds;
+  }
+  if (updates.enforcement !== undefined && updates.enforcement !== null) {
+    const enforcementValidation = validateEnforcementSteps(updates.enforcement);
+    if (!enforcementValidation.isValid) {
+      console.error(
+        'Invalid enforcement in updates for updateDistractingSite.',
+        enforcementValidation.error
+      );
+      return null;
+    }
+    // Steps that amount to a hard block are stored as the default (null)
+    normalizedUpdates.enforcement = enforcementValidation.normalizedSteps;
+  }
   if (
-    Object.prototype.hasOwnProperty.call(updates, 'urlPattern') &&
-    (typeof updates.urlPattern !== 'string' || updates.urlPattern.trim() === '')
+    Object.prototype.hasOwnProperty.call(updates, 'groupId') &&
+    updates.groupId !== null &&
+    typeof updates.groupId !== 'string'
   ) {
     console.error(
-      'Invalid urlPattern in updates for updateDistractingSite.',
-      updates.urlPattern
+      'Invalid groupId in updates for updateDistractingSite.',
+      updates.groupId
     );
     return null;
   }
@@ -152,6 +479,58 @@ export async function updateDistractingSite(siteId, updates) {
     );
     return null;
   }
+  const budgetValidation = validatePeriodBudgets(updates);
+  if (!budgetValidation.isValid) {
+    console.error(
+      'Invalid period budget in updates for updateDistractingSite.',
+      budgetValidation.error
+    );
+    return null;
+  }
+  const rolloverValidation = validateRolloverPolicy(updates);
+  if (!rolloverValidation.isValid) {
+    console.error(
+      'Invalid rollover policy in updates for updateDistractingSite.',
+      rolloverValidation.error
+    );
+    return null;
+  }
+  const cooldownValidation = validateOpenCooldown(updates);
+  if (!cooldownValidation.isValid) {
+    console.error(
+      'Invalid openCooldownSeconds in updates for updateDistractingSite.',
+      cooldownValidation.error
+    );
+    return null;
+  }
+  const overlayValidation = validateOverlaySettings(updates);
+  if (!overlayValidation.isValid) {
+    console.error(
+      'Invalid overlay settings in updates for updateDistractingSite.',
+      overlayValidation.error
+    );
+    return null;
+  }
+  if (
+    Object.prototype.hasOwnProperty.call(updates, 'trackInBackground') &&
+    typeof updates.trackInBackground !== 'boolean'
+  ) {
+    console.error(
+      'Invalid trackInBackground in updates for updateDistractingSite.',
+      updates.trackInBackground
+    );
+    return null;
+  }
+  if (
+    Object.prototype.hasOwnProperty.call(updates, 'mindfulPause') &&
+    typeof updates.mindfulPause !== 'boolean'
+  ) {
+    console.error(
+      'Invalid mindfulPause in updates for updateDistractingSite.',
+      updates.mindfulPause
+    );
+    return null;
+  }
   if (
     Object.prototype.hasOwnProperty.call(updates, 'isEnabled') &&
     typeof updates.isEnabled !== 'boolean'
@@ -173,7 +552,36 @@ export async function updateDistractingSite(siteId, updates) {
     }
 
     // Create the updated site object by merging current site with validated updates
-    const updatedSite = { ...sites[siteIndex], ...updates };
+    const updatedSite = { ...sites[siteIndex], ...normalizedUpdates };
+    if (
+      Object.prototype.hasOwnProperty.call(updatedSite, 'groupId') &&
+      !updatedSite.groupId
+    ) {
+      delete updatedSite.groupId;
+    }
+    if (updatedSite.trackInBackground === false) {
+      delete updatedSite.trackInBackground;
+    }
+    if (updatedSite.warningThresholds === null) {
+      delete updatedSite.warningThresholds;
+    }
+    if (updatedSite.showOverlay === false) {
+      delete updatedSite.showOverlay;
+    }
+    if (updatedSite.overlayPosition === null) {
+      delete updatedSite.overlayPosition;
+    }
+    if (updatedSite.mindfulPause === false) {
+      delete updatedSite.mindfulPause;
+    }
+    if (updatedSite.enforcement === null) {
+      delete updatedSite.enforcement;
+    }
+    OPTIONAL_LIMIT_FIELDS.filter((field) => !updatedSite[field]).forEach(
+      (field) => {
+        delete updatedSite[field];
+      }
+    );
 
     sites[siteIndex] = updatedSite;
     await browser.storage.local.set({ distractingSites: sites });
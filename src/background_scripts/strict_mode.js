@@ -0,0 +1,436 @@
+/**
+ * @file strict_mode.js
+ * @description Strict mode: changes that loosen a rule are held back for a while, so a
+ * limit can't be undone in the moment it starts to bite.
+ *
+ * While `strictModeEnabled` is set, an edit is split in two (see splitSiteUpdates and its
+ * siblings): the fields that tighten a rule, or don't touch what is allowed, are saved at
+ * once; the fields that loosen one become a pending change. So does deleting a site or a
+ * group, and switching on a site that would take URLs over from a stricter one (see
+ * findLoosenedSites); such a site is added switched off. A pending change takes effect
+ * at the start of the next usage day (`strictModeDelay: 'nextDay'`) or
+ * `strictModeCooldownHours` hours after it was made (`'cooldown'`), and can be cancelled
+ * until then. Turning strict mode off, changing its delay or shortening its cooldown is
+ * held back the same way, as is making overrides easier, allowlist mode (see
+ * allowlist_mode.js) less strict, counting less idle time, starting the usage day
+ * earlier or turning sync on, which merges in the rules of other devices. Loosening
+ * changes that arrive by sync are held back by sync_manager.js.
+ *
+ * Pending changes are kept in storage.local (`pendingChanges`, oldest first) as
+ * `{id, target, targetId, targetName, action, updates, requestedAt, effectiveAt}`, where
+ * `target` is 'site', 'group' or 'settings' and `action` is 'update' or 'delete'. The
+ * `strictModeChanges` alarm fires when the earliest one is due; like the reduction plan
+ * alarm, it is scheduled again whenever the list changes and on startup.
+ */
+
+import { getNextDayStart } from './clock.js';
+import { takesOverFrom } from './url_matcher.js';
+import { DEFAULT_ROLLOVER_EXPIRY_DAYS } from './rollover_bank.js';
+import {
+  validateAllowlistPatterns,
+  validateExcludedPatterns,
+  validateSchedule,
+} from './validation_utils.js';
+
+/** Storage key of the pending changes. */
+export const PENDING_CHANGES_KEY = 'pendingChanges';
+
+/** Alarm that fires when the earliest pending change is due. */
+export const STRICT_MODE_ALARM = 'strictModeChanges';
+
+/** What a pending change applies to. */
+export const PENDING_CHANGE_TARGETS = {
+  SITE: 'site',
+  GROUP: 'group',
+  SETTINGS: 'settings',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A missing or zero limit allows everything
+const asLimit = (value) => (value > 0 ? value : Infinity);
+
+// Whether the new value of a field loosens the rule it belongs to
+const raisesLimit = (current, next) => asLimit(next) > asLimit(current);
+const raisesValue = (current, next) => (next || 0) > (current || 0);
+const lowersValue = (current, next) => (next || 0) < (current || 0);
+const turnsOff = (current, next) => current !== false && next === false;
+const turnsOn = (current, next) => !current && next === true;
+const changes = (current, next) =>
+  JSON.stringify(current ?? null) !== JSON.stringify(next ?? null);
+
+// Stored exceptions and schedules are normalized; compare updates the same way
+const normalizedPatterns = (patterns) =>
+  validateExcludedPatterns(patterns || []).normalizedPatterns || patterns;
+const normalizedSchedule = (schedule) =>
+  validateSchedule(schedule || []).normalizedSchedule || schedule;
+const normalizedAllowlist = (patterns) =>
+  validateAllowlistPatterns(patterns || []).normalizedPatterns || patterns;
+
+const SITE_RULES = {
+  urlPattern: changes,
+  isEnabled: turnsOff,
+  dailyLimitSeconds: raisesLimit,
+  dailyOpenLimit: raisesLimit,
+  weeklyLimitSeconds: raisesLimit,
+  weeklyOpenLimit: raisesLimit,
+  monthlyLimitSeconds: raisesLimit,
+  monthlyOpenLimit: raisesLimit,
+  rolloverPercent: raisesValue,
+  rolloverCapSeconds: raisesValue,
+  rolloverExpiryDays: (current, next) =>
+    (next || DEFAULT_ROLLOVER_EXPIRY_DAYS) >
+    (current || DEFAULT_ROLLOVER_EXPIRY_DAYS),
+  openCooldownSeconds: lowersValue,
+  excludedPatterns: (current, next) =>
+    normalizedPatterns(next).some(
+      (pattern) => !(current || []).includes(pattern)
+    ),
+  // Only adding block windows keeps every rule; limit windows can allow more
+  schedule: (current, next) => {
+    const currentRules = (current || []).map((rule) => JSON.stringify(rule));
+    const nextRules = normalizedSchedule(next);
+    const nextKeys = nextRules.map((rule) => JSON.stringify(rule));
+    return (
+      currentRules.some((key) => !nextKeys.includes(key)) ||
+      nextRules.some(
+        (rule, index) =>
+          !currentRules.includes(nextKeys[index]) && rule.mode !== 'block'
+      )
+    );
+  },
+  // Leaving a group leaves its shared budget behind
+  groupId: (current, next) => Boolean(current) && next !== current,
+  trackInBackground: turnsOff,
+  // Sites without the pause leave it out rather than storing false
+  mindfulPause: (current, next) => current === true && next !== true,
+  // Only a hard block at the limit (null) is never softer than what it replaces
+  enforcement: (current, next) => next !== null && changes(current, next),
+};
+
+// What a new site is compared on with the sites it takes URLs over from
+const TAKEOVER_FIELDS = Object.keys(SITE_RULES).filter(
+  (field) => !['urlPattern', 'isEnabled', 'excludedPatterns'].includes(field)
+);
+
+const GROUP_RULES = {
+  dailyLimitSeconds: raisesLimit,
+  dailyOpenLimit: raisesLimit,
+};
+
+const SETTINGS_RULES = {
+  strictModeEnabled: turnsOff,
+  strictModeDelay: changes,
+  strictModeCooldownHours: lowersValue,
+  overridesEnabled: turnsOn,
+  overrideMinutes: raisesValue,
+  overrideDailyLimit: raisesValue,
+  overrideFriction: changes,
+  overrideCountdownSeconds: lowersValue,
+  allowlistEnabled: turnsOff,
+  // Turning sync on merges in the rules of other devices
+  syncEnabled: turnsOn,
+  // An earlier day start begins the next usage day, with none of today's usage, sooner
+  dayStartHour: lowersValue,
+  // Idle time isn't counted, so going idle sooner or more often counts less
+  idleDetectionEnabled: turnsOn,
+  idleThresholdSeconds: lowersValue,
+  idleCountMedia: turnsOff,
+  allowlistPatterns: (current, next) =>
+    normalizedAllowlist(next).some(
+      (pattern) => !(current || []).includes(pattern)
+    ),
+  // Allowlist windows only tighten, so dropping or changing one loosens
+  allowlistSchedule: (current, next) => {
+    const nextKeys = normalizedSchedule(next).map((rule) =>
+      JSON.stringify(rule)
+    );
+    return (current || []).some(
+      (rule) => !nextKeys.includes(JSON.stringify(rule))
+    );
+  },
+};
+
+/**
+ * Splits updates into the fields that can be saved now and those that loosen a rule.
+ * @private
+ */
+function _splitUpdates(current, updates, rules) {
+  const immediate = {};
+  const delayed = {};
+  for (const [field, value] of Object.entries(updates)) {
+    const loosens = rules[field];
+    if (loosens && loosens(current[field], value)) {
+      delayed[field] = value;
+    } else {
+      immediate[field] = value;
+    }
+  }
+  return { immediate, delayed };
+}
+
+/**
+ * Finds the enabled sites an enabled site would take URLs over from (see takesOverFrom)
+ * while allowing more there than they do. Its rules are compared with each of theirs
+ * as if it were an edit of that site, e.g. `youtube.com/shorts` with no time limit
+ * loosens `youtube.com` with one.
+ *
+ * @param {Object} site - The new or switched on site.
+ * @param {Array<Object>} sites - The other sites.
+ * @returns {Array<Object>} The sites it would loosen.
+ */
+export function findLoosenedSites(site, sites) {
+  if (site.isEnabled === false) {
+    return [];
+  }
+  const rules = Object.fromEntries(
+    TAKEOVER_FIELDS.map((field) => [field, site[field]])
+  );
+  return sites.filter(
+    (other) =>
+      other.isEnabled !== false &&
+      takesOverFrom(site.urlPattern, other) &&
+      Object.keys(_splitUpdates(other, rules, SITE_RULES).delayed).length > 0
+  );
+}
+
+/**
+ * Splits the updates of a site into the fields that can be saved now and the fields
+ * that loosen its rules: a higher or removed limit or budget, disabling it, another
+ * URL pattern, new exceptions, schedule changes other than new block windows, leaving
+ * its group, counting only in the foreground, dropping the mindful pause, softer
+ * enforcement or more rollover. Given the other sites, switching it on loosens too
+ * when it would take URLs over from a stricter one (see findLoosenedSites).
+ *
+ * @param {Object} site - The site as it is stored.
+ * @param {Object} updates - The updates to the site.
+ * @param {Array<Object>} [sites=[]] - The other sites.
+ * @returns {{immediate: Object, delayed: Object}} Both parts; either may be empty.
+ */
+export function splitSiteUpdates(site, updates, sites = []) {
+  const split = _splitUpdates(site, updates, SITE_RULES);
+  if (
+    updates.isEnabled === true &&
+    site.isEnabled === false &&
+    findLoosenedSites(
+      { ...site, ...updates },
+      sites.filter((other) => other.id !== site.id)
+    ).length > 0
+  ) {
+    delete split.immediate.isEnabled;
+    split.delayed.isEnabled = true;
+  }
+  return split;
+}
+
+/**
+ * Splits the updates of a group into the fields that can be saved now and the budgets
+ * that go up or are removed.
+ *
+ * @param {Object} group - The group as it is stored.
+ * @param {Object} updates - The updates to the group.
+ * @returns {{immediate: Object, delayed: Object}} Both parts; either may be empty.
+ */
+export function splitGroupUpdates(group, updates) {
+  return _splitUpdates(group, updates, GROUP_RULES);
+}
+
+/**
+ * Splits updates of the extension-wide preferences into those that can be saved now
+ * and those that weaken strict mode itself, make overrides easier or let more through
+ * in allowlist mode: switching it off, allowing more sites or dropping a window. Turning
+ * sync on loosens too, as other devices' rules are merged in unchecked the first time,
+ * and so do an earlier day start and pausing sooner or more often while idle.
+ *
+ * @param {Object} settings - The current preferences.
+ * @param {Object} updates - The validated updates.
+ * @returns {{immediate: Object, delayed: Object}} Both parts; either may be empty.
+ */
+export function splitSettingsUpdates(settings, updates) {
+  return _splitUpdates(settings, updates, SETTINGS_RULES);
+}
+
+/**
+ * Works out when a change made now may take effect.
+ *
+ * @param {Object} settings - The preferences (`strictModeDelay`, `strictModeCooldownHours`).
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {number} Timestamp (ms) the change takes effect at.
+ */
+export function getStrictModeDelayEnd(settings, now = Date.now()) {
+  if (settings.strictModeDelay === 'cooldown') {
+    return now + settings.strictModeCooldownHours * HOUR_MS;
+  }
+  return getNextDayStart(new Date(now));
+}
+
+/**
+ * Retrieves the pending changes from storage, oldest first.
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} The pending changes; empty if none are stored or an
+ *          error occurs.
+ */
+export async function getPendingChanges() {
+  try {
+    const result = await browser.storage.local.get(PENDING_CHANGES_KEY);
+    return result[PENDING_CHANGES_KEY] || [];
+  } catch (error) {
+    console.error('[StrictMode] Error reading pending changes:', error);
+    return [];
+  }
+}
+
+/**
+ * Schedules the alarm for the earliest pending change, or clears it when none is left.
+ *
+ * @async
+ * @param {Array<Object>} [pendingChanges] - The pending changes; read from storage if
+ *                                           not given.
+ * @returns {Promise<void>}
+ */
+export async function scheduleStrictModeAlarm(pendingChanges) {
+  const list = pendingChanges || (await getPendingChanges());
+  if (list.length === 0) {
+    await browser.alarms.clear(STRICT_MODE_ALARM);
+    return;
+  }
+  await browser.alarms.create(STRICT_MODE_ALARM, {
+    when: Math.min(...list.map((change) => change.effectiveAt)),
+  });
+}
+
+/**
+ * Writes the pending changes and schedules the alarm for them.
+ * @private
+ */
+async function _save(pendingChanges) {
+  await browser.storage.local.set({ [PENDING_CHANGES_KEY]: pendingChanges });
+  await scheduleStrictModeAlarm(pendingChanges);
+}
+
+/**
+ * Holds back a change until it may take effect. Deleting something that is already
+ * waiting to be deleted keeps the earlier request.
+ *
+ * @async
+ * @param {Object} change - `{target, targetId, targetName, action, updates}`; `updates`
+ *                          is null for deletions.
+ * @param {number} effectiveAt - When it takes effect (see getStrictModeDelayEnd).
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<Object|null>} The pending change, or null if an error occurs.
+ */
+export async function queuePendingChange(
+  change,
+  effectiveAt,
+  now = Date.now()
+) {
+  try {
+    const pendingChanges = await getPendingChanges();
+    if (change.action === 'delete') {
+      const existing = pendingChanges.find(
+        (pending) =>
+          pending.action === 'delete' &&
+          pending.target === change.target &&
+          pending.targetId === change.targetId
+      );
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const pendingChange = {
+      id: crypto.randomUUID(),
+      target: change.target,
+      targetId: change.targetId,
+      targetName: change.targetName,
+      action: change.action,
+      updates: change.updates || null,
+      requestedAt: now,
+      effectiveAt,
+    };
+    await _save([...pendingChanges, pendingChange]);
+
+    console.log(
+      `[StrictMode] Holding back a change to ${change.target} ${change.targetId} until ${new Date(effectiveAt).toISOString()}`
+    );
+    return pendingChange;
+  } catch (error) {
+    console.error('[StrictMode] Error queueing a pending change:', error);
+    return null;
+  }
+}
+
+/**
+ * Cancels a pending change.
+ *
+ * @async
+ * @param {string} changeId - The ID of the pending change.
+ * @returns {Promise<boolean>} True if it was cancelled, false if it doesn't exist (any
+ *          more) or an error occurs.
+ */
+export async function cancelPendingChange(changeId) {
+  try {
+    const pendingChanges = await getPendingChanges();
+    const remaining = pendingChanges.filter((change) => change.id !== changeId);
+    if (remaining.length === pendingChanges.length) {
+      return false;
+    }
+    await _save(remaining);
+    return true;
+  } catch (error) {
+    console.error('[StrictMode] Error cancelling a pending change:', error);
+    return false;
+  }
+}
+
+/**
+ * Drops the pending changes of a site or group that was deleted.
+ *
+ * @async
+ * @param {string} target - PENDING_CHANGE_TARGETS.SITE or .GROUP.
+ * @param {string} targetId - The ID of the site or group.
+ * @returns {Promise<number>} How many changes were dropped.
+ */
+export async function discardPendingChanges(target, targetId) {
+  try {
+    const pendingChanges = await getPendingChanges();
+    const remaining = pendingChanges.filter(
+      (change) => change.target !== target || change.targetId !== targetId
+    );
+    if (remaining.length < pendingChanges.length) {
+      await _save(remaining);
+    }
+    return pendingChanges.length - remaining.length;
+  } catch (error) {
+    console.error('[StrictMode] Error discarding pending changes:', error);
+    return 0;
+  }
+}
+
+/**
+ * Takes the pending changes that are due off the list, so they can be applied.
+ *
+ * @async
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Promise<Array<Object>>} The due changes, oldest first; empty if none are due
+ *          or an error occurs.
+ */
+export async function takeDuePendingChanges(now = Date.now()) {
+  try {
+    const pendingChanges = await getPendingChanges();
+    const due = pendingChanges.filter((change) => change.effectiveAt <= now);
+    const remaining = pendingChanges.filter(
+      (change) => change.effectiveAt > now
+    );
+    if (due.length > 0) {
+      await _save(remaining);
+    } else {
+      await scheduleStrictModeAlarm(remaining);
+    }
+    return due;
+  } catch (error) {
+    console.error('[StrictMode] Error taking due pending changes:', error);
+    return [];
+  }
+}
@@ -0,0 +1,928 @@
+/**
+ * @file sync_manager.js
+ * @description Opt-in mirroring of sites, groups and notes into browser.storage.sync.
+ *
+ * browser.storage.local stays the only store the rest of the extension reads; this
+ * module keeps it in step with a shared copy in storage.sync:
+ * - Every site, group and note is a sync item (`site:<id>`, `group:<id>`, `note:<id>`)
+ *   stamped with the time it last changed and the device that changed it. Deleted
+ *   items leave a tombstone so the deletion reaches the other devices as well.
+ * - Conflicts are resolved per item: the most recent change wins.
+ * - All items are stored as one compact JSON document, split into chunks that fit the
+ *   per-item quota (`rules-meta`, `rules-0`, `rules-1`, ...). Tombstones are dropped
+ *   after TOMBSTONE_TTL_MS, or all at once if the document would not fit otherwise.
+ * - When usage is synced too, each device reports today's usage under
+ *   `usage-<deviceId>` and the other devices' reports are summed into REMOTE_USAGE_KEY,
+ *   which getCombinedUsageStats adds to this device's usage.
+ *
+ * In strict mode, changes from other devices that loosen a site or group are held back
+ * like an edit made on this device (see strict_mode.js): the loosening fields keep their
+ * local values, a deleted item stays, and the rest waits as a pending change. While a
+ * PIN is set and not unlocked (see pin_lock.js) they are kept out the same way, but
+ * nothing is queued; they go through on the first pass after the PIN is entered.
+ *
+ * Bookkeeping (device ID, per-item timestamps and hashes, last result) is kept in
+ * storage.local under `syncState`. The hashes tell local edits apart from changes this
+ * module applied itself, so applying remote changes never echoes them back; items a
+ * pending change was queued for are marked `p` so it is queued only once.
+ */
+
+import { validateBackupData } from './validation_utils.js';
+import { getAppSettings } from './settings_storage.js';
+import {
+  getUsageStats,
+  flushPendingUsage,
+  REMOTE_USAGE_KEY,
+} from './usage_storage.js';
+import {
+  DAILY_STATS_PREFIX,
+  WEEKLY_ROLLUP_PREFIX,
+  splitHistoryEntries,
+} from './usage_history.js';
+import { getTodayKey, shiftDateKey } from './clock.js';
+import { planImport, stableStringify } from './config_backup.js';
+import {
+  splitSiteUpdates,
+  splitGroupUpdates,
+  queuePendingChange,
+  getStrictModeDelayEnd,
+  PENDING_CHANGE_TARGETS,
+} from './strict_mode.js';
+import { getPinStatus } from './pin_lock.js';
+
+/** storage.sync quotas (the values Firefox and Chrome both enforce). */
+export const SYNC_QUOTA_BYTES = 102400;
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+/** Space the rules document may use; the rest is left for usage reports. */
+export const RULES_QUOTA_BYTES = 81920;
+
+/** How long deletions are remembered so offline devices still pick them up. */
+export const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const SYNC_FORMAT_VERSION = 1;
+const SYNC_STATE_KEY = 'syncState';
+const RULES_META_KEY = 'rules-meta';
+const RULES_CHUNK_PREFIX = 'rules-';
+const USAGE_REPORT_PREFIX = 'usage-';
+const USAGE_REPORT_INTERVAL_MS = 2 * 60 * 1000;
+const USAGE_REPORT_MAX_AGE_DAYS = 2;
+
+/** The synced lists and the prefix of their sync item keys. */
+const SYNCED_LISTS = [
+  { listKey: 'siteGroups', prefix: 'group:' },
+  { listKey: 'distractingSites', prefix: 'site:' },
+  { listKey: 'timeoutNotes', prefix: 'note:' },
+];
+const SYNCED_LOCAL_KEYS = SYNCED_LISTS.map(({ listKey }) => listKey);
+
+let _syncQueue = Promise.resolve();
+let _lastUsageReportAt = 0;
+
+/**
+ * Size of a string in bytes, the unit storage.sync quotas are measured in.
+ * @private
+ */
+function _byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Short FNV-1a hash of an item, used to notice local edits without keeping a copy.
+ * @private
+ */
+function _hashItem(item) {
+  const text = stableStringify(item);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Reads the local bookkeeping, creating it on first use.
+ * @private
+ */
+function _readState(storedState) {
+  const state = storedState || {};
+  return {
+    deviceId: state.deviceId || crypto.randomUUID(),
+    items: state.items || {},
+    lastSyncedAt: state.lastSyncedAt || null,
+    lastError: state.lastError || null,
+  };
+}
+
+/**
+ * Splits text into pieces whose JSON encoding is at most maxBytes long, so each piece
+ * can be stored as its own storage.sync item.
+ *
+ * @function splitIntoChunks
+ * @param {string} text - The text to split.
+ * @param {number} maxBytes - Maximum encoded size of a piece.
+ * @returns {Array<string>} The pieces, in order.
+ */
+export function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    while (_byteLength(JSON.stringify(text.slice(start, end))) > maxBytes) {
+      end = start + Math.max(1, Math.floor((end - start) * 0.75));
+    }
+    // Never separate the two halves of a surrogate pair
+    const lastCode = text.charCodeAt(end - 1);
+    if (
+      end < text.length &&
+      end - start > 1 &&
+      lastCode >= 0xd800 &&
+      lastCode <= 0xdbff
+    ) {
+      end -= 1;
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * Turns the synced lists into sync items keyed by type and ID.
+ *
+ * @function collectLocalItems
+ * @param {Object} data - `{distractingSites, siteGroups, timeoutNotes}`.
+ * @returns {Object<string, Object>} Items keyed like `site:<id>`.
+ */
+export function collectLocalItems(data) {
+  const items = {};
+  for (const { listKey, prefix } of SYNCED_LISTS) {
+    for (const item of data[listKey] || []) {
+      items[`${prefix}${item.id}`] = item;
+    }
+  }
+  return items;
+}
+
+/**
+ * Resolves conflicts between local and remote entries, per item. The entry changed
+ * last wins; equal timestamps are settled by device ID so every device picks the
+ * same winner, and an entry both sides already agree on is taken from the remote side.
+ *
+ * @function mergeSyncEntries
+ * @param {Object<string, Object>} localEntries - Entries `{t, o, d}` (time, origin device,
+ *                                                data or null for a deletion).
+ * @param {Object<string, Object>} remoteEntries - Entries from storage.sync.
+ * @returns {Object<string, Object>} The winning entry for every key.
+ */
+export function mergeSyncEntries(localEntries, remoteEntries) {
+  const merged = { ...remoteEntries };
+  for (const [key, local] of Object.entries(localEntries)) {
+    const remote = remoteEntries[key];
+    if (
+      !remote ||
+      local.t > remote.t ||
+      (local.t === remote.t && local.o > remote.o)
+    ) {
+      merged[key] = local;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Drops tombstones older than maxTombstoneAgeMs.
+ *
+ * @function compactSyncEntries
+ * @param {Object<string, Object>} entries - Sync entries.
+ * @param {number} now - Current time in milliseconds.
+ * @param {number} [maxTombstoneAgeMs=TOMBSTONE_TTL_MS] - Age after which a deletion
+ *                                                        is forgotten (0 drops all).
+ * @returns {Object<string, Object>} The remaining entries.
+ */
+export function compactSyncEntries(
+  entries,
+  now,
+  maxTombstoneAgeMs = TOMBSTONE_TTL_MS
+) {
+  return Object.fromEntries(
+    Object.entries(entries).filter(
+      ([, entry]) => entry.d !== null || now - entry.t < maxTombstoneAgeMs
+    )
+  );
+}
+
+/**
+ * Rebuilds the synced lists from sync entries. Items keep their current order, new
+ * items are appended oldest first, and sites lose references to groups that no
+ * longer exist.
+ *
+ * @function buildSyncedData
+ * @param {Object<string, Object>} entries - Sync entries.
+ * @param {Object} currentData - The current `{distractingSites, siteGroups, timeoutNotes}`.
+ * @returns {Object} The new `{distractingSites, siteGroups, timeoutNotes}`.
+ */
+export function buildSyncedData(entries, currentData) {
+  const data = {};
+  for (const { listKey, prefix } of SYNCED_LISTS) {
+    const currentKeys = (currentData[listKey] || []).map(
+      (item) => `${prefix}${item.id}`
+    );
+    const newKeys = Object.keys(entries)
+      .filter((key) => key.startsWith(prefix) && !currentKeys.includes(key))
+      .sort((a, b) => entries[a].t - entries[b].t);
+
+    data[listKey] = [...currentKeys, ...newKeys]
+      .filter((key) => entries[key] && entries[key].d)
+      .map((key) => ({ ...entries[key].d, id: key.slice(prefix.length) }));
+  }
+
+  const groupIds = new Set(data.siteGroups.map((group) => group.id));
+  data.distractingSites = data.distractingSites.map((site) => {
+    if (site.groupId === undefined || groupIds.has(site.groupId)) {
+      return site;
+    }
+    const ungrouped = { ...site };
+    delete ungrouped.groupId;
+    return ungrouped;
+  });
+  return data;
+}
+
+/**
+ * Reads the rules document from the contents of storage.sync.
+ * @private
+ * @returns {{entries: Object|null, chunkCount: number, error: string|null}}
+ */
+function _readRulesDocument(remote) {
+  const meta = remote[RULES_META_KEY];
+  if (!meta) {
+    return { entries: {}, chunkCount: 0, error: null };
+  }
+
+  let text = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    const chunk = remote[`${RULES_CHUNK_PREFIX}${i}`];
+    if (typeof chunk !== 'string') {
+      return {
+        entries: null,
+        chunkCount: meta.chunks,
+        error: 'Synced data has not fully arrived yet. It will be retried.',
+      };
+    }
+    text += chunk;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    return {
+      entries: null,
+      chunkCount: meta.chunks,
+      error: 'Synced data is incomplete or damaged. It will be retried.',
+    };
+  }
+  if (!document || document.v !== SYNC_FORMAT_VERSION) {
+    return {
+      entries: null,
+      chunkCount: meta.chunks,
+      error:
+        'Synced data was written by a different version of the extension. Update the extension on all devices.',
+    };
+  }
+
+  // Ignore anything that is not a well-formed entry
+  const entries = {};
+  for (const [key, entry] of Object.entries(document.i || {})) {
+    if (
+      entry &&
+      typeof entry.t === 'number' &&
+      typeof entry.o === 'string' &&
+      (entry.d === null ||
+        (typeof entry.d === 'object' && !Array.isArray(entry.d))) &&
+      SYNCED_LISTS.some(({ prefix }) => key.startsWith(prefix))
+    ) {
+      entries[key] = { t: entry.t, o: entry.o, d: entry.d };
+    }
+  }
+  return { entries, chunkCount: meta.chunks, error: null };
+}
+
+/**
+ * Serializes the rules document into storage.sync items, dropping tombstones if that
+ * is what it takes to fit RULES_QUOTA_BYTES.
+ * @private
+ * @returns {{items: Object|null, chunkCount: number, error: string|null}}
+ */
+function _buildRulesItems(entries, now, deviceId) {
+  for (const maxTombstoneAgeMs of [TOMBSTONE_TTL_MS, 0]) {
+    const text = JSON.stringify({
+      v: SYNC_FORMAT_VERSION,
+      i: compactSyncEntries(entries, now, maxTombstoneAgeMs),
+    });
+    // Leave room for the key ("rules-NN") in every item
+    const chunks = splitIntoChunks(text, SYNC_QUOTA_BYTES_PER_ITEM - 64);
+    const items = {
+      [RULES_META_KEY]: { chunks: chunks.length, updatedAt: now, deviceId },
+    };
+    chunks.forEach((chunk, index) => {
+      items[`${RULES_CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    const totalBytes = Object.entries(items).reduce(
+      (sum, [key, value]) => sum + _byteLength(key + JSON.stringify(value)),
+      0
+    );
+    if (totalBytes <= RULES_QUOTA_BYTES) {
+      return { items, chunkCount: chunks.length, error: null };
+    }
+  }
+  return {
+    items: null,
+    chunkCount: 0,
+    error: `Your sites, groups and notes are too large to sync (over ${Math.round(RULES_QUOTA_BYTES / 1024)} KB).`,
+  };
+}
+
+/**
+ * On a device's first sync, matches its lists to what is already synced (sites by URL
+ * pattern, groups by name, notes by text) so setting up the same site on two devices
+ * does not create duplicates. Matched items take the synced ID, and this device's usage
+ * history is moved to those IDs.
+ * @private
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+async function _joinSyncedData(localData, remoteEntries) {
+  const remoteData = buildSyncedData(remoteEntries, {});
+  if (SYNCED_LOCAL_KEYS.every((key) => remoteData[key].length === 0)) {
+    return { data: localData, error: null };
+  }
+  const validation = validateBackupData(remoteData);
+  if (!validation.isValid) {
+    return {
+      data: null,
+      error: `Synced data was rejected: ${validation.error}`,
+    };
+  }
+
+  // Usage buffered in memory has to move along with the rest of the history
+  await flushPendingUsage();
+  const allStorage = await browser.storage.local.get(null);
+  const { daily, weekly } = splitHistoryEntries(allStorage);
+  const { result, error } = planImport(
+    {
+      ...validation.sanitizedData,
+      appSettings: {},
+      usageHistory: { daily: {}, weekly: {} },
+    },
+    { ...localData, appSettings: {}, usageHistory: { daily, weekly } },
+    'merge'
+  );
+  if (error) {
+    return { data: null, error };
+  }
+
+  const data = {
+    distractingSites: result.distractingSites,
+    siteGroups: result.siteGroups,
+    timeoutNotes: result.timeoutNotes,
+  };
+  const items = { ...data };
+  for (const [dateKey, stats] of Object.entries(result.usageHistory.daily)) {
+    items[`${DAILY_STATS_PREFIX}${dateKey}`] = stats;
+  }
+  for (const [weekKey, stats] of Object.entries(result.usageHistory.weekly)) {
+    items[`${WEEKLY_ROLLUP_PREFIX}${weekKey}`] = stats;
+  }
+  await browser.storage.local.set(items);
+  return { data, error: null };
+}
+
+/**
+ * The value a field stands for when an item leaves it out, e.g. no limit.
+ * @private
+ */
+function _removedValue(current) {
+  if (typeof current === 'boolean') {
+    return false;
+  }
+  return Array.isArray(current) ? [] : null;
+}
+
+/**
+ * Holds back the changes from other devices that loosen a site or group while strict
+ * mode is on or the PIN is locked. A new site counts as switching it on, so taking URLs
+ * over from a stricter site is held back too (see splitSiteUpdates).
+ * @private
+ * @param {Object<string, Object>} merged - The merged sync entries.
+ * @param {Object<string, Object>} localItems - The local items (see collectLocalItems).
+ * @param {Object<string, Object>} knownItems - The bookkeeping of the last pass.
+ * @param {Object} settings - The preferences.
+ * @returns {Promise<{entries: Object, queued: Set<string>}>} The entries to apply
+ *          locally, and the keys a pending change is queued for.
+ */
+async function _holdBackLoosening(merged, localItems, knownItems, settings) {
+  const entries = { ...merged };
+  const queued = new Set();
+  const pinStatus = await getPinStatus();
+  const pinLocked = pinStatus.enabled && !pinStatus.unlockedUntil;
+  if (!settings.strictModeEnabled && !pinLocked) {
+    return { entries, queued };
+  }
+
+  const sites = Object.keys(localItems)
+    .filter((key) => key.startsWith('site:'))
+    .map((key) => localItems[key]);
+  for (const [key, entry] of Object.entries(merged)) {
+    const isSite = key.startsWith('site:');
+    if (!isSite && !key.startsWith('group:')) {
+      continue;
+    }
+    const local = localItems[key];
+    const remote = entry.d;
+    const current =
+      local || (isSite && remote ? { ...remote, isEnabled: false } : null);
+    if (!current || (remote && _hashItem(remote) === _hashItem(current))) {
+      continue;
+    }
+
+    let split = null;
+    if (remote) {
+      const updates = {};
+      for (const field of new Set([
+        ...Object.keys(current),
+        ...Object.keys(remote),
+      ])) {
+        if (
+          stableStringify(current[field]) !== stableStringify(remote[field])
+        ) {
+          updates[field] =
+            field in remote ? remote[field] : _removedValue(current[field]);
+        }
+      }
+      split = isSite
+        ? splitSiteUpdates(current, updates, sites)
+        : splitGroupUpdates(current, updates);
+      if (Object.keys(split.delayed).length === 0) {
+        continue;
+      }
+    }
+
+    // Without the PIN nothing is queued; later passes check the change again
+    const known = knownItems[key];
+    if (known && known.p && known.t === entry.t && known.o === entry.o) {
+      queued.add(key);
+    } else if (!pinLocked) {
+      const pendingChange = await queuePendingChange(
+        {
+          target: isSite
+            ? PENDING_CHANGE_TARGETS.SITE
+            : PENDING_CHANGE_TARGETS.GROUP,
+          targetId: key.slice(key.indexOf(':') + 1),
+          targetName: current.urlPattern || current.name,
+          action: split ? 'update' : 'delete',
+          updates: split ? split.delayed : null,
+        },
+        getStrictModeDelayEnd(settings)
+      );
+      if (pendingChange) {
+        queued.add(key);
+      }
+    }
+
+    let kept = current;
+    if (split) {
+      kept = { ...remote };
+      for (const field of Object.keys(split.delayed)) {
+        if (field in current) {
+          kept[field] = current[field];
+        } else {
+          delete kept[field];
+        }
+      }
+    }
+    entries[key] = { ...entry, d: kept };
+  }
+  return { entries, queued };
+}
+
+/**
+ * One full sync pass. See runSync.
+ * @private
+ */
+async function _performSync() {
+  const settings = await getAppSettings();
+  if (!settings.syncEnabled) {
+    return { success: false, applied: false, error: 'Sync is turned off.' };
+  }
+
+  let state = null;
+  const finish = async (result) => {
+    if (state) {
+      state.lastError = result.error;
+      if (result.success) {
+        state.lastSyncedAt = Date.now();
+      }
+      await browser.storage.local.set({ [SYNC_STATE_KEY]: state });
+    }
+    if (result.error) {
+      console.error('[Sync] Sync failed:', result.error);
+    }
+    return result;
+  };
+
+  try {
+    const [local, remote] = await Promise.all([
+      browser.storage.local.get([...SYNCED_LOCAL_KEYS, SYNC_STATE_KEY]),
+      browser.storage.sync.get(null),
+    ]);
+    state = _readState(local[SYNC_STATE_KEY]);
+    const now = Date.now();
+
+    const remoteDocument = _readRulesDocument(remote);
+    if (remoteDocument.error) {
+      // Never overwrite synced data this device cannot read
+      return await finish({
+        success: false,
+        applied: false,
+        error: remoteDocument.error,
+      });
+    }
+
+    let localData = {
+      distractingSites: local.distractingSites || [],
+      siteGroups: local.siteGroups || [],
+      timeoutNotes: local.timeoutNotes || [],
+    };
+    let applied = false;
+    if (!state.lastSyncedAt) {
+      const joined = await _joinSyncedData(localData, remoteDocument.entries);
+      if (joined.error) {
+        return await finish({
+          success: false,
+          applied: false,
+          error: joined.error,
+        });
+      }
+      applied = joined.data !== localData;
+      localData = joined.data;
+    }
+
+    // Stamp local edits and deletions made since the last pass
+    const localItems = collectLocalItems(localData);
+    for (const [key, item] of Object.entries(localItems)) {
+      const hash = _hashItem(item);
+      const known = state.items[key];
+      if (!known || known.h !== hash) {
+        state.items[key] = { t: now, o: state.deviceId, h: hash };
+      }
+    }
+    for (const [key, known] of Object.entries(state.items)) {
+      if (!localItems[key] && known.h !== null) {
+        state.items[key] = { t: now, o: state.deviceId, h: null };
+      }
+    }
+
+    const localEntries = {};
+    for (const [key, known] of Object.entries(state.items)) {
+      localEntries[key] = {
+        t: known.t,
+        o: known.o,
+        d: localItems[key] || null,
+      };
+    }
+    const merged = compactSyncEntries(
+      mergeSyncEntries(localEntries, remoteDocument.entries),
+      now
+    );
+
+    const heldBack = await _holdBackLoosening(
+      merged,
+      localItems,
+      state.items,
+      settings
+    );
+
+    // Validate what would be stored locally; changes from other devices are
+    // sanitized exactly like an imported backup
+    const newData = buildSyncedData(heldBack.entries, localData);
+    const validation = validateBackupData(newData);
+    if (!validation.isValid) {
+      return await finish({
+        success: false,
+        applied,
+        error: `Synced data was rejected: ${validation.error}`,
+      });
+    }
+    const sanitizedItems = collectLocalItems(validation.sanitizedData);
+    for (const { listKey, prefix } of SYNCED_LISTS) {
+      newData[listKey] = newData[listKey].map((item) => {
+        const key = `${prefix}${item.id}`;
+        return localItems[key] && _hashItem(localItems[key]) === _hashItem(item)
+          ? item
+          : sanitizedItems[key];
+      });
+    }
+
+    if (
+      SYNCED_LOCAL_KEYS.some(
+        (key) =>
+          stableStringify(newData[key]) !== stableStringify(localData[key])
+      )
+    ) {
+      await browser.storage.local.set(newData);
+      applied = true;
+    }
+
+    const newItems = collectLocalItems(newData);
+    state.items = {};
+    for (const [key, entry] of Object.entries(merged)) {
+      state.items[key] = {
+        t: entry.t,
+        o: entry.o,
+        h: newItems[key] ? _hashItem(newItems[key]) : null,
+      };
+      if (heldBack.queued.has(key)) {
+        state.items[key].p = true;
+      }
+    }
+
+    if (stableStringify(merged) !== stableStringify(remoteDocument.entries)) {
+      const rules = _buildRulesItems(merged, now, state.deviceId);
+      if (rules.error) {
+        return await finish({ success: false, applied, error: rules.error });
+      }
+      await browser.storage.sync.set(rules.items);
+      const staleChunks = [];
+      for (let i = rules.chunkCount; i < remoteDocument.chunkCount; i++) {
+        staleChunks.push(`${RULES_CHUNK_PREFIX}${i}`);
+      }
+      if (staleChunks.length > 0) {
+        await browser.storage.sync.remove(staleChunks);
+      }
+    }
+
+    return await finish({ success: true, applied, error: null });
+  } catch (error) {
+    console.error('[Sync] Error during sync:', error);
+    return await finish({
+      success: false,
+      applied: false,
+      error: error.message || String(error),
+    });
+  }
+}
+
+/**
+ * Synchronizes sites, groups and notes with storage.sync: pushes local edits, applies
+ * edits from other devices and resolves conflicts per item. Passes are queued so two
+ * never run at the same time.
+ *
+ * @async
+ * @function runSync
+ * @returns {Promise<{success: boolean, applied: boolean, error: string|null}>}
+ *          `applied` is true if local sites, groups or notes were changed.
+ */
+export function runSync() {
+  const pass = _syncQueue.then(_performSync);
+  _syncQueue = pass.catch(() => {});
+  return pass;
+}
+
+/**
+ * Sums the usage other devices reported for today into REMOTE_USAGE_KEY, and removes
+ * reports that are too old to matter.
+ *
+ * @async
+ * @function refreshRemoteUsage
+ * @returns {Promise<boolean>} True on success, false on failure.
+ */
+export async function refreshRemoteUsage() {
+  try {
+    const [remote, local] = await Promise.all([
+      browser.storage.sync.get(null),
+      browser.storage.local.get(SYNC_STATE_KEY),
+    ]);
+    const { deviceId } = _readState(local[SYNC_STATE_KEY]);
+    const today = await getTodayKey();
+    const oldestKept = shiftDateKey(today, -USAGE_REPORT_MAX_AGE_DAYS);
+
+    const stats = {};
+    const staleReports = [];
+    for (const [key, report] of Object.entries(remote)) {
+      if (!key.startsWith(USAGE_REPORT_PREFIX)) {
+        continue;
+      }
+      if (!report || typeof report.d !== 'string' || report.d < oldestKept) {
+        staleReports.push(key);
+        continue;
+      }
+      if (key === `${USAGE_REPORT_PREFIX}${deviceId}` || report.d !== today) {
+        continue;
+      }
+      for (const [siteId, usage] of Object.entries(report.u || {})) {
+        const [seconds, opens] = Array.isArray(usage) ? usage : [];
+        const total = stats[siteId] || { timeSpentSeconds: 0, opens: 0 };
+        total.timeSpentSeconds += Number.isFinite(seconds) ? seconds : 0;
+        total.opens += Number.isFinite(opens) ? opens : 0;
+        stats[siteId] = total;
+      }
+    }
+
+    await browser.storage.local.set({
+      [REMOTE_USAGE_KEY]: { date: today, stats },
+    });
+    if (staleReports.length > 0) {
+      await browser.storage.sync.remove(staleReports);
+    }
+    return true;
+  } catch (error) {
+    console.error('[Sync] Error refreshing usage from other devices:', error);
+    return false;
+  }
+}
+
+/**
+ * Reports this device's usage for today to storage.sync, at most once every
+ * USAGE_REPORT_INTERVAL_MS unless forced. Sites are dropped, least used first, if the
+ * report would not fit in one storage.sync item.
+ *
+ * @async
+ * @function reportDeviceUsage
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Report even if the last report is recent.
+ * @returns {Promise<boolean>} True if a report was written.
+ */
+export async function reportDeviceUsage({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - _lastUsageReportAt < USAGE_REPORT_INTERVAL_MS) {
+    return false;
+  }
+
+  try {
+    const settings = await getAppSettings();
+    if (!settings.syncEnabled || !settings.syncUsageAcrossDevices) {
+      return false;
+    }
+
+    const local = await browser.storage.local.get(SYNC_STATE_KEY);
+    const state = _readState(local[SYNC_STATE_KEY]);
+    if (!local[SYNC_STATE_KEY]) {
+      await browser.storage.local.set({ [SYNC_STATE_KEY]: state });
+    }
+
+    const today = await getTodayKey();
+    const usage = Object.entries(await getUsageStats(today))
+      .filter(([, stats]) => stats.timeSpentSeconds > 0 || stats.opens > 0)
+      .map(([siteId, stats]) => [siteId, [stats.timeSpentSeconds, stats.opens]])
+      .sort((a, b) => b[1][0] - a[1][0] || b[1][1] - a[1][1]);
+
+    const key = `${USAGE_REPORT_PREFIX}${state.deviceId}`;
+    let report = { d: today, t: now, u: Object.fromEntries(usage) };
+    while (
+      usage.length > 0 &&
+      _byteLength(key + JSON.stringify(report)) > SYNC_QUOTA_BYTES_PER_ITEM
+    ) {
+      usage.pop();
+      report = { d: today, t: now, u: Object.fromEntries(usage) };
+    }
+
+    await browser.storage.sync.set({ [key]: report });
+    _lastUsageReportAt = now;
+    return true;
+  } catch (error) {
+    console.error('[Sync] Error reporting usage:', error);
+    return false;
+  }
+}
+
+/**
+ * Removes this device's usage report and the summed usage of other devices.
+ * @private
+ */
+async function _stopUsageSync(deviceId) {
+  await browser.storage.local.remove(REMOTE_USAGE_KEY);
+  if (deviceId) {
+    await browser.storage.sync.remove(`${USAGE_REPORT_PREFIX}${deviceId}`);
+  }
+  _lastUsageReportAt = 0;
+}
+
+/**
+ * Applies a change of the sync preferences: runs a first sync when sync is turned on,
+ * starts or stops usage reports, and forgets the sync bookkeeping when sync is turned
+ * off, so turning it back on matches items up again instead of replaying old
+ * deletions. Synced data is left in storage.sync for the other devices.
+ *
+ * @async
+ * @function handleSyncSettingsChanged
+ * @param {Object} settings - The updated app settings.
+ * @returns {Promise<{success: boolean, applied: boolean, error: string|null}>}
+ *          The result of the sync pass, if one was run.
+ */
+export async function handleSyncSettingsChanged(settings) {
+  try {
+    const local = await browser.storage.local.get(SYNC_STATE_KEY);
+    const storedState = local[SYNC_STATE_KEY];
+    const deviceId = storedState ? storedState.deviceId : null;
+
+    if (!settings.syncEnabled) {
+      await _stopUsageSync(deviceId);
+      if (storedState) {
+        await browser.storage.local.set({
+          [SYNC_STATE_KEY]: { deviceId: storedState.deviceId },
+        });
+      }
+      return { success: true, applied: false, error: null };
+    }
+
+    const result = await runSync();
+    if (settings.syncUsageAcrossDevices) {
+      await reportDeviceUsage({ force: true });
+      await refreshRemoteUsage();
+    } else {
+      await _stopUsageSync(deviceId);
+    }
+    return result;
+  } catch (error) {
+    console.error('[Sync] Error applying sync settings:', error);
+    return { success: false, applied: false, error: error.message };
+  }
+}
+
+/**
+ * Reacts to a browser.storage.onChanged event: local edits of sites, groups or notes
+ * are pushed, and changes other devices made in storage.sync are pulled.
+ *
+ * @async
+ * @function handleSyncStorageChange
+ * @param {Object} changes - The changes object from browser.storage.onChanged.
+ * @param {string} areaName - The storage area name ("local" or "sync").
+ * @returns {Promise<{applied: boolean}>} `applied` is true if local sites, groups or
+ *                                        notes were changed by the sync.
+ */
+export async function handleSyncStorageChange(changes, areaName) {
+  const changedKeys = Object.keys(changes);
+  const rulesChanged =
+    areaName === 'sync'
+      ? changedKeys.some((key) => key.startsWith(RULES_CHUNK_PREFIX))
+      : areaName === 'local' &&
+        changedKeys.some((key) => SYNCED_LOCAL_KEYS.includes(key));
+  const usageChanged =
+    areaName === 'sync' &&
+    changedKeys.some((key) => key.startsWith(USAGE_REPORT_PREFIX));
+
+  if (!rulesChanged && !usageChanged) {
+    return { applied: false };
+  }
+
+  const settings = await getAppSettings();
+  if (!settings.syncEnabled) {
+    return { applied: false };
+  }
+
+  let applied = false;
+  if (rulesChanged) {
+    applied = (await runSync()).applied;
+  }
+  if (usageChanged && settings.syncUsageAcrossDevices) {
+    await refreshRemoteUsage();
+  }
+  return { applied };
+}
+
+/**
+ * Describes the sync state for the settings page.
+ *
+ * @async
+ * @function getSyncStatus
+ * @returns {Promise<Object|null>} `{enabled, usageEnabled, lastSyncedAt, lastError,
+ *                                 bytesInUse, quotaBytes}`, or null on a storage error.
+ */
+export async function getSyncStatus() {
+  try {
+    const [settings, local, remote] = await Promise.all([
+      getAppSettings(),
+      browser.storage.local.get(SYNC_STATE_KEY),
+      browser.storage.sync.get(null),
+    ]);
+    const state = local[SYNC_STATE_KEY] || {};
+    const bytesInUse = Object.entries(remote).reduce(
+      (sum, [key, value]) => sum + _byteLength(key + JSON.stringify(value)),
+      0
+    );
+    return {
+      enabled: settings.syncEnabled,
+      usageEnabled: settings.syncUsageAcrossDevices,
+      lastSyncedAt: state.lastSyncedAt || null,
+      lastError: state.lastError || null,
+      bytesInUse,
+      quotaBytes: SYNC_QUOTA_BYTES,
+    };
+  } catch (error) {
+    console.error('[Sync] Error getting sync status:', error);
+    return null;
+  }
+}
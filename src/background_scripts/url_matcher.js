@@ -0,0 +1,397 @@
+/**
+ * @file url_matcher.js
+ * @description Shared URL pattern engine used by the distraction detector, site blocker,
+ * badge manager and validation utilities. Every place that decides whether a URL belongs
+ * to a distracting site goes through this module so they can never disagree.
+ *
+ * Supported pattern syntax (matching is case-insensitive, protocol and "www." are ignored):
+ * - `example.com`            – the host and all of its subdomains
+ * - `=example.com`           – the exact host only (no subdomains)
+ * - `*.example.com`          – subdomains only (not the bare host)
+ * - `example.*`              – `*` in the host matches any run of host characters
+ * - `youtube.com/shorts`     – path prefix, matched on path segment boundaries
+ * - `youtube.com/watch*`     – `*` in the path matches any run of characters except "/"
+ * - `/regex/flags`           – a regular expression tested against host + path + query
+ * - `keyword:shorts`         – the keyword anywhere in the URL (host, path or query)
+ * - `query:election`         – the keyword in the query string only
+ * - `title:reels`            – the keyword in the tab title
+ *
+ * Keywords are matched case-insensitively against the decoded URL, so `query:climate change`
+ * matches `?q=climate+change`; `|` separates alternatives (`title:shorts|reels`). Keyword
+ * rules single out pages within a site, so they win over host and path patterns. Title
+ * rules only match once the tab's title is known, i.e. not yet when a navigation starts.
+ *
+ * Sites may additionally carry `excludedPatterns` (same syntax, except title rules) that
+ * carve exceptions out of the main pattern, e.g. `reddit.com` except `reddit.com/r/programming`.
+ */
+
+const REGEX_PATTERN = /^\/(.+)\/([imsu]*)$/;
+const KEYWORD_PATTERN = /^(keyword|query|title):(.*)$/i;
+// Keyword rules outrank any host or path pattern when several rules match
+const KEYWORD_SPECIFICITY = 10000;
+const PATTERN_CACHE_LIMIT = 500;
+
+const _compiledPatternCache = new Map();
+
+/**
+ * Escapes a literal string so it can be embedded in a regular expression.
+ * @private
+ * @param {string} text - The literal text.
+ * @returns {string} The escaped text.
+ */
+function _escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a glob fragment into a regular expression source string.
+ * @private
+ * @param {string} glob - The glob fragment (only `*` is special).
+ * @param {string} wildcard - The regex source a `*` expands to.
+ * @returns {string} The regex source.
+ */
+function _globToRegexSource(glob, wildcard) {
+  return glob
+    .split('*')
+    .map((part) => _escapeRegex(part))
+    .join(wildcard);
+}
+
+/**
+ * Returns true if the pattern uses the regular expression syntax (`/.../flags`).
+ * @param {string} pattern - The URL pattern.
+ * @returns {boolean}
+ */
+export function isRegexPattern(pattern) {
+  return typeof pattern === 'string' && REGEX_PATTERN.test(pattern.trim());
+}
+
+/**
+ * Splits a keyword rule (`keyword:`, `query:` or `title:`) into its target and keywords.
+ * @param {string} pattern - The URL pattern.
+ * @returns {{target: string, keywords: Array<string>}|null} The target ('keyword',
+ *          'query' or 'title') and the lowercased, non-blank keywords, or null if the
+ *          pattern is not a keyword rule.
+ */
+export function parseKeywordPattern(pattern) {
+  const match =
+    typeof pattern === 'string' ? pattern.trim().match(KEYWORD_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    target: match[1].toLowerCase(),
+    keywords: match[2]
+      .split('|')
+      .map((keyword) => keyword.trim().toLowerCase())
+      .filter((keyword) => keyword.length > 0),
+  };
+}
+
+/**
+ * Returns true if the pattern matches on the tab title (`title:`), which is not known
+ * until a page has loaded.
+ * @param {string} pattern - The URL pattern.
+ * @returns {boolean}
+ */
+export function usesTabTitle(pattern) {
+  const keywordRule = parseKeywordPattern(pattern);
+  return keywordRule !== null && keywordRule.target === 'title';
+}
+
+/**
+ * Normalizes a non-regex URL pattern: lowercases it and strips protocol and "www.".
+ * Regex patterns are returned trimmed but otherwise untouched; keyword rules get their
+ * keywords trimmed and lowercased.
+ * @param {string} pattern - The raw pattern.
+ * @returns {string} The normalized pattern.
+ */
+export function normalizeUrlPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return '';
+  }
+  const trimmed = pattern.trim();
+  if (isRegexPattern(trimmed)) {
+    return trimmed;
+  }
+  const keywordRule = parseKeywordPattern(trimmed);
+  if (keywordRule) {
+    return `${keywordRule.target}:${keywordRule.keywords.join('|')}`;
+  }
+
+  let normalized = trimmed.toLowerCase();
+  const isExact = normalized.startsWith('=');
+  if (isExact) {
+    normalized = normalized.slice(1);
+  }
+  normalized = normalized.replace(/^https?:\/\//, '');
+  normalized = normalized.replace(/^www\./, '');
+  return isExact ? `=${normalized}` : normalized;
+}
+
+/**
+ * Compiles a URL pattern into a matcher object. Results are cached by pattern string.
+ * Throws if a regex pattern cannot be compiled.
+ * @param {string} pattern - The URL pattern.
+ * @returns {{type: string, test: Function, specificity: number}} The compiled matcher.
+ */
+export function compileUrlPattern(pattern) {
+  const cached = _compiledPatternCache.get(pattern);
+  if (cached) {
+    return cached;
+  }
+
+  let compiled;
+  const trimmed = pattern.trim();
+  const regexMatch = trimmed.match(REGEX_PATTERN);
+  const keywordRule = parseKeywordPattern(trimmed);
+
+  if (keywordRule) {
+    const { target, keywords } = keywordRule;
+    // 'keyword' searches the whole decoded URL, kept as `text`
+    const field = target === 'keyword' ? 'text' : target;
+    compiled = {
+      type: 'keyword',
+      test: (parts) =>
+        keywords.length > 0 &&
+        keywords.some((keyword) => parts[field].includes(keyword)),
+      specificity:
+        KEYWORD_SPECIFICITY +
+        Math.max(0, ...keywords.map((keyword) => keyword.length)),
+    };
+  } else if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    compiled = {
+      type: 'regex',
+      test: (parts) => regex.test(parts.target),
+      specificity: regexMatch[1].length,
+    };
+  } else {
+    let normalized = normalizeUrlPattern(trimmed);
+    const isExact = normalized.startsWith('=');
+    if (isExact) {
+      normalized = normalized.slice(1);
+    }
+
+    const slashIndex = normalized.indexOf('/');
+    const hostPart =
+      slashIndex === -1 ? normalized : normalized.slice(0, slashIndex);
+    const pathPart = slashIndex === -1 ? '' : normalized.slice(slashIndex);
+
+    let hostSource;
+    if (hostPart.startsWith('*.')) {
+      // Subdomains only
+      hostSource = `(?:[a-z0-9-]+\\.)+${_globToRegexSource(hostPart.slice(2), '[a-z0-9.-]*')}`;
+    } else if (isExact) {
+      hostSource = _globToRegexSource(hostPart, '[a-z0-9.-]*');
+    } else {
+      hostSource = `(?:[a-z0-9-]+\\.)*${_globToRegexSource(hostPart, '[a-z0-9.-]*')}`;
+    }
+    const hostRegex = new RegExp(`^${hostSource}$`);
+
+    // Path patterns match on segment boundaries: "/shorts" matches "/shorts/x"
+    // but not "/shortsxyz". A trailing "/" or "*" already acts as a boundary.
+    let pathRegex = null;
+    if (pathPart && pathPart !== '/') {
+      const pathSource = _globToRegexSource(pathPart, '[^/]*');
+      const boundary = /[/*]$/.test(pathPart) ? '' : '(?:[/?#]|$)';
+      pathRegex = new RegExp(`^${pathSource}${boundary}`);
+    }
+
+    compiled = {
+      type: pathRegex ? 'path' : 'host',
+      test: (parts) =>
+        hostRegex.test(parts.hostname) &&
+        (!pathRegex || pathRegex.test(parts.pathAndQuery)),
+      specificity:
+        hostPart.replace(/\*/g, '').length +
+        pathPart.replace(/\*/g, '').length * 2 +
+        (isExact ? 1 : 0),
+    };
+  }
+
+  if (_compiledPatternCache.size >= PATTERN_CACHE_LIMIT) {
+    _compiledPatternCache.delete(_compiledPatternCache.keys().next().value);
+  }
+  _compiledPatternCache.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Decodes percent-escapes and `+` for keyword matching, keeping malformed escapes as is.
+ * @private
+ * @param {string} text - The URL part.
+ * @returns {string} The decoded, lowercased text.
+ */
+function _decodeForKeywords(text) {
+  const spaced = text.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced).toLowerCase();
+  } catch {
+    return spaced.toLowerCase();
+  }
+}
+
+/**
+ * Splits a URL into the parts the matcher works with.
+ * Only http/https URLs are considered matchable.
+ * @param {string} urlString - The URL to parse.
+ * @param {string} [title=''] - The tab title, for title rules; empty while unknown.
+ * @returns {{hostname: string, pathAndQuery: string, target: string, text: string, query: string, title: string}|null}
+ */
+export function getUrlParts(urlString, title = '') {
+  try {
+    if (
+      !urlString ||
+      typeof urlString !== 'string' ||
+      (!urlString.startsWith('http:') && !urlString.startsWith('https:'))
+    ) {
+      return null;
+    }
+    const url = new URL(urlString);
+    const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    const pathAndQuery = `${url.pathname.toLowerCase()}${url.search}`;
+    return {
+      hostname,
+      pathAndQuery,
+      target: `${hostname}${url.pathname}${url.search}`,
+      text: _decodeForKeywords(`${hostname}${url.pathname}${url.search}`),
+      query: _decodeForKeywords(url.search.slice(1)),
+      title: typeof title === 'string' ? title.toLowerCase() : '',
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tests a single pattern against a URL. Invalid patterns never match.
+ * @param {string} url - The URL to test.
+ * @param {string} pattern - The URL pattern.
+ * @returns {boolean}
+ */
+export function urlMatchesPattern(url, pattern) {
+  if (!pattern || typeof pattern !== 'string') {
+    return false;
+  }
+  const parts = typeof url === 'string' ? getUrlParts(url) : url;
+  if (!parts) {
+    return false;
+  }
+  try {
+    return compileUrlPattern(pattern).test(parts);
+  } catch (error) {
+    console.warn(
+      `[UrlMatcher] Ignoring invalid pattern '${pattern}':`,
+      error.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Tests whether a site rule matches a URL, honouring its excluded patterns.
+ * The site's enabled state is not considered here.
+ * @param {Object} site - The site object.
+ * @param {string} url - The URL to test.
+ * @param {string} [title] - The tab title, for title rules.
+ * @returns {boolean}
+ */
+export function siteMatchesUrl(site, url, title) {
+  if (!site || !site.urlPattern || typeof site.urlPattern !== 'string') {
+    return false;
+  }
+  const parts = getUrlParts(url, title);
+  if (!parts || !urlMatchesPattern(parts, site.urlPattern)) {
+    return false;
+  }
+  const exclusions = Array.isArray(site.excludedPatterns)
+    ? site.excludedPatterns
+    : [];
+  return !exclusions.some((exclusion) => urlMatchesPattern(parts, exclusion));
+}
+
+/**
+ * Finds the enabled site that best matches a URL. When several rules match,
+ * the most specific pattern wins (e.g. "youtube.com/shorts" over "youtube.com").
+ * @param {string} url - The URL to test.
+ * @param {Array<Object>} sites - The distracting sites to consider.
+ * @param {string} [title] - The tab title, for title rules; they don't match without it.
+ * @returns {Object|null} The matching site, or null.
+ */
+export function findMatchingSite(url, sites, title) {
+  if (!Array.isArray(sites) || !getUrlParts(url)) {
+    return null;
+  }
+
+  let bestSite = null;
+  let bestSpecificity = -1;
+  for (const site of sites) {
+    if (
+      !site ||
+      site.isEnabled === false ||
+      !siteMatchesUrl(site, url, title)
+    ) {
+      continue;
+    }
+    let specificity = 0;
+    try {
+      specificity = compileUrlPattern(site.urlPattern).specificity;
+    } catch {
+      continue;
+    }
+    if (specificity > bestSpecificity) {
+      bestSite = site;
+      bestSpecificity = specificity;
+    }
+  }
+  return bestSite;
+}
+
+/**
+ * Builds URLs a host or path pattern names, e.g. https://youtube.com/shorts and
+ * https://x.youtube.com/shorts for `youtube.com/shorts`; wildcards become "x".
+ * @private
+ * @param {string} pattern - The host or path pattern.
+ * @returns {Array<string>} The sample URLs.
+ */
+function _getSampleUrls(pattern) {
+  let normalized = normalizeUrlPattern(pattern);
+  const isExact = normalized.startsWith('=');
+  if (isExact) {
+    normalized = normalized.slice(1);
+  }
+  const subdomainsOnly = normalized.startsWith('*.');
+  const sample = normalized.replace(/^\*\./, 'x.').replace(/\*/g, 'x');
+  return isExact || subdomainsOnly
+    ? [`https://${sample}`]
+    : [`https://${sample}`, `https://x.${sample}`];
+}
+
+/**
+ * Tells whether a new rule would win URLs over from an existing site, being the more
+ * specific match there (see findMatchingSite). Keyword and regex rules can match
+ * anywhere, so they are taken to overlap with every site they outrank; host and path
+ * patterns are tried on the URLs they name.
+ * @param {string} pattern - The URL pattern of the new rule.
+ * @param {Object} site - The existing site.
+ * @returns {boolean}
+ */
+export function takesOverFrom(pattern, site) {
+  let compiled;
+  let existing;
+  try {
+    compiled = compileUrlPattern(pattern);
+    existing = compileUrlPattern(site.urlPattern);
+  } catch {
+    return false;
+  }
+  // On a tie the site added first keeps the URL
+  if (compiled.specificity <= existing.specificity) {
+    return false;
+  }
+  if (compiled.type === 'keyword' || compiled.type === 'regex') {
+    return true;
+  }
+  return _getSampleUrls(pattern).some((url) => siteMatchesUrl(site, url));
+}
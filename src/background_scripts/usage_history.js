@@ -0,0 +1,254 @@
+/**
+ * @file usage_history.js
+ * @description Reads the stored usage history and turns it into per-site statistics
+ * for the statistics page.
+ *
+ * History lives in two kinds of storage keys:
+ * - `usageStats-YYYY-MM-DD`: one object per usage day (see clock.js), keyed by site ID
+ *   (`{timeSpentSeconds, opens}`). Kept for the configured retention window.
+ * - `usageWeekly-YYYY-MM-DD`: one rollup per calendar week (the date is the week's
+ *   Monday), keyed by site ID (`{timeSpentSeconds, opens, days}`). Daily entries that
+ *   fall out of the retention window are folded into these by the daily reset.
+ * A day is only ever counted in one of the two, so totals can simply be added.
+ */
+
+import { getDistractingSites } from './site_storage.js';
+import { getTodayKey, shiftDateKey, getWeekStartKey } from './clock.js';
+
+export const DAILY_STATS_PREFIX = 'usageStats-';
+export const WEEKLY_ROLLUP_PREFIX = 'usageWeekly-';
+
+/** Number of days shown in the per-site daily breakdown. */
+const DAILY_BREAKDOWN_DAYS = 14;
+
+/** Number of calendar weeks shown in the weekly trend (including the current one). */
+const WEEKLY_TREND_WEEKS = 8;
+
+/**
+ * Picks the usage history entries out of a full storage dump.
+ *
+ * @param {Object} allStorage - The result of `browser.storage.local.get(null)`.
+ * @returns {{daily: Object<string, Object>, weekly: Object<string, Object>}}
+ *          Daily stats keyed by date and weekly rollups keyed by week start.
+ */
+export function splitHistoryEntries(allStorage) {
+  const daily = {};
+  const weekly = {};
+  for (const [key, value] of Object.entries(allStorage || {})) {
+    if (key.startsWith(DAILY_STATS_PREFIX)) {
+      daily[key.slice(DAILY_STATS_PREFIX.length)] = value || {};
+    } else if (key.startsWith(WEEKLY_ROLLUP_PREFIX)) {
+      weekly[key.slice(WEEKLY_ROLLUP_PREFIX.length)] = value || {};
+    }
+  }
+  return { daily, weekly };
+}
+
+/**
+ * Folds daily stats into weekly rollups.
+ * Only the weeks touched by `dailyStatsByDate` are returned; each starts from the
+ * existing rollup for that week so repeated runs keep accumulating.
+ *
+ * @param {Object<string, Object>} dailyStatsByDate - Daily stats keyed by date.
+ * @param {Object<string, Object>} [existingRollups={}] - Existing rollups keyed by week start.
+ * @returns {Object<string, Object>} The updated rollups for the touched weeks.
+ */
+export function rollUpDailyStats(dailyStatsByDate, existingRollups = {}) {
+  const rollups = {};
+
+  for (const [dateKey, dailyStats] of Object.entries(dailyStatsByDate)) {
+    const weekKey = getWeekStartKey(dateKey);
+    if (!rollups[weekKey]) {
+      rollups[weekKey] = {};
+      for (const [siteId, usage] of Object.entries(
+        existingRollups[weekKey] || {}
+      )) {
+        rollups[weekKey][siteId] = { ...usage };
+      }
+    }
+
+    for (const [siteId, usage] of Object.entries(dailyStats || {})) {
+      const entry = rollups[weekKey][siteId] || {
+        timeSpentSeconds: 0,
+        opens: 0,
+        days: 0,
+      };
+      entry.timeSpentSeconds += usage.timeSpentSeconds || 0;
+      entry.opens += usage.opens || 0;
+      entry.days += 1;
+      rollups[weekKey][siteId] = entry;
+    }
+  }
+
+  return rollups;
+}
+
+/**
+ * Sums a site's daily usage over an inclusive range of dates.
+ * @private
+ */
+function _sumDailyUsage(siteId, daily, fromKey, toKey) {
+  const total = { timeSpentSeconds: 0, opens: 0 };
+  for (let key = fromKey; key <= toKey; key = shiftDateKey(key, 1)) {
+    const usage = (daily[key] || {})[siteId];
+    if (usage) {
+      total.timeSpentSeconds += usage.timeSpentSeconds || 0;
+      total.opens += usage.opens || 0;
+    }
+  }
+  return total;
+}
+
+/**
+ * Checks whether a day's usage reached one of the site's daily limits, using the
+ * same rule as the blocker.
+ * @private
+ */
+function _reachedLimit(site, usage) {
+  if (!usage) {
+    return false;
+  }
+  const timeReached =
+    site.dailyLimitSeconds > 0 &&
+    (usage.timeSpentSeconds || 0) >= site.dailyLimitSeconds;
+  const opensReached =
+    site.dailyOpenLimit > 0 && (usage.opens || 0) >= site.dailyOpenLimit;
+  return timeReached || opensReached;
+}
+
+/**
+ * Counts the completed days, going back from yesterday, on which the site stayed
+ * under all of its daily limits. Only days covered by the daily history are
+ * considered, so the streak never claims days from before tracking started.
+ * @private
+ * @returns {number|null} The streak length, or null if the site has no daily limit.
+ */
+function _calculateStreak(site, daily, todayKey) {
+  if (!(site.dailyLimitSeconds > 0) && !(site.dailyOpenLimit > 0)) {
+    return null;
+  }
+
+  const recordedDates = Object.keys(daily).filter((key) => key < todayKey);
+  if (recordedDates.length === 0) {
+    return 0;
+  }
+  const firstRecordedDate = recordedDates.sort()[0];
+
+  let streak = 0;
+  for (
+    let key = shiftDateKey(todayKey, -1);
+    key >= firstRecordedDate;
+    key = shiftDateKey(key, -1)
+  ) {
+    if (_reachedLimit(site, (daily[key] || {})[site.id])) {
+      break;
+    }
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Computes the statistics shown for one site.
+ *
+ * @param {Object} site - The distracting site.
+ * @param {{daily: Object, weekly: Object}} history - History from splitHistoryEntries.
+ * @param {string} todayKey - Today's date key.
+ * @returns {Object} Statistics with `days` (daily breakdown, oldest first), `weeks`
+ *                   (weekly trend, oldest first), `streak` and `comparison` of the
+ *                   last 7 days against the 7 days before.
+ */
+export function computeSiteStatistics(site, history, todayKey) {
+  const { daily, weekly } = history;
+
+  const days = [];
+  for (let offset = DAILY_BREAKDOWN_DAYS - 1; offset >= 0; offset--) {
+    const date = shiftDateKey(todayKey, -offset);
+    const usage = (daily[date] || {})[site.id];
+    days.push({
+      date,
+      timeSpentSeconds: usage ? usage.timeSpentSeconds || 0 : 0,
+      opens: usage ? usage.opens || 0 : 0,
+    });
+  }
+
+  const currentWeekStart = getWeekStartKey(todayKey);
+  const weeks = [];
+  for (let offset = WEEKLY_TREND_WEEKS - 1; offset >= 0; offset--) {
+    const weekStart = shiftDateKey(currentWeekStart, -7 * offset);
+    const usage = _sumDailyUsage(
+      site.id,
+      daily,
+      weekStart,
+      shiftDateKey(weekStart, 6)
+    );
+    const rollup = (weekly[weekStart] || {})[site.id];
+    if (rollup) {
+      usage.timeSpentSeconds += rollup.timeSpentSeconds || 0;
+      usage.opens += rollup.opens || 0;
+    }
+    weeks.push({ weekStart, ...usage });
+  }
+
+  const current = _sumDailyUsage(
+    site.id,
+    daily,
+    shiftDateKey(todayKey, -6),
+    todayKey
+  );
+  const previous = _sumDailyUsage(
+    site.id,
+    daily,
+    shiftDateKey(todayKey, -13),
+    shiftDateKey(todayKey, -7)
+  );
+  const timeChangePercent =
+    previous.timeSpentSeconds > 0
+      ? Math.round(
+          ((current.timeSpentSeconds - previous.timeSpentSeconds) /
+            previous.timeSpentSeconds) *
+            100
+        )
+      : null;
+
+  return {
+    siteId: site.id,
+    urlPattern: site.urlPattern,
+    dailyLimitSeconds: site.dailyLimitSeconds || 0,
+    dailyOpenLimit: site.dailyOpenLimit || 0,
+    days,
+    weeks,
+    streak: _calculateStreak(site, daily, todayKey),
+    comparison: { current, previous, timeChangePercent },
+  };
+}
+
+/**
+ * Loads the usage history and computes statistics for every distracting site.
+ *
+ * @async
+ * @function getUsageStatistics
+ * @returns {Promise<Object|null>} A promise that resolves to `{today, sites}` where
+ *                                 `sites` holds one computeSiteStatistics result per site,
+ *                                 or null if a storage error occurs.
+ */
+export async function getUsageStatistics() {
+  try {
+    const [sites, allStorage] = await Promise.all([
+      getDistractingSites(),
+      browser.storage.local.get(null),
+    ]);
+    const history = splitHistoryEntries(allStorage);
+    const todayKey = await getTodayKey();
+
+    return {
+      today: todayKey,
+      sites: sites.map((site) =>
+        computeSiteStatistics(site, history, todayKey)
+      ),
+    };
+  } catch (error) {
+    console.error('Error computing usage statistics:', error);
+    return null;
+  }
+}
@@ -1,24 +1,74 @@
 /**
  * @file usage_recorder.js
  * @description Handles the recording of time spent and open counts for distracting sites.
- * This module is now stateless and event-driven, using browser.storage.local for
- * tracking state with session-like behavior. Compatible with Manifest V3 Firefox.
+ * The tracking state is kept in browser.storage.local with session-like behavior, so it
+ * survives the background script being suspended. Compatible with Manifest V3 Firefox.
+ *
+ * Time recorded by the usage timer is not written to storage on every tick. It is kept
+ * as pending usage in memory (see usage_storage.js), together with the point up to which
+ * each session has been recorded, and written every FLUSH_INTERVAL_MS, whenever a
+ * session starts, stops or pauses, and by flushUsage before the background script is
+ * suspended. Both are written in the same storage call, so a crash loses at most the
+ * time since the last write and never counts time twice.
+ *
+ * Every session is also logged with its URL and how it ended (see session_log.js). The
+ * log entry of a running session is kept with the session state and gets the same time
+ * and opens as the daily totals; the log is written right before the usage.
+ *
+ * A session can be paused while the user is away (see idle_monitor.js); a paused
+ * session keeps its site and tab but records no time until it is resumed.
+ *
+ * Besides the foreground session (the active tab of the focused window), any number of
+ * background sessions can run at the same time, one per site, for sites that count while
+ * they play media or are visible in another window (see background_tracking.js).
  */
 
-import { getUsageStats, updateUsageStats } from './usage_storage.js';
+import {
+  addPendingUsage,
+  flushPendingUsage,
+  getUsageStats,
+  setPendingItems,
+} from './usage_storage.js';
+import {
+  SESSION_END_REASONS,
+  addLogTime,
+  createLogEntry,
+  endLogEntry,
+  flushSessionLog,
+  queueLogEntry,
+} from './session_log.js';
+import { initializeClock, getDayKey } from './clock.js';
 
 // Session storage keys for tracking state - using local storage with session prefix
 const SESSION_KEYS = {
   SITE_ID: 'session_tracking_siteId',
-  START_TIME: 'session_tracking_startTime',
+  START_TIME: 'session_tracking_startTime', // Time recorded up to this point
   TAB_ID: 'session_tracking_tabId',
   IS_ACTIVE: 'session_tracking_isActive',
+  PAUSED_AT: 'session_tracking_pausedAt',
+  LOG: 'session_tracking_log', // The session's entry in the session log
+  BACKGROUND: 'session_background_sessions', // { [siteId]: { tabId, startTime, log } }
   INIT_TIME: 'session_init_time', // Used to detect extension restarts
 };
 
+/**
+ * How often time recorded by the usage timer is written to storage, in milliseconds.
+ * This bounds the usage lost if the browser crashes.
+ * @type {number}
+ */
+const FLUSH_INTERVAL_MS = 30 * 1000;
+
 // Initialize session tracking on module load
 let _initPromise = null;
 
+// The foreground session and the background sessions, read from storage once and kept
+// in memory afterwards, so the usage timer doesn't read or write them on every tick
+let _trackingState = null;
+let _backgroundSessions = null;
+
+// When pending usage was last written to storage by this module
+let _lastFlushTime = 0;
+
 /**
  * Initializes the session tracking system and cleans up any stale data
  * @private
@@ -28,15 +78,24 @@ async function _initializeSession() {
 
   _initPromise = (async () => {
     try {
+      // Usage days may not start at midnight, load when they do start
+      await initializeClock();
+
       const currentTime = Date.now();
-      const result = await browser.storage.local.get([SESSION_KEYS.INIT_TIME]);
+      const result = await browser.storage.local.get([
+        SESSION_KEYS.INIT_TIME,
+        SESSION_KEYS.LOG,
+        SESSION_KEYS.BACKGROUND,
+      ]);
       const lastInitTime = result[SESSION_KEYS.INIT_TIME];
 
       // If this is a fresh start or extension was restarted, clear old session data
       if (!lastInitTime || currentTime - lastInitTime > 60000) {
         // 1 minute threshold
         console.log('[UsageRecorder] Cleaning up stale session data');
+        await _endInterruptedSessions(result);
         await _clearTrackingState();
+        await browser.storage.local.remove(SESSION_KEYS.BACKGROUND);
       }
 
       // Set new init time
@@ -53,126 +112,201 @@ async function _initializeSession() {
 }
 
 /**
- * Returns the current date as a string in "YYYY-MM-DD" format for storage keys.
+ * Ends the log entries of the sessions that were running when the browser or extension
+ * was closed. They are written as they were stored with the session state, which
+ * matches the usage that was saved for them.
  * @private
- * @returns {string} The formatted date string.
+ * @param {Object} stored - The stored session state.
  */
-function _getCurrentDateString() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
+async function _endInterruptedSessions(stored) {
+  const backgroundSessions = stored[SESSION_KEYS.BACKGROUND] || {};
+  const entries = [
+    stored[SESSION_KEYS.LOG],
+    ...Object.values(backgroundSessions).map((session) => session.log),
+  ].filter(Boolean);
+
+  if (entries.length > 0) {
+    entries.forEach((entry) =>
+      endLogEntry(entry, SESSION_END_REASONS.INTERRUPTED)
+    );
+    await flushSessionLog();
+  }
 }
 
 /**
- * Updates usage statistics in storage for a given site.
+ * Records usage for a given site as pending usage. It is written to storage by the
+ * next flush, but counts towards the site's totals right away.
  * @private
  * @param {string} siteId - The ID of the distracting site.
  * @param {number} timeIncrementSeconds - The amount of time (in seconds) to add. Can be 0.
  * @param {boolean} [isNewOpen=false] - Whether to increment the open count for the site.
  */
-async function _updateUsageStatsInStorage(
-  siteId,
-  timeIncrementSeconds,
-  isNewOpen = false
-) {
+function _recordUsage(siteId, timeIncrementSeconds, isNewOpen = false) {
   if (!siteId) {
-    console.warn(
-      '[UsageRecorder] Attempted to update usage stats with no siteId.'
-    );
+    console.warn('[UsageRecorder] Attempted to record usage with no siteId.');
     return;
   }
 
-  const dateString = _getCurrentDateString();
-  let siteStats = { timeSpentSeconds: 0, opens: 0 };
+  addPendingUsage(
+    getDayKey(),
+    siteId,
+    Math.round(timeIncrementSeconds),
+    isNewOpen ? 1 : 0
+  );
+}
 
-  try {
-    // Try to get existing stats, but continue with defaults if it fails
-    try {
-      const dailyStats = (await getUsageStats(dateString)) || {};
-      siteStats = dailyStats[siteId] || siteStats;
-    } catch (error) {
-      console.error(
-        `[UsageRecorder] Error reading usage stats for site ${siteId} on ${dateString}:`,
-        error
-      );
-      // Continue with default stats
-    }
+/**
+ * Adds a recorded time slice to a session's log entry, creating the entry if the
+ * session has none yet.
+ * @private
+ * @param {Object} session - The session, with its siteId, tabId, startTime and log.
+ * @param {number} seconds - The time recorded for it.
+ * @param {number} recordedUntil - The end of the recorded time.
+ * @param {boolean} background - Whether it is a background session.
+ * @returns {Object} The session's log entry from now on.
+ */
+function _logTime(session, seconds, recordedUntil, background) {
+  const entry =
+    session.log ||
+    createLogEntry({
+      siteId: session.siteId,
+      tabId: session.tabId,
+      day: getDayKey(),
+      startTime: session.startTime,
+      background,
+    });
+  return addLogTime(entry, seconds, recordedUntil, getDayKey());
+}
 
-    // Update the stats
-    siteStats.timeSpentSeconds += Math.round(timeIncrementSeconds);
-    if (isNewOpen) {
-      siteStats.opens += 1;
-    }
+/**
+ * Gets today's total time for a site, including usage that is still pending.
+ * @private
+ * @param {string} siteId - The ID of the distracting site.
+ * @returns {Promise<number>} The total time spent today, in seconds.
+ */
+async function _getTotalTimeSeconds(siteId) {
+  const dailyStats = await getUsageStats(getDayKey());
+  return dailyStats[siteId] ? dailyStats[siteId].timeSpentSeconds : 0;
+}
 
-    console.log(
-      `[UsageRecorder] Updating usage: Date: ${dateString}, Site: ${siteId}, Spent: ${siteStats.timeSpentSeconds}s, Opens: ${siteStats.opens}`
-    );
-    await updateUsageStats(dateString, siteId, siteStats);
+/**
+ * Writes the session log, then the pending usage and session state to storage.
+ * @private
+ * @returns {Promise<boolean>} True if the usage was written, false otherwise. Log
+ *          entries that could not be written are retried by the next flush.
+ */
+async function _flush() {
+  await flushSessionLog();
+  const success = await flushPendingUsage();
+  if (success) {
+    _lastFlushTime = Date.now();
+  }
+  return success;
+}
 
-    return siteStats.timeSpentSeconds; // Return current total time for badge updates
-  } catch (error) {
-    console.error(
-      `[UsageRecorder] Error updating usage stats for site ${siteId} on ${dateString}:`,
-      error
-    );
-    throw error; // Re-throw error to be handled by caller
+/**
+ * Writes the pending usage and session state if the last write is FLUSH_INTERVAL_MS ago.
+ * @private
+ */
+async function _flushIfDue() {
+  if (Date.now() - _lastFlushTime >= FLUSH_INTERVAL_MS) {
+    await _flush();
   }
 }
 
 /**
- * Gets the current tracking state from local storage.
+ * Returns the state of a foreground session that isn't running.
+ * @private
+ * @returns {Object} The empty tracking state.
+ */
+function _emptyTrackingState() {
+  return {
+    siteId: null,
+    startTime: null,
+    tabId: null,
+    isActive: false,
+    pausedAt: null,
+    log: null,
+  };
+}
+
+/**
+ * Gets the current tracking state, reading it from local storage the first time.
  * @private
  * @returns {Promise<Object>} The tracking state object.
  */
 async function _getTrackingState() {
   await _initializeSession();
 
-  try {
-    const result = await browser.storage.local.get([
-      SESSION_KEYS.SITE_ID,
-      SESSION_KEYS.START_TIME,
-      SESSION_KEYS.TAB_ID,
-      SESSION_KEYS.IS_ACTIVE,
-    ]);
-
-    return {
-      siteId: result[SESSION_KEYS.SITE_ID] || null,
-      startTime: result[SESSION_KEYS.START_TIME] || null,
-      tabId: result[SESSION_KEYS.TAB_ID] || null,
-      isActive: result[SESSION_KEYS.IS_ACTIVE] || false,
-    };
-  } catch (error) {
-    console.error('[UsageRecorder] Error getting tracking state:', error);
-    return { siteId: null, startTime: null, tabId: null, isActive: false };
+  if (!_trackingState) {
+    try {
+      const result = await browser.storage.local.get([
+        SESSION_KEYS.SITE_ID,
+        SESSION_KEYS.START_TIME,
+        SESSION_KEYS.TAB_ID,
+        SESSION_KEYS.IS_ACTIVE,
+        SESSION_KEYS.PAUSED_AT,
+        SESSION_KEYS.LOG,
+      ]);
+
+      _trackingState = {
+        siteId: result[SESSION_KEYS.SITE_ID] || null,
+        startTime: result[SESSION_KEYS.START_TIME] || null,
+        tabId: result[SESSION_KEYS.TAB_ID] || null,
+        isActive: result[SESSION_KEYS.IS_ACTIVE] || false,
+        pausedAt: result[SESSION_KEYS.PAUSED_AT] || null,
+        log: result[SESSION_KEYS.LOG] || null,
+      };
+    } catch (error) {
+      console.error('[UsageRecorder] Error getting tracking state:', error);
+      return _emptyTrackingState();
+    }
   }
+
+  return { ..._trackingState };
 }
 
 /**
- * Sets the tracking state in local storage.
+ * Saves a change of the tracking state to local storage, together with any pending usage.
  * @private
  * @param {Object} state - The state to set.
  */
 async function _setTrackingState(state) {
-  await _initializeSession();
-
-  try {
-    const storageData = {};
-    if (state.siteId !== undefined)
-      storageData[SESSION_KEYS.SITE_ID] = state.siteId;
-    if (state.startTime !== undefined)
-      storageData[SESSION_KEYS.START_TIME] = state.startTime;
-    if (state.tabId !== undefined)
-      storageData[SESSION_KEYS.TAB_ID] = state.tabId;
-    if (state.isActive !== undefined)
-      storageData[SESSION_KEYS.IS_ACTIVE] = state.isActive;
-
-    await browser.storage.local.set(storageData);
-  } catch (error) {
-    console.error('[UsageRecorder] Error setting tracking state:', error);
-    throw error; // Re-throw so callers can handle appropriately
+  const currentState = await _getTrackingState();
+
+  const storageData = {};
+  if (state.siteId !== undefined)
+    storageData[SESSION_KEYS.SITE_ID] = state.siteId;
+  if (state.startTime !== undefined)
+    storageData[SESSION_KEYS.START_TIME] = state.startTime;
+  if (state.tabId !== undefined) storageData[SESSION_KEYS.TAB_ID] = state.tabId;
+  if (state.isActive !== undefined)
+    storageData[SESSION_KEYS.IS_ACTIVE] = state.isActive;
+  if (state.pausedAt !== undefined)
+    storageData[SESSION_KEYS.PAUSED_AT] = state.pausedAt;
+  if (state.log !== undefined) storageData[SESSION_KEYS.LOG] = state.log;
+
+  setPendingItems(storageData);
+  if (!(await _flush())) {
+    // Re-throw so callers can handle appropriately
+    throw new Error('Could not save the tracking state');
   }
+  _trackingState = { ...currentState, ...state };
+}
+
+/**
+ * Moves the point up to which the foreground session has been recorded, without
+ * writing it to storage yet; it is written together with the usage it belongs to.
+ * @private
+ * @param {number} recordedUntil - The new start time of the session.
+ * @param {Object} log - The session's log entry, including the recorded time.
+ */
+function _setRecordedUntil(recordedUntil, log) {
+  _trackingState = { ..._trackingState, startTime: recordedUntil, log };
+  setPendingItems({
+    [SESSION_KEYS.START_TIME]: recordedUntil,
+    [SESSION_KEYS.LOG]: log,
+  });
 }
 
 /**
@@ -180,12 +314,15 @@ async function _setTrackingState(state) {
  * @private
  */
 async function _clearTrackingState() {
+  _trackingState = _emptyTrackingState();
   try {
     await browser.storage.local.remove([
       SESSION_KEYS.SITE_ID,
       SESSION_KEYS.START_TIME,
       SESSION_KEYS.TAB_ID,
       SESSION_KEYS.IS_ACTIVE,
+      SESSION_KEYS.PAUSED_AT,
+      SESSION_KEYS.LOG,
     ]);
   } catch (error) {
     console.warn(
@@ -196,18 +333,38 @@ async function _clearTrackingState() {
   }
 }
 
+/**
+ * Records the time of the foreground session since it was last recorded.
+ * @private
+ * @param {Object} state - The tracking state.
+ * @returns {boolean} True if time was recorded.
+ */
+function _recordForegroundSlice(state) {
+  if (!state.isActive || !state.siteId || !state.startTime || state.pausedAt) {
+    return false;
+  }
+
+  const now = Date.now();
+  const elapsedMs = now - state.startTime;
+  if (elapsedMs <= 0) {
+    return false;
+  }
+
+  const seconds = Math.round(elapsedMs / 1000);
+  _recordUsage(state.siteId, seconds, false);
+  _setRecordedUntil(now, _logTime(state, seconds, now, false));
+  return true;
+}
+
 /**
  * Starts tracking time for a specific distracting site and tab.
  * Stores the tracking state in local storage for persistence across extension restarts.
  * @param {number} tabId - The ID of the tab where the distracting site is open.
  * @param {string} siteId - The ID of the distracting site to start tracking.
+ * @param {string} [url] - The URL of the page, for the session log.
  * @returns {Promise<boolean>} True if tracking was started successfully, false otherwise.
  */
-export async function startTracking(tabId, siteId) {
-  console.log(
-    `[UsageRecorder] startTracking called with tabId=${tabId}, siteId=${siteId}`
-  );
-
+export async function startTracking(tabId, siteId, url = null) {
   if (!tabId || !siteId) {
     console.warn(
       '[UsageRecorder] Attempted to start tracking without valid tabId and siteId:',
@@ -219,43 +376,42 @@ export async function startTracking(tabId, siteId) {
   try {
     // If already tracking something, stop it first to record any accumulated time
     const currentState = await _getTrackingState();
-    console.log('[UsageRecorder] Current tracking state:', currentState);
-
     if (currentState.isActive) {
       console.log(
         '[UsageRecorder] Stopping previous tracking before starting new session'
       );
-      await stopTracking();
+      await stopTracking(
+        currentState.tabId === tabId
+          ? SESSION_END_REASONS.NAVIGATION
+          : SESSION_END_REASONS.TAB_SWITCH
+      );
     }
 
+    // Record the site open event; it is written together with the new session
+    _recordUsage(siteId, 0, true);
+
     const startTime = Date.now();
-    const newState = {
+    const log = createLogEntry({
+      siteId,
+      tabId,
+      url,
+      day: getDayKey(),
+      startTime,
+      opens: 1,
+    });
+    queueLogEntry(log);
+    await _setTrackingState({
       siteId,
       startTime,
       tabId,
       isActive: true,
-    };
-
-    console.log('[UsageRecorder] Setting new tracking state:', newState);
-    await _setTrackingState(newState);
+      pausedAt: null,
+      log,
+    });
 
     console.log(
       `[UsageRecorder] Started tracking site: ${siteId} in tab: ${tabId} at ${new Date(startTime).toISOString()}`
     );
-
-    // Record the site open event
-    console.log(
-      `[UsageRecorder] Recording site open event for site: ${siteId}`
-    );
-    await _updateUsageStatsInStorage(siteId, 0, true);
-
-    // Verify the state was set correctly
-    const verifyState = await _getTrackingState();
-    console.log(
-      '[UsageRecorder] Verified tracking state after start:',
-      verifyState
-    );
-
     return true;
   } catch (error) {
     console.error('[UsageRecorder] Error starting tracking:', error);
@@ -265,10 +421,13 @@ export async function startTracking(tabId, siteId) {
 
 /**
  * Stops tracking time for the currently active site.
- * Records any final accumulated time and clears the tracking state.
+ * Records any final accumulated time, ends the session's log entry, writes both to
+ * storage and clears the tracking state.
+ * @param {string} [endReason=SESSION_END_REASONS.NAVIGATION] - Why the session ended,
+ *                                                               for the session log.
  * @returns {Promise<number>} The total time spent on the site (in seconds) or 0 if no tracking was active.
  */
-export async function stopTracking() {
+export async function stopTracking(endReason = SESSION_END_REASONS.NAVIGATION) {
   try {
     const state = await _getTrackingState();
 
@@ -278,27 +437,20 @@ export async function stopTracking() {
       return 0;
     }
 
-    // Calculate final time slice
-    const elapsedMs = Date.now() - state.startTime;
+    // Record final time slice (a paused session recorded its time when it paused)
     let totalTimeSeconds = 0;
+    if (_recordForegroundSlice(state)) {
+      totalTimeSeconds = await _getTotalTimeSeconds(state.siteId);
+    }
+    if (_trackingState.log) {
+      endLogEntry(_trackingState.log, endReason, Date.now());
+    }
 
-    if (elapsedMs > 0) {
-      console.log(
-        `[UsageRecorder] Recording final time slice of ${elapsedMs / 1000}s for site ${state.siteId}`
+    if (!(await _flush())) {
+      console.warn(
+        '[UsageRecorder] Error saving final time slice, it stays pending:',
+        state.siteId
       );
-      try {
-        totalTimeSeconds = await _updateUsageStatsInStorage(
-          state.siteId,
-          elapsedMs / 1000,
-          false
-        );
-      } catch (updateError) {
-        console.warn(
-          '[UsageRecorder] Error updating final time slice, continuing with cleanup:',
-          updateError
-        );
-        // Continue with cleanup even if update fails
-      }
     }
 
     // Clear tracking state
@@ -315,86 +467,99 @@ export async function stopTracking() {
 
 /**
  * Updates usage for the currently tracked site (called by alarm).
- * This function is called periodically to record incremental time slices
- * while maintaining the tracking session.
+ * Records the time since the last update in memory and writes it to storage every
+ * FLUSH_INTERVAL_MS, while maintaining the tracking session.
  * @returns {Promise<number>} The total time spent on the site (in seconds) or 0 if no tracking is active.
  */
 export async function updateUsage() {
-  console.log('[UsageRecorder] updateUsage called by alarm');
-
   try {
     const state = await _getTrackingState();
-    console.log(
-      '[UsageRecorder] Current tracking state in updateUsage:',
-      state
-    );
-
-    if (!state.isActive || !state.siteId || !state.startTime) {
-      console.log(
-        '[UsageRecorder] updateUsage called but no active tracking found'
-      );
+    if (!_recordForegroundSlice(state)) {
       return 0;
     }
 
-    // Calculate time since last update
-    const now = Date.now();
-    const elapsedMs = now - state.startTime;
-    let totalTimeSeconds = 0;
+    await _flushIfDue();
+    return await _getTotalTimeSeconds(state.siteId);
+  } catch (error) {
+    console.error('[UsageRecorder] Error updating usage:', error);
+    return 0;
+  }
+}
 
-    console.log(
-      `[UsageRecorder] Time calculation: now=${now}, startTime=${state.startTime}, elapsed=${elapsedMs}ms (${elapsedMs / 1000}s)`
-    );
+/**
+ * Records the time of all running sessions up to now and writes all pending usage to
+ * storage. Called before the background script is suspended.
+ * @returns {Promise<boolean>} True if everything was written, false otherwise.
+ */
+export async function flushUsage() {
+  try {
+    _recordForegroundSlice(await _getTrackingState());
+    _recordBackgroundSlices(await _getBackgroundSessionsState());
+    return await _flush();
+  } catch (error) {
+    console.error('[UsageRecorder] Error flushing usage:', error);
+    return false;
+  }
+}
 
-    if (elapsedMs > 0) {
-      console.log(
-        `[UsageRecorder] Recording periodic time slice of ${elapsedMs / 1000}s for site ${state.siteId}`
-      );
-      try {
-        totalTimeSeconds = await _updateUsageStatsInStorage(
-          state.siteId,
-          elapsedMs / 1000,
-          false
-        );
-        console.log(
-          `[UsageRecorder] Total time for site ${state.siteId} is now: ${totalTimeSeconds}s`
-        );
-
-        // Reset start time for next interval, continuing to track the same site
-        try {
-          const newStartTime = Date.now();
-          await _setTrackingState({
-            startTime: newStartTime,
-          });
-          console.log(
-            `[UsageRecorder] Reset start time to: ${newStartTime} (${new Date(newStartTime).toISOString()})`
-          );
-        } catch (stateError) {
-          console.warn(
-            '[UsageRecorder] Error resetting start time, will continue tracking:',
-            stateError
-          );
-          // Don't fail the entire operation if we can't update the start time
-        }
-      } catch (updateError) {
-        console.warn(
-          '[UsageRecorder] Error updating periodic time slice:',
-          updateError
-        );
-        // Don't reset start time if update failed - will retry on next alarm
-      }
-    } else {
-      console.warn(
-        '[UsageRecorder] Elapsed time is 0 or negative, skipping update'
-      );
+/**
+ * Pauses the current tracking session, e.g. because the user went idle.
+ * Records the time accumulated so far; the site and tab stay tracked so that
+ * resuming does not count a new open.
+ * @returns {Promise<boolean>} True if a running session was paused, false otherwise.
+ */
+export async function pauseTracking() {
+  try {
+    const state = await _getTrackingState();
+    if (
+      !state.isActive ||
+      !state.siteId ||
+      !state.startTime ||
+      state.pausedAt
+    ) {
+      return false;
     }
 
-    return totalTimeSeconds;
+    _recordForegroundSlice(state);
+    const now = Date.now();
+    await _setTrackingState({ startTime: now, pausedAt: now });
+    console.log(`[UsageRecorder] Paused tracking site: ${state.siteId}`);
+    return true;
   } catch (error) {
-    console.error('[UsageRecorder] Error updating usage:', error);
-    return 0;
+    console.error('[UsageRecorder] Error pausing tracking:', error);
+    return false;
   }
 }
 
+/**
+ * Resumes a paused tracking session. Time is counted again from now on.
+ * @returns {Promise<boolean>} True if a paused session was resumed, false otherwise.
+ */
+export async function resumeTracking() {
+  try {
+    const state = await _getTrackingState();
+    if (!state.isActive || !state.pausedAt) {
+      return false;
+    }
+
+    await _setTrackingState({ startTime: Date.now(), pausedAt: null });
+    console.log(`[UsageRecorder] Resumed tracking site: ${state.siteId}`);
+    return true;
+  } catch (error) {
+    console.error('[UsageRecorder] Error resuming tracking:', error);
+    return false;
+  }
+}
+
+/**
+ * Tells whether the current tracking session is paused.
+ * @returns {Promise<boolean>} True if a session is being tracked but paused.
+ */
+export async function isTrackingPaused() {
+  const state = await _getTrackingState();
+  return state.isActive && Boolean(state.pausedAt);
+}
+
 /**
  * Gets the current tracking information.
  * @returns {Promise<Object>} Object with current tracking state.
@@ -417,11 +582,25 @@ export async function getCurrentTrackingInfo() {
   }
 }
 
+/**
+ * Notes that a site was just opened by navigating to it, as the `lastOpenAt` its
+ * cooldown between opens runs from (see open_cooldown.js). Switching back to a tab that
+ * is already open starts tracking and counts an open, but isn't a new open here.
+ * @param {string} siteId - The ID of the site that was opened.
+ */
+export function recordOpenTime(siteId) {
+  if (!siteId) {
+    return;
+  }
+  addPendingUsage(getDayKey(), siteId, 0, 0, Date.now());
+}
+
 /**
  * Records an "open" event for a distracting site without starting time tracking.
  * This is used when a site is opened but time tracking isn't started immediately.
  * @param {string} siteId - The ID of the distracting site that was opened.
- * @returns {Promise<boolean>} True if the open was recorded successfully, false otherwise.
+ * @returns {Promise<boolean>} True if the open was written to storage, false otherwise
+ *          (a recorded open that could not be written yet is retried on the next write).
  */
 export async function recordSiteOpen(siteId) {
   if (!siteId) {
@@ -431,12 +610,182 @@ export async function recordSiteOpen(siteId) {
     return false;
   }
 
-  try {
-    console.log(`[UsageRecorder] Recording site open for: ${siteId}`);
-    const result = await _updateUsageStatsInStorage(siteId, 0, true); // 0 time, but increment open count
-    return result !== undefined; // _updateUsageStatsInStorage returns time or 0, so check if it succeeded
-  } catch (error) {
-    console.error('[UsageRecorder] Error recording site open:', error);
-    return false;
+  console.log(`[UsageRecorder] Recording site open for: ${siteId}`);
+  _recordUsage(siteId, 0, true); // 0 time, but increment open count
+
+  const now = Date.now();
+  endLogEntry(
+    createLogEntry({
+      siteId,
+      tabId: null,
+      day: getDayKey(),
+      startTime: now,
+      opens: 1,
+    }),
+    SESSION_END_REASONS.NOT_TRACKED
+  );
+  return _flush();
+}
+
+/**
+ * Gets the background sessions, reading them from local storage the first time.
+ * @private
+ * @returns {Promise<Object<string, {tabId: number, startTime: number, log: Object}>>} The sessions
+ *          kept in memory, keyed by site ID.
+ */
+async function _getBackgroundSessionsState() {
+  await _initializeSession();
+
+  if (!_backgroundSessions) {
+    try {
+      const result = await browser.storage.local.get(SESSION_KEYS.BACKGROUND);
+      _backgroundSessions = result[SESSION_KEYS.BACKGROUND] || {};
+    } catch (error) {
+      console.error(
+        '[UsageRecorder] Error getting background sessions:',
+        error
+      );
+      return {};
+    }
+  }
+  return _backgroundSessions;
+}
+
+/**
+ * Replaces the background sessions. They are written to storage by the next flush,
+ * together with the usage recorded for them.
+ * @private
+ * @param {Object<string, {tabId: number, startTime: number, log: Object}>} sessions - The sessions.
+ */
+function _setBackgroundSessions(sessions) {
+  _backgroundSessions = sessions;
+  setPendingItems({ [SESSION_KEYS.BACKGROUND]: sessions });
+}
+
+/**
+ * Records the time of every background session since it was last recorded.
+ * @private
+ * @param {Object<string, {tabId: number, startTime: number, log: Object}>} sessions - The sessions.
+ * @returns {Array<string>} The IDs of the sites time was recorded for.
+ */
+function _recordBackgroundSlices(sessions) {
+  const now = Date.now();
+  const recorded = [];
+  const nextSessions = {};
+
+  for (const [siteId, session] of Object.entries(sessions)) {
+    const elapsedMs = now - session.startTime;
+    if (elapsedMs <= 0) {
+      nextSessions[siteId] = session;
+      continue;
+    }
+
+    const seconds = Math.round(elapsedMs / 1000);
+    _recordUsage(siteId, seconds, false);
+    recorded.push(siteId);
+    nextSessions[siteId] = {
+      ...session,
+      startTime: now,
+      log: _logTime({ ...session, siteId }, seconds, now, true),
+    };
+  }
+
+  if (recorded.length > 0) {
+    _setBackgroundSessions(nextSessions);
+  }
+  return recorded;
+}
+
+/**
+ * Gets the background sessions that are currently running.
+ * @returns {Promise<Object<string, {tabId: number, startTime: number, log: Object}>>} Sessions keyed by
+ *          site ID, or an empty object if none are running or an error occurs.
+ */
+export async function getBackgroundSessions() {
+  return { ...(await _getBackgroundSessionsState()) };
+}
+
+/**
+ * Makes the background sessions match the tabs that should be counted right now.
+ * Sessions that are no longer wanted record their last time slice and end; new ones
+ * start counting from now. Background sessions never count an open, the visit was
+ * counted when the tab was in front.
+ * @param {Array<{siteId: string, tabId: number, url: string}>} entries - One entry per
+ *        site to count.
+ * @returns {Promise<Object<string, {tabId: number, startTime: number, log: Object}>>} The running sessions.
+ */
+export async function syncBackgroundSessions(entries) {
+  const sessions = await _getBackgroundSessionsState();
+  const wanted = new Map(entries.map((entry) => [entry.siteId, entry]));
+  const now = Date.now();
+  const nextSessions = {};
+  let changed = false;
+
+  for (const [siteId, session] of Object.entries(sessions)) {
+    if (wanted.has(siteId)) {
+      const { tabId } = wanted.get(siteId);
+      nextSessions[siteId] = { ...session, tabId };
+      changed = changed || session.tabId !== tabId;
+      continue;
+    }
+
+    const elapsedMs = now - session.startTime;
+    const seconds = elapsedMs > 0 ? Math.round(elapsedMs / 1000) : 0;
+    if (seconds > 0) {
+      _recordUsage(siteId, seconds, false);
+    }
+    endLogEntry(
+      _logTime({ ...session, siteId }, seconds, now, true),
+      SESSION_END_REASONS.BACKGROUND_ENDED
+    );
+    changed = true;
+    console.log(`[UsageRecorder] Stopped background tracking: ${siteId}`);
+  }
+
+  for (const [siteId, { tabId, url }] of wanted) {
+    if (!nextSessions[siteId]) {
+      const log = createLogEntry({
+        siteId,
+        tabId,
+        url,
+        day: getDayKey(),
+        startTime: now,
+        background: true,
+      });
+      queueLogEntry(log);
+      nextSessions[siteId] = { tabId, startTime: now, log };
+      changed = true;
+      console.log(
+        `[UsageRecorder] Started background tracking: ${siteId} in tab ${tabId}`
+      );
+    }
+  }
+
+  if (changed) {
+    _setBackgroundSessions(nextSessions);
+    await _flushIfDue();
+  }
+  return { ...nextSessions };
+}
+
+/**
+ * Records the time slice of every background session (called by alarm, like updateUsage).
+ * @returns {Promise<Object<string, number>>} The total time spent today (in seconds) per
+ *          site that was updated.
+ */
+export async function updateBackgroundUsage() {
+  const recorded = _recordBackgroundSlices(await _getBackgroundSessionsState());
+  if (recorded.length === 0) {
+    return {};
+  }
+
+  await _flushIfDue();
+  const dailyStats = await getUsageStats(getDayKey());
+  const totals = {};
+  for (const siteId of recorded) {
+    totals[siteId] = dailyStats[siteId]
+      ? dailyStats[siteId].timeSpentSeconds
+      : 0;
   }
+  return totals;
 }
@@ -1,11 +1,107 @@
 /**
  * @file usage_storage.js
  * @description Manages CRUD operations for usage statistics in browser.storage.local.
+ *
+ * Usage recorded while a site is open is not written on every tick. It is buffered in
+ * memory as pending usage (see addPendingUsage) and written in one go by
+ * flushPendingUsage. getUsageStats and getCombinedUsageStats include the pending usage,
+ * so readers in the background script always see up-to-date totals. Code that reads the
+ * usage keys from storage directly has to flush first.
+ *
+ * Each site's daily stats are `{timeSpentSeconds, opens, lastOpenAt}`, where `lastOpenAt`
+ * is the time of the site's latest open that day in ms (see open_cooldown.js); days
+ * without opens have none.
+ */
+
+/**
+ * Storage key holding today's usage summed over the other synced devices, as
+ * `{date: "YYYY-MM-DD", stats: {siteId: {timeSpentSeconds, opens}}}`.
+ * Written by sync_manager.js when usage is synced across devices.
+ * @type {string}
+ */
+export const REMOTE_USAGE_KEY = 'remoteUsageStats';
+
+// Usage recorded since the last flush: { [dateString]: { [siteId]: {timeSpentSeconds, opens, lastOpenAt} } }
+let _pendingUsage = {};
+// Usage taken from the pending usage by the flush that is writing it, until the write completes
+let _writingUsage = {};
+// Storage items to write together with the pending usage (see setPendingItems)
+let _pendingItems = {};
+// Flushes run one after another so they never write the same usage twice
+let _flushQueue = Promise.resolve(true);
+
+/**
+ * Returns the later of two last-open times as a field to spread into usage, or no
+ * field when neither is set.
+ * @private
+ */
+function _latestOpen(a, b) {
+  const lastOpenAt = Math.max(a || 0, b || 0);
+  return lastOpenAt > 0 ? { lastOpenAt } : {};
+}
+
+/**
+ * Adds usage deltas to usage statistics.
+ * @private
+ * @param {Object} stats - Usage statistics keyed by site ID.
+ * @param {Object} deltas - The usage to add, keyed by site ID.
+ * @returns {Object} A new object with the deltas added.
+ */
+function _addUsage(stats, deltas) {
+  const result = { ...stats };
+  for (const [siteId, delta] of Object.entries(deltas)) {
+    const current = result[siteId] || { timeSpentSeconds: 0, opens: 0 };
+    result[siteId] = {
+      ...current,
+      timeSpentSeconds: current.timeSpentSeconds + delta.timeSpentSeconds,
+      opens: current.opens + delta.opens,
+      ..._latestOpen(current.lastOpenAt, delta.lastOpenAt),
+    };
+  }
+  return result;
+}
+
+/**
+ * Adds the pending usage of a date, including usage that is being written, to usage
+ * statistics read from storage.
+ * @private
+ * @param {string} dateString - The date the statistics belong to, in "YYYY-MM-DD" format.
+ * @param {Object} storedStats - The statistics as stored, keyed by site ID.
+ * @returns {Object} The statistics with the pending usage included.
  */
+function _withPendingUsage(dateString, storedStats) {
+  let stats = storedStats;
+  for (const usage of [_writingUsage, _pendingUsage]) {
+    if (usage[dateString]) {
+      stats = _addUsage(stats, usage[dateString]);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Merges usage deltas into the pending usage.
+ * @private
+ * @param {Object} usage - Deltas keyed by date and site ID, like the pending usage.
+ */
+function _mergePendingUsage(usage) {
+  for (const [dateString, sites] of Object.entries(usage)) {
+    for (const [siteId, delta] of Object.entries(sites)) {
+      addPendingUsage(
+        dateString,
+        siteId,
+        delta.timeSpentSeconds,
+        delta.opens,
+        delta.lastOpenAt
+      );
+    }
+  }
+}
 
 /**
  * Retrieves usage statistics for a specific date from storage.
  * The date string is used to form a unique key for daily stats.
+ * Usage that is still pending is included.
  *
  * @async
  * @function getUsageStats
@@ -23,13 +119,101 @@ export async function getUsageStats(dateString) {
   const key = `usageStats-${dateString}`;
   try {
     const result = await browser.storage.local.get(key);
-    return result[key] || {};
+    return _withPendingUsage(dateString, result[key] || {});
   } catch (error) {
     console.error(`Error getting usage stats for date ${dateString}:`, error);
     return {};
   }
 }
 
+/**
+ * Retrieves the usage statistics of several dates in one storage read.
+ * Usage that is still pending is included.
+ *
+ * @async
+ * @function getUsageStatsForDates
+ * @param {Array<string>} dateStrings - The dates, in "YYYY-MM-DD" format.
+ * @returns {Promise<Object<string, Object>>} A promise that resolves to the statistics keyed by
+ *                                            date; dates without usage get an empty object.
+ *                                            Returns an empty object if an error occurs.
+ */
+export async function getUsageStatsForDates(dateStrings) {
+  if (!Array.isArray(dateStrings)) {
+    console.error(
+      'Error: dateStrings parameter must be an array for getUsageStatsForDates.'
+    );
+    return {};
+  }
+  if (dateStrings.length === 0) {
+    return {};
+  }
+  try {
+    const result = await browser.storage.local.get(
+      dateStrings.map((dateString) => `usageStats-${dateString}`)
+    );
+    const statsByDate = {};
+    for (const dateString of dateStrings) {
+      statsByDate[dateString] = _withPendingUsage(
+        dateString,
+        result[`usageStats-${dateString}`] || {}
+      );
+    }
+    return statsByDate;
+  } catch (error) {
+    console.error('Error getting usage stats for several dates:', error);
+    return {};
+  }
+}
+
+/**
+ * Retrieves the usage statistics limits are enforced against: this device's usage (pending
+ * usage included) plus,
+ * when usage is synced across devices, the usage other devices reported for the same date.
+ * Only use this for reading; usage is always recorded with updateUsageStats for this
+ * device alone.
+ *
+ * @async
+ * @function getCombinedUsageStats
+ * @param {string} dateString - The date for which to retrieve stats, in "YYYY-MM-DD" format.
+ * @returns {Promise<Object>} A promise that resolves to the combined usage statistics.
+ *                            Returns an empty object if no stats are found or an error occurs.
+ */
+export async function getCombinedUsageStats(dateString) {
+  if (!dateString || typeof dateString !== 'string') {
+    console.error(
+      'Error: dateString parameter is required and must be a string for getCombinedUsageStats.'
+    );
+    return {};
+  }
+  const key = `usageStats-${dateString}`;
+  try {
+    const result = await browser.storage.local.get([key, REMOTE_USAGE_KEY]);
+    const combined = {};
+    const local = _withPendingUsage(dateString, result[key] || {});
+    for (const [siteId, usage] of Object.entries(local)) {
+      combined[siteId] = { ...usage };
+    }
+    const remote = result[REMOTE_USAGE_KEY];
+    if (remote && remote.date === dateString) {
+      for (const [siteId, usage] of Object.entries(remote.stats || {})) {
+        const local = combined[siteId] || { timeSpentSeconds: 0, opens: 0 };
+        combined[siteId] = {
+          ...local,
+          timeSpentSeconds: local.timeSpentSeconds + usage.timeSpentSeconds,
+          opens: local.opens + usage.opens,
+        };
+      }
+    }
+    return combined;
+  } catch (error) {
+    console.error(
+      `Error getting combined usage stats for date ${dateString}:`,
+      error
+    );
+    return {};
+  }
+}
+
 /**
  * Updates (or creates) usage data for a specific site on a specific date.
  *
@@ -62,7 +246,9 @@ export async function updateUsageStats(dateString, siteId, usageData) {
 
   const key = `usageStats-${dateString}`;
   try {
-    const dailyStats = await getUsageStats(dateString);
+    // The stored stats, without pending usage, which is added when it is flushed
+    const result = await browser.storage.local.get(key);
+    const dailyStats = result[key] || {};
     dailyStats[siteId] = usageData;
     await browser.storage.local.set({ [key]: dailyStats });
     return true;
@@ -74,3 +260,98 @@ export async function updateUsageStats(dateString, siteId, usageData) {
     return false;
   }
 }
+
+/**
+ * Buffers usage in memory until the next flushPendingUsage. The pending usage is
+ * included by getUsageStats and getCombinedUsageStats right away.
+ *
+ * @function addPendingUsage
+ * @param {string} dateString - The date the usage belongs to, in "YYYY-MM-DD" format.
+ * @param {string} siteId - The ID of the site the usage belongs to.
+ * @param {number} timeSpentSeconds - The time to add, in seconds. Can be 0.
+ * @param {number} [opens=0] - The number of opens to add.
+ * @param {number} [openedAt] - When the site was opened, in ms, kept as `lastOpenAt`.
+ */
+export function addPendingUsage(
+  dateString,
+  siteId,
+  timeSpentSeconds,
+  opens = 0,
+  openedAt
+) {
+  if (!_pendingUsage[dateString]) {
+    _pendingUsage[dateString] = {};
+  }
+  const pending = _pendingUsage[dateString][siteId] || {
+    timeSpentSeconds: 0,
+    opens: 0,
+  };
+  _pendingUsage[dateString][siteId] = {
+    timeSpentSeconds: pending.timeSpentSeconds + timeSpentSeconds,
+    opens: pending.opens + opens,
+    ..._latestOpen(pending.lastOpenAt, openedAt),
+  };
+}
+
+/**
+ * Sets storage items that have to be written in the same storage call as the pending
+ * usage. The usage recorder uses this for the point up to which a session's time has
+ * been recorded, so that after a crash the stored usage and the stored session always
+ * agree and no time is counted twice. Later values replace earlier ones.
+ *
+ * @function setPendingItems
+ * @param {Object} items - Storage items, keyed by storage key.
+ */
+export function setPendingItems(items) {
+  _pendingItems = { ..._pendingItems, ...items };
+}
+
+/**
+ * Writes the pending usage, together with the pending items, to storage. Does nothing
+ * when nothing is pending. Readers keep counting the usage until the write completes.
+ * If the write fails, the usage stays pending for the next flush.
+ *
+ * @async
+ * @function flushPendingUsage
+ * @returns {Promise<boolean>} A promise that resolves to true on success, false on failure.
+ */
+export function flushPendingUsage() {
+  _flushQueue = _flushQueue.then(_writePendingUsage);
+  return _flushQueue;
+}
+
+/**
+ * Performs one flush of the pending usage (see flushPendingUsage).
+ * @private
+ * @returns {Promise<boolean>} True on success (or nothing to write), false on failure.
+ */
+async function _writePendingUsage() {
+  const usage = _pendingUsage;
+  const items = _pendingItems;
+  const dates = Object.keys(usage);
+  if (dates.length === 0 && Object.keys(items).length === 0) {
+    return true;
+  }
+  _writingUsage = usage;
+  _pendingUsage = {};
+  _pendingItems = {};
+
+  try {
+    const keys = dates.map((dateString) => `usageStats-${dateString}`);
+    const stored = keys.length > 0 ? await browser.storage.local.get(keys) : {};
+    const toWrite = { ...items };
+    for (const dateString of dates) {
+      const key = `usageStats-${dateString}`;
+      toWrite[key] = _addUsage(stored[key] || {}, usage[dateString]);
+    }
+    await browser.storage.local.set(toWrite);
+    return true;
+  } catch (error) {
+    console.error('Error flushing pending usage stats:', error);
+    _mergePendingUsage(usage);
+    _pendingItems = { ...items, ..._pendingItems };
+    return false;
+  } finally {
+    _writingUsage = {};
+  }
+}
@@ -11,6 +11,14 @@
  * - Improved user feedback with meaningful error messages
  */
 
+import {
+  isRegexPattern,
+  normalizeUrlPattern,
+  parseKeywordPattern,
+  usesTabTitle,
+} from './url_matcher.js';
+import { parseTimeOfDay } from './site_schedule.js';
+
 /**
  * Error types for categorizing different kinds of validation failures
  */
@@ -20,9 +28,12 @@ export const ERROR_TYPES = {
   NETWORK: 'NETWORK_ERROR',
   EXTENSION_CONTEXT: 'EXTENSION_CONTEXT_ERROR',
   BROWSER_API: 'BROWSER_API_ERROR',
+  PIN_REQUIRED: 'PIN_REQUIRED_ERROR', // The change needs the PIN (see pin_lock.js)
   UNKNOWN: 'UNKNOWN_ERROR',
 };
 
+const MINUTES_IN_DAY = 24 * 60;
+
 /**
  * Storage quota limits for different types of data
  */
@@ -33,11 +44,83 @@ const STORAGE_LIMITS = {
   MAX_NOTE_LENGTH: 1000,
   MAX_DAILY_LIMIT_SECONDS: 86400, // 24 hours
   MAX_DAILY_OPEN_LIMIT: 1000, // Maximum opens per day
+  MAX_EXCLUDED_PATTERNS: 50, // Maximum exception rules per site
+  MAX_ALLOWLIST_PATTERNS: 200, // Sites reachable in allowlist mode
+  MAX_SCHEDULE_RULES: 20, // Maximum schedule windows per site
+  MAX_GROUPS: 50, // Maximum site groups
+  MAX_GROUP_NAME_LENGTH: 50,
+  MIN_HISTORY_RETENTION_DAYS: 14, // Enough for a week-over-week comparison
+  MAX_HISTORY_RETENTION_DAYS: 365,
+  MAX_OVERRIDE_MINUTES: 30,
+  MAX_OVERRIDES_PER_DAY: 10,
+  MIN_OVERRIDE_COUNTDOWN_SECONDS: 5,
+  MAX_OVERRIDE_COUNTDOWN_SECONDS: 300,
+  MAX_FOCUS_MINUTES: 240,
+  MAX_FOCUS_BREAK_MINUTES: 60,
+  MAX_FOCUS_CYCLES: 12,
+  MIN_IDLE_THRESHOLD_SECONDS: 15, // The shortest interval browser.idle accepts
+  MAX_IDLE_THRESHOLD_SECONDS: 3600,
+  MAX_PERIOD_OPEN_LIMIT: 10000, // Maximum opens per week or month
+  MAX_WEEKLY_REDUCTION_PERCENT: 50, // Fastest pace of a reduction plan
+  MAX_WARNING_THRESHOLDS: 10, // Warnings per site per day
+  MAX_ENFORCEMENT_STEPS: 4, // Escalation steps per site
+  MAX_STRICT_COOLDOWN_HOURS: 168, // A week
+  MAX_OPEN_COOLDOWN_SECONDS: 86400, // Once a day
+  MIN_PIN_LENGTH: 4,
+  MAX_PIN_LENGTH: 64,
+  MIN_KEYWORD_LENGTH: 2, // Shorter keywords would match nearly every page
+};
+
+/**
+ * Weekly and monthly budget fields of a site, with the most time each can hold
+ * (a whole week, or the longest month).
+ */
+const PERIOD_BUDGET_FIELDS = {
+  weeklyLimitSeconds: { maxSeconds: 7 * 86400, label: 'Weekly time budget' },
+  weeklyOpenLimit: { label: 'Weekly open budget' },
+  monthlyLimitSeconds: { maxSeconds: 31 * 86400, label: 'Monthly time budget' },
+  monthlyOpenLimit: { label: 'Monthly open budget' },
+};
+
+/**
+ * Rollover policy fields of a site (see rollover_bank.js), with their allowed range.
+ * 0 turns rollover off, except for the expiry, which falls back to its default.
+ */
+const ROLLOVER_FIELDS = {
+  rolloverPercent: { max: 100, label: 'Rollover percentage', maxText: '100%' },
+  rolloverCapSeconds: {
+    max: 86400,
+    label: 'Rollover cap',
+    maxText: '24 hours',
+  },
+  rolloverExpiryDays: { max: 30, label: 'Rollover expiry', maxText: '30 days' },
 };
 
+/** Corners the countdown overlay can sit in (see overlay_manager.js). */
+export const OVERLAY_POSITIONS = [
+  'top-left',
+  'top-right',
+  'bottom-left',
+  'bottom-right',
+];
+
+/**
+ * What happens on a site once its limit is used up (see enforcement_modes.js): a hard
+ * block sends the tab to the timeout page, the others only make the page less pleasant.
+ */
+export const ENFORCEMENT_MODES = ['block', 'grayscale', 'blur', 'delay'];
+
+/** Kinds of friction an override can ask for (see override_manager.js). */
+const OVERRIDE_FRICTION_TYPES = ['none', 'countdown', 'sentence', 'arithmetic'];
+
+/** When strict mode lets a loosening change take effect (see strict_mode.js). */
+export const STRICT_MODE_DELAYS = ['nextDay', 'cooldown'];
+
 /**
  * Validates a URL pattern for distracting sites.
- * Provides more robust URL validation than basic checks.
+ * Understands the full url_matcher syntax: plain hosts, `=exact.host`,
+ * `*` globs in host and path, path prefixes, `/regex/flags` patterns and
+ * `keyword:`, `query:` and `title:` keyword rules.
  *
  * @param {string} urlPattern - The URL pattern to validate
  * @returns {Object} Validation result
@@ -72,14 +155,65 @@ export function validateUrlPattern(urlPattern) {
     };
   }
 
-  // Remove protocol if present for normalization
-  let normalized = trimmed.toLowerCase();
-  normalized = normalized.replace(/^https?:\/\//, '');
-  normalized = normalized.replace(/^www\./, '');
+  // Regex patterns are kept verbatim but must compile
+  if (isRegexPattern(trimmed)) {
+    const [, source, flags] = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      return {
+        isValid: false,
+        error: `Invalid regular expression: ${error.message}`,
+        normalizedPattern: null,
+      };
+    }
+    return {
+      isValid: true,
+      error: null,
+      normalizedPattern: trimmed,
+    };
+  }
 
-  // Basic hostname validation
-  const hostnameRegex = /^[a-z0-9.-]+[a-z0-9]$/;
-  if (!hostnameRegex.test(normalized.split('/')[0])) {
+  // Keyword rules need keywords long enough not to match nearly everything
+  const keywordRule = parseKeywordPattern(trimmed);
+  if (keywordRule) {
+    if (
+      keywordRule.keywords.length === 0 ||
+      keywordRule.keywords.some(
+        (keyword) => keyword.length < STORAGE_LIMITS.MIN_KEYWORD_LENGTH
+      )
+    ) {
+      return {
+        isValid: false,
+        error: `Keywords need at least ${STORAGE_LIMITS.MIN_KEYWORD_LENGTH} characters (e.g., ${keywordRule.target}:shorts)`,
+        normalizedPattern: null,
+      };
+    }
+    return {
+      isValid: true,
+      error: null,
+      normalizedPattern: normalizeUrlPattern(trimmed),
+    };
+  }
+
+  // Remove protocol and www. for normalization
+  const normalized = normalizeUrlPattern(trimmed);
+  const withoutExactMarker = normalized.replace(/^=/, '');
+  const slashIndex = withoutExactMarker.indexOf('/');
+  const hostPart =
+    slashIndex === -1
+      ? withoutExactMarker
+      : withoutExactMarker.slice(0, slashIndex);
+  const pathPart =
+    slashIndex === -1 ? '' : withoutExactMarker.slice(slashIndex);
+
+  // Hostname validation; `*` globs are allowed but the host must not be all wildcards
+  const hostnameRegex = /^[a-z0-9*.-]*[a-z0-9*]$/;
+  if (
+    !hostnameRegex.test(hostPart) ||
+    !/[a-z0-9]/.test(hostPart) ||
+    /\s/.test(pathPart)
+  ) {
     return {
       isValid: false,
       error:
@@ -113,6 +247,177 @@ export function validateUrlPattern(urlPattern) {
   };
 }
 
+/**
+ * Validates a list of URL patterns, dropping blank entries and duplicates. Title rules
+ * are refused: lists are checked before a page's title is known.
+ * @private
+ * @param {Array<string>} patterns - The URL patterns
+ * @param {number} maxPatterns - How many patterns the list may hold
+ * @param {{notArray: string, tooMany: string, entry: string}} wording - The errors for a
+ *        non-list and for too many patterns, and what one entry is called, e.g. "exception"
+ * @returns {{isValid: boolean, error: string|null, normalizedPatterns: Array<string>|null}}
+ */
+function _validatePatternList(patterns, maxPatterns, wording) {
+  if (!Array.isArray(patterns)) {
+    return {
+      isValid: false,
+      error: wording.notArray,
+      normalizedPatterns: null,
+    };
+  }
+
+  const nonEmpty = patterns.filter(
+    (pattern) => typeof pattern === 'string' && pattern.trim().length > 0
+  );
+  if (nonEmpty.length > maxPatterns) {
+    return {
+      isValid: false,
+      error: wording.tooMany,
+      normalizedPatterns: null,
+    };
+  }
+
+  const normalizedPatterns = [];
+  for (const pattern of nonEmpty) {
+    const validation = validateUrlPattern(pattern);
+    if (!validation.isValid) {
+      return {
+        isValid: false,
+        error: `Invalid ${wording.entry} '${pattern.trim()}': ${validation.error}`,
+        normalizedPatterns: null,
+      };
+    }
+    if (usesTabTitle(validation.normalizedPattern)) {
+      return {
+        isValid: false,
+        error: `Invalid ${wording.entry} '${pattern.trim()}': title rules can only be a site's own pattern`,
+        normalizedPatterns: null,
+      };
+    }
+    if (!normalizedPatterns.includes(validation.normalizedPattern)) {
+      normalizedPatterns.push(validation.normalizedPattern);
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalizedPatterns,
+  };
+}
+
+/**
+ * Validates the exception rules of a site ("block reddit.com except reddit.com/r/programming").
+ * Each entry uses the same syntax as a URL pattern; blank entries and duplicates are dropped.
+ *
+ * @param {Array<string>} patterns - The excluded URL patterns
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether all patterns are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {Array<string>} returns.normalizedPatterns - Normalized patterns if valid
+ */
+export function validateExcludedPatterns(patterns) {
+  return _validatePatternList(patterns, STORAGE_LIMITS.MAX_EXCLUDED_PATTERNS, {
+    notArray: 'Excluded patterns must be an array',
+    tooMany: `Too many exceptions (max ${STORAGE_LIMITS.MAX_EXCLUDED_PATTERNS} per site)`,
+    entry: 'exception',
+  });
+}
+
+/**
+ * Validates the sites that stay reachable in allowlist mode (see allowlist_mode.js).
+ * Entries use the URL pattern syntax; blank entries and duplicates are dropped.
+ *
+ * @param {Array<string>} patterns - The allowed URL patterns
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether all patterns are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {Array<string>} returns.normalizedPatterns - Normalized patterns if valid
+ */
+export function validateAllowlistPatterns(patterns) {
+  return _validatePatternList(patterns, STORAGE_LIMITS.MAX_ALLOWLIST_PATTERNS, {
+    notArray: 'The allowlist must be a list of URL patterns',
+    tooMany: `Too many allowed sites (max ${STORAGE_LIMITS.MAX_ALLOWLIST_PATTERNS})`,
+    entry: 'allowed site',
+  });
+}
+
+/**
+ * Parses a limit warning threshold (see limit_warnings.js): "50%" warns once half of the
+ * daily time limit is used, "5m" once 5 minutes of it are left.
+ *
+ * @param {string} threshold - The threshold.
+ * @returns {{kind: 'percent'|'minutesLeft', value: number}|null} The parsed threshold,
+ *          or null if it is not a percentage of 1–99 or a number of minutes of 1–1440.
+ */
+export function parseWarningThreshold(threshold) {
+  if (typeof threshold !== 'string') {
+    return null;
+  }
+  const match = threshold
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*(%|m)$/);
+  if (!match) {
+    return null;
+  }
+  const value = parseInt(match[1], 10);
+  if (match[2] === '%') {
+    return value >= 1 && value <= 99 ? { kind: 'percent', value } : null;
+  }
+  return value >= 1 && value <= MINUTES_IN_DAY
+    ? { kind: 'minutesLeft', value }
+    : null;
+}
+
+/**
+ * Validates a list of limit warning thresholds. Entries are normalized to "50%" or "5m";
+ * blank entries and duplicates are dropped. An empty list means no warnings.
+ *
+ * @param {Array<string>} thresholds - The thresholds
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether all thresholds are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {Array<string>} returns.normalizedThresholds - Normalized thresholds if valid
+ */
+export function validateWarningThresholds(thresholds) {
+  if (!Array.isArray(thresholds)) {
+    return {
+      isValid: false,
+      error: 'Warning thresholds must be an array',
+      normalizedThresholds: null,
+    };
+  }
+
+  const normalizedThresholds = [];
+  for (const threshold of thresholds) {
+    if (typeof threshold === 'string' && threshold.trim() === '') {
+      continue;
+    }
+    const parsed = parseWarningThreshold(threshold);
+    if (!parsed) {
+      return {
+        isValid: false,
+        error: `Invalid warning '${String(threshold).trim()}': use a percentage such as 50% or minutes left such as 5m`,
+        normalizedThresholds: null,
+      };
+    }
+    const normalized = `${parsed.value}${parsed.kind === 'percent' ? '%' : 'm'}`;
+    if (!normalizedThresholds.includes(normalized)) {
+      normalizedThresholds.push(normalized);
+    }
+  }
+  if (normalizedThresholds.length > STORAGE_LIMITS.MAX_WARNING_THRESHOLDS) {
+    return {
+      isValid: false,
+      error: `Too many warnings (max ${STORAGE_LIMITS.MAX_WARNING_THRESHOLDS})`,
+      normalizedThresholds: null,
+    };
+  }
+
+  return { isValid: true, error: null, normalizedThresholds };
+}
+
 /**
  * Validates a daily time limit in seconds.
  *
@@ -200,10 +505,36 @@ export function validateNoteText(noteText) {
   };
 }
 
+/**
+ * Validates a new PIN or passphrase. It is kept as entered, spaces included.
+ *
+ * @param {string} pin - The PIN to validate
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the PIN can be used
+ * @returns {string} returns.error - Error message if invalid
+ */
+export function validatePin(pin) {
+  if (typeof pin !== 'string') {
+    return { isValid: false, error: 'PIN must be a string' };
+  }
+
+  if (
+    pin.length < STORAGE_LIMITS.MIN_PIN_LENGTH ||
+    pin.length > STORAGE_LIMITS.MAX_PIN_LENGTH
+  ) {
+    return {
+      isValid: false,
+      error: `PIN must be ${STORAGE_LIMITS.MIN_PIN_LENGTH} to ${STORAGE_LIMITS.MAX_PIN_LENGTH} characters long`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validates storage limits to prevent quota exceeded errors.
  *
- * @param {string} dataType - Type of data ('sites' or 'notes')
+ * @param {string} dataType - Type of data ('sites', 'notes' or 'groups')
  * @param {number} currentCount - Current count of items
  * @returns {Object} Validation result
  * @returns {boolean} returns.isValid - Whether adding more items is allowed
@@ -213,6 +544,7 @@ export function validateStorageLimits(dataType, currentCount) {
   const limits = {
     sites: STORAGE_LIMITS.MAX_SITES,
     notes: STORAGE_LIMITS.MAX_NOTES,
+    groups: STORAGE_LIMITS.MAX_GROUPS,
   };
 
   const maxLimit = limits[dataType];
@@ -462,6 +794,686 @@ export function validateDailyOpenLimit(limitOpens) {
   };
 }
 
+/**
+ * Validates the weekly and monthly budgets of a site (`weeklyLimitSeconds`,
+ * `weeklyOpenLimit`, `monthlyLimitSeconds`, `monthlyOpenLimit`). Only the fields present
+ * are checked. 0 or null means "no budget" and is allowed, so updates can clear a budget.
+ *
+ * @param {Object} siteData - A site object or a site update
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the budgets are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The invalid field, if any
+ */
+export function validatePeriodBudgets(siteData) {
+  for (const [field, { maxSeconds, label }] of Object.entries(
+    PERIOD_BUDGET_FIELDS
+  )) {
+    const value = siteData[field];
+    if (value === undefined || value === null || value === 0) {
+      continue;
+    }
+
+    const invalid = (error) => ({ isValid: false, error, field });
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+      return invalid(`${label} must be a whole number of at least 0`);
+    }
+    if (maxSeconds && value > maxSeconds) {
+      return invalid(
+        `${label} cannot exceed ${Math.round(maxSeconds / 3600)} hours`
+      );
+    }
+    if (!maxSeconds && value > STORAGE_LIMITS.MAX_PERIOD_OPEN_LIMIT) {
+      return invalid(
+        `${label} cannot exceed ${STORAGE_LIMITS.MAX_PERIOD_OPEN_LIMIT} opens`
+      );
+    }
+  }
+
+  return { isValid: true, error: null, field: null };
+}
+
+/**
+ * Validates the rollover policy of a site (`rolloverPercent`, `rolloverCapSeconds`,
+ * `rolloverExpiryDays`). Only the fields present are checked. 0 or null is allowed, so
+ * updates can turn rollover off.
+ *
+ * @param {Object} siteData - A site object or a site update
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the policy is valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The invalid field, if any
+ */
+export function validateRolloverPolicy(siteData) {
+  for (const [field, { max, label, maxText }] of Object.entries(
+    ROLLOVER_FIELDS
+  )) {
+    const value = siteData[field];
+    if (value === undefined || value === null || value === 0) {
+      continue;
+    }
+
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+      return {
+        isValid: false,
+        error: `${label} must be a whole number of at least 0`,
+        field,
+      };
+    }
+    if (value > max) {
+      return {
+        isValid: false,
+        error: `${label} cannot exceed ${maxText}`,
+        field,
+      };
+    }
+  }
+
+  return { isValid: true, error: null, field: null };
+}
+
+/**
+ * Validates the cooldown between opens of a site (`openCooldownSeconds`, see
+ * open_cooldown.js). 0 or null is allowed, so updates can turn the cooldown off.
+ *
+ * @param {Object} siteData - A site object or a site update
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the cooldown is valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The invalid field, if any
+ */
+export function validateOpenCooldown(siteData) {
+  const value = siteData.openCooldownSeconds;
+  if (value === undefined || value === null || value === 0) {
+    return { isValid: true, error: null, field: null };
+  }
+
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+    return {
+      isValid: false,
+      error: 'Cooldown between opens must be a whole number of at least 0',
+      field: 'openCooldownSeconds',
+    };
+  }
+  if (value > STORAGE_LIMITS.MAX_OPEN_COOLDOWN_SECONDS) {
+    return {
+      isValid: false,
+      error: 'Cooldown between opens cannot exceed 24 hours',
+      field: 'openCooldownSeconds',
+    };
+  }
+
+  return { isValid: true, error: null, field: null };
+}
+
+/**
+ * Validates the countdown overlay settings of a site (`showOverlay`, `overlayPosition`).
+ * Only the fields present are checked; a null position falls back to the default.
+ *
+ * @param {Object} siteData - A site object or a site update
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the settings are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The invalid field, if any
+ */
+export function validateOverlaySettings(siteData) {
+  if (
+    siteData.showOverlay !== undefined &&
+    typeof siteData.showOverlay !== 'boolean'
+  ) {
+    return {
+      isValid: false,
+      error: 'Showing the countdown overlay must be true or false',
+      field: 'showOverlay',
+    };
+  }
+  if (
+    siteData.overlayPosition !== undefined &&
+    siteData.overlayPosition !== null &&
+    !OVERLAY_POSITIONS.includes(siteData.overlayPosition)
+  ) {
+    return {
+      isValid: false,
+      error: `Overlay position must be one of: ${OVERLAY_POSITIONS.join(', ')}`,
+      field: 'overlayPosition',
+    };
+  }
+
+  return { isValid: true, error: null, field: null };
+}
+
+/**
+ * Validates the enforcement steps of a site: `[{mode, afterMinutes}]`, where each step
+ * takes over `afterMinutes` minutes past the limit. The first step starts at the limit,
+ * later steps must come later, and a hard block can only be the last step.
+ *
+ * @param {Array<Object>} steps - The steps to validate
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the steps are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {Array<Object>|null} returns.normalizedSteps - The steps with only their
+ *          known fields, or null if they amount to the default hard block
+ */
+export function validateEnforcementSteps(steps) {
+  const invalid = (error) => ({ isValid: false, error, normalizedSteps: null });
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return invalid('Enforcement must be a list of at least one step');
+  }
+  if (steps.length > STORAGE_LIMITS.MAX_ENFORCEMENT_STEPS) {
+    return invalid(
+      `Too many enforcement steps (max ${STORAGE_LIMITS.MAX_ENFORCEMENT_STEPS})`
+    );
+  }
+
+  const normalizedSteps = [];
+  for (const [index, step] of steps.entries()) {
+    if (!step || !ENFORCEMENT_MODES.includes(step.mode)) {
+      return invalid(
+        `Enforcement mode must be one of: ${ENFORCEMENT_MODES.join(', ')}`
+      );
+    }
+    const afterMinutes =
+      step.afterMinutes === undefined ? 0 : step.afterMinutes;
+    if (
+      !Number.isInteger(afterMinutes) ||
+      afterMinutes < 0 ||
+      afterMinutes > MINUTES_IN_DAY
+    ) {
+      return invalid(
+        'Enforcement steps start a whole number of minutes (up to 24 hours) past the limit'
+      );
+    }
+    if (index === 0 && afterMinutes !== 0) {
+      return invalid('The first enforcement step must start at the limit');
+    }
+    if (index > 0 && afterMinutes <= normalizedSteps[index - 1].afterMinutes) {
+      return invalid(
+        'Each enforcement step must start later than the one before'
+      );
+    }
+    if (index > 0 && normalizedSteps[index - 1].mode === 'block') {
+      return invalid('Nothing can follow a hard block');
+    }
+    normalizedSteps.push({ mode: step.mode, afterMinutes });
+  }
+
+  const isDefault =
+    normalizedSteps.length === 1 && normalizedSteps[0].mode === 'block';
+  return {
+    isValid: true,
+    error: null,
+    normalizedSteps: isDefault ? null : normalizedSteps,
+  };
+}
+
+/**
+ * Validates the options of a limit reduction plan (see reduction_plan.js): the daily
+ * time limit it starts from, the one it works towards (both in whole minutes) and the
+ * percentage it cuts the limit by each week.
+ *
+ * @param {Object} options - `{startLimitSeconds, targetLimitSeconds, weeklyReductionPercent}`
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the options are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The invalid field, if any
+ */
+export function validateReductionPlan(options) {
+  const { startLimitSeconds, targetLimitSeconds, weeklyReductionPercent } =
+    options || {};
+  const invalid = (error, field) => ({ isValid: false, error, field });
+
+  for (const [field, value, label] of [
+    ['startLimitSeconds', startLimitSeconds, 'Start limit'],
+    ['targetLimitSeconds', targetLimitSeconds, 'Target limit'],
+  ]) {
+    if (!Number.isInteger(value) || value <= 0 || value % 60 !== 0) {
+      return invalid(`${label} must be a whole number of minutes`, field);
+    }
+    if (value > STORAGE_LIMITS.MAX_DAILY_LIMIT_SECONDS) {
+      return invalid(`${label} cannot exceed 24 hours`, field);
+    }
+  }
+  if (targetLimitSeconds >= startLimitSeconds) {
+    return invalid(
+      'Target limit must be lower than the start limit',
+      'targetLimitSeconds'
+    );
+  }
+  if (
+    !Number.isInteger(weeklyReductionPercent) ||
+    weeklyReductionPercent < 1 ||
+    weeklyReductionPercent > STORAGE_LIMITS.MAX_WEEKLY_REDUCTION_PERCENT
+  ) {
+    return invalid(
+      `Weekly reduction must be between 1% and ${STORAGE_LIMITS.MAX_WEEKLY_REDUCTION_PERCENT}%`,
+      'weeklyReductionPercent'
+    );
+  }
+
+  return { isValid: true, error: null, field: null };
+}
+
+/**
+ * Validates a site schedule (list of time-of-day/weekday rules).
+ * Each rule is `{days, start, end, mode, dailyLimitSeconds?, dailyOpenLimit?}` where
+ * `days` holds weekday numbers (0 = Sunday), `start`/`end` are "HH:MM" strings and
+ * `mode` is 'block' (site unavailable) or 'limit' (rule limits replace the daily limits).
+ *
+ * @param {Array<Object>} schedule - The schedule rules to validate
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the schedule is valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {Array<Object>} returns.normalizedSchedule - Normalized rules if valid
+ */
+export function validateSchedule(schedule) {
+  if (!Array.isArray(schedule)) {
+    return {
+      isValid: false,
+      error: 'Schedule must be an array of rules',
+      normalizedSchedule: null,
+    };
+  }
+
+  if (schedule.length > STORAGE_LIMITS.MAX_SCHEDULE_RULES) {
+    return {
+      isValid: false,
+      error: `Too many schedule rules (max ${STORAGE_LIMITS.MAX_SCHEDULE_RULES} per site)`,
+      normalizedSchedule: null,
+    };
+  }
+
+  const normalizedSchedule = [];
+  for (let index = 0; index < schedule.length; index++) {
+    const rule = schedule[index];
+    const invalid = (message) => ({
+      isValid: false,
+      error: `Schedule rule ${index + 1}: ${message}`,
+      normalizedSchedule: null,
+    });
+
+    if (!rule || typeof rule !== 'object') {
+      return invalid('must be an object');
+    }
+
+    if (
+      !Array.isArray(rule.days) ||
+      rule.days.length === 0 ||
+      !rule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return invalid('days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const start = parseTimeOfDay(rule.start);
+    const end = parseTimeOfDay(rule.end);
+    if (start === null || end === null || start === MINUTES_IN_DAY) {
+      return invalid('start and end must be times in HH:MM format');
+    }
+    if (start === end) {
+      return invalid('start and end must differ (use 00:00–24:00 for all day)');
+    }
+
+    if (rule.mode !== 'block' && rule.mode !== 'limit') {
+      return invalid("mode must be 'block' or 'limit'");
+    }
+
+    const normalizedRule = {
+      days: [...new Set(rule.days)].sort((a, b) => a - b),
+      start: rule.start.trim().padStart(5, '0'),
+      end: rule.end.trim().padStart(5, '0'),
+      mode: rule.mode,
+    };
+
+    if (rule.mode === 'limit') {
+      if (rule.dailyLimitSeconds) {
+        const timeValidation = validateDailyTimeLimit(rule.dailyLimitSeconds);
+        if (!timeValidation.isValid) {
+          return invalid(timeValidation.error);
+        }
+        normalizedRule.dailyLimitSeconds = rule.dailyLimitSeconds;
+      }
+      if (rule.dailyOpenLimit) {
+        const openValidation = validateDailyOpenLimit(rule.dailyOpenLimit);
+        if (!openValidation.isValid) {
+          return invalid(openValidation.error);
+        }
+        normalizedRule.dailyOpenLimit = rule.dailyOpenLimit;
+      }
+    }
+
+    normalizedSchedule.push(normalizedRule);
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalizedSchedule,
+  };
+}
+
+/**
+ * Validates a site group. A group has a name and a shared daily budget that all
+ * member sites (sites whose `groupId` points at the group) draw from together.
+ *
+ * @param {Object} group - The group object to validate
+ * @param {string} group.name - Display name, e.g. "Social"
+ * @param {number} [group.dailyLimitSeconds] - Shared daily time budget
+ * @param {number} [group.dailyOpenLimit] - Shared daily open budget
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the group is valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The offending field if invalid
+ * @returns {Object} returns.sanitizedGroup - Sanitized group (without id) if valid
+ */
+export function validateSiteGroup(group) {
+  const invalid = (error, field) => ({
+    isValid: false,
+    error,
+    field,
+    sanitizedGroup: null,
+  });
+
+  if (!group || typeof group !== 'object') {
+    return invalid('Group must be an object', null);
+  }
+
+  if (typeof group.name !== 'string' || group.name.trim() === '') {
+    return invalid('Group name is required', 'name');
+  }
+  const name = group.name.trim();
+  if (name.length > STORAGE_LIMITS.MAX_GROUP_NAME_LENGTH) {
+    return invalid(
+      `Group name too long (max ${STORAGE_LIMITS.MAX_GROUP_NAME_LENGTH} characters)`,
+      'name'
+    );
+  }
+
+  const hasTimeLimit = Boolean(group.dailyLimitSeconds);
+  const hasOpenLimit = Boolean(group.dailyOpenLimit);
+  if (!hasTimeLimit && !hasOpenLimit) {
+    return invalid(
+      'At least one limit (time or opens) must be specified',
+      'dailyLimitSeconds'
+    );
+  }
+
+  const sanitizedGroup = { name };
+
+  if (hasTimeLimit) {
+    const timeValidation = validateDailyTimeLimit(group.dailyLimitSeconds);
+    if (!timeValidation.isValid) {
+      return invalid(timeValidation.error, 'dailyLimitSeconds');
+    }
+    sanitizedGroup.dailyLimitSeconds = group.dailyLimitSeconds;
+  }
+  if (hasOpenLimit) {
+    const openValidation = validateDailyOpenLimit(group.dailyOpenLimit);
+    if (!openValidation.isValid) {
+      return invalid(openValidation.error, 'dailyOpenLimit');
+    }
+    sanitizedGroup.dailyOpenLimit = group.dailyOpenLimit;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    field: null,
+    sanitizedGroup,
+  };
+}
+
+/**
+ * Validates updates to the extension-wide preferences (see settings_storage.js).
+ * Unknown keys are rejected so typos do not silently end up in storage.
+ *
+ * @param {Object} settings - The preferences to validate
+ * @param {number} [settings.historyRetentionDays] - Days of daily usage history to keep
+ * @param {number} [settings.dayStartHour] - The hour (0–23) a usage day starts at
+ * @param {boolean} [settings.syncEnabled] - Whether the configuration is synced
+ * @param {boolean} [settings.syncUsageAcrossDevices] - Whether usage is summed across devices
+ * @param {boolean} [settings.overridesEnabled] - Whether the timeout page offers overrides
+ * @param {number} [settings.overrideMinutes] - Minutes granted by a time override
+ * @param {number} [settings.overrideDailyLimit] - Overrides allowed per site per day
+ * @param {string} [settings.overrideFriction] - What an override asks for first
+ * @param {number} [settings.overrideCountdownSeconds] - Length of the countdown friction
+ * @param {number} [settings.focusMinutes] - Length of a focus period
+ * @param {number} [settings.focusBreakMinutes] - Length of the break between focus periods
+ * @param {number} [settings.focusCycles] - Focus periods per session
+ * @param {Array<string>} [settings.focusSiteIds] - Sites blocked during a focus session
+ * @param {boolean} [settings.idleDetectionEnabled] - Whether tracking pauses while idle
+ * @param {number} [settings.idleThresholdSeconds] - Inactivity before the user counts as idle
+ * @param {boolean} [settings.idleCountMedia] - Whether playing media keeps counting while idle
+ * @param {boolean} [settings.strictModeEnabled] - Whether loosening rules is delayed
+ * @param {string} [settings.strictModeDelay] - 'nextDay' or 'cooldown'
+ * @param {number} [settings.strictModeCooldownHours] - Length of the 'cooldown' delay
+ * @param {boolean} [settings.allowlistEnabled] - Whether allowlist mode is switched on
+ * @param {Array<string>} [settings.allowlistPatterns] - Sites reachable in allowlist mode
+ * @param {Array<Object>} [settings.allowlistSchedule] - When allowlist mode turns on by
+ *                                                       itself ('block' schedule rules)
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the preferences are valid
+ * @returns {string} returns.error - Error message if invalid
+ * @returns {string} returns.field - The offending field if invalid
+ * @returns {Object} returns.sanitizedSettings - Sanitized preferences if valid
+ */
+export function validateAppSettings(settings) {
+  const invalid = (error, field) => ({
+    isValid: false,
+    error,
+    field,
+    sanitizedSettings: null,
+  });
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return invalid('Settings must be an object', null);
+  }
+
+  const sanitizedSettings = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    switch (key) {
+      case 'historyRetentionDays': {
+        const min = STORAGE_LIMITS.MIN_HISTORY_RETENTION_DAYS;
+        const max = STORAGE_LIMITS.MAX_HISTORY_RETENTION_DAYS;
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return invalid(
+            `History retention must be a whole number of days between ${min} and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'dayStartHour':
+        if (!Number.isInteger(value) || value < 0 || value > 23) {
+          return invalid(
+            'The day must start at a whole hour between 0 and 23',
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      case 'syncEnabled':
+      case 'syncUsageAcrossDevices':
+      case 'overridesEnabled':
+      case 'idleDetectionEnabled':
+      case 'idleCountMedia':
+      case 'warningsEnabled':
+      case 'warnLastOpen':
+      case 'quietHoursEnabled':
+      case 'strictModeEnabled':
+      case 'allowlistEnabled':
+        if (typeof value !== 'boolean') {
+          return invalid(`${key} must be true or false`, key);
+        }
+        sanitizedSettings[key] = value;
+        break;
+      case 'overrideMinutes': {
+        const max = STORAGE_LIMITS.MAX_OVERRIDE_MINUTES;
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+          return invalid(
+            `Override length must be a whole number of minutes between 1 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'overrideDailyLimit': {
+        const max = STORAGE_LIMITS.MAX_OVERRIDES_PER_DAY;
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+          return invalid(
+            `Overrides per site per day must be a whole number between 1 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'overrideFriction':
+        if (!OVERRIDE_FRICTION_TYPES.includes(value)) {
+          return invalid(
+            `Override friction must be one of: ${OVERRIDE_FRICTION_TYPES.join(', ')}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      case 'overrideCountdownSeconds': {
+        const min = STORAGE_LIMITS.MIN_OVERRIDE_COUNTDOWN_SECONDS;
+        const max = STORAGE_LIMITS.MAX_OVERRIDE_COUNTDOWN_SECONDS;
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return invalid(
+            `Countdown must be a whole number of seconds between ${min} and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'focusMinutes': {
+        const max = STORAGE_LIMITS.MAX_FOCUS_MINUTES;
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+          return invalid(
+            `Focus length must be a whole number of minutes between 1 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'focusBreakMinutes': {
+        const max = STORAGE_LIMITS.MAX_FOCUS_BREAK_MINUTES;
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+          return invalid(
+            `Break length must be a whole number of minutes between 0 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'focusCycles': {
+        const max = STORAGE_LIMITS.MAX_FOCUS_CYCLES;
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+          return invalid(
+            `Focus cycles must be a whole number between 1 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'focusSiteIds':
+        if (
+          !Array.isArray(value) ||
+          value.length > STORAGE_LIMITS.MAX_SITES ||
+          !value.every((id) => typeof id === 'string' && id.length > 0)
+        ) {
+          return invalid('Focus sites must be a list of site IDs', key);
+        }
+        sanitizedSettings[key] = [...new Set(value)];
+        break;
+      case 'idleThresholdSeconds': {
+        const min = STORAGE_LIMITS.MIN_IDLE_THRESHOLD_SECONDS;
+        const max = STORAGE_LIMITS.MAX_IDLE_THRESHOLD_SECONDS;
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return invalid(
+            `Idle threshold must be a whole number of seconds between ${min} and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'warningThresholds': {
+        const result = validateWarningThresholds(value);
+        if (!result.isValid) {
+          return invalid(result.error, key);
+        }
+        sanitizedSettings[key] = result.normalizedThresholds;
+        break;
+      }
+      case 'quietHoursStart':
+      case 'quietHoursEnd':
+        if (parseTimeOfDay(value) === null || value.trim() === '24:00') {
+          return invalid('Quiet hours must be times of day such as 22:00', key);
+        }
+        sanitizedSettings[key] = value.trim().padStart(5, '0');
+        break;
+      case 'strictModeDelay':
+        if (!STRICT_MODE_DELAYS.includes(value)) {
+          return invalid(
+            `Strict mode delay must be one of: ${STRICT_MODE_DELAYS.join(', ')}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      case 'strictModeCooldownHours': {
+        const max = STORAGE_LIMITS.MAX_STRICT_COOLDOWN_HOURS;
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+          return invalid(
+            `Cooldown must be a whole number of hours between 1 and ${max}`,
+            key
+          );
+        }
+        sanitizedSettings[key] = value;
+        break;
+      }
+      case 'allowlistPatterns': {
+        const result = validateAllowlistPatterns(value);
+        if (!result.isValid) {
+          return invalid(result.error, key);
+        }
+        sanitizedSettings[key] = result.normalizedPatterns;
+        break;
+      }
+      case 'allowlistSchedule': {
+        // Windows are block rules: everything off the list is blocked during them
+        const result = validateSchedule(value);
+        if (!result.isValid) {
+          return invalid(result.error, key);
+        }
+        if (result.normalizedSchedule.some((rule) => rule.mode !== 'block')) {
+          return invalid("Allowlist windows can't use limits", key);
+        }
+        sanitizedSettings[key] = result.normalizedSchedule;
+        break;
+      }
+      default:
+        return invalid(`Unknown setting: ${key}`, key);
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    field: null,
+    sanitizedSettings,
+  };
+}
+
 /**
  * Validates a site object with both time and open limits.
  * Enhanced validation for the new combined limit features.
@@ -540,6 +1552,98 @@ export function validateSiteObject(site) {
     }
   }
 
+  // Validate weekly and monthly budgets if present
+  const budgetValidation = validatePeriodBudgets(site);
+  if (!budgetValidation.isValid) {
+    return {
+      isValid: false,
+      error: budgetValidation.error,
+      sanitizedSite: null,
+    };
+  }
+
+  // Validate the rollover policy if present
+  const rolloverValidation = validateRolloverPolicy(site);
+  if (!rolloverValidation.isValid) {
+    return {
+      isValid: false,
+      error: rolloverValidation.error,
+      sanitizedSite: null,
+    };
+  }
+
+  // Validate the cooldown between opens if present
+  const cooldownValidation = validateOpenCooldown(site);
+  if (!cooldownValidation.isValid) {
+    return {
+      isValid: false,
+      error: cooldownValidation.error,
+      sanitizedSite: null,
+    };
+  }
+
+  // Validate the countdown overlay settings if present
+  const overlayValidation = validateOverlaySettings(site);
+  if (!overlayValidation.isValid) {
+    return {
+      isValid: false,
+      error: overlayValidation.error,
+      sanitizedSite: null,
+    };
+  }
+
+  // Validate exception rules if present
+  let excludedValidation = null;
+  if (site.excludedPatterns !== undefined) {
+    excludedValidation = validateExcludedPatterns(site.excludedPatterns);
+    if (!excludedValidation.isValid) {
+      return {
+        isValid: false,
+        error: excludedValidation.error,
+        sanitizedSite: null,
+      };
+    }
+  }
+
+  // Validate schedule rules if present
+  let scheduleValidation = null;
+  if (site.schedule !== undefined) {
+    scheduleValidation = validateSchedule(site.schedule);
+    if (!scheduleValidation.isValid) {
+      return {
+        isValid: false,
+        error: scheduleValidation.error,
+        sanitizedSite: null,
+      };
+    }
+  }
+
+  // Validate warning thresholds if present (null falls back to the defaults)
+  let warningValidation = null;
+  if (site.warningThresholds !== undefined && site.warningThresholds !== null) {
+    warningValidation = validateWarningThresholds(site.warningThresholds);
+    if (!warningValidation.isValid) {
+      return {
+        isValid: false,
+        error: warningValidation.error,
+        sanitizedSite: null,
+      };
+    }
+  }
+
+  // Validate the enforcement steps if present (null falls back to a hard block)
+  let enforcementValidation = null;
+  if (site.enforcement !== undefined && site.enforcement !== null) {
+    enforcementValidation = validateEnforcementSteps(site.enforcement);
+    if (!enforcementValidation.isValid) {
+      return {
+        isValid: false,
+        error: enforcementValidation.error,
+        sanitizedSite: null,
+      };
+    }
+  }
+
   // Create sanitized site object
   const sanitizedSite = {
     id: site.id,
@@ -554,6 +1658,42 @@ export function validateSiteObject(site) {
   if (hasOpenLimit) {
     sanitizedSite.dailyOpenLimit = site.dailyOpenLimit;
   }
+  [
+    ...Object.keys(PERIOD_BUDGET_FIELDS),
+    ...Object.keys(ROLLOVER_FIELDS),
+    'openCooldownSeconds',
+  ]
+    .filter((field) => site[field] > 0)
+    .forEach((field) => {
+      sanitizedSite[field] = site[field];
+    });
+  if (excludedValidation && excludedValidation.normalizedPatterns.length > 0) {
+    sanitizedSite.excludedPatterns = excludedValidation.normalizedPatterns;
+  }
+  if (scheduleValidation && scheduleValidation.normalizedSchedule.length > 0) {
+    sanitizedSite.schedule = scheduleValidation.normalizedSchedule;
+  }
+  if (typeof site.groupId === 'string' && site.groupId !== '') {
+    sanitizedSite.groupId = site.groupId;
+  }
+  if (site.trackInBackground === true) {
+    sanitizedSite.trackInBackground = true;
+  }
+  if (warningValidation) {
+    sanitizedSite.warningThresholds = warningValidation.normalizedThresholds;
+  }
+  if (site.showOverlay === true) {
+    sanitizedSite.showOverlay = true;
+  }
+  if (typeof site.overlayPosition === 'string') {
+    sanitizedSite.overlayPosition = site.overlayPosition;
+  }
+  if (site.mindfulPause === true) {
+    sanitizedSite.mindfulPause = true;
+  }
+  if (enforcementValidation && enforcementValidation.normalizedSteps) {
+    sanitizedSite.enforcement = enforcementValidation.normalizedSteps;
+  }
 
   return {
     isValid: true,
@@ -561,3 +1701,194 @@ export function validateSiteObject(site) {
     sanitizedSite: sanitizedSite,
   };
 }
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates one usage history table (daily stats or weekly rollups), i.e. an object
+ * keyed by "YYYY-MM-DD" whose values map site IDs to usage records.
+ * @private
+ * @param {*} table - The table to validate
+ * @param {string} path - Name used in error messages
+ * @param {boolean} withDays - Whether records carry a `days` count (weekly rollups)
+ * @returns {Object} `{isValid, error, sanitizedTable}`
+ */
+function _validateUsageTable(table, path, withDays) {
+  const invalid = (error) => ({ isValid: false, error, sanitizedTable: null });
+
+  if (table === undefined) {
+    return { isValid: true, error: null, sanitizedTable: {} };
+  }
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return invalid(`${path} must be an object`);
+  }
+
+  const isCount = (value) => Number.isFinite(value) && value >= 0;
+  const sanitizedTable = {};
+
+  for (const [dateKey, dayStats] of Object.entries(table)) {
+    if (!DATE_KEY_REGEX.test(dateKey)) {
+      return invalid(`${path}: invalid date "${dateKey}"`);
+    }
+    if (!dayStats || typeof dayStats !== 'object' || Array.isArray(dayStats)) {
+      return invalid(`${path}.${dateKey} must be an object`);
+    }
+
+    sanitizedTable[dateKey] = {};
+    for (const [siteId, usage] of Object.entries(dayStats)) {
+      if (
+        !usage ||
+        !isCount(usage.timeSpentSeconds) ||
+        !isCount(usage.opens) ||
+        (withDays && !isCount(usage.days))
+      ) {
+        return invalid(`${path}.${dateKey}.${siteId}: invalid usage record`);
+      }
+      sanitizedTable[dateKey][siteId] = {
+        timeSpentSeconds: usage.timeSpentSeconds,
+        opens: usage.opens,
+      };
+      // Daily records keep the time of the last open (see open_cooldown.js)
+      if (!withDays && isCount(usage.lastOpenAt) && usage.lastOpenAt > 0) {
+        sanitizedTable[dateKey][siteId].lastOpenAt = usage.lastOpenAt;
+      }
+      if (withDays) {
+        sanitizedTable[dateKey][siteId].days = usage.days;
+      }
+    }
+  }
+
+  return { isValid: true, error: null, sanitizedTable };
+}
+
+/**
+ * Validates the data section of a configuration backup before it is imported.
+ * Every entry is checked with the same validators used when it is created through
+ * the UI, so an imported backup can never contain anything the UI would reject.
+ *
+ * @param {Object} data - The backup data
+ * @param {Array<Object>} [data.distractingSites] - Sites, each with an `id`
+ * @param {Array<Object>} [data.siteGroups] - Groups, each with an `id`
+ * @param {Array<Object>} [data.timeoutNotes] - Notes (`{id, text}`)
+ * @param {Object} [data.appSettings] - Extension-wide preferences
+ * @param {Object} [data.usageHistory] - `{daily, weekly}` usage tables keyed by date
+ * @returns {Object} Validation result
+ * @returns {boolean} returns.isValid - Whether the data is valid
+ * @returns {string} returns.error - Error message (with the offending entry) if invalid
+ * @returns {Object} returns.sanitizedData - Sanitized data with every section present if valid
+ */
+export function validateBackupData(data) {
+  const invalid = (error) => ({ isValid: false, error, sanitizedData: null });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return invalid('Backup data must be an object');
+  }
+
+  const readList = (key, maxCount) => {
+    const list = data[key] === undefined ? [] : data[key];
+    if (!Array.isArray(list)) {
+      return { error: `${key} must be an array` };
+    }
+    if (list.length > maxCount) {
+      return { error: `${key}: too many entries (max ${maxCount})` };
+    }
+    const ids = new Set();
+    for (let i = 0; i < list.length; i++) {
+      const id = list[i] && list[i].id;
+      if (typeof id !== 'string' || id === '' || ids.has(id)) {
+        return { error: `${key}[${i}]: missing or duplicate id` };
+      }
+      ids.add(id);
+    }
+    return { list };
+  };
+
+  const groups = readList('siteGroups', STORAGE_LIMITS.MAX_GROUPS);
+  if (groups.error) {
+    return invalid(groups.error);
+  }
+  const siteGroups = [];
+  for (let i = 0; i < groups.list.length; i++) {
+    const validation = validateSiteGroup(groups.list[i]);
+    if (!validation.isValid) {
+      return invalid(`siteGroups[${i}]: ${validation.error}`);
+    }
+    siteGroups.push({ id: groups.list[i].id, ...validation.sanitizedGroup });
+  }
+  const groupIds = new Set(siteGroups.map((group) => group.id));
+
+  const sites = readList('distractingSites', STORAGE_LIMITS.MAX_SITES);
+  if (sites.error) {
+    return invalid(sites.error);
+  }
+  const distractingSites = [];
+  for (let i = 0; i < sites.list.length; i++) {
+    const validation = validateSiteObject(sites.list[i]);
+    if (!validation.isValid) {
+      return invalid(`distractingSites[${i}]: ${validation.error}`);
+    }
+    const { groupId } = validation.sanitizedSite;
+    if (groupId !== undefined && !groupIds.has(groupId)) {
+      return invalid(`distractingSites[${i}]: unknown group "${groupId}"`);
+    }
+    distractingSites.push(validation.sanitizedSite);
+  }
+
+  const notes = readList('timeoutNotes', STORAGE_LIMITS.MAX_NOTES);
+  if (notes.error) {
+    return invalid(notes.error);
+  }
+  const timeoutNotes = [];
+  for (let i = 0; i < notes.list.length; i++) {
+    const validation = validateNoteText(notes.list[i].text);
+    if (!validation.isValid) {
+      return invalid(`timeoutNotes[${i}]: ${validation.error}`);
+    }
+    // Notes are stored as typed and rendered as text, so keep the unescaped text
+    timeoutNotes.push({
+      id: notes.list[i].id,
+      text: notes.list[i].text.trim(),
+    });
+  }
+
+  let appSettings = {};
+  if (data.appSettings !== undefined) {
+    const validation = validateAppSettings(data.appSettings);
+    if (!validation.isValid) {
+      return invalid(`appSettings: ${validation.error}`);
+    }
+    appSettings = validation.sanitizedSettings;
+  }
+
+  const history = data.usageHistory === undefined ? {} : data.usageHistory;
+  if (!history || typeof history !== 'object' || Array.isArray(history)) {
+    return invalid('usageHistory must be an object');
+  }
+  const daily = _validateUsageTable(history.daily, 'usageHistory.daily', false);
+  if (!daily.isValid) {
+    return invalid(daily.error);
+  }
+  const weekly = _validateUsageTable(
+    history.weekly,
+    'usageHistory.weekly',
+    true
+  );
+  if (!weekly.isValid) {
+    return invalid(weekly.error);
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    sanitizedData: {
+      distractingSites,
+      siteGroups,
+      timeoutNotes,
+      appSettings,
+      usageHistory: {
+        daily: daily.sanitizedTable,
+        weekly: weekly.sanitizedTable,
+      },
+    },
+  };
+}
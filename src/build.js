@@ -96,6 +96,7 @@ async function build() {
     // Copy essential directories
     const directoriesToCopy = [
       'background_scripts',
+      'content_scripts',
       'ui',
       'assets',
       '_locales',
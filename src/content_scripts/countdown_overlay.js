@@ -0,0 +1,347 @@
+/**
+ * @file countdown_overlay.js
+ * @description Content script that shows the time and opens left on pages of sites
+ * with the countdown overlay turned on (see background_scripts/overlay_manager.js).
+ * A small pill sits in a corner of the page and can be dragged to another corner. In
+ * the last seconds of the time limit it grows into a full-page "time's up" curtain, so
+ * the redirect to the timeout page doesn't come as a surprise.
+ *
+ * The overlay lives in a closed shadow root on a fixed, zero-size host, so the page's
+ * styles don't reach it and it doesn't take up room in the page's layout.
+ */
+
+(() => {
+  const PORT_NAME = 'countdownOverlay';
+  const CURTAIN_SECONDS = 10;
+  // States arrive every few seconds while counting; don't count down further than
+  // this past the last one, in case counting stopped without a new state
+  const MAX_EXTRAPOLATION_MS = 5000;
+  const DRAG_THRESHOLD_PX = 4;
+
+  const STYLES = `
+    .pill {
+      position: fixed;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px 6px 12px;
+      border-radius: 999px;
+      background: rgba(28, 28, 30, 0.88);
+      color: #fff;
+      font: 600 13px/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+      cursor: grab;
+      user-select: none;
+      touch-action: none;
+      pointer-events: auto;
+    }
+    .pill.dragging { cursor: grabbing; opacity: 0.85; }
+    .pill.borrowed { background: rgba(255, 149, 0, 0.92); }
+    .pill.paused .time { opacity: 0.6; }
+    .top-left { top: 16px; left: 16px; }
+    .top-right { top: 16px; right: 16px; }
+    .bottom-left { bottom: 16px; left: 16px; }
+    .bottom-right { bottom: 16px; right: 16px; }
+    .close {
+      border: none;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      font-size: 15px;
+      line-height: 1;
+      padding: 0 4px;
+      cursor: pointer;
+      opacity: 0.7;
+    }
+    .close:hover { opacity: 1; }
+    .curtain {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 12px;
+      background: rgba(28, 28, 30, 0.92);
+      color: #fff;
+      font: 400 16px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      text-align: center;
+      pointer-events: auto;
+      animation: fade-in 0.4s ease-out;
+    }
+    .curtain-title { font-size: 32px; font-weight: 700; }
+    .curtain-count { font-size: 64px; font-weight: 700; font-variant-numeric: tabular-nums; }
+    [hidden] { display: none !important; }
+    @keyframes fade-in { from { opacity: 0; } to { opacity: 1; } }
+  `;
+
+  let port = null;
+  let state = null;
+  let receivedAt = 0;
+  let dismissed = false;
+  let lastUrl = location.href;
+  let lastTitle = document.title;
+  let timer = null;
+  let elements = null;
+
+  /**
+   * Formats seconds as m:ss or h:mm:ss.
+   * @param {number} seconds - The time left.
+   * @returns {string} The formatted time.
+   */
+  function formatTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Returns the time left now, counting down from the last state while the page counts.
+   * @returns {number|null} Seconds left, or null without a time limit.
+   */
+  function getRemainingSeconds() {
+    if (!state || state.remainingSeconds === null) return null;
+    if (!isCounting()) return state.remainingSeconds;
+    const elapsed = Math.min(Date.now() - receivedAt, MAX_EXTRAPOLATION_MS);
+    return Math.max(0, state.remainingSeconds - Math.floor(elapsed / 1000));
+  }
+
+  /**
+   * Tells whether the page's time is being counted right now.
+   * @returns {boolean} True while counting.
+   */
+  function isCounting() {
+    return Boolean(
+      state && state.counting && document.visibilityState === 'visible'
+    );
+  }
+
+  /**
+   * Creates the shadow root host and the overlay elements, once.
+   */
+  function createElements() {
+    const host = document.createElement('div');
+    // Keep the page's styles off the host; it takes no room and lets clicks through
+    host.setAttribute(
+      'style',
+      'all: initial !important; position: fixed !important; top: 0 !important; left: 0 !important; width: 0 !important; height: 0 !important; z-index: 2147483647 !important; pointer-events: none !important;'
+    );
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    const pill = document.createElement('div');
+    pill.className = 'pill';
+    pill.setAttribute('role', 'status');
+    const time = document.createElement('span');
+    time.className = 'time';
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.type = 'button';
+    close.title = 'Hide until the page is reloaded';
+    close.textContent = '×';
+    pill.append(time, close);
+
+    const curtain = document.createElement('div');
+    curtain.className = 'curtain';
+    curtain.setAttribute('role', 'alert');
+    const title = document.createElement('div');
+    title.className = 'curtain-title';
+    const count = document.createElement('div');
+    count.className = 'curtain-count';
+    const text = document.createElement('div');
+    curtain.append(title, count, text);
+
+    root.append(style, pill, curtain);
+    document.documentElement.appendChild(host);
+
+    close.addEventListener('click', () => {
+      dismissed = true;
+      render();
+    });
+    close.addEventListener('pointerdown', (event) => event.stopPropagation());
+    setupDragging(pill);
+
+    elements = { host, pill, time, curtain, title, count, text };
+  }
+
+  /**
+   * Lets the pill be dragged; it snaps to the nearest corner when dropped.
+   * @param {HTMLElement} pill - The pill element.
+   */
+  function setupDragging(pill) {
+    let drag = null;
+
+    pill.addEventListener('pointerdown', (event) => {
+      const rect = pill.getBoundingClientRect();
+      drag = {
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        offsetX: event.clientX - rect.left,
+        offsetY: event.clientY - rect.top,
+        moved: false,
+      };
+      pill.setPointerCapture(event.pointerId);
+    });
+
+    pill.addEventListener('pointermove', (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      const distance = Math.hypot(
+        event.clientX - drag.startX,
+        event.clientY - drag.startY
+      );
+      if (!drag.moved && distance < DRAG_THRESHOLD_PX) return;
+      drag.moved = true;
+      pill.classList.add('dragging');
+      pill.style.left = `${event.clientX - drag.offsetX}px`;
+      pill.style.top = `${event.clientY - drag.offsetY}px`;
+      pill.style.right = 'auto';
+      pill.style.bottom = 'auto';
+    });
+
+    const endDrag = (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      const { moved } = drag;
+      drag = null;
+      pill.classList.remove('dragging');
+      if (!moved) return;
+
+      const rect = pill.getBoundingClientRect();
+      const vertical =
+        rect.top + rect.height / 2 < window.innerHeight / 2 ? 'top' : 'bottom';
+      const horizontal =
+        rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right';
+      const position = `${vertical}-${horizontal}`;
+      pill.removeAttribute('style');
+      if (state) {
+        state = { ...state, position };
+        render();
+      }
+      send({ type: 'setPosition', position });
+    };
+    pill.addEventListener('pointerup', endDrag);
+    pill.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Shows the pill or the curtain for the current state, or nothing.
+   */
+  function render() {
+    if (!state) {
+      if (elements) {
+        // The hidden attribute can't beat the host's `all: initial !important`
+        elements.host.style.setProperty('display', 'none', 'important');
+      }
+      return;
+    }
+    if (!elements) {
+      createElements();
+    }
+    elements.host.style.removeProperty('display');
+
+    const remaining = getRemainingSeconds();
+    const showCurtain =
+      isCounting() && remaining !== null && remaining <= CURTAIN_SECONDS;
+
+    elements.curtain.hidden = !showCurtain;
+    if (showCurtain) {
+      elements.title.textContent =
+        remaining > 0 ? "Time's almost up" : "Time's up";
+      elements.count.textContent = String(remaining);
+      elements.text.textContent = `${state.urlPattern} closes when the time runs out.`;
+    }
+
+    elements.pill.hidden = showCurtain || dismissed;
+    elements.pill.className = `pill ${state.position}`;
+    elements.pill.classList.toggle('borrowed', state.borrowed);
+    elements.pill.classList.toggle('paused', !isCounting());
+
+    const parts = [];
+    if (remaining !== null) {
+      parts.push(`${state.borrowed ? '+' : ''}${formatTime(remaining)} left`);
+    }
+    if (state.remainingOpens !== null) {
+      parts.push(
+        state.remainingOpens === 1
+          ? '1 open left'
+          : `${state.remainingOpens} opens left`
+      );
+    }
+    elements.time.textContent = parts.join(' · ');
+    elements.pill.title = `${state.urlPattern}${isCounting() ? '' : ' (not counting right now)'}`;
+  }
+
+  /**
+   * Re-renders every second while the page counts, and notices in-page navigation and
+   * new titles (for title rules).
+   */
+  function tick() {
+    if (location.href !== lastUrl || document.title !== lastTitle) {
+      lastUrl = location.href;
+      lastTitle = document.title;
+      send({ type: 'refresh', url: lastUrl, title: lastTitle });
+    }
+    if (isCounting()) {
+      render();
+    }
+  }
+
+  /**
+   * Sends a message to the background script, connecting again if needed.
+   * @param {Object} message - The message.
+   */
+  function send(message) {
+    if (!port) {
+      connect();
+    }
+    try {
+      port.postMessage(message);
+    } catch {
+      // The background script is reloading; the next state arrives on reconnect
+      port = null;
+    }
+  }
+
+  /**
+   * Connects to the background script, which answers with the page's state. Pages of
+   * sites without the overlay are disconnected after it; the next refresh connects again.
+   */
+  function connect() {
+    port = browser.runtime.connect({ name: PORT_NAME });
+    port.onMessage.addListener((message) => {
+      if (!message || message.type !== 'overlayState') return;
+      state = message.state;
+      receivedAt = Date.now();
+      render();
+    });
+    port.onDisconnect.addListener(() => {
+      port = null;
+    });
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      send({ type: 'refresh', url: location.href, title: document.title });
+    }
+    render();
+  });
+
+  connect();
+  timer = setInterval(tick, 1000);
+  window.addEventListener('pagehide', () => {
+    clearInterval(timer);
+    timer = null;
+  });
+  window.addEventListener('pageshow', (event) => {
+    // Back/forward cache: the page is shown again without running this script anew
+    if (event.persisted && !timer) {
+      timer = setInterval(tick, 1000);
+      send({ type: 'refresh', url: location.href, title: document.title });
+    }
+  });
+})();
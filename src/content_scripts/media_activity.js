@@ -0,0 +1,47 @@
+/**
+ * @file media_activity.js
+ * @description Content script that tells the background script whether the page is
+ * playing video or audio. While the user is idle, a tab that is playing media keeps
+ * counting towards its limit (see idle_monitor.js); an abandoned tab does not. Sites
+ * that count in the background also use it to notice muted and picture-in-picture
+ * videos (see background_tracking.js). Only a change of the playing state is reported.
+ */
+
+(() => {
+  // Media events don't bubble, so they are caught on the way down instead
+  const MEDIA_EVENTS = ['playing', 'pause', 'ended', 'emptied', 'waiting'];
+
+  let lastReported = false;
+
+  /**
+   * Tells whether any media element in the page is currently playing.
+   * @returns {boolean} True if a video or audio element is playing.
+   */
+  function isMediaPlaying() {
+    return Array.from(document.querySelectorAll('video, audio')).some(
+      (media) => !media.paused && !media.ended && media.readyState > 2
+    );
+  }
+
+  /**
+   * Reports the playing state to the background script if it changed.
+   * @param {boolean} playing - Whether media is playing.
+   */
+  function report(playing) {
+    if (playing === lastReported) return;
+    lastReported = playing;
+
+    browser.runtime
+      .sendMessage({ action: 'mediaPlaybackChanged', payload: { playing } })
+      .catch(() => {
+        // The background script may be reloading; the next media event reports again
+      });
+  }
+
+  for (const eventName of MEDIA_EVENTS) {
+    document.addEventListener(eventName, () => report(isMediaPlaying()), true);
+  }
+
+  // A page that is left can't keep playing
+  window.addEventListener('pagehide', () => report(false));
+})();
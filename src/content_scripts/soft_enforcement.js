@@ -0,0 +1,291 @@
+/**
+ * @file soft_enforcement.js
+ * @description Content script that applies the soft enforcement modes of a site that is
+ * over its limit (see background_scripts/enforcement_modes.js): it grays the page out,
+ * blurs and dims it behind a notice that can be dismissed after a while, or holds back
+ * the page load. Hard blocks are left to the background script, which sends the tab to
+ * the timeout page.
+ *
+ * The page asks for its state when it loads and when it is shown again; the background
+ * script sends changes as the time past the limit grows. Notices live in a closed shadow
+ * root on a fixed, zero-size host, like the countdown overlay.
+ */
+
+(() => {
+  const STYLES = `
+    .curtain {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 12px;
+      padding: 24px;
+      color: #fff;
+      font: 400 16px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      text-align: center;
+      pointer-events: auto;
+    }
+    .blur {
+      background: rgba(28, 28, 30, 0.55);
+      backdrop-filter: blur(12px);
+    }
+    .delay { background: rgb(28, 28, 30); }
+    .title { font-size: 28px; font-weight: 700; }
+    .text { max-width: 480px; opacity: 0.9; }
+    .count { font-size: 48px; font-weight: 700; font-variant-numeric: tabular-nums; }
+    button {
+      border: none;
+      border-radius: 8px;
+      padding: 10px 18px;
+      background: rgba(255, 255, 255, 0.18);
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+    button:hover { background: rgba(255, 255, 255, 0.28); }
+    [hidden] { display: none !important; }
+  `;
+
+  let state = null;
+  let blurDismissed = false;
+  // Whether the delay of this page load was applied (or no longer applies)
+  let loadHandled = false;
+  let grayscaleStyle = null;
+  let elements = null;
+  let blurTimer = null;
+  let delayTimer = null;
+
+  /**
+   * Creates the shadow root host and the notices, once.
+   */
+  function createElements() {
+    const host = document.createElement('div');
+    // Keep the page's styles off the host; it takes no room in the page's layout
+    host.setAttribute(
+      'style',
+      'all: initial !important; position: fixed !important; top: 0 !important; left: 0 !important; width: 0 !important; height: 0 !important; z-index: 2147483647 !important;'
+    );
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    const blur = document.createElement('div');
+    blur.className = 'curtain blur';
+    blur.setAttribute('role', 'alert');
+    const blurTitle = document.createElement('div');
+    blurTitle.className = 'title';
+    blurTitle.textContent = "You're over your limit";
+    const blurText = document.createElement('div');
+    blurText.className = 'text';
+    const blurWait = document.createElement('div');
+    blurWait.className = 'text';
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = 'Continue anyway';
+    blur.append(blurTitle, blurText, blurWait, dismiss);
+
+    const delay = document.createElement('div');
+    delay.className = 'curtain delay';
+    delay.setAttribute('role', 'status');
+    const delayTitle = document.createElement('div');
+    delayTitle.className = 'title';
+    delayTitle.textContent = 'Slowing down';
+    const delayCount = document.createElement('div');
+    delayCount.className = 'count';
+    const delayText = document.createElement('div');
+    delayText.className = 'text';
+    delay.append(delayTitle, delayCount, delayText);
+
+    root.append(style, blur, delay);
+    document.documentElement.appendChild(host);
+
+    dismiss.addEventListener('click', () => {
+      blurDismissed = true;
+      render();
+    });
+
+    elements = {
+      host,
+      blur,
+      blurText,
+      blurWait,
+      dismiss,
+      delay,
+      delayCount,
+      delayText,
+    };
+  }
+
+  /**
+   * Grays the whole page out, or brings its colours back.
+   * @param {boolean} enabled - Whether the page should be gray.
+   */
+  function setGrayscale(enabled) {
+    if (enabled && !grayscaleStyle) {
+      grayscaleStyle = document.createElement('style');
+      // A filter on the root element leaves fixed elements where they are
+      grayscaleStyle.textContent = 'html { filter: grayscale(1) !important; }';
+      document.documentElement.appendChild(grayscaleStyle);
+    } else if (!enabled && grayscaleStyle) {
+      grayscaleStyle.remove();
+      grayscaleStyle = null;
+    }
+  }
+
+  /**
+   * Counts down every second, then calls back.
+   * @param {number} seconds - How long to count.
+   * @param {Function} onTick - Called with the seconds left.
+   * @param {Function} onDone - Called when the time is up.
+   * @returns {number} The interval ID.
+   */
+  function countDown(seconds, onTick, onDone) {
+    let left = seconds;
+    onTick(left);
+    const timer = setInterval(() => {
+      left--;
+      if (left > 0) {
+        onTick(left);
+        return;
+      }
+      clearInterval(timer);
+      onDone();
+    }, 1000);
+    return timer;
+  }
+
+  /**
+   * Shows the blur notice; it can be dismissed once its delay ran out.
+   */
+  function showBlur() {
+    elements.blur.hidden = false;
+    elements.blurText.textContent = state.reason || '';
+    if (blurTimer !== null) return;
+
+    elements.dismiss.hidden = true;
+    blurTimer = countDown(
+      state.dismissAfterSeconds,
+      (left) => {
+        elements.blurWait.textContent = `You can continue in ${left} s.`;
+      },
+      () => {
+        elements.blurWait.textContent = state.nextMode
+          ? 'Staying longer makes it stricter.'
+          : '';
+        elements.dismiss.hidden = false;
+      }
+    );
+  }
+
+  /**
+   * Hides the blur notice and stops its countdown.
+   */
+  function hideBlur() {
+    if (!elements) return;
+    elements.blur.hidden = true;
+    clearInterval(blurTimer);
+    blurTimer = null;
+  }
+
+  /**
+   * Holds the page back behind a cover for the delay of the page load.
+   */
+  function showDelay() {
+    elements.delay.hidden = false;
+    elements.delayText.textContent = state.reason || '';
+    delayTimer = countDown(
+      state.delaySeconds,
+      (left) => {
+        elements.delayCount.textContent = String(left);
+      },
+      () => {
+        delayTimer = null;
+        elements.delay.hidden = true;
+        render();
+      }
+    );
+  }
+
+  /**
+   * Applies the current state to the page.
+   */
+  function render() {
+    const mode = state ? state.mode : null;
+    setGrayscale(mode === 'grayscale');
+
+    if (mode === 'blur' && !blurDismissed) {
+      if (!elements) createElements();
+      showBlur();
+    } else {
+      hideBlur();
+    }
+    if (mode !== 'blur') {
+      // Coming back to blur later shows the notice again
+      blurDismissed = false;
+    }
+
+    // Only a page that loads is held back, not one that is already open
+    if (!loadHandled) {
+      loadHandled = true;
+      if (mode === 'delay' && state.delaySeconds > 0) {
+        if (!elements) createElements();
+        showDelay();
+      }
+    } else if (mode !== 'delay' && delayTimer !== null && elements) {
+      clearInterval(delayTimer);
+      delayTimer = null;
+      elements.delay.hidden = true;
+    }
+
+    if (elements) {
+      const visible = !elements.blur.hidden || !elements.delay.hidden;
+      // The hidden attribute can't beat the host's `all: initial !important`
+      if (visible) {
+        elements.host.style.removeProperty('display');
+      } else {
+        elements.host.style.setProperty('display', 'none', 'important');
+      }
+    }
+  }
+
+  /**
+   * Takes a new state from the background script.
+   * @param {Object|null} enforcement - The state, or null to lift it.
+   */
+  function update(enforcement) {
+    state = enforcement || null;
+    render();
+  }
+
+  /**
+   * Asks the background script for the page's state.
+   */
+  function requestState() {
+    browser.runtime
+      .sendMessage({ action: 'getEnforcement' })
+      .then((response) => {
+        update(response && response.success ? response.data.enforcement : null);
+      })
+      .catch(() => {
+        // The background script may be reloading; the next check sends the state
+        loadHandled = true;
+      });
+  }
+
+  browser.runtime.onMessage.addListener((message) => {
+    if (message && message.type === 'enforcementChanged') {
+      update(message.enforcement);
+    }
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      requestState();
+    }
+  });
+
+  requestState();
+})();
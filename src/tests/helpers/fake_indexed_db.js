@@ -0,0 +1,147 @@
+/**
+ * @file fake_indexed_db.js
+ * @description A small in-memory stand-in for the parts of IndexedDB that session_log.js
+ * uses: one database with object stores keyed by a key path, single-field indexes,
+ * getAll/getAllKeys with IDBKeyRange.only and upperBound, put and delete. Requests
+ * succeed on the next microtask and transactions complete once their requests are done.
+ */
+
+/**
+ * Creates an IDBKeyRange-like object.
+ * @param {Function} includes - Tells whether a key is in the range.
+ */
+function keyRange(includes) {
+  return { includes };
+}
+
+export const FakeIDBKeyRange = {
+  only: (value) => keyRange((key) => key === value),
+  upperBound: (bound, open = false) =>
+    keyRange((key) => (open ? key < bound : key <= bound)),
+};
+
+/**
+ * Creates a fake indexedDB factory. Databases live as long as the factory, so a module
+ * imported again opens the same data.
+ *
+ * @returns {{indexedDB: Object, databases: Map, failWrites: Function}} The factory, its
+ *          databases (name -> Map of store name -> {keyPath, indexes, records}) and a
+ *          switch that makes read-write transactions fail.
+ */
+export function createFakeIndexedDB() {
+  const databases = new Map();
+  let failWrites = false;
+
+  function createRequest(transaction, run) {
+    const request = { result: undefined, error: null };
+    transaction._pending += 1;
+    queueMicrotask(() => {
+      transaction._pending -= 1;
+      if (transaction._failed) {
+        request.error = transaction.error;
+        if (request.onerror) request.onerror();
+        return;
+      }
+      request.result = run();
+      if (request.onsuccess) request.onsuccess();
+    });
+    return request;
+  }
+
+  function createIndex(transaction, store, field) {
+    const matching = (range) =>
+      Array.from(store.records.entries()).filter(
+        ([, record]) => !range || range.includes(record[field])
+      );
+    return {
+      getAll: (range) =>
+        createRequest(transaction, () =>
+          matching(range).map(([, record]) => structuredClone(record))
+        ),
+      getAllKeys: (range) =>
+        createRequest(transaction, () => matching(range).map(([key]) => key)),
+    };
+  }
+
+  function createTransaction(stores, storeName, mode) {
+    const transaction = { _pending: 0, _failed: false, error: null };
+
+    const finish = () => {
+      if (transaction._pending > 0) {
+        setTimeout(finish, 0);
+        return;
+      }
+      if (transaction._failed) {
+        if (transaction.onerror) transaction.onerror();
+        return;
+      }
+      if (transaction.oncomplete) transaction.oncomplete();
+    };
+    setTimeout(finish, 0);
+
+    if (mode === 'readwrite' && failWrites) {
+      transaction._failed = true;
+      transaction.error = new Error('Write failed');
+    }
+
+    transaction.objectStore = (name) => {
+      const store = stores.get(name || storeName);
+      return {
+        put: (record) =>
+          createRequest(transaction, () => {
+            store.records.set(record[store.keyPath], structuredClone(record));
+            return record[store.keyPath];
+          }),
+        delete: (key) =>
+          createRequest(transaction, () => {
+            store.records.delete(key);
+          }),
+        getAll: () =>
+          createRequest(transaction, () =>
+            Array.from(store.records.values()).map((record) =>
+              structuredClone(record)
+            )
+          ),
+        index: (indexName) =>
+          createIndex(transaction, store, store.indexes.get(indexName)),
+      };
+    };
+    return transaction;
+  }
+
+  const indexedDB = {
+    open(name) {
+      const request = { result: undefined, error: null };
+      queueMicrotask(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+
+        request.result = {
+          createObjectStore(storeName, { keyPath }) {
+            const store = { keyPath, indexes: new Map(), records: new Map() };
+            stores.set(storeName, store);
+            return {
+              createIndex: (indexName, field) =>
+                store.indexes.set(indexName, field),
+            };
+          },
+          transaction: (storeName, mode) =>
+            createTransaction(stores, storeName, mode),
+        };
+
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        if (request.onsuccess) request.onsuccess();
+      });
+      return request;
+    },
+  };
+
+  return {
+    indexedDB,
+    databases,
+    failWrites: (value) => {
+      failWrites = value;
+    },
+  };
+}
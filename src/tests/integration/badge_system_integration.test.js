@@ -52,7 +52,8 @@ const mockSiteStorage = {
 };
 
 const mockUsageStorage = {
-  getUsageStats: jest.fn(),
+  getCombinedUsageStats: jest.fn(),
+  getUsageStatsForDates: jest.fn(async () => ({})),
 };
 
 const mockDistractionDetector = {
@@ -122,7 +123,7 @@ describe('Badge System Integration', () => {
 
     // Reset mock modules
     mockSiteStorage.getDistractingSites.mockReset();
-    mockUsageStorage.getUsageStats.mockReset();
+    mockUsageStorage.getCombinedUsageStats.mockReset();
     mockDistractionDetector.checkIfUrlIsDistracting.mockReset();
 
     // Setup default mocks - Updated to match new implementation
@@ -130,9 +131,11 @@ describe('Badge System Integration', () => {
       return mockLocalStorageData.distractingSites || [];
     });
 
-    mockUsageStorage.getUsageStats.mockImplementation(async (dateKey) => {
-      return mockLocalStorageData[`usageStats-${dateKey}`] || {};
-    });
+    mockUsageStorage.getCombinedUsageStats.mockImplementation(
+      async (dateKey) => {
+        return mockLocalStorageData[`usageStats-${dateKey}`] || {};
+      }
+    );
 
     mockDistractionDetector.checkIfUrlIsDistracting.mockImplementation(
       (url) => {
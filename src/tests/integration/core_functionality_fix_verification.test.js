@@ -78,7 +78,8 @@ const mockSiteStorage = {
 };
 
 const mockUsageStorage = {
-  getUsageStats: jest.fn(),
+  getCombinedUsageStats: jest.fn(),
+  getUsageStatsForDates: jest.fn(async () => ({})),
   updateUsageStats: jest.fn(),
 };
 
@@ -231,9 +232,11 @@ describe('Core Functionality Integration After Fixes', () => {
       return mockLocalStorageData.distractingSites || [];
     });
 
-    mockUsageStorage.getUsageStats.mockImplementation(async (dateKey) => {
-      return mockLocalStorageData[`usageStats-${dateKey}`] || {};
-    });
+    mockUsageStorage.getCombinedUsageStats.mockImplementation(
+      async (dateKey) => {
+        return mockLocalStorageData[`usageStats-${dateKey}`] || {};
+      }
+    );
 
     mockUsageStorage.updateUsageStats.mockImplementation(
       async (dateKey, siteId, stats) => {
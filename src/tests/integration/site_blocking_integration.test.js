@@ -29,7 +29,13 @@ jest.unstable_mockModule('../../background_scripts/site_storage.js', () => ({
 }));
 jest.unstable_mockModule('../../background_scripts/usage_storage.js', () => ({
   getUsageStats: mockGetUsageStats,
+  getCombinedUsageStats: mockGetUsageStats,
+  getUsageStatsForDates: jest.fn().mockResolvedValue({}),
   updateUsageStats: jest.fn().mockResolvedValue(true),
+  addPendingUsage: jest.fn(),
+  setPendingItems: jest.fn(),
+  flushPendingUsage: jest.fn().mockResolvedValue(true),
+  REMOTE_USAGE_KEY: 'remoteUsageStats',
 }));
 
 // Mock the daily reset module
@@ -39,6 +45,7 @@ jest.unstable_mockModule('../../background_scripts/daily_reset.js', () => ({
 }));
 
 // Mock usage recorder
+const mockRecordOpenTime = jest.fn();
 jest.unstable_mockModule('../../background_scripts/usage_recorder.js', () => ({
   startTracking: jest.fn().mockResolvedValue(true),
   stopTracking: jest.fn().mockResolvedValue(0),
@@ -46,6 +53,14 @@ jest.unstable_mockModule('../../background_scripts/usage_recorder.js', () => ({
   getCurrentTrackingInfo: jest
     .fn()
     .mockResolvedValue({ isTracking: false, siteId: null, tabId: null }),
+  pauseTracking: jest.fn().mockResolvedValue(false),
+  resumeTracking: jest.fn().mockResolvedValue(false),
+  isTrackingPaused: jest.fn().mockResolvedValue(false),
+  getBackgroundSessions: jest.fn().mockResolvedValue({}),
+  syncBackgroundSessions: jest.fn().mockResolvedValue({}),
+  updateBackgroundUsage: jest.fn().mockResolvedValue({}),
+  flushUsage: jest.fn().mockResolvedValue(true),
+  recordOpenTime: mockRecordOpenTime,
 }));
 
 // Mock distraction detector
@@ -54,6 +69,9 @@ jest.unstable_mockModule(
   '../../background_scripts/distraction_detector.js',
   () => ({
     checkIfUrlIsDistracting: mockCheckIfUrlIsDistracting,
+    hasTitleRules: jest.fn().mockReturnValue(false),
+    hasBackgroundSites: jest.fn().mockReturnValue(false),
+    getCachedDistractingSites: jest.fn().mockReturnValue([]),
     initializeDistractionDetector: jest.fn().mockResolvedValue(),
     loadDistractingSitesFromStorage: jest.fn().mockResolvedValue(),
   })
@@ -65,6 +83,7 @@ const mockCheckAndBlockSite = jest.fn();
 jest.unstable_mockModule('../../background_scripts/site_blocker.js', () => ({
   handlePotentialRedirect: mockHandlePotentialRedirect,
   checkAndBlockSite: mockCheckAndBlockSite,
+  getPageEnforcement: jest.fn().mockResolvedValue(null),
 }));
 
 // Mock badge manager
@@ -72,6 +91,11 @@ jest.unstable_mockModule('../../background_scripts/badge_manager.js', () => ({
   updateBadge: jest.fn().mockResolvedValue(),
 }));
 
+// Mock site allowance
+jest.unstable_mockModule('../../background_scripts/site_allowance.js', () => ({
+  getSiteAllowance: jest.fn().mockResolvedValue(null),
+}));
+
 // Mock note storage
 jest.unstable_mockModule('../../background_scripts/note_storage.js', () => ({
   getTimeoutNotes: jest.fn().mockResolvedValue([]),
@@ -92,6 +116,23 @@ jest.unstable_mockModule(
         isRetryable: false,
       }),
     validateRequiredFields: jest.fn().mockReturnValue({ isValid: true }),
+    validateUrlPattern: jest.fn().mockReturnValue({ isValid: true }),
+    validateExcludedPatterns: jest.fn().mockReturnValue({ isValid: true }),
+    validateAllowlistPatterns: jest.fn().mockReturnValue({ isValid: true }),
+    validateSchedule: jest.fn().mockReturnValue({ isValid: true }),
+    validateSiteGroup: jest.fn().mockReturnValue({ isValid: true }),
+    validatePeriodBudgets: jest.fn().mockReturnValue({ isValid: true }),
+    validateRolloverPolicy: jest.fn().mockReturnValue({ isValid: true }),
+    validateReductionPlan: jest.fn().mockReturnValue({ isValid: true }),
+    validateWarningThresholds: jest.fn().mockReturnValue({ isValid: true }),
+    parseWarningThreshold: jest.fn().mockReturnValue(null),
+    validateOverlaySettings: jest.fn().mockReturnValue({ isValid: true }),
+    validateEnforcementSteps: jest.fn().mockReturnValue({ isValid: true }),
+    OVERLAY_POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+    validateAppSettings: jest.fn().mockReturnValue({ isValid: true }),
+    validatePin: jest.fn().mockReturnValue({ isValid: true }),
+    validateBackupData: jest.fn().mockReturnValue({ isValid: true }),
+    validateStorageLimits: jest.fn().mockReturnValue({ isValid: true }),
     ERROR_TYPES: {
       VALIDATION: 'VALIDATION',
       STORAGE: 'STORAGE',
@@ -110,12 +151,14 @@ const mockAlarmsOnAlarm = { addListener: jest.fn() };
 const mockAlarmsCreate = jest.fn();
 const mockAlarmsClear = jest.fn();
 const mockRuntimeOnInstalled = { addListener: jest.fn() };
+const mockRuntimeOnStartup = { addListener: jest.fn() };
 const mockWebNavigationOnBeforeNavigate = { addListener: jest.fn() };
 const mockTabsOnActivated = { addListener: jest.fn() };
 const mockTabsOnUpdated = { addListener: jest.fn() };
 const mockWindowsOnFocusChanged = { addListener: jest.fn() };
 const mockWindowsGetCurrent = jest.fn();
 const mockActionOnClicked = { addListener: jest.fn() };
+const mockIdleOnStateChanged = { addListener: jest.fn() };
 const mockStorageSessionGet = jest.fn();
 const mockStorageSessionSet = jest.fn();
 const mockStorageSessionRemove = jest.fn();
@@ -127,16 +170,21 @@ global.browser = {
     query: mockTabsQuery,
     onActivated: mockTabsOnActivated,
     onUpdated: mockTabsOnUpdated,
+    onRemoved: { addListener: jest.fn() },
   },
   runtime: {
     getURL: mockRuntimeGetURL,
     onInstalled: mockRuntimeOnInstalled,
+    onStartup: mockRuntimeOnStartup,
+    onSuspend: { addListener: jest.fn() },
     onMessage: mockRuntimeOnMessage,
+    onConnect: { addListener: jest.fn() },
   },
   alarms: {
     onAlarm: mockAlarmsOnAlarm,
     create: mockAlarmsCreate,
     clear: mockAlarmsClear,
+    get: jest.fn().mockResolvedValue(undefined),
   },
   webNavigation: {
     onBeforeNavigate: mockWebNavigationOnBeforeNavigate,
@@ -144,12 +192,21 @@ global.browser = {
   windows: {
     onFocusChanged: mockWindowsOnFocusChanged,
     getCurrent: mockWindowsGetCurrent,
+    getAll: jest.fn().mockResolvedValue([]),
     WINDOW_ID_NONE: -1,
   },
   action: {
     onClicked: mockActionOnClicked,
   },
+  idle: {
+    onStateChanged: mockIdleOnStateChanged,
+    setDetectionInterval: jest.fn(),
+    queryState: jest.fn().mockResolvedValue('active'),
+  },
   storage: {
+    onChanged: {
+      addListener: jest.fn(),
+    },
     session: {
       get: mockStorageSessionGet,
       set: mockStorageSessionSet,
@@ -175,6 +232,7 @@ describe('Site Blocking Integration', () => {
     mockHandlePotentialRedirect.mockReset();
     mockCheckAndBlockSite.mockReset();
     mockTabsUpdate.mockReset();
+    mockRecordOpenTime.mockReset();
     mockTabsGet.mockReset();
     mockTabsQuery.mockReset();
     mockRuntimeGetURL.mockReset();
@@ -377,6 +435,8 @@ describe('Site Blocking Integration', () => {
 
       // Should not block sites under limits
       expect(mockTabsUpdate).not.toHaveBeenCalled();
+      // A new visit is when the cooldown between opens starts
+      expect(mockRecordOpenTime).toHaveBeenCalledWith('distracting-site');
     });
 
     it('should block navigation when time limit exceeded', async () => {
@@ -406,6 +466,7 @@ describe('Site Blocking Integration', () => {
       );
       expect(redirectUrl).toMatch(/siteId=distracting-site/);
       expect(redirectUrl).toMatch(/limitType=time/);
+      expect(mockRecordOpenTime).not.toHaveBeenCalled();
     });
 
     it('should block navigation when open limit exceeded', async () => {
@@ -1,24 +1,33 @@
 /**
  * @file usage_tracking_integration.test.js
  * @description Integration tests for the event-driven usage tracking system.
- * Tests the interaction between background.js event handlers and usage_recorder.js.
+ * Tests the interaction between background.js event handlers and usage_recorder.js,
+ * with usage_recorder.js writing through the real usage_storage.js and session_log.js.
  */
 
 import { jest } from '@jest/globals';
+import {
+  createFakeIndexedDB,
+  FakeIDBKeyRange,
+} from '../helpers/fake_indexed_db.js';
 
 // Mock the required modules
-jest.unstable_mockModule('../../background_scripts/usage_storage.js', () => ({
-  getUsageStats: jest.fn(),
-  updateUsageStats: jest.fn(),
-}));
-
-jest.unstable_mockModule('../../background_scripts/site_storage.js', () => ({
+const mockSiteStorage = {
   getDistractingSites: jest.fn(),
-}));
-
-jest.unstable_mockModule('../../background_scripts/badge_manager.js', () => ({
+};
+const mockBadgeManager = {
   updateBadge: jest.fn(),
-}));
+};
+
+jest.unstable_mockModule(
+  '../../background_scripts/site_storage.js',
+  () => mockSiteStorage
+);
+
+jest.unstable_mockModule(
+  '../../background_scripts/badge_manager.js',
+  () => mockBadgeManager
+);
 
 // Mock browser APIs
 const mockBrowser = {
@@ -49,34 +58,46 @@ const mockBrowser = {
 };
 
 global.browser = mockBrowser;
+global.IDBKeyRange = FakeIDBKeyRange;
 
-// Import the modules after setting up mocks
-const { getUsageStats, updateUsageStats } = await import(
-  '../../background_scripts/usage_storage.js'
-);
-const { getDistractingSites } = await import(
-  '../../background_scripts/site_storage.js'
-);
-const { updateBadge } = await import(
-  '../../background_scripts/badge_manager.js'
-);
+const { getDistractingSites } = mockSiteStorage;
+const { updateBadge } = mockBadgeManager;
 
-// Import usage recorder functions
-const { startTracking, stopTracking, updateUsage, getCurrentTrackingInfo } =
-  await import('../../background_scripts/usage_recorder.js');
-
-// Import distraction detector functions
-const { checkIfUrlIsDistracting, initializeDistractionDetector } = await import(
-  '../../background_scripts/distraction_detector.js'
-);
+/**
+ * Returns the usage of a site that has been written to storage today.
+ * @param {string} siteId - The site to look up.
+ * @returns {Object|undefined} The stored usage.
+ */
+function storedUsage(siteId) {
+  const now = new Date();
+  const month = (now.getMonth() + 1).toString().padStart(2, '0');
+  const day = now.getDate().toString().padStart(2, '0');
+  const key = `usageStats-${now.getFullYear()}-${month}-${day}`;
+  return (mockBrowser.storage.local.data[key] || {})[siteId];
+}
 
 describe('Usage Tracking Integration', () => {
   let currentTime;
+  let startTracking;
+  let stopTracking;
+  let updateUsage;
+  let getCurrentTrackingInfo;
+  let checkIfUrlIsDistracting;
+  let initializeDistractionDetector;
 
   beforeEach(async () => {
     // Reset all mocks
     jest.clearAllMocks();
     mockBrowser.storage.local.data = {};
+    global.indexedDB = createFakeIndexedDB().indexedDB;
+
+    // The recorder and usage storage keep state in memory, import them fresh
+    jest.resetModules();
+    ({ startTracking, stopTracking, updateUsage, getCurrentTrackingInfo } =
+      await import('../../background_scripts/usage_recorder.js'));
+    ({ checkIfUrlIsDistracting, initializeDistractionDetector } = await import(
+      '../../background_scripts/distraction_detector.js'
+    ));
 
     // Set up time mocking
     currentTime = 1620000000000;
@@ -113,8 +134,6 @@ describe('Usage Tracking Integration', () => {
     });
 
     // Default mock implementations
-    getUsageStats.mockResolvedValue({});
-    updateUsageStats.mockResolvedValue(true);
     updateBadge.mockResolvedValue();
 
     // Mock distracting sites
@@ -158,14 +177,7 @@ describe('Usage Tracking Integration', () => {
       expect(trackingInfo.tabId).toBe(tabId);
 
       // Verify site open was recorded
-      expect(updateUsageStats).toHaveBeenCalledWith(
-        expect.any(String),
-        'site1',
-        expect.objectContaining({
-          timeSpentSeconds: 0,
-          opens: 1,
-        })
-      );
+      expect(storedUsage('site1')).toEqual({ timeSpentSeconds: 0, opens: 1 });
     });
 
     it('should stop tracking when navigating away from distracting site', async () => {
@@ -178,15 +190,8 @@ describe('Usage Tracking Integration', () => {
       // Stop tracking
       const totalTime = await stopTracking();
 
-      expect(totalTime).toBeGreaterThan(0);
-      expect(updateUsageStats).toHaveBeenCalledWith(
-        expect.any(String),
-        'site1',
-        expect.objectContaining({
-          timeSpentSeconds: 5,
-          opens: 0,
-        })
-      );
+      expect(totalTime).toBe(5);
+      expect(storedUsage('site1')).toEqual({ timeSpentSeconds: 5, opens: 1 });
 
       // Verify tracking state is cleared
       const trackingInfo = await getCurrentTrackingInfo();
@@ -202,24 +207,10 @@ describe('Usage Tracking Integration', () => {
       await startTracking(456, 'site2');
 
       // Verify site1 time was recorded
-      expect(updateUsageStats).toHaveBeenCalledWith(
-        expect.any(String),
-        'site1',
-        expect.objectContaining({
-          timeSpentSeconds: 3,
-          opens: 0,
-        })
-      );
+      expect(storedUsage('site1')).toEqual({ timeSpentSeconds: 3, opens: 1 });
 
       // Verify site2 tracking started
-      expect(updateUsageStats).toHaveBeenCalledWith(
-        expect.any(String),
-        'site2',
-        expect.objectContaining({
-          timeSpentSeconds: 0,
-          opens: 1,
-        })
-      );
+      expect(storedUsage('site2')).toEqual({ timeSpentSeconds: 0, opens: 1 });
 
       const trackingInfo = await getCurrentTrackingInfo();
       expect(trackingInfo.siteId).toBe('site2');
@@ -238,15 +229,8 @@ describe('Usage Tracking Integration', () => {
       // Simulate alarm firing
       const totalTime = await updateUsage();
 
-      expect(totalTime).toBeGreaterThan(0);
-      expect(updateUsageStats).toHaveBeenCalledWith(
-        expect.any(String),
-        'site1',
-        expect.objectContaining({
-          timeSpentSeconds: 60,
-          opens: 0,
-        })
-      );
+      expect(totalTime).toBe(60);
+      expect(storedUsage('site1')).toEqual({ timeSpentSeconds: 60, opens: 1 });
 
       // Verify tracking continues (start time reset)
       const trackingInfo = await getCurrentTrackingInfo();
@@ -258,25 +242,21 @@ describe('Usage Tracking Integration', () => {
       // Start tracking
       await startTracking(123, 'site1');
 
-      // Simulate multiple alarm fires
-      for (let i = 1; i <= 3; i++) {
-        currentTime += 60000; // Advance 1 minute
-        await updateUsage();
+      // Simulate the alarm firing every 2 seconds for a minute
+      let totalTime = 0;
+      for (let i = 1; i <= 30; i++) {
+        currentTime += 2000;
+        totalTime = await updateUsage();
       }
 
-      // Should have 3 usage updates plus initial site open
-      expect(updateUsageStats).toHaveBeenCalledTimes(4);
-
-      // Each update should be for 60 seconds
-      const calls = updateUsageStats.mock.calls.slice(1); // Skip the initial open call
-      calls.forEach((call) => {
-        expect(call[2]).toEqual(
-          expect.objectContaining({
-            timeSpentSeconds: 60,
-            opens: 0,
-          })
-        );
-      });
+      // Every tick sees the full total, but it is only written every 30 seconds
+      expect(totalTime).toBe(60);
+      expect(storedUsage('site1')).toEqual({ timeSpentSeconds: 60, opens: 1 });
+      const usageWrites = mockBrowser.storage.local.set.mock.calls.filter(
+        ([items]) =>
+          Object.keys(items).some((key) => key.startsWith('usageStats-'))
+      );
+      expect(usageWrites).toHaveLength(3); // The open, then after 30 and 60 seconds
     });
   });
 
@@ -359,19 +339,26 @@ describe('Usage Tracking Integration', () => {
       // Start tracking successfully
       await startTracking(123, 'site1');
 
-      // Mock error during usage update
-      updateUsageStats.mockRejectedValue(new Error('Usage update error'));
+      // Mock error while writing the usage
+      mockBrowser.storage.local.set.mockRejectedValueOnce(
+        new Error('Usage update error')
+      );
 
       currentTime += 60000;
       const totalTime = await updateUsage();
 
-      // Should return 0 but not crash
-      expect(totalTime).toBe(0);
+      // Should not crash; the time stays pending and is written with the next write
+      expect(totalTime).toBe(60);
+      expect(storedUsage('site1').timeSpentSeconds).toBe(0);
+
+      await stopTracking();
+      expect(storedUsage('site1').timeSpentSeconds).toBe(60);
     });
 
     it('should recover from invalid tracking state', async () => {
       // Set up invalid tracking state directly
       mockBrowser.storage.local.data = {
+        session_init_time: currentTime,
         session_tracking_siteId: 'site1',
         session_tracking_isActive: true,
         // Missing required fields like startTime
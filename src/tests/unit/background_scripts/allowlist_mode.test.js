@@ -0,0 +1,110 @@
+/**
+ * @file allowlist_mode.test.js
+ * @description Unit tests for allowlist_mode.js.
+ */
+
+import { jest } from '@jest/globals';
+
+global.browser = {
+  alarms: {
+    create: jest.fn(async () => {}),
+    clear: jest.fn(async () => true),
+  },
+};
+
+const {
+  ALLOWLIST_ALARM,
+  getAllowlistState,
+  isAllowlisted,
+  scheduleAllowlistAlarm,
+} = await import('../../../background_scripts/allowlist_mode.js');
+
+describe('allowlist_mode.js', () => {
+  // A Monday afternoon
+  const now = new Date(2024, 2, 18, 15, 30).getTime();
+  const weekdayMornings = {
+    days: [1, 2, 3, 4, 5],
+    start: '08:00',
+    end: '12:00',
+    mode: 'block',
+  };
+  const examAfternoon = { ...weekdayMornings, start: '14:00', end: '18:00' };
+
+  beforeEach(() => {
+    browser.alarms.create.mockClear();
+    browser.alarms.clear.mockClear();
+  });
+
+  describe('getAllowlistState', () => {
+    it('should be off by default', () => {
+      expect(getAllowlistState({}, now)).toEqual({
+        active: false,
+        enabled: false,
+        scheduled: false,
+        endsAt: null,
+      });
+    });
+
+    it('should stay on without an end while switched on by hand', () => {
+      expect(
+        getAllowlistState(
+          { allowlistEnabled: true, allowlistSchedule: [examAfternoon] },
+          now
+        )
+      ).toEqual({ active: true, enabled: true, scheduled: true, endsAt: null });
+    });
+
+    it('should be on until the end of a scheduled window', () => {
+      expect(
+        getAllowlistState({ allowlistSchedule: [examAfternoon] }, now)
+      ).toEqual({
+        active: true,
+        enabled: false,
+        scheduled: true,
+        endsAt: new Date(2024, 2, 18, 18, 0).getTime(),
+      });
+      expect(
+        getAllowlistState({ allowlistSchedule: [weekdayMornings] }, now).active
+      ).toBe(false);
+    });
+  });
+
+  describe('isAllowlisted', () => {
+    const patterns = ['wikipedia.org', 'github.com/myorg'];
+
+    it('should let through web pages on the list only', () => {
+      expect(
+        isAllowlisted('https://en.wikipedia.org/wiki/Focus', patterns)
+      ).toBe(true);
+      expect(isAllowlisted('https://github.com/myorg/repo', patterns)).toBe(
+        true
+      );
+      expect(isAllowlisted('https://github.com/explore', patterns)).toBe(false);
+      expect(isAllowlisted('https://youtube.com/', [])).toBe(false);
+    });
+
+    it('should always let through extension pages and about: URLs', () => {
+      expect(isAllowlisted('about:blank', [])).toBe(true);
+      expect(
+        isAllowlisted('moz-extension://abc/ui/timeout/timeout.html', [])
+      ).toBe(true);
+    });
+  });
+
+  describe('scheduleAllowlistAlarm', () => {
+    it('should fire when the next window may start or end', async () => {
+      await scheduleAllowlistAlarm({ allowlistSchedule: [examAfternoon] }, now);
+
+      expect(browser.alarms.create).toHaveBeenCalledWith(ALLOWLIST_ALARM, {
+        when: new Date(2024, 2, 18, 18, 0).getTime(),
+      });
+    });
+
+    it('should clear the alarm without windows', async () => {
+      await scheduleAllowlistAlarm({ allowlistSchedule: [] }, now);
+
+      expect(browser.alarms.clear).toHaveBeenCalledWith(ALLOWLIST_ALARM);
+      expect(browser.alarms.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, expect } from '@jest/globals';
+
+/**
+ * @file background_tracking.test.js
+ * @description Unit tests for background_tracking.js.
+ */
+
+import {
+  getBackgroundActivity,
+  selectBackgroundSessions,
+} from '../../../background_scripts/background_tracking.js';
+
+const sites = [
+  {
+    id: 'youtube',
+    urlPattern: 'youtube.com',
+    isEnabled: true,
+    trackInBackground: true,
+  },
+  {
+    id: 'twitch',
+    urlPattern: 'twitch.tv',
+    isEnabled: true,
+    trackInBackground: true,
+  },
+  { id: 'reddit', urlPattern: 'reddit.com', isEnabled: true },
+];
+
+const windows = [
+  { id: 1, focused: true, state: 'normal' },
+  { id: 2, focused: false, state: 'normal' },
+  { id: 3, focused: false, state: 'minimized' },
+];
+
+const settings = {
+  idleDetectionEnabled: true,
+  idleThresholdSeconds: 60,
+  idleCountMedia: true,
+};
+
+/** Matches the test sites by host name. */
+const matchSiteId = (url) => {
+  const site = sites.find((s) => new URL(url).hostname.endsWith(s.urlPattern));
+  return site ? site.id : null;
+};
+
+/** Builds the selection context around the given tabs. */
+const contextFor = (tabs, changes = {}) => ({
+  tabs,
+  windows,
+  sites,
+  matchSiteId,
+  foregroundSiteId: null,
+  mediaTabIds: [],
+  idleState: 'active',
+  settings,
+  ...changes,
+});
+
+describe('background_tracking.js', () => {
+  describe('getBackgroundActivity', () => {
+    const visibleWindowIds = new Set([1, 2]);
+
+    it('should count audible tabs and tabs reported as playing', () => {
+      expect(
+        getBackgroundActivity(
+          { id: 5, windowId: 3, audible: true },
+          visibleWindowIds,
+          []
+        )
+      ).toEqual({ counts: true, playingMedia: true });
+      expect(
+        getBackgroundActivity({ id: 5, windowId: 3 }, visibleWindowIds, [5])
+      ).toEqual({ counts: true, playingMedia: true });
+    });
+
+    it('should count the active tab of a window that is not minimized', () => {
+      expect(
+        getBackgroundActivity(
+          { id: 5, windowId: 2, active: true },
+          visibleWindowIds,
+          []
+        )
+      ).toEqual({ counts: true, playingMedia: false });
+      expect(
+        getBackgroundActivity(
+          { id: 5, windowId: 3, active: true },
+          visibleWindowIds,
+          []
+        ).counts
+      ).toBe(false);
+      expect(
+        getBackgroundActivity(
+          { id: 5, windowId: 2, active: false },
+          visibleWindowIds,
+          []
+        ).counts
+      ).toBe(false);
+    });
+  });
+
+  describe('selectBackgroundSessions', () => {
+    it('should select audible tabs, playing tabs and visible tabs of opted-in sites', () => {
+      const tabs = [
+        {
+          id: 10,
+          windowId: 1,
+          url: 'https://www.youtube.com/watch',
+          audible: true,
+        },
+        {
+          id: 11,
+          windowId: 2,
+          url: 'https://www.twitch.tv/stream',
+          active: true,
+        },
+        { id: 12, windowId: 2, url: 'https://www.reddit.com/', audible: true },
+      ];
+
+      expect(selectBackgroundSessions(contextFor(tabs))).toEqual([
+        {
+          siteId: 'youtube',
+          tabId: 10,
+          url: 'https://www.youtube.com/watch',
+        },
+        {
+          siteId: 'twitch',
+          tabId: 11,
+          url: 'https://www.twitch.tv/stream',
+        },
+      ]);
+    });
+
+    it('should count muted videos reported by the page, e.g. in picture-in-picture', () => {
+      const tabs = [{ id: 10, windowId: 1, url: 'https://youtube.com/watch' }];
+
+      expect(selectBackgroundSessions(contextFor(tabs))).toEqual([]);
+      expect(
+        selectBackgroundSessions(contextFor(tabs, { mediaTabIds: [10] }))
+      ).toEqual([
+        { siteId: 'youtube', tabId: 10, url: 'https://youtube.com/watch' },
+      ]);
+    });
+
+    it('should not count the site tracked in the foreground twice', () => {
+      const tabs = [
+        {
+          id: 10,
+          windowId: 1,
+          url: 'https://youtube.com/watch',
+          audible: true,
+        },
+      ];
+
+      expect(
+        selectBackgroundSessions(
+          contextFor(tabs, { foregroundSiteId: 'youtube' })
+        )
+      ).toEqual([]);
+    });
+
+    it('should keep one session per site on its current tab', () => {
+      const tabs = [
+        { id: 10, windowId: 1, url: 'https://youtube.com/a', audible: true },
+        { id: 11, windowId: 2, url: 'https://youtube.com/b', audible: true },
+      ];
+
+      expect(selectBackgroundSessions(contextFor(tabs))).toEqual([
+        { siteId: 'youtube', tabId: 10, url: 'https://youtube.com/a' },
+      ]);
+      expect(
+        selectBackgroundSessions(
+          contextFor(tabs, {
+            currentSessions: { youtube: { tabId: 11, startTime: 0 } },
+          })
+        )
+      ).toEqual([
+        { siteId: 'youtube', tabId: 11, url: 'https://youtube.com/b' },
+      ]);
+    });
+
+    it('should only keep playing tabs while the user is idle', () => {
+      const tabs = [
+        {
+          id: 10,
+          windowId: 1,
+          url: 'https://youtube.com/watch',
+          audible: true,
+        },
+        { id: 11, windowId: 2, url: 'https://twitch.tv/stream', active: true },
+      ];
+
+      expect(
+        selectBackgroundSessions(contextFor(tabs, { idleState: 'idle' }))
+      ).toEqual([
+        { siteId: 'youtube', tabId: 10, url: 'https://youtube.com/watch' },
+      ]);
+      expect(
+        selectBackgroundSessions(contextFor(tabs, { idleState: 'locked' }))
+      ).toEqual([]);
+    });
+
+    it('should ignore disabled sites', () => {
+      const tabs = [
+        {
+          id: 10,
+          windowId: 1,
+          url: 'https://youtube.com/watch',
+          audible: true,
+        },
+      ];
+      const disabled = sites.map((site) => ({ ...site, isEnabled: false }));
+
+      expect(
+        selectBackgroundSessions(contextFor(tabs, { sites: disabled }))
+      ).toEqual([]);
+    });
+  });
+});
@@ -41,7 +41,8 @@ const mockSiteStorage = {
 };
 
 const mockUsageStorage = {
-  getUsageStats: jest.fn(),
+  getCombinedUsageStats: jest.fn(),
+  getUsageStatsForDates: jest.fn(async () => ({})),
 };
 
 const mockDistractionDetector = {
@@ -171,7 +172,7 @@ describe('BadgeManager', () => {
         siteId: 'site1',
       });
       mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
-      mockUsageStorage.getUsageStats.mockResolvedValue(mockUsageStats);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue(mockUsageStats);
 
       await badgeManager.updateBadge(123);
 
@@ -185,6 +186,36 @@ describe('BadgeManager', () => {
       });
     });
 
+    test('should show the weekly budget when it is tighter than the daily limit', async () => {
+      const mockSite = {
+        id: 'site1',
+        urlPattern: 'facebook.com',
+        dailyLimitSeconds: 3600,
+        weeklyLimitSeconds: 1200, // 20 minutes for the whole week
+        isEnabled: true,
+      };
+
+      mockTabsArea.get.mockResolvedValue({
+        id: 123,
+        url: 'https://facebook.com',
+      });
+      mockDistractionDetector.checkIfUrlIsDistracting.mockReturnValue({
+        isMatch: true,
+        siteId: 'site1',
+      });
+      mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 600, opens: 1 },
+      });
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: '10m',
+        tabId: 123,
+      });
+    });
+
     test('should update badge for distracting site with open limit', async () => {
       const mockTab = {
         id: 123,
@@ -206,7 +237,7 @@ describe('BadgeManager', () => {
         siteId: 'site2',
       });
       mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
-      mockUsageStorage.getUsageStats.mockResolvedValue(mockUsageStats);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue(mockUsageStats);
 
       await badgeManager.updateBadge(123);
 
@@ -238,7 +269,7 @@ describe('BadgeManager', () => {
         siteId: 'site3',
       });
       mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
-      mockUsageStorage.getUsageStats.mockResolvedValue(mockUsageStats);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue(mockUsageStats);
 
       await badgeManager.updateBadge(123);
 
@@ -248,6 +279,79 @@ describe('BadgeManager', () => {
       });
     });
 
+    test('should show OFF during a scheduled block window', async () => {
+      const mockSite = {
+        id: 'site1',
+        urlPattern: 'facebook.com',
+        dailyLimitSeconds: 3600,
+        isEnabled: true,
+        schedule: [
+          {
+            days: [0, 1, 2, 3, 4, 5, 6],
+            start: '00:00',
+            end: '24:00',
+            mode: 'block',
+          },
+        ],
+      };
+
+      mockTabsArea.get.mockResolvedValue({
+        id: 123,
+        url: 'https://facebook.com',
+      });
+      mockDistractionDetector.checkIfUrlIsDistracting.mockReturnValue({
+        isMatch: true,
+        siteId: 'site1',
+      });
+      mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue({});
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: 'OFF',
+        tabId: 123,
+      });
+    });
+
+    test('should use the limits of an active schedule limit window', async () => {
+      const mockSite = {
+        id: 'site1',
+        urlPattern: 'facebook.com',
+        dailyLimitSeconds: 3600,
+        isEnabled: true,
+        schedule: [
+          {
+            days: [0, 1, 2, 3, 4, 5, 6],
+            start: '00:00',
+            end: '24:00',
+            mode: 'limit',
+            dailyLimitSeconds: 7200,
+          },
+        ],
+      };
+
+      mockTabsArea.get.mockResolvedValue({
+        id: 123,
+        url: 'https://facebook.com',
+      });
+      mockDistractionDetector.checkIfUrlIsDistracting.mockReturnValue({
+        isMatch: true,
+        siteId: 'site1',
+      });
+      mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
+      mockUsageStorage.getCombinedUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 3600, opens: 1 },
+      });
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: '1h', // 2h window limit minus 1h used
+        tabId: 123,
+      });
+    });
+
     test('should handle site storage fetch failure', async () => {
       const mockTab = {
         id: 123,
@@ -289,7 +393,7 @@ describe('BadgeManager', () => {
         siteId: 'site1',
       });
       mockSiteStorage.getDistractingSites.mockResolvedValue([mockSite]);
-      mockUsageStorage.getUsageStats.mockRejectedValue(
+      mockUsageStorage.getCombinedUsageStats.mockRejectedValue(
         new Error('Usage storage error')
       );
 
@@ -303,6 +407,98 @@ describe('BadgeManager', () => {
     });
   });
 
+  describe('during a focus session', () => {
+    const now = Date.now();
+    const focusSession = {
+      id: 'focus1',
+      startedAt: now - 60 * 1000,
+      focusMinutes: 25,
+      breakMinutes: 5,
+      cycles: 2,
+      siteIds: [],
+    };
+
+    test('should show the minutes left in the focus period on any tab', async () => {
+      mockTabsArea.get.mockResolvedValue({ id: 123, url: 'about:blank' });
+      mockStorageArea.get.mockResolvedValue({ focusSession });
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: '24m',
+        tabId: 123,
+      });
+      expect(mockActionArea.setBadgeBackgroundColor).toHaveBeenCalledWith({
+        color: [255, 59, 48, 255],
+        tabId: 123,
+      });
+    });
+
+    test('should show the break countdown in green', async () => {
+      mockTabsArea.get.mockResolvedValue({ id: 123, url: 'https://a.com' });
+      mockStorageArea.get.mockResolvedValue({
+        focusSession: { ...focusSession, startedAt: now - 26 * 60 * 1000 },
+      });
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: '4m',
+        tabId: 123,
+      });
+      expect(mockActionArea.setBadgeBackgroundColor).toHaveBeenCalledWith({
+        color: [52, 199, 89, 255],
+        tabId: 123,
+      });
+    });
+  });
+
+  describe('on the timeout page of a cooldown', () => {
+    const timeoutPage = (params) =>
+      `moz-extension://abc/ui/timeout/timeout.html?blockedUrl=https%3A%2F%2Fa.com&siteId=site1&${params}`;
+
+    test('should show the minutes until the site can be opened again', async () => {
+      const availableAt = Date.now() + 14.5 * 60 * 1000;
+      mockTabsArea.get.mockResolvedValue({
+        id: 123,
+        url: timeoutPage(`limitType=cooldown&availableAt=${availableAt}`),
+      });
+      mockStorageArea.get.mockResolvedValue({});
+
+      await badgeManager.updateBadge(123);
+
+      expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+        text: '15m',
+        tabId: 123,
+      });
+      expect(mockActionArea.setBadgeBackgroundColor).toHaveBeenCalledWith({
+        color: [175, 82, 222, 255],
+        tabId: 123,
+      });
+    });
+
+    test('should clear the badge once the cooldown is over, or for other blocks', async () => {
+      mockStorageArea.get.mockResolvedValue({});
+      for (const params of [
+        `limitType=cooldown&availableAt=${Date.now() - 1000}`,
+        `limitType=schedule&availableAt=${Date.now() + 60 * 60 * 1000}`,
+      ]) {
+        mockTabsArea.get.mockResolvedValue({
+          id: 123,
+          url: timeoutPage(params),
+        });
+        mockActionArea.setBadgeText.mockClear();
+
+        await badgeManager.updateBadge(123);
+
+        expect(mockActionArea.setBadgeText).toHaveBeenCalledWith({
+          text: '',
+          tabId: 123,
+        });
+      }
+    });
+  });
+
   describe('clearBadge function', () => {
     test('should handle invalid tabId gracefully', async () => {
       await badgeManager.clearBadge(null);
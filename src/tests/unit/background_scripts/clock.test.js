@@ -0,0 +1,177 @@
+/**
+ * @file clock.test.js
+ * @description Unit tests for clock.js. The module keeps the day-start hour in memory,
+ * so it is imported fresh for every test.
+ */
+
+import { jest } from '@jest/globals';
+
+describe('clock.js', () => {
+  let clock;
+  let storedSettings;
+  let storageListeners;
+
+  beforeEach(async () => {
+    storedSettings = {};
+    storageListeners = [];
+    global.browser = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ appSettings: storedSettings })),
+          set: jest.fn(async () => {}),
+        },
+        onChanged: {
+          addListener: jest.fn((listener) => storageListeners.push(listener)),
+        },
+      },
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    jest.resetModules();
+    clock = await import('../../../background_scripts/clock.js');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('date keys', () => {
+    it('should format dates using the local calendar date', () => {
+      expect(clock.formatDateKey(new Date(2024, 0, 5, 23, 59))).toBe(
+        '2024-01-05'
+      );
+    });
+
+    it('should shift across month and year boundaries', () => {
+      expect(clock.shiftDateKey('2024-03-01', -1)).toBe('2024-02-29');
+      expect(clock.shiftDateKey('2023-12-31', 1)).toBe('2024-01-01');
+    });
+
+    it('should find the Monday that starts the week', () => {
+      expect(clock.getWeekStartKey('2024-03-13')).toBe('2024-03-11');
+      expect(clock.getWeekStartKey('2024-03-11')).toBe('2024-03-11');
+      expect(clock.getWeekStartKey('2024-03-17')).toBe('2024-03-11');
+    });
+
+    it('should find the first day of the month, optionally moved', () => {
+      expect(clock.getMonthStartKey('2024-03-13')).toBe('2024-03-01');
+      expect(clock.getMonthStartKey('2024-12-31', 1)).toBe('2025-01-01');
+      expect(clock.getMonthStartKey('2024-01-15', -1)).toBe('2023-12-01');
+    });
+  });
+
+  describe('getDayKey', () => {
+    it('should use the calendar day when days start at midnight', () => {
+      expect(clock.getDayKey(new Date(2024, 2, 12, 0, 30))).toBe('2024-03-12');
+    });
+
+    it('should count the hours before the day start towards the day before', () => {
+      expect(clock.getDayKey(new Date(2024, 2, 12, 1, 30), 4)).toBe(
+        '2024-03-11'
+      );
+      expect(clock.getDayKey(new Date(2024, 2, 12, 4, 0), 4)).toBe(
+        '2024-03-12'
+      );
+      expect(clock.getDayKey(new Date(2024, 0, 1, 3, 59), 4)).toBe(
+        '2023-12-31'
+      );
+    });
+  });
+
+  describe('getNextDayStart', () => {
+    it('should return the next day start in local time', () => {
+      const next = new Date(
+        clock.getNextDayStart(new Date(2024, 2, 12, 1, 30), 4)
+      );
+
+      expect(clock.formatDateKey(next)).toBe('2024-03-12');
+      expect(next.getHours()).toBe(4);
+      expect(next.getMinutes()).toBe(0);
+    });
+
+    it('should return the start of tomorrow once today has started', () => {
+      const next = new Date(
+        clock.getNextDayStart(new Date(2024, 2, 12, 4, 0), 4)
+      );
+
+      expect(clock.formatDateKey(next)).toBe('2024-03-13');
+      expect(next.getHours()).toBe(4);
+    });
+
+    it('should build the next day start from local date parts', () => {
+      // Whatever the timezone's DST rules, the day start stays at the local hour
+      const next = new Date(
+        clock.getNextDayStart(new Date(2024, 2, 30, 12, 0), 6)
+      );
+
+      expect(clock.formatDateKey(next)).toBe('2024-03-31');
+      expect(next.getHours()).toBe(6);
+    });
+  });
+
+  describe('initializeClock', () => {
+    it('should load the day-start hour from the app settings', async () => {
+      storedSettings = { dayStartHour: 4 };
+
+      await clock.initializeClock();
+
+      expect(clock.getDayStartHour()).toBe(4);
+      expect(clock.getDayKey(new Date(2024, 2, 12, 3, 0))).toBe('2024-03-11');
+    });
+
+    it('should follow changes to the day-start hour', async () => {
+      const onDayStartChanged = jest.fn();
+      await clock.initializeClock(onDayStartChanged);
+
+      storageListeners.forEach((listener) =>
+        listener(
+          {
+            appSettings: {
+              oldValue: { dayStartHour: 0 },
+              newValue: { dayStartHour: 5 },
+            },
+          },
+          'local'
+        )
+      );
+
+      expect(clock.getDayStartHour()).toBe(5);
+      expect(onDayStartChanged).toHaveBeenCalledWith(5);
+    });
+
+    it('should ignore settings changes that keep the hour', async () => {
+      const onDayStartChanged = jest.fn();
+      await clock.initializeClock(onDayStartChanged);
+
+      storageListeners.forEach((listener) =>
+        listener(
+          {
+            appSettings: {
+              newValue: { dayStartHour: 0, historyRetentionDays: 30 },
+            },
+          },
+          'local'
+        )
+      );
+
+      expect(onDayStartChanged).not.toHaveBeenCalled();
+    });
+
+    it('should keep midnight when the settings cannot be read', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      browser.storage.local.get.mockRejectedValue(new Error('Storage error'));
+
+      await clock.initializeClock();
+
+      expect(clock.getDayStartHour()).toBe(0);
+    });
+  });
+
+  describe('getTodayKey', () => {
+    it('should return the key of the current usage day', async () => {
+      storedSettings = { dayStartHour: 4 };
+
+      expect(await clock.getTodayKey()).toBe(clock.getDayKey(new Date(), 4));
+    });
+  });
+});
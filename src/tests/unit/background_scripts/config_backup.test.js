@@ -0,0 +1,344 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file config_backup.test.js
+ * @description Unit tests for config_backup.js.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+  remove: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+};
+
+const mockCrypto = {
+  randomUUID: jest.fn(),
+};
+global.crypto = mockCrypto;
+
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  parseBackup,
+  planImport,
+  previewImport,
+  importBackup,
+  createUsageCsv,
+} from '../../../background_scripts/config_backup.js';
+
+describe('config_backup.js', () => {
+  let mockLocalStorageData;
+  let consoleErrorSpy;
+
+  const makeBackup = (data) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: '2024-03-13T10:00:00.000Z',
+    data,
+  });
+
+  const emptyData = () => ({
+    distractingSites: [],
+    siteGroups: [],
+    timeoutNotes: [],
+    appSettings: {},
+    usageHistory: { daily: {}, weekly: {} },
+  });
+
+  beforeEach(() => {
+    mockLocalStorageData = {
+      distractingSites: [
+        {
+          id: 'site-1',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 1800,
+          isEnabled: true,
+          groupId: 'group-1',
+        },
+      ],
+      siteGroups: [{ id: 'group-1', name: 'Social', dailyLimitSeconds: 3600 }],
+      timeoutNotes: [{ id: 'note-1', text: 'Go for a walk' }],
+      'usageStats-2024-03-12': {
+        'site-1': { timeSpentSeconds: 600, opens: 3 },
+      },
+    };
+
+    mockStorageArea.get.mockImplementation(async (key) =>
+      key === null ? { ...mockLocalStorageData } : {}
+    );
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(mockLocalStorageData, items);
+    });
+    mockStorageArea.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach((key) => delete mockLocalStorageData[key]);
+    });
+
+    let uuidCounter = 0;
+    mockCrypto.randomUUID.mockImplementation(() => `uuid-${++uuidCounter}`);
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockStorageArea.set.mockClear();
+    mockStorageArea.remove.mockClear();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('createBackup', () => {
+    it('should export configuration and history in a versioned envelope', async () => {
+      const backup = await createBackup();
+
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.version).toBe(BACKUP_VERSION);
+      expect(backup.data.distractingSites).toHaveLength(1);
+      expect(backup.data.usageHistory.daily).toEqual({
+        '2024-03-12': { 'site-1': { timeSpentSeconds: 600, opens: 3 } },
+      });
+    });
+
+    it('should round-trip through parseBackup', async () => {
+      const backup = JSON.parse(JSON.stringify(await createBackup()));
+      const parsed = parseBackup(backup);
+
+      expect(parsed.isValid).toBe(true);
+      expect(parsed.data.siteGroups).toEqual(mockLocalStorageData.siteGroups);
+    });
+
+    it('should return null on storage errors', async () => {
+      mockStorageArea.get.mockRejectedValueOnce(new Error('Storage error'));
+      expect(await createBackup()).toBe(null);
+    });
+  });
+
+  describe('parseBackup', () => {
+    it('should reject files that are not backups or from a newer version', () => {
+      expect(parseBackup({ foo: 'bar' }).error).toBe(
+        'This file is not a Distraction Limiter backup'
+      );
+      expect(
+        parseBackup({ ...makeBackup(emptyData()), version: BACKUP_VERSION + 1 })
+          .isValid
+      ).toBe(false);
+    });
+
+    it('should report the first invalid entry', () => {
+      const data = emptyData();
+      data.distractingSites = [
+        { id: 's1', urlPattern: '', dailyLimitSeconds: 60, isEnabled: true },
+      ];
+      const parsed = parseBackup(makeBackup(data));
+
+      expect(parsed.isValid).toBe(false);
+      expect(parsed.error).toMatch(/^Invalid backup: distractingSites\[0\]/);
+    });
+  });
+
+  describe('planImport', () => {
+    const current = () => ({
+      distractingSites: [
+        {
+          id: 'site-1',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 1800,
+          isEnabled: true,
+        },
+      ],
+      siteGroups: [],
+      timeoutNotes: [{ id: 'note-1', text: 'Go for a walk' }],
+      appSettings: {},
+      usageHistory: {
+        daily: {
+          '2024-03-12': { 'site-1': { timeSpentSeconds: 600, opens: 3 } },
+        },
+        weekly: {},
+      },
+    });
+
+    const incoming = () => ({
+      distractingSites: [
+        {
+          id: 'other-id',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 900,
+          isEnabled: true,
+          groupId: 'g-imported',
+        },
+        {
+          id: 'site-2',
+          urlPattern: 'youtube.com',
+          dailyOpenLimit: 5,
+          isEnabled: true,
+        },
+      ],
+      siteGroups: [{ id: 'g-imported', name: 'Social', dailyOpenLimit: 10 }],
+      timeoutNotes: [
+        { id: 'note-9', text: 'go for a walk' },
+        { id: 'note-1', text: 'Read a book' },
+      ],
+      appSettings: { historyRetentionDays: 30 },
+      usageHistory: {
+        daily: {
+          '2024-03-12': { 'other-id': { timeSpentSeconds: 300, opens: 5 } },
+          '2024-03-11': { 'site-2': { timeSpentSeconds: 60, opens: 1 } },
+        },
+        weekly: {},
+      },
+    });
+
+    it('should merge by URL pattern, group name and note text', () => {
+      const { result, diff, error } = planImport(
+        current(),
+        incoming(),
+        'merge'
+      );
+
+      expect(error).toBe(null);
+      // The matched site keeps its ID so its history stays attached
+      expect(result.distractingSites).toEqual([
+        {
+          id: 'site-1',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 900,
+          isEnabled: true,
+          groupId: 'g-imported',
+        },
+        {
+          id: 'site-2',
+          urlPattern: 'youtube.com',
+          dailyOpenLimit: 5,
+          isEnabled: true,
+        },
+      ]);
+      // Duplicate note text is skipped, a clashing note ID is replaced
+      expect(result.timeoutNotes).toEqual([
+        { id: 'note-1', text: 'Go for a walk' },
+        { id: 'uuid-1', text: 'Read a book' },
+      ]);
+      // Overlapping usage keeps the larger values instead of adding them up
+      expect(result.usageHistory.daily['2024-03-12']).toEqual({
+        'site-1': { timeSpentSeconds: 600, opens: 5 },
+      });
+
+      expect(diff.sites).toEqual({
+        added: ['youtube.com'],
+        updated: ['reddit.com'],
+        removed: [],
+      });
+      expect(diff.groups.added).toEqual(['Social']);
+      expect(diff.notes.added).toEqual(['Read a book']);
+      expect(diff.settingsChanged).toBe(true);
+      expect(diff.usageDays).toEqual({ added: 1, updated: 1, removed: 0 });
+    });
+
+    it('should report removals when replacing', () => {
+      const data = incoming();
+      data.distractingSites = [data.distractingSites[1]];
+      data.timeoutNotes = [];
+
+      const { result, diff } = planImport(current(), data, 'replace');
+
+      expect(result).toBe(data);
+      expect(diff.sites).toEqual({
+        added: ['youtube.com'],
+        updated: [],
+        removed: ['reddit.com'],
+      });
+      expect(diff.notes.removed).toEqual(['Go for a walk']);
+      expect(diff.usageDays).toEqual({ added: 1, updated: 1, removed: 0 });
+    });
+
+    it('should refuse merges that exceed the storage limits', () => {
+      const many = emptyData();
+      many.timeoutNotes = Array.from({ length: 1000 }, (_, i) => ({
+        id: `n${i}`,
+        text: `Note ${i}`,
+      }));
+
+      const { error } = planImport(current(), many, 'merge');
+      expect(error).toBe('Maximum number of notes reached (1000)');
+    });
+  });
+
+  describe('previewImport', () => {
+    it('should not write anything', async () => {
+      const outcome = await previewImport(makeBackup(emptyData()), 'replace');
+
+      expect(outcome.isValid).toBe(true);
+      expect(outcome.diff.sites.removed).toEqual(['reddit.com']);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+      expect(mockStorageArea.remove).not.toHaveBeenCalled();
+    });
+
+    it('should return validation errors', async () => {
+      const outcome = await previewImport({ format: 'other' }, 'merge');
+      expect(outcome.isValid).toBe(false);
+    });
+  });
+
+  describe('importBackup', () => {
+    it('should replace configuration and drop history missing from the backup', async () => {
+      const data = emptyData();
+      data.timeoutNotes = [{ id: 'n1', text: 'Stretch' }];
+      data.usageHistory.daily['2024-03-01'] = {
+        s9: { timeSpentSeconds: 10, opens: 1 },
+      };
+
+      const outcome = await importBackup(makeBackup(data), 'replace');
+
+      expect(outcome.isValid).toBe(true);
+      expect(mockLocalStorageData.distractingSites).toEqual([]);
+      expect(mockLocalStorageData.timeoutNotes).toEqual([
+        { id: 'n1', text: 'Stretch' },
+      ]);
+      expect(mockLocalStorageData['usageStats-2024-03-01']).toBeDefined();
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageStats-2024-03-12',
+      ]);
+    });
+
+    it('should return null on storage errors', async () => {
+      mockStorageArea.set.mockRejectedValueOnce(new Error('Storage error'));
+      expect(await importBackup(makeBackup(emptyData()), 'merge')).toBe(null);
+      expect(consoleErrorSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('createUsageCsv', () => {
+    it('should export one row per site and day with safe fields', async () => {
+      mockLocalStorageData.distractingSites.push({
+        id: 'site-2',
+        urlPattern: '=x.com',
+        dailyLimitSeconds: 60,
+        isEnabled: true,
+      });
+      mockLocalStorageData['usageStats-2024-03-11'] = {
+        'site-2': { timeSpentSeconds: 90, opens: 2 },
+        deleted: { timeSpentSeconds: 30, opens: 1 },
+      };
+
+      const csv = await createUsageCsv();
+
+      expect(csv.split('\n')).toEqual([
+        'date,url_pattern,site_id,time_spent_seconds,time_spent_minutes,opens',
+        "2024-03-11,'=x.com,site-2,90,1.5,2",
+        '2024-03-11,,deleted,30,0.5,1',
+        '2024-03-12,reddit.com,site-1,600,10.0,3',
+        '',
+      ]);
+    });
+  });
+});
@@ -21,6 +21,7 @@ const mockAlarmsAPI = {
 
 const mockStorageArea = {
   get: jest.fn(),
+  set: jest.fn(),
   remove: jest.fn(),
 };
 
@@ -28,6 +29,7 @@ global.browser = {
   alarms: mockAlarmsAPI,
   storage: {
     local: mockStorageArea,
+    onChanged: { addListener: jest.fn() },
   },
 };
 
@@ -36,12 +38,22 @@ jest.unstable_mockModule(
   '../../../background_scripts/usage_storage.js',
   () => ({
     getUsageStats: jest.fn(),
+    getUsageStatsForDates: jest.fn(async () => ({})),
+    flushPendingUsage: jest.fn(async () => true),
   })
 );
 
-const { getUsageStats } = await import(
+// Mock session_log module (IndexedDB is not available here)
+jest.unstable_mockModule('../../../background_scripts/session_log.js', () => ({
+  deleteSessionLogBefore: jest.fn(async () => 0),
+}));
+
+const { getUsageStats, getUsageStatsForDates } = await import(
   '../../../background_scripts/usage_storage.js'
 );
+const { deleteSessionLogBefore } = await import(
+  '../../../background_scripts/session_log.js'
+);
 const { initializeDailyResetAlarm, performDailyReset } = await import(
   '../../../background_scripts/daily_reset.js'
 );
@@ -77,6 +89,12 @@ describe('daily_reset.js', () => {
       return Promise.resolve(result);
     });
 
+    // Mock storage.local.set
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(mockStorageData, items);
+      return Promise.resolve();
+    });
+
     // Mock storage.local.remove
     mockStorageArea.remove.mockImplementation(async (keys) => {
       const keysArray = Array.isArray(keys) ? keys : [keys];
@@ -105,7 +123,6 @@ describe('daily_reset.js', () => {
 
       expect(mockAlarmsAPI.create).toHaveBeenCalledWith('dailyResetAlarm', {
         when: expect.any(Number),
-        periodInMinutes: 24 * 60,
       });
 
       expect(mockAlarmsAPI.get).toHaveBeenCalledWith('dailyResetAlarm');
@@ -184,7 +201,7 @@ describe('daily_reset.js', () => {
       jest.useRealTimers();
     });
 
-    it('should remove old usage statistics and preserve current day', async () => {
+    it('should keep old usage statistics and preserve current day', async () => {
       // Set up mock storage with usage data from multiple days
       mockStorageData = {
         [`usageStats-${today}`]: { site1: { timeSpentSeconds: 100, opens: 2 } },
@@ -202,11 +219,11 @@ describe('daily_reset.js', () => {
 
       await performDailyReset();
 
-      // Should remove old usage stats but keep current day and other data
-      expect(mockStorageArea.remove).toHaveBeenCalledWith([
-        `usageStats-${yesterday}`,
-        `usageStats-${twoDaysAgo}`,
-      ]);
+      // Default retention is 90 days, so nothing is removed or rolled up
+      expect(mockStorageArea.remove).not.toHaveBeenCalled();
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+      expect(mockStorageData[`usageStats-${yesterday}`]).toBeDefined();
+      expect(mockStorageData[`usageStats-${twoDaysAgo}`]).toBeDefined();
 
       // Verify current day stats were queried
       expect(getUsageStats).toHaveBeenCalledWith(today);
@@ -216,13 +233,7 @@ describe('daily_reset.js', () => {
         expect.stringContaining('[DailyReset] Starting daily reset process')
       );
       expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining(
-          '[DailyReset] Removing 2 old usage statistics entries:'
-        ),
-        expect.arrayContaining([
-          `usageStats-${yesterday}`,
-          `usageStats-${twoDaysAgo}`,
-        ])
+        '[DailyReset] No old usage statistics found to remove'
       );
       expect(consoleSpy).toHaveBeenCalledWith(
         expect.stringContaining(
@@ -234,10 +245,14 @@ describe('daily_reset.js', () => {
       );
     });
 
-    it('should handle case with no old usage statistics', async () => {
-      // Only current day data
+    it('should remove usage statistics past the retention limit', async () => {
+      // 90 days including today reaches back to 2023-09-27
       mockStorageData = {
         [`usageStats-${today}`]: { site1: { timeSpentSeconds: 100, opens: 2 } },
+        'usageStats-2023-09-27': { site2: { timeSpentSeconds: 50, opens: 1 } },
+        'usageStats-2023-09-26': {
+          site2: { timeSpentSeconds: 200, opens: 3 },
+        },
         otherData: { someKey: 'someValue' },
       };
 
@@ -246,12 +261,131 @@ describe('daily_reset.js', () => {
 
       await performDailyReset();
 
-      // Should not call remove since there are no old stats
-      expect(mockStorageArea.remove).not.toHaveBeenCalled();
+      // Should only remove the day past the limit
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageStats-2023-09-26',
+      ]);
+      expect(mockStorageData[`usageStats-${today}`]).toBeDefined();
+      expect(mockStorageData['usageStats-2023-09-27']).toBeDefined();
+      expect(mockStorageData.otherData).toBeDefined();
 
       expect(consoleSpy).toHaveBeenCalledWith(
-        '[DailyReset] No old usage statistics found to remove'
+        expect.stringContaining(
+          '[DailyReset] Removing 1 old usage statistics entries:'
+        ),
+        ['usageStats-2023-09-26']
       );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `[DailyReset] Current day (${today}) has 1 site(s) with usage data - preserved`
+        )
+      );
+    });
+
+    it('should roll expired days into weekly rollups before removing them', async () => {
+      // 90 days including today reaches back to 2023-09-27
+      mockStorageData = {
+        'usageStats-2023-09-27': { site1: { timeSpentSeconds: 50, opens: 1 } },
+        'usageStats-2023-09-26': {
+          site1: { timeSpentSeconds: 200, opens: 2 },
+          site2: { timeSpentSeconds: 30, opens: 1 },
+        },
+        'usageStats-2023-09-25': { site1: { timeSpentSeconds: 100, opens: 1 } },
+        'usageWeekly-2023-09-25': {
+          site1: { timeSpentSeconds: 10, opens: 1, days: 1 },
+        },
+      };
+      getUsageStats.mockResolvedValueOnce({});
+
+      await performDailyReset();
+
+      expect(mockStorageArea.set).toHaveBeenCalledWith({
+        'usageWeekly-2023-09-25': {
+          site1: { timeSpentSeconds: 310, opens: 4, days: 3 },
+          site2: { timeSpentSeconds: 30, opens: 1, days: 1 },
+        },
+      });
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageStats-2023-09-26',
+        'usageStats-2023-09-25',
+      ]);
+      expect(mockStorageData['usageStats-2023-09-27']).toBeDefined();
+    });
+
+    it('should honour the configured history retention', async () => {
+      mockStorageData = {
+        appSettings: { historyRetentionDays: 14 },
+        'usageStats-2023-12-12': { site1: { timeSpentSeconds: 60, opens: 1 } },
+        'usageStats-2023-12-11': { site1: { timeSpentSeconds: 60, opens: 1 } },
+      };
+      getUsageStats.mockResolvedValueOnce({});
+
+      await performDailyReset();
+
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageStats-2023-12-11',
+      ]);
+      expect(mockStorageData['usageWeekly-2023-12-11']).toEqual({
+        site1: { timeSpentSeconds: 60, opens: 1, days: 1 },
+      });
+      expect(deleteSessionLogBefore).toHaveBeenCalledWith('2023-12-12');
+    });
+
+    it('should bank the unused time of the day that ended', async () => {
+      mockStorageData = {
+        distractingSites: [
+          {
+            id: 'site1',
+            dailyLimitSeconds: 1800,
+            rolloverPercent: 50,
+            rolloverCapSeconds: 3600,
+          },
+        ],
+      };
+      getUsageStatsForDates.mockResolvedValueOnce({
+        [yesterday]: { site1: { timeSpentSeconds: 600, opens: 1 } },
+      });
+      getUsageStats.mockResolvedValueOnce({});
+
+      await performDailyReset();
+
+      expect(mockStorageData.rolloverBank).toEqual({
+        settledThrough: yesterday,
+        banks: { site1: [{ date: yesterday, seconds: 600 }] },
+      });
+    });
+
+    it('should keep the days of the month while a site has a monthly budget', async () => {
+      mockStorageData = {
+        appSettings: { historyRetentionDays: 14 },
+        distractingSites: [{ id: 'site1', monthlyLimitSeconds: 36000 }],
+        'usageStats-2023-12-11': { site1: { timeSpentSeconds: 60, opens: 1 } },
+        'usageStats-2023-11-30': { site1: { timeSpentSeconds: 60, opens: 1 } },
+      };
+      getUsageStats.mockResolvedValueOnce({});
+
+      await performDailyReset();
+
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageStats-2023-11-30',
+      ]);
+      expect(mockStorageData['usageStats-2023-12-11']).toBeDefined();
+      expect(deleteSessionLogBefore).toHaveBeenCalledWith('2023-12-01');
+    });
+
+    it('should drop weekly rollups older than two years', async () => {
+      mockStorageData = {
+        'usageWeekly-2021-12-27': { site1: { timeSpentSeconds: 60, opens: 1 } },
+        'usageWeekly-2021-12-20': { site1: { timeSpentSeconds: 60, opens: 1 } },
+      };
+      getUsageStats.mockResolvedValueOnce({});
+
+      await performDailyReset();
+
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+      expect(mockStorageArea.remove).toHaveBeenCalledWith([
+        'usageWeekly-2021-12-20',
+      ]);
     });
 
     it('should handle case with no usage statistics at all', async () => {
@@ -277,7 +411,12 @@ describe('daily_reset.js', () => {
 
     it('should handle storage get error gracefully', async () => {
       const error = new Error('Storage access failed');
-      mockStorageArea.get.mockRejectedValueOnce(error);
+      mockStorageArea.get.mockImplementation(async (key) => {
+        if (key === null) {
+          throw error;
+        }
+        return {};
+      });
 
       await expect(performDailyReset()).rejects.toThrow(
         'Storage access failed'
@@ -290,7 +429,7 @@ describe('daily_reset.js', () => {
 
     it('should handle storage remove error gracefully', async () => {
       mockStorageData = {
-        [`usageStats-${yesterday}`]: {
+        'usageStats-2023-01-01': {
           site2: { timeSpentSeconds: 200, opens: 3 },
         },
       };
@@ -32,6 +32,9 @@ global.browser = {
 // Declare variables for the imported functions, to be assigned in beforeEach
 let initializeDistractionDetector;
 let checkIfUrlIsDistracting;
+let hasTitleRules;
+let hasBackgroundSites;
+let getCachedDistractingSites;
 let loadDistractingSitesFromStorage;
 
 describe('DistractionDetector', () => {
@@ -53,6 +56,9 @@ describe('DistractionDetector', () => {
     initializeDistractionDetector =
       detectorModule.initializeDistractionDetector;
     checkIfUrlIsDistracting = detectorModule.checkIfUrlIsDistracting;
+    hasTitleRules = detectorModule.hasTitleRules;
+    hasBackgroundSites = detectorModule.hasBackgroundSites;
+    getCachedDistractingSites = detectorModule.getCachedDistractingSites;
     loadDistractingSitesFromStorage =
       detectorModule.loadDistractingSitesFromStorage;
   });
@@ -216,7 +222,7 @@ describe('DistractionDetector', () => {
     });
 
     it('should handle URLs with different subdomains correctly based on hostname matching', () => {
-      // Assuming 'example.com' pattern should match 'sub.example.com' due to includes logic
+      // A plain host pattern covers the host and all of its subdomains
       const result = checkIfUrlIsDistracting(
         'https://sub.example.com/another/page'
       );
@@ -224,6 +230,12 @@ describe('DistractionDetector', () => {
       expect(result.siteId).toBe('1');
     });
 
+    it('should not match hosts that merely contain the pattern', () => {
+      const result = checkIfUrlIsDistracting('https://notexample.com');
+      expect(result.isMatch).toBe(false);
+      expect(result.siteId).toBeNull();
+    });
+
     it('should handle invalid URLs gracefully', () => {
       const result = checkIfUrlIsDistracting('not-a-url');
       expect(result.isMatch).toBe(false);
@@ -231,6 +243,64 @@ describe('DistractionDetector', () => {
     });
   });
 
+  describe('title rules', () => {
+    const titleSite = { id: '5', urlPattern: 'title:reels', isEnabled: true };
+
+    it('should match title rules when the tab title is passed', async () => {
+      mockGetDistractingSites.mockResolvedValue([...sampleSites, titleSite]);
+      await initializeDistractionDetector();
+
+      expect(hasTitleRules()).toBe(true);
+      expect(checkIfUrlIsDistracting('https://youtube.com/').siteId).toBe('4');
+      expect(
+        checkIfUrlIsDistracting('https://youtube.com/', 'Reels - YouTube')
+          .siteId
+      ).toBe('5');
+    });
+
+    it('should only report enabled title rules', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        ...sampleSites,
+        { ...titleSite, isEnabled: false },
+      ]);
+      await initializeDistractionDetector();
+
+      expect(hasTitleRules()).toBe(false);
+    });
+  });
+
+  describe('background sites', () => {
+    it('should report enabled sites that count in the background', async () => {
+      const backgroundSite = {
+        id: '5',
+        urlPattern: 'music.example.com',
+        isEnabled: true,
+        trackInBackground: true,
+      };
+      mockGetDistractingSites.mockResolvedValue(sampleSites);
+      await initializeDistractionDetector();
+      expect(hasBackgroundSites()).toBe(false);
+
+      mockGetDistractingSites.mockResolvedValue([
+        ...sampleSites,
+        { ...backgroundSite, isEnabled: false },
+      ]);
+      await loadDistractingSitesFromStorage();
+      expect(hasBackgroundSites()).toBe(false);
+
+      mockGetDistractingSites.mockResolvedValue([
+        ...sampleSites,
+        backgroundSite,
+      ]);
+      await loadDistractingSitesFromStorage();
+      expect(hasBackgroundSites()).toBe(true);
+      expect(getCachedDistractingSites()).toEqual([
+        ...sampleSites,
+        backgroundSite,
+      ]);
+    });
+  });
+
   describe('Storage Change Handling', () => {
     it('should reload distracting sites when storage.onChanged fires for distractingSites', async () => {
       mockGetDistractingSites.mockResolvedValue([...sampleSites]);
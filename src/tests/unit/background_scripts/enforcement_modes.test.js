@@ -0,0 +1,138 @@
+/**
+ * @file enforcement_modes.test.js
+ * @description Unit tests for enforcement_modes.js.
+ */
+
+import { jest } from '@jest/globals';
+
+global.browser = {
+  tabs: {
+    sendMessage: jest.fn(async () => undefined),
+  },
+};
+
+const {
+  DEFAULT_ENFORCEMENT,
+  getEnforcementSteps,
+  getLoadDelaySeconds,
+  resolveEnforcement,
+  describePageEnforcement,
+  sendTabEnforcement,
+  forgetTabEnforcement,
+} = await import('../../../background_scripts/enforcement_modes.js');
+
+describe('enforcement_modes.js', () => {
+  const site = {
+    id: 'youtube',
+    urlPattern: 'youtube.com',
+    enforcement: [
+      { mode: 'grayscale', afterMinutes: 0 },
+      { mode: 'delay', afterMinutes: 5 },
+      { mode: 'block', afterMinutes: 20 },
+    ],
+  };
+
+  beforeEach(() => {
+    browser.tabs.sendMessage.mockClear();
+    forgetTabEnforcement(1);
+  });
+
+  describe('getEnforcementSteps', () => {
+    it('should fall back to a hard block', () => {
+      expect(getEnforcementSteps({ id: 'plain' })).toBe(DEFAULT_ENFORCEMENT);
+      expect(getEnforcementSteps(site)).toBe(site.enforcement);
+    });
+  });
+
+  describe('getLoadDelaySeconds', () => {
+    it('should grow every 5 minutes past the limit, up to a minute', () => {
+      expect(getLoadDelaySeconds(0)).toBe(5);
+      expect(getLoadDelaySeconds(299)).toBe(5);
+      expect(getLoadDelaySeconds(300)).toBe(10);
+      expect(getLoadDelaySeconds(4 * 3600)).toBe(60);
+    });
+  });
+
+  describe('resolveEnforcement', () => {
+    it('should pick the last step reached and tell what follows', () => {
+      expect(resolveEnforcement(site, 0)).toEqual({
+        mode: 'grayscale',
+        next: { mode: 'delay', inSeconds: 300 },
+      });
+      expect(resolveEnforcement(site, 600)).toEqual({
+        mode: 'delay',
+        next: { mode: 'block', inSeconds: 600 },
+        delaySeconds: 15,
+      });
+      expect(resolveEnforcement(site, 1200)).toEqual({
+        mode: 'block',
+        next: null,
+      });
+    });
+
+    it('should let the blur notice be dismissed after a delay', () => {
+      expect(
+        resolveEnforcement(
+          { enforcement: [{ mode: 'blur', afterMinutes: 0 }] },
+          90
+        )
+      ).toEqual({ mode: 'blur', next: null, dismissAfterSeconds: 15 });
+    });
+
+    it('should block sites without steps of their own', () => {
+      expect(resolveEnforcement({ id: 'plain' }, 0)).toEqual({
+        mode: 'block',
+        next: null,
+      });
+    });
+  });
+
+  describe('describePageEnforcement', () => {
+    it('should describe soft modes only', () => {
+      const blockResult = {
+        shouldBlock: true,
+        reason: 'Over the limit.',
+        enforcement: resolveEnforcement(site, 600),
+      };
+      expect(describePageEnforcement(blockResult)).toEqual({
+        mode: 'delay',
+        reason: 'Over the limit.',
+        nextMode: 'block',
+        delaySeconds: 15,
+      });
+
+      expect(
+        describePageEnforcement({
+          ...blockResult,
+          enforcement: { mode: 'block', next: null },
+        })
+      ).toBeNull();
+      expect(describePageEnforcement({ shouldBlock: false })).toBeNull();
+    });
+  });
+
+  describe('sendTabEnforcement', () => {
+    const state = { mode: 'grayscale', reason: 'Over.', nextMode: null };
+
+    it('should only send changes', async () => {
+      expect(await sendTabEnforcement(1, state)).toBe(true);
+      expect(await sendTabEnforcement(1, { ...state })).toBe(false);
+      expect(await sendTabEnforcement(1, null)).toBe(true);
+      expect(await sendTabEnforcement(1, null)).toBe(false);
+
+      expect(browser.tabs.sendMessage).toHaveBeenCalledTimes(2);
+      expect(browser.tabs.sendMessage).toHaveBeenLastCalledWith(1, {
+        type: 'enforcementChanged',
+        enforcement: null,
+      });
+    });
+
+    it('should cope with pages that have no content script', async () => {
+      browser.tabs.sendMessage.mockRejectedValueOnce(
+        new Error('Receiving end does not exist')
+      );
+
+      expect(await sendTabEnforcement(1, state)).toBe(false);
+    });
+  });
+});
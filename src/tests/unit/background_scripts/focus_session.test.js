@@ -0,0 +1,319 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file focus_session.test.js
+ * @description Unit tests for focus_session.js, run against an in-memory storage.local.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn(),
+  },
+  notifications: {
+    create: jest.fn(),
+  },
+};
+
+import {
+  FOCUS_PHASE_ALARM,
+  FOCUS_TICK_ALARM,
+  MAX_FOCUS_HISTORY_ENTRIES,
+  getFocusPhase,
+  countCompletedCycles,
+  getFocusBlock,
+  describeFocusSession,
+  getFocusSession,
+  getFocusHistory,
+  startFocusSession,
+  stopFocusSession,
+  handleFocusPhaseEnd,
+  resumeFocusSession,
+} from '../../../background_scripts/focus_session.js';
+
+const NOW = new Date(2024, 2, 14, 12, 0, 0).getTime();
+const MINUTE = 60 * 1000;
+
+/** Two 25 minute focus periods with a 5 minute break, started at NOW. */
+const session = {
+  id: 'focus1',
+  startedAt: NOW,
+  focusMinutes: 25,
+  breakMinutes: 5,
+  cycles: 2,
+  siteIds: [],
+};
+
+const options = {
+  focusMinutes: 25,
+  focusBreakMinutes: 5,
+  focusCycles: 2,
+  focusSiteIds: ['site1'],
+};
+
+describe('focus_session.js', () => {
+  let storageData;
+  let consoleErrorSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    storageData = {};
+    jest.clearAllMocks();
+
+    mockStorageArea.get.mockImplementation(async (key) => {
+      return storageData[key] !== undefined
+        ? { [key]: structuredClone(storageData[key]) }
+        : {};
+    });
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(storageData, structuredClone(items));
+    });
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  describe('getFocusPhase', () => {
+    it('should walk through focus periods and breaks', () => {
+      expect(getFocusPhase(session, NOW)).toEqual({
+        phase: 'focus',
+        cycle: 1,
+        phaseEndsAt: NOW + 25 * MINUTE,
+      });
+      expect(getFocusPhase(session, NOW + 25 * MINUTE)).toEqual({
+        phase: 'break',
+        cycle: 1,
+        phaseEndsAt: NOW + 30 * MINUTE,
+      });
+      expect(getFocusPhase(session, NOW + 30 * MINUTE)).toEqual({
+        phase: 'focus',
+        cycle: 2,
+        phaseEndsAt: NOW + 55 * MINUTE,
+      });
+      expect(getFocusPhase(session, NOW + 55 * MINUTE)).toEqual({
+        phase: 'ended',
+        cycle: 2,
+        phaseEndsAt: null,
+      });
+    });
+
+    it('should go straight to the next focus period without breaks', () => {
+      const noBreaks = { ...session, breakMinutes: 0 };
+
+      expect(getFocusPhase(noBreaks, NOW + 25 * MINUTE)).toEqual({
+        phase: 'focus',
+        cycle: 2,
+        phaseEndsAt: NOW + 50 * MINUTE,
+      });
+    });
+  });
+
+  describe('countCompletedCycles', () => {
+    it('should count finished focus periods only', () => {
+      expect(countCompletedCycles(session, NOW + 24 * MINUTE)).toBe(0);
+      expect(countCompletedCycles(session, NOW + 26 * MINUTE)).toBe(1);
+      expect(countCompletedCycles(session, NOW + 54 * MINUTE)).toBe(1);
+      expect(countCompletedCycles(session, NOW + 90 * MINUTE)).toBe(2);
+    });
+  });
+
+  describe('getFocusBlock', () => {
+    it('should block every site when no sites were chosen', () => {
+      expect(getFocusBlock(session, 'any-site', NOW)).toEqual({
+        cycle: 1,
+        phaseEndsAt: NOW + 25 * MINUTE,
+      });
+    });
+
+    it('should only block the chosen sites', () => {
+      const chosen = { ...session, siteIds: ['site1'] };
+
+      expect(getFocusBlock(chosen, 'site1', NOW)).not.toBeNull();
+      expect(getFocusBlock(chosen, 'site2', NOW)).toBeNull();
+    });
+
+    it('should not block during breaks or without a session', () => {
+      expect(getFocusBlock(session, 'site1', NOW + 26 * MINUTE)).toBeNull();
+      expect(getFocusBlock(null, 'site1', NOW)).toBeNull();
+    });
+  });
+
+  describe('describeFocusSession', () => {
+    it('should add the current phase and the end of the session', () => {
+      expect(describeFocusSession(session, NOW + 26 * MINUTE)).toEqual({
+        ...session,
+        phase: 'break',
+        cycle: 1,
+        phaseEndsAt: NOW + 30 * MINUTE,
+        endsAt: NOW + 55 * MINUTE,
+      });
+      expect(describeFocusSession(null, NOW)).toBeNull();
+    });
+  });
+
+  describe('startFocusSession', () => {
+    it('should store the session, schedule its alarms and notify', async () => {
+      const result = await startFocusSession(options, NOW);
+
+      expect(result.error).toBeNull();
+      expect(result.session).toMatchObject({
+        startedAt: NOW,
+        focusMinutes: 25,
+        breakMinutes: 5,
+        cycles: 2,
+        siteIds: ['site1'],
+      });
+      expect(await getFocusSession()).toEqual(result.session);
+      expect(browser.alarms.create).toHaveBeenCalledWith(FOCUS_PHASE_ALARM, {
+        when: NOW + 25 * MINUTE,
+      });
+      expect(browser.alarms.create).toHaveBeenCalledWith(FOCUS_TICK_ALARM, {
+        periodInMinutes: 1,
+      });
+      expect(browser.notifications.create).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Focus session started' })
+      );
+    });
+
+    it('should refuse to start a second session', async () => {
+      await startFocusSession(options, NOW);
+
+      const second = await startFocusSession(options, NOW + MINUTE);
+
+      expect(second).toEqual({
+        session: null,
+        error: 'A focus session is already running.',
+      });
+    });
+
+    it('should still start when notifications fail', async () => {
+      browser.notifications.create.mockRejectedValue(new Error('denied'));
+
+      const result = await startFocusSession(options, NOW);
+
+      expect(result.session).not.toBeNull();
+    });
+  });
+
+  describe('stopFocusSession', () => {
+    it('should record the stopped session in the history', async () => {
+      storageData.focusSession = session;
+
+      const entry = await stopFocusSession(NOW + 40 * MINUTE);
+
+      expect(entry).toEqual({
+        id: 'focus1',
+        startedAt: NOW,
+        endedAt: NOW + 40 * MINUTE,
+        focusMinutes: 25,
+        breakMinutes: 5,
+        cycles: 2,
+        completedCycles: 1,
+        status: 'stopped',
+        siteIds: [],
+      });
+      expect(await getFocusSession()).toBeNull();
+      expect(await getFocusHistory()).toEqual([entry]);
+      expect(browser.alarms.clear).toHaveBeenCalledWith(FOCUS_PHASE_ALARM);
+      expect(browser.alarms.clear).toHaveBeenCalledWith(FOCUS_TICK_ALARM);
+    });
+
+    it('should return null when no session is running', async () => {
+      expect(await stopFocusSession(NOW)).toBeNull();
+    });
+
+    it('should keep only the most recent sessions', async () => {
+      storageData.focusHistory = Array.from(
+        { length: MAX_FOCUS_HISTORY_ENTRIES },
+        (_, i) => ({ id: `old-${i}` })
+      );
+      storageData.focusSession = session;
+
+      await stopFocusSession(NOW + MINUTE);
+      const history = await getFocusHistory();
+
+      expect(history).toHaveLength(MAX_FOCUS_HISTORY_ENTRIES);
+      expect(history[0].id).toBe('old-1');
+      expect(history[history.length - 1].id).toBe('focus1');
+    });
+  });
+
+  describe('handleFocusPhaseEnd', () => {
+    it('should announce the break and schedule the next phase', async () => {
+      storageData.focusSession = session;
+
+      const result = await handleFocusPhaseEnd(NOW + 25 * MINUTE);
+
+      expect(result).toEqual({ session, entry: null });
+      expect(browser.alarms.create).toHaveBeenCalledWith(FOCUS_PHASE_ALARM, {
+        when: NOW + 30 * MINUTE,
+      });
+      expect(browser.notifications.create).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Time for a break' })
+      );
+    });
+
+    it('should finish the session after the last focus period', async () => {
+      storageData.focusSession = session;
+
+      const result = await handleFocusPhaseEnd(NOW + 55 * MINUTE);
+
+      expect(result.session).toBeNull();
+      expect(result.entry).toMatchObject({
+        status: 'completed',
+        completedCycles: 2,
+        endedAt: NOW + 55 * MINUTE,
+      });
+      expect(await getFocusSession()).toBeNull();
+      expect(browser.notifications.create).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Focus session complete' })
+      );
+    });
+  });
+
+  describe('resumeFocusSession', () => {
+    it('should recreate the alarms of a running session', async () => {
+      storageData.focusSession = session;
+
+      const resumed = await resumeFocusSession(NOW + 31 * MINUTE);
+
+      expect(resumed).toEqual(session);
+      expect(browser.alarms.create).toHaveBeenCalledWith(FOCUS_PHASE_ALARM, {
+        when: NOW + 55 * MINUTE,
+      });
+    });
+
+    it('should finish a session that ran out while the browser was closed', async () => {
+      storageData.focusSession = session;
+
+      const resumed = await resumeFocusSession(NOW + 3 * 60 * MINUTE);
+      const history = await getFocusHistory();
+
+      expect(resumed).toBeNull();
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({
+        status: 'completed',
+        endedAt: NOW + 55 * MINUTE,
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file group_storage.test.js
+ * @description Unit tests for group_storage.js.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+};
+
+const mockCrypto = {
+  randomUUID: jest.fn(),
+};
+global.crypto = mockCrypto;
+
+import {
+  getSiteGroups,
+  addSiteGroup,
+  updateSiteGroup,
+  deleteSiteGroup,
+  getGroupUsage,
+} from '../../../background_scripts/group_storage.js';
+
+describe('group_storage.js', () => {
+  let mockLocalStorageData;
+  let consoleErrorSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    mockLocalStorageData = {};
+
+    mockStorageArea.get.mockImplementation(async (keys) => {
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (mockLocalStorageData[key] !== undefined) {
+          result[key] = mockLocalStorageData[key];
+        }
+      });
+      return result;
+    });
+
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(mockLocalStorageData, items);
+    });
+
+    let uuidCounter = 0;
+    mockCrypto.randomUUID.mockImplementation(
+      () => `group-uuid-${++uuidCounter}`
+    );
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    mockStorageArea.get.mockClear();
+    mockStorageArea.set.mockClear();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  describe('getSiteGroups', () => {
+    it('should return an empty array when no groups are stored', async () => {
+      expect(await getSiteGroups()).toEqual([]);
+    });
+
+    it('should return an empty array on storage errors', async () => {
+      mockStorageArea.get.mockRejectedValueOnce(new Error('Storage error'));
+      expect(await getSiteGroups()).toEqual([]);
+      expect(consoleErrorSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('addSiteGroup', () => {
+    it('should add a valid group with a trimmed name', async () => {
+      const group = await addSiteGroup({
+        name: '  Social ',
+        dailyLimitSeconds: 1800,
+      });
+
+      expect(group).toEqual({
+        id: 'group-uuid-1',
+        name: 'Social',
+        dailyLimitSeconds: 1800,
+      });
+      expect(mockLocalStorageData.siteGroups).toEqual([group]);
+    });
+
+    it('should reject groups without a name or limit', async () => {
+      expect(await addSiteGroup({ name: '', dailyLimitSeconds: 60 })).toBe(
+        null
+      );
+      expect(await addSiteGroup({ name: 'News' })).toBe(null);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSiteGroup', () => {
+    beforeEach(() => {
+      mockLocalStorageData.siteGroups = [
+        {
+          id: 'g1',
+          name: 'Social',
+          dailyLimitSeconds: 1800,
+          dailyOpenLimit: 10,
+        },
+      ];
+    });
+
+    it('should merge updates and drop limits set to 0', async () => {
+      const updated = await updateSiteGroup('g1', {
+        name: 'Social media',
+        dailyOpenLimit: 0,
+      });
+
+      expect(updated).toEqual({
+        id: 'g1',
+        name: 'Social media',
+        dailyLimitSeconds: 1800,
+      });
+      expect(mockLocalStorageData.siteGroups[0]).toEqual(updated);
+    });
+
+    it('should reject updates that leave the group without limits', async () => {
+      const updated = await updateSiteGroup('g1', {
+        dailyLimitSeconds: 0,
+        dailyOpenLimit: 0,
+      });
+      expect(updated).toBe(null);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should return null for unknown groups', async () => {
+      expect(await updateSiteGroup('missing', { name: 'X' })).toBe(null);
+      expect(consoleWarnSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteSiteGroup', () => {
+    it('should delete the group and ungroup its member sites', async () => {
+      mockLocalStorageData.siteGroups = [
+        { id: 'g1', name: 'Social', dailyLimitSeconds: 1800 },
+      ];
+      mockLocalStorageData.distractingSites = [
+        { id: 's1', urlPattern: 'x.com', groupId: 'g1' },
+        { id: 's2', urlPattern: 'news.com' },
+      ];
+
+      expect(await deleteSiteGroup('g1')).toBe(true);
+      expect(mockLocalStorageData.siteGroups).toEqual([]);
+      expect(mockLocalStorageData.distractingSites).toEqual([
+        { id: 's1', urlPattern: 'x.com' },
+        { id: 's2', urlPattern: 'news.com' },
+      ]);
+    });
+
+    it('should return false for unknown groups', async () => {
+      expect(await deleteSiteGroup('missing')).toBe(false);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getGroupUsage', () => {
+    it('should sum the usage of all member sites', () => {
+      const sites = [
+        { id: 'twitter', groupId: 'g1' },
+        { id: 'reddit', groupId: 'g1' },
+        { id: 'news', groupId: 'g2' },
+        { id: 'other' },
+      ];
+      const dailyStats = {
+        twitter: { timeSpentSeconds: 1200, opens: 3 },
+        reddit: { timeSpentSeconds: 900, opens: 2 },
+        news: { timeSpentSeconds: 600, opens: 1 },
+        other: { timeSpentSeconds: 300, opens: 1 },
+      };
+
+      expect(getGroupUsage('g1', sites, dailyStats)).toEqual({
+        timeSpentSeconds: 2100,
+        opens: 5,
+      });
+      expect(getGroupUsage('g3', sites, dailyStats)).toEqual({
+        timeSpentSeconds: 0,
+        opens: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file idle_monitor.test.js
+ * @description Unit tests for idle_monitor.js, run against an in-memory storage.local.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+  remove: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+  idle: {
+    queryState: jest.fn(),
+    setDetectionInterval: jest.fn(),
+  },
+  tabs: {
+    get: jest.fn(),
+  },
+};
+
+import {
+  MEDIA_TABS_KEY,
+  configureIdleDetection,
+  getIdleState,
+  getMediaPlayingTabs,
+  setTabMediaPlaying,
+  clearMediaPlayback,
+  isTabPlayingMedia,
+  shouldPauseTracking,
+} from '../../../background_scripts/idle_monitor.js';
+
+const settings = {
+  idleDetectionEnabled: true,
+  idleThresholdSeconds: 60,
+  idleCountMedia: true,
+};
+
+describe('idle_monitor.js', () => {
+  let storageData;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    storageData = {};
+    jest.clearAllMocks();
+
+    mockStorageArea.get.mockImplementation(async (key) => {
+      return storageData[key] !== undefined
+        ? { [key]: structuredClone(storageData[key]) }
+        : {};
+    });
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(storageData, structuredClone(items));
+    });
+    mockStorageArea.remove.mockImplementation(async (key) => {
+      delete storageData[key];
+    });
+    browser.tabs.get.mockResolvedValue({ id: 7, audible: false });
+
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleWarnSpy.mockRestore();
+  });
+
+  describe('configureIdleDetection', () => {
+    it('should apply the configured threshold', async () => {
+      await configureIdleDetection({ ...settings, idleThresholdSeconds: 120 });
+
+      expect(browser.idle.setDetectionInterval).toHaveBeenCalledWith(120);
+    });
+  });
+
+  describe('getIdleState', () => {
+    it('should query the state with the configured threshold', async () => {
+      browser.idle.queryState.mockResolvedValue('idle');
+
+      expect(await getIdleState(settings)).toBe('idle');
+      expect(browser.idle.queryState).toHaveBeenCalledWith(60);
+    });
+
+    it('should report active while idle detection is off', async () => {
+      const state = await getIdleState({
+        ...settings,
+        idleDetectionEnabled: false,
+      });
+
+      expect(state).toBe('active');
+      expect(browser.idle.queryState).not.toHaveBeenCalled();
+    });
+
+    it('should report active when the state cannot be read', async () => {
+      browser.idle.queryState.mockRejectedValue(new Error('unavailable'));
+
+      expect(await getIdleState(settings)).toBe('active');
+    });
+  });
+
+  describe('media playback', () => {
+    it('should remember which tabs are playing', async () => {
+      await setTabMediaPlaying(7, true);
+      await setTabMediaPlaying(8, true);
+      await setTabMediaPlaying(7, false);
+
+      expect(await getMediaPlayingTabs()).toEqual([8]);
+      expect(await isTabPlayingMedia(8)).toBe(true);
+      expect(await isTabPlayingMedia(7)).toBe(false);
+    });
+
+    it('should count audible tabs as playing', async () => {
+      browser.tabs.get.mockResolvedValue({ id: 7, audible: true });
+
+      expect(await isTabPlayingMedia(7)).toBe(true);
+    });
+
+    it('should forget all reports', async () => {
+      await setTabMediaPlaying(7, true);
+
+      await clearMediaPlayback();
+
+      expect(storageData[MEDIA_TABS_KEY]).toBeUndefined();
+      expect(await getMediaPlayingTabs()).toEqual([]);
+    });
+  });
+
+  describe('shouldPauseTracking', () => {
+    it('should keep counting while the user is active', async () => {
+      expect(await shouldPauseTracking(7, settings, 'active')).toBe(false);
+    });
+
+    it('should pause an abandoned tab while the user is idle', async () => {
+      expect(await shouldPauseTracking(7, settings, 'idle')).toBe(true);
+    });
+
+    it('should keep counting a playing tab while the user is idle', async () => {
+      await setTabMediaPlaying(7, true);
+
+      expect(await shouldPauseTracking(7, settings, 'idle')).toBe(false);
+      expect(
+        await shouldPauseTracking(
+          7,
+          { ...settings, idleCountMedia: false },
+          'idle'
+        )
+      ).toBe(true);
+    });
+
+    it('should always pause while the screen is locked', async () => {
+      await setTabMediaPlaying(7, true);
+
+      expect(await shouldPauseTracking(7, settings, 'locked')).toBe(true);
+    });
+
+    it('should never pause while idle detection is off', async () => {
+      const off = { ...settings, idleDetectionEnabled: false };
+
+      expect(await shouldPauseTracking(7, off, 'locked')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * @file limit_warnings.test.js
+ * @description Unit tests for limit_warnings.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetAppSettings = jest.fn();
+
+jest.unstable_mockModule(
+  '../../../background_scripts/settings_storage.js',
+  () => ({
+    getAppSettings: mockGetAppSettings,
+  })
+);
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getUsageStatsForDates: jest.fn(),
+  })
+);
+
+let storageData = {};
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) =>
+        key in storageData ? { [key]: storageData[key] } : {}
+      ),
+      set: jest.fn(async (items) => Object.assign(storageData, items)),
+    },
+    onChanged: { addListener: jest.fn() },
+  },
+  notifications: {
+    create: jest.fn(async () => 'id'),
+  },
+};
+
+const {
+  WARNING_STATE_KEY,
+  isInQuietHours,
+  getWarningThresholds,
+  getDueWarnings,
+  checkLimitWarnings,
+} = await import('../../../background_scripts/limit_warnings.js');
+
+describe('limit_warnings.js', () => {
+  const settings = {
+    warningsEnabled: true,
+    warningThresholds: ['50%', '5m', '1m'],
+    warnLastOpen: true,
+    quietHoursEnabled: false,
+    quietHoursStart: '22:00',
+    quietHoursEnd: '07:00',
+  };
+  // 30 minutes and 5 opens a day
+  const site = {
+    id: 'youtube',
+    urlPattern: 'youtube.com',
+    dailyLimitSeconds: 1800,
+    dailyOpenLimit: 5,
+  };
+  const noon = new Date(2024, 2, 11, 12, 0);
+
+  beforeEach(() => {
+    storageData = {};
+    mockGetAppSettings.mockReset();
+    mockGetAppSettings.mockResolvedValue({ ...settings });
+    browser.notifications.create.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isInQuietHours', () => {
+    const quiet = { ...settings, quietHoursEnabled: true };
+
+    it('should cover windows that run past midnight', () => {
+      expect(isInQuietHours(quiet, new Date(2024, 2, 11, 23, 0))).toBe(true);
+      expect(isInQuietHours(quiet, new Date(2024, 2, 11, 6, 59))).toBe(true);
+      expect(isInQuietHours(quiet, new Date(2024, 2, 11, 7, 0))).toBe(false);
+    });
+
+    it('should cover windows within a day', () => {
+      const daytime = {
+        ...quiet,
+        quietHoursStart: '09:00',
+        quietHoursEnd: '17:00',
+      };
+      expect(isInQuietHours(daytime, noon)).toBe(true);
+      expect(isInQuietHours(daytime, new Date(2024, 2, 11, 18, 0))).toBe(false);
+    });
+
+    it('should never be quiet when turned off', () => {
+      expect(isInQuietHours(settings, new Date(2024, 2, 11, 23, 0))).toBe(
+        false
+      );
+    });
+  });
+
+  describe('getWarningThresholds', () => {
+    it("should prefer the site's own thresholds, even an empty list", () => {
+      expect(getWarningThresholds(site, settings)).toEqual(['50%', '5m', '1m']);
+      expect(
+        getWarningThresholds({ ...site, warningThresholds: ['10m'] }, settings)
+      ).toEqual(['10m']);
+      expect(
+        getWarningThresholds({ ...site, warningThresholds: [] }, settings)
+      ).toEqual([]);
+    });
+  });
+
+  describe('getDueWarnings', () => {
+    const thresholds = ['50%', '5m', '1m'];
+
+    it('should list the time thresholds crossed so far', () => {
+      const ids = (usage) =>
+        getDueWarnings(thresholds, true, usage, 1800, 0).map(
+          (warning) => warning.id
+        );
+      expect(ids({ timeSpentSeconds: 800, opens: 1 })).toEqual([]);
+      expect(ids({ timeSpentSeconds: 900, opens: 1 })).toEqual(['50%']);
+      expect(ids({ timeSpentSeconds: 1750, opens: 1 })).toEqual([
+        '50%',
+        '5m',
+        '1m',
+      ]);
+    });
+
+    it('should not warn once the time is up or without a time limit', () => {
+      expect(
+        getDueWarnings(thresholds, true, { timeSpentSeconds: 1800 }, 1800, 0)
+      ).toEqual([]);
+      expect(
+        getDueWarnings(thresholds, true, { timeSpentSeconds: 1800 }, 0, 0)
+      ).toEqual([]);
+    });
+
+    it('should warn when one open is left', () => {
+      const usage = { timeSpentSeconds: 0, opens: 4 };
+      expect(getDueWarnings([], true, usage, 0, 5)).toEqual([
+        { id: 'lastOpen', kind: 'lastOpen', value: 1 },
+      ]);
+      expect(getDueWarnings([], false, usage, 0, 5)).toEqual([]);
+      expect(getDueWarnings([], true, { ...usage, opens: 3 }, 0, 5)).toEqual(
+        []
+      );
+    });
+  });
+
+  describe('checkLimitWarnings', () => {
+    it('should notify once per threshold and day', async () => {
+      const usage = { timeSpentSeconds: 1520, opens: 2 };
+
+      const shown = await checkLimitWarnings(
+        site,
+        usage,
+        '2024-03-11',
+        0,
+        noon
+      );
+
+      expect(shown.map((warning) => warning.id)).toEqual(['50%', '5m']);
+      expect(browser.notifications.create).toHaveBeenCalledWith(
+        'limitWarning-youtube',
+        expect.objectContaining({
+          message: '5 minutes left on youtube.com today.',
+        })
+      );
+      expect(storageData[WARNING_STATE_KEY]).toEqual({
+        date: '2024-03-11',
+        fired: { youtube: ['50%', '5m'] },
+      });
+
+      // The same thresholds stay quiet for the rest of the day
+      expect(
+        await checkLimitWarnings(site, usage, '2024-03-11', 0, noon)
+      ).toEqual([]);
+      expect(browser.notifications.create).toHaveBeenCalledTimes(1);
+
+      // But fire again the next day
+      expect(
+        await checkLimitWarnings(site, usage, '2024-03-12', 0, noon)
+      ).toHaveLength(2);
+    });
+
+    it('should count banked time towards the limit', async () => {
+      // Half of 30 minutes is used, but not half of 30 + 30 banked minutes
+      const usage = { timeSpentSeconds: 900, opens: 1 };
+      expect(
+        await checkLimitWarnings(site, usage, '2024-03-11', 1800, noon)
+      ).toEqual([]);
+    });
+
+    it('should say how much is used and mention the last open', async () => {
+      await checkLimitWarnings(
+        site,
+        { timeSpentSeconds: 900, opens: 4 },
+        '2024-03-11',
+        0,
+        noon
+      );
+
+      expect(browser.notifications.create.mock.calls[0][1].message).toBe(
+        "50% of today's time on youtube.com used, 15 minutes left. One open of youtube.com left today."
+      );
+    });
+
+    it('should stay silent during quiet hours without warning later', async () => {
+      mockGetAppSettings.mockResolvedValue({
+        ...settings,
+        quietHoursEnabled: true,
+      });
+      const usage = { timeSpentSeconds: 900, opens: 1 };
+      const lateNight = new Date(2024, 2, 11, 23, 30);
+
+      expect(
+        await checkLimitWarnings(site, usage, '2024-03-11', 0, lateNight)
+      ).toEqual([]);
+      expect(browser.notifications.create).not.toHaveBeenCalled();
+      expect(storageData[WARNING_STATE_KEY].fired.youtube).toEqual(['50%']);
+    });
+
+    it('should do nothing when warnings are turned off', async () => {
+      mockGetAppSettings.mockResolvedValue({
+        ...settings,
+        warningsEnabled: false,
+      });
+
+      expect(
+        await checkLimitWarnings(
+          site,
+          { timeSpentSeconds: 1700, opens: 4 },
+          '2024-03-11',
+          0,
+          noon
+        )
+      ).toEqual([]);
+      expect(storageData).not.toHaveProperty(WARNING_STATE_KEY);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @file mindful_pause.test.js
+ * @description Unit tests for mindful_pause.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetDistractingSites = jest.fn();
+const mockGetSiteAllowance = jest.fn();
+
+jest.unstable_mockModule('../../../background_scripts/site_storage.js', () => ({
+  getDistractingSites: mockGetDistractingSites,
+}));
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getCombinedUsageStats: jest.fn(async () => ({})),
+  })
+);
+jest.unstable_mockModule(
+  '../../../background_scripts/site_allowance.js',
+  () => ({
+    getSiteAllowance: mockGetSiteAllowance,
+  })
+);
+
+global.browser = {
+  runtime: {
+    getURL: jest.fn((path) => `moz-extension://abc/${path}`),
+  },
+  storage: {
+    local: { get: jest.fn(async () => ({})) },
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+const {
+  MINDFUL_PAUSE_SECONDS,
+  PAUSE_GRACE_MINUTES,
+  getMindfulPauseUrl,
+  needsMindfulPause,
+  startMindfulPause,
+  continueAfterPause,
+  forgetMindfulPause,
+  getMindfulPauseInfo,
+} = await import('../../../background_scripts/mindful_pause.js');
+
+describe('mindful_pause.js', () => {
+  const now = new Date(2024, 2, 18, 15, 30).getTime();
+  const PAUSE_MS = MINDFUL_PAUSE_SECONDS * 1000;
+  const GRACE_MS = PAUSE_GRACE_MINUTES * 60 * 1000;
+  const reddit = {
+    id: 'reddit',
+    urlPattern: 'reddit.com',
+    dailyLimitSeconds: 1800,
+    isEnabled: true,
+    mindfulPause: true,
+  };
+  let nextTabId = 1;
+  let tabId;
+
+  beforeEach(() => {
+    // Pauses are kept per tab, so every test starts in a fresh one
+    tabId = nextTabId++;
+    mockGetDistractingSites.mockResolvedValue([reddit]);
+    mockGetSiteAllowance.mockResolvedValue({
+      remainingSeconds: 600,
+      remainingOpens: null,
+      override: { time: false, opens: false },
+    });
+  });
+
+  describe('getMindfulPauseUrl', () => {
+    it('should point to the pause page with the URL and site', () => {
+      expect(
+        getMindfulPauseUrl('https://reddit.com/r/all?sort=new', 'reddit')
+      ).toBe(
+        'moz-extension://abc/ui/pause/pause.html?url=https%3A%2F%2Freddit.com%2Fr%2Fall%3Fsort%3Dnew&siteId=reddit'
+      );
+    });
+  });
+
+  describe('needsMindfulPause', () => {
+    it('should only pause enabled sites that ask for it', () => {
+      expect(needsMindfulPause(tabId, reddit, false, now)).toBe(true);
+      expect(
+        needsMindfulPause(tabId, { ...reddit, mindfulPause: undefined })
+      ).toBe(false);
+      expect(needsMindfulPause(tabId, { ...reddit, isEnabled: false })).toBe(
+        false
+      );
+      expect(needsMindfulPause(tabId, null)).toBe(false);
+    });
+
+    it('should not pause navigation within a counted visit', () => {
+      expect(needsMindfulPause(tabId, reddit, true, now)).toBe(false);
+      // ...and lets the tab keep navigating for a while after it
+      expect(needsMindfulPause(tabId, reddit, false, now + 1000)).toBe(false);
+    });
+  });
+
+  describe('continueAfterPause', () => {
+    it('should wait for the countdown, then grant a grace period', () => {
+      expect(startMindfulPause(tabId, 'reddit', now)).toBe(now + PAUSE_MS);
+      expect(needsMindfulPause(tabId, reddit, false, now)).toBe(true);
+
+      expect(continueAfterPause(tabId, 'reddit', now + PAUSE_MS - 1)).toBe(
+        false
+      );
+      expect(continueAfterPause(tabId, 'reddit', now + PAUSE_MS)).toBe(true);
+      expect(continueAfterPause(tabId, 'reddit', now + PAUSE_MS)).toBe(false);
+
+      const continuedAt = now + PAUSE_MS;
+      expect(needsMindfulPause(tabId, reddit, false, continuedAt)).toBe(false);
+      // Each navigation extends the grace period
+      expect(
+        needsMindfulPause(tabId, reddit, false, continuedAt + GRACE_MS - 1)
+      ).toBe(false);
+      expect(
+        needsMindfulPause(tabId, reddit, false, continuedAt + 2 * GRACE_MS)
+      ).toBe(true);
+    });
+
+    it('should not continue without a pause for the site', () => {
+      expect(continueAfterPause(tabId, 'reddit', now)).toBe(false);
+
+      startMindfulPause(tabId, 'reddit', now);
+      expect(continueAfterPause(tabId, 'youtube', now + PAUSE_MS)).toBe(false);
+      expect(continueAfterPause(tabId + 1000, 'reddit', now + PAUSE_MS)).toBe(
+        false
+      );
+    });
+
+    it('should keep the grace period to its site', () => {
+      startMindfulPause(tabId, 'reddit', now);
+      continueAfterPause(tabId, 'reddit', now + PAUSE_MS);
+
+      expect(
+        needsMindfulPause(
+          tabId,
+          { ...reddit, id: 'youtube' },
+          false,
+          now + PAUSE_MS
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('forgetMindfulPause', () => {
+    it('should drop the grace period of a closed tab', () => {
+      startMindfulPause(tabId, 'reddit', now);
+      continueAfterPause(tabId, 'reddit', now + PAUSE_MS);
+      forgetMindfulPause(tabId);
+
+      expect(needsMindfulPause(tabId, reddit, false, now + PAUSE_MS)).toBe(
+        true
+      );
+      expect(continueAfterPause(tabId, 'reddit', now + PAUSE_MS)).toBe(false);
+    });
+  });
+
+  describe('getMindfulPauseInfo', () => {
+    it('should describe the running pause and the remaining budget', async () => {
+      startMindfulPause(tabId, 'reddit', now);
+
+      expect(await getMindfulPauseInfo(tabId, 'reddit', now + 3000)).toEqual({
+        siteId: 'reddit',
+        urlPattern: 'reddit.com',
+        readyAt: now + PAUSE_MS,
+        remainingSeconds: 600,
+        remainingOpens: null,
+      });
+    });
+
+    it('should start a pause when none is running', async () => {
+      const info = await getMindfulPauseInfo(tabId, 'reddit', now);
+
+      expect(info.readyAt).toBe(now + PAUSE_MS);
+      expect(continueAfterPause(tabId, 'reddit', now + PAUSE_MS)).toBe(true);
+    });
+
+    it('should show the borrowed time during an override', async () => {
+      mockGetSiteAllowance.mockResolvedValue({
+        remainingSeconds: 0,
+        remainingOpens: 0,
+        override: { time: true, opens: true, remainingSeconds: 240 },
+      });
+
+      expect(await getMindfulPauseInfo(tabId, 'reddit', now)).toMatchObject({
+        remainingSeconds: 240,
+        remainingOpens: null,
+      });
+    });
+
+    it('should return null for sites that no longer pause', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        { ...reddit, mindfulPause: undefined },
+      ]);
+
+      expect(await getMindfulPauseInfo(tabId, 'reddit', now)).toBeNull();
+      expect(await getMindfulPauseInfo(tabId, 'missing', now)).toBeNull();
+    });
+  });
+});
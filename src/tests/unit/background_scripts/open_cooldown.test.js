@@ -0,0 +1,107 @@
+/**
+ * @file open_cooldown.test.js
+ * @description Unit tests for open_cooldown.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetUsageStatsForDates = jest.fn();
+
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getUsageStatsForDates: mockGetUsageStatsForDates,
+  })
+);
+
+const { hasOpenCooldown, getLastOpenAt, getCooldownEnd } =
+  await import('../../../background_scripts/open_cooldown.js');
+
+describe('open_cooldown.js', () => {
+  const now = new Date(2024, 2, 18, 15, 30).getTime();
+  const site = {
+    id: 'reddit',
+    urlPattern: 'reddit.com',
+    dailyOpenLimit: 5,
+    openCooldownSeconds: 45 * 60,
+    isEnabled: true,
+  };
+
+  beforeEach(() => {
+    mockGetUsageStatsForDates.mockReset();
+    mockGetUsageStatsForDates.mockResolvedValue({});
+  });
+
+  describe('hasOpenCooldown', () => {
+    it('should only be true for sites with a cooldown', () => {
+      expect(hasOpenCooldown(site)).toBe(true);
+      expect(hasOpenCooldown({ ...site, openCooldownSeconds: 0 })).toBe(false);
+      expect(hasOpenCooldown({ ...site, openCooldownSeconds: undefined })).toBe(
+        false
+      );
+      expect(hasOpenCooldown(null)).toBe(false);
+    });
+  });
+
+  describe('getLastOpenAt', () => {
+    it("should use today's stats when the site was opened today", async () => {
+      const dailyStats = {
+        reddit: { timeSpentSeconds: 60, opens: 2, lastOpenAt: now - 1000 },
+      };
+
+      expect(await getLastOpenAt('reddit', '2024-03-18', dailyStats)).toBe(
+        now - 1000
+      );
+      expect(mockGetUsageStatsForDates).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the day before', async () => {
+      mockGetUsageStatsForDates.mockResolvedValue({
+        '2024-03-17': {
+          reddit: { timeSpentSeconds: 60, opens: 1, lastOpenAt: now - 5000 },
+        },
+      });
+
+      expect(await getLastOpenAt('reddit', '2024-03-18', {})).toBe(now - 5000);
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith(['2024-03-17']);
+    });
+
+    it('should read both days when no stats are given', async () => {
+      mockGetUsageStatsForDates.mockResolvedValue({
+        '2024-03-18': {
+          reddit: { timeSpentSeconds: 0, opens: 1, lastOpenAt: now },
+        },
+        '2024-03-17': {
+          reddit: { timeSpentSeconds: 60, opens: 1, lastOpenAt: now - 5000 },
+        },
+      });
+
+      expect(await getLastOpenAt('reddit', '2024-03-18')).toBe(now);
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith([
+        '2024-03-18',
+        '2024-03-17',
+      ]);
+    });
+
+    it('should return null for sites without a recorded open', async () => {
+      const dailyStats = { reddit: { timeSpentSeconds: 60, opens: 0 } };
+
+      expect(await getLastOpenAt('reddit', '2024-03-18', dailyStats)).toBe(
+        null
+      );
+    });
+  });
+
+  describe('getCooldownEnd', () => {
+    it('should add the cooldown to the last open', () => {
+      expect(getCooldownEnd(site, now)).toBe(now + 45 * 60 * 1000);
+    });
+
+    it('should return null without a cooldown or an open', () => {
+      expect(getCooldownEnd(site, null)).toBe(null);
+      expect(getCooldownEnd({ ...site, openCooldownSeconds: 0 }, now)).toBe(
+        null
+      );
+    });
+  });
+});
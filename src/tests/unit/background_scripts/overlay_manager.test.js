@@ -0,0 +1,315 @@
+/**
+ * @file overlay_manager.test.js
+ * @description Unit tests for overlay_manager.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetDistractingSites = jest.fn();
+const mockUpdateDistractingSite = jest.fn();
+const mockGetSiteAllowance = jest.fn();
+const mockGetCurrentTrackingInfo = jest.fn();
+const mockIsTrackingPaused = jest.fn();
+
+jest.unstable_mockModule('../../../background_scripts/site_storage.js', () => ({
+  getDistractingSites: mockGetDistractingSites,
+  updateDistractingSite: mockUpdateDistractingSite,
+}));
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getCombinedUsageStats: jest.fn(async () => ({})),
+  })
+);
+jest.unstable_mockModule(
+  '../../../background_scripts/site_allowance.js',
+  () => ({
+    getSiteAllowance: mockGetSiteAllowance,
+  })
+);
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_recorder.js',
+  () => ({
+    getCurrentTrackingInfo: mockGetCurrentTrackingInfo,
+    isTrackingPaused: mockIsTrackingPaused,
+  })
+);
+
+global.browser = {
+  storage: {
+    local: { get: jest.fn(async () => ({})) },
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+const {
+  OVERLAY_PORT_NAME,
+  describeOverlayState,
+  handleOverlayConnect,
+  pushOverlayUpdates,
+  getConnectedOverlayCount,
+} = await import('../../../background_scripts/overlay_manager.js');
+
+/**
+ * Creates a fake runtime.Port of a tab.
+ */
+function createPort(tabId, url, name = OVERLAY_PORT_NAME) {
+  const listeners = { message: [], disconnect: [] };
+  return {
+    name,
+    sender: { tab: { id: tabId }, url },
+    postMessage: jest.fn(),
+    onMessage: {
+      addListener: (listener) => listeners.message.push(listener),
+    },
+    onDisconnect: {
+      addListener: (listener) => listeners.disconnect.push(listener),
+    },
+    async receive(message) {
+      await Promise.all(listeners.message.map((listener) => listener(message)));
+    },
+    // Disconnecting from the background side doesn't call its own listeners
+    disconnect: jest.fn(),
+    close() {
+      listeners.disconnect.forEach((listener) => listener());
+    },
+  };
+}
+
+// Lets the first push after connecting finish
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('overlay_manager.js', () => {
+  const site = {
+    id: 'youtube',
+    urlPattern: 'youtube.com',
+    isEnabled: true,
+    dailyLimitSeconds: 1800,
+    showOverlay: true,
+  };
+  const noOverride = { time: false, opens: false, remainingSeconds: 0 };
+  const allowance = {
+    scheduledBlock: false,
+    remainingSeconds: 600,
+    remainingOpens: null,
+    override: noOverride,
+  };
+  let ports;
+
+  beforeEach(() => {
+    ports = [];
+    mockGetDistractingSites.mockResolvedValue([site]);
+    mockGetSiteAllowance.mockResolvedValue(allowance);
+    mockGetCurrentTrackingInfo.mockResolvedValue({
+      isTracking: true,
+      tabId: 1,
+    });
+    mockIsTrackingPaused.mockResolvedValue(false);
+    mockUpdateDistractingSite.mockReset();
+  });
+
+  afterEach(() => {
+    ports.forEach((port) => port.close());
+    jest.restoreAllMocks();
+  });
+
+  const onSiteUpdated = jest.fn(async () => {});
+  const connect = async (tabId, url, name) => {
+    const port = createPort(tabId, url, name);
+    ports.push(port);
+    const accepted = handleOverlayConnect(port, onSiteUpdated);
+    await flush();
+    return { port, accepted };
+  };
+
+  describe('describeOverlayState', () => {
+    it('should describe the time and opens left', () => {
+      expect(
+        describeOverlayState(
+          { ...site, overlayPosition: 'top-left' },
+          { ...allowance, remainingOpens: 2 },
+          true
+        )
+      ).toEqual({
+        siteId: 'youtube',
+        urlPattern: 'youtube.com',
+        position: 'top-left',
+        remainingSeconds: 600,
+        remainingOpens: 2,
+        borrowed: false,
+        counting: true,
+      });
+    });
+
+    it('should show the borrowed time of an override', () => {
+      const state = describeOverlayState(
+        site,
+        {
+          ...allowance,
+          remainingSeconds: 0,
+          override: { time: true, opens: false, remainingSeconds: 240 },
+        },
+        false
+      );
+      expect(state).toMatchObject({
+        position: 'bottom-right',
+        remainingSeconds: 240,
+        borrowed: true,
+      });
+    });
+
+    it('should show nothing without the overlay or a limit, or during a block', () => {
+      expect(
+        describeOverlayState({ ...site, showOverlay: false }, allowance, true)
+      ).toBeNull();
+      expect(
+        describeOverlayState(
+          site,
+          { ...allowance, remainingSeconds: null },
+          true
+        )
+      ).toBeNull();
+      expect(
+        describeOverlayState(site, { ...allowance, scheduledBlock: true }, true)
+      ).toBeNull();
+    });
+  });
+
+  describe('handleOverlayConnect', () => {
+    it('should send a page its first state and ignore other ports', async () => {
+      const { port, accepted } = await connect(1, 'https://youtube.com/watch');
+      expect(accepted).toBe(true);
+      expect(port.postMessage).toHaveBeenCalledWith({
+        type: 'overlayState',
+        state: expect.objectContaining({
+          remainingSeconds: 600,
+          counting: true,
+        }),
+      });
+
+      const other = await connect(2, 'https://youtube.com/', 'somethingElse');
+      expect(other.accepted).toBe(false);
+      expect(getConnectedOverlayCount()).toBe(1);
+    });
+
+    it('should send pages of other sites a null state and disconnect them', async () => {
+      const { port } = await connect(2, 'https://example.com/');
+      expect(port.postMessage).toHaveBeenCalledWith({
+        type: 'overlayState',
+        state: null,
+      });
+      expect(port.disconnect).toHaveBeenCalled();
+      expect(getConnectedOverlayCount()).toBe(0);
+    });
+
+    it('should keep pages of overlay sites connected', async () => {
+      const { port } = await connect(1, 'https://youtube.com/');
+      mockGetSiteAllowance.mockResolvedValue({
+        ...allowance,
+        scheduledBlock: true,
+      });
+      await pushOverlayUpdates();
+
+      expect(port.postMessage).toHaveBeenLastCalledWith({
+        type: 'overlayState',
+        state: null,
+      });
+      expect(port.disconnect).not.toHaveBeenCalled();
+      expect(getConnectedOverlayCount()).toBe(1);
+    });
+
+    it('should forget pages that disconnect', async () => {
+      const { port } = await connect(1, 'https://youtube.com/');
+      port.close();
+      expect(getConnectedOverlayCount()).toBe(0);
+    });
+  });
+
+  describe('pushOverlayUpdates', () => {
+    it('should only send states that changed', async () => {
+      const { port } = await connect(1, 'https://youtube.com/');
+      port.postMessage.mockClear();
+
+      expect(await pushOverlayUpdates()).toBe(0);
+
+      mockGetSiteAllowance.mockResolvedValue({
+        ...allowance,
+        remainingSeconds: 595,
+      });
+      expect(await pushOverlayUpdates()).toBe(1);
+      expect(port.postMessage.mock.calls[0][0].state.remainingSeconds).toBe(
+        595
+      );
+    });
+
+    it('should tell tabs that are not counting', async () => {
+      const { port } = await connect(2, 'https://youtube.com/');
+      expect(port.postMessage.mock.calls[0][0].state.counting).toBe(false);
+    });
+
+    it('should disconnect pages whose site turned the overlay off', async () => {
+      const { port } = await connect(1, 'https://youtube.com/');
+      port.postMessage.mockClear();
+      mockGetDistractingSites.mockResolvedValue([
+        { ...site, showOverlay: false },
+      ]);
+
+      expect(await pushOverlayUpdates()).toBe(1);
+      expect(port.postMessage).toHaveBeenCalledWith({
+        type: 'overlayState',
+        state: null,
+      });
+      expect(port.disconnect).toHaveBeenCalled();
+      expect(await pushOverlayUpdates()).toBe(0);
+    });
+  });
+
+  describe('overlay messages', () => {
+    it('should follow in-page navigation', async () => {
+      const { port } = await connect(1, 'https://youtube.com/');
+      port.postMessage.mockClear();
+
+      await port.receive({ type: 'refresh', url: 'https://example.com/' });
+
+      expect(port.postMessage).toHaveBeenCalledWith({
+        type: 'overlayState',
+        state: null,
+      });
+      expect(port.disconnect).toHaveBeenCalled();
+    });
+
+    it('should take pages back when they connect again on a site', async () => {
+      await connect(1, 'https://example.com/');
+      // After navigating within the page
+      const { port } = await connect(1, 'https://youtube.com/');
+
+      expect(port.postMessage).toHaveBeenLastCalledWith({
+        type: 'overlayState',
+        state: expect.objectContaining({ siteId: 'youtube' }),
+      });
+      expect(getConnectedOverlayCount()).toBe(1);
+    });
+
+    it('should save the corner the overlay was dragged to', async () => {
+      const moved = { ...site, overlayPosition: 'top-left' };
+      mockUpdateDistractingSite.mockResolvedValue(moved);
+      const { port } = await connect(1, 'https://youtube.com/');
+
+      await port.receive({ type: 'setPosition', position: 'top-left' });
+
+      expect(mockUpdateDistractingSite).toHaveBeenCalledWith('youtube', {
+        overlayPosition: 'top-left',
+      });
+      expect(onSiteUpdated).toHaveBeenCalledWith(moved);
+    });
+
+    it('should ignore unknown corners', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { port } = await connect(1, 'https://youtube.com/');
+
+      await port.receive({ type: 'setPosition', position: 'center' });
+
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+    });
+  });
+});
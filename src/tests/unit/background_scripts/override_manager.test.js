@@ -0,0 +1,353 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file override_manager.test.js
+ * @description Unit tests for override_manager.js, run against an in-memory storage.local.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+};
+
+import {
+  MAX_OVERRIDE_LOG_ENTRIES,
+  OVERRIDE_SENTENCE,
+  getActiveOverride,
+  createOverrideChallenge,
+  checkChallengeAnswer,
+  getOverrideLog,
+  getOverridesForSite,
+  getOverrideOptions,
+  requestOverride,
+} from '../../../background_scripts/override_manager.js';
+
+const NOW = new Date(2024, 2, 14, 12, 0, 0).getTime();
+const TODAY = '2024-03-14';
+
+/** A checkAndBlockSite result for a site over its time limit. */
+const timeBlock = {
+  shouldBlock: true,
+  siteId: 'site1',
+  reason: 'Time is up',
+  limitType: 'time',
+  availableAt: null,
+  exceeded: { time: true, opens: false },
+};
+
+describe('override_manager.js', () => {
+  let storageData;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+
+    storageData = {
+      appSettings: {
+        overridesEnabled: true,
+        overrideMinutes: 5,
+        overrideDailyLimit: 2,
+        overrideFriction: 'none',
+      },
+      distractingSites: [
+        { id: 'site1', urlPattern: 'example.com', dailyLimitSeconds: 3600 },
+      ],
+      [`usageStats-${TODAY}`]: {
+        site1: { timeSpentSeconds: 3650, opens: 4 },
+      },
+    };
+
+    mockStorageArea.get.mockImplementation(async (keys) => {
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        if (storageData[key] !== undefined) {
+          result[key] = structuredClone(storageData[key]);
+        }
+      }
+      return result;
+    });
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(storageData, structuredClone(items));
+    });
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    consoleErrorSpy.mockRestore();
+  });
+
+  /** Fetches options and immediately requests the override. */
+  async function takeOverride(blockResult = timeBlock, answer = '') {
+    const options = await getOverrideOptions(blockResult);
+    return requestOverride(blockResult, options.challenge.id, answer);
+  }
+
+  describe('getActiveOverride', () => {
+    const entry = (changes) => ({
+      extraSeconds: 0,
+      extraOpens: 0,
+      baseline: { timeSpentSeconds: 3600, opens: 5 },
+      ...changes,
+    });
+
+    it('should report the borrowed time that is left', () => {
+      const result = getActiveOverride([entry({ extraSeconds: 300 })], {
+        timeSpentSeconds: 3700,
+        opens: 5,
+      });
+      expect(result).toEqual({
+        time: true,
+        opens: false,
+        remainingSeconds: 200,
+      });
+    });
+
+    it('should end a time override once the borrowed time is used', () => {
+      const result = getActiveOverride([entry({ extraSeconds: 300 })], {
+        timeSpentSeconds: 3900,
+        opens: 5,
+      });
+      expect(result.time).toBe(false);
+    });
+
+    it('should cover one visit with an open override', () => {
+      const overrides = [entry({ extraOpens: 1 })];
+
+      expect(
+        getActiveOverride(overrides, { timeSpentSeconds: 0, opens: 5 }).opens
+      ).toBe(true);
+      expect(
+        getActiveOverride(overrides, { timeSpentSeconds: 0, opens: 6 }, true)
+          .opens
+      ).toBe(true);
+      expect(
+        getActiveOverride(overrides, { timeSpentSeconds: 0, opens: 6 }).opens
+      ).toBe(false);
+    });
+
+    it('should report nothing without overrides', () => {
+      expect(
+        getActiveOverride([], { timeSpentSeconds: 100, opens: 1 })
+      ).toEqual({ time: false, opens: false, remainingSeconds: 0 });
+    });
+  });
+
+  describe('challenges', () => {
+    it('should make the countdown wait before answers are accepted', () => {
+      const challenge = createOverrideChallenge('countdown', 30, NOW);
+
+      expect(challenge.readyAt).toBe(NOW + 30000);
+      expect(checkChallengeAnswer(challenge, '', NOW + 29000)).toMatch(
+        /countdown/
+      );
+      expect(checkChallengeAnswer(challenge, '', NOW + 30000)).toBeNull();
+    });
+
+    it('should accept the sentence regardless of case and spacing', () => {
+      const challenge = createOverrideChallenge('sentence', 30, NOW);
+      const typed = `  ${OVERRIDE_SENTENCE.toUpperCase().replace(/ /g, '   ')} `;
+
+      expect(challenge.prompt).toBe(OVERRIDE_SENTENCE);
+      expect(checkChallengeAnswer(challenge, typed, NOW)).toBeNull();
+      expect(checkChallengeAnswer(challenge, 'I want more', NOW)).toMatch(
+        /does not match/
+      );
+    });
+
+    it('should ask for the result of the sum', () => {
+      const challenge = createOverrideChallenge('arithmetic', 30, NOW, () => 0);
+
+      expect(challenge.prompt).toBe('12 × 3 + 11');
+      expect(checkChallengeAnswer(challenge, ' 47 ', NOW)).toBeNull();
+      expect(checkChallengeAnswer(challenge, '48', NOW)).toMatch(
+        /not the right answer/
+      );
+    });
+
+    it('should fall back to no friction for unknown types', () => {
+      const challenge = createOverrideChallenge('juggling', 30, NOW);
+      expect(challenge.type).toBe('none');
+      expect(checkChallengeAnswer(challenge, undefined, NOW)).toBeNull();
+    });
+  });
+
+  describe('getOverrideOptions', () => {
+    it('should offer nothing while overrides are turned off', async () => {
+      storageData.appSettings.overridesEnabled = false;
+
+      expect(await getOverrideOptions(timeBlock)).toEqual({
+        available: false,
+        message: null,
+      });
+    });
+
+    it('should not offer overrides for scheduled blocks', async () => {
+      const options = await getOverrideOptions({
+        shouldBlock: true,
+        siteId: 'site1',
+        limitType: 'schedule',
+      });
+
+      expect(options.available).toBe(false);
+      expect(options.message).toMatch(/Scheduled blocks/);
+    });
+
+    it('should not offer overrides in allowlist mode', async () => {
+      const options = await getOverrideOptions({
+        shouldBlock: true,
+        siteId: null,
+        limitType: 'allowlist',
+      });
+
+      expect(options).toEqual({
+        available: false,
+        message: "Allowlist mode can't be overridden.",
+      });
+    });
+
+    it('should offer the configured time without revealing the answer', async () => {
+      storageData.appSettings.overrideFriction = 'arithmetic';
+
+      const options = await getOverrideOptions(timeBlock);
+
+      expect(options).toMatchObject({
+        available: true,
+        remaining: 2,
+        extraSeconds: 300,
+        extraOpens: 0,
+        challenge: { type: 'arithmetic', readyAt: NOW },
+      });
+      expect(options.challenge).not.toHaveProperty('answer');
+    });
+
+    it('should offer both time and an open when both limits are used up', async () => {
+      const options = await getOverrideOptions({
+        ...timeBlock,
+        limitType: 'group',
+        exceeded: { time: true, opens: true },
+      });
+
+      expect(options).toMatchObject({ extraSeconds: 300, extraOpens: 1 });
+    });
+  });
+
+  describe('requestOverride', () => {
+    it('should log the override with the usage it started from', async () => {
+      const { entry, error } = await takeOverride();
+
+      expect(error).toBeNull();
+      expect(entry).toMatchObject({
+        siteId: 'site1',
+        urlPattern: 'example.com',
+        date: TODAY,
+        grantedAt: NOW,
+        limitType: 'time',
+        extraSeconds: 300,
+        extraOpens: 0,
+        friction: 'none',
+        baseline: { timeSpentSeconds: 3650, opens: 4 },
+      });
+      expect(await getOverrideLog()).toEqual([entry]);
+      expect(await getOverridesForSite('site1', TODAY)).toEqual([entry]);
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      const options = await getOverrideOptions(timeBlock);
+      await requestOverride(timeBlock, options.challenge.id, '');
+
+      const second = await requestOverride(timeBlock, options.challenge.id, '');
+
+      expect(second.entry).toBeNull();
+      expect(second.error).toMatch(/expired/);
+      expect(await getOverrideLog()).toHaveLength(1);
+    });
+
+    it('should refuse wrong answers and keep the challenge open', async () => {
+      storageData.appSettings.overrideFriction = 'sentence';
+      const options = await getOverrideOptions(timeBlock);
+
+      const wrong = await requestOverride(
+        timeBlock,
+        options.challenge.id,
+        'let me in'
+      );
+      const right = await requestOverride(
+        timeBlock,
+        options.challenge.id,
+        OVERRIDE_SENTENCE
+      );
+
+      expect(wrong.entry).toBeNull();
+      expect(right.entry).not.toBeNull();
+      expect(await getOverrideLog()).toHaveLength(1);
+    });
+
+    it('should refuse answers before the countdown has finished', async () => {
+      storageData.appSettings.overrideFriction = 'countdown';
+      storageData.appSettings.overrideCountdownSeconds = 10;
+      const options = await getOverrideOptions(timeBlock);
+
+      const early = await requestOverride(timeBlock, options.challenge.id);
+      jest.setSystemTime(NOW + 10000);
+      const onTime = await requestOverride(timeBlock, options.challenge.id);
+
+      expect(early.error).toMatch(/countdown/);
+      expect(onTime.entry).toMatchObject({ friction: 'countdown' });
+    });
+
+    it('should enforce the daily limit per site', async () => {
+      await takeOverride();
+      await takeOverride();
+
+      const options = await getOverrideOptions(timeBlock);
+      const refused = await requestOverride(timeBlock, 'any-id', '');
+
+      expect(options).toEqual({
+        available: false,
+        message: "You've used all 2 overrides for this site today.",
+      });
+      expect(refused.error).toMatch(/used all 2 overrides/);
+      expect(await getOverrideLog()).toHaveLength(2);
+    });
+
+    it('should refuse challenges issued for another site', async () => {
+      const options = await getOverrideOptions(timeBlock);
+
+      const result = await requestOverride(
+        { ...timeBlock, siteId: 'site2' },
+        options.challenge.id,
+        ''
+      );
+
+      expect(result.error).toMatch(/expired/);
+    });
+
+    it('should keep only the most recent log entries', async () => {
+      storageData.overrideLog = Array.from(
+        { length: MAX_OVERRIDE_LOG_ENTRIES },
+        (_, i) => ({ id: `old-${i}`, siteId: 'old', date: '2024-01-01' })
+      );
+
+      const { entry } = await takeOverride();
+      const log = await getOverrideLog();
+
+      expect(log).toHaveLength(MAX_OVERRIDE_LOG_ENTRIES);
+      expect(log[0].id).toBe('old-1');
+      expect(log[log.length - 1]).toEqual(entry);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @file period_budget.test.js
+ * @description Unit tests for period_budget.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetUsageStatsForDates = jest.fn();
+
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getUsageStatsForDates: mockGetUsageStatsForDates,
+  })
+);
+
+global.browser = {
+  storage: {
+    local: { get: jest.fn(async () => ({})) },
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+const {
+  getPeriodStartKeys,
+  getNextPeriodStart,
+  getFirstNeededDayKey,
+  hasPeriodBudget,
+  getPeriodUsage,
+  describePeriodBudgets,
+  getExceededPeriodBudgets,
+} = await import('../../../background_scripts/period_budget.js');
+
+describe('period_budget.js', () => {
+  // 2024-03-14 is a Thursday
+  const today = '2024-03-14';
+  const noOverride = { time: false, opens: false };
+
+  beforeEach(() => {
+    mockGetUsageStatsForDates.mockReset();
+    mockGetUsageStatsForDates.mockResolvedValue({});
+  });
+
+  describe('period starts', () => {
+    it('should start weeks on Monday and months on the 1st', () => {
+      expect(getPeriodStartKeys(today)).toEqual({
+        week: '2024-03-11',
+        month: '2024-03-01',
+      });
+    });
+
+    it('should return the start of the next period at the day start', () => {
+      expect(getNextPeriodStart('week', today)).toBe(
+        new Date(2024, 2, 18).getTime()
+      );
+      expect(getNextPeriodStart('month', '2024-12-31')).toBe(
+        new Date(2025, 0, 1).getTime()
+      );
+    });
+  });
+
+  describe('getFirstNeededDayKey', () => {
+    it('should return null when no site has a period budget', () => {
+      expect(getFirstNeededDayKey([{ id: 'a' }], today)).toBeNull();
+    });
+
+    it('should return the start of the longest period in use', () => {
+      expect(
+        getFirstNeededDayKey([{ id: 'a', weeklyOpenLimit: 5 }], today)
+      ).toBe('2024-03-11');
+      expect(
+        getFirstNeededDayKey(
+          [
+            { id: 'a', weeklyOpenLimit: 5 },
+            { id: 'b', monthlyLimitSeconds: 3600 },
+          ],
+          today
+        )
+      ).toBe('2024-03-01');
+    });
+  });
+
+  describe('hasPeriodBudget', () => {
+    it('should ignore cleared budgets', () => {
+      expect(hasPeriodBudget({ weeklyLimitSeconds: 0 })).toBe(false);
+      expect(hasPeriodBudget({ monthlyOpenLimit: 3 })).toBe(true);
+    });
+  });
+
+  describe('getPeriodUsage', () => {
+    it('should add up the days of the week and of the month with today', async () => {
+      mockGetUsageStatsForDates.mockResolvedValue({
+        '2024-03-01': { a: { timeSpentSeconds: 100, opens: 1 } },
+        '2024-03-12': {
+          a: { timeSpentSeconds: 200, opens: 2 },
+          b: { timeSpentSeconds: 50, opens: 1 },
+        },
+      });
+
+      const usage = await getPeriodUsage(today, {
+        a: { timeSpentSeconds: 10, opens: 1 },
+      });
+
+      expect(mockGetUsageStatsForDates.mock.calls[0][0]).toHaveLength(13);
+      expect(usage.week).toEqual({
+        a: { timeSpentSeconds: 210, opens: 3 },
+        b: { timeSpentSeconds: 50, opens: 1 },
+      });
+      expect(usage.month.a).toEqual({ timeSpentSeconds: 310, opens: 4 });
+    });
+
+    it('should read from the week start when it falls in the previous month', async () => {
+      await getPeriodUsage('2024-05-02', {});
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith([
+        '2024-04-29',
+        '2024-04-30',
+        '2024-05-01',
+      ]);
+    });
+  });
+
+  describe('budgets', () => {
+    const site = { id: 'a', weeklyLimitSeconds: 600, monthlyOpenLimit: 5 };
+    const periodUsage = {
+      week: { a: { timeSpentSeconds: 600, opens: 3 } },
+      month: { a: { timeSpentSeconds: 900, opens: 5 } },
+    };
+
+    it('should describe what is left of each budget', () => {
+      expect(describePeriodBudgets(site, periodUsage)).toEqual([
+        expect.objectContaining({
+          period: 'week',
+          remainingSeconds: 0,
+          remainingOpens: null,
+        }),
+        expect.objectContaining({
+          period: 'month',
+          remainingSeconds: null,
+          remainingOpens: 0,
+        }),
+      ]);
+    });
+
+    it('should not count the visit in progress against the open budget', () => {
+      expect(
+        getExceededPeriodBudgets(site, periodUsage, noOverride, true).map(
+          (budget) => budget.period
+        )
+      ).toEqual(['week']);
+      expect(
+        getExceededPeriodBudgets(site, periodUsage, noOverride, false)
+      ).toHaveLength(2);
+    });
+
+    it('should let active overrides lift the budgets', () => {
+      expect(
+        getExceededPeriodBudgets(
+          site,
+          periodUsage,
+          { time: true, opens: true },
+          false
+        )
+      ).toEqual([]);
+    });
+  });
+});
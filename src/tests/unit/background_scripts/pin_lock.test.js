@@ -0,0 +1,163 @@
+/**
+ * @file pin_lock.test.js
+ * @description Unit tests for pin_lock.js.
+ */
+
+import { jest } from '@jest/globals';
+
+let storageData = {};
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) =>
+        key in storageData ? { [key]: storageData[key] } : {}
+      ),
+      set: jest.fn(async (items) => Object.assign(storageData, items)),
+      remove: jest.fn(async (key) => {
+        delete storageData[key];
+      }),
+    },
+  },
+};
+
+const {
+  PIN_LOCK_KEY,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCKOUT_MINUTES,
+  PIN_UNLOCK_MINUTES,
+  getPinStatus,
+  setPin,
+  removePin,
+  lockPin,
+  verifyPin,
+  authorizeChange,
+} = await import('../../../background_scripts/pin_lock.js');
+
+describe('pin_lock.js', () => {
+  const now = new Date(2024, 2, 18, 15, 30).getTime();
+  const MINUTE_MS = 60 * 1000;
+
+  beforeEach(() => {
+    storageData = {};
+    lockPin();
+  });
+
+  describe('setPin', () => {
+    it('should store a salted hash, not the PIN', async () => {
+      expect(await setPin('1234')).toBe(true);
+
+      const lock = storageData[PIN_LOCK_KEY];
+      expect(lock.salt).toMatch(/^[0-9a-f]{32}$/);
+      expect(lock.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(lock)).not.toContain('1234');
+
+      const firstHash = lock.hash;
+      await setPin('1234');
+      expect(storageData[PIN_LOCK_KEY].hash).not.toBe(firstHash);
+    });
+  });
+
+  describe('verifyPin', () => {
+    beforeEach(async () => {
+      await setPin('open sesame');
+    });
+
+    it('should accept the right PIN and unlock for a while', async () => {
+      expect(await verifyPin('open sesame', now)).toEqual({
+        valid: true,
+        attemptsLeft: null,
+        lockedUntil: null,
+      });
+      expect(await getPinStatus(now)).toEqual({
+        enabled: true,
+        lockedUntil: null,
+        unlockedUntil: now + PIN_UNLOCK_MINUTES * MINUTE_MS,
+      });
+    });
+
+    it('should lock out after too many wrong PINs', async () => {
+      for (let i = 1; i < MAX_PIN_ATTEMPTS; i++) {
+        expect((await verifyPin('wrong', now)).attemptsLeft).toBe(
+          MAX_PIN_ATTEMPTS - i
+        );
+      }
+      const lockedUntil = now + PIN_LOCKOUT_MINUTES * MINUTE_MS;
+      expect(await verifyPin('wrong', now)).toEqual({
+        valid: false,
+        attemptsLeft: 0,
+        lockedUntil,
+      });
+
+      // Even the right PIN waits for the lockout
+      expect((await verifyPin('open sesame', now + 1000)).valid).toBe(false);
+      expect((await verifyPin('open sesame', lockedUntil)).valid).toBe(true);
+    });
+
+    it('should start counting over after a right PIN', async () => {
+      await verifyPin('wrong', now);
+      await verifyPin('open sesame', now);
+
+      expect((await verifyPin('wrong', now)).attemptsLeft).toBe(
+        MAX_PIN_ATTEMPTS - 1
+      );
+    });
+  });
+
+  describe('authorizeChange', () => {
+    it('should let everything through without a PIN', async () => {
+      expect((await authorizeChange(undefined, now)).allowed).toBe(true);
+    });
+
+    it('should ask for the PIN, then stay unlocked for a while', async () => {
+      await setPin('1234');
+
+      expect(await authorizeChange(undefined, now)).toEqual({
+        allowed: false,
+        error: 'Enter your PIN to make this change.',
+        lockedUntil: null,
+      });
+      expect(await authorizeChange('0000', now)).toEqual({
+        allowed: false,
+        error: `Wrong PIN. ${MAX_PIN_ATTEMPTS - 1} tries left.`,
+        lockedUntil: null,
+      });
+      expect((await authorizeChange('1234', now)).allowed).toBe(true);
+      expect((await authorizeChange(undefined, now + 1000)).allowed).toBe(true);
+      // Changing the PIN itself always asks for it
+      expect((await authorizeChange(undefined, now, false)).allowed).toBe(
+        false
+      );
+      expect(
+        (
+          await authorizeChange(
+            undefined,
+            now + PIN_UNLOCK_MINUTES * MINUTE_MS + 1
+          )
+        ).allowed
+      ).toBe(false);
+    });
+
+    it('should refuse when the PIN cannot be read', async () => {
+      browser.storage.local.get.mockRejectedValueOnce(new Error('Broken'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect((await authorizeChange('1234', now)).allowed).toBe(false);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('removePin', () => {
+    it('should remove the PIN and the unlock', async () => {
+      await setPin('1234');
+      await verifyPin('1234', now);
+
+      expect(await removePin()).toBe(true);
+      expect(await getPinStatus(now)).toEqual({
+        enabled: false,
+        lockedUntil: null,
+        unlockedUntil: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * @file reduction_plan.test.js
+ * @description Unit tests for reduction_plan.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetDistractingSites = jest.fn();
+const mockUpdateDistractingSite = jest.fn();
+const mockGetUsageStatsForDates = jest.fn();
+
+jest.unstable_mockModule('../../../background_scripts/site_storage.js', () => ({
+  getDistractingSites: mockGetDistractingSites,
+  updateDistractingSite: mockUpdateDistractingSite,
+}));
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getUsageStatsForDates: mockGetUsageStatsForDates,
+  })
+);
+
+let storageData = {};
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) =>
+        key in storageData ? { [key]: storageData[key] } : {}
+      ),
+      set: jest.fn(async (items) => Object.assign(storageData, items)),
+    },
+    onChanged: { addListener: jest.fn() },
+  },
+  alarms: {
+    create: jest.fn(async () => {}),
+    clear: jest.fn(async () => true),
+  },
+};
+
+const {
+  REDUCTION_PLANS_KEY,
+  REDUCTION_LOG_KEY,
+  REDUCTION_PLAN_ALARM,
+  PLAN_STATUS,
+  getNextReductionLimit,
+  countExceededDays,
+  describeReductionPlan,
+  getReductionLog,
+  startReductionPlan,
+  setReductionPlanPaused,
+  deleteReductionPlan,
+  revertReductionStep,
+  applyReductionPlans,
+} = await import('../../../background_scripts/reduction_plan.js');
+
+describe('reduction_plan.js', () => {
+  // 60 minutes down to 30, 10% a week; 2024-03-11 is a Monday
+  const plan = {
+    siteId: 'youtube',
+    startLimitSeconds: 3600,
+    targetLimitSeconds: 1800,
+    weeklyReductionPercent: 10,
+    startedOn: '2024-03-11',
+    lastStepOn: '2024-03-11',
+    status: PLAN_STATUS.ACTIVE,
+    pausedReason: null,
+  };
+  let sites;
+
+  beforeEach(() => {
+    storageData = {};
+    sites = [
+      { id: 'youtube', urlPattern: 'youtube.com', dailyLimitSeconds: 3600 },
+    ];
+    mockGetDistractingSites.mockReset();
+    mockGetDistractingSites.mockImplementation(async () => sites);
+    mockUpdateDistractingSite.mockReset();
+    mockUpdateDistractingSite.mockImplementation(async (siteId, updates) => {
+      const site = sites.find((candidate) => candidate.id === siteId);
+      if (!site) {
+        return null;
+      }
+      Object.assign(site, updates);
+      return { ...site };
+    });
+    mockGetUsageStatsForDates.mockReset();
+    mockGetUsageStatsForDates.mockResolvedValue({});
+    browser.alarms.create.mockClear();
+    browser.alarms.clear.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getNextReductionLimit', () => {
+    it('should cut the limit by the percentage, rounded down to whole minutes', () => {
+      expect(getNextReductionLimit(plan, 3600)).toBe(3240);
+      // 45 minutes less 10% is 40.5 minutes
+      expect(getNextReductionLimit(plan, 2700)).toBe(2400);
+    });
+
+    it('should cut at least a minute and stop at the target', () => {
+      expect(
+        getNextReductionLimit(
+          { ...plan, weeklyReductionPercent: 1, targetLimitSeconds: 60 },
+          300
+        )
+      ).toBe(240);
+      expect(getNextReductionLimit(plan, 1900)).toBe(1800);
+    });
+  });
+
+  describe('countExceededDays', () => {
+    it('should count the days the limit was used up', () => {
+      const history = {
+        '2024-03-11': { youtube: { timeSpentSeconds: 3600, opens: 1 } },
+        '2024-03-12': { youtube: { timeSpentSeconds: 3599, opens: 1 } },
+        '2024-03-13': { other: { timeSpentSeconds: 9000, opens: 1 } },
+        '2024-03-14': {},
+      };
+      expect(countExceededDays('youtube', 3600, history)).toBe(1);
+    });
+  });
+
+  describe('describeReductionPlan', () => {
+    it('should show how far the limit has come and when the next step is due', () => {
+      const described = describeReductionPlan(plan, {
+        ...sites[0],
+        dailyLimitSeconds: 2700,
+      });
+      expect(described).toMatchObject({
+        urlPattern: 'youtube.com',
+        currentLimitSeconds: 2700,
+        progressPercent: 50,
+        nextStepOn: '2024-03-18',
+      });
+      expect(
+        describeReductionPlan({ ...plan, status: PLAN_STATUS.PAUSED }, sites[0])
+          .nextStepOn
+      ).toBeNull();
+    });
+  });
+
+  describe('startReductionPlan', () => {
+    it('should set the start limit and schedule the first step a week later', async () => {
+      sites[0].dailyLimitSeconds = 5400;
+
+      const result = await startReductionPlan(
+        'youtube',
+        {
+          startLimitSeconds: 3600,
+          targetLimitSeconds: 1800,
+          weeklyReductionPercent: 10,
+        },
+        '2024-03-11'
+      );
+
+      expect(result.error).toBeNull();
+      expect(result.site.dailyLimitSeconds).toBe(3600);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube).toEqual(plan);
+      expect(browser.alarms.create).toHaveBeenCalledWith(REDUCTION_PLAN_ALARM, {
+        when: new Date(2024, 2, 18).getTime(),
+      });
+    });
+
+    it('should only start above the current limit when allowed to', async () => {
+      sites[0].dailyLimitSeconds = 1800;
+
+      const refused = await startReductionPlan('youtube', plan, '2024-03-11');
+      expect(refused).toEqual({
+        plan: null,
+        site: null,
+        error:
+          "The plan can't start above the site's current limit of 30 minutes.",
+      });
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+      expect(storageData[REDUCTION_PLANS_KEY]).toBeUndefined();
+
+      const allowed = await startReductionPlan(
+        'youtube',
+        { ...plan, allowRaise: true },
+        '2024-03-11'
+      );
+      expect(allowed.site.dailyLimitSeconds).toBe(3600);
+    });
+
+    it('should start on sites without a time limit', async () => {
+      sites[0].dailyLimitSeconds = 0;
+
+      const result = await startReductionPlan('youtube', plan, '2024-03-11');
+      expect(result.error).toBeNull();
+      expect(result.site.dailyLimitSeconds).toBe(3600);
+    });
+
+    it('should refuse sites that do not exist', async () => {
+      const result = await startReductionPlan('missing', plan, '2024-03-11');
+      expect(result).toEqual({
+        plan: null,
+        site: null,
+        error: 'Site not found',
+      });
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyReductionPlans', () => {
+    beforeEach(() => {
+      storageData[REDUCTION_PLANS_KEY] = { youtube: { ...plan } };
+    });
+
+    it('should do nothing before the step is due', async () => {
+      expect(await applyReductionPlans('2024-03-17')).toEqual([]);
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+    });
+
+    it('should lower the limit and log the change when the step is due', async () => {
+      const entries = await applyReductionPlans('2024-03-18', 1000);
+
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith([
+        '2024-03-11',
+        '2024-03-12',
+        '2024-03-13',
+        '2024-03-14',
+        '2024-03-15',
+        '2024-03-16',
+        '2024-03-17',
+      ]);
+      expect(sites[0].dailyLimitSeconds).toBe(3240);
+      expect(entries).toEqual([
+        expect.objectContaining({
+          siteId: 'youtube',
+          type: 'reduced',
+          date: '2024-03-18',
+          fromSeconds: 3600,
+          toSeconds: 3240,
+          revertedAt: null,
+        }),
+      ]);
+      expect(await getReductionLog()).toEqual(entries);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube.lastStepOn).toBe(
+        '2024-03-18'
+      );
+    });
+
+    it('should catch up on steps missed while the browser was closed', async () => {
+      const entries = await applyReductionPlans('2024-03-27');
+
+      expect(entries.map((entry) => entry.toSeconds)).toEqual([3240, 2880]);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube.lastStepOn).toBe(
+        '2024-03-25'
+      );
+    });
+
+    it('should pause instead when the limit was used up too often', async () => {
+      mockGetUsageStatsForDates.mockResolvedValue({
+        '2024-03-12': { youtube: { timeSpentSeconds: 3600, opens: 3 } },
+        '2024-03-14': { youtube: { timeSpentSeconds: 4000, opens: 5 } },
+        '2024-03-16': { youtube: { timeSpentSeconds: 3700, opens: 2 } },
+      });
+
+      const entries = await applyReductionPlans('2024-03-18');
+
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+      expect(entries).toEqual([
+        expect.objectContaining({ type: 'paused', exceededDays: 3 }),
+      ]);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube).toMatchObject({
+        status: PLAN_STATUS.PAUSED,
+        pausedReason: 'exceeded',
+      });
+      expect(browser.alarms.clear).toHaveBeenCalledWith(REDUCTION_PLAN_ALARM);
+    });
+
+    it('should complete the plan once the target is reached', async () => {
+      sites[0].dailyLimitSeconds = 1900;
+
+      await applyReductionPlans('2024-03-18');
+
+      expect(sites[0].dailyLimitSeconds).toBe(1800);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube.status).toBe(
+        PLAN_STATUS.COMPLETED
+      );
+    });
+
+    it('should drop plans of sites without a time limit', async () => {
+      sites[0].dailyLimitSeconds = 0;
+
+      await applyReductionPlans('2024-03-18');
+
+      expect(storageData[REDUCTION_PLANS_KEY]).toEqual({});
+    });
+  });
+
+  describe('revertReductionStep', () => {
+    beforeEach(async () => {
+      storageData[REDUCTION_PLANS_KEY] = { youtube: { ...plan } };
+      await applyReductionPlans('2024-03-25');
+    });
+
+    it('should restore the limit before the latest cut and pause the plan', async () => {
+      const [first, second] = await getReductionLog();
+
+      const result = await revertReductionStep(second.id, 5000);
+
+      expect(result.site.dailyLimitSeconds).toBe(3240);
+      expect((await getReductionLog())[1].revertedAt).toBe(5000);
+      expect(storageData[REDUCTION_PLANS_KEY].youtube).toMatchObject({
+        status: PLAN_STATUS.PAUSED,
+        pausedReason: 'reverted',
+      });
+
+      // The earlier cut can be reverted next
+      expect((await revertReductionStep(first.id)).site.dailyLimitSeconds).toBe(
+        3600
+      );
+    });
+
+    it('should only revert the latest cut once', async () => {
+      const [first, second] = await getReductionLog();
+
+      expect((await revertReductionStep(first.id)).error).toBe(
+        'Revert the later changes to this site first'
+      );
+      await revertReductionStep(second.id);
+      expect((await revertReductionStep(second.id)).error).toBe(
+        'This change was already reverted'
+      );
+    });
+  });
+
+  describe('pausing and deleting', () => {
+    beforeEach(() => {
+      storageData[REDUCTION_PLANS_KEY] = { youtube: { ...plan } };
+    });
+
+    it('should wait a full week after resuming', async () => {
+      await setReductionPlanPaused('youtube', true, '2024-03-13');
+      expect(storageData[REDUCTION_PLANS_KEY].youtube.status).toBe(
+        PLAN_STATUS.PAUSED
+      );
+
+      const resumed = await setReductionPlanPaused(
+        'youtube',
+        false,
+        '2024-03-20'
+      );
+      expect(resumed).toMatchObject({
+        status: PLAN_STATUS.ACTIVE,
+        lastStepOn: '2024-03-20',
+      });
+    });
+
+    it('should keep the limit and the log when a plan is deleted', async () => {
+      storageData[REDUCTION_LOG_KEY] = [{ id: 'entry' }];
+
+      expect(await deleteReductionPlan('youtube')).toBe(true);
+      expect(await deleteReductionPlan('youtube')).toBe(false);
+      expect(storageData[REDUCTION_PLANS_KEY]).toEqual({});
+      expect(storageData[REDUCTION_LOG_KEY]).toHaveLength(1);
+      expect(mockUpdateDistractingSite).not.toHaveBeenCalled();
+    });
+  });
+});
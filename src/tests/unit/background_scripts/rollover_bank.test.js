@@ -0,0 +1,172 @@
+/**
+ * @file rollover_bank.test.js
+ * @description Unit tests for rollover_bank.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetUsageStatsForDates = jest.fn();
+
+jest.unstable_mockModule(
+  '../../../background_scripts/usage_storage.js',
+  () => ({
+    getUsageStatsForDates: mockGetUsageStatsForDates,
+  })
+);
+
+let storageData = {};
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) =>
+        key in storageData ? { [key]: storageData[key] } : {}
+      ),
+      set: jest.fn(async (items) => Object.assign(storageData, items)),
+      remove: jest.fn(async (key) => {
+        delete storageData[key];
+      }),
+    },
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+const {
+  ROLLOVER_BANK_KEY,
+  hasRolloverPolicy,
+  getBankedSeconds,
+  getBankedTime,
+  getEffectiveLimit,
+  settleDay,
+  settleRolloverBank,
+} = await import('../../../background_scripts/rollover_bank.js');
+
+describe('rollover_bank.js', () => {
+  // 30 minutes a day, half of the unused time banked, at most 20 minutes, for 3 days
+  const site = {
+    id: 'youtube',
+    dailyLimitSeconds: 1800,
+    rolloverPercent: 50,
+    rolloverCapSeconds: 1200,
+    rolloverExpiryDays: 3,
+  };
+
+  beforeEach(() => {
+    storageData = {};
+    browser.storage.local.set.mockClear();
+    mockGetUsageStatsForDates.mockReset();
+    mockGetUsageStatsForDates.mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hasRolloverPolicy', () => {
+    it('should need a time limit, a percentage and a cap', () => {
+      expect(hasRolloverPolicy(site)).toBe(true);
+      expect(hasRolloverPolicy({ ...site, rolloverCapSeconds: 0 })).toBe(false);
+      expect(hasRolloverPolicy({ ...site, dailyLimitSeconds: undefined })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('settleDay', () => {
+    it('should bank the share of the unused time', () => {
+      // 5 of 30 minutes used: half of the 25 unused minutes is 12.5
+      expect(settleDay(site, [], 300, '2024-03-11')).toEqual([
+        { date: '2024-03-11', seconds: 750 },
+      ]);
+    });
+
+    it('should not bank more than the cap', () => {
+      const deposits = [{ date: '2024-03-10', seconds: 900 }];
+      expect(settleDay(site, deposits, 0, '2024-03-11')).toEqual([
+        { date: '2024-03-10', seconds: 900 },
+        { date: '2024-03-11', seconds: 300 },
+      ]);
+    });
+
+    it('should spend banked time used beyond the limit, oldest first', () => {
+      const deposits = [
+        { date: '2024-03-09', seconds: 300 },
+        { date: '2024-03-10', seconds: 600 },
+      ];
+      expect(settleDay(site, deposits, 1800 + 420, '2024-03-11')).toEqual([
+        { date: '2024-03-10', seconds: 480 },
+      ]);
+    });
+
+    it('should drop deposits once they expire', () => {
+      const deposits = [{ date: '2024-03-08', seconds: 600 }];
+      // Usable through 2024-03-11, so gone after settling that day
+      expect(settleDay(site, deposits, 1800, '2024-03-11')).toEqual([]);
+      expect(getBankedSeconds(site, deposits, '2024-03-11')).toBe(600);
+      expect(getBankedSeconds(site, deposits, '2024-03-12')).toBe(0);
+    });
+  });
+
+  describe('getEffectiveLimit', () => {
+    it('should add banked time only to an existing time limit', () => {
+      expect(getEffectiveLimit(1800, 720)).toBe(2520);
+      expect(getEffectiveLimit(0, 720)).toBe(0);
+    });
+  });
+
+  describe('settleRolloverBank', () => {
+    it('should settle only the day before on the first run', async () => {
+      mockGetUsageStatsForDates.mockResolvedValue({
+        '2024-03-13': { youtube: { timeSpentSeconds: 600, opens: 2 } },
+      });
+
+      expect(await settleRolloverBank('2024-03-14', [site])).toBe(true);
+
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith(['2024-03-13']);
+      expect(storageData[ROLLOVER_BANK_KEY]).toEqual({
+        settledThrough: '2024-03-13',
+        banks: { youtube: [{ date: '2024-03-13', seconds: 600 }] },
+      });
+      expect(await getBankedTime(site, '2024-03-14')).toBe(600);
+    });
+
+    it('should catch up on every day since the last settlement', async () => {
+      storageData[ROLLOVER_BANK_KEY] = {
+        settledThrough: '2024-03-11',
+        banks: {},
+      };
+
+      await settleRolloverBank('2024-03-14', [site]);
+
+      expect(mockGetUsageStatsForDates).toHaveBeenCalledWith([
+        '2024-03-12',
+        '2024-03-13',
+      ]);
+      // Two unused days bank 15 minutes each, capped at 20 minutes
+      expect(await getBankedTime(site, '2024-03-14')).toBe(1200);
+    });
+
+    it('should do nothing when the day is already settled', async () => {
+      storageData[ROLLOVER_BANK_KEY] = {
+        settledThrough: '2024-03-13',
+        banks: {},
+      };
+
+      await settleRolloverBank('2024-03-14', [site]);
+
+      expect(mockGetUsageStatsForDates).not.toHaveBeenCalled();
+      expect(browser.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should forget the bank once no site has a rollover policy', async () => {
+      storageData[ROLLOVER_BANK_KEY] = {
+        settledThrough: '2024-03-12',
+        banks: { youtube: [{ date: '2024-03-12', seconds: 600 }] },
+      };
+
+      await settleRolloverBank('2024-03-14', [{ ...site, rolloverPercent: 0 }]);
+
+      expect(storageData).not.toHaveProperty(ROLLOVER_BANK_KEY);
+    });
+  });
+});
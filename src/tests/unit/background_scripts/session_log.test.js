@@ -0,0 +1,250 @@
+/**
+ * @file session_log.test.js
+ * @description Unit tests for session_log.js, run against a fake IndexedDB. The module
+ * keeps queued entries in memory, so it is imported fresh for every test.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createFakeIndexedDB,
+  FakeIDBKeyRange,
+} from '../../helpers/fake_indexed_db.js';
+
+global.IDBKeyRange = FakeIDBKeyRange;
+
+describe('session_log.js', () => {
+  let fakeDB;
+  let sessionLog;
+
+  /**
+   * Creates, times and ends a session entry, and queues it.
+   * @param {Object} details - Passed to createLogEntry.
+   * @param {number} seconds - The time the session counted.
+   * @returns {Object} The ended entry.
+   */
+  function loggedSession(details, seconds) {
+    const entry = sessionLog.createLogEntry(details);
+    const timed = sessionLog.addLogTime(
+      entry,
+      seconds,
+      details.startTime + seconds * 1000,
+      details.day
+    );
+    return sessionLog.endLogEntry(
+      timed,
+      sessionLog.SESSION_END_REASONS.TAB_SWITCH
+    );
+  }
+
+  beforeEach(async () => {
+    fakeDB = createFakeIndexedDB();
+    global.indexedDB = fakeDB.indexedDB;
+
+    jest.resetModules();
+    sessionLog = await import('../../../background_scripts/session_log.js');
+  });
+
+  describe('createLogEntry', () => {
+    it('should create a running entry that has counted nothing yet', () => {
+      const entry = sessionLog.createLogEntry({
+        siteId: 'site1',
+        tabId: 3,
+        url: 'https://site1.com/a',
+        day: '2024-03-10',
+        startTime: 1000,
+        opens: 1,
+      });
+
+      expect(entry).toEqual({
+        id: expect.any(String),
+        siteId: 'site1',
+        tabId: 3,
+        url: 'https://site1.com/a',
+        day: '2024-03-10',
+        startTime: 1000,
+        endTime: 1000,
+        timeSpentSeconds: 0,
+        opens: 1,
+        background: false,
+        endReason: null,
+      });
+    });
+  });
+
+  describe('addLogTime', () => {
+    it('should add the time to the entry and move its end', () => {
+      const entry = sessionLog.createLogEntry({
+        siteId: 'site1',
+        tabId: 3,
+        day: '2024-03-10',
+        startTime: 1000,
+      });
+
+      const updated = sessionLog.addLogTime(entry, 5, 6000, '2024-03-10');
+
+      expect(updated).toMatchObject({
+        id: entry.id,
+        timeSpentSeconds: 5,
+        endTime: 6000,
+      });
+    });
+
+    it('should continue in a new entry without an open after midnight', async () => {
+      const entry = sessionLog.createLogEntry({
+        siteId: 'site1',
+        tabId: 3,
+        url: 'https://site1.com/a',
+        day: '2024-03-10',
+        startTime: 1000,
+        opens: 1,
+      });
+      const before = sessionLog.addLogTime(entry, 5, 6000, '2024-03-10');
+
+      const after = sessionLog.addLogTime(before, 2, 8000, '2024-03-11');
+      await sessionLog.flushSessionLog();
+
+      expect(after).toMatchObject({
+        day: '2024-03-11',
+        url: 'https://site1.com/a',
+        startTime: 6000,
+        endTime: 8000,
+        timeSpentSeconds: 2,
+        opens: 0,
+        endReason: null,
+      });
+      expect(
+        await sessionLog.getSessionLogEntries({ day: '2024-03-10' })
+      ).toEqual([
+        expect.objectContaining({
+          id: entry.id,
+          timeSpentSeconds: 5,
+          opens: 1,
+          endReason: 'day-change',
+        }),
+      ]);
+    });
+  });
+
+  describe('flushSessionLog', () => {
+    it('should write the latest copy of each queued entry', async () => {
+      const entry = sessionLog.createLogEntry({
+        siteId: 'site1',
+        tabId: 3,
+        day: '2024-03-10',
+        startTime: 1000,
+      });
+      sessionLog.queueLogEntry(entry);
+      sessionLog.addLogTime(entry, 5, 6000, '2024-03-10');
+
+      expect(await sessionLog.flushSessionLog()).toBe(true);
+
+      expect(await sessionLog.getSessionLogEntries()).toEqual([
+        expect.objectContaining({ id: entry.id, timeSpentSeconds: 5 }),
+      ]);
+    });
+
+    it('should keep the entries queued when writing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      loggedSession(
+        { siteId: 'site1', tabId: 3, day: '2024-03-10', startTime: 1000 },
+        5
+      );
+      fakeDB.failWrites(true);
+
+      expect(await sessionLog.flushSessionLog()).toBe(false);
+      expect(await sessionLog.getSessionLogEntries()).toEqual([]);
+
+      fakeDB.failWrites(false);
+
+      expect(await sessionLog.flushSessionLog()).toBe(true);
+      expect(await sessionLog.getSessionLogEntries()).toHaveLength(1);
+    });
+  });
+
+  describe('getSessionLogEntries', () => {
+    beforeEach(async () => {
+      loggedSession(
+        { siteId: 'site1', tabId: 1, day: '2024-03-10', startTime: 3000 },
+        5
+      );
+      loggedSession(
+        { siteId: 'site2', tabId: 2, day: '2024-03-10', startTime: 1000 },
+        5
+      );
+      loggedSession(
+        { siteId: 'site1', tabId: 1, day: '2024-03-11', startTime: 90000 },
+        5
+      );
+      await sessionLog.flushSessionLog();
+    });
+
+    it('should read the sessions of a day, oldest first', async () => {
+      const entries = await sessionLog.getSessionLogEntries({
+        day: '2024-03-10',
+      });
+
+      expect(entries.map((entry) => entry.siteId)).toEqual(['site2', 'site1']);
+    });
+
+    it('should read the sessions of a site, optionally on one day', async () => {
+      expect(
+        await sessionLog.getSessionLogEntries({ siteId: 'site1' })
+      ).toHaveLength(2);
+      expect(
+        await sessionLog.getSessionLogEntries({
+          siteId: 'site1',
+          day: '2024-03-11',
+        })
+      ).toEqual([expect.objectContaining({ startTime: 90000 })]);
+    });
+
+    it('should return only the latest sessions up to the limit', async () => {
+      const entries = await sessionLog.getSessionLogEntries({ limit: 1 });
+
+      expect(entries).toEqual([expect.objectContaining({ startTime: 90000 })]);
+    });
+
+    it('should return an empty array when the database cannot be opened', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.indexedDB = undefined;
+      jest.resetModules();
+      sessionLog = await import('../../../background_scripts/session_log.js');
+
+      expect(await sessionLog.getSessionLogEntries()).toEqual([]);
+    });
+  });
+
+  describe('deriveDailyTotals', () => {
+    it('should add up time and opens per site', () => {
+      const totals = sessionLog.deriveDailyTotals([
+        { siteId: 'site1', timeSpentSeconds: 30, opens: 1 },
+        { siteId: 'site1', timeSpentSeconds: 12, opens: 0 },
+        { siteId: 'site2', timeSpentSeconds: 5, opens: 1 },
+      ]);
+
+      expect(totals).toEqual({
+        site1: { timeSpentSeconds: 42, opens: 1 },
+        site2: { timeSpentSeconds: 5, opens: 1 },
+      });
+    });
+  });
+
+  describe('deleteSessionLogBefore', () => {
+    it('should delete the sessions of earlier days only', async () => {
+      loggedSession(
+        { siteId: 'site1', tabId: 1, day: '2024-03-09', startTime: 1000 },
+        5
+      );
+      loggedSession(
+        { siteId: 'site1', tabId: 1, day: '2024-03-10', startTime: 90000 },
+        5
+      );
+      await sessionLog.flushSessionLog();
+
+      expect(await sessionLog.deleteSessionLogBefore('2024-03-10')).toBe(1);
+      expect(await sessionLog.getSessionLogEntries()).toEqual([
+        expect.objectContaining({ day: '2024-03-10' }),
+      ]);
+    });
+  });
+});
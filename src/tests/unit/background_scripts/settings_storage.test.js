@@ -0,0 +1,99 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file settings_storage.test.js
+ * @description Unit tests for settings_storage.js.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+  set: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+  },
+};
+
+import {
+  DEFAULT_APP_SETTINGS,
+  getAppSettings,
+  updateAppSettings,
+} from '../../../background_scripts/settings_storage.js';
+
+describe('settings_storage.js', () => {
+  let mockLocalStorageData;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    mockLocalStorageData = {};
+
+    mockStorageArea.get.mockImplementation(async (key) => {
+      return mockLocalStorageData[key] !== undefined
+        ? { [key]: mockLocalStorageData[key] }
+        : {};
+    });
+    mockStorageArea.set.mockImplementation(async (items) => {
+      Object.assign(mockLocalStorageData, items);
+    });
+
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockStorageArea.get.mockClear();
+    mockStorageArea.set.mockClear();
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('getAppSettings', () => {
+    it('should return the defaults when nothing is stored', async () => {
+      expect(await getAppSettings()).toEqual(DEFAULT_APP_SETTINGS);
+    });
+
+    it('should merge stored settings over the defaults', async () => {
+      mockLocalStorageData.appSettings = { historyRetentionDays: 30 };
+      expect(await getAppSettings()).toEqual({
+        ...DEFAULT_APP_SETTINGS,
+        historyRetentionDays: 30,
+      });
+    });
+
+    it('should return the defaults on storage errors', async () => {
+      mockStorageArea.get.mockRejectedValueOnce(new Error('Storage error'));
+      expect(await getAppSettings()).toEqual(DEFAULT_APP_SETTINGS);
+      expect(consoleErrorSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateAppSettings', () => {
+    it('should store valid updates and return the full settings', async () => {
+      const updated = await updateAppSettings({ historyRetentionDays: 180 });
+
+      expect(updated).toEqual({
+        ...DEFAULT_APP_SETTINGS,
+        historyRetentionDays: 180,
+      });
+      expect(mockLocalStorageData.appSettings).toEqual(updated);
+    });
+
+    it('should reject invalid updates without writing', async () => {
+      expect(await updateAppSettings({ historyRetentionDays: 3 })).toBe(null);
+      expect(await updateAppSettings({ unknown: true })).toBe(null);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should return null on storage errors', async () => {
+      mockStorageArea.set.mockRejectedValueOnce(new Error('Storage error'));
+      expect(await updateAppSettings({ historyRetentionDays: 30 })).toBe(null);
+    });
+  });
+});
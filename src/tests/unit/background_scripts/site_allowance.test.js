@@ -0,0 +1,95 @@
+/**
+ * @file site_allowance.test.js
+ * @description Unit tests for site_allowance.js.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockStorage = {};
+
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: mockStorage[key] })),
+      set: jest.fn(),
+    },
+  },
+};
+
+const { calculateRemainingAllowance, getSiteAllowance } =
+  await import('../../../background_scripts/site_allowance.js');
+
+describe('site_allowance.js', () => {
+  const site = {
+    id: 'site1',
+    urlPattern: 'example.com',
+    dailyLimitSeconds: 600,
+    dailyOpenLimit: 3,
+  };
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+  });
+
+  describe('calculateRemainingAllowance', () => {
+    it('should return the time and opens left, never below zero', () => {
+      expect(
+        calculateRemainingAllowance(site, {
+          site1: { timeSpentSeconds: 420, opens: 1 },
+        })
+      ).toEqual({
+        scheduledBlock: false,
+        remainingSeconds: 180,
+        remainingOpens: 2,
+      });
+      expect(
+        calculateRemainingAllowance(site, {
+          site1: { timeSpentSeconds: 900, opens: 5 },
+        })
+      ).toEqual({
+        scheduledBlock: false,
+        remainingSeconds: 0,
+        remainingOpens: 0,
+      });
+    });
+
+    it('should count banked time and leave unlimited values null', () => {
+      const timeOnly = { ...site, dailyOpenLimit: 0 };
+      expect(
+        calculateRemainingAllowance(timeOnly, {}, null, null, null, 300)
+      ).toEqual({
+        scheduledBlock: false,
+        remainingSeconds: 900,
+        remainingOpens: null,
+      });
+    });
+  });
+
+  describe('getSiteAllowance', () => {
+    it("should include the group's shared budget", async () => {
+      mockStorage.siteGroups = [
+        { id: 'social', name: 'Social', dailyLimitSeconds: 900 },
+      ];
+      const grouped = { ...site, groupId: 'social' };
+      const other = { id: 'site2', urlPattern: 'b.com', groupId: 'social' };
+      const usageStats = {
+        site1: { timeSpentSeconds: 100, opens: 1 },
+        site2: { timeSpentSeconds: 700, opens: 1 },
+      };
+
+      expect(
+        await getSiteAllowance(
+          grouped,
+          [grouped, other],
+          usageStats,
+          '2024-03-18'
+        )
+      ).toEqual({
+        scheduledBlock: false,
+        remainingSeconds: 100,
+        remainingOpens: 2,
+        override: { time: false, opens: false, remainingSeconds: 0 },
+      });
+    });
+  });
+});
@@ -16,6 +16,7 @@ import {
 // Mock the storage modules
 const mockGetDistractingSites = jest.fn();
 const mockGetUsageStats = jest.fn();
+const mockGetUsageStatsForDates = jest.fn();
 
 jest.unstable_mockModule('../../../background_scripts/site_storage.js', () => ({
   getDistractingSites: mockGetDistractingSites,
@@ -23,7 +24,8 @@ jest.unstable_mockModule('../../../background_scripts/site_storage.js', () => ({
 jest.unstable_mockModule(
   '../../../background_scripts/usage_storage.js',
   () => ({
-    getUsageStats: mockGetUsageStats,
+    getCombinedUsageStats: mockGetUsageStats,
+    getUsageStatsForDates: mockGetUsageStatsForDates,
   })
 );
 
@@ -34,17 +36,32 @@ global.browser = {
   },
   tabs: {
     update: jest.fn(),
+    sendMessage: jest.fn(),
+  },
+  // Read by the real group_storage.js module
+  storage: {
+    local: {
+      get: jest.fn(),
+    },
+    onChanged: { addListener: jest.fn() },
   },
 };
 
 // Mock Date for consistent testing
 const mockDate = new Date('2024-03-14T12:00:00Z');
 const originalDate = global.Date;
+// Blocked sites reopen at the next local midnight unless a schedule says otherwise
+const nextMidnight = new Date(
+  mockDate.getFullYear(),
+  mockDate.getMonth(),
+  mockDate.getDate() + 1
+).getTime();
 
 // To be imported in beforeEach
 let checkAndBlockSite;
 let handlePotentialRedirect;
 let checkOpenLimitBeforeAccess;
+let getPageEnforcement;
 
 describe('site_blocker.js', () => {
   beforeEach(async () => {
@@ -57,15 +74,24 @@ describe('site_blocker.js', () => {
     checkAndBlockSite = siteBlockerModule.checkAndBlockSite;
     handlePotentialRedirect = siteBlockerModule.handlePotentialRedirect;
     checkOpenLimitBeforeAccess = siteBlockerModule.checkOpenLimitBeforeAccess;
+    getPageEnforcement = siteBlockerModule.getPageEnforcement;
 
     // Reset all mocks
     mockGetDistractingSites.mockReset();
     mockGetUsageStats.mockReset();
+    mockGetUsageStatsForDates.mockReset();
+    mockGetUsageStatsForDates.mockResolvedValue({});
     browser.tabs.update.mockReset();
+    browser.tabs.sendMessage.mockReset();
+    browser.tabs.sendMessage.mockResolvedValue(undefined);
+    browser.storage.local.get.mockReset();
+    browser.storage.local.get.mockResolvedValue({});
     browser.runtime.getURL.mockClear();
 
-    // Mock Date to return our fixed date
-    global.Date = jest.fn(() => mockDate);
+    // Mock Date to return our fixed date ("now"); explicit dates are still constructed
+    global.Date = jest.fn((...args) =>
+      args.length > 0 ? new originalDate(...args) : mockDate
+    );
     global.Date.now = jest.fn(() => mockDate.getTime());
   });
 
@@ -193,6 +219,9 @@ describe('site_blocker.js', () => {
         reason:
           "You've spent 67 minutes on this site today, exceeding your 60 minute limit.",
         limitType: 'time',
+        availableAt: nextMidnight,
+        exceeded: { time: true, opens: false },
+        enforcement: { mode: 'block', next: null },
       });
     });
 
@@ -244,6 +273,9 @@ describe('site_blocker.js', () => {
         reason:
           "You've opened this site 8 times today, exceeding your 5 open limit.",
         limitType: 'opens',
+        availableAt: nextMidnight,
+        exceeded: { time: false, opens: true },
+        enforcement: { mode: 'block', next: null },
       });
     });
 
@@ -270,6 +302,9 @@ describe('site_blocker.js', () => {
         reason:
           "You've exceeded both your time limit (67/60 minutes) and open limit (8/5 opens) for this site today.",
         limitType: 'both',
+        availableAt: nextMidnight,
+        exceeded: { time: true, opens: true },
+        enforcement: { mode: 'block', next: null },
       });
     });
 
@@ -296,6 +331,9 @@ describe('site_blocker.js', () => {
         reason:
           "You've opened this site 5 times today, exceeding your 3 open limit.",
         limitType: 'opens',
+        availableAt: nextMidnight,
+        exceeded: { time: false, opens: true },
+        enforcement: { mode: 'block', next: null },
       });
     });
 
@@ -322,6 +360,9 @@ describe('site_blocker.js', () => {
         reason:
           "You've spent 67 minutes on this site today, exceeding your 60 minute limit.",
         limitType: 'time',
+        availableAt: nextMidnight,
+        exceeded: { time: true, opens: false },
+        enforcement: { mode: 'block', next: null },
       });
     });
 
@@ -350,6 +391,261 @@ describe('site_blocker.js', () => {
       });
     });
 
+    it('should block during a scheduled block window regardless of usage', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'site1',
+          urlPattern: 'example.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          schedule: [
+            {
+              days: [mockDate.getDay()],
+              start: '00:00',
+              end: '24:00',
+              mode: 'block',
+            },
+          ],
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({});
+
+      const result = await checkAndBlockSite('tab1', 'http://example.com');
+      expect(result).toEqual({
+        shouldBlock: true,
+        siteId: 'site1',
+        reason: expect.stringContaining('blocked by your schedule until'),
+        limitType: 'schedule',
+        availableAt: nextMidnight,
+        enforcement: { mode: 'block', next: null },
+      });
+    });
+
+    it('should apply the limits of an active schedule limit window', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'site1',
+          urlPattern: 'example.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          schedule: [
+            {
+              days: [mockDate.getDay()],
+              start: '00:00',
+              end: '24:00',
+              mode: 'limit',
+              dailyLimitSeconds: 600,
+            },
+          ],
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 1800, opens: 1 }, // Under base, over window limit
+      });
+
+      const result = await checkAndBlockSite('tab1', 'http://example.com');
+      expect(result.shouldBlock).toBe(true);
+      expect(result.limitType).toBe('time');
+      expect(result.reason).toContain('exceeding your 10 minute limit');
+    });
+
+    it('should use base limits when no schedule window is active', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'site1',
+          urlPattern: 'example.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          schedule: [
+            {
+              days: [(mockDate.getDay() + 3) % 7],
+              start: '00:00',
+              end: '24:00',
+              mode: 'block',
+            },
+          ],
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 1800, opens: 1 },
+      });
+
+      const result = await checkAndBlockSite('tab1', 'http://example.com');
+      expect(result.shouldBlock).toBe(false);
+    });
+
+    describe('with weekly and monthly budgets', () => {
+      // 2024-03-14 is a Thursday: the week started on Monday 2024-03-11
+      const nextMonday = new Date(2024, 2, 18).getTime();
+      const nextMonth = new Date(2024, 3, 1).getTime();
+      const site = {
+        id: 'site1',
+        urlPattern: 'example.com',
+        dailyLimitSeconds: 3600,
+        weeklyLimitSeconds: 7200,
+        isEnabled: true,
+      };
+
+      beforeEach(() => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 1800, opens: 2 }, // Under the daily limit
+        });
+      });
+
+      it('should block once the week adds up to the weekly budget', async () => {
+        mockGetDistractingSites.mockResolvedValue([site]);
+        mockGetUsageStatsForDates.mockResolvedValue({
+          '2024-03-10': { site1: { timeSpentSeconds: 9000, opens: 9 } }, // Last week
+          '2024-03-12': { site1: { timeSpentSeconds: 3000, opens: 3 } },
+          '2024-03-13': { site1: { timeSpentSeconds: 2400, opens: 2 } },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'https://example.com');
+        expect(result).toEqual({
+          shouldBlock: true,
+          siteId: 'site1',
+          reason: expect.stringContaining('this week'),
+          limitType: 'weekly',
+          availableAt: nextMonday,
+          exceeded: { time: true, opens: false },
+          enforcement: { mode: 'block', next: null },
+        });
+      });
+
+      it('should allow the site while the weekly budget lasts', async () => {
+        mockGetDistractingSites.mockResolvedValue([site]);
+        mockGetUsageStatsForDates.mockResolvedValue({
+          '2024-03-12': { site1: { timeSpentSeconds: 3000, opens: 3 } },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'https://example.com');
+        expect(result.shouldBlock).toBe(false);
+      });
+
+      it('should reopen at the later period start when both budgets are used up', async () => {
+        mockGetDistractingSites.mockResolvedValue([
+          { ...site, monthlyOpenLimit: 10 },
+        ]);
+        mockGetUsageStatsForDates.mockResolvedValue({
+          '2024-03-04': { site1: { timeSpentSeconds: 600, opens: 8 } },
+          '2024-03-12': { site1: { timeSpentSeconds: 6000, opens: 1 } },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'https://example.com');
+        expect(result).toMatchObject({
+          shouldBlock: true,
+          limitType: 'monthly',
+          availableAt: nextMonth,
+          exceeded: { time: true, opens: true },
+        });
+      });
+
+      it('should lift the weekly budget with a time override', async () => {
+        mockGetDistractingSites.mockResolvedValue([site]);
+        mockGetUsageStatsForDates.mockResolvedValue({
+          '2024-03-12': { site1: { timeSpentSeconds: 6000, opens: 3 } },
+        });
+        browser.storage.local.get.mockResolvedValue({
+          overrideLog: [
+            {
+              id: 'override1',
+              siteId: 'site1',
+              date: '2024-03-14',
+              extraSeconds: 600,
+              extraOpens: 0,
+              baseline: { timeSpentSeconds: 1800, opens: 2 },
+            },
+          ],
+        });
+
+        const result = await checkAndBlockSite('tab1', 'https://example.com');
+        expect(result.shouldBlock).toBe(false);
+      });
+    });
+
+    it('should block all group members once the group budget is used up', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'twitter',
+          urlPattern: 'twitter.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'social',
+        },
+        {
+          id: 'reddit',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'social',
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        twitter: { timeSpentSeconds: 1200, opens: 2 },
+        reddit: { timeSpentSeconds: 600, opens: 1 }, // Each under its own limit
+      });
+      browser.storage.local.get.mockResolvedValue({
+        siteGroups: [{ id: 'social', name: 'Social', dailyLimitSeconds: 1800 }],
+      });
+
+      const result = await checkAndBlockSite('tab1', 'https://reddit.com');
+      expect(result).toEqual({
+        shouldBlock: true,
+        siteId: 'reddit',
+        reason: expect.stringContaining('"Social"'),
+        limitType: 'group',
+        availableAt: nextMidnight,
+        exceeded: { time: true, opens: false },
+        enforcement: { mode: 'block', next: null },
+      });
+    });
+
+    it('should allow group members while the group budget lasts', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'twitter',
+          urlPattern: 'twitter.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'social',
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        twitter: { timeSpentSeconds: 600, opens: 2 },
+      });
+      browser.storage.local.get.mockResolvedValue({
+        siteGroups: [
+          {
+            id: 'social',
+            name: 'Social',
+            dailyLimitSeconds: 1800,
+            dailyOpenLimit: 5,
+          },
+        ],
+      });
+
+      const result = await checkAndBlockSite('tab1', 'https://twitter.com');
+      expect(result.shouldBlock).toBe(false);
+    });
+
+    it('should ignore a groupId that refers to a deleted group', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'twitter',
+          urlPattern: 'twitter.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'deleted',
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        twitter: { timeSpentSeconds: 2400, opens: 2 },
+      });
+
+      const result = await checkAndBlockSite('tab1', 'https://twitter.com');
+      expect(result.shouldBlock).toBe(false);
+    });
+
     it('should handle storage errors gracefully', async () => {
       mockGetDistractingSites.mockRejectedValue(new Error('Storage error'));
 
@@ -374,6 +670,490 @@ describe('site_blocker.js', () => {
       });
     });
 
+    it('should add banked rollover time to the time limit', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'site1',
+          urlPattern: 'example.com',
+          dailyLimitSeconds: 1800,
+          rolloverPercent: 50,
+          rolloverCapSeconds: 1200,
+          isEnabled: true,
+        },
+      ]);
+      browser.storage.local.get.mockResolvedValue({
+        rolloverBank: {
+          settledThrough: '2024-03-13',
+          banks: { site1: [{ date: '2024-03-13', seconds: 720 }] },
+        },
+      });
+
+      mockGetUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 2400, opens: 3 }, // Past 30m, within 30m + 12m
+      });
+      const banked = await checkAndBlockSite('tab1', 'https://example.com');
+
+      mockGetUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 2520, opens: 3 },
+      });
+      const usedUp = await checkAndBlockSite('tab1', 'https://example.com');
+
+      expect(banked.shouldBlock).toBe(false);
+      expect(usedUp).toMatchObject({
+        shouldBlock: true,
+        limitType: 'time',
+        reason: expect.stringContaining('30m + 12m banked'),
+      });
+    });
+
+    it('should not count the visit in progress against the open limit', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'site1',
+          urlPattern: 'example.com',
+          dailyOpenLimit: 3,
+          isEnabled: true,
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        site1: { timeSpentSeconds: 600, opens: 3 }, // The third visit is open
+      });
+
+      const during = await checkAndBlockSite('tab1', 'http://example.com', {
+        visitCounted: true,
+      });
+      const nextVisit = await checkAndBlockSite('tab1', 'http://example.com');
+
+      expect(during.shouldBlock).toBe(false);
+      expect(nextVisit.shouldBlock).toBe(true);
+    });
+
+    describe('with overrides', () => {
+      const override = (changes) => ({
+        id: 'override1',
+        siteId: 'site1',
+        date: '2024-03-14',
+        extraSeconds: 0,
+        extraOpens: 0,
+        baseline: { timeSpentSeconds: 3600, opens: 5 },
+        ...changes,
+      });
+
+      beforeEach(() => {
+        mockGetDistractingSites.mockResolvedValue([
+          {
+            id: 'site1',
+            urlPattern: 'example.com',
+            dailyLimitSeconds: 3600,
+            dailyOpenLimit: 5,
+            isEnabled: true,
+          },
+        ]);
+      });
+
+      it('should allow the site until the borrowed time is used up', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          overrideLog: [override({ extraSeconds: 300 })],
+        });
+
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 3800, opens: 4 },
+        });
+        const borrowing = await checkAndBlockSite('tab1', 'http://example.com');
+
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 3900, opens: 4 },
+        });
+        const usedUp = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(borrowing.shouldBlock).toBe(false);
+        expect(usedUp).toMatchObject({ shouldBlock: true, limitType: 'time' });
+      });
+
+      it('should allow exactly one more visit with an open override', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          overrideLog: [override({ extraOpens: 1 })],
+        });
+
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 600, opens: 5 },
+        });
+        const opening = await checkAndBlockSite('tab1', 'http://example.com');
+
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 600, opens: 6 },
+        });
+        const during = await checkAndBlockSite('tab1', 'http://example.com', {
+          visitCounted: true,
+        });
+        const anotherVisit = await checkAndBlockSite(
+          'tab1',
+          'http://example.com'
+        );
+
+        expect(opening.shouldBlock).toBe(false);
+        expect(during.shouldBlock).toBe(false);
+        expect(anotherVisit).toMatchObject({
+          shouldBlock: true,
+          limitType: 'opens',
+        });
+      });
+
+      it('should ignore overrides from other days and other sites', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          overrideLog: [
+            override({ extraSeconds: 300, date: '2024-03-13' }),
+            override({ extraSeconds: 300, siteId: 'site2' }),
+          ],
+        });
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 3700, opens: 4 },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(true);
+      });
+
+      it('should lift the group budget with a time override', async () => {
+        mockGetDistractingSites.mockResolvedValue([
+          {
+            id: 'site1',
+            urlPattern: 'example.com',
+            dailyLimitSeconds: 7200,
+            isEnabled: true,
+            groupId: 'social',
+          },
+        ]);
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 3700, opens: 4 },
+        });
+        browser.storage.local.get.mockResolvedValue({
+          siteGroups: [
+            { id: 'social', name: 'Social', dailyLimitSeconds: 3600 },
+          ],
+          overrideLog: [override({ extraSeconds: 300 })],
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(false);
+      });
+    });
+
+    describe('with a cooldown between opens', () => {
+      const now = mockDate.getTime();
+      const MINUTE_MS = 60 * 1000;
+      const site = {
+        id: 'site1',
+        urlPattern: 'example.com',
+        dailyLimitSeconds: 3600,
+        openCooldownSeconds: 45 * 60,
+        isEnabled: true,
+      };
+
+      beforeEach(() => {
+        mockGetDistractingSites.mockResolvedValue([site]);
+      });
+
+      it('should block a new visit until the cooldown since the last open is over', async () => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: {
+            timeSpentSeconds: 600,
+            opens: 1,
+            lastOpenAt: now - 30 * MINUTE_MS,
+          },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result).toEqual({
+          shouldBlock: true,
+          siteId: 'site1',
+          reason: expect.stringContaining('again in 15 minutes'),
+          limitType: 'cooldown',
+          availableAt: now + 15 * MINUTE_MS,
+          exceeded: { time: false, opens: true },
+          enforcement: { mode: 'block', next: null },
+        });
+      });
+
+      it('should allow the site once the cooldown is over', async () => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: {
+            timeSpentSeconds: 600,
+            opens: 1,
+            lastOpenAt: now - 45 * MINUTE_MS,
+          },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(false);
+      });
+
+      it('should not hold back navigation within the visit that was just opened', async () => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 0, opens: 1, lastOpenAt: now },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com', {
+          visitCounted: true,
+        });
+
+        expect(result.shouldBlock).toBe(false);
+      });
+
+      it("should carry over from yesterday's last open", async () => {
+        mockGetUsageStats.mockResolvedValue({});
+        mockGetUsageStatsForDates.mockResolvedValue({
+          '2024-03-13': {
+            site1: {
+              timeSpentSeconds: 600,
+              opens: 3,
+              lastOpenAt: now - 10 * MINUTE_MS,
+            },
+          },
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(mockGetUsageStatsForDates).toHaveBeenCalledWith(['2024-03-13']);
+        expect(result).toMatchObject({
+          shouldBlock: true,
+          limitType: 'cooldown',
+          availableAt: now + 35 * MINUTE_MS,
+        });
+      });
+
+      it('should let an open override skip the cooldown once', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          overrideLog: [
+            {
+              id: 'override1',
+              siteId: 'site1',
+              date: '2024-03-14',
+              extraSeconds: 0,
+              extraOpens: 1,
+              baseline: { timeSpentSeconds: 600, opens: 1 },
+            },
+          ],
+        });
+        mockGetUsageStats.mockResolvedValue({
+          site1: {
+            timeSpentSeconds: 600,
+            opens: 1,
+            lastOpenAt: now - 5 * MINUTE_MS,
+          },
+        });
+        const borrowed = await checkAndBlockSite('tab1', 'http://example.com');
+
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 600, opens: 2, lastOpenAt: now },
+        });
+        const nextVisit = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(borrowed.shouldBlock).toBe(false);
+        expect(nextVisit).toMatchObject({
+          shouldBlock: true,
+          limitType: 'cooldown',
+          availableAt: now + 45 * MINUTE_MS,
+        });
+      });
+    });
+
+    describe('during a focus session', () => {
+      const focusSession = (changes) => ({
+        id: 'focus1',
+        startedAt: mockDate.getTime() - 10 * 60 * 1000,
+        focusMinutes: 25,
+        breakMinutes: 5,
+        cycles: 2,
+        siteIds: [],
+        ...changes,
+      });
+
+      beforeEach(() => {
+        mockGetDistractingSites.mockResolvedValue(sampleSites);
+        mockGetUsageStats.mockResolvedValue({});
+      });
+
+      it('should block a site with budget left until the focus period ends', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          focusSession: focusSession(),
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result).toMatchObject({
+          shouldBlock: true,
+          siteId: 'site1',
+          limitType: 'focus',
+          availableAt: mockDate.getTime() + 15 * 60 * 1000,
+        });
+        expect(result.reason).toMatch(/focus session/);
+        expect(result).not.toHaveProperty('exceeded');
+      });
+
+      it('should only block the sites chosen for the session', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          focusSession: focusSession({ siteIds: ['other-site'] }),
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(false);
+      });
+
+      it('should allow the site during breaks', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          focusSession: focusSession({
+            startedAt: mockDate.getTime() - 27 * 60 * 1000,
+          }),
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(false);
+      });
+    });
+
+    describe('in allowlist mode', () => {
+      const allowAll = {
+        days: [mockDate.getDay()],
+        start: '00:00',
+        end: '24:00',
+        mode: 'block',
+      };
+
+      beforeEach(() => {
+        mockGetDistractingSites.mockResolvedValue(sampleSites);
+        mockGetUsageStats.mockResolvedValue({});
+      });
+
+      it('should block pages off the list, distracting or not', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          appSettings: {
+            allowlistEnabled: true,
+            allowlistPatterns: ['docs.example.org'],
+          },
+        });
+
+        expect(
+          await checkAndBlockSite('tab1', 'https://news.example.net/')
+        ).toMatchObject({
+          shouldBlock: true,
+          siteId: null,
+          limitType: 'allowlist',
+          availableAt: null,
+          enforcement: { mode: 'block', next: null },
+        });
+        expect(
+          await checkAndBlockSite('tab1', 'http://example.com')
+        ).toMatchObject({ siteId: 'site1', limitType: 'allowlist' });
+        expect(
+          (await checkAndBlockSite('tab1', 'https://docs.example.org/api'))
+            .shouldBlock
+        ).toBe(false);
+        expect(
+          (await checkAndBlockSite('tab1', 'about:preferences')).shouldBlock
+        ).toBe(false);
+      });
+
+      it('should block until the scheduled window ends', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          appSettings: { allowlistSchedule: [allowAll] },
+        });
+
+        const result = await checkAndBlockSite(
+          'tab1',
+          'https://news.example.net/'
+        );
+
+        expect(result).toMatchObject({
+          shouldBlock: true,
+          limitType: 'allowlist',
+          availableAt: nextMidnight,
+        });
+        expect(result.reason).toMatch(/allowlisted sites/);
+      });
+
+      it('should send pages of no distracting site to the timeout page', async () => {
+        browser.storage.local.get.mockResolvedValue({
+          appSettings: { allowlistEnabled: true },
+        });
+
+        expect(
+          await handlePotentialRedirect(123, 'https://news.example.net/')
+        ).toBe(true);
+        expect(browser.tabs.update).toHaveBeenCalledWith(123, {
+          url: expect.stringMatching(/siteId=&reason=.*&limitType=allowlist/),
+        });
+      });
+    });
+
+    describe('with soft enforcement', () => {
+      // Grayscale at the limit, a hard block 10 minutes past it
+      const softSites = [
+        {
+          ...sampleSites[0],
+          enforcement: [
+            { mode: 'grayscale', afterMinutes: 0 },
+            { mode: 'block', afterMinutes: 10 },
+          ],
+        },
+      ];
+
+      beforeEach(() => {
+        mockGetDistractingSites.mockResolvedValue(softSites);
+      });
+
+      it('should return the mode for the time past the limit', async () => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 3900, opens: 2 }, // 5 minutes past
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.shouldBlock).toBe(true);
+        expect(result.enforcement).toEqual({
+          mode: 'grayscale',
+          next: { mode: 'block', inSeconds: 300 },
+        });
+      });
+
+      it('should escalate to the next step', async () => {
+        mockGetUsageStats.mockResolvedValue({
+          site1: { timeSpentSeconds: 4200, opens: 2 }, // 10 minutes past
+        });
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.enforcement).toEqual({ mode: 'block', next: null });
+      });
+
+      it('should keep schedule blocks hard', async () => {
+        mockGetDistractingSites.mockResolvedValue([
+          {
+            ...softSites[0],
+            schedule: [
+              {
+                days: [mockDate.getDay()],
+                start: '00:00',
+                end: '24:00',
+                mode: 'block',
+              },
+            ],
+          },
+        ]);
+        mockGetUsageStats.mockResolvedValue({});
+
+        const result = await checkAndBlockSite('tab1', 'http://example.com');
+
+        expect(result.enforcement).toEqual({ mode: 'block', next: null });
+      });
+    });
+
     it('should use correct date format for storage', async () => {
       mockGetDistractingSites.mockResolvedValue(sampleSites);
       mockGetUsageStats.mockResolvedValue({});
@@ -442,6 +1222,103 @@ describe('site_blocker.js', () => {
       expect(browser.tabs.update).toHaveBeenCalledWith(123, {
         url: expect.stringMatching(/limitType=time/),
       });
+      expect(browser.tabs.update).toHaveBeenCalledWith(123, {
+        url: expect.stringContaining(`availableAt=${nextMidnight}`),
+      });
+    });
+
+    it('should block title rules once the title matches, passing it on', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        ...sampleSites,
+        {
+          id: 'reels',
+          urlPattern: 'title:reels',
+          dailyLimitSeconds: 600,
+          isEnabled: true,
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        reels: { timeSpentSeconds: 900, opens: 2 },
+      });
+
+      expect(await handlePotentialRedirect(123, 'http://example.com/')).toBe(
+        false
+      );
+      expect(
+        await handlePotentialRedirect(123, 'http://example.com/', {
+          title: 'Reels & more',
+        })
+      ).toBe(true);
+      expect(browser.tabs.update).toHaveBeenCalledWith(123, {
+        url: expect.stringContaining('siteId=reels&'),
+      });
+      expect(browser.tabs.update).toHaveBeenCalledWith(123, {
+        url: expect.stringContaining('blockedTitle=Reels%20%26%20more'),
+      });
+    });
+  });
+
+  describe('soft enforcement of pages', () => {
+    const blurSites = [
+      {
+        ...sampleSites[0],
+        enforcement: [{ mode: 'blur', afterMinutes: 0 }],
+      },
+    ];
+    const overLimit = { site1: { timeSpentSeconds: 4000, opens: 10 } };
+
+    it('should tell the page instead of redirecting, once per change', async () => {
+      mockGetDistractingSites.mockResolvedValue(blurSites);
+      mockGetUsageStats.mockResolvedValue(overLimit);
+
+      expect(await handlePotentialRedirect(123, 'http://example.com')).toBe(
+        false
+      );
+      await handlePotentialRedirect(123, 'http://example.com');
+
+      expect(browser.tabs.update).not.toHaveBeenCalled();
+      expect(browser.tabs.sendMessage).toHaveBeenCalledTimes(1);
+      expect(browser.tabs.sendMessage).toHaveBeenCalledWith(123, {
+        type: 'enforcementChanged',
+        enforcement: {
+          mode: 'blur',
+          reason: expect.stringContaining('67 minutes'),
+          nextMode: null,
+          dismissAfterSeconds: 15,
+        },
+      });
+    });
+
+    it('should lift the mode once the site is within its limits', async () => {
+      mockGetDistractingSites.mockResolvedValue(blurSites);
+      mockGetUsageStats.mockResolvedValue(overLimit);
+      await handlePotentialRedirect(123, 'http://example.com');
+
+      mockGetUsageStats.mockResolvedValue({});
+      await handlePotentialRedirect(123, 'http://example.com');
+
+      expect(browser.tabs.sendMessage).toHaveBeenLastCalledWith(123, {
+        type: 'enforcementChanged',
+        enforcement: null,
+      });
+    });
+
+    it('should answer pages of sites without soft modes without checking limits', async () => {
+      mockGetDistractingSites.mockResolvedValue(sampleSites);
+
+      expect(await getPageEnforcement(123, 'http://example.com')).toBeNull();
+      expect(mockGetUsageStats).not.toHaveBeenCalled();
+    });
+
+    it('should not send a page the state it asked for itself', async () => {
+      mockGetDistractingSites.mockResolvedValue(blurSites);
+      mockGetUsageStats.mockResolvedValue(overLimit);
+
+      const state = await getPageEnforcement(123, 'http://example.com');
+      await handlePotentialRedirect(123, 'http://example.com');
+
+      expect(state).toMatchObject({ mode: 'blur' });
+      expect(browser.tabs.sendMessage).not.toHaveBeenCalled();
     });
   });
 
@@ -580,6 +1457,40 @@ describe('site_blocker.js', () => {
       });
     });
 
+    it('should apply the open budget of the site group', async () => {
+      mockGetDistractingSites.mockResolvedValue([
+        {
+          id: 'twitter',
+          urlPattern: 'twitter.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'social',
+        },
+        {
+          id: 'reddit',
+          urlPattern: 'reddit.com',
+          dailyLimitSeconds: 3600,
+          isEnabled: true,
+          groupId: 'social',
+        },
+      ]);
+      mockGetUsageStats.mockResolvedValue({
+        twitter: { timeSpentSeconds: 0, opens: 3 },
+        reddit: { timeSpentSeconds: 0, opens: 2 },
+      });
+      browser.storage.local.get.mockResolvedValue({
+        siteGroups: [{ id: 'social', name: 'Social', dailyOpenLimit: 5 }],
+      });
+
+      const result = await checkOpenLimitBeforeAccess('https://twitter.com');
+      expect(result).toEqual({
+        wouldExceed: true,
+        siteId: 'twitter',
+        currentOpens: 5,
+        limit: 5,
+      });
+    });
+
     it('should return wouldExceed: true when already over limit', async () => {
       mockGetDistractingSites.mockResolvedValue([
         {
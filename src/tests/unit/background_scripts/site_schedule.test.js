@@ -0,0 +1,189 @@
+/**
+ * @file site_schedule.test.js
+ * @description Unit tests for the site_schedule.js module.
+ * All dates are constructed in local time, matching how schedules are evaluated.
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseTimeOfDay,
+  getActiveScheduleRule,
+  getEffectiveLimits,
+  isBlockedAt,
+  getNextAvailableTime,
+  getNextScheduleChange,
+} from '../../../background_scripts/site_schedule.js';
+
+// 2024-03-11 is a Monday
+const monday = (hours, minutes = 0) => new Date(2024, 2, 11, hours, minutes);
+const saturday = (hours, minutes = 0) => new Date(2024, 2, 16, hours, minutes);
+const noUsage = { timeSpentSeconds: 0, opens: 0 };
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const teamSite = {
+  id: 'site1',
+  urlPattern: 'example.com',
+  dailyLimitSeconds: 1800, // 30 minutes outside any window
+  isEnabled: true,
+  schedule: [
+    { days: WEEKDAYS, start: '09:00', end: '17:00', mode: 'block' },
+    {
+      days: [0, 6],
+      start: '00:00',
+      end: '24:00',
+      mode: 'limit',
+      dailyLimitSeconds: 7200,
+    },
+  ],
+};
+
+describe('SiteSchedule', () => {
+  describe('parseTimeOfDay', () => {
+    it('should parse valid times into minutes since midnight', () => {
+      expect(parseTimeOfDay('00:00')).toBe(0);
+      expect(parseTimeOfDay('9:30')).toBe(570);
+      expect(parseTimeOfDay('24:00')).toBe(1440);
+    });
+
+    it('should reject invalid times', () => {
+      expect(parseTimeOfDay('24:30')).toBeNull();
+      expect(parseTimeOfDay('12:60')).toBeNull();
+      expect(parseTimeOfDay('noon')).toBeNull();
+      expect(parseTimeOfDay(null)).toBeNull();
+    });
+  });
+
+  describe('getActiveScheduleRule', () => {
+    it('should find the active window on matching weekdays', () => {
+      expect(getActiveScheduleRule(teamSite, monday(10)).mode).toBe('block');
+      expect(getActiveScheduleRule(teamSite, saturday(10)).mode).toBe('limit');
+    });
+
+    it('should treat the end time as exclusive', () => {
+      expect(getActiveScheduleRule(teamSite, monday(8, 59))).toBeNull();
+      expect(getActiveScheduleRule(teamSite, monday(17))).toBeNull();
+    });
+
+    it('should carry overnight windows into the next day', () => {
+      const site = {
+        schedule: [{ days: [1], start: '22:00', end: '06:00', mode: 'block' }],
+      };
+      expect(getActiveScheduleRule(site, monday(23))).not.toBeNull();
+      // Tuesday 05:00 belongs to Monday's window
+      expect(
+        getActiveScheduleRule(site, new Date(2024, 2, 12, 5))
+      ).not.toBeNull();
+      expect(getActiveScheduleRule(site, monday(5))).toBeNull();
+    });
+
+    it('should return null for sites without a schedule', () => {
+      expect(getActiveScheduleRule({ id: 'x' }, monday(10))).toBeNull();
+    });
+  });
+
+  describe('getEffectiveLimits', () => {
+    it('should fall back to the base limits outside any window', () => {
+      expect(getEffectiveLimits(teamSite, monday(19))).toMatchObject({
+        mode: 'limit',
+        dailyLimitSeconds: 1800,
+        dailyOpenLimit: 0,
+        rule: null,
+      });
+    });
+
+    it('should use the window limits inside a limit window', () => {
+      expect(getEffectiveLimits(teamSite, saturday(19))).toMatchObject({
+        mode: 'limit',
+        dailyLimitSeconds: 7200,
+      });
+    });
+  });
+
+  describe('isBlockedAt', () => {
+    it('should block inside block windows and when limits are exceeded', () => {
+      expect(isBlockedAt(teamSite, monday(10), noUsage)).toBe(true);
+      expect(
+        isBlockedAt(teamSite, monday(19), { timeSpentSeconds: 1800, opens: 0 })
+      ).toBe(true);
+      expect(
+        isBlockedAt(teamSite, saturday(19), {
+          timeSpentSeconds: 1800,
+          opens: 0,
+        })
+      ).toBe(false);
+    });
+  });
+
+  describe('getNextAvailableTime', () => {
+    it('should return the end of the current block window', () => {
+      expect(getNextAvailableTime(teamSite, monday(10), noUsage)).toBe(
+        monday(17).getTime()
+      );
+    });
+
+    it('should return the next midnight when the daily limit is used up', () => {
+      const usage = { timeSpentSeconds: 1800, opens: 0 };
+      expect(getNextAvailableTime(teamSite, monday(19), usage)).toBe(
+        new Date(2024, 2, 12).getTime()
+      );
+    });
+
+    it('should account for the usage reset at midnight', () => {
+      // Friday evening over the limit: Saturday has a fresh allowance
+      const friday = new Date(2024, 2, 15, 19);
+      const usage = { timeSpentSeconds: 1800, opens: 0 };
+      expect(getNextAvailableTime(teamSite, friday, usage)).toBe(
+        saturday(0).getTime()
+      );
+
+      // Monday-only always-block rule: next opening is Tuesday midnight
+      const site = {
+        schedule: [{ days: [1], start: '00:00', end: '24:00', mode: 'block' }],
+      };
+      expect(getNextAvailableTime(site, monday(10), noUsage)).toBe(
+        new Date(2024, 2, 12).getTime()
+      );
+    });
+
+    it('should return the end of an overnight window that began the day before', () => {
+      const site = {
+        schedule: [{ days: [5], start: '22:00', end: '06:00', mode: 'block' }],
+      };
+      // Friday's window still blocks on Saturday at 02:00
+      expect(getNextAvailableTime(site, saturday(2), noUsage)).toBe(
+        saturday(6).getTime()
+      );
+      expect(getNextScheduleChange(site, saturday(2))).toBe(
+        saturday(6).getTime()
+      );
+    });
+
+    it('should return null when the site never becomes available', () => {
+      const site = {
+        schedule: [
+          {
+            days: [0, 1, 2, 3, 4, 5, 6],
+            start: '00:00',
+            end: '24:00',
+            mode: 'block',
+          },
+        ],
+      };
+      expect(getNextAvailableTime(site, monday(10), noUsage)).toBeNull();
+    });
+  });
+
+  describe('getNextScheduleChange', () => {
+    it('should return the next window start or end', () => {
+      expect(getNextScheduleChange(teamSite, monday(10))).toBe(
+        monday(17).getTime()
+      );
+      expect(getNextScheduleChange(teamSite, monday(6))).toBe(
+        monday(9).getTime()
+      );
+    });
+
+    it('should return null without a schedule', () => {
+      expect(getNextScheduleChange({ schedule: [] }, monday(10))).toBeNull();
+    });
+  });
+});
@@ -181,6 +181,52 @@ describe('Site Storage Module', () => {
       expect(result.dailyOpenLimit).toBe(5);
     });
 
+    it('should store background counting only when turned on', async () => {
+      const base = {
+        urlPattern: 'youtube.com',
+        dailyLimitSeconds: 3600,
+        isEnabled: true,
+      };
+
+      const tracked = await siteStorage.addDistractingSite({
+        ...base,
+        trackInBackground: true,
+      });
+      const untracked = await siteStorage.addDistractingSite({
+        ...base,
+        trackInBackground: false,
+      });
+      const invalid = await siteStorage.addDistractingSite({
+        ...base,
+        trackInBackground: 'yes',
+      });
+
+      expect(tracked.trackInBackground).toBe(true);
+      expect(untracked).not.toHaveProperty('trackInBackground');
+      expect(invalid).toBeNull();
+    });
+
+    it('should store weekly and monthly budgets when set', async () => {
+      const result = await siteStorage.addDistractingSite({
+        urlPattern: 'youtube.com',
+        dailyLimitSeconds: 3600,
+        weeklyLimitSeconds: 5 * 3600,
+        monthlyOpenLimit: 0,
+        isEnabled: true,
+      });
+
+      expect(result.weeklyLimitSeconds).toBe(5 * 3600);
+      expect(result).not.toHaveProperty('monthlyOpenLimit');
+      expect(
+        await siteStorage.addDistractingSite({
+          urlPattern: 'youtube.com',
+          dailyLimitSeconds: 3600,
+          weeklyOpenLimit: -1,
+          isEnabled: true,
+        })
+      ).toBeNull();
+    });
+
     it('should validate required fields', async () => {
       const invalidSiteData = {
         dailyLimitSeconds: 3600,
@@ -395,6 +441,161 @@ describe('Site Storage Module', () => {
       });
     });
 
+    it('should turn background counting on and off', async () => {
+      const enabled = await siteStorage.updateDistractingSite('site1', {
+        trackInBackground: true,
+      });
+      expect(enabled.trackInBackground).toBe(true);
+
+      const disabled = await siteStorage.updateDistractingSite('site1', {
+        trackInBackground: false,
+      });
+      expect(disabled).not.toHaveProperty('trackInBackground');
+      expect(mockLocalStorageData.distractingSites[0]).toEqual(disabled);
+    });
+
+    it('should turn the mindful pause on and off', async () => {
+      const paused = await siteStorage.updateDistractingSite('site1', {
+        mindfulPause: true,
+      });
+      expect(paused.mindfulPause).toBe(true);
+
+      const unpaused = await siteStorage.updateDistractingSite('site1', {
+        mindfulPause: false,
+      });
+      expect(unpaused).not.toHaveProperty('mindfulPause');
+
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          mindfulPause: 'yes',
+        })
+      ).toBeNull();
+    });
+
+    it('should set and clear warning thresholds of its own', async () => {
+      const custom = await siteStorage.updateDistractingSite('site1', {
+        warningThresholds: ['5M', ' 50 %'],
+      });
+      expect(custom.warningThresholds).toEqual(['5m', '50%']);
+
+      const muted = await siteStorage.updateDistractingSite('site1', {
+        warningThresholds: [],
+      });
+      expect(muted.warningThresholds).toEqual([]);
+
+      const defaults = await siteStorage.updateDistractingSite('site1', {
+        warningThresholds: null,
+      });
+      expect(defaults).not.toHaveProperty('warningThresholds');
+
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          warningThresholds: ['soon'],
+        })
+      ).toBeNull();
+    });
+
+    it('should turn on the countdown overlay and move it', async () => {
+      const shown = await siteStorage.updateDistractingSite('site1', {
+        showOverlay: true,
+        overlayPosition: 'top-left',
+      });
+      expect(shown).toMatchObject({
+        showOverlay: true,
+        overlayPosition: 'top-left',
+      });
+
+      const hidden = await siteStorage.updateDistractingSite('site1', {
+        showOverlay: false,
+        overlayPosition: null,
+      });
+      expect(hidden).not.toHaveProperty('showOverlay');
+      expect(hidden).not.toHaveProperty('overlayPosition');
+
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          overlayPosition: 'center',
+        })
+      ).toBeNull();
+    });
+
+    it('should set and clear enforcement steps', async () => {
+      const soft = await siteStorage.updateDistractingSite('site1', {
+        enforcement: [
+          { mode: 'grayscale', afterMinutes: 0 },
+          { mode: 'block', afterMinutes: 10 },
+        ],
+      });
+      expect(soft.enforcement).toHaveLength(2);
+
+      // A lone hard block is the default and isn't stored
+      const hard = await siteStorage.updateDistractingSite('site1', {
+        enforcement: [{ mode: 'block', afterMinutes: 0 }],
+      });
+      expect(hard).not.toHaveProperty('enforcement');
+
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          enforcement: [{ mode: 'blur', afterMinutes: 5 }],
+        })
+      ).toBeNull();
+    });
+
+    it('should set and turn off a rollover policy', async () => {
+      const policy = await siteStorage.updateDistractingSite('site1', {
+        rolloverPercent: 50,
+        rolloverCapSeconds: 1800,
+      });
+      expect(policy).toMatchObject({
+        rolloverPercent: 50,
+        rolloverCapSeconds: 1800,
+      });
+
+      const off = await siteStorage.updateDistractingSite('site1', {
+        rolloverPercent: 0,
+      });
+      expect(off).not.toHaveProperty('rolloverPercent');
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          rolloverExpiryDays: 60,
+        })
+      ).toBeNull();
+    });
+
+    it('should set and clear the cooldown between opens', async () => {
+      const cooled = await siteStorage.updateDistractingSite('site1', {
+        openCooldownSeconds: 2700,
+      });
+      expect(cooled.openCooldownSeconds).toBe(2700);
+
+      const cleared = await siteStorage.updateDistractingSite('site1', {
+        openCooldownSeconds: 0,
+      });
+      expect(cleared).not.toHaveProperty('openCooldownSeconds');
+      expect(
+        await siteStorage.updateDistractingSite('site1', {
+          openCooldownSeconds: 2 * 86400,
+        })
+      ).toBeNull();
+    });
+
+    it('should set and clear period budgets', async () => {
+      const budgeted = await siteStorage.updateDistractingSite('site1', {
+        weeklyOpenLimit: 20,
+        monthlyLimitSeconds: 36000,
+      });
+      expect(budgeted).toMatchObject({
+        weeklyOpenLimit: 20,
+        monthlyLimitSeconds: 36000,
+      });
+
+      const cleared = await siteStorage.updateDistractingSite('site1', {
+        weeklyOpenLimit: 0,
+      });
+      expect(cleared).not.toHaveProperty('weeklyOpenLimit');
+      expect(cleared.monthlyLimitSeconds).toBe(36000);
+    });
+
     it('should return null for non-existent site', async () => {
       const updates = { dailyLimitSeconds: 7200 };
 
@@ -0,0 +1,435 @@
+/**
+ * @file strict_mode.test.js
+ * @description Unit tests for strict_mode.js.
+ */
+
+import { jest } from '@jest/globals';
+
+let storageData = {};
+global.browser = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) =>
+        key in storageData ? { [key]: storageData[key] } : {}
+      ),
+      set: jest.fn(async (items) => Object.assign(storageData, items)),
+    },
+    onChanged: { addListener: jest.fn() },
+  },
+  alarms: {
+    create: jest.fn(async () => {}),
+    clear: jest.fn(async () => true),
+  },
+};
+
+const {
+  PENDING_CHANGES_KEY,
+  STRICT_MODE_ALARM,
+  PENDING_CHANGE_TARGETS,
+  splitSiteUpdates,
+  findLoosenedSites,
+  splitGroupUpdates,
+  splitSettingsUpdates,
+  getStrictModeDelayEnd,
+  getPendingChanges,
+  queuePendingChange,
+  cancelPendingChange,
+  discardPendingChanges,
+  takeDuePendingChanges,
+} = await import('../../../background_scripts/strict_mode.js');
+
+describe('strict_mode.js', () => {
+  const now = new Date(2024, 2, 18, 15, 30).getTime();
+  const siteChange = {
+    target: PENDING_CHANGE_TARGETS.SITE,
+    targetId: 'youtube',
+    targetName: 'youtube.com',
+    action: 'update',
+    updates: { dailyLimitSeconds: 3600 },
+  };
+
+  beforeEach(() => {
+    storageData = {};
+    browser.alarms.create.mockClear();
+    browser.alarms.clear.mockClear();
+  });
+
+  describe('splitSiteUpdates', () => {
+    const site = {
+      id: 'youtube',
+      urlPattern: 'youtube.com',
+      isEnabled: true,
+      dailyLimitSeconds: 1800,
+      dailyOpenLimit: 0,
+      excludedPatterns: ['youtube.com/music'],
+      schedule: [],
+      groupId: 'social',
+    };
+
+    it('should hold back higher or removed limits only', () => {
+      expect(
+        splitSiteUpdates(site, { dailyLimitSeconds: 3600, dailyOpenLimit: 5 })
+      ).toEqual({
+        immediate: { dailyOpenLimit: 5 },
+        delayed: { dailyLimitSeconds: 3600 },
+      });
+      expect(splitSiteUpdates(site, { dailyLimitSeconds: 0 }).delayed).toEqual({
+        dailyLimitSeconds: 0,
+      });
+      expect(splitSiteUpdates(site, { dailyLimitSeconds: 900 })).toEqual({
+        immediate: { dailyLimitSeconds: 900 },
+        delayed: {},
+      });
+    });
+
+    it('should hold back disabling, new exceptions and leaving the group', () => {
+      expect(
+        splitSiteUpdates(site, {
+          isEnabled: false,
+          excludedPatterns: ['youtube.com/music', 'youtube.com/learn'],
+          groupId: null,
+          showOverlay: true,
+        })
+      ).toEqual({
+        immediate: { showOverlay: true },
+        delayed: {
+          isEnabled: false,
+          excludedPatterns: ['youtube.com/music', 'youtube.com/learn'],
+          groupId: null,
+        },
+      });
+      expect(
+        splitSiteUpdates(site, { excludedPatterns: [], isEnabled: true })
+          .delayed
+      ).toEqual({});
+    });
+
+    it('should only hold back turning the mindful pause off', () => {
+      expect(splitSiteUpdates(site, { mindfulPause: false }).delayed).toEqual(
+        {}
+      );
+      expect(
+        splitSiteUpdates(
+          { ...site, mindfulPause: true },
+          { mindfulPause: false }
+        ).delayed
+      ).toEqual({ mindfulPause: false });
+    });
+
+    it('should only hold back shortening the cooldown between opens', () => {
+      const cooled = { ...site, openCooldownSeconds: 2700 };
+      expect(
+        splitSiteUpdates(cooled, { openCooldownSeconds: 3600 }).delayed
+      ).toEqual({});
+      expect(
+        splitSiteUpdates(cooled, { openCooldownSeconds: 0 }).delayed
+      ).toEqual({ openCooldownSeconds: 0 });
+    });
+
+    it('should let new block windows through, but not limit windows', () => {
+      const block = {
+        days: [1, 2],
+        start: '09:00',
+        end: '17:00',
+        mode: 'block',
+      };
+      const limit = { ...block, mode: 'limit', limitSeconds: 600 };
+
+      expect(splitSiteUpdates(site, { schedule: [block] }).delayed).toEqual({});
+      expect(splitSiteUpdates(site, { schedule: [limit] }).delayed).toEqual({
+        schedule: [limit],
+      });
+    });
+
+    it('should only let a hard block through as enforcement', () => {
+      expect(splitSiteUpdates(site, { enforcement: null }).delayed).toEqual({});
+      expect(
+        splitSiteUpdates(site, {
+          enforcement: [{ mode: 'grayscale', afterMinutes: 0 }],
+        }).delayed
+      ).toHaveProperty('enforcement');
+    });
+  });
+
+  describe('findLoosenedSites', () => {
+    const youtube = {
+      id: 'youtube',
+      urlPattern: 'youtube.com',
+      isEnabled: true,
+      dailyLimitSeconds: 1800,
+    };
+    const netflix = {
+      id: 'netflix',
+      urlPattern: 'netflix.com',
+      isEnabled: true,
+      dailyLimitSeconds: 600,
+    };
+
+    it('should find the stricter sites a new site takes URLs over from', () => {
+      expect(
+        findLoosenedSites(
+          { urlPattern: 'youtube.com/watch', dailyLimitSeconds: 7200 },
+          [youtube, netflix]
+        )
+      ).toEqual([youtube]);
+      expect(
+        findLoosenedSites(
+          { urlPattern: 'keyword:cats', dailyLimitSeconds: 900 },
+          [youtube, netflix]
+        )
+      ).toEqual([netflix]);
+    });
+
+    it('should let stricter, unrelated or switched off sites through', () => {
+      expect(
+        findLoosenedSites(
+          { urlPattern: 'youtube.com/shorts', dailyLimitSeconds: 300 },
+          [youtube]
+        )
+      ).toEqual([]);
+      expect(
+        findLoosenedSites(
+          { urlPattern: 'vimeo.com/watch', dailyLimitSeconds: 7200 },
+          [youtube]
+        )
+      ).toEqual([]);
+      expect(
+        findLoosenedSites(
+          {
+            urlPattern: 'youtube.com/watch',
+            dailyLimitSeconds: 7200,
+            isEnabled: false,
+          },
+          [youtube, { ...netflix, isEnabled: false }]
+        )
+      ).toEqual([]);
+    });
+
+    it('should hold back switching on a site that loosens a stricter one', () => {
+      const shorts = {
+        id: 'shorts',
+        urlPattern: 'youtube.com/shorts',
+        isEnabled: false,
+        dailyLimitSeconds: 7200,
+      };
+      expect(
+        splitSiteUpdates(shorts, { isEnabled: true }, [youtube, shorts])
+      ).toEqual({ immediate: {}, delayed: { isEnabled: true } });
+      expect(
+        splitSiteUpdates(
+          { ...shorts, dailyLimitSeconds: 300 },
+          { isEnabled: true },
+          [youtube]
+        )
+      ).toEqual({ immediate: { isEnabled: true }, delayed: {} });
+    });
+  });
+
+  describe('splitGroupUpdates', () => {
+    it('should hold back higher shared limits', () => {
+      expect(
+        splitGroupUpdates(
+          { id: 'social', name: 'Social', dailyLimitSeconds: 3600 },
+          { name: 'Feeds', dailyLimitSeconds: 7200 }
+        )
+      ).toEqual({
+        immediate: { name: 'Feeds' },
+        delayed: { dailyLimitSeconds: 7200 },
+      });
+    });
+  });
+
+  describe('splitSettingsUpdates', () => {
+    const settings = {
+      strictModeEnabled: true,
+      strictModeDelay: 'cooldown',
+      strictModeCooldownHours: 24,
+      overridesEnabled: false,
+      overrideMinutes: 5,
+    };
+
+    it('should hold back weakening strict mode and easier overrides', () => {
+      expect(
+        splitSettingsUpdates(settings, {
+          strictModeEnabled: false,
+          strictModeCooldownHours: 12,
+          overridesEnabled: true,
+          overrideMinutes: 3,
+          historyRetentionDays: 30,
+        })
+      ).toEqual({
+        immediate: { overrideMinutes: 3, historyRetentionDays: 30 },
+        delayed: {
+          strictModeEnabled: false,
+          strictModeCooldownHours: 12,
+          overridesEnabled: true,
+        },
+      });
+      expect(
+        splitSettingsUpdates(settings, { strictModeCooldownHours: 48 }).delayed
+      ).toEqual({});
+    });
+
+    it('should hold back letting more through in allowlist mode', () => {
+      const window = { days: [1], start: '09:00', end: '12:00', mode: 'block' };
+      const allowlist = {
+        allowlistEnabled: true,
+        allowlistPatterns: ['wikipedia.org'],
+        allowlistSchedule: [window],
+      };
+
+      expect(
+        splitSettingsUpdates(allowlist, {
+          allowlistEnabled: false,
+          allowlistPatterns: ['wikipedia.org', 'youtube.com'],
+          allowlistSchedule: [],
+        }).immediate
+      ).toEqual({});
+      expect(
+        splitSettingsUpdates(allowlist, {
+          allowlistPatterns: [],
+          allowlistSchedule: [window, { ...window, days: [2] }],
+        }).delayed
+      ).toEqual({});
+    });
+
+    it('should hold back an earlier day start and counting less idle time', () => {
+      const tracking = {
+        dayStartHour: 4,
+        idleDetectionEnabled: false,
+        idleThresholdSeconds: 60,
+        idleCountMedia: true,
+      };
+
+      expect(
+        splitSettingsUpdates(tracking, {
+          dayStartHour: 2,
+          idleDetectionEnabled: true,
+          idleThresholdSeconds: 30,
+          idleCountMedia: false,
+        }).immediate
+      ).toEqual({});
+      expect(
+        splitSettingsUpdates(
+          { ...tracking, idleDetectionEnabled: true, idleCountMedia: false },
+          {
+            dayStartHour: 6,
+            idleDetectionEnabled: false,
+            idleThresholdSeconds: 300,
+            idleCountMedia: true,
+          }
+        ).delayed
+      ).toEqual({});
+    });
+
+    it('should hold back turning sync on', () => {
+      expect(splitSettingsUpdates(settings, { syncEnabled: true })).toEqual({
+        immediate: {},
+        delayed: { syncEnabled: true },
+      });
+      expect(
+        splitSettingsUpdates(
+          { ...settings, syncEnabled: true },
+          {
+            syncEnabled: false,
+          }
+        ).delayed
+      ).toEqual({});
+    });
+  });
+
+  describe('getStrictModeDelayEnd', () => {
+    it('should wait until the next day starts', () => {
+      expect(getStrictModeDelayEnd({ strictModeDelay: 'nextDay' }, now)).toBe(
+        new Date(2024, 2, 19).getTime()
+      );
+    });
+
+    it('should wait for the cooldown', () => {
+      expect(
+        getStrictModeDelayEnd(
+          { strictModeDelay: 'cooldown', strictModeCooldownHours: 24 },
+          now
+        )
+      ).toBe(now + 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('pending changes', () => {
+    it('should queue changes and schedule the alarm for the earliest', async () => {
+      const later = await queuePendingChange(siteChange, now + 2000, now);
+      const sooner = await queuePendingChange(
+        { ...siteChange, updates: { isEnabled: false } },
+        now + 1000,
+        now
+      );
+
+      expect(later).toMatchObject({
+        targetId: 'youtube',
+        action: 'update',
+        updates: { dailyLimitSeconds: 3600 },
+        requestedAt: now,
+        effectiveAt: now + 2000,
+      });
+      expect(storageData[PENDING_CHANGES_KEY]).toEqual([later, sooner]);
+      expect(browser.alarms.create).toHaveBeenLastCalledWith(
+        STRICT_MODE_ALARM,
+        { when: now + 1000 }
+      );
+    });
+
+    it('should keep the earlier request to delete the same site', async () => {
+      const deletion = { ...siteChange, action: 'delete', updates: null };
+      const first = await queuePendingChange(deletion, now + 1000, now);
+      const second = await queuePendingChange(deletion, now + 5000, now);
+
+      expect(second).toEqual(first);
+      expect(await getPendingChanges()).toHaveLength(1);
+    });
+
+    it('should cancel a change and clear the alarm when none is left', async () => {
+      const change = await queuePendingChange(siteChange, now + 1000, now);
+
+      expect(await cancelPendingChange(change.id)).toBe(true);
+      expect(await cancelPendingChange(change.id)).toBe(false);
+      expect(await getPendingChanges()).toEqual([]);
+      expect(browser.alarms.clear).toHaveBeenCalledWith(STRICT_MODE_ALARM);
+    });
+
+    it('should discard the changes of a deleted site', async () => {
+      await queuePendingChange(siteChange, now + 1000, now);
+      const groupChange = await queuePendingChange(
+        { ...siteChange, target: PENDING_CHANGE_TARGETS.GROUP },
+        now + 1000,
+        now
+      );
+
+      expect(
+        await discardPendingChanges(PENDING_CHANGE_TARGETS.SITE, 'youtube')
+      ).toBe(1);
+      expect(await getPendingChanges()).toEqual([groupChange]);
+    });
+
+    it('should take only the changes that are due', async () => {
+      const due = await queuePendingChange(siteChange, now + 1000, now);
+      const notDue = await queuePendingChange(siteChange, now + 5000, now);
+
+      expect(await takeDuePendingChanges(now + 1000)).toEqual([due]);
+      expect(await getPendingChanges()).toEqual([notDue]);
+      expect(browser.alarms.create).toHaveBeenLastCalledWith(
+        STRICT_MODE_ALARM,
+        { when: now + 5000 }
+      );
+      expect(await takeDuePendingChanges(now + 1000)).toEqual([]);
+    });
+
+    it('should return null when the change cannot be saved', async () => {
+      browser.storage.local.set.mockRejectedValueOnce(new Error('Quota'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await queuePendingChange(siteChange, now + 1000, now)).toBeNull();
+
+      console.error.mockRestore();
+    });
+  });
+});
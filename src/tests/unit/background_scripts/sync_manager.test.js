@@ -0,0 +1,679 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file sync_manager.test.js
+ * @description Unit tests for sync_manager.js.
+ * Each test works on in-memory storage areas; `useDevice` switches the local area to
+ * simulate several devices sharing one storage.sync area.
+ */
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+let localStores;
+let currentDevice;
+let syncStore;
+
+const makeStorageArea = (getStore) => ({
+  get: jest.fn(async (keys) => {
+    const store = getStore();
+    if (keys === null || keys === undefined) {
+      return clone(store);
+    }
+    const result = {};
+    [].concat(keys).forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(store, key)) {
+        result[key] = clone(store[key]);
+      }
+    });
+    return result;
+  }),
+  set: jest.fn(async (items) => {
+    Object.assign(getStore(), clone(items));
+  }),
+  remove: jest.fn(async (keys) => {
+    [].concat(keys).forEach((key) => delete getStore()[key]);
+  }),
+});
+
+const mockLocalArea = makeStorageArea(() => localStores[currentDevice]);
+const mockSyncArea = makeStorageArea(() => syncStore);
+global.browser = {
+  storage: {
+    local: mockLocalArea,
+    sync: mockSyncArea,
+    onChanged: { addListener: jest.fn() },
+  },
+  alarms: { create: jest.fn(), clear: jest.fn() },
+};
+
+global.crypto = {
+  randomUUID: jest.fn(() => 'generated-id'),
+};
+
+const {
+  splitIntoChunks,
+  mergeSyncEntries,
+  compactSyncEntries,
+  buildSyncedData,
+  runSync,
+  reportDeviceUsage,
+  refreshRemoteUsage,
+  handleSyncStorageChange,
+  handleSyncSettingsChanged,
+  getSyncStatus,
+  SYNC_QUOTA_BYTES_PER_ITEM,
+  TOMBSTONE_TTL_MS,
+} = await import('../../../background_scripts/sync_manager.js');
+const { formatDateKey, shiftDateKey } =
+  await import('../../../background_scripts/clock.js');
+
+describe('sync_manager.js', () => {
+  let consoleErrorSpy;
+  let now;
+
+  const useDevice = (deviceId) => {
+    currentDevice = deviceId;
+  };
+
+  const newDevice = (deviceId, data = {}) => {
+    localStores[deviceId] = {
+      appSettings: { syncEnabled: true },
+      syncState: { deviceId },
+      ...clone(data),
+    };
+  };
+
+  const readRulesDocument = () => {
+    const meta = syncStore['rules-meta'];
+    let text = '';
+    for (let i = 0; i < meta.chunks; i++) {
+      text += syncStore[`rules-${i}`];
+    }
+    return JSON.parse(text);
+  };
+
+  const reddit = {
+    id: 'site-1',
+    urlPattern: 'reddit.com',
+    dailyLimitSeconds: 1800,
+    isEnabled: true,
+  };
+
+  beforeEach(() => {
+    localStores = {};
+    syncStore = {};
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockLocalArea.set.mockClear();
+    mockSyncArea.set.mockClear();
+    mockSyncArea.remove.mockClear();
+
+    newDevice('device-a', { distractingSites: [reddit] });
+    useDevice('device-a');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('splitIntoChunks', () => {
+    it('should split text into pieces that fit and join back losslessly', () => {
+      const text = JSON.stringify({
+        notes: Array.from(
+          { length: 200 },
+          (_, i) => `"Quote" ${i} – ünïcödé 🙂`
+        ),
+      });
+      const chunks = splitIntoChunks(text, 512);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.join('')).toBe(text);
+      chunks.forEach((chunk) => {
+        expect(
+          new TextEncoder().encode(JSON.stringify(chunk)).length
+        ).toBeLessThanOrEqual(512);
+      });
+    });
+  });
+
+  describe('mergeSyncEntries', () => {
+    it('should keep the most recent change of every item', () => {
+      const merged = mergeSyncEntries(
+        {
+          'site:1': { t: 200, o: 'a', d: { id: '1', urlPattern: 'a.com' } },
+          'site:2': { t: 100, o: 'a', d: null },
+        },
+        {
+          'site:1': { t: 100, o: 'b', d: { id: '1', urlPattern: 'b.com' } },
+          'site:2': { t: 300, o: 'b', d: { id: '2', urlPattern: 'c.com' } },
+          'note:3': { t: 50, o: 'b', d: { id: '3', text: 'Walk' } },
+        }
+      );
+
+      expect(merged['site:1'].d.urlPattern).toBe('a.com');
+      expect(merged['site:2'].d.urlPattern).toBe('c.com');
+      expect(merged['note:3'].d.text).toBe('Walk');
+    });
+
+    it('should settle equal timestamps by device ID on every device', () => {
+      const fromA = { t: 100, o: 'device-a', d: { id: '1', text: 'A' } };
+      const fromB = { t: 100, o: 'device-b', d: { id: '1', text: 'B' } };
+
+      expect(
+        mergeSyncEntries({ 'note:1': fromA }, { 'note:1': fromB })
+      ).toEqual({ 'note:1': fromB });
+      expect(
+        mergeSyncEntries({ 'note:1': fromB }, { 'note:1': fromA })
+      ).toEqual({ 'note:1': fromB });
+    });
+  });
+
+  describe('compactSyncEntries', () => {
+    it('should drop tombstones older than the retention period', () => {
+      const entries = {
+        'site:old': { t: now - TOMBSTONE_TTL_MS - 1, o: 'a', d: null },
+        'site:recent': { t: now - 1000, o: 'a', d: null },
+        'site:live': { t: 1, o: 'a', d: { id: 'live' } },
+      };
+
+      expect(Object.keys(compactSyncEntries(entries, now))).toEqual([
+        'site:recent',
+        'site:live',
+      ]);
+      expect(Object.keys(compactSyncEntries(entries, now, 0))).toEqual([
+        'site:live',
+      ]);
+    });
+  });
+
+  describe('buildSyncedData', () => {
+    it('should keep the current order, append new items and drop dangling group references', () => {
+      const data = buildSyncedData(
+        {
+          'site:b': { t: 5, o: 'x', d: { id: 'b', urlPattern: 'b.com' } },
+          'site:c': {
+            t: 1,
+            o: 'x',
+            d: { id: 'c', urlPattern: 'c.com', groupId: 'gone' },
+          },
+          'site:a': { t: 9, o: 'x', d: { id: 'a', urlPattern: 'a.com' } },
+          'site:d': { t: 2, o: 'x', d: null },
+        },
+        { distractingSites: [{ id: 'a' }, { id: 'd' }] }
+      );
+
+      expect(data.distractingSites).toEqual([
+        { id: 'a', urlPattern: 'a.com' },
+        { id: 'c', urlPattern: 'c.com' },
+        { id: 'b', urlPattern: 'b.com' },
+      ]);
+      expect(data.siteGroups).toEqual([]);
+      expect(data.timeoutNotes).toEqual([]);
+    });
+  });
+
+  describe('runSync', () => {
+    it('should do nothing while sync is turned off', async () => {
+      localStores['device-a'].appSettings = { syncEnabled: false };
+
+      const result = await runSync();
+
+      expect(result.success).toBe(false);
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should push the first device configuration as a chunked document', async () => {
+      const result = await runSync();
+
+      expect(result).toEqual({ success: true, applied: false, error: null });
+      expect(readRulesDocument().i).toEqual({
+        'site:site-1': { t: now, o: 'device-a', d: reddit },
+      });
+      expect(localStores['device-a'].syncState.lastSyncedAt).toBe(now);
+      expect(localStores['device-a'].distractingSites).toEqual([reddit]);
+    });
+
+    it('should bring a new device in line and propagate deletions back', async () => {
+      await runSync();
+
+      now += 1000;
+      newDevice('device-b', {
+        timeoutNotes: [{ id: 'note-b', text: 'Read a book' }],
+      });
+      useDevice('device-b');
+      const joined = await runSync();
+
+      expect(joined.applied).toBe(true);
+      expect(localStores['device-b'].distractingSites).toEqual([reddit]);
+
+      // Device B deletes the site, device A pulls the deletion and the note
+      now += 1000;
+      localStores['device-b'].distractingSites = [];
+      await runSync();
+      expect(readRulesDocument().i['site:site-1']).toEqual({
+        t: now,
+        o: 'device-b',
+        d: null,
+      });
+
+      useDevice('device-a');
+      mockSyncArea.set.mockClear();
+      const pulled = await runSync();
+
+      expect(pulled.applied).toBe(true);
+      expect(localStores['device-a'].distractingSites).toEqual([]);
+      expect(localStores['device-a'].timeoutNotes).toEqual([
+        { id: 'note-b', text: 'Read a book' },
+      ]);
+      // Applying remote changes is not echoed back
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should let the most recent of two conflicting edits win', async () => {
+      await runSync();
+      newDevice('device-b');
+      useDevice('device-b');
+      await runSync();
+
+      // Device A edits first, device B later; B's edit reaches sync first
+      now += 1000;
+      useDevice('device-a');
+      localStores['device-a'].distractingSites = [
+        { ...reddit, dailyLimitSeconds: 600 },
+      ];
+      const editedByA = now;
+      now += 1000;
+      useDevice('device-b');
+      localStores['device-b'].distractingSites = [
+        { ...reddit, dailyLimitSeconds: 900 },
+      ];
+      await runSync();
+
+      useDevice('device-a');
+      now = editedByA; // A's change was made before B's
+      await runSync();
+
+      expect(
+        localStores['device-a'].distractingSites[0].dailyLimitSeconds
+      ).toBe(900);
+      expect(readRulesDocument().i['site:site-1'].d.dailyLimitSeconds).toBe(
+        900
+      );
+    });
+
+    it('should hold back a synced limit increase in strict mode', async () => {
+      await runSync();
+      newDevice('device-b');
+      useDevice('device-b');
+      await runSync();
+
+      now += 1000;
+      localStores['device-b'].distractingSites = [
+        { ...reddit, dailyLimitSeconds: 3600, dailyOpenLimit: 5 },
+      ];
+      await runSync();
+
+      useDevice('device-a');
+      localStores['device-a'].appSettings.strictModeEnabled = true;
+      await runSync();
+
+      // The new open limit tightens and is applied, the higher limit waits
+      expect(localStores['device-a'].distractingSites).toEqual([
+        { ...reddit, dailyOpenLimit: 5 },
+      ]);
+      expect(localStores['device-a'].pendingChanges).toEqual([
+        expect.objectContaining({
+          target: 'site',
+          targetId: 'site-1',
+          targetName: 'reddit.com',
+          action: 'update',
+          updates: { dailyLimitSeconds: 3600 },
+        }),
+      ]);
+      expect(readRulesDocument().i['site:site-1'].d.dailyLimitSeconds).toBe(
+        3600
+      );
+
+      // Later passes neither queue it again nor push the old limit back
+      mockSyncArea.set.mockClear();
+      now += 1000;
+      await runSync();
+      expect(localStores['device-a'].pendingChanges).toHaveLength(1);
+      expect(
+        localStores['device-a'].distractingSites[0].dailyLimitSeconds
+      ).toBe(1800);
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should keep a site deleted on another device until the deletion takes effect in strict mode', async () => {
+      localStores['device-a'].appSettings.strictModeEnabled = true;
+      await runSync();
+      newDevice('device-b');
+      useDevice('device-b');
+      await runSync();
+
+      now += 1000;
+      localStores['device-b'].distractingSites = [];
+      await runSync();
+
+      useDevice('device-a');
+      await runSync();
+
+      expect(localStores['device-a'].distractingSites).toEqual([reddit]);
+      expect(localStores['device-a'].pendingChanges).toEqual([
+        expect.objectContaining({
+          target: 'site',
+          targetId: 'site-1',
+          action: 'delete',
+          updates: null,
+        }),
+      ]);
+      expect(readRulesDocument().i['site:site-1'].d).toBe(null);
+    });
+
+    it('should not apply loosening changes while the PIN is locked', async () => {
+      const youtube = {
+        id: 'site-2',
+        urlPattern: 'youtube.com',
+        dailyLimitSeconds: 600,
+        isEnabled: true,
+      };
+      localStores['device-a'].distractingSites = [reddit, youtube];
+      await runSync();
+      newDevice('device-b');
+      useDevice('device-b');
+      await runSync();
+
+      now += 1000;
+      localStores['device-b'].distractingSites = [
+        { ...youtube, dailyLimitSeconds: 3600, isEnabled: false },
+      ];
+      await runSync();
+
+      useDevice('device-a');
+      localStores['device-a'].pinLock = {
+        salt: '00',
+        hash: '00',
+        iterations: 1,
+        failedAttempts: 0,
+        lockedUntil: null,
+      };
+      await runSync();
+
+      expect(localStores['device-a'].distractingSites).toEqual([
+        reddit,
+        youtube,
+      ]);
+      expect(localStores['device-a'].pendingChanges).toBeUndefined();
+
+      // Without a PIN the next pass applies them
+      delete localStores['device-a'].pinLock;
+      now += 1000;
+      const applied = await runSync();
+
+      expect(applied.applied).toBe(true);
+      expect(localStores['device-a'].distractingSites).toEqual([
+        { ...youtube, dailyLimitSeconds: 3600, isEnabled: false },
+      ]);
+    });
+
+    it('should match items set up on both devices instead of duplicating them', async () => {
+      await runSync();
+
+      const today = formatDateKey(new Date());
+      newDevice('device-b', {
+        distractingSites: [{ ...reddit, id: 'local-reddit' }],
+        [`usageStats-${today}`]: {
+          'local-reddit': { timeSpentSeconds: 120, opens: 2 },
+        },
+      });
+      useDevice('device-b');
+      await runSync();
+
+      expect(localStores['device-b'].distractingSites).toEqual([reddit]);
+      expect(localStores['device-b'][`usageStats-${today}`]).toEqual({
+        'site-1': { timeSpentSeconds: 120, opens: 2 },
+      });
+      expect(Object.keys(readRulesDocument().i)).toEqual(['site:site-1']);
+    });
+
+    it('should not overwrite synced data it cannot read', async () => {
+      await runSync();
+      delete syncStore['rules-0'];
+      localStores['device-a'].distractingSites = [];
+      mockSyncArea.set.mockClear();
+
+      const result = await runSync();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/not fully arrived/);
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+      expect(localStores['device-a'].syncState.lastError).toBe(result.error);
+    });
+
+    it.each([
+      ['on the first sync', null],
+      ['on later syncs', 1],
+    ])(
+      'should reject invalid items from other devices %s',
+      async (_, lastSyncedAt) => {
+        localStores['device-a'].syncState.lastSyncedAt = lastSyncedAt;
+        syncStore['rules-meta'] = { chunks: 1 };
+        syncStore['rules-0'] = JSON.stringify({
+          v: 1,
+          i: {
+            'site:bad': {
+              t: now + 1,
+              o: 'device-x',
+              d: { id: 'bad', urlPattern: '', isEnabled: true },
+            },
+          },
+        });
+
+        const result = await runSync();
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^Synced data was rejected/);
+        expect(localStores['device-a'].distractingSites).toEqual([reddit]);
+      }
+    );
+
+    it('should refuse to push data that exceeds the sync quota', async () => {
+      localStores['device-a'].timeoutNotes = Array.from(
+        { length: 100 },
+        (_, i) => ({ id: `note-${i}`, text: `${i} ${'x'.repeat(950)}` })
+      );
+
+      const result = await runSync();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/too large to sync/);
+      expect(syncStore['rules-meta']).toBeUndefined();
+    });
+  });
+
+  describe('usage across devices', () => {
+    const today = formatDateKey(new Date());
+
+    beforeEach(() => {
+      localStores['device-a'].appSettings = {
+        syncEnabled: true,
+        syncUsageAcrossDevices: true,
+      };
+      localStores['device-a'][`usageStats-${today}`] = {
+        'site-1': { timeSpentSeconds: 300, opens: 2 },
+        'site-2': { timeSpentSeconds: 0, opens: 0 },
+      };
+    });
+
+    it('should report today usage for this device', async () => {
+      expect(await reportDeviceUsage({ force: true })).toBe(true);
+      expect(syncStore['usage-device-a']).toEqual({
+        d: today,
+        t: now,
+        u: { 'site-1': [300, 2] },
+      });
+    });
+
+    it('should keep the report within one sync item', async () => {
+      const stats = {};
+      for (let i = 0; i < 500; i++) {
+        stats[`site-${i}-${'x'.repeat(20)}`] = {
+          timeSpentSeconds: i + 1,
+          opens: 1,
+        };
+      }
+      localStores['device-a'][`usageStats-${today}`] = stats;
+
+      await reportDeviceUsage({ force: true });
+
+      const report = syncStore['usage-device-a'];
+      expect(
+        JSON.stringify(report).length + 'usage-device-a'.length
+      ).toBeLessThanOrEqual(SYNC_QUOTA_BYTES_PER_ITEM);
+      // The least used sites are the ones left out
+      expect(report.u[`site-499-${'x'.repeat(20)}`]).toEqual([500, 1]);
+      expect(report.u[`site-0-${'x'.repeat(20)}`]).toBeUndefined();
+    });
+
+    it('should not report usage unless usage sync is on', async () => {
+      localStores['device-a'].appSettings = { syncEnabled: true };
+      expect(await reportDeviceUsage({ force: true })).toBe(false);
+      expect(syncStore['usage-device-a']).toBeUndefined();
+    });
+
+    it('should sum the other devices reports for today and drop stale ones', async () => {
+      syncStore['usage-device-a'] = {
+        d: today,
+        t: 1,
+        u: { 'site-1': [999, 9] },
+      };
+      syncStore['usage-device-b'] = {
+        d: today,
+        t: 1,
+        u: { 'site-1': [60, 1] },
+      };
+      syncStore['usage-device-c'] = {
+        d: today,
+        t: 1,
+        u: { 'site-1': [40, 2], 'site-3': [10, 1] },
+      };
+      syncStore['usage-device-d'] = {
+        d: shiftDateKey(today, -1),
+        t: 1,
+        u: { 'site-1': [500, 5] },
+      };
+      syncStore['usage-device-e'] = {
+        d: shiftDateKey(today, -3),
+        t: 1,
+        u: {},
+      };
+
+      expect(await refreshRemoteUsage()).toBe(true);
+
+      expect(localStores['device-a'].remoteUsageStats).toEqual({
+        date: today,
+        stats: {
+          'site-1': { timeSpentSeconds: 100, opens: 3 },
+          'site-3': { timeSpentSeconds: 10, opens: 1 },
+        },
+      });
+      expect(syncStore['usage-device-d']).toBeDefined();
+      expect(syncStore['usage-device-e']).toBeUndefined();
+    });
+  });
+
+  describe('handleSyncStorageChange', () => {
+    it('should ignore changes to keys that are not synced', async () => {
+      const result = await handleSyncStorageChange(
+        { 'usageStats-2024-03-14': { newValue: {} } },
+        'local'
+      );
+
+      expect(result).toEqual({ applied: false });
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should push local edits of synced lists', async () => {
+      await handleSyncStorageChange(
+        { distractingSites: { newValue: [reddit] } },
+        'local'
+      );
+
+      expect(readRulesDocument().i['site:site-1'].d).toEqual(reddit);
+    });
+
+    it('should do nothing while sync is turned off', async () => {
+      localStores['device-a'].appSettings = { syncEnabled: false };
+
+      await handleSyncStorageChange(
+        { distractingSites: { newValue: [reddit] } },
+        'local'
+      );
+
+      expect(mockSyncArea.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleSyncSettingsChanged', () => {
+    it('should stop sharing usage and forget sync bookkeeping when turned off', async () => {
+      await runSync();
+      syncStore['usage-device-a'] = { d: '2024-03-14', t: 1, u: {} };
+      localStores['device-a'].remoteUsageStats = {
+        date: '2024-03-14',
+        stats: {},
+      };
+
+      await handleSyncSettingsChanged({
+        syncEnabled: false,
+        syncUsageAcrossDevices: true,
+      });
+
+      expect(syncStore['usage-device-a']).toBeUndefined();
+      expect(localStores['device-a'].remoteUsageStats).toBeUndefined();
+      expect(localStores['device-a'].syncState).toEqual({
+        deviceId: 'device-a',
+      });
+      // The synced configuration stays available to other devices
+      expect(syncStore['rules-meta']).toBeDefined();
+    });
+  });
+
+  describe('getSyncStatus', () => {
+    it('should report the last sync and the space used', async () => {
+      await runSync();
+
+      const status = await getSyncStatus();
+
+      expect(status).toEqual(
+        expect.objectContaining({
+          enabled: true,
+          usageEnabled: false,
+          lastSyncedAt: now,
+          lastError: null,
+          quotaBytes: 102400,
+        })
+      );
+      expect(status.bytesInUse).toBeGreaterThan(0);
+    });
+
+    it('should return null on storage error and log error', async () => {
+      mockSyncArea.get.mockRejectedValueOnce(new Error('Storage failed'));
+
+      expect(await getSyncStatus()).toBeNull();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[Sync] Error getting sync status:',
+        expect.any(Error)
+      );
+    });
+  });
+});
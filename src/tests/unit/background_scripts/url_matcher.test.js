@@ -0,0 +1,291 @@
+/**
+ * @file url_matcher.test.js
+ * @description Unit tests for the url_matcher.js module.
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  isRegexPattern,
+  normalizeUrlPattern,
+  parseKeywordPattern,
+  usesTabTitle,
+  urlMatchesPattern,
+  siteMatchesUrl,
+  findMatchingSite,
+  takesOverFrom,
+} from '../../../background_scripts/url_matcher.js';
+
+describe('UrlMatcher', () => {
+  describe('normalizeUrlPattern', () => {
+    it('should strip protocol and www and lowercase the pattern', () => {
+      expect(normalizeUrlPattern('https://www.Example.COM/Path')).toBe(
+        'example.com/path'
+      );
+    });
+
+    it('should keep the exact-host marker', () => {
+      expect(normalizeUrlPattern('=HTTP://www.x.com')).toBe('=x.com');
+    });
+
+    it('should leave regex patterns untouched', () => {
+      expect(normalizeUrlPattern(' /Reddit\\.com/i ')).toBe('/Reddit\\.com/i');
+      expect(isRegexPattern('/Reddit\\.com/i')).toBe(true);
+      expect(isRegexPattern('reddit.com/r')).toBe(false);
+    });
+
+    it('should trim and lowercase the keywords of keyword rules', () => {
+      expect(normalizeUrlPattern(' Title: Shorts | Reels ')).toBe(
+        'title:shorts|reels'
+      );
+      expect(parseKeywordPattern('query:Climate Change')).toEqual({
+        target: 'query',
+        keywords: ['climate change'],
+      });
+      expect(parseKeywordPattern('youtube.com/shorts')).toBeNull();
+      expect(usesTabTitle('title:reels')).toBe(true);
+      expect(usesTabTitle('keyword:reels')).toBe(false);
+    });
+  });
+
+  describe('urlMatchesPattern - hosts', () => {
+    it('should match the host and its subdomains', () => {
+      expect(urlMatchesPattern('https://x.com/home', 'x.com')).toBe(true);
+      expect(urlMatchesPattern('https://www.x.com', 'x.com')).toBe(true);
+      expect(urlMatchesPattern('https://mobile.x.com', 'x.com')).toBe(true);
+    });
+
+    it('should not match hosts that merely contain the pattern', () => {
+      expect(urlMatchesPattern('https://netflix.com', 'x.com')).toBe(false);
+      expect(urlMatchesPattern('https://x.com.evil.org', 'x.com')).toBe(false);
+    });
+
+    it('should match only the exact host with the = prefix', () => {
+      expect(urlMatchesPattern('https://x.com', '=x.com')).toBe(true);
+      expect(urlMatchesPattern('https://www.x.com', '=x.com')).toBe(true);
+      expect(urlMatchesPattern('https://mobile.x.com', '=x.com')).toBe(false);
+    });
+
+    it('should match only subdomains with a *. prefix', () => {
+      expect(urlMatchesPattern('https://mail.google.com', '*.google.com')).toBe(
+        true
+      );
+      expect(urlMatchesPattern('https://google.com', '*.google.com')).toBe(
+        false
+      );
+    });
+
+    it('should support * globs inside the host', () => {
+      expect(urlMatchesPattern('https://amazon.de', 'amazon.*')).toBe(true);
+      expect(urlMatchesPattern('https://amazon.co.uk', 'amazon.*')).toBe(true);
+      expect(urlMatchesPattern('https://notamazon.de', '=amazon.*')).toBe(
+        false
+      );
+    });
+  });
+
+  describe('urlMatchesPattern - paths', () => {
+    it('should match path prefixes on segment boundaries', () => {
+      const pattern = 'youtube.com/shorts';
+      expect(urlMatchesPattern('https://youtube.com/shorts', pattern)).toBe(
+        true
+      );
+      expect(
+        urlMatchesPattern('https://www.youtube.com/shorts/abc', pattern)
+      ).toBe(true);
+      expect(
+        urlMatchesPattern('https://youtube.com/shorts?feature=x', pattern)
+      ).toBe(true);
+      expect(urlMatchesPattern('https://youtube.com/shortsxyz', pattern)).toBe(
+        false
+      );
+      expect(urlMatchesPattern('https://youtube.com/watch', pattern)).toBe(
+        false
+      );
+    });
+
+    it('should be case-insensitive for paths', () => {
+      expect(
+        urlMatchesPattern(
+          'https://reddit.com/R/Programming',
+          'reddit.com/r/programming'
+        )
+      ).toBe(true);
+    });
+
+    it('should treat * in paths as a single segment wildcard', () => {
+      const pattern = 'github.com/*/issues';
+      expect(urlMatchesPattern('https://github.com/org/issues', pattern)).toBe(
+        true
+      );
+      expect(
+        urlMatchesPattern('https://github.com/org/repo/issues', pattern)
+      ).toBe(false);
+    });
+
+    it('should ignore a trailing slash-only path', () => {
+      expect(urlMatchesPattern('https://x.com/anything', 'x.com/')).toBe(true);
+    });
+  });
+
+  describe('urlMatchesPattern - regex', () => {
+    it('should test regex patterns against host, path and query', () => {
+      const pattern = '/^reddit\\.com\\/r\\/pics\\b/i';
+      expect(urlMatchesPattern('https://www.reddit.com/r/pics/', pattern)).toBe(
+        true
+      );
+      expect(urlMatchesPattern('https://reddit.com/r/picsart', pattern)).toBe(
+        false
+      );
+      expect(
+        urlMatchesPattern('https://example.com/?q=watch', '/q=watch/')
+      ).toBe(true);
+    });
+
+    it('should never match with an invalid regex', () => {
+      expect(urlMatchesPattern('https://example.com', '/([a-z/')).toBe(false);
+    });
+  });
+
+  describe('urlMatchesPattern - keywords', () => {
+    it('should find keywords anywhere in the decoded URL', () => {
+      expect(
+        urlMatchesPattern('https://instagram.com/Reels/abc', 'keyword:reels')
+      ).toBe(true);
+      expect(
+        urlMatchesPattern(
+          'https://news.example.com/2024/election-results',
+          'keyword:election'
+        )
+      ).toBe(true);
+      expect(
+        urlMatchesPattern(
+          'https://example.com/?q=climate+change',
+          'keyword:climate change'
+        )
+      ).toBe(true);
+      expect(
+        urlMatchesPattern(
+          'https://example.com/sports',
+          'keyword:election|reels'
+        )
+      ).toBe(false);
+    });
+
+    it('should look only at the query string with query:', () => {
+      expect(
+        urlMatchesPattern(
+          'https://google.com/search?q=election%20polls',
+          'query:election'
+        )
+      ).toBe(true);
+      expect(
+        urlMatchesPattern('https://election.example.com/', 'query:election')
+      ).toBe(false);
+    });
+  });
+
+  describe('urlMatchesPattern - non-web URLs', () => {
+    it('should not match internal or malformed URLs', () => {
+      expect(urlMatchesPattern('about:config', 'config')).toBe(false);
+      expect(
+        urlMatchesPattern('moz-extension://abc/ui/popup.html', 'abc')
+      ).toBe(false);
+      expect(urlMatchesPattern('not a url', 'example.com')).toBe(false);
+      expect(urlMatchesPattern('https://example.com', '')).toBe(false);
+    });
+  });
+
+  describe('siteMatchesUrl', () => {
+    const site = {
+      id: 'reddit',
+      urlPattern: 'reddit.com',
+      excludedPatterns: ['reddit.com/r/programming'],
+      isEnabled: true,
+    };
+
+    it('should match URLs covered by the pattern', () => {
+      expect(siteMatchesUrl(site, 'https://reddit.com/r/funny')).toBe(true);
+    });
+
+    it('should not match URLs covered by an exception', () => {
+      expect(
+        siteMatchesUrl(site, 'https://old.reddit.com/r/programming/comments/1')
+      ).toBe(false);
+    });
+
+    it('should handle sites without a pattern', () => {
+      expect(siteMatchesUrl({ id: 'x' }, 'https://x.com')).toBe(false);
+      expect(siteMatchesUrl(null, 'https://x.com')).toBe(false);
+    });
+  });
+
+  describe('findMatchingSite', () => {
+    const sites = [
+      { id: 'yt', urlPattern: 'youtube.com', isEnabled: true },
+      { id: 'shorts', urlPattern: 'youtube.com/shorts', isEnabled: true },
+      { id: 'off', urlPattern: 'netflix.com', isEnabled: false },
+    ];
+
+    it('should prefer the most specific matching rule', () => {
+      expect(findMatchingSite('https://youtube.com/shorts/abc', sites).id).toBe(
+        'shorts'
+      );
+      expect(findMatchingSite('https://youtube.com/watch?v=1', sites).id).toBe(
+        'yt'
+      );
+    });
+
+    it('should skip disabled sites', () => {
+      expect(findMatchingSite('https://netflix.com', sites)).toBeNull();
+    });
+
+    it('should match title rules only once the title is known', () => {
+      const withTitles = [
+        ...sites,
+        { id: 'reels', urlPattern: 'title:shorts|reels', isEnabled: true },
+      ];
+      const url = 'https://youtube.com/watch?v=1';
+
+      expect(findMatchingSite(url, withTitles).id).toBe('yt');
+      expect(findMatchingSite(url, withTitles, 'Cat Shorts - YouTube').id).toBe(
+        'reels'
+      );
+      expect(
+        findMatchingSite('https://example.com/', withTitles, 'Reels of the day')
+          .id
+      ).toBe('reels');
+    });
+
+    it('should return null for invalid input', () => {
+      expect(findMatchingSite('https://youtube.com', null)).toBeNull();
+      expect(findMatchingSite('about:blank', sites)).toBeNull();
+    });
+  });
+
+  describe('takesOverFrom', () => {
+    const youtube = { id: 'yt', urlPattern: 'youtube.com', isEnabled: true };
+
+    it('should take over where the new pattern is more specific', () => {
+      expect(takesOverFrom('youtube.com/shorts', youtube)).toBe(true);
+      expect(takesOverFrom('m.youtube.com', youtube)).toBe(true);
+      expect(takesOverFrom('=youtube.com', youtube)).toBe(true);
+    });
+
+    it('should not take over less specific or unrelated patterns', () => {
+      expect(takesOverFrom('youtube.com', youtube)).toBe(false);
+      expect(takesOverFrom('netflix.com/browse', youtube)).toBe(false);
+      expect(
+        takesOverFrom('youtube.com/music', {
+          ...youtube,
+          excludedPatterns: ['youtube.com/music'],
+        })
+      ).toBe(false);
+    });
+
+    it('should take keyword and regex rules to overlap with any site', () => {
+      expect(takesOverFrom('keyword:cats', youtube)).toBe(true);
+      expect(takesOverFrom('title:reels', youtube)).toBe(true);
+      expect(takesOverFrom('/netflix\\.com/', youtube)).toBe(true);
+      expect(takesOverFrom('/x/', youtube)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+
+/**
+ * @file usage_history.test.js
+ * @description Unit tests for usage_history.js.
+ */
+
+const mockStorageArea = {
+  get: jest.fn(),
+};
+global.browser = {
+  storage: {
+    local: mockStorageArea,
+    onChanged: { addListener: jest.fn() },
+  },
+};
+
+import { formatDateKey } from '../../../background_scripts/clock.js';
+import {
+  splitHistoryEntries,
+  rollUpDailyStats,
+  computeSiteStatistics,
+  getUsageStatistics,
+} from '../../../background_scripts/usage_history.js';
+
+describe('usage_history.js', () => {
+  // Wednesday; its week starts on Monday 2024-03-11
+  const today = '2024-03-13';
+
+  describe('splitHistoryEntries', () => {
+    it('should separate daily stats and weekly rollups from other data', () => {
+      const history = splitHistoryEntries({
+        'usageStats-2024-03-13': { s1: { timeSpentSeconds: 1, opens: 1 } },
+        'usageWeekly-2024-01-01': { s1: { timeSpentSeconds: 2, opens: 1 } },
+        distractingSites: [],
+      });
+
+      expect(Object.keys(history.daily)).toEqual(['2024-03-13']);
+      expect(Object.keys(history.weekly)).toEqual(['2024-01-01']);
+    });
+  });
+
+  describe('rollUpDailyStats', () => {
+    it('should add days to the existing rollup of their week', () => {
+      const rollups = rollUpDailyStats(
+        {
+          '2024-01-02': { s1: { timeSpentSeconds: 60, opens: 1 } },
+          '2024-01-03': { s1: { timeSpentSeconds: 30, opens: 2 } },
+          '2024-01-08': { s2: { timeSpentSeconds: 10, opens: 1 } },
+        },
+        {
+          '2024-01-01': { s1: { timeSpentSeconds: 100, opens: 1, days: 1 } },
+          '2023-12-25': { s1: { timeSpentSeconds: 5, opens: 1, days: 1 } },
+        }
+      );
+
+      expect(rollups).toEqual({
+        '2024-01-01': { s1: { timeSpentSeconds: 190, opens: 4, days: 3 } },
+        '2024-01-08': { s2: { timeSpentSeconds: 10, opens: 1, days: 1 } },
+      });
+    });
+  });
+
+  describe('computeSiteStatistics', () => {
+    const site = {
+      id: 's1',
+      urlPattern: 'example.com',
+      dailyLimitSeconds: 600,
+    };
+
+    it('should build a 14-day breakdown ending today', () => {
+      const stats = computeSiteStatistics(
+        site,
+        {
+          daily: { [today]: { s1: { timeSpentSeconds: 120, opens: 2 } } },
+          weekly: {},
+        },
+        today
+      );
+
+      expect(stats.days).toHaveLength(14);
+      expect(stats.days[0].date).toBe('2024-02-29');
+      expect(stats.days[13]).toEqual({
+        date: today,
+        timeSpentSeconds: 120,
+        opens: 2,
+      });
+    });
+
+    it('should combine daily stats and rollups in the weekly trend', () => {
+      const stats = computeSiteStatistics(
+        site,
+        {
+          daily: {
+            '2024-03-11': { s1: { timeSpentSeconds: 100, opens: 1 } },
+            [today]: { s1: { timeSpentSeconds: 50, opens: 1 } },
+          },
+          weekly: {
+            '2024-01-22': { s1: { timeSpentSeconds: 900, opens: 9, days: 7 } },
+          },
+        },
+        today
+      );
+
+      expect(stats.weeks).toHaveLength(8);
+      expect(stats.weeks[0]).toEqual({
+        weekStart: '2024-01-22',
+        timeSpentSeconds: 900,
+        opens: 9,
+      });
+      expect(stats.weeks[7]).toEqual({
+        weekStart: '2024-03-11',
+        timeSpentSeconds: 150,
+        opens: 2,
+      });
+    });
+
+    it('should count completed days under the limit since the last overrun', () => {
+      const stats = computeSiteStatistics(
+        site,
+        {
+          daily: {
+            '2024-03-08': { s1: { timeSpentSeconds: 700, opens: 1 } },
+            '2024-03-10': { s1: { timeSpentSeconds: 300, opens: 1 } },
+            '2024-03-12': { other: { timeSpentSeconds: 5, opens: 1 } },
+            // Today does not count until it is over
+            [today]: { s1: { timeSpentSeconds: 900, opens: 1 } },
+          },
+          weekly: {},
+        },
+        today
+      );
+
+      // 03-09 (no visits), 03-10, 03-11 (no entry), 03-12 (no visits)
+      expect(stats.streak).toBe(4);
+    });
+
+    it('should not count days before history starts or sites without limits', () => {
+      const history = {
+        daily: { '2024-03-11': { s1: { timeSpentSeconds: 10, opens: 1 } } },
+        weekly: {},
+      };
+
+      expect(computeSiteStatistics(site, history, today).streak).toBe(2);
+      expect(
+        computeSiteStatistics(
+          { id: 's1', urlPattern: 'example.com' },
+          history,
+          today
+        ).streak
+      ).toBe(null);
+    });
+
+    it('should compare the last 7 days with the 7 days before', () => {
+      const stats = computeSiteStatistics(
+        site,
+        {
+          daily: {
+            '2024-03-07': { s1: { timeSpentSeconds: 300, opens: 3 } },
+            '2024-03-06': { s1: { timeSpentSeconds: 400, opens: 4 } },
+            '2024-02-28': { s1: { timeSpentSeconds: 999, opens: 9 } },
+          },
+          weekly: {},
+        },
+        today
+      );
+
+      expect(stats.comparison).toEqual({
+        current: { timeSpentSeconds: 300, opens: 3 },
+        previous: { timeSpentSeconds: 400, opens: 4 },
+        timeChangePercent: -25,
+      });
+    });
+  });
+
+  describe('getUsageStatistics', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should compute statistics for every distracting site', async () => {
+      const todayKey = formatDateKey(new Date());
+      const storage = {
+        distractingSites: [
+          { id: 's1', urlPattern: 'a.com', dailyLimitSeconds: 60 },
+          { id: 's2', urlPattern: 'b.com', dailyOpenLimit: 3 },
+        ],
+        [`usageStats-${todayKey}`]: {
+          s1: { timeSpentSeconds: 30, opens: 1 },
+        },
+      };
+      mockStorageArea.get.mockImplementation(async (key) =>
+        key === null ? storage : { [key]: storage[key] }
+      );
+
+      const result = await getUsageStatistics();
+
+      expect(result.today).toBe(todayKey);
+      expect(result.sites.map((stats) => stats.siteId)).toEqual(['s1', 's2']);
+      expect(result.sites[0].days[13].timeSpentSeconds).toBe(30);
+    });
+
+    it('should return null on storage errors', async () => {
+      mockStorageArea.get.mockRejectedValue(new Error('Storage error'));
+      expect(await getUsageStatistics()).toBe(null);
+      expect(consoleErrorSpy).toHaveBeenCalled();
+    });
+  });
+});
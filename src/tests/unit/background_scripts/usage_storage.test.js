@@ -24,7 +24,13 @@ global.browser = {
 
 import {
   getUsageStats,
+  getUsageStatsForDates,
+  getCombinedUsageStats,
   updateUsageStats,
+  addPendingUsage,
+  setPendingItems,
+  flushPendingUsage,
+  REMOTE_USAGE_KEY,
 } from '../../../background_scripts/usage_storage.js';
 
 describe('usage_storage.js', () => {
@@ -36,9 +42,11 @@ describe('usage_storage.js', () => {
 
     mockStorageArea.get.mockImplementation(async (key) => {
       const result = {};
-      if (Object.prototype.hasOwnProperty.call(mockLocalStorageData, key)) {
-        result[key] = mockLocalStorageData[key];
-      }
+      [].concat(key).forEach((k) => {
+        if (Object.prototype.hasOwnProperty.call(mockLocalStorageData, k)) {
+          result[k] = mockLocalStorageData[k];
+        }
+      });
       return Promise.resolve(result);
     });
 
@@ -82,6 +90,81 @@ describe('usage_storage.js', () => {
     });
   });
 
+  describe('getUsageStatsForDates', () => {
+    it('should return the stats of every date, empty where there is no usage', async () => {
+      mockLocalStorageData['usageStats-2023-01-01'] = {
+        site1: { timeSpentSeconds: 100, opens: 5 },
+      };
+      expect(await getUsageStatsForDates(['2023-01-01', '2023-01-02'])).toEqual(
+        {
+          '2023-01-01': { site1: { timeSpentSeconds: 100, opens: 5 } },
+          '2023-01-02': {},
+        }
+      );
+      expect(mockStorageArea.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not read storage for an empty list', async () => {
+      expect(await getUsageStatsForDates([])).toEqual({});
+      expect(mockStorageArea.get).not.toHaveBeenCalled();
+    });
+
+    it('should return an empty object on storage error and log error', async () => {
+      mockStorageArea.get.mockRejectedValueOnce(new Error('Storage failed'));
+      expect(await getUsageStatsForDates(['2023-01-01'])).toEqual({});
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error getting usage stats for several dates:',
+        expect.any(Error)
+      );
+    });
+  });
+
+  describe('getCombinedUsageStats', () => {
+    it('should return local stats when no other device reported usage', async () => {
+      const storedStats = { site1: { timeSpentSeconds: 100, opens: 5 } };
+      mockLocalStorageData['usageStats-2023-01-01'] = storedStats;
+      expect(await getCombinedUsageStats('2023-01-01')).toEqual(storedStats);
+    });
+
+    it('should add the usage of other devices for the same date', async () => {
+      mockLocalStorageData['usageStats-2023-01-01'] = {
+        site1: { timeSpentSeconds: 100, opens: 5 },
+      };
+      mockLocalStorageData[REMOTE_USAGE_KEY] = {
+        date: '2023-01-01',
+        stats: {
+          site1: { timeSpentSeconds: 50, opens: 1 },
+          site2: { timeSpentSeconds: 30, opens: 2 },
+        },
+      };
+      expect(await getCombinedUsageStats('2023-01-01')).toEqual({
+        site1: { timeSpentSeconds: 150, opens: 6 },
+        site2: { timeSpentSeconds: 30, opens: 2 },
+      });
+      // The stored local stats are left untouched
+      expect(mockLocalStorageData['usageStats-2023-01-01']).toEqual({
+        site1: { timeSpentSeconds: 100, opens: 5 },
+      });
+    });
+
+    it('should ignore usage other devices reported for another date', async () => {
+      mockLocalStorageData[REMOTE_USAGE_KEY] = {
+        date: '2022-12-31',
+        stats: { site1: { timeSpentSeconds: 50, opens: 1 } },
+      };
+      expect(await getCombinedUsageStats('2023-01-01')).toEqual({});
+    });
+
+    it('should return an empty object on storage error and log error', async () => {
+      mockStorageArea.get.mockRejectedValueOnce(new Error('Storage failed'));
+      expect(await getCombinedUsageStats('2023-01-01')).toEqual({});
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error getting combined usage stats for date 2023-01-01:',
+        expect.any(Error)
+      );
+    });
+  });
+
   describe('updateUsageStats', () => {
     const dateString = '2023-01-01';
     const siteId = 'site-abc';
@@ -115,4 +198,135 @@ describe('usage_storage.js', () => {
       );
     });
   });
+
+  describe('pending usage', () => {
+    const dateString = '2023-01-01';
+    const storageKey = `usageStats-${dateString}`;
+
+    afterEach(async () => {
+      // Don't leave pending usage behind for the next test
+      mockStorageArea.set.mockImplementation(async (items) => {
+        Object.assign(mockLocalStorageData, items);
+      });
+      await flushPendingUsage();
+    });
+
+    it('should count pending usage before it is written', async () => {
+      mockLocalStorageData[storageKey] = {
+        site1: { timeSpentSeconds: 100, opens: 1 },
+      };
+      mockLocalStorageData[REMOTE_USAGE_KEY] = {
+        date: dateString,
+        stats: { site1: { timeSpentSeconds: 50, opens: 1 } },
+      };
+
+      addPendingUsage(dateString, 'site1', 2);
+      addPendingUsage(dateString, 'site1', 3, 1);
+      addPendingUsage(dateString, 'site2', 4);
+
+      expect(await getUsageStats(dateString)).toEqual({
+        site1: { timeSpentSeconds: 105, opens: 2 },
+        site2: { timeSpentSeconds: 4, opens: 0 },
+      });
+      expect((await getCombinedUsageStats(dateString)).site1).toEqual({
+        timeSpentSeconds: 155,
+        opens: 3,
+      });
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should write pending usage and pending items in one call', async () => {
+      mockLocalStorageData[storageKey] = {
+        site1: { timeSpentSeconds: 100, opens: 1 },
+      };
+      addPendingUsage(dateString, 'site1', 5);
+      setPendingItems({ checkpoint: 1 });
+      setPendingItems({ checkpoint: 2 });
+
+      expect(await flushPendingUsage()).toBe(true);
+
+      expect(mockStorageArea.set).toHaveBeenCalledTimes(1);
+      expect(mockStorageArea.set).toHaveBeenCalledWith({
+        [storageKey]: { site1: { timeSpentSeconds: 105, opens: 1 } },
+        checkpoint: 2,
+      });
+      // Written usage is no longer pending
+      expect((await getUsageStats(dateString)).site1.timeSpentSeconds).toBe(
+        105
+      );
+    });
+
+    it('should count usage that is being written', async () => {
+      mockLocalStorageData[storageKey] = {
+        site1: { timeSpentSeconds: 100, opens: 1 },
+      };
+      let finishWrite;
+      mockStorageArea.set.mockImplementationOnce(
+        (items) =>
+          new Promise((resolve) => {
+            finishWrite = () => {
+              Object.assign(mockLocalStorageData, items);
+              resolve();
+            };
+          })
+      );
+      addPendingUsage(dateString, 'site1', 5);
+
+      const flushed = flushPendingUsage();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const duringWrite = await getUsageStats(dateString);
+      finishWrite();
+      expect(await flushed).toBe(true);
+
+      expect(duringWrite.site1.timeSpentSeconds).toBe(105);
+      expect((await getUsageStats(dateString)).site1.timeSpentSeconds).toBe(
+        105
+      );
+    });
+
+    it('should keep the time of the latest open', async () => {
+      mockLocalStorageData[storageKey] = {
+        site1: { timeSpentSeconds: 100, opens: 1, lastOpenAt: 1000 },
+      };
+      addPendingUsage(dateString, 'site1', 0, 1, 5000);
+      addPendingUsage(dateString, 'site1', 5);
+      addPendingUsage(dateString, 'site2', 0, 1, 3000);
+
+      expect(await flushPendingUsage()).toBe(true);
+
+      expect(mockLocalStorageData[storageKey]).toEqual({
+        site1: { timeSpentSeconds: 105, opens: 2, lastOpenAt: 5000 },
+        site2: { timeSpentSeconds: 0, opens: 1, lastOpenAt: 3000 },
+      });
+    });
+
+    it('should not write anything when nothing is pending', async () => {
+      expect(await flushPendingUsage()).toBe(true);
+      expect(mockStorageArea.set).not.toHaveBeenCalled();
+    });
+
+    it('should keep the usage pending when writing fails', async () => {
+      mockStorageArea.set.mockRejectedValueOnce(new Error('Set failed'));
+      addPendingUsage(dateString, 'site1', 5);
+
+      expect(await flushPendingUsage()).toBe(false);
+      expect((await getUsageStats(dateString)).site1.timeSpentSeconds).toBe(5);
+
+      expect(await flushPendingUsage()).toBe(true);
+      expect(mockLocalStorageData[storageKey].site1.timeSpentSeconds).toBe(5);
+    });
+
+    it('should not let updateUsageStats write usage that is still pending', async () => {
+      addPendingUsage(dateString, 'site1', 5);
+
+      await updateUsageStats(dateString, 'site2', {
+        timeSpentSeconds: 10,
+        opens: 1,
+      });
+
+      expect(mockLocalStorageData[storageKey]).toEqual({
+        site2: { timeSpentSeconds: 10, opens: 1 },
+      });
+    });
+  });
 });
@@ -7,15 +7,30 @@
 import { jest } from '@jest/globals';
 import {
   validateUrlPattern,
+  validateExcludedPatterns,
+  validateAllowlistPatterns,
+  validateSchedule,
+  validateSiteGroup,
+  validateAppSettings,
   validateDailyTimeLimit,
   validateDailyOpenLimit,
+  validatePeriodBudgets,
+  validateRolloverPolicy,
+  validateOpenCooldown,
+  validateReductionPlan,
+  parseWarningThreshold,
+  validateWarningThresholds,
+  validateOverlaySettings,
+  validateEnforcementSteps,
   validateNoteText,
+  validatePin,
   validateStorageLimits,
   categorizeError,
   safeBrowserApiCall,
   createValidationError,
   validateRequiredFields,
   validateSiteObject,
+  validateBackupData,
   ERROR_TYPES,
 } from '../../../background_scripts/validation_utils.js';
 
@@ -59,6 +74,183 @@ describe('ValidationUtils', () => {
       expect(result.isValid).toBe(false);
       expect(result.error).toContain('too long');
     });
+
+    test('should accept path, glob and exact-host patterns', () => {
+      expect(validateUrlPattern('youtube.com/shorts').normalizedPattern).toBe(
+        'youtube.com/shorts'
+      );
+      expect(validateUrlPattern('*.google.com').isValid).toBe(true);
+      expect(validateUrlPattern('amazon.*').isValid).toBe(true);
+      expect(validateUrlPattern('=https://www.X.com').normalizedPattern).toBe(
+        '=x.com'
+      );
+    });
+
+    test('should reject wildcard-only hosts', () => {
+      expect(validateUrlPattern('*').isValid).toBe(false);
+      expect(validateUrlPattern('*.*').isValid).toBe(false);
+    });
+
+    test('should accept valid regex patterns verbatim', () => {
+      const result = validateUrlPattern('/^Reddit\\.com\\/r\\//i');
+      expect(result.isValid).toBe(true);
+      expect(result.normalizedPattern).toBe('/^Reddit\\.com\\/r\\//i');
+    });
+
+    test('should reject regex patterns that do not compile', () => {
+      const result = validateUrlPattern('/([a-z/');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Invalid regular expression');
+    });
+
+    test('should accept keyword rules with long enough keywords', () => {
+      expect(validateUrlPattern('Title: Shorts|Reels').normalizedPattern).toBe(
+        'title:shorts|reels'
+      );
+      expect(validateUrlPattern('query:election').isValid).toBe(true);
+      expect(validateUrlPattern('keyword:').isValid).toBe(false);
+      expect(validateUrlPattern('keyword:news|a').error).toContain(
+        'at least 2 characters'
+      );
+    });
+  });
+
+  describe('validateExcludedPatterns', () => {
+    test('should normalize, trim and deduplicate patterns', () => {
+      const result = validateExcludedPatterns([
+        ' reddit.com/r/programming ',
+        'https://www.reddit.com/r/programming',
+        '',
+      ]);
+      expect(result.isValid).toBe(true);
+      expect(result.normalizedPatterns).toEqual(['reddit.com/r/programming']);
+    });
+
+    test('should reject invalid patterns with context', () => {
+      const result = validateExcludedPatterns(['reddit.com', 'not valid']);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain("'not valid'");
+    });
+
+    test('should reject non-array input', () => {
+      expect(validateExcludedPatterns('reddit.com').isValid).toBe(false);
+    });
+
+    test('should accept keyword exceptions but not title rules', () => {
+      expect(validateExcludedPatterns(['query:lecture']).isValid).toBe(true);
+      expect(validateExcludedPatterns(['title:lecture']).error).toContain(
+        "exception 'title:lecture'"
+      );
+    });
+  });
+
+  describe('validateAllowlistPatterns', () => {
+    test('should normalize and deduplicate patterns', () => {
+      expect(
+        validateAllowlistPatterns([
+          'https://www.Wikipedia.org',
+          'wikipedia.org',
+        ]).normalizedPatterns
+      ).toEqual(['wikipedia.org']);
+    });
+
+    test('should allow longer lists than site exceptions', () => {
+      const patterns = Array.from({ length: 100 }, (_, i) => `site${i}.com`);
+      expect(validateExcludedPatterns(patterns).isValid).toBe(false);
+      expect(validateAllowlistPatterns(patterns).isValid).toBe(true);
+    });
+
+    test('should reject invalid patterns with context', () => {
+      expect(validateAllowlistPatterns(['not valid']).error).toContain(
+        "allowed site 'not valid'"
+      );
+    });
+  });
+
+  describe('validateSchedule', () => {
+    test('should normalize valid rules', () => {
+      const result = validateSchedule([
+        { days: [5, 1, 1], start: '9:00', end: '17:00', mode: 'block' },
+        {
+          days: [0, 6],
+          start: '00:00',
+          end: '24:00',
+          mode: 'limit',
+          dailyLimitSeconds: 7200,
+        },
+      ]);
+      expect(result.isValid).toBe(true);
+      expect(result.normalizedSchedule[0]).toEqual({
+        days: [1, 5],
+        start: '09:00',
+        end: '17:00',
+        mode: 'block',
+      });
+      expect(result.normalizedSchedule[1].dailyLimitSeconds).toBe(7200);
+    });
+
+    test('should accept an empty schedule', () => {
+      expect(validateSchedule([]).normalizedSchedule).toEqual([]);
+    });
+
+    test('should reject invalid days, times and modes', () => {
+      const base = { days: [1], start: '09:00', end: '17:00', mode: 'block' };
+      expect(validateSchedule([{ ...base, days: [7] }]).error).toContain(
+        'Schedule rule 1'
+      );
+      expect(validateSchedule([{ ...base, start: '25:00' }]).isValid).toBe(
+        false
+      );
+      expect(validateSchedule([{ ...base, end: '09:00' }]).isValid).toBe(false);
+      expect(validateSchedule([{ ...base, mode: 'pause' }]).isValid).toBe(
+        false
+      );
+      expect(validateSchedule('weekdays').isValid).toBe(false);
+    });
+
+    test('should validate limits of limit windows', () => {
+      const result = validateSchedule([
+        {
+          days: [1],
+          start: '18:00',
+          end: '22:00',
+          mode: 'limit',
+          dailyLimitSeconds: 90000,
+        },
+      ]);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('24 hours');
+    });
+  });
+
+  describe('validateSiteGroup', () => {
+    test('should sanitize a valid group', () => {
+      const result = validateSiteGroup({
+        id: 'ignored',
+        name: ' Social ',
+        dailyLimitSeconds: 1800,
+        dailyOpenLimit: 0,
+      });
+      expect(result.isValid).toBe(true);
+      expect(result.sanitizedGroup).toEqual({
+        name: 'Social',
+        dailyLimitSeconds: 1800,
+      });
+    });
+
+    test('should require a name and at least one limit', () => {
+      expect(validateSiteGroup({ dailyLimitSeconds: 60 }).field).toBe('name');
+      expect(validateSiteGroup({ name: 'News' }).field).toBe(
+        'dailyLimitSeconds'
+      );
+      expect(validateSiteGroup(null).isValid).toBe(false);
+    });
+
+    test('should validate the group limits', () => {
+      const result = validateSiteGroup({ name: 'News', dailyOpenLimit: -1 });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('dailyOpenLimit');
+    });
   });
 
   describe('validateDailyTimeLimit', () => {
@@ -121,6 +313,469 @@ describe('ValidationUtils', () => {
     });
   });
 
+  describe('validatePeriodBudgets', () => {
+    test('should accept sites without budgets and cleared budgets', () => {
+      expect(validatePeriodBudgets({}).isValid).toBe(true);
+      expect(
+        validatePeriodBudgets({ weeklyLimitSeconds: 0, monthlyOpenLimit: null })
+          .isValid
+      ).toBe(true);
+    });
+
+    test('should accept budgets within range', () => {
+      expect(
+        validatePeriodBudgets({
+          weeklyLimitSeconds: 5 * 3600,
+          weeklyOpenLimit: 50,
+          monthlyLimitSeconds: 20 * 3600,
+          monthlyOpenLimit: 200,
+        }).isValid
+      ).toBe(true);
+    });
+
+    test('should reject fractional and negative budgets with their field', () => {
+      const result = validatePeriodBudgets({ monthlyOpenLimit: 2.5 });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('monthlyOpenLimit');
+      expect(validatePeriodBudgets({ weeklyLimitSeconds: -60 }).isValid).toBe(
+        false
+      );
+    });
+
+    test('should reject budgets longer than their period', () => {
+      const result = validatePeriodBudgets({
+        weeklyLimitSeconds: 7 * 86400 + 1,
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('168 hours');
+      expect(validatePeriodBudgets({ weeklyOpenLimit: 10001 }).isValid).toBe(
+        false
+      );
+    });
+  });
+
+  describe('validateRolloverPolicy', () => {
+    test('should accept a policy within range and a policy turned off', () => {
+      expect(
+        validateRolloverPolicy({
+          rolloverPercent: 50,
+          rolloverCapSeconds: 3600,
+          rolloverExpiryDays: 7,
+        }).isValid
+      ).toBe(true);
+      expect(
+        validateRolloverPolicy({ rolloverPercent: 0, rolloverCapSeconds: null })
+          .isValid
+      ).toBe(true);
+    });
+
+    test('should reject values out of range with their field', () => {
+      const result = validateRolloverPolicy({ rolloverPercent: 150 });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('rolloverPercent');
+      expect(result.error).toContain('100%');
+      expect(
+        validateRolloverPolicy({ rolloverCapSeconds: 86401 }).error
+      ).toContain('24 hours');
+      expect(validateRolloverPolicy({ rolloverExpiryDays: 1.5 }).isValid).toBe(
+        false
+      );
+    });
+  });
+
+  describe('validateOpenCooldown', () => {
+    test('should accept a cooldown of up to a day, or none', () => {
+      expect(validateOpenCooldown({ openCooldownSeconds: 2700 }).isValid).toBe(
+        true
+      );
+      expect(validateOpenCooldown({ openCooldownSeconds: 86400 }).isValid).toBe(
+        true
+      );
+      expect(validateOpenCooldown({ openCooldownSeconds: 0 }).isValid).toBe(
+        true
+      );
+      expect(validateOpenCooldown({}).isValid).toBe(true);
+    });
+
+    test('should reject cooldowns out of range with their field', () => {
+      const result = validateOpenCooldown({ openCooldownSeconds: 86401 });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('openCooldownSeconds');
+      expect(result.error).toContain('24 hours');
+      expect(validateOpenCooldown({ openCooldownSeconds: -60 }).isValid).toBe(
+        false
+      );
+      expect(validateOpenCooldown({ openCooldownSeconds: '45' }).isValid).toBe(
+        false
+      );
+    });
+  });
+
+  describe('validateReductionPlan', () => {
+    const options = {
+      startLimitSeconds: 3600,
+      targetLimitSeconds: 1800,
+      weeklyReductionPercent: 10,
+    };
+
+    test('should accept a plan that works down to a lower limit', () => {
+      expect(validateReductionPlan(options)).toEqual({
+        isValid: true,
+        error: null,
+        field: null,
+      });
+    });
+
+    test('should reject a target that is not below the start', () => {
+      const result = validateReductionPlan({
+        ...options,
+        targetLimitSeconds: 3600,
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('targetLimitSeconds');
+    });
+
+    test('should reject limits in part minutes and paces out of range', () => {
+      expect(
+        validateReductionPlan({ ...options, startLimitSeconds: 3630 }).field
+      ).toBe('startLimitSeconds');
+      [0, 51, 2.5].forEach((weeklyReductionPercent) => {
+        expect(
+          validateReductionPlan({ ...options, weeklyReductionPercent }).field
+        ).toBe('weeklyReductionPercent');
+      });
+    });
+  });
+
+  describe('parseWarningThreshold', () => {
+    test('should parse percentages used and minutes left', () => {
+      expect(parseWarningThreshold('50%')).toEqual({
+        kind: 'percent',
+        value: 50,
+      });
+      expect(parseWarningThreshold(' 5 M ')).toEqual({
+        kind: 'minutesLeft',
+        value: 5,
+      });
+    });
+
+    test.each(['0%', '100%', '0m', '1441m', '5', '5 min', 5])(
+      'should reject %p',
+      (threshold) => {
+        expect(parseWarningThreshold(threshold)).toBeNull();
+      }
+    );
+  });
+
+  describe('validateWarningThresholds', () => {
+    test('should normalize, drop blanks and remove duplicates', () => {
+      expect(
+        validateWarningThresholds([' 50 %', '5M', '', '50%', '1m'])
+      ).toEqual({
+        isValid: true,
+        error: null,
+        normalizedThresholds: ['50%', '5m', '1m'],
+      });
+      expect(validateWarningThresholds([]).normalizedThresholds).toEqual([]);
+    });
+
+    test('should reject invalid entries and too many thresholds', () => {
+      expect(validateWarningThresholds(['50%', 'soon']).error).toContain(
+        "'soon'"
+      );
+      expect(validateWarningThresholds('50%').isValid).toBe(false);
+      const many = Array.from({ length: 11 }, (_, index) => `${index + 1}m`);
+      expect(validateWarningThresholds(many).isValid).toBe(false);
+    });
+  });
+
+  describe('validateOverlaySettings', () => {
+    test('should accept the known corners and clearing the position', () => {
+      expect(
+        validateOverlaySettings({
+          showOverlay: true,
+          overlayPosition: 'top-left',
+        }).isValid
+      ).toBe(true);
+      expect(validateOverlaySettings({ overlayPosition: null }).isValid).toBe(
+        true
+      );
+      expect(validateOverlaySettings({}).isValid).toBe(true);
+    });
+
+    test('should reject unknown positions and non-boolean flags', () => {
+      expect(validateOverlaySettings({ overlayPosition: 'middle' })).toEqual(
+        expect.objectContaining({ isValid: false, field: 'overlayPosition' })
+      );
+      expect(validateOverlaySettings({ showOverlay: 'yes' })).toEqual(
+        expect.objectContaining({ isValid: false, field: 'showOverlay' })
+      );
+    });
+  });
+
+  describe('validateEnforcementSteps', () => {
+    test('should accept escalating steps and drop unknown fields', () => {
+      expect(
+        validateEnforcementSteps([
+          { mode: 'grayscale' },
+          { mode: 'block', afterMinutes: 10, extra: true },
+        ])
+      ).toEqual({
+        isValid: true,
+        error: null,
+        normalizedSteps: [
+          { mode: 'grayscale', afterMinutes: 0 },
+          { mode: 'block', afterMinutes: 10 },
+        ],
+      });
+    });
+
+    test('should treat a lone hard block as the default', () => {
+      expect(
+        validateEnforcementSteps([{ mode: 'block', afterMinutes: 0 }])
+      ).toEqual({ isValid: true, error: null, normalizedSteps: null });
+    });
+
+    test('should reject steps out of order or after a block', () => {
+      expect(validateEnforcementSteps([]).isValid).toBe(false);
+      expect(validateEnforcementSteps([{ mode: 'shame' }]).isValid).toBe(false);
+      expect(
+        validateEnforcementSteps([{ mode: 'blur', afterMinutes: 5 }]).error
+      ).toContain('first');
+      expect(
+        validateEnforcementSteps([
+          { mode: 'grayscale', afterMinutes: 0 },
+          { mode: 'blur', afterMinutes: 10 },
+          { mode: 'delay', afterMinutes: 10 },
+        ]).isValid
+      ).toBe(false);
+      expect(
+        validateEnforcementSteps([
+          { mode: 'block', afterMinutes: 0 },
+          { mode: 'blur', afterMinutes: 5 },
+        ]).isValid
+      ).toBe(false);
+    });
+  });
+
+  describe('validateAppSettings', () => {
+    test('should accept a history retention within range', () => {
+      const result = validateAppSettings({ historyRetentionDays: 30 });
+      expect(result.isValid).toBe(true);
+      expect(result.sanitizedSettings).toEqual({ historyRetentionDays: 30 });
+    });
+
+    test('should reject retention outside 14-365 days or non-integers', () => {
+      [13, 366, 30.5, '30'].forEach((value) => {
+        const result = validateAppSettings({ historyRetentionDays: value });
+        expect(result.isValid).toBe(false);
+        expect(result.field).toBe('historyRetentionDays');
+      });
+    });
+
+    test('should reject unknown settings', () => {
+      const result = validateAppSettings({ theme: 'dark' });
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe('Unknown setting: theme');
+    });
+
+    test('should accept only booleans for the sync settings', () => {
+      expect(
+        validateAppSettings({
+          syncEnabled: true,
+          syncUsageAcrossDevices: false,
+        }).sanitizedSettings
+      ).toEqual({ syncEnabled: true, syncUsageAcrossDevices: false });
+
+      const result = validateAppSettings({ syncEnabled: 'yes' });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe('syncEnabled');
+    });
+
+    test('should accept a whole day-start hour between 0 and 23', () => {
+      expect(
+        validateAppSettings({ dayStartHour: 4 }).sanitizedSettings
+      ).toEqual({ dayStartHour: 4 });
+
+      [-1, 24, 4.5, '4'].forEach((dayStartHour) => {
+        const result = validateAppSettings({ dayStartHour });
+        expect(result.isValid).toBe(false);
+        expect(result.field).toBe('dayStartHour');
+      });
+    });
+
+    test('should accept override settings within range', () => {
+      const settings = {
+        overridesEnabled: true,
+        overrideMinutes: 10,
+        overrideDailyLimit: 3,
+        overrideFriction: 'arithmetic',
+        overrideCountdownSeconds: 60,
+      };
+      expect(validateAppSettings(settings).sanitizedSettings).toEqual(settings);
+    });
+
+    test.each([
+      ['overrideMinutes', 0],
+      ['overrideMinutes', 31],
+      ['overrideDailyLimit', 11],
+      ['overrideFriction', 'riddle'],
+      ['overrideCountdownSeconds', 4],
+      ['overrideCountdownSeconds', 10.5],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+
+    test('should accept focus session settings and drop repeated sites', () => {
+      expect(
+        validateAppSettings({
+          focusMinutes: 50,
+          focusBreakMinutes: 0,
+          focusCycles: 4,
+          focusSiteIds: ['site1', 'site2', 'site1'],
+        }).sanitizedSettings
+      ).toEqual({
+        focusMinutes: 50,
+        focusBreakMinutes: 0,
+        focusCycles: 4,
+        focusSiteIds: ['site1', 'site2'],
+      });
+    });
+
+    test.each([
+      ['focusMinutes', 0],
+      ['focusMinutes', 241],
+      ['focusBreakMinutes', -1],
+      ['focusBreakMinutes', 61],
+      ['focusCycles', 13],
+      ['focusSiteIds', 'site1'],
+      ['focusSiteIds', ['']],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+
+    test('should accept idle detection settings', () => {
+      const settings = {
+        idleDetectionEnabled: false,
+        idleThresholdSeconds: 300,
+        idleCountMedia: false,
+      };
+      expect(validateAppSettings(settings).sanitizedSettings).toEqual(settings);
+    });
+
+    test('should accept and normalize limit warning settings', () => {
+      expect(
+        validateAppSettings({
+          warningsEnabled: true,
+          warningThresholds: ['75 %', '10M'],
+          warnLastOpen: false,
+          quietHoursEnabled: true,
+          quietHoursStart: '9:30',
+          quietHoursEnd: '07:00',
+        }).sanitizedSettings
+      ).toEqual({
+        warningsEnabled: true,
+        warningThresholds: ['75%', '10m'],
+        warnLastOpen: false,
+        quietHoursEnabled: true,
+        quietHoursStart: '09:30',
+        quietHoursEnd: '07:00',
+      });
+    });
+
+    test.each([
+      ['warningsEnabled', 'yes'],
+      ['warningThresholds', ['120%']],
+      ['quietHoursStart', '24:00'],
+      ['quietHoursEnd', '7pm'],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+
+    test.each([
+      ['idleDetectionEnabled', 'yes'],
+      ['idleThresholdSeconds', 14],
+      ['idleThresholdSeconds', 3601],
+      ['idleCountMedia', 1],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+
+    test('should accept the strict mode settings', () => {
+      expect(
+        validateAppSettings({
+          strictModeEnabled: true,
+          strictModeDelay: 'cooldown',
+          strictModeCooldownHours: 48,
+        }).sanitizedSettings
+      ).toEqual({
+        strictModeEnabled: true,
+        strictModeDelay: 'cooldown',
+        strictModeCooldownHours: 48,
+      });
+    });
+
+    test.each([
+      ['strictModeEnabled', 'on'],
+      ['strictModeDelay', 'never'],
+      ['strictModeCooldownHours', 0],
+      ['strictModeCooldownHours', 169],
+      ['strictModeCooldownHours', 1.5],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+
+    test('should accept the allowlist settings', () => {
+      expect(
+        validateAppSettings({
+          allowlistEnabled: true,
+          allowlistPatterns: [' docs.python.org ', ''],
+          allowlistSchedule: [
+            { days: [1], start: '9:00', end: '12:00', mode: 'block' },
+          ],
+        }).sanitizedSettings
+      ).toEqual({
+        allowlistEnabled: true,
+        allowlistPatterns: ['docs.python.org'],
+        allowlistSchedule: [
+          { days: [1], start: '09:00', end: '12:00', mode: 'block' },
+        ],
+      });
+    });
+
+    test.each([
+      ['allowlistEnabled', 'yes'],
+      ['allowlistPatterns', 'docs.python.org'],
+      ['allowlistSchedule', [{ days: [1], start: '09:00', end: '12:00' }]],
+      [
+        'allowlistSchedule',
+        [
+          {
+            days: [1],
+            start: '09:00',
+            end: '12:00',
+            mode: 'limit',
+            dailyLimitSeconds: 600,
+          },
+        ],
+      ],
+    ])('should reject %s = %p', (key, value) => {
+      const result = validateAppSettings({ [key]: value });
+      expect(result.isValid).toBe(false);
+      expect(result.field).toBe(key);
+    });
+  });
+
   describe('validateSiteObject', () => {
     const validSite = {
       id: 'test-site',
@@ -142,6 +797,67 @@ describe('ValidationUtils', () => {
       });
     });
 
+    test('should keep a valid schedule and reject an invalid one', () => {
+      const rule = { days: [1], start: '09:00', end: '17:00', mode: 'block' };
+      expect(
+        validateSiteObject({ ...validSite, schedule: [rule] }).sanitizedSite
+          .schedule
+      ).toEqual([rule]);
+      expect(
+        validateSiteObject({ ...validSite, schedule: [{ ...rule, days: [9] }] })
+          .isValid
+      ).toBe(false);
+    });
+
+    test('should keep normalized warning thresholds, even an empty list', () => {
+      expect(
+        validateSiteObject({ ...validSite, warningThresholds: ['5M'] })
+          .sanitizedSite.warningThresholds
+      ).toEqual(['5m']);
+      expect(
+        validateSiteObject({ ...validSite, warningThresholds: [] })
+          .sanitizedSite.warningThresholds
+      ).toEqual([]);
+      expect(
+        validateSiteObject({ ...validSite, warningThresholds: ['2h'] }).isValid
+      ).toBe(false);
+    });
+
+    test('should keep positive period budgets and drop cleared ones', () => {
+      const { sanitizedSite } = validateSiteObject({
+        ...validSite,
+        weeklyLimitSeconds: 7200,
+        monthlyOpenLimit: 0,
+      });
+      expect(sanitizedSite.weeklyLimitSeconds).toBe(7200);
+      expect(sanitizedSite).not.toHaveProperty('monthlyOpenLimit');
+      expect(
+        validateSiteObject({ ...validSite, weeklyOpenLimit: 'ten' }).isValid
+      ).toBe(false);
+    });
+
+    test('should keep a cooldown between opens', () => {
+      const { sanitizedSite } = validateSiteObject({
+        ...validSite,
+        openCooldownSeconds: 2700,
+      });
+      expect(sanitizedSite.openCooldownSeconds).toBe(2700);
+      expect(
+        validateSiteObject({ ...validSite, openCooldownSeconds: 90000 }).isValid
+      ).toBe(false);
+    });
+
+    test('should keep background counting when turned on', () => {
+      expect(
+        validateSiteObject({ ...validSite, trackInBackground: true })
+          .sanitizedSite.trackInBackground
+      ).toBe(true);
+      expect(
+        validateSiteObject({ ...validSite, trackInBackground: false })
+          .sanitizedSite
+      ).not.toHaveProperty('trackInBackground');
+    });
+
     test('should validate site with only time limit', () => {
       const timeOnlySite = {
         id: 'test-site',
@@ -378,6 +1094,20 @@ describe('ValidationUtils', () => {
     });
   });
 
+  describe('validatePin', () => {
+    test('should accept 4 to 64 characters, spaces included', () => {
+      expect(validatePin('1234').isValid).toBe(true);
+      expect(validatePin('correct horse battery staple').isValid).toBe(true);
+    });
+
+    test.each([['123'], ['x'.repeat(65)], [1234], [null]])(
+      'should reject %p',
+      (pin) => {
+        expect(validatePin(pin).isValid).toBe(false);
+      }
+    );
+  });
+
   describe('validateStorageLimits', () => {
     test('should validate within limits', () => {
       const result = validateStorageLimits('sites', 100);
@@ -489,4 +1219,77 @@ describe('ValidationUtils', () => {
       expect(end - start).toBeLessThan(100);
     });
   });
+
+  describe('validateBackupData', () => {
+    const validData = () => ({
+      distractingSites: [
+        {
+          id: 's1',
+          urlPattern: 'reddit.com',
+          isEnabled: true,
+          dailyLimitSeconds: 600,
+          groupId: 'g1',
+        },
+      ],
+      siteGroups: [{ id: 'g1', name: 'Social', dailyOpenLimit: 5 }],
+      timeoutNotes: [{ id: 'n1', text: ' Tea & biscuits ' }],
+      appSettings: { historyRetentionDays: 30 },
+      usageHistory: {
+        daily: { '2024-03-12': { s1: { timeSpentSeconds: 60, opens: 1 } } },
+        weekly: {
+          '2024-01-01': { s1: { timeSpentSeconds: 60, opens: 1, days: 1 } },
+        },
+      },
+    });
+
+    test('should accept and sanitize valid data', () => {
+      const result = validateBackupData(validData());
+      expect(result.isValid).toBe(true);
+      // Note text is trimmed but not HTML-escaped
+      expect(result.sanitizedData.timeoutNotes).toEqual([
+        { id: 'n1', text: 'Tea & biscuits' },
+      ]);
+      expect(result.sanitizedData.usageHistory.weekly['2024-01-01']).toEqual({
+        s1: { timeSpentSeconds: 60, opens: 1, days: 1 },
+      });
+    });
+
+    test('should default missing sections to empty', () => {
+      const result = validateBackupData({});
+      expect(result.isValid).toBe(true);
+      expect(result.sanitizedData).toEqual({
+        distractingSites: [],
+        siteGroups: [],
+        timeoutNotes: [],
+        appSettings: {},
+        usageHistory: { daily: {}, weekly: {} },
+      });
+    });
+
+    test('should reject duplicate ids and unknown groups', () => {
+      const duplicate = validData();
+      duplicate.timeoutNotes.push({ id: 'n1', text: 'Other' });
+      expect(validateBackupData(duplicate).error).toBe(
+        'timeoutNotes[1]: missing or duplicate id'
+      );
+
+      const orphan = validData();
+      orphan.siteGroups = [];
+      expect(validateBackupData(orphan).error).toBe(
+        'distractingSites[0]: unknown group "g1"'
+      );
+    });
+
+    test('should reject malformed usage history', () => {
+      const badDate = validData();
+      badDate.usageHistory.daily = { yesterday: {} };
+      expect(validateBackupData(badDate).isValid).toBe(false);
+
+      const badRecord = validData();
+      badRecord.usageHistory.daily['2024-03-12'].s1.opens = -1;
+      expect(validateBackupData(badRecord).error).toBe(
+        'usageHistory.daily.2024-03-12.s1: invalid usage record'
+      );
+    });
+  });
 });
@@ -0,0 +1,190 @@
+/**
+ * @file pause.js
+ * @description The mindful pause page, shown before a site with `mindfulPause` set opens
+ * (see background_scripts/mindful_pause.js).
+ *
+ * This script:
+ * - Parses the URL parameters for the page the tab was going to and its site
+ * - Asks the background script for the site's remaining budget and when the pause ends
+ * - Counts down and enables the Continue button once the pause is over
+ * - Continues to the site, or goes back without it, which uses up no open
+ */
+
+/**
+ * Reads the page the tab was going to from the URL parameters.
+ *
+ * @returns {{url: string, siteId: string}} The URL and the ID of its site
+ */
+function getUrlParameters() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    url: params.get('url') || '',
+    siteId: params.get('siteId') || '',
+  };
+}
+
+/**
+ * Formats a remaining time, e.g. "1 h 5 min", "12 min" or "under a minute".
+ *
+ * @param {number} seconds - The time left
+ * @returns {string} The formatted time
+ */
+function formatRemainingTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+  }
+  return minutes > 0 ? `${minutes} min` : 'under a minute';
+}
+
+/**
+ * Describes the remaining budget of the site.
+ *
+ * @param {Object} info - The pause info from the background script
+ * @returns {string} The description
+ */
+function describeRemaining(info) {
+  const parts = [];
+  if (info.remainingSeconds !== null) {
+    parts.push(formatRemainingTime(info.remainingSeconds));
+  }
+  if (info.remainingOpens !== null) {
+    parts.push(
+      `${info.remainingOpens} ${info.remainingOpens === 1 ? 'open' : 'opens'}`
+    );
+  }
+  if (parts.length === 0) {
+    return 'No limit applies to this site right now.';
+  }
+  return `You have ${parts.join(' and ')} left. Continuing counts as a visit.`;
+}
+
+/**
+ * Counts down until the pause is over, then enables the Continue button.
+ *
+ * @param {number} readyAt - When the pause ends, in ms
+ */
+function runCountdown(readyAt) {
+  const countdown = document.getElementById('pause-countdown');
+  const button = document.getElementById('pause-continue-btn');
+  const secondsLeft = Math.ceil((readyAt - Date.now()) / 1000);
+
+  if (secondsLeft <= 0) {
+    countdown.textContent = '✓';
+    countdown.classList.add('pause-ready');
+    button.disabled = false;
+    button.textContent = 'Continue';
+    return;
+  }
+
+  countdown.textContent = String(secondsLeft);
+  button.disabled = true;
+  button.textContent = `Continue in ${secondsLeft}s`;
+  setTimeout(() => runCountdown(readyAt), Math.min(1000, readyAt - Date.now()));
+}
+
+/**
+ * Tells the background script the pause is over and goes on to the site.
+ *
+ * @param {Object} params - The URL parameters of the page
+ */
+async function continueToSite(params) {
+  const button = document.getElementById('pause-continue-btn');
+  const errorElement = document.getElementById('pause-error');
+
+  try {
+    button.disabled = true;
+    errorElement.textContent = '';
+
+    const response = await browser.runtime.sendMessage({
+      action: 'continueAfterPause',
+      payload: { siteId: params.siteId },
+    });
+
+    if (response && response.success) {
+      window.location.replace(params.url);
+      return;
+    }
+
+    errorElement.textContent =
+      response?.error?.message || 'Could not continue to the site.';
+  } catch (error) {
+    console.error('[Pause] Error continuing to the site:', error);
+    errorElement.textContent =
+      'Could not continue to the site. Please try again.';
+  }
+  button.disabled = false;
+}
+
+/**
+ * Leaves the pause without opening the site: back to the previous page, or closes the
+ * tab if there is none.
+ */
+async function goBack() {
+  if (window.history.length > 1) {
+    window.history.back();
+    return;
+  }
+
+  try {
+    const tab = await browser.tabs.getCurrent();
+    await browser.tabs.remove(tab.id);
+  } catch (error) {
+    console.error('[Pause] Error closing the tab:', error);
+  }
+}
+
+/**
+ * Fills in the page and starts the countdown.
+ */
+async function initializePausePage() {
+  const params = getUrlParameters();
+  const siteElement = document.getElementById('pause-site');
+  const remainingElement = document.getElementById('pause-remaining');
+
+  document
+    .getElementById('pause-back-btn')
+    .addEventListener('click', () => goBack());
+  document
+    .getElementById('pause-continue-btn')
+    .addEventListener('click', () => continueToSite(params));
+
+  try {
+    siteElement.textContent = new URL(params.url).hostname;
+  } catch {
+    siteElement.textContent = params.url;
+  }
+
+  if (!params.url || !params.siteId) {
+    remainingElement.textContent = 'This pause has no site to continue to.';
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getMindfulPause',
+      payload: { siteId: params.siteId },
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error?.message || 'No response');
+    }
+
+    // The site no longer pauses, e.g. as the setting was turned off meanwhile
+    if (!response.data) {
+      window.location.replace(params.url);
+      return;
+    }
+
+    document.title = `Take a Breath: ${siteElement.textContent}`;
+    remainingElement.textContent = describeRemaining(response.data);
+    runCountdown(response.data.readyAt);
+  } catch (error) {
+    console.error('[Pause] Error loading the pause:', error);
+    remainingElement.textContent =
+      'Could not load your remaining budget. Please reload this page.';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initializePausePage);
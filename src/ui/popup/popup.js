@@ -36,6 +36,13 @@ const PERFORMANCE_CONFIG = {
 let _refreshTimer = null;
 let _isVisible = false;
 
+// Focus session state (null when no session is running)
+let focusSession = null;
+let _focusTimer = null;
+
+// Error type of a change refused for want of the PIN (ERROR_TYPES.PIN_REQUIRED)
+const PIN_REQUIRED_ERROR = 'PIN_REQUIRED_ERROR';
+
 /**
  * Initializes DOM element references with error handling.
  * @private
@@ -45,6 +52,7 @@ function initializeElements() {
     elements = {
       // Header elements
       settingsBtn: document.getElementById('settingsBtn'),
+      statsBtn: document.getElementById('statsBtn'),
 
       // Page info elements
       currentPageInfo: document.getElementById('currentPageInfo'),
@@ -61,6 +69,12 @@ function initializeElements() {
       openProgress: document.getElementById('openProgress'),
       openProgressValue: document.getElementById('openProgressValue'),
       openProgressFill: document.getElementById('openProgressFill'),
+      weekProgress: document.getElementById('weekProgress'),
+      weekProgressValue: document.getElementById('weekProgressValue'),
+      weekProgressFill: document.getElementById('weekProgressFill'),
+      monthProgress: document.getElementById('monthProgress'),
+      monthProgressValue: document.getElementById('monthProgressValue'),
+      monthProgressFill: document.getElementById('monthProgressFill'),
 
       // Form elements - updated for new structure
       limitsFormSection: document.getElementById('limitsFormSection'),
@@ -69,6 +83,8 @@ function initializeElements() {
       // QA FIX: Removed urlPattern - auto-detect from current tab
       timeLimit: document.getElementById('timeLimit'),
       openLimit: document.getElementById('openLimit'),
+      quickPinGroup: document.getElementById('quickPinGroup'),
+      quickPin: document.getElementById('quickPin'),
       errorMessage: document.getElementById('errorMessage'),
       submitBtn: document.getElementById('submitBtn'),
       cancelBtn: document.getElementById('cancelBtn'),
@@ -83,6 +99,23 @@ function initializeElements() {
 
       // Loading
       loadingIndicator: document.getElementById('loadingIndicator'),
+
+      // Focus session
+      focusIdle: document.getElementById('focusIdle'),
+      focusRunning: document.getElementById('focusRunning'),
+      focusPhase: document.getElementById('focusPhase'),
+      focusCountdown: document.getElementById('focusCountdown'),
+      focusStopBtn: document.getElementById('focusStopBtn'),
+      focusError: document.getElementById('focusError'),
+      focusPresetButtons: document.querySelectorAll('.btn-focus-preset'),
+
+      // Allowlist mode
+      allowlistSection: document.getElementById('allowlistSection'),
+      allowlistToggle: document.getElementById('allowlistToggle'),
+      allowlistStatus: document.getElementById('allowlistStatus'),
+      allowlistPinForm: document.getElementById('allowlistPinForm'),
+      allowlistPin: document.getElementById('allowlistPin'),
+      allowlistError: document.getElementById('allowlistError'),
     };
 
     // Validate that all critical elements exist
@@ -117,6 +150,9 @@ function setupEventListeners() {
     if (elements.settingsBtn) {
       elements.settingsBtn.addEventListener('click', openSettings);
     }
+    if (elements.statsBtn) {
+      elements.statsBtn.addEventListener('click', openStatistics);
+    }
 
     // Form submission
     if (elements.limitsForm) {
@@ -138,6 +174,27 @@ function setupEventListeners() {
       });
     }
 
+    // Focus session controls
+    elements.focusPresetButtons.forEach((btn) => {
+      btn.addEventListener('click', handleFocusPresetClick);
+    });
+    if (elements.focusStopBtn) {
+      elements.focusStopBtn.addEventListener('click', handleFocusStop);
+    }
+
+    // Allowlist mode controls
+    if (elements.allowlistToggle) {
+      elements.allowlistToggle.addEventListener('change', () =>
+        setAllowlistEnabled(elements.allowlistToggle.checked)
+      );
+    }
+    if (elements.allowlistPinForm) {
+      elements.allowlistPinForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        setAllowlistEnabled(false, elements.allowlistPin.value);
+      });
+    }
+
     // Debounced input validation for better performance
     if (elements.timeLimit) {
       elements.timeLimit.addEventListener('input', (e) => {
@@ -394,8 +451,12 @@ function displayExistingLimits(siteInfo) {
   // Display time limit and progress
   if (siteInfo.dailyLimitSeconds > 0) {
     const limitMinutes = Math.round(siteInfo.dailyLimitSeconds / 60);
+    const bankedMinutes = Math.round((siteInfo.bankedSeconds || 0) / 60);
     const usedMinutes = Math.round((siteInfo.todaySeconds || 0) / 60);
-    const percentage = Math.min((usedMinutes / limitMinutes) * 100, 100);
+    const percentage = Math.min(
+      (usedMinutes / (limitMinutes + bankedMinutes)) * 100,
+      100
+    );
 
 
 
@@ -405,7 +466,11 @@ function displayExistingLimits(siteInfo) {
       elements.timeProgressValue &&
       elements.timeProgressFill
     ) {
-      elements.timeProgressValue.textContent = `${usedMinutes} / ${limitMinutes} min`;
+      // Banked rollover time adds to the limit, e.g. "30m + 12m banked"
+      elements.timeProgressValue.textContent =
+        bankedMinutes > 0
+          ? `${usedMinutes} / ${limitMinutes}m + ${bankedMinutes}m banked`
+          : `${usedMinutes} / ${limitMinutes} min`;
       elements.timeProgressFill.style.width = `${percentage}%`;
 
       // Add visual feedback for approaching/exceeding limits
@@ -462,6 +527,62 @@ function displayExistingLimits(siteInfo) {
       elements.openProgress.style.display = 'none';
     }
   }
+
+  // Display weekly and monthly budgets
+  displayPeriodBudgets(siteInfo.periodBudgets || []);
+}
+
+/**
+ * Displays the progress of the site's weekly and monthly budgets.
+ * A budget with both a time and an open limit fills its bar by whichever is closer
+ * to being used up.
+ * @private
+ * @param {Array<Object>} periodBudgets - The budgets, as sent by the background script
+ */
+function displayPeriodBudgets(periodBudgets) {
+  ['week', 'month'].forEach((period) => {
+    const progress = elements[`${period}Progress`];
+    const value = elements[`${period}ProgressValue`];
+    const fill = elements[`${period}ProgressFill`];
+    if (!progress || !value || !fill) {
+      return;
+    }
+
+    const budget = periodBudgets.find((b) => b.period === period);
+    if (!budget) {
+      progress.style.display = 'none';
+      return;
+    }
+
+    const parts = [];
+    const fractions = [];
+    if (budget.limitSeconds > 0) {
+      const usedMinutes = Math.round(budget.usage.timeSpentSeconds / 60);
+      const limitMinutes = Math.round(budget.limitSeconds / 60);
+      parts.push(`${usedMinutes} / ${limitMinutes} min`);
+      fractions.push(budget.usage.timeSpentSeconds / budget.limitSeconds);
+    }
+    if (budget.openLimit > 0) {
+      parts.push(`${budget.usage.opens} / ${budget.openLimit} opens`);
+      fractions.push(budget.usage.opens / budget.openLimit);
+    }
+    const percentage = Math.min(Math.max(...fractions) * 100, 100);
+
+    value.textContent = parts.join(' · ');
+    fill.style.width = `${percentage}%`;
+
+    // Add visual feedback for approaching/exceeding limits
+    if (percentage >= 100) {
+      fill.style.background = 'var(--accent-error)';
+    } else if (percentage >= 80) {
+      fill.style.background = 'var(--accent-warning)';
+    } else {
+      fill.style.background =
+        'linear-gradient(90deg, var(--accent-primary), var(--accent-secondary))';
+    }
+
+    progress.style.display = 'block';
+  });
 }
 
 /**
@@ -665,10 +786,24 @@ async function handleFormSubmit(event) {
       payload.dailyOpenLimit = openLimitCount;
     }
 
-    await sendMessage({
+    const message = {
       action: 'addQuickLimit',
       payload: payload,
-    });
+    };
+    if (elements.quickPin && elements.quickPin.value) {
+      message.pin = elements.quickPin.value;
+    }
+
+    const newSite = await sendMessage(message);
+
+    // Strict mode adds a site that loosens a stricter one switched off for now
+    const successText =
+      elements.successMessage &&
+      elements.successMessage.querySelector('.success-text');
+    if (successText && newSite && newSite.isEnabled === false) {
+      successText.textContent =
+        'Limits added. Strict mode switches them on later, see Pending Changes in the settings.';
+    }
 
     // Clear cache to force refresh when reopening
     _dataCache.currentPageData = null;
@@ -684,6 +819,12 @@ async function handleFormSubmit(event) {
     console.error('[Popup] Error submitting form:', error);
     showError(error.message || 'Failed to save limits. Please try again.');
 
+    // A wrong PIN, or an unlock that ran out, asks for the PIN again
+    if (elements.quickPin) {
+      elements.quickPin.value = '';
+    }
+    await loadPinStatus();
+
     // Restore button state
     elements.submitBtn.disabled = false;
     elements.submitBtn.innerHTML = `
@@ -715,6 +856,278 @@ function handlePresetClick(event) {
   validateForm();
 }
 
+/**
+ * Formats the time left in a focus session phase as "mm:ss".
+ * @private
+ * @param {number} remainingMs - Time left in milliseconds
+ * @returns {string} The formatted countdown
+ */
+function formatFocusCountdown(remainingMs) {
+  const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Shows or hides an error below the focus session controls.
+ * @private
+ * @param {string|null} message - The error message, or null to hide it
+ */
+function showFocusError(message) {
+  if (!elements.focusError) return;
+
+  elements.focusError.textContent = message || '';
+  elements.focusError.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Updates the focus session countdown, and reloads the session once the phase is over.
+ * @private
+ */
+function updateFocusCountdown() {
+  if (!focusSession) return;
+
+  const remainingMs = focusSession.phaseEndsAt - Date.now();
+  elements.focusCountdown.textContent = formatFocusCountdown(remainingMs);
+
+  if (remainingMs <= 0) {
+    clearInterval(_focusTimer);
+    _focusTimer = null;
+    // Give the background a moment to move the session on
+    setTimeout(loadFocusSession, 1000);
+  }
+}
+
+/**
+ * Shows either the focus session presets or the running session.
+ * @private
+ * @param {Object|null} session - The running session (with its current phase), if any
+ */
+function displayFocusSession(session) {
+  if (_focusTimer) {
+    clearInterval(_focusTimer);
+    _focusTimer = null;
+  }
+
+  focusSession = session && session.phase !== 'ended' ? session : null;
+
+  if (!focusSession) {
+    elements.focusIdle.style.display = 'flex';
+    elements.focusRunning.style.display = 'none';
+    return;
+  }
+
+  const onBreak = focusSession.phase === 'break';
+  let phaseText = onBreak ? 'Break' : 'Focus';
+  if (focusSession.cycles > 1) {
+    phaseText += ` · ${focusSession.cycle} of ${focusSession.cycles}`;
+  }
+  elements.focusPhase.textContent = phaseText;
+  elements.focusRunning.classList.toggle('on-break', onBreak);
+  elements.focusIdle.style.display = 'none';
+  elements.focusRunning.style.display = 'flex';
+
+  updateFocusCountdown();
+  _focusTimer = setInterval(updateFocusCountdown, 1000);
+}
+
+/**
+ * Loads the running focus session from the background script.
+ * @async
+ * @private
+ */
+async function loadFocusSession() {
+  try {
+    const session = await sendMessage({ action: 'getFocusSession' });
+    displayFocusSession(session);
+  } catch (error) {
+    console.warn('[Popup] Error loading focus session:', error);
+  }
+}
+
+/**
+ * Shows the PIN field of the quick-add form while the PIN lock asks for it.
+ * @async
+ * @private
+ */
+async function loadPinStatus() {
+  if (!elements.quickPinGroup) return;
+
+  try {
+    const status = await sendMessage({ action: 'getPinStatus' });
+    elements.quickPinGroup.style.display =
+      status.enabled && !status.unlockedUntil ? 'block' : 'none';
+  } catch (error) {
+    console.warn('[Popup] Error loading PIN status:', error);
+  }
+}
+
+/**
+ * Formats when allowlist mode or a held back change ends, e.g. "Mon 17:00".
+ * @private
+ * @param {number} timestamp - The time in ms.
+ * @returns {string} The local weekday and time.
+ */
+function formatAllowlistTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Shows or hides an error below the allowlist mode toggle.
+ * @private
+ * @param {string|null} message - The error, or null to hide it
+ */
+function showAllowlistError(message) {
+  if (!elements.allowlistError) return;
+
+  elements.allowlistError.textContent = message || '';
+  elements.allowlistError.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Shows whether allowlist mode is on, and until when if a schedule window turned it on.
+ * A window can't be switched off here, so the toggle is disabled during one.
+ * @private
+ * @param {Object} status - The allowlist status from the background script
+ */
+function displayAllowlistStatus(status) {
+  const sites =
+    status.patternCount === 1
+      ? '1 allowed site'
+      : `${status.patternCount || 'No'} allowed sites`;
+  let state = 'Off';
+  if (status.active) {
+    state = status.endsAt
+      ? `On until ${formatAllowlistTime(status.endsAt)}`
+      : 'On';
+  }
+
+  elements.allowlistToggle.checked = status.active;
+  elements.allowlistToggle.disabled = status.scheduled && !status.enabled;
+  elements.allowlistStatus.textContent = `${state} · ${sites}`;
+  elements.allowlistSection.classList.toggle('is-active', status.active);
+}
+
+/**
+ * Loads the allowlist mode status from the background script.
+ * @async
+ * @private
+ */
+async function loadAllowlistStatus() {
+  if (!elements.allowlistToggle) return;
+
+  try {
+    const status = await sendMessage({ action: 'getAllowlistStatus' });
+    displayAllowlistStatus(status);
+  } catch (error) {
+    console.warn('[Popup] Error loading allowlist status:', error);
+  }
+}
+
+/**
+ * Switches allowlist mode on or off. Switching it off may need the PIN, which is then
+ * asked for below the toggle, and is held back while strict mode is on.
+ * @async
+ * @private
+ * @param {boolean} enabled - Whether to switch it on
+ * @param {string} [pin] - The PIN, if one was asked for
+ */
+async function setAllowlistEnabled(enabled, pin) {
+  showAllowlistError(null);
+  elements.allowlistToggle.disabled = true;
+
+  try {
+    const message = {
+      action: 'updateAppSettings',
+      payload: { allowlistEnabled: enabled },
+    };
+    if (pin) {
+      message.pin = pin;
+    }
+    // Sent directly: the pending change and the error type are needed here
+    const response = await browser.runtime.sendMessage(message);
+
+    const needsPin =
+      !response.success &&
+      response.error?.type === PIN_REQUIRED_ERROR &&
+      response.error.isRetryable;
+    elements.allowlistPinForm.style.display = needsPin ? 'flex' : 'none';
+    elements.allowlistPin.value = '';
+    if (needsPin) {
+      elements.allowlistPin.focus();
+    }
+
+    if (!response.success) {
+      showAllowlistError(
+        response.error?.message || 'Failed to switch allowlist mode'
+      );
+    } else if (response.pendingChange) {
+      showAllowlistError(
+        `Strict mode switches allowlist mode off ${formatAllowlistTime(response.pendingChange.effectiveAt)}.`
+      );
+    }
+  } catch (error) {
+    console.error('[Popup] Error switching allowlist mode:', error);
+    showAllowlistError('Failed to switch allowlist mode');
+  } finally {
+    await loadAllowlistStatus();
+  }
+}
+
+/**
+ * Starts a focus session with the length of the clicked preset.
+ * Breaks, cycles and sites come from the focus settings.
+ * @async
+ * @private
+ * @param {Event} event - The click event
+ */
+async function handleFocusPresetClick(event) {
+  const focusMinutes = parseInt(event.currentTarget.dataset.minutes, 10);
+
+  showFocusError(null);
+  elements.focusPresetButtons.forEach((btn) => {
+    btn.disabled = true;
+  });
+
+  try {
+    const session = await sendMessage({
+      action: 'startFocusSession',
+      payload: { focusMinutes },
+    });
+    displayFocusSession(session);
+  } catch (error) {
+    showFocusError(error.message || 'Failed to start the focus session');
+  } finally {
+    elements.focusPresetButtons.forEach((btn) => {
+      btn.disabled = false;
+    });
+  }
+}
+
+/**
+ * Stops the running focus session.
+ * @async
+ * @private
+ */
+async function handleFocusStop() {
+  showFocusError(null);
+  elements.focusStopBtn.disabled = true;
+
+  try {
+    await sendMessage({ action: 'stopFocusSession' });
+    displayFocusSession(null);
+  } catch (error) {
+    showFocusError(error.message || 'Failed to stop the focus session');
+  } finally {
+    elements.focusStopBtn.disabled = false;
+  }
+}
+
 /**
  * Handles the cancel button click.
  * @private
@@ -737,6 +1150,22 @@ async function openSettings() {
   }
 }
 
+/**
+ * Opens the usage statistics page in a new tab.
+ * @private
+ */
+async function openStatistics() {
+  try {
+    await browser.tabs.create({
+      url: browser.runtime.getURL('ui/stats/stats.html'),
+    });
+    closePopup();
+  } catch (error) {
+    console.error('[Popup] Error opening statistics:', error);
+    showError('Failed to open statistics page');
+  }
+}
+
 /**
  * Closes the popup window.
  * @private
@@ -759,7 +1188,7 @@ function handleKeyboardShortcuts(event) {
   // Enter key to submit form when focused on form elements
   if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
     const form = event.target.closest('form');
-    if (form && !elements.submitBtn.disabled) {
+    if (form === elements.limitsForm && !elements.submitBtn.disabled) {
       event.preventDefault();
       handleFormSubmit(event);
     }
@@ -808,6 +1237,9 @@ async function initializePopup() {
     // Clean up when popup is closed
     window.addEventListener('beforeunload', () => {
       stopAutoRefresh();
+      if (_focusTimer) {
+        clearInterval(_focusTimer);
+      }
     });
 
     // Listen for broadcast messages from background script
@@ -818,8 +1250,11 @@ async function initializePopup() {
       // Don't return anything for broadcast messages to avoid interfering with other listeners
     });
 
-    // Load current page information
+    // Load current page information, the running focus session, allowlist mode and the PIN lock
     await loadCurrentPageInfo();
+    await loadFocusSession();
+    await loadAllowlistStatus();
+    await loadPinStatus();
 
     // Start auto-refresh for real-time updates
     startAutoRefresh();
@@ -863,6 +1298,8 @@ async function refreshCurrentData() {
         ...currentPageInfo.siteInfo,
         todaySeconds: refreshData.usage.timeSpentSeconds,
         todayOpenCount: refreshData.usage.opens,
+        periodBudgets: refreshData.usage.periodBudgets,
+        bankedSeconds: refreshData.usage.bankedSeconds,
         lastUpdated: refreshData.usage.lastUpdated,
       };
 
@@ -923,6 +1360,16 @@ function handleBroadcastUpdate(message) {
     message.data
   );
 
+  // The focus session and allowlist mode are shown whatever page is open
+  if (message.updateType === 'focusSessionUpdated') {
+    displayFocusSession(message.data.session);
+    return;
+  }
+  if (message.updateType === 'allowlistUpdated') {
+    loadAllowlistStatus();
+    return;
+  }
+
   // Only handle updates if we're visible and have page info
   if (!_isVisible || !currentPageInfo) {
     return;
@@ -970,17 +1417,11 @@ function handleBroadcastUpdate(message) {
 
     case 'siteAdded':
     case 'quickLimitAdded':
-      // If a new site was added and matches our current page, reload to show limits
-      if (!currentPageInfo.isDistractingSite && message.data.site) {
-        const currentHostname = extractHostname(currentPageInfo.url || '');
-        if (
-          currentHostname &&
-          message.data.site.urlPattern &&
-          currentHostname.includes(message.data.site.urlPattern)
-        ) {
-          console.log('[Popup] New limit added for current page, reloading');
-          setTimeout(loadCurrentPageInfo, 100);
-        }
+      // A new rule may now govern the current page (possibly one more specific than
+      // its existing rule). Matching is the background's job, so just reload.
+      if (message.data.site) {
+        console.log('[Popup] New limit added, reloading current page info');
+        setTimeout(loadCurrentPageInfo, 100);
       }
       break;
   }
@@ -5,6 +5,99 @@
  */
 
 import { InlineEditor } from './inline-editor.js';
+import { ScheduleEditor } from './schedule-editor.js';
+import {
+  validateExcludedPatterns,
+  validateWarningThresholds,
+  validateEnforcementSteps,
+  OVERLAY_POSITIONS,
+} from '../../../background_scripts/validation_utils.js';
+
+/** Corner of the countdown overlay unless the site picks one. */
+const DEFAULT_OVERLAY_POSITION = 'bottom-right';
+
+/**
+ * Weekly and monthly budget rows: the site field, its label and how it is entered.
+ * Time budgets are entered in minutes and stored in seconds.
+ */
+const PERIOD_BUDGETS = [
+  {
+    field: 'weeklyLimitSeconds',
+    label: 'Weekly Time:',
+    unit: 'min',
+    max: 7 * 1440,
+    placeholder: 'Minutes (e.g., 180)',
+  },
+  {
+    field: 'weeklyOpenLimit',
+    label: 'Weekly Opens:',
+    unit: 'opens',
+    max: 10000,
+    placeholder: 'Opens (e.g., 20)',
+  },
+  {
+    field: 'monthlyLimitSeconds',
+    label: 'Monthly Time:',
+    unit: 'min',
+    max: 31 * 1440,
+    placeholder: 'Minutes (e.g., 600)',
+  },
+  {
+    field: 'monthlyOpenLimit',
+    label: 'Monthly Opens:',
+    unit: 'opens',
+    max: 10000,
+    placeholder: 'Opens (e.g., 80)',
+  },
+];
+
+/**
+ * Rollover policy rows, entered like the budgets. Unused daily time is only banked
+ * when both a percentage and a cap are set.
+ */
+const ROLLOVER_SETTINGS = [
+  {
+    field: 'rolloverPercent',
+    label: 'Roll Over:',
+    unit: '%',
+    max: 100,
+    placeholder: 'Percent of unused time (e.g., 50)',
+    emptyText: 'Off',
+  },
+  {
+    field: 'rolloverCapSeconds',
+    label: 'Rollover Cap:',
+    unit: 'min',
+    max: 1440,
+    placeholder: 'Minutes (e.g., 60)',
+    emptyText: 'Off',
+  },
+  {
+    field: 'rolloverExpiryDays',
+    label: 'Banked Time Lasts:',
+    unit: 'days',
+    max: 30,
+    placeholder: 'Days (e.g., 7)',
+    emptyText: '7 days',
+  },
+];
+
+/** The least time between two opens of the site, entered in minutes like the budgets. */
+const OPEN_COOLDOWN = {
+  field: 'openCooldownSeconds',
+  label: 'Between Opens:',
+  unit: 'min',
+  max: 1440,
+  placeholder: 'Minutes (e.g., 45)',
+  emptyText: 'Any time',
+};
+
+/** Every optional numeric row of the form, in display order. */
+const OPTIONAL_LIMITS = [
+  OPEN_COOLDOWN,
+  ...PERIOD_BUDGETS,
+  ...ROLLOVER_SETTINGS,
+];
 
 /**
  * Creates an enhanced limit form component with inline editing.
@@ -16,12 +109,14 @@ export class LimitForm {
    * @param {Object} config - Configuration object
    * @param {HTMLElement} config.container - The container element to attach the form to
    * @param {Object} config.siteData - The site data object
+   * @param {Array<Object>} [config.groups] - The available site groups
    * @param {Function} config.onUpdate - Callback function when limits are updated
    * @param {Function} config.onDelete - Callback function when site is deleted
    */
   constructor(config) {
     this.container = config.container;
     this.siteData = config.siteData;
+    this.groups = config.groups || [];
     this.onUpdate = config.onUpdate || (() => {});
     this.onDelete = config.onDelete || (() => {});
 
@@ -159,8 +254,192 @@ export class LimitForm {
     openLimitRow.appendChild(openLimitLabel);
     openLimitRow.appendChild(openLimitEditor);
 
+    // Cooldown, weekly and monthly budget and rollover rows
+    const budgetRows = OPTIONAL_LIMITS.map((budget) => {
+      const row = document.createElement('div');
+      row.className = 'limit-row';
+
+      const label = document.createElement('label');
+      label.className = 'limit-label';
+      label.textContent = budget.label;
+
+      const editor = document.createElement('div');
+      editor.className = 'limit-editor';
+
+      row.appendChild(label);
+      row.appendChild(editor);
+      this.elements[`${budget.field}Editor`] = editor;
+      return row;
+    });
+
+    const exceptionsRow = document.createElement('div');
+    exceptionsRow.className = 'limit-row';
+
+    const exceptionsLabel = document.createElement('label');
+    exceptionsLabel.className = 'limit-label';
+    exceptionsLabel.textContent = 'Exceptions:';
+
+    const exceptionsEditor = document.createElement('div');
+    exceptionsEditor.className = 'limit-editor';
+    exceptionsEditor.id = 'exceptions-editor';
+
+    exceptionsRow.appendChild(exceptionsLabel);
+    exceptionsRow.appendChild(exceptionsEditor);
+
+    const scheduleRow = document.createElement('div');
+    scheduleRow.className = 'limit-row';
+
+    const scheduleLabel = document.createElement('label');
+    scheduleLabel.className = 'limit-label';
+    scheduleLabel.textContent = 'Schedule:';
+
+    const scheduleEditor = document.createElement('div');
+    scheduleEditor.className = 'limit-editor';
+    scheduleEditor.id = 'schedule-editor';
+
+    scheduleRow.appendChild(scheduleLabel);
+    scheduleRow.appendChild(scheduleEditor);
+
+    const warningsRow = document.createElement('div');
+    warningsRow.className = 'limit-row';
+
+    const warningsLabel = document.createElement('label');
+    warningsLabel.className = 'limit-label';
+    warningsLabel.textContent = 'Warnings:';
+
+    const warningsEditor = document.createElement('div');
+    warningsEditor.className = 'limit-editor';
+    warningsEditor.id = 'warnings-editor';
+
+    warningsRow.appendChild(warningsLabel);
+    warningsRow.appendChild(warningsEditor);
+
+    const enforcementRow = document.createElement('div');
+    enforcementRow.className = 'limit-row';
+
+    const enforcementLabel = document.createElement('label');
+    enforcementLabel.className = 'limit-label';
+    enforcementLabel.textContent = 'Enforcement:';
+    enforcementLabel.title =
+      'Block, grayscale, blur or delay, optionally escalating with the minutes past the limit';
+
+    const enforcementEditor = document.createElement('div');
+    enforcementEditor.className = 'limit-editor';
+    enforcementEditor.id = 'enforcement-editor';
+
+    enforcementRow.appendChild(enforcementLabel);
+    enforcementRow.appendChild(enforcementEditor);
+
+    const groupRow = document.createElement('div');
+    groupRow.className = 'limit-row';
+
+    const groupLabel = document.createElement('label');
+    groupLabel.className = 'limit-label';
+    groupLabel.textContent = 'Group:';
+
+    const groupSelect = document.createElement('select');
+    groupSelect.className = 'form-input limit-group-select';
+    groupSelect.title = 'Share a budget with other sites';
+
+    groupRow.appendChild(groupLabel);
+    groupRow.appendChild(groupSelect);
+
+    const backgroundRow = document.createElement('div');
+    backgroundRow.className = 'limit-row';
+
+    const backgroundLabel = document.createElement('label');
+    backgroundLabel.className = 'limit-label';
+    backgroundLabel.textContent = 'Background:';
+
+    const backgroundOption = document.createElement('label');
+    backgroundOption.className = 'limit-background-option';
+    backgroundOption.title =
+      'Audible tabs, picture-in-picture and the visible tab of other windows';
+
+    const backgroundCheckbox = document.createElement('input');
+    backgroundCheckbox.type = 'checkbox';
+    backgroundCheckbox.className = 'limit-background-checkbox';
+    backgroundCheckbox.checked = Boolean(this.siteData.trackInBackground);
+
+    backgroundOption.appendChild(backgroundCheckbox);
+    backgroundOption.appendChild(
+      document.createTextNode(' Count while playing or visible in the background')
+    );
+
+    backgroundRow.appendChild(backgroundLabel);
+    backgroundRow.appendChild(backgroundOption);
+
+    const overlayRow = document.createElement('div');
+    overlayRow.className = 'limit-row';
+
+    const overlayLabel = document.createElement('label');
+    overlayLabel.className = 'limit-label';
+    overlayLabel.textContent = 'Overlay:';
+
+    const overlayOption = document.createElement('label');
+    overlayOption.className = 'limit-background-option';
+    overlayOption.title =
+      'A small countdown on the page that turns into a full-page notice in the last seconds';
+
+    const overlayCheckbox = document.createElement('input');
+    overlayCheckbox.type = 'checkbox';
+    overlayCheckbox.className = 'limit-overlay-checkbox';
+
+    overlayOption.appendChild(overlayCheckbox);
+    overlayOption.appendChild(
+      document.createTextNode(' Show the time left on the page')
+    );
+
+    const overlayPositionSelect = document.createElement('select');
+    overlayPositionSelect.className = 'form-input limit-overlay-position';
+    overlayPositionSelect.title = 'Corner of the page (or drag the countdown)';
+    OVERLAY_POSITIONS.forEach((position) => {
+      const label = position.replace('-', ' ');
+      overlayPositionSelect.add(
+        new Option(label.charAt(0).toUpperCase() + label.slice(1), position)
+      );
+    });
+
+    overlayRow.appendChild(overlayLabel);
+    overlayRow.appendChild(overlayOption);
+    overlayRow.appendChild(overlayPositionSelect);
+
+    const pauseRow = document.createElement('div');
+    pauseRow.className = 'limit-row';
+
+    const pauseLabel = document.createElement('label');
+    pauseLabel.className = 'limit-label';
+    pauseLabel.textContent = 'Pause:';
+
+    const pauseOption = document.createElement('label');
+    pauseOption.className = 'limit-background-option';
+    pauseOption.title =
+      'A short countdown with your remaining budget before the site loads; going back does not use up an open';
+
+    const pauseCheckbox = document.createElement('input');
+    pauseCheckbox.type = 'checkbox';
+    pauseCheckbox.className = 'limit-pause-checkbox';
+    pauseCheckbox.checked = Boolean(this.siteData.mindfulPause);
+
+    pauseOption.appendChild(pauseCheckbox);
+    pauseOption.appendChild(
+      document.createTextNode(' Pause for a moment before the site opens')
+    );
+
+    pauseRow.appendChild(pauseLabel);
+    pauseRow.appendChild(pauseOption);
+
     formBody.appendChild(timeLimitRow);
     formBody.appendChild(openLimitRow);
+    budgetRows.forEach((row) => formBody.appendChild(row));
+    formBody.appendChild(exceptionsRow);
+    formBody.appendChild(scheduleRow);
+    formBody.appendChild(warningsRow);
+    formBody.appendChild(enforcementRow);
+    formBody.appendChild(groupRow);
+    formBody.appendChild(backgroundRow);
+    formBody.appendChild(overlayRow);
+    formBody.appendChild(pauseRow);
 
     // Append to container
     this.container.appendChild(formHeader);
@@ -176,6 +455,22 @@ export class LimitForm {
       this.container.querySelector('#time-limit-editor');
     this.elements.openLimitEditor =
       this.container.querySelector('#open-limit-editor');
+    this.elements.exceptionsEditor =
+      this.container.querySelector('#exceptions-editor');
+    this.elements.scheduleEditor =
+      this.container.querySelector('#schedule-editor');
+    this.elements.warningsEditor =
+      this.container.querySelector('#warnings-editor');
+    this.elements.enforcementEditor = this.container.querySelector(
+      '#enforcement-editor'
+    );
+    this.elements.groupSelect = groupSelect;
+    this.elements.backgroundCheckbox = backgroundCheckbox;
+    this.elements.overlayCheckbox = overlayCheckbox;
+    this.elements.overlayPositionSelect = overlayPositionSelect;
+    this.elements.pauseCheckbox = pauseCheckbox;
+    this.renderGroupOptions();
+    this.renderOverlayOptions();
 
     // Setup event listeners
     this.elements.toggleCheckbox.addEventListener('change', () =>
@@ -184,6 +479,71 @@ export class LimitForm {
     this.elements.deleteBtn.addEventListener('click', () =>
       this.handleDelete()
     );
+    this.elements.groupSelect.addEventListener('change', () =>
+      this.handleGroupChange()
+    );
+    this.elements.backgroundCheckbox.addEventListener('change', () =>
+      this.handleBackgroundChange()
+    );
+    this.elements.overlayCheckbox.addEventListener('change', () =>
+      this.handleOverlayChange({
+        showOverlay: this.elements.overlayCheckbox.checked,
+      })
+    );
+    this.elements.overlayPositionSelect.addEventListener('change', () =>
+      this.handleOverlayChange({
+        overlayPosition: this.elements.overlayPositionSelect.value,
+      })
+    );
+    this.elements.pauseCheckbox.addEventListener('change', () =>
+      this.handlePauseChange()
+    );
+  }
+
+  /**
+   * Shows the site's countdown overlay settings.
+   * @private
+   */
+  renderOverlayOptions() {
+    this.elements.overlayCheckbox.checked = Boolean(this.siteData.showOverlay);
+    this.elements.overlayPositionSelect.value =
+      this.siteData.overlayPosition || DEFAULT_OVERLAY_POSITION;
+    this.elements.overlayPositionSelect.disabled = !this.siteData.showOverlay;
+  }
+
+  /**
+   * Fills the group picker and selects the site's current group.
+   * @private
+   */
+  renderGroupOptions() {
+    const select = this.elements.groupSelect;
+    select.innerHTML = '';
+
+    const noGroupOption = document.createElement('option');
+    noGroupOption.value = '';
+    noGroupOption.textContent = 'No group';
+    select.appendChild(noGroupOption);
+
+    this.groups.forEach((group) => {
+      const option = document.createElement('option');
+      option.value = group.id;
+      option.textContent = group.name;
+      select.appendChild(option);
+    });
+
+    const currentGroupId = this.siteData.groupId || '';
+    select.value = this.groups.some((group) => group.id === currentGroupId)
+      ? currentGroupId
+      : '';
+  }
+
+  /**
+   * Replaces the list of available groups.
+   * @param {Array<Object>} groups - The site groups
+   */
+  setGroups(groups) {
+    this.groups = groups || [];
+    this.renderGroupOptions();
   }
 
   /**
@@ -248,6 +608,100 @@ export class LimitForm {
       onSave: (newValue) => this.handleOpenLimitSave(newValue),
       onCancel: () => console.log('[LimitForm] Open limit edit cancelled'),
     });
+
+    // Cooldown, weekly and monthly budget and rollover editors
+    OPTIONAL_LIMITS.forEach((budget) => {
+      const value = this.getBudgetValue(budget);
+      this.editors[budget.field] = new InlineEditor({
+        container: this.elements[`${budget.field}Editor`],
+        initialValue:
+          value > 0 ? value.toString() : budget.emptyText || 'No limit',
+        inputType: 'number',
+        placeholder: budget.placeholder,
+        inputAttributes: {
+          min: '1',
+          max: budget.max.toString(),
+        },
+        validation: {
+          required: false,
+          min: 1,
+          max: budget.max,
+          custom: (value) => {
+            if (!value || value.trim() === '') return true; // Allow empty for "no limit"
+            const num = parseInt(value);
+            if (isNaN(num)) return 'Please enter a valid number';
+            return true;
+          },
+        },
+        onSave: (newValue) => this.handleBudgetSave(budget, newValue),
+        onCancel: () => console.log('[LimitForm] Budget edit cancelled'),
+      });
+    });
+
+    // Exceptions editor (comma-separated URL patterns)
+    const exceptions = this.siteData.excludedPatterns || [];
+
+    this.editors.exceptions = new InlineEditor({
+      container: this.elements.exceptionsEditor,
+      initialValue: exceptions.length > 0 ? exceptions.join(', ') : 'None',
+      inputType: 'text',
+      placeholder: 'e.g., reddit.com/r/programming',
+      validation: {
+        required: false,
+        custom: (value) => {
+          if (!value || value.trim() === '' || value === 'None') return true; // Allow empty for "no exceptions"
+          const result = validateExcludedPatterns(value.split(','));
+          return result.isValid ? true : result.error;
+        },
+      },
+      onSave: (newValue) => this.handleExceptionsSave(newValue),
+      onCancel: () => console.log('[LimitForm] Exceptions edit cancelled'),
+    });
+
+    // Schedule editor (weekday/time-of-day windows)
+    this.editors.schedule = new ScheduleEditor({
+      container: this.elements.scheduleEditor,
+      schedule: this.siteData.schedule || [],
+      onSave: (schedule) => this.handleScheduleSave(schedule),
+    });
+
+    // Warnings editor (comma-separated thresholds, "Default" or "Off")
+    this.editors.warnings = new InlineEditor({
+      container: this.elements.warningsEditor,
+      initialValue: this.formatWarnings(this.siteData.warningThresholds),
+      inputType: 'text',
+      placeholder: 'e.g., 50%, 5m, 1m',
+      validation: {
+        required: false,
+        custom: (value) => {
+          const thresholds = this.parseWarnings(value);
+          if (!Array.isArray(thresholds)) return true; // Default or Off
+          const result = validateWarningThresholds(thresholds);
+          return result.isValid ? true : result.error;
+        },
+      },
+      onSave: (newValue) => this.handleWarningsSave(newValue),
+      onCancel: () => console.log('[LimitForm] Warnings edit cancelled'),
+    });
+
+    // Enforcement editor (e.g. "Grayscale, block after 10m")
+    this.editors.enforcement = new InlineEditor({
+      container: this.elements.enforcementEditor,
+      initialValue: this.formatEnforcement(this.siteData.enforcement),
+      inputType: 'text',
+      placeholder: 'e.g., grayscale, block after 10m',
+      validation: {
+        required: false,
+        custom: (value) => {
+          const steps = this.parseEnforcement(value);
+          if (steps === null) return true; // Hard block
+          const result = validateEnforcementSteps(steps);
+          return result.isValid ? true : result.error;
+        },
+      },
+      onSave: (newValue) => this.handleEnforcementSave(newValue),
+      onCancel: () => console.log('[LimitForm] Enforcement edit cancelled'),
+    });
   }
 
   /**
@@ -306,6 +760,309 @@ export class LimitForm {
     }
   }
 
+  /**
+   * Returns a budget or rollover setting as it is entered (minutes, not seconds).
+   * @private
+   * @param {Object} budget - The budget row (see OPTIONAL_LIMITS)
+   * @returns {number} The value, or 0 if none is set
+   */
+  getBudgetValue(budget) {
+    const stored = this.siteData[budget.field] || 0;
+    return budget.unit === 'min' ? Math.round(stored / 60) : stored;
+  }
+
+  /**
+   * Formats a budget or rollover setting for display.
+   * @private
+   * @param {Object} budget - The budget row (see OPTIONAL_LIMITS)
+   * @param {number} value - The value as entered (minutes, opens, percent or days)
+   * @returns {string} The display value
+   */
+  formatBudget(budget, value) {
+    if (!(value > 0)) {
+      return budget.emptyText || 'No limit';
+    }
+    return budget.unit === '%' ? `${value}%` : `${value} ${budget.unit}`;
+  }
+
+  /**
+   * Handles a budget or rollover setting save. An empty value removes the setting.
+   * @private
+   * @param {Object} budget - The budget row (see OPTIONAL_LIMITS)
+   * @param {string} newValue - The new value as entered
+   */
+  async handleBudgetSave(budget, newValue) {
+    const value = newValue.trim() === '' ? 0 : parseInt(newValue);
+    const stored = budget.unit === 'min' ? value * 60 : value;
+
+    try {
+      await this.onUpdate(this.siteData.id, { [budget.field]: stored });
+
+      if (stored > 0) {
+        this.siteData[budget.field] = stored;
+      } else {
+        delete this.siteData[budget.field];
+      }
+
+      this.editors[budget.field].updateValue(this.formatBudget(budget, value));
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update budget');
+    }
+  }
+
+  /**
+   * Handles exceptions save.
+   * @private
+   * @param {string} newValue - Comma-separated exception patterns
+   */
+  async handleExceptionsSave(newValue) {
+    const rawPatterns = newValue === 'None' ? [] : newValue.split(',');
+    const validation = validateExcludedPatterns(rawPatterns);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    const excludedPatterns = validation.normalizedPatterns;
+
+    try {
+      await this.onUpdate(this.siteData.id, { excludedPatterns });
+      this.siteData.excludedPatterns = excludedPatterns;
+
+      // Update display value
+      const displayValue =
+        excludedPatterns.length > 0 ? excludedPatterns.join(', ') : 'None';
+      this.editors.exceptions.updateValue(displayValue);
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update exceptions');
+    }
+  }
+
+  /**
+   * Handles schedule save.
+   * @private
+   * @param {Array<Object>} schedule - The validated schedule rules
+   */
+  async handleScheduleSave(schedule) {
+    try {
+      await this.onUpdate(this.siteData.id, { schedule });
+      this.siteData.schedule = schedule;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update schedule');
+    }
+  }
+
+  /**
+   * Formats a site's warning thresholds for display.
+   * @private
+   * @param {Array<string>|undefined} thresholds - The site's own thresholds
+   * @returns {string} The display value
+   */
+  formatWarnings(thresholds) {
+    if (!Array.isArray(thresholds)) {
+      return 'Default';
+    }
+    return thresholds.length > 0 ? thresholds.join(', ') : 'Off';
+  }
+
+  /**
+   * Parses the warnings as entered: empty or "Default" gives null (use the default
+   * warnings), "Off" an empty list, anything else the comma-separated thresholds.
+   * @private
+   * @param {string} value - The value as entered
+   * @returns {Array<string>|null} The thresholds, or null for the defaults
+   */
+  parseWarnings(value) {
+    const trimmed = (value || '').trim().toLowerCase();
+    if (trimmed === '' || trimmed === 'default') {
+      return null;
+    }
+    return trimmed === 'off' ? [] : value.split(',');
+  }
+
+  /**
+   * Handles warnings save.
+   * @private
+   * @param {string} newValue - Comma-separated thresholds, "Default" or "Off"
+   */
+  async handleWarningsSave(newValue) {
+    let warningThresholds = this.parseWarnings(newValue);
+    if (warningThresholds !== null) {
+      const validation = validateWarningThresholds(warningThresholds);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+      warningThresholds = validation.normalizedThresholds;
+    }
+
+    try {
+      await this.onUpdate(this.siteData.id, { warningThresholds });
+      if (warningThresholds === null) {
+        delete this.siteData.warningThresholds;
+      } else {
+        this.siteData.warningThresholds = warningThresholds;
+      }
+
+      this.editors.warnings.updateValue(
+        this.formatWarnings(warningThresholds)
+      );
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update warnings');
+    }
+  }
+
+  /**
+   * Formats a site's enforcement steps for display.
+   * @private
+   * @param {Array<Object>|undefined} steps - The site's escalation steps
+   * @returns {string} The display value, e.g. "Grayscale, block after 10m"
+   */
+  formatEnforcement(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return 'Block';
+    }
+    const text = steps
+      .map((step) =>
+        step.afterMinutes > 0
+          ? `${step.mode} after ${step.afterMinutes}m`
+          : step.mode
+      )
+      .join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Parses the enforcement as entered: comma-separated modes, each but the first
+   * followed by "after <minutes>m". Empty or a lone "Block" gives null (the default).
+   * @private
+   * @param {string} value - The value as entered
+   * @returns {Array<Object>|null} The steps, or null for a hard block
+   */
+  parseEnforcement(value) {
+    const trimmed = (value || '').trim().toLowerCase();
+    if (trimmed === '' || trimmed === 'block') {
+      return null;
+    }
+    return trimmed.split(',').map((part) => {
+      const match = part
+        .trim()
+        .match(/^([a-z]+)(?:\s+after\s+(\d+)\s*m(?:in(?:utes?)?)?)?$/);
+      return match
+        ? { mode: match[1], afterMinutes: match[2] ? parseInt(match[2]) : 0 }
+        : { mode: part.trim() };
+    });
+  }
+
+  /**
+   * Handles enforcement save.
+   * @private
+   * @param {string} newValue - The steps as entered (see parseEnforcement)
+   */
+  async handleEnforcementSave(newValue) {
+    let enforcement = this.parseEnforcement(newValue);
+    if (enforcement !== null) {
+      const validation = validateEnforcementSteps(enforcement);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+      enforcement = validation.normalizedSteps;
+    }
+
+    try {
+      await this.onUpdate(this.siteData.id, { enforcement });
+      if (enforcement === null) {
+        delete this.siteData.enforcement;
+      } else {
+        this.siteData.enforcement = enforcement;
+      }
+
+      this.editors.enforcement.updateValue(this.formatEnforcement(enforcement));
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update enforcement');
+    }
+  }
+
+  /**
+   * Handles group picker change.
+   * @private
+   */
+  async handleGroupChange() {
+    const groupId = this.elements.groupSelect.value || null;
+
+    try {
+      this.elements.groupSelect.disabled = true;
+      await this.onUpdate(this.siteData.id, { groupId });
+      this.siteData.groupId = groupId;
+    } catch (error) {
+      console.error('[LimitForm] Error changing group:', error);
+      // Revert the picker on error
+      this.renderGroupOptions();
+    } finally {
+      this.elements.groupSelect.disabled = false;
+    }
+  }
+
+  /**
+   * Handles the background tracking checkbox.
+   * @private
+   */
+  async handleBackgroundChange() {
+    const trackInBackground = this.elements.backgroundCheckbox.checked;
+
+    try {
+      this.elements.backgroundCheckbox.disabled = true;
+      await this.onUpdate(this.siteData.id, { trackInBackground });
+      this.siteData.trackInBackground = trackInBackground;
+    } catch (error) {
+      console.error('[LimitForm] Error changing background tracking:', error);
+      // Revert the checkbox on error
+      this.elements.backgroundCheckbox.checked = Boolean(
+        this.siteData.trackInBackground
+      );
+    } finally {
+      this.elements.backgroundCheckbox.disabled = false;
+    }
+  }
+
+  /**
+   * Handles the mindful pause checkbox.
+   * @private
+   */
+  async handlePauseChange() {
+    const mindfulPause = this.elements.pauseCheckbox.checked;
+
+    try {
+      this.elements.pauseCheckbox.disabled = true;
+      await this.onUpdate(this.siteData.id, { mindfulPause });
+      this.siteData.mindfulPause = mindfulPause;
+    } catch (error) {
+      console.error('[LimitForm] Error changing the mindful pause:', error);
+      // Revert the checkbox on error
+      this.elements.pauseCheckbox.checked = Boolean(this.siteData.mindfulPause);
+    } finally {
+      this.elements.pauseCheckbox.disabled = false;
+    }
+  }
+
+  /**
+   * Handles the countdown overlay checkbox and position picker.
+   * @private
+   * @param {Object} updates - `showOverlay` or `overlayPosition`
+   */
+  async handleOverlayChange(updates) {
+    try {
+      this.elements.overlayCheckbox.disabled = true;
+      this.elements.overlayPositionSelect.disabled = true;
+      await this.onUpdate(this.siteData.id, updates);
+      Object.assign(this.siteData, updates);
+    } catch (error) {
+      console.error('[LimitForm] Error changing the overlay:', error);
+    } finally {
+      // Shows the saved settings again, or the previous ones on error
+      this.elements.overlayCheckbox.disabled = false;
+      this.renderOverlayOptions();
+    }
+  }
+
   /**
    * Handles toggle switch change (enable/disable site).
    * @private
@@ -382,6 +1139,32 @@ export class LimitForm {
     const openLimitDisplay = openLimit > 0 ? `${openLimit} opens` : 'No limit';
     this.editors.openLimit.updateValue(openLimitDisplay);
 
+    OPTIONAL_LIMITS.forEach((budget) => {
+      this.editors[budget.field].updateValue(
+        this.formatBudget(budget, this.getBudgetValue(budget))
+      );
+    });
+
+    const exceptions = this.siteData.excludedPatterns || [];
+    this.editors.exceptions.updateValue(
+      exceptions.length > 0 ? exceptions.join(', ') : 'None'
+    );
+
+    this.editors.schedule.updateValue(this.siteData.schedule || []);
+    this.editors.warnings.updateValue(
+      this.formatWarnings(this.siteData.warningThresholds)
+    );
+    this.editors.enforcement.updateValue(
+      this.formatEnforcement(this.siteData.enforcement)
+    );
+
+    this.renderGroupOptions();
+    this.elements.backgroundCheckbox.checked = Boolean(
+      this.siteData.trackInBackground
+    );
+    this.renderOverlayOptions();
+    this.elements.pauseCheckbox.checked = Boolean(this.siteData.mindfulPause);
+
     // Update toggle switch
     this.updateToggleSwitch();
   }
@@ -397,6 +1180,20 @@ export class LimitForm {
     if (this.editors.openLimit) {
       this.editors.openLimit.destroy();
     }
+    OPTIONAL_LIMITS.forEach((budget) => {
+      if (this.editors[budget.field]) {
+        this.editors[budget.field].destroy();
+      }
+    });
+    if (this.editors.exceptions) {
+      this.editors.exceptions.destroy();
+    }
+    if (this.editors.schedule) {
+      this.editors.schedule.destroy();
+    }
+    if (this.editors.warnings) {
+      this.editors.warnings.destroy();
+    }
 
     // Clear container
     this.container.innerHTML = '';
@@ -0,0 +1,352 @@
+/**
+ * @file schedule-editor.js
+ * @description Editor component for a site's weekday/time-of-day schedule.
+ * Lists the existing schedule rules and offers a small form for adding new windows.
+ */
+
+import { validateSchedule } from '../../../background_scripts/validation_utils.js';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Weekdays listed Monday first, matching how most people read a week
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Formats a list of weekdays for display, collapsing common sets.
+ * @param {Array<number>} days - Weekday numbers (0 = Sunday).
+ * @returns {string} A short description such as "Mon–Fri" or "Sat, Sun".
+ */
+function formatDays(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const key = sorted.join(',');
+  if (key === '0,1,2,3,4,5,6') return 'Every day';
+  if (key === '1,2,3,4,5') return 'Mon–Fri';
+  if (key === '0,6') return 'Sat, Sun';
+  return WEEKDAY_ORDER.filter((day) => sorted.includes(day))
+    .map((day) => WEEKDAY_LABELS[day])
+    .join(', ');
+}
+
+/**
+ * Describes when a schedule rule applies.
+ * @param {Object} rule - The schedule rule.
+ * @returns {string} E.g. "Mon–Fri 09:00–17:00".
+ */
+function formatWindow(rule) {
+  return `${formatDays(rule.days)} ${rule.start}–${rule.end}`;
+}
+
+/**
+ * Builds a one-line summary of a schedule rule.
+ * @param {Object} rule - The schedule rule.
+ * @returns {string} The summary text.
+ */
+function formatRule(rule) {
+  const window = formatWindow(rule);
+  if (rule.mode === 'block') {
+    return `${window} · Blocked`;
+  }
+  const limits = [];
+  if (rule.dailyLimitSeconds > 0) {
+    limits.push(`${Math.round(rule.dailyLimitSeconds / 60)} min`);
+  }
+  if (rule.dailyOpenLimit > 0) {
+    limits.push(`${rule.dailyOpenLimit} opens`);
+  }
+  return `${window} · ${limits.length > 0 ? limits.join(' / ') : 'No limit'}`;
+}
+
+/**
+ * Creates a schedule editor that lists rules and lets the user add or remove them.
+ * @class ScheduleEditor
+ */
+export class ScheduleEditor {
+  /**
+   * Creates a schedule editor instance.
+   * @param {Object} config - Configuration object
+   * @param {HTMLElement} config.container - The container element to attach the editor to
+   * @param {Array<Object>} config.schedule - The initial schedule rules
+   * @param {Function} config.onSave - Async callback receiving the new schedule array
+   * @param {boolean} [config.blockOnly=false] - Only offer plain windows ('block' rules),
+   *                                            e.g. for allowlist mode
+   */
+  constructor(config) {
+    this.container = config.container;
+    this.schedule = Array.isArray(config.schedule) ? [...config.schedule] : [];
+    this.onSave = config.onSave || (() => {});
+    this.blockOnly = config.blockOnly === true;
+
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initializes the schedule editor component.
+   * @private
+   */
+  init() {
+    this.container.classList.add('schedule-editor');
+
+    this.elements.list = document.createElement('ul');
+    this.elements.list.className = 'schedule-rule-list';
+
+    this.elements.addForm = this.createAddForm();
+
+    this.elements.error = document.createElement('div');
+    this.elements.error.className = 'inline-editor-error';
+    this.elements.error.style.display = 'none';
+
+    this.container.appendChild(this.elements.list);
+    this.container.appendChild(this.elements.addForm);
+    this.container.appendChild(this.elements.error);
+
+    this.renderRules();
+  }
+
+  /**
+   * Creates the form used to add a new schedule window.
+   * @private
+   * @returns {HTMLElement} The form element
+   */
+  createAddForm() {
+    const form = document.createElement('div');
+    form.className = 'schedule-add-form';
+
+    const daysGroup = document.createElement('div');
+    daysGroup.className = 'schedule-days';
+    this.elements.dayCheckboxes = WEEKDAY_ORDER.map((day) => {
+      const label = document.createElement('label');
+      label.className = 'schedule-day';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = String(day);
+      checkbox.checked = day >= 1 && day <= 5;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(WEEKDAY_LABELS[day]));
+      daysGroup.appendChild(label);
+      return checkbox;
+    });
+
+    const timesGroup = document.createElement('div');
+    timesGroup.className = 'schedule-times';
+
+    this.elements.startInput = this.createInput('time', '09:00', 'Start');
+    this.elements.endInput = this.createInput('time', '17:00', 'End');
+
+    this.elements.modeSelect = document.createElement('select');
+    this.elements.modeSelect.className = 'form-input';
+    this.elements.modeSelect.title = 'What happens during this window';
+    [
+      ['block', 'Block site'],
+      ['limit', 'Use limits'],
+    ].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      this.elements.modeSelect.appendChild(option);
+    });
+
+    this.elements.minutesInput = this.createInput('number', '', 'Minutes');
+    this.elements.minutesInput.min = '1';
+    this.elements.minutesInput.max = '1440';
+    this.elements.opensInput = this.createInput('number', '', 'Opens');
+    this.elements.opensInput.min = '1';
+    this.elements.opensInput.max = '100';
+
+    this.elements.addButton = document.createElement('button');
+    this.elements.addButton.type = 'button';
+    this.elements.addButton.className = 'btn btn-secondary btn-small';
+    this.elements.addButton.textContent = 'Add window';
+
+    timesGroup.appendChild(this.elements.startInput);
+    timesGroup.appendChild(document.createTextNode('–'));
+    timesGroup.appendChild(this.elements.endInput);
+    if (this.blockOnly) {
+      this.elements.modeSelect.style.display = 'none';
+    }
+    timesGroup.appendChild(this.elements.modeSelect);
+    timesGroup.appendChild(this.elements.minutesInput);
+    timesGroup.appendChild(this.elements.opensInput);
+    timesGroup.appendChild(this.elements.addButton);
+
+    form.appendChild(daysGroup);
+    form.appendChild(timesGroup);
+
+    this.elements.modeSelect.addEventListener('change', () =>
+      this.updateLimitInputs()
+    );
+    this.elements.addButton.addEventListener('click', () => this.handleAdd());
+    this.updateLimitInputs();
+
+    return form;
+  }
+
+  /**
+   * Creates a small form input.
+   * @private
+   * @param {string} type - The input type
+   * @param {string} value - The initial value
+   * @param {string} placeholder - Placeholder and tooltip text
+   * @returns {HTMLInputElement} The input element
+   */
+  createInput(type, value, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'form-input';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.title = placeholder;
+    return input;
+  }
+
+  /**
+   * Shows the limit inputs only when the "limit" mode is selected.
+   * @private
+   */
+  updateLimitInputs() {
+    const isLimit = this.elements.modeSelect.value === 'limit';
+    this.elements.minutesInput.style.display = isLimit ? '' : 'none';
+    this.elements.opensInput.style.display = isLimit ? '' : 'none';
+  }
+
+  /**
+   * Renders the current list of rules.
+   * @private
+   */
+  renderRules() {
+    this.elements.list.innerHTML = '';
+
+    if (this.schedule.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'schedule-rule schedule-rule-empty';
+      empty.textContent = 'No schedule';
+      this.elements.list.appendChild(empty);
+      return;
+    }
+
+    this.schedule.forEach((rule, index) => {
+      const item = document.createElement('li');
+      item.className = 'schedule-rule';
+
+      const text = document.createElement('span');
+      text.className = 'schedule-rule-text';
+      text.textContent = this.blockOnly ? formatWindow(rule) : formatRule(rule);
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'btn btn-secondary btn-small';
+      removeButton.title = 'Remove window';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => this.handleRemove(index));
+
+      item.appendChild(text);
+      item.appendChild(removeButton);
+      this.elements.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Reads the add form into a schedule rule.
+   * @private
+   * @returns {Object} The new rule (not yet validated)
+   */
+  readRuleFromForm() {
+    const rule = {
+      days: this.elements.dayCheckboxes
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => parseInt(checkbox.value, 10)),
+      start: this.elements.startInput.value,
+      end: this.elements.endInput.value,
+      mode: this.elements.modeSelect.value,
+    };
+
+    if (rule.mode === 'limit') {
+      const minutes = parseInt(this.elements.minutesInput.value, 10);
+      const opens = parseInt(this.elements.opensInput.value, 10);
+      if (minutes > 0) rule.dailyLimitSeconds = minutes * 60;
+      if (opens > 0) rule.dailyOpenLimit = opens;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Handles the add button click.
+   * @private
+   */
+  async handleAdd() {
+    await this.save([...this.schedule, this.readRuleFromForm()]);
+  }
+
+  /**
+   * Handles removing a rule.
+   * @private
+   * @param {number} index - Index of the rule to remove
+   */
+  async handleRemove(index) {
+    await this.save(this.schedule.filter((_, i) => i !== index));
+  }
+
+  /**
+   * Validates and saves a new schedule.
+   * @private
+   * @param {Array<Object>} schedule - The schedule to save
+   */
+  async save(schedule) {
+    const validation = validateSchedule(schedule);
+    if (!validation.isValid) {
+      this.showError(validation.error);
+      return;
+    }
+
+    this.elements.addButton.disabled = true;
+    try {
+      await this.onSave(validation.normalizedSchedule);
+      this.schedule = validation.normalizedSchedule;
+      this.hideError();
+      this.renderRules();
+    } catch (error) {
+      this.showError(error.message || 'Failed to save schedule');
+    } finally {
+      this.elements.addButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows an error message.
+   * @private
+   * @param {string} message - The error message
+   */
+  showError(message) {
+    this.elements.error.textContent = message;
+    this.elements.error.style.display = 'block';
+  }
+
+  /**
+   * Hides the error message.
+   * @private
+   */
+  hideError() {
+    this.elements.error.textContent = '';
+    this.elements.error.style.display = 'none';
+  }
+
+  /**
+   * Replaces the displayed schedule without saving.
+   * @param {Array<Object>} schedule - The new schedule rules
+   */
+  updateValue(schedule) {
+    this.schedule = Array.isArray(schedule) ? [...schedule] : [];
+    this.hideError();
+    this.renderRules();
+  }
+
+  /**
+   * Destroys the schedule editor and cleans up.
+   */
+  destroy() {
+    this.container.innerHTML = '';
+    this.container.classList.remove('schedule-editor');
+  }
+}
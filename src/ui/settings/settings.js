@@ -8,6 +8,16 @@
 
 // Import inline editing components
 import { LimitForm } from './components/limit-form.js';
+import { ScheduleEditor } from './components/schedule-editor.js';
+// Share URL pattern rules with the background so both accept the same syntax
+import {
+  validateUrlPattern,
+  validateExcludedPatterns,
+  validateAllowlistPatterns,
+  validateWarningThresholds,
+  ERROR_TYPES,
+} from '../../background_scripts/validation_utils.js';
+import { getAllowlistState } from '../../background_scripts/allowlist_mode.js';
 
 // Ensure browser API is available (compatibility check)
 if (typeof browser === 'undefined' && typeof chrome !== 'undefined') {
@@ -22,30 +32,143 @@ class SettingsManager {
   constructor() {
     this.distractingSites = [];
     this.timeoutNotes = [];
+    this.siteGroups = [];
+    this.appSettings = {};
+    this.overrideLog = [];
+    this.focusHistory = [];
+    this.reductionPlans = [];
+    this.reductionLog = [];
+    this.pendingChanges = []; // Changes held back by strict mode
+    this.pinStatus = { enabled: false, lockedUntil: null, unlockedUntil: null };
+    this.pendingImport = null; // Backup awaiting confirmation after preview
     this.isLoading = false;
     this.limitForms = new Map(); // Track limit form instances
+    this.allowlistEditor = null; // Schedule editor for the allowlist windows
 
     // DOM elements
     this.elements = {
       // Forms
       addSiteForm: document.getElementById('add-site-form'),
       addNoteForm: document.getElementById('add-note-form'),
+      addGroupForm: document.getElementById('add-group-form'),
+      historyForm: document.getElementById('history-form'),
+      idleForm: document.getElementById('idle-form'),
+      warningsForm: document.getElementById('warnings-form'),
+      overrideForm: document.getElementById('override-form'),
+      focusForm: document.getElementById('focus-form'),
+      planForm: document.getElementById('plan-form'),
+      strictForm: document.getElementById('strict-form'),
+      importForm: document.getElementById('import-form'),
 
       // Input fields
       siteUrlInput: document.getElementById('site-url'),
       timeLimitInput: document.getElementById('time-limit'),
       openLimitInput: document.getElementById('open-limit'), // NEW: Open limit input
+      siteExceptionsInput: document.getElementById('site-exceptions'),
+      siteGroupSelect: document.getElementById('site-group'),
       noteTextInput: document.getElementById('note-text'),
+      groupNameInput: document.getElementById('group-name'),
+      groupTimeLimitInput: document.getElementById('group-time-limit'),
+      groupOpenLimitInput: document.getElementById('group-open-limit'),
+      historyRetentionInput: document.getElementById('history-retention'),
+      dayStartHourSelect: document.getElementById('day-start-hour'),
+      idleDetectionEnabledInput: document.getElementById(
+        'idle-detection-enabled'
+      ),
+      idleCountMediaInput: document.getElementById('idle-count-media'),
+      idleThresholdInput: document.getElementById('idle-threshold'),
+      warningsEnabledInput: document.getElementById('warnings-enabled'),
+      warnLastOpenInput: document.getElementById('warn-last-open'),
+      quietHoursEnabledInput: document.getElementById('quiet-hours-enabled'),
+      warningThresholdsInput: document.getElementById('warning-thresholds'),
+      quietHoursStartInput: document.getElementById('quiet-hours-start'),
+      quietHoursEndInput: document.getElementById('quiet-hours-end'),
+      syncEnabledInput: document.getElementById('sync-enabled'),
+      syncUsageInput: document.getElementById('sync-usage'),
+      overridesEnabledInput: document.getElementById('overrides-enabled'),
+      overrideMinutesInput: document.getElementById('override-minutes'),
+      overrideDailyLimitInput: document.getElementById('override-daily-limit'),
+      overrideFrictionSelect: document.getElementById('override-friction'),
+      overrideCountdownInput: document.getElementById('override-countdown'),
+      focusMinutesInput: document.getElementById('focus-minutes'),
+      focusBreakMinutesInput: document.getElementById('focus-break-minutes'),
+      focusCyclesInput: document.getElementById('focus-cycles'),
+      focusSitesList: document.getElementById('focus-sites-list'),
+      focusStartBtn: document.getElementById('focus-start-btn'),
+      planSiteSelect: document.getElementById('plan-site'),
+      planStartInput: document.getElementById('plan-start'),
+      planTargetInput: document.getElementById('plan-target'),
+      planPercentInput: document.getElementById('plan-percent'),
+      strictModeEnabledInput: document.getElementById('strict-mode-enabled'),
+      strictModeDelaySelect: document.getElementById('strict-mode-delay'),
+      strictCooldownInput: document.getElementById('strict-cooldown-hours'),
+      importFileInput: document.getElementById('import-file'),
+
+      // Allowlist mode
+      allowlistForm: document.getElementById('allowlist-form'),
+      allowlistEnabledInput: document.getElementById('allowlist-enabled'),
+      allowlistStatus: document.getElementById('allowlist-status'),
+      allowlistPatternInput: document.getElementById('allowlist-pattern'),
+      allowlistSchedule: document.getElementById('allowlist-schedule'),
+      allowlistList: document.getElementById('allowlist-list'),
+      allowlistEmpty: document.getElementById('allowlist-empty'),
+      allowlistCount: document.getElementById('allowlist-count'),
+
+      // PIN lock
+      pinForm: document.getElementById('pin-form'),
+      pinCurrentGroup: document.getElementById('pin-current-group'),
+      pinCurrentInput: document.getElementById('pin-current'),
+      pinNewInput: document.getElementById('pin-new'),
+      pinConfirmInput: document.getElementById('pin-confirm'),
+      pinSubmitBtn: document.getElementById('pin-submit-btn'),
+      pinStatus: document.getElementById('pin-status'),
+      pinLockBtn: document.getElementById('pin-lock-btn'),
+      pinRemoveBtn: document.getElementById('pin-remove-btn'),
+      pinDialog: document.getElementById('pin-dialog'),
+      pinDialogForm: document.getElementById('pin-dialog-form'),
+      pinDialogMessage: document.getElementById('pin-dialog-message'),
+      pinDialogInput: document.getElementById('pin-dialog-input'),
+      pinDialogCancel: document.getElementById('pin-dialog-cancel'),
+
+      // Sync
+      syncStatus: document.getElementById('sync-status'),
+      syncNowBtn: document.getElementById('sync-now-btn'),
+
+      // Backup & restore
+      exportBackupBtn: document.getElementById('export-backup-btn'),
+      exportCsvBtn: document.getElementById('export-csv-btn'),
+      importPreview: document.getElementById('import-preview'),
+      importPreviewList: document.getElementById('import-preview-list'),
+      importApplyBtn: document.getElementById('import-apply-btn'),
+      importCancelBtn: document.getElementById('import-cancel-btn'),
 
       // Lists and containers
       sitesList: document.getElementById('sites-list'),
       notesList: document.getElementById('notes-list'),
+      groupsList: document.getElementById('groups-list'),
+      overrideLogList: document.getElementById('override-log-list'),
+      focusHistoryList: document.getElementById('focus-history-list'),
+      plansList: document.getElementById('plans-list'),
+      planLogList: document.getElementById('plan-log-list'),
+      pendingChangesList: document.getElementById('pending-changes-list'),
       sitesEmpty: document.getElementById('sites-empty'),
       notesEmpty: document.getElementById('notes-empty'),
+      groupsEmpty: document.getElementById('groups-empty'),
+      overrideLogEmpty: document.getElementById('override-log-empty'),
+      focusHistoryEmpty: document.getElementById('focus-history-empty'),
+      plansEmpty: document.getElementById('plans-empty'),
+      planLogEmpty: document.getElementById('plan-log-empty'),
+      pendingChangesEmpty: document.getElementById('pending-changes-empty'),
 
       // Counters
       sitesCount: document.getElementById('sites-count'),
       notesCount: document.getElementById('notes-count'),
+      groupsCount: document.getElementById('groups-count'),
+      overrideLogCount: document.getElementById('override-log-count'),
+      focusHistoryCount: document.getElementById('focus-history-count'),
+      plansCount: document.getElementById('plans-count'),
+      planLogCount: document.getElementById('plan-log-count'),
+      pendingChangesCount: document.getElementById('pending-changes-count'),
 
       // UI elements
       loadingOverlay: document.getElementById('loading-overlay'),
@@ -87,6 +210,62 @@ class SettingsManager {
         }
         break;
 
+      case 'syncApplied':
+        // Sites, groups or notes arrived from another device
+        this.reloadAfterSync();
+        break;
+
+      case 'overrideGranted':
+        // An override was taken on a timeout page
+        this.loadOverrideLog();
+        break;
+
+      case 'focusSessionUpdated':
+        // A session started, moved to its next phase or ended
+        if (message.data.entry) {
+          this.loadFocusHistory();
+        }
+        break;
+
+      case 'reductionPlansUpdated':
+        // A plan lowered a limit or paused itself
+        this.loadAllSettings().then(() => {
+          this.distractingSites.forEach((site) => {
+            const limitForm = this.limitForms.get(site.id);
+            if (limitForm) {
+              limitForm.updateSiteData(site);
+            }
+          });
+          this.loadReductionPlans();
+        });
+        break;
+
+      case 'overlayMoved': {
+        // The countdown overlay was dragged to another corner on a page
+        const { site } = message.data;
+        const index = this.distractingSites.findIndex(
+          (candidate) => candidate.id === site.id
+        );
+        if (index !== -1) {
+          this.distractingSites[index] = site;
+          const limitForm = this.limitForms.get(site.id);
+          if (limitForm) {
+            limitForm.updateSiteData(site);
+          }
+        }
+        break;
+      }
+
+      case 'allowlistUpdated':
+        // Allowlist mode was switched from the popup or a window started or ended
+        this.loadAllSettings().then(() => this.renderAllowlistSettings());
+        break;
+
+      case 'pendingChangesApplied':
+        // Changes held back by strict mode took effect
+        this.reloadAfterSync().then(() => this.loadPendingChanges());
+        break;
+
       case 'usageUpdated':
         // Usage was updated, no need to refresh settings page
         console.log('[Settings] Usage updated for site:', message.data.siteId);
@@ -106,6 +285,12 @@ class SettingsManager {
       this.bindEvents();
       await this.loadAllSettings();
       this.renderUI();
+      await this.loadSyncStatus();
+      await this.loadOverrideLog();
+      await this.loadFocusHistory();
+      await this.loadReductionPlans();
+      await this.loadPendingChanges();
+      await this.loadPinStatus();
 
       // Small delay to ensure UI has rendered before hiding loader
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -163,6 +348,139 @@ class SettingsManager {
       this.handleAddNote();
     });
 
+    // Group form submission
+    this.elements.addGroupForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.target.dataset.submitted = 'true';
+      this.handleAddGroup();
+    });
+
+    // Usage history form submission
+    this.elements.historyForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSaveHistoryRetention();
+    });
+    this.elements.dayStartHourSelect.addEventListener('change', (e) =>
+      this.handleSaveDayStartHour(parseInt(e.target.value))
+    );
+
+    // Idle detection
+    this.elements.idleDetectionEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveIdleSettings({ idleDetectionEnabled: e.target.checked })
+    );
+    this.elements.idleCountMediaInput.addEventListener('change', (e) =>
+      this.handleSaveIdleSettings({ idleCountMedia: e.target.checked })
+    );
+    this.elements.idleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitIdleForm();
+    });
+
+    // Limit warnings
+    this.elements.warningsEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveWarningSettings({ warningsEnabled: e.target.checked })
+    );
+    this.elements.warnLastOpenInput.addEventListener('change', (e) =>
+      this.handleSaveWarningSettings({ warnLastOpen: e.target.checked })
+    );
+    this.elements.quietHoursEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveWarningSettings({ quietHoursEnabled: e.target.checked })
+    );
+    this.elements.warningsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitWarningsForm();
+    });
+
+    // Overrides
+    this.elements.overridesEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveOverrideSettings({ overridesEnabled: e.target.checked })
+    );
+    this.elements.overrideForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitOverrideForm();
+    });
+
+    // Focus sessions
+    this.elements.focusForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitFocusForm();
+    });
+    this.elements.focusStartBtn.addEventListener('click', () =>
+      this.handleStartFocusSession()
+    );
+
+    // Reduction plans
+    this.elements.planForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleStartReductionPlan();
+    });
+
+    // Allowlist mode
+    this.elements.allowlistEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveAllowlistSettings(
+        { allowlistEnabled: e.target.checked },
+        `Allowlist mode turned ${e.target.checked ? 'on' : 'off'}.`
+      )
+    );
+    this.elements.allowlistForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAddAllowlistPattern();
+    });
+
+    // Strict mode
+    this.elements.strictModeEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveStrictSettings({ strictModeEnabled: e.target.checked })
+    );
+    this.elements.strictModeDelaySelect.addEventListener('change', (e) => {
+      this.elements.strictCooldownInput.disabled =
+        e.target.value !== 'cooldown';
+    });
+    this.elements.strictForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitStrictForm();
+    });
+
+    // PIN lock
+    this.elements.pinForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmitPinForm();
+    });
+    this.elements.pinLockBtn.addEventListener('click', () =>
+      this.handleLockPin()
+    );
+    this.elements.pinRemoveBtn.addEventListener('click', () =>
+      this.handleRemovePin()
+    );
+
+    // Sync
+    this.elements.syncEnabledInput.addEventListener('change', (e) =>
+      this.handleSaveSyncSetting('syncEnabled', e.target.checked)
+    );
+    this.elements.syncUsageInput.addEventListener('change', (e) =>
+      this.handleSaveSyncSetting('syncUsageAcrossDevices', e.target.checked)
+    );
+    this.elements.syncNowBtn.addEventListener('click', () =>
+      this.handleSyncNow()
+    );
+
+    // Backup & restore
+    this.elements.exportBackupBtn.addEventListener('click', () =>
+      this.handleExportBackup()
+    );
+    this.elements.exportCsvBtn.addEventListener('click', () =>
+      this.handleExportCsv()
+    );
+    this.elements.importForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handlePreviewImport();
+    });
+    this.elements.importApplyBtn.addEventListener('click', () =>
+      this.handleApplyImport()
+    );
+    this.elements.importCancelBtn.addEventListener('click', () =>
+      this.resetImport()
+    );
+
     // QA FIX: Change validation trigger from input to blur for better UX
     // This prevents premature validation warnings while typing
     this.elements.siteUrlInput.addEventListener(
@@ -187,6 +505,7 @@ class SettingsManager {
       this.elements.siteUrlInput,
       this.elements.timeLimitInput,
       this.elements.openLimitInput,
+      this.elements.siteExceptionsInput,
       this.elements.noteTextInput,
     ].forEach((input) => {
       input.addEventListener('blur', () => input.classList.add('touched'));
@@ -221,9 +540,12 @@ class SettingsManager {
       if (response && response.success) {
         this.distractingSites = response.data.distractingSites || [];
         this.timeoutNotes = response.data.timeoutNotes || [];
+        this.siteGroups = response.data.siteGroups || [];
+        this.appSettings = response.data.appSettings || {};
         console.log('[Settings] Loaded data:', {
           sites: this.distractingSites.length,
           notes: this.timeoutNotes.length,
+          groups: this.siteGroups.length,
         });
       } else {
         // Enhanced error handling
@@ -273,6 +595,20 @@ class SettingsManager {
       return;
     }
 
+    const exceptionsValidation = validateExcludedPatterns(
+      this.elements.siteExceptionsInput.value.split(',')
+    );
+    if (!exceptionsValidation.isValid) {
+      this.showFieldError(
+        this.elements.siteExceptionsInput,
+        exceptionsValidation.error,
+        true
+      );
+      return;
+    }
+    const excludedPatterns = exceptionsValidation.normalizedPatterns;
+    const normalizedPattern = validateUrlPattern(urlPattern).normalizedPattern;
+
     const hasTimeLimit = !isNaN(timeLimit) && timeLimit > 0;
     const hasOpenLimit = !isNaN(openLimit) && openLimit > 0;
 
@@ -296,7 +632,7 @@ class SettingsManager {
     // Check for duplicates
     if (
       this.distractingSites.some(
-        (site) => site.urlPattern.toLowerCase() === urlPattern.toLowerCase()
+        (site) => site.urlPattern === normalizedPattern
       )
     ) {
       this.showToast('This site is already in your list.', 'warning');
@@ -323,7 +659,17 @@ class SettingsManager {
         payload.dailyOpenLimit = openLimit;
       }
 
-      const response = await browser.runtime.sendMessage({
+      // Add exception rules if specified
+      if (excludedPatterns.length > 0) {
+        payload.excludedPatterns = excludedPatterns;
+      }
+
+      // Add group membership if selected
+      if (this.elements.siteGroupSelect.value) {
+        payload.groupId = this.elements.siteGroupSelect.value;
+      }
+
+      const response = await this.sendProtectedMessage({
         action: 'addDistractingSite',
         payload: payload,
       });
@@ -331,6 +677,7 @@ class SettingsManager {
       if (response && response.success) {
         this.distractingSites.push(response.data);
         this.renderSites();
+        this.renderGroups();
         this.elements.addSiteForm.reset();
 
         // Create descriptive message
@@ -343,10 +690,14 @@ class SettingsManager {
           limitDescription = `${openLimit} open limit`;
         }
 
-        this.showToast(
-          `Added "${urlPattern}" with ${limitDescription}.`,
-          'success'
-        );
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(
+            `Added "${urlPattern}" with ${limitDescription}.`,
+            'success'
+          );
+        }
       } else {
         // Enhanced error handling based on error type
         const error = response?.error;
@@ -359,6 +710,10 @@ class SettingsManager {
             this.elements.timeLimitInput.focus();
           } else if (error.field === 'dailyOpenLimit') {
             this.elements.openLimitInput.focus();
+          } else if (error.field === 'excludedPatterns') {
+            this.elements.siteExceptionsInput.focus();
+          } else if (error.field === 'groupId') {
+            this.elements.siteGroupSelect.focus();
           }
         } else if (error?.type === 'STORAGE_ERROR') {
           this.showToast(
@@ -475,162 +830,1820 @@ class SettingsManager {
   }
 
   /**
-   * Handle editing a site (now accepts updates object for flexible editing)
+   * Handle adding a new site group
    */
-  async handleEditSite(siteId, updates) {
-    if (!siteId || !updates || typeof updates !== 'object') {
-      console.error('[Settings] Invalid parameters for handleEditSite:', {
-        siteId,
-        updates,
-      });
+  async handleAddGroup() {
+    const name = this.elements.groupNameInput.value.trim();
+    const timeLimit = parseInt(this.elements.groupTimeLimitInput.value);
+    const openLimit = parseInt(this.elements.groupOpenLimitInput.value);
+
+    const hasTimeLimit = !isNaN(timeLimit) && timeLimit > 0;
+    const hasOpenLimit = !isNaN(openLimit) && openLimit > 0;
+
+    if (!name) {
+      this.showFieldError(
+        this.elements.groupNameInput,
+        'Please enter a group name',
+        true
+      );
+      return;
+    }
+
+    if (!hasTimeLimit && !hasOpenLimit) {
+      this.showToast(
+        'Please specify at least one shared budget (time or opens).',
+        'warning'
+      );
+      return;
+    }
+
+    // Check for duplicates
+    if (
+      this.siteGroups.some(
+        (group) => group.name.toLowerCase() === name.toLowerCase()
+      )
+    ) {
+      this.showToast('A group with this name already exists.', 'warning');
       return;
     }
 
     try {
       this.showLoading(true);
 
+      const payload = { name };
+      if (hasTimeLimit) {
+        payload.dailyLimitSeconds = timeLimit * 60;
+      }
+      if (hasOpenLimit) {
+        payload.dailyOpenLimit = openLimit;
+      }
+
       const response = await browser.runtime.sendMessage({
-        action: 'updateDistractingSite',
-        payload: { id: siteId, updates: updates },
+        action: 'addSiteGroup',
+        payload: payload,
       });
 
       if (response && response.success) {
-        // Update local data
-        const siteIndex = this.distractingSites.findIndex(
-          (site) => site.id === siteId
+        this.siteGroups.push(response.data);
+        this.renderGroups();
+        this.elements.addGroupForm.reset();
+        this.showToast(
+          `Added group "${response.data.name}". Pick it for your sites below.`,
+          'success'
         );
-        if (siteIndex !== -1) {
-          this.distractingSites[siteIndex] = {
-            ...this.distractingSites[siteIndex],
-            ...updates,
-          };
-
-          // Update the limit form with new data
-          const limitForm = this.limitForms.get(siteId);
-          if (limitForm) {
-            limitForm.updateSiteData(this.distractingSites[siteIndex]);
+      } else {
+        const error = response?.error;
+        if (error?.type === 'VALIDATION_ERROR') {
+          this.showToast(`Validation error: ${error.message}`, 'error');
+          if (error.field === 'name') {
+            this.elements.groupNameInput.focus();
+          } else if (error.field === 'dailyLimitSeconds') {
+            this.elements.groupTimeLimitInput.focus();
+          } else if (error.field === 'dailyOpenLimit') {
+            this.elements.groupOpenLimitInput.focus();
           }
-        }
-
-        // Create descriptive message
-        let changeDescriptions = [];
-        if (updates.dailyLimitSeconds !== undefined) {
-          const minutes = Math.round(updates.dailyLimitSeconds / 60);
-          changeDescriptions.push(
-            `time limit to ${minutes > 0 ? minutes + ' minutes' : 'none'}`
-          );
-        }
-        if (updates.dailyOpenLimit !== undefined) {
-          changeDescriptions.push(
-            `open limit to ${updates.dailyOpenLimit > 0 ? updates.dailyOpenLimit + ' opens' : 'none'}`
-          );
-        }
-        if (updates.isEnabled !== undefined) {
-          changeDescriptions.push(
-            `status to ${updates.isEnabled ? 'enabled' : 'disabled'}`
+        } else {
+          this.showToast(
+            error?.message || 'Failed to add group. Please try again.',
+            'error'
           );
         }
-
-        const site = this.distractingSites[siteIndex];
-        const changeMessage =
-          changeDescriptions.length > 0
-            ? `Updated ${changeDescriptions.join(' and ')}`
-            : 'Updated site';
-
-        this.showToast(`${changeMessage} for "${site.urlPattern}".`, 'success');
-      } else {
-        throw new Error(response?.error?.message || 'Failed to update site');
       }
     } catch (error) {
-      console.error('[Settings] Error updating site:', error);
-      this.showToast(`Failed to update site: ${error.message}`, 'error');
-      throw error; // Re-throw for the limit form to handle
+      console.error('[Settings] Error adding group:', error);
+      this.showToast('Failed to add group. Please try again.', 'error');
     } finally {
       this.showLoading(false);
     }
   }
 
   /**
-   * Handle deleting a site
+   * Handle saving the usage history retention window
    */
-  async handleDeleteSite(siteId) {
-    if (!siteId) {
-      console.error('[Settings] Invalid siteId for handleDeleteSite:', siteId);
+  async handleSaveHistoryRetention() {
+    const days = parseInt(this.elements.historyRetentionInput.value);
+
+    if (isNaN(days) || days < 14 || days > 365) {
+      this.showFieldError(
+        this.elements.historyRetentionInput,
+        'Please enter between 14 and 365 days',
+        true
+      );
       return;
     }
 
     try {
       this.showLoading(true);
 
-      const response = await browser.runtime.sendMessage({
-        action: 'deleteDistractingSite',
-        payload: { id: siteId },
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: { historyRetentionDays: days },
       });
 
       if (response && response.success) {
-        // Clean up limit form
-        const limitForm = this.limitForms.get(siteId);
-        if (limitForm) {
-          limitForm.destroy();
-          this.limitForms.delete(siteId);
-        }
-
-        // Update local data and re-render
-        const site = this.distractingSites.find((site) => site.id === siteId);
-        this.distractingSites = this.distractingSites.filter(
-          (site) => site.id !== siteId
-        );
-        this.renderSites();
-
-        if (site) {
-          this.showToast(
-            `Removed "${site.urlPattern}" from your list.`,
-            'success'
-          );
-        } else {
-          this.showToast('Site removed successfully.', 'success');
-        }
+        this.appSettings = response.data;
+        this.renderHistorySettings();
+        this.showToast(`Daily history is now kept for ${days} days.`, 'success');
       } else {
-        throw new Error(response?.error?.message || 'Failed to delete site');
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save history setting. Please try again.',
+          'error'
+        );
       }
     } catch (error) {
-      console.error('[Settings] Error deleting site:', error);
-      this.showToast(`Failed to delete site: ${error.message}`, 'error');
-      throw error; // Re-throw for the limit form to handle
+      console.error('[Settings] Error saving history setting:', error);
+      this.showToast(
+        'Failed to save history setting. Please try again.',
+        'error'
+      );
     } finally {
       this.showLoading(false);
     }
   }
 
   /**
-   * Handle editing a note
+   * Handle saving the hour usage days start at
+   * @param {number} hour - The new day-start hour (0-23)
    */
-  async handleEditNote(noteId, newText) {
+  async handleSaveDayStartHour(hour) {
     try {
       this.showLoading(true);
 
-      const response = await browser.runtime.sendMessage({
-        action: 'updateTimeoutNote',
-        payload: {
-          id: noteId,
-          updates: {
-            text: newText,
-          },
-        },
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: { dayStartHour: hour },
       });
 
       if (response && response.success) {
-        const noteIndex = this.timeoutNotes.findIndex(
-          (note) => note.id === noteId
-        );
-        if (noteIndex !== -1) {
-          this.timeoutNotes[noteIndex] = response.data;
-          this.renderNotes();
-          this.showToast('Note updated successfully.', 'success');
+        this.appSettings = response.data;
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(
+            `Your day now starts at ${this.formatHour(hour)}.`,
+            'success'
+          );
         }
       } else {
-        throw new Error(response?.error || 'Failed to update note');
-      }
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save the day start. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving day start:', error);
+      this.showToast(
+        'Failed to save the day start. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderHistorySettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle the idle threshold form
+   */
+  handleSubmitIdleForm() {
+    const seconds = parseInt(this.elements.idleThresholdInput.value);
+
+    if (isNaN(seconds) || seconds < 15 || seconds > 3600) {
+      this.showFieldError(
+        this.elements.idleThresholdInput,
+        'Please enter between 15 and 3600 seconds',
+        true
+      );
+      return;
+    }
+
+    this.handleSaveIdleSettings({ idleThresholdSeconds: seconds });
+  }
+
+  /**
+   * Handle saving idle detection preferences
+   * @param {Object} updates - The idle settings to change
+   */
+  async handleSaveIdleSettings(updates) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(
+            'idleDetectionEnabled' in updates
+              ? `Idle detection turned ${updates.idleDetectionEnabled ? 'on' : 'off'}.`
+              : 'Idle detection settings saved.',
+            'success'
+          );
+        }
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save idle detection settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving idle detection settings:', error);
+      this.showToast(
+        'Failed to save idle detection settings. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderIdleSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle the limit warnings form
+   */
+  handleSubmitWarningsForm() {
+    const validation = validateWarningThresholds(
+      this.elements.warningThresholdsInput.value.split(',')
+    );
+    if (!validation.isValid) {
+      this.showFieldError(
+        this.elements.warningThresholdsInput,
+        validation.error,
+        true
+      );
+      return;
+    }
+
+    const quietHoursStart = this.elements.quietHoursStartInput.value;
+    const quietHoursEnd = this.elements.quietHoursEndInput.value;
+    if (!quietHoursStart || !quietHoursEnd) {
+      this.showFieldError(
+        quietHoursStart
+          ? this.elements.quietHoursEndInput
+          : this.elements.quietHoursStartInput,
+        'Please enter a time',
+        true
+      );
+      return;
+    }
+
+    this.handleSaveWarningSettings({
+      warningThresholds: validation.normalizedThresholds,
+      quietHoursStart,
+      quietHoursEnd,
+    });
+  }
+
+  /**
+   * Handle saving limit warning preferences
+   * @param {Object} updates - The warning settings to change
+   */
+  async handleSaveWarningSettings(updates) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        this.showToast(
+          'warningsEnabled' in updates
+            ? `Limit warnings turned ${updates.warningsEnabled ? 'on' : 'off'}.`
+            : 'Limit warning settings saved.',
+          'success'
+        );
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save limit warning settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving limit warning settings:', error);
+      this.showToast(
+        'Failed to save limit warning settings. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderWarningSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle the override settings form
+   */
+  handleSubmitOverrideForm() {
+    const fields = [
+      [
+        this.elements.overrideMinutesInput,
+        1,
+        30,
+        'Please enter between 1 and 30 minutes',
+      ],
+      [
+        this.elements.overrideDailyLimitInput,
+        1,
+        10,
+        'Please enter between 1 and 10 overrides',
+      ],
+      [
+        this.elements.overrideCountdownInput,
+        5,
+        300,
+        'Please enter between 5 and 300 seconds',
+      ],
+    ];
+    const values = [];
+    for (const [input, min, max, message] of fields) {
+      const value = parseInt(input.value);
+      if (isNaN(value) || value < min || value > max) {
+        this.showFieldError(input, message, true);
+        return;
+      }
+      values.push(value);
+    }
+
+    const [overrideMinutes, overrideDailyLimit, overrideCountdownSeconds] =
+      values;
+    this.handleSaveOverrideSettings({
+      overrideMinutes,
+      overrideDailyLimit,
+      overrideFriction: this.elements.overrideFrictionSelect.value,
+      overrideCountdownSeconds,
+    });
+  }
+
+  /**
+   * Handle saving override preferences
+   * @param {Object} updates - The override settings to change
+   */
+  async handleSaveOverrideSettings(updates) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(
+            'overridesEnabled' in updates
+              ? `Overrides turned ${updates.overridesEnabled ? 'on' : 'off'}.`
+              : 'Override settings saved.',
+            'success'
+          );
+        }
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save override settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving override settings:', error);
+      this.showToast(
+        'Failed to save override settings. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderOverrideSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Load and show the override log
+   */
+  async loadOverrideLog() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getOverrideLog',
+      });
+      if (response && response.success) {
+        this.overrideLog = response.data || [];
+        this.renderOverrideLog();
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading override log:', error);
+    }
+  }
+
+  /**
+   * Read and check the focus session form
+   * @returns {Object|null} The focus settings, or null if a field is invalid
+   */
+  readFocusForm() {
+    const fields = [
+      [
+        this.elements.focusMinutesInput,
+        1,
+        240,
+        'Please enter between 1 and 240 minutes',
+      ],
+      [
+        this.elements.focusBreakMinutesInput,
+        0,
+        60,
+        'Please enter between 0 and 60 minutes',
+      ],
+      [
+        this.elements.focusCyclesInput,
+        1,
+        12,
+        'Please enter between 1 and 12 focus periods',
+      ],
+    ];
+    const values = [];
+    for (const [input, min, max, message] of fields) {
+      const value = parseInt(input.value);
+      if (isNaN(value) || value < min || value > max) {
+        this.showFieldError(input, message, true);
+        return null;
+      }
+      values.push(value);
+    }
+
+    const [focusMinutes, focusBreakMinutes, focusCycles] = values;
+    const focusSiteIds = [
+      ...this.elements.focusSitesList.querySelectorAll('input:checked'),
+    ].map((input) => input.value);
+    return { focusMinutes, focusBreakMinutes, focusCycles, focusSiteIds };
+  }
+
+  /**
+   * Handle saving the focus session settings
+   */
+  async handleSubmitFocusForm() {
+    const updates = this.readFocusForm();
+    if (!updates) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        this.showToast('Focus session settings saved.', 'success');
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save focus session settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving focus session settings:', error);
+      this.showToast(
+        'Failed to save focus session settings. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderFocusSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle starting a focus session with the options in the form
+   */
+  async handleStartFocusSession() {
+    const options = this.readFocusForm();
+    if (!options) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'startFocusSession',
+        payload: options,
+      });
+
+      if (response && response.success) {
+        this.showToast(
+          `Focus session started. Stay focused for ${options.focusMinutes} minutes!`,
+          'success'
+        );
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to start the focus session. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error starting focus session:', error);
+      this.showToast(
+        'Failed to start the focus session. Please try again.',
+        'error'
+      );
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Load and show the focus session history
+   */
+  async loadFocusHistory() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getFocusHistory',
+      });
+      if (response && response.success) {
+        this.focusHistory = response.data || [];
+        this.renderFocusHistory();
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading focus history:', error);
+    }
+  }
+
+  /**
+   * Load and show the reduction plans and the changes they made
+   */
+  async loadReductionPlans() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getReductionPlans',
+      });
+      if (response && response.success) {
+        this.reductionPlans = response.data.plans || [];
+        this.reductionLog = response.data.log || [];
+        this.renderReductionPlans();
+        this.renderReductionLog();
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading reduction plans:', error);
+    }
+  }
+
+  /**
+   * Keep the local copy and the limit form of a site whose time limit a plan action
+   * changed in step
+   * @param {Object} site - The updated site
+   */
+  applyPlanLimitChange(site) {
+    const siteIndex = this.distractingSites.findIndex(
+      (candidate) => candidate.id === site.id
+    );
+    if (siteIndex === -1) {
+      return;
+    }
+    this.distractingSites[siteIndex] = site;
+    const limitForm = this.limitForms.get(site.id);
+    if (limitForm) {
+      limitForm.updateSiteData(site);
+    }
+  }
+
+  /**
+   * Handle starting a reduction plan with the options in the form
+   */
+  async handleStartReductionPlan() {
+    const siteId = this.elements.planSiteSelect.value;
+    const startMinutes = parseInt(this.elements.planStartInput.value);
+    const targetMinutes = parseInt(this.elements.planTargetInput.value);
+    const weeklyReductionPercent = parseInt(
+      this.elements.planPercentInput.value
+    );
+
+    if (!siteId) {
+      this.showToast('Add a distracting site first.', 'warning');
+      return;
+    }
+    if (isNaN(startMinutes) || startMinutes < 2 || startMinutes > 1440) {
+      this.showFieldError(
+        this.elements.planStartInput,
+        'Please enter between 2 and 1440 minutes',
+        true
+      );
+      return;
+    }
+    if (
+      isNaN(targetMinutes) ||
+      targetMinutes < 1 ||
+      targetMinutes >= startMinutes
+    ) {
+      this.showFieldError(
+        this.elements.planTargetInput,
+        'Please enter fewer minutes than the start limit',
+        true
+      );
+      return;
+    }
+    if (
+      isNaN(weeklyReductionPercent) ||
+      weeklyReductionPercent < 1 ||
+      weeklyReductionPercent > 50
+    ) {
+      this.showFieldError(
+        this.elements.planPercentInput,
+        'Please enter between 1% and 50%',
+        true
+      );
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'startReductionPlan',
+        payload: {
+          siteId,
+          startLimitSeconds: startMinutes * 60,
+          targetLimitSeconds: targetMinutes * 60,
+          weeklyReductionPercent,
+        },
+      });
+
+      if (response && response.success) {
+        const site = this.distractingSites.find(
+          (candidate) => candidate.id === siteId
+        );
+        if (site) {
+          this.applyPlanLimitChange({
+            ...site,
+            dailyLimitSeconds: startMinutes * 60,
+          });
+        }
+        this.elements.planStartInput.value = '';
+        this.elements.planTargetInput.value = '';
+        this.showToast(
+          `Plan started. The limit goes down ${weeklyReductionPercent}% a week until it reaches ${targetMinutes} minutes.`,
+          'success'
+        );
+        await this.loadReductionPlans();
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to start the plan. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error starting reduction plan:', error);
+      this.showToast('Failed to start the plan. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle pausing or resuming a reduction plan
+   * @param {string} siteId - The plan's site
+   * @param {boolean} paused - True to pause, false to resume
+   */
+  async handleSetReductionPlanPaused(siteId, paused) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'setReductionPlanPaused',
+        payload: { siteId, paused },
+      });
+
+      if (response && response.success) {
+        this.showToast(
+          paused
+            ? 'Plan paused. The time limit stays as it is.'
+            : 'Plan resumed. The next step is a week from today.',
+          'success'
+        );
+        await this.loadReductionPlans();
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to update the plan. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error pausing or resuming plan:', error);
+      this.showToast('Failed to update the plan. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle stopping a reduction plan; the site keeps its current limit
+   * @param {string} siteId - The plan's site
+   */
+  async handleDeleteReductionPlan(siteId) {
+    if (!confirm('Stop this plan? The site keeps its current time limit.')) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'deleteReductionPlan',
+        payload: { siteId },
+      });
+
+      if (response && response.success) {
+        this.showToast('Plan stopped.', 'success');
+        await this.loadReductionPlans();
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to stop the plan. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error stopping reduction plan:', error);
+      this.showToast('Failed to stop the plan. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle reverting a limit a plan lowered
+   * @param {Object} entry - The log entry of the change
+   */
+  async handleRevertReductionStep(entry) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'revertReductionStep',
+        payload: { entryId: entry.id },
+      });
+
+      if (response && response.success) {
+        this.applyPlanLimitChange(response.data);
+        this.showToast(
+          `Time limit back to ${this.formatPlanMinutes(entry.fromSeconds)}. The plan is paused until you resume it.`,
+          'success'
+        );
+        await this.loadReductionPlans();
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to revert the change. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error reverting plan change:', error);
+      this.showToast('Failed to revert the change. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle the strict mode form
+   */
+  handleSubmitStrictForm() {
+    const strictModeDelay = this.elements.strictModeDelaySelect.value;
+    const updates = { strictModeDelay };
+
+    if (strictModeDelay === 'cooldown') {
+      const hours = parseInt(this.elements.strictCooldownInput.value);
+      if (isNaN(hours) || hours < 1 || hours > 168) {
+        this.showFieldError(
+          this.elements.strictCooldownInput,
+          'Please enter between 1 and 168 hours',
+          true
+        );
+        return;
+      }
+      updates.strictModeCooldownHours = hours;
+    }
+
+    this.handleSaveStrictSettings(updates);
+  }
+
+  /**
+   * Handle adding a site to the allowlist
+   */
+  async handleAddAllowlistPattern() {
+    const input = this.elements.allowlistPatternInput;
+    const patterns = this.appSettings.allowlistPatterns || [];
+    const validation = validateAllowlistPatterns([...patterns, input.value]);
+    if (!validation.isValid) {
+      this.showFieldError(input, validation.error, true);
+      return;
+    }
+    this.showFieldError(input, '', false);
+
+    // The validation drops duplicates, so a known site adds nothing
+    if (validation.normalizedPatterns.length === patterns.length) {
+      this.showToast('This site is already allowed.', 'warning');
+      return;
+    }
+    const pattern = validation.normalizedPatterns[patterns.length];
+
+    if (
+      await this.handleSaveAllowlistSettings(
+        { allowlistPatterns: [...patterns, pattern] },
+        `${pattern} added to the allowlist.`
+      )
+    ) {
+      this.elements.allowlistForm.reset();
+    }
+  }
+
+  /**
+   * Handle removing a site from the allowlist
+   * @param {string} pattern - The allowed URL pattern
+   */
+  handleRemoveAllowlistPattern(pattern) {
+    this.handleSaveAllowlistSettings(
+      {
+        allowlistPatterns: (this.appSettings.allowlistPatterns || []).filter(
+          (candidate) => candidate !== pattern
+        ),
+      },
+      `${pattern} removed from the allowlist.`
+    );
+  }
+
+  /**
+   * Handle saving allowlist mode preferences
+   * @param {Object} updates - The allowlist settings to change
+   * @param {string} successMessage - Shown once the change is saved
+   * @returns {Promise<boolean>} Whether the change took effect; false if it failed or
+   *                             strict mode held it back
+   */
+  async handleSaveAllowlistSettings(updates, successMessage) {
+    let saved = false;
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(successMessage, 'success');
+          saved = true;
+        }
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save allowlist mode settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving allowlist mode settings:', error);
+      this.showToast(
+        'Failed to save allowlist mode settings. Please try again.',
+        'error'
+      );
+    } finally {
+      // The schedule editor shows what it saved once this returns, so show the stored
+      // windows after that in case the change failed or was held back
+      setTimeout(() => this.renderAllowlistSettings(), 0);
+      this.showLoading(false);
+    }
+    return saved;
+  }
+
+  /**
+   * Handle saving strict mode preferences
+   * @param {Object} updates - The strict mode settings to change
+   */
+  async handleSaveStrictSettings(updates) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: updates,
+      });
+
+      if (response && response.success) {
+        this.appSettings = response.data;
+        if (response.pendingChange) {
+          this.notePendingChange(response.pendingChange);
+        } else {
+          this.showToast(
+            'strictModeEnabled' in updates
+              ? `Strict mode turned ${updates.strictModeEnabled ? 'on' : 'off'}.`
+              : 'Strict mode settings saved.',
+            'success'
+          );
+        }
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save strict mode settings. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving strict mode settings:', error);
+      this.showToast(
+        'Failed to save strict mode settings. Please try again.',
+        'error'
+      );
+    } finally {
+      this.renderStrictSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Load and show the changes strict mode holds back
+   */
+  async loadPendingChanges() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getPendingChanges',
+      });
+      if (response && response.success) {
+        this.pendingChanges = response.data || [];
+        this.renderPendingChanges();
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading pending changes:', error);
+    }
+  }
+
+  /**
+   * Tell the user strict mode held a change back, and add it to the pending list
+   * @param {Object} pendingChange - The pending change from the background
+   */
+  notePendingChange(pendingChange) {
+    this.showToast(
+      `Strict mode holds this change back until ${this.formatPendingTime(pendingChange.effectiveAt)}. You can cancel it under Pending Changes.`,
+      'info'
+    );
+    this.loadPendingChanges();
+  }
+
+  /**
+   * Handle cancelling a change strict mode holds back
+   * @param {Object} change - The pending change
+   */
+  async handleCancelPendingChange(change) {
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'cancelPendingChange',
+        payload: { id: change.id },
+      });
+
+      if (response && response.success) {
+        this.showToast(
+          `Cancelled the change to "${change.targetName}".`,
+          'success'
+        );
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to cancel the change. Please try again.',
+          'error'
+        );
+      }
+      await this.loadPendingChanges();
+    } catch (error) {
+      console.error('[Settings] Error cancelling pending change:', error);
+      this.showToast('Failed to cancel the change. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Send a message that may need the PIN, asking for it until it is right, the lock
+   * holds after too many wrong tries or the prompt is cancelled
+   * @param {Object} message - The message for the background script
+   * @returns {Promise<Object>} The last response
+   */
+  async sendProtectedMessage(message) {
+    let response = await browser.runtime.sendMessage(message);
+    let askedForPin = false;
+    while (
+      response &&
+      !response.success &&
+      response.error?.type === ERROR_TYPES.PIN_REQUIRED &&
+      response.error.isRetryable
+    ) {
+      const pin = await this.requestPin(response.error.message);
+      if (pin === null) {
+        break;
+      }
+      askedForPin = true;
+      response = await browser.runtime.sendMessage({ ...message, pin });
+    }
+
+    if (askedForPin) {
+      await this.loadPinStatus();
+    }
+    return response;
+  }
+
+  /**
+   * Ask for the PIN in a dialog
+   * @param {string} message - Why it is needed, or what was wrong with the last try
+   * @returns {Promise<string|null>} The PIN, or null if the dialog was cancelled
+   */
+  requestPin(message) {
+    const {
+      pinDialog,
+      pinDialogForm,
+      pinDialogMessage,
+      pinDialogInput,
+      pinDialogCancel,
+    } = this.elements;
+    pinDialogMessage.textContent = message;
+    pinDialogInput.value = '';
+
+    return new Promise((resolve) => {
+      const finish = (pin) => {
+        pinDialogForm.removeEventListener('submit', onSubmit);
+        pinDialogCancel.removeEventListener('click', onCancel);
+        pinDialog.removeEventListener('cancel', onCancel);
+        if (pinDialog.open) {
+          pinDialog.close();
+        }
+        resolve(pin);
+      };
+      const onSubmit = (e) => {
+        e.preventDefault();
+        finish(pinDialogInput.value);
+      };
+      const onCancel = (e) => {
+        e.preventDefault();
+        finish(null);
+      };
+
+      pinDialogForm.addEventListener('submit', onSubmit);
+      pinDialogCancel.addEventListener('click', onCancel);
+      // Escape
+      pinDialog.addEventListener('cancel', onCancel);
+      pinDialog.showModal();
+      pinDialogInput.focus();
+    });
+  }
+
+  /**
+   * Load whether a PIN is set, and whether it is locked out or unlocked
+   */
+  async loadPinStatus() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getPinStatus',
+      });
+      if (response && response.success) {
+        this.pinStatus = response.data;
+        this.renderPinSettings();
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading PIN status:', error);
+    }
+  }
+
+  /**
+   * Handle the PIN form: set a PIN, or change it
+   */
+  async handleSubmitPinForm() {
+    const { pinCurrentInput, pinNewInput, pinConfirmInput } = this.elements;
+    const newPin = pinNewInput.value;
+
+    if (this.pinStatus.enabled && !pinCurrentInput.value) {
+      this.showFieldError(
+        pinCurrentInput,
+        'Please enter your current PIN',
+        true
+      );
+      return;
+    }
+    if (newPin.length < 4 || newPin.length > 64) {
+      this.showFieldError(
+        pinNewInput,
+        'The PIN must be 4 to 64 characters long',
+        true
+      );
+      return;
+    }
+    if (newPin !== pinConfirmInput.value) {
+      this.showFieldError(pinConfirmInput, "The PINs don't match", true);
+      return;
+    }
+
+    const wasEnabled = this.pinStatus.enabled;
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'setPin',
+        payload: { pin: newPin },
+        pin: pinCurrentInput.value,
+      });
+
+      if (response && response.success) {
+        this.pinStatus = response.data;
+        this.elements.pinForm.reset();
+        this.showToast(wasEnabled ? 'PIN changed.' : 'PIN set.', 'success');
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save the PIN. Please try again.',
+          'error'
+        );
+        await this.loadPinStatus();
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving PIN:', error);
+      this.showToast('Failed to save the PIN. Please try again.', 'error');
+    } finally {
+      this.renderPinSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle removing the PIN; it takes the current PIN
+   */
+  async handleRemovePin() {
+    const { pinCurrentInput } = this.elements;
+    if (!pinCurrentInput.value) {
+      this.showFieldError(
+        pinCurrentInput,
+        'Please enter your current PIN',
+        true
+      );
+      return;
+    }
+    if (
+      !confirm(
+        'Remove the PIN? Anyone at this computer can loosen your rules again.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'removePin',
+        pin: pinCurrentInput.value,
+      });
+
+      if (response && response.success) {
+        this.pinStatus = response.data;
+        this.elements.pinForm.reset();
+        this.showToast('PIN removed.', 'success');
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to remove the PIN. Please try again.',
+          'error'
+        );
+        await this.loadPinStatus();
+      }
+    } catch (error) {
+      console.error('[Settings] Error removing PIN:', error);
+      this.showToast('Failed to remove the PIN. Please try again.', 'error');
+    } finally {
+      this.renderPinSettings();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle locking again before the unlock runs out
+   */
+  async handleLockPin() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'lockPin',
+      });
+      if (response && response.success) {
+        this.pinStatus = response.data;
+        this.renderPinSettings();
+        this.showToast(
+          'Locked. Loosening a rule asks for the PIN again.',
+          'success'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error locking:', error);
+      this.showToast('Failed to lock. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handle turning sync, or syncing usage, on or off
+   * @param {string} key - 'syncEnabled' or 'syncUsageAcrossDevices'
+   * @param {boolean} value - The new value
+   */
+  async handleSaveSyncSetting(key, value) {
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateAppSettings',
+        payload: { [key]: value },
+      });
+
+      if (response && response.success && response.pendingChange) {
+        this.appSettings = response.data;
+        this.notePendingChange(response.pendingChange);
+      } else if (response && response.success) {
+        this.appSettings = response.data;
+        this.showToast(
+          key === 'syncEnabled'
+            ? `Sync turned ${value ? 'on' : 'off'}.`
+            : `Usage from other devices is ${value ? 'now' : 'no longer'} counted.`,
+          'success'
+        );
+      } else {
+        this.showToast(
+          response?.error?.message ||
+            'Failed to save sync setting. Please try again.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error saving sync setting:', error);
+      this.showToast('Failed to save sync setting. Please try again.', 'error');
+    } finally {
+      this.renderSyncSettings();
+      await this.loadSyncStatus();
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle a manual sync request
+   */
+  async handleSyncNow() {
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'syncNow',
+      });
+
+      if (response && response.success) {
+        this.renderSyncStatus(response.data);
+        this.showToast('Sync complete.', 'success');
+      } else {
+        this.showToast(
+          response?.error?.message || 'Sync failed. Please try again.',
+          'error'
+        );
+        await this.loadSyncStatus();
+      }
+    } catch (error) {
+      console.error('[Settings] Error syncing:', error);
+      this.showToast('Sync failed. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Reload the lists after sites, groups or notes arrived from another device
+   * @private
+   */
+  async reloadAfterSync() {
+    try {
+      await this.loadAllSettings();
+      this.limitForms.forEach((limitForm) => limitForm.destroy());
+      this.limitForms.clear();
+      this.renderUI();
+      await this.loadSyncStatus();
+    } catch (error) {
+      console.error('[Settings] Error reloading after sync:', error);
+    }
+  }
+
+  /**
+   * Load and show the current sync status
+   */
+  async loadSyncStatus() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getSyncStatus',
+      });
+      if (response && response.success) {
+        this.renderSyncStatus(response.data);
+      }
+    } catch (error) {
+      console.error('[Settings] Error loading sync status:', error);
+    }
+  }
+
+  /**
+   * Offers content to the user as a file download
+   * @private
+   */
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Returns today's date as YYYY-MM-DD for export file names
+   * @private
+   */
+  getExportDateString() {
+    const now = new Date();
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Handle exporting the full configuration as a JSON backup
+   */
+  async handleExportBackup() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'exportConfiguration',
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error?.message || 'Export failed');
+      }
+      this.downloadFile(
+        JSON.stringify(response.data, null, 2),
+        `distraction-limiter-backup-${this.getExportDateString()}.json`,
+        'application/json'
+      );
+      this.showToast('Backup exported.', 'success');
+    } catch (error) {
+      console.error('[Settings] Error exporting backup:', error);
+      this.showToast('Failed to export backup. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handle exporting daily usage as CSV
+   */
+  async handleExportCsv() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'exportUsageCsv',
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error?.message || 'Export failed');
+      }
+      this.downloadFile(
+        response.data.csv,
+        `distraction-limiter-usage-${this.getExportDateString()}.csv`,
+        'text/csv'
+      );
+      this.showToast('Daily usage exported.', 'success');
+    } catch (error) {
+      console.error('[Settings] Error exporting usage CSV:', error);
+      this.showToast('Failed to export usage data. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handle reading a backup file and previewing what importing it would change
+   */
+  async handlePreviewImport() {
+    const file = this.elements.importFileInput.files[0];
+    if (!file) {
+      this.showToast('Please choose a backup file first.', 'warning');
+      return;
+    }
+    const mode = this.elements.importForm.elements.importMode.value;
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      this.showToast('This file is not valid JSON.', 'error');
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+      const response = await browser.runtime.sendMessage({
+        action: 'previewImport',
+        payload: { backup, mode },
+      });
+
+      if (response && response.success) {
+        this.pendingImport = { backup, mode };
+        this.renderImportPreview(response.data);
+      } else {
+        this.resetImport();
+        this.showToast(
+          response?.error?.message || 'Failed to read backup.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error previewing import:', error);
+      this.showToast('Failed to read backup. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Render the list of changes an import would make
+   */
+  renderImportPreview(diff) {
+    const lines = [];
+    const describe = (labels, verb, noun, isRemoval = false) => {
+      if (labels.length === 0) return;
+      const shown = labels.slice(0, 5).join(', ');
+      const more = labels.length > 5 ? ` and ${labels.length - 5} more` : '';
+      lines.push({
+        text: `${verb} ${labels.length} ${noun}${labels.length === 1 ? '' : 's'}: ${shown}${more}`,
+        isRemoval,
+      });
+    };
+    const describeHistory = (changes, noun) => {
+      const parts = [];
+      if (changes.added) parts.push(`add ${changes.added}`);
+      if (changes.updated) parts.push(`update ${changes.updated}`);
+      if (changes.removed) parts.push(`remove ${changes.removed}`);
+      if (parts.length > 0) {
+        lines.push({
+          text: `Usage history: ${parts.join(', ')} ${noun}`,
+          isRemoval: changes.removed > 0,
+        });
+      }
+    };
+
+    describe(diff.sites.added, 'Add', 'site');
+    describe(diff.sites.updated, 'Update', 'site');
+    describe(diff.sites.removed, 'Remove', 'site', true);
+    describe(diff.groups.added, 'Add', 'group');
+    describe(diff.groups.updated, 'Update', 'group');
+    describe(diff.groups.removed, 'Remove', 'group', true);
+    describe(diff.notes.added, 'Add', 'note');
+    describe(diff.notes.removed, 'Remove', 'note', true);
+    if (diff.settingsChanged) {
+      lines.push({ text: 'Update preferences', isRemoval: false });
+    }
+    describeHistory(diff.usageDays, 'daily entries');
+    describeHistory(diff.usageWeeks, 'weekly totals');
+
+    if (lines.length === 0) {
+      lines.push({
+        text: 'No changes: the backup matches your current settings.',
+        isRemoval: false,
+      });
+    }
+
+    this.elements.importPreviewList.replaceChildren(
+      ...lines.map((line) => {
+        const item = document.createElement('li');
+        item.textContent = line.text;
+        if (line.isRemoval) {
+          item.className = 'import-removal';
+        }
+        return item;
+      })
+    );
+    this.elements.importPreview.classList.remove('hidden');
+  }
+
+  /**
+   * Handle applying the previewed import
+   */
+  async handleApplyImport() {
+    if (!this.pendingImport) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+      const response = await this.sendProtectedMessage({
+        action: 'importConfiguration',
+        payload: this.pendingImport,
+      });
+
+      if (response && response.success) {
+        this.resetImport();
+        // Every site may have changed, so rebuild all site forms
+        this.limitForms.forEach((limitForm) => limitForm.destroy());
+        this.limitForms.clear();
+        await this.loadAllSettings();
+        this.renderUI();
+        this.showToast('Backup imported.', 'success');
+      } else {
+        this.showToast(
+          response?.error?.message || 'Failed to import backup.',
+          'error'
+        );
+      }
+    } catch (error) {
+      console.error('[Settings] Error importing backup:', error);
+      this.showToast('Failed to import backup. Please try again.', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Clear the import form and hide the preview
+   */
+  resetImport() {
+    this.pendingImport = null;
+    this.elements.importForm.reset();
+    this.elements.importPreview.classList.add('hidden');
+    this.elements.importPreviewList.replaceChildren();
+  }
+
+  /**
+   * Handle editing a site (now accepts updates object for flexible editing)
+   */
+  async handleEditSite(siteId, updates) {
+    if (!siteId || !updates || typeof updates !== 'object') {
+      console.error('[Settings] Invalid parameters for handleEditSite:', {
+        siteId,
+        updates,
+      });
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'updateDistractingSite',
+        payload: { id: siteId, updates: updates },
+      });
+
+      if (response && response.success && response.pendingChange) {
+        // Strict mode only let part of the edit through, if any. The limit form
+        // records the value it saved once this returns, so it is set back after that
+        const siteIndex = this.distractingSites.findIndex(
+          (site) => site.id === siteId
+        );
+        if (siteIndex !== -1) {
+          this.distractingSites[siteIndex] = response.data;
+          const limitForm = this.limitForms.get(siteId);
+          if (limitForm) {
+            setTimeout(() => limitForm.updateSiteData(response.data), 0);
+          }
+        }
+        this.renderGroups();
+        this.notePendingChange(response.pendingChange);
+      } else if (response && response.success) {
+        // Update local data
+        const siteIndex = this.distractingSites.findIndex(
+          (site) => site.id === siteId
+        );
+        if (siteIndex !== -1) {
+          this.distractingSites[siteIndex] = {
+            ...this.distractingSites[siteIndex],
+            ...updates,
+          };
+
+          // Update the limit form with new data
+          const limitForm = this.limitForms.get(siteId);
+          if (limitForm) {
+            limitForm.updateSiteData(this.distractingSites[siteIndex]);
+          }
+        }
+
+        // Group member lists show the sites' URL patterns
+        if (updates.groupId !== undefined || updates.urlPattern !== undefined) {
+          this.renderGroups();
+        }
+
+        // Create descriptive message
+        let changeDescriptions = [];
+        if (updates.dailyLimitSeconds !== undefined) {
+          const minutes = Math.round(updates.dailyLimitSeconds / 60);
+          changeDescriptions.push(
+            `time limit to ${minutes > 0 ? minutes + ' minutes' : 'none'}`
+          );
+        }
+        if (updates.dailyOpenLimit !== undefined) {
+          changeDescriptions.push(
+            `open limit to ${updates.dailyOpenLimit > 0 ? updates.dailyOpenLimit + ' opens' : 'none'}`
+          );
+        }
+        if (updates.openCooldownSeconds !== undefined) {
+          const minutes = Math.round(updates.openCooldownSeconds / 60);
+          changeDescriptions.push(
+            `time between opens to ${minutes > 0 ? minutes + ' minutes' : 'none'}`
+          );
+        }
+        [
+          ['weeklyLimitSeconds', 'weekly time budget'],
+          ['monthlyLimitSeconds', 'monthly time budget'],
+        ].forEach(([field, name]) => {
+          if (updates[field] !== undefined) {
+            const minutes = Math.round(updates[field] / 60);
+            changeDescriptions.push(
+              `${name} to ${minutes > 0 ? minutes + ' minutes' : 'none'}`
+            );
+          }
+        });
+        [
+          ['weeklyOpenLimit', 'weekly open budget'],
+          ['monthlyOpenLimit', 'monthly open budget'],
+        ].forEach(([field, name]) => {
+          if (updates[field] !== undefined) {
+            changeDescriptions.push(
+              `${name} to ${updates[field] > 0 ? updates[field] + ' opens' : 'none'}`
+            );
+          }
+        });
+        if (updates.rolloverPercent !== undefined) {
+          changeDescriptions.push(
+            `rollover to ${updates.rolloverPercent > 0 ? updates.rolloverPercent + '%' : 'off'}`
+          );
+        }
+        if (updates.rolloverCapSeconds !== undefined) {
+          const minutes = Math.round(updates.rolloverCapSeconds / 60);
+          changeDescriptions.push(
+            `rollover cap to ${minutes > 0 ? minutes + ' minutes' : 'off'}`
+          );
+        }
+        if (updates.rolloverExpiryDays !== undefined) {
+          changeDescriptions.push(
+            `banked time to last ${updates.rolloverExpiryDays || 7} days`
+          );
+        }
+        if (updates.excludedPatterns !== undefined) {
+          changeDescriptions.push(
+            `exceptions to ${updates.excludedPatterns.length > 0 ? updates.excludedPatterns.join(', ') : 'none'}`
+          );
+        }
+        if (updates.schedule !== undefined) {
+          const count = updates.schedule.length;
+          changeDescriptions.push(
+            `schedule to ${count > 0 ? count + (count === 1 ? ' window' : ' windows') : 'none'}`
+          );
+        }
+        if (updates.groupId !== undefined) {
+          const group = this.siteGroups.find((g) => g.id === updates.groupId);
+          changeDescriptions.push(
+            `group to ${group ? `"${group.name}"` : 'none'}`
+          );
+        }
+        if (updates.trackInBackground !== undefined) {
+          changeDescriptions.push(
+            `background counting to ${updates.trackInBackground ? 'on' : 'off'}`
+          );
+        }
+        if (updates.mindfulPause !== undefined) {
+          changeDescriptions.push(
+            `mindful pause to ${updates.mindfulPause ? 'on' : 'off'}`
+          );
+        }
+        if (updates.isEnabled !== undefined) {
+          changeDescriptions.push(
+            `status to ${updates.isEnabled ? 'enabled' : 'disabled'}`
+          );
+        }
+
+        const site = this.distractingSites[siteIndex];
+        const changeMessage =
+          changeDescriptions.length > 0
+            ? `Updated ${changeDescriptions.join(' and ')}`
+            : 'Updated site';
+
+        this.showToast(`${changeMessage} for "${site.urlPattern}".`, 'success');
+      } else {
+        throw new Error(response?.error?.message || 'Failed to update site');
+      }
+    } catch (error) {
+      console.error('[Settings] Error updating site:', error);
+      this.showToast(`Failed to update site: ${error.message}`, 'error');
+      throw error; // Re-throw for the limit form to handle
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle deleting a site
+   */
+  async handleDeleteSite(siteId) {
+    if (!siteId) {
+      console.error('[Settings] Invalid siteId for handleDeleteSite:', siteId);
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'deleteDistractingSite',
+        payload: { id: siteId },
+      });
+
+      if (response && response.success && response.pendingChange) {
+        // Strict mode holds the deletion back, the site stays for now
+        this.notePendingChange(response.pendingChange);
+      } else if (response && response.success) {
+        // Clean up limit form
+        const limitForm = this.limitForms.get(siteId);
+        if (limitForm) {
+          limitForm.destroy();
+          this.limitForms.delete(siteId);
+        }
+
+        // Update local data and re-render
+        const site = this.distractingSites.find((site) => site.id === siteId);
+        this.distractingSites = this.distractingSites.filter(
+          (site) => site.id !== siteId
+        );
+        this.renderSites();
+        this.renderGroups();
+
+        if (site) {
+          this.showToast(
+            `Removed "${site.urlPattern}" from your list.`,
+            'success'
+          );
+        } else {
+          this.showToast('Site removed successfully.', 'success');
+        }
+      } else {
+        throw new Error(response?.error?.message || 'Failed to delete site');
+      }
+    } catch (error) {
+      console.error('[Settings] Error deleting site:', error);
+      this.showToast(`Failed to delete site: ${error.message}`, 'error');
+      throw error; // Re-throw for the limit form to handle
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Handle editing a note
+   */
+  async handleEditNote(noteId, newText) {
+    try {
+      this.showLoading(true);
+
+      const response = await browser.runtime.sendMessage({
+        action: 'updateTimeoutNote',
+        payload: {
+          id: noteId,
+          updates: {
+            text: newText,
+          },
+        },
+      });
+
+      if (response && response.success) {
+        const noteIndex = this.timeoutNotes.findIndex(
+          (note) => note.id === noteId
+        );
+        if (noteIndex !== -1) {
+          this.timeoutNotes[noteIndex] = response.data;
+          this.renderNotes();
+          this.showToast('Note updated successfully.', 'success');
+        }
+      } else {
+        throw new Error(response?.error || 'Failed to update note');
+      }
     } catch (error) {
       console.error('Error updating note:', error);
       this.showToast('Failed to update note. Please try again.', 'error');
@@ -660,49 +2673,13 @@ class SettingsManager {
       return false;
     }
 
-    // Enhanced URL validation
-    if (urlPattern.length > 2000) {
-      this.showFieldError(
-        this.elements.siteUrlInput,
-        'URL is too long (max 2000 characters)',
-        true
-      );
-      return false;
-    }
-
-    // Check for dangerous patterns
-    const dangerousPatterns = [
-      'javascript:',
-      'data:',
-      'file:',
-      'chrome:',
-      'moz-extension:',
-    ];
-    if (
-      dangerousPatterns.some((pattern) =>
-        urlPattern.toLowerCase().includes(pattern)
-      )
-    ) {
-      this.showFieldError(
-        this.elements.siteUrlInput,
-        'Invalid URL pattern contains restricted protocol',
-        true
-      );
-      return false;
-    }
-
-    // Basic hostname validation
-    const normalized = urlPattern
-      .toLowerCase()
-      .replace(/^https?:\/\//, '')
-      .replace(/^www\./, '');
-
-    const hostnameRegex = /^[a-z0-9.-]+[a-z0-9]$/;
-    if (!hostnameRegex.test(normalized.split('/')[0])) {
+    // Shared validation understands hosts, paths, globs, regex and exact-host rules
+    const validation = validateUrlPattern(urlPattern);
+    if (!validation.isValid) {
       // QA FIX: Force show error for blur validation - always display warning when focus leaves field
       this.showFieldError(
         this.elements.siteUrlInput,
-        'Please enter a valid domain (e.g., example.com)',
+        validation.error,
         true // Force show regardless of touched state
       );
       return false;
@@ -749,143 +2726,928 @@ class SettingsManager {
         'Time limit cannot exceed 24 hours',
         true
       );
-      return false;
-    }
+      return false;
+    }
+
+    this.elements.timeLimitInput.classList.remove('error');
+    return true;
+  }
+
+  /**
+   * Validate open limit input
+   */
+  validateOpenLimit() {
+    const openLimit = parseInt(this.elements.openLimitInput.value);
+    const errorElement =
+      this.elements.openLimitInput.parentElement.querySelector(
+        '.error-message'
+      );
+
+    // Remove existing error message
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    // Open limit is optional - allow empty values
+    if (this.elements.openLimitInput.value.trim() === '') {
+      this.elements.openLimitInput.classList.remove('error');
+      return true;
+    }
+
+    if (isNaN(openLimit) || openLimit <= 0) {
+      this.showFieldError(
+        this.elements.openLimitInput,
+        'Open limit must be a positive number',
+        true
+      );
+      return false;
+    }
+
+    if (openLimit > 100) {
+      this.showFieldError(
+        this.elements.openLimitInput,
+        'Open limit cannot exceed 100',
+        true
+      );
+      return false;
+    }
+
+    this.elements.openLimitInput.classList.remove('error');
+    return true;
+  }
+
+  /**
+   * Validate note text input
+   */
+  validateNoteText() {
+    const noteText = this.elements.noteTextInput.value.trim();
+    const errorElement =
+      this.elements.noteTextInput.parentElement.querySelector('.error-message');
+
+    // Remove existing error message
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    if (!noteText) {
+      this.showFieldError(this.elements.noteTextInput, 'Note text is required', true);
+      return false;
+    }
+
+    if (noteText.length > 1000) {
+      this.showFieldError(
+        this.elements.noteTextInput,
+        'Note text is too long (max 1000 characters)',
+        true
+      );
+      return false;
+    }
+
+    this.elements.noteTextInput.classList.remove('error');
+    return true;
+  }
+
+  /**
+   * Show field-specific error message
+   * @param {HTMLElement} inputElement - The input element to show error for
+   * @param {string} message - The error message to display
+   * @param {boolean} forceShow - Whether to always show errors regardless of touched state (for blur validation)
+   */
+  showFieldError(inputElement, message, forceShow = false) {
+    // Clear any existing error messages
+    const existingError =
+      inputElement.parentElement.querySelector('.error-message');
+    if (existingError) {
+      existingError.remove();
+    }
+
+    if (message) {
+      // QA FIX: Always show error styling for blur validation or if field has been touched/form submitted
+      const shouldShowError = forceShow ||
+        inputElement.classList.contains('touched') ||
+        inputElement.closest('form').dataset.submitted;
+
+      if (shouldShowError) {
+        inputElement.classList.add('error');
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = message;
+        errorDiv.style.cssText = `
+                    color: var(--accent-error);
+                    font-size: var(--font-size-xs);
+                    margin-top: var(--spacing-1);
+                `;
+
+        inputElement.parentElement.appendChild(errorDiv);
+      }
+
+      // Show toast for the error only if forcing display (blur validation)
+      if (forceShow) {
+        this.showToast(message, 'warning');
+      }
+
+      // Don't auto-focus on blur validation to avoid disrupting user workflow
+      if (!forceShow) {
+        inputElement.focus();
+      }
+    } else {
+      // Remove error styling
+      inputElement.classList.remove('error');
+    }
+  }
+
+  /**
+   * Render the entire UI
+   */
+  renderUI() {
+    this.renderGroups();
+    this.renderSites();
+    this.renderNotes();
+    this.renderHistorySettings();
+    this.renderIdleSettings();
+    this.renderWarningSettings();
+    this.renderOverrideSettings();
+    this.renderFocusSettings();
+    this.renderAllowlistSettings();
+    this.renderStrictSettings();
+    this.renderSyncSettings();
+  }
+
+  /**
+   * Render the usage history settings
+   */
+  renderHistorySettings() {
+    if (this.appSettings.historyRetentionDays) {
+      this.elements.historyRetentionInput.value =
+        this.appSettings.historyRetentionDays;
+    }
+
+    const select = this.elements.dayStartHourSelect;
+    if (select.options.length === 0) {
+      for (let hour = 0; hour < 24; hour++) {
+        const label = hour === 0 ? 'Midnight (00:00)' : this.formatHour(hour);
+        select.add(new Option(label, String(hour)));
+      }
+    }
+    select.value = String(this.appSettings.dayStartHour || 0);
+  }
+
+  /**
+   * Format an hour of the day as HH:00
+   * @param {number} hour - The hour (0-23)
+   * @returns {string} The formatted hour
+   */
+  formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+  }
+
+  /**
+   * Render the idle detection preferences
+   */
+  renderIdleSettings() {
+    const enabled = this.appSettings.idleDetectionEnabled !== false;
+    this.elements.idleDetectionEnabledInput.checked = enabled;
+    this.elements.idleCountMediaInput.checked =
+      this.appSettings.idleCountMedia !== false;
+    this.elements.idleCountMediaInput.disabled = !enabled;
+    this.elements.idleThresholdInput.value =
+      this.appSettings.idleThresholdSeconds || '';
+  }
+
+  /**
+   * Render the limit warning preferences
+   */
+  renderWarningSettings() {
+    const enabled = this.appSettings.warningsEnabled !== false;
+    this.elements.warningsEnabledInput.checked = enabled;
+    this.elements.warnLastOpenInput.checked =
+      this.appSettings.warnLastOpen !== false;
+    this.elements.quietHoursEnabledInput.checked = Boolean(
+      this.appSettings.quietHoursEnabled
+    );
+    this.elements.warnLastOpenInput.disabled = !enabled;
+    this.elements.quietHoursEnabledInput.disabled = !enabled;
+    this.elements.warningThresholdsInput.value = (
+      this.appSettings.warningThresholds || []
+    ).join(', ');
+    this.elements.quietHoursStartInput.value =
+      this.appSettings.quietHoursStart || '';
+    this.elements.quietHoursEndInput.value =
+      this.appSettings.quietHoursEnd || '';
+  }
+
+  /**
+   * Render the override preferences
+   */
+  renderOverrideSettings() {
+    const enabled = Boolean(this.appSettings.overridesEnabled);
+    this.elements.overridesEnabledInput.checked = enabled;
+    this.elements.overrideMinutesInput.value =
+      this.appSettings.overrideMinutes || '';
+    this.elements.overrideDailyLimitInput.value =
+      this.appSettings.overrideDailyLimit || '';
+    this.elements.overrideFrictionSelect.value =
+      this.appSettings.overrideFriction || 'countdown';
+    this.elements.overrideCountdownInput.value =
+      this.appSettings.overrideCountdownSeconds || '';
+  }
+
+  /**
+   * Render the override log, most recent first
+   */
+  renderOverrideLog() {
+    const count = this.overrideLog.length;
+    this.elements.overrideLogCount.textContent = `${count} ${count === 1 ? 'override' : 'overrides'}`;
+
+    this.elements.overrideLogList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+
+    if (count === 0) {
+      this.elements.overrideLogEmpty.style.display = 'block';
+      return;
+    }
+    this.elements.overrideLogEmpty.style.display = 'none';
+
+    const frictionLabels = {
+      none: 'no friction',
+      countdown: 'after a countdown',
+      sentence: 'after typing a sentence',
+      arithmetic: 'after solving a sum',
+    };
+
+    [...this.overrideLog].reverse().forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = 'item-card override-log-item';
+      item.role = 'listitem';
+
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = entry.urlPattern || 'Deleted site';
+
+      const granted = [];
+      if (entry.extraSeconds > 0) {
+        granted.push(`${Math.round(entry.extraSeconds / 60)} extra min`);
+      }
+      if (entry.extraOpens > 0) {
+        granted.push('one extra visit');
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'item-subtitle';
+      meta.textContent = `${new Date(entry.grantedAt).toLocaleString([], {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      })} · ${granted.join(' and ')} ${frictionLabels[entry.friction] || ''}`;
+
+      const info = document.createElement('div');
+      info.className = 'item-info';
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const content = document.createElement('div');
+      content.className = 'item-content';
+      content.appendChild(info);
+      item.appendChild(content);
+
+      this.elements.overrideLogList.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the focus session preferences
+   */
+  renderFocusSettings() {
+    this.elements.focusMinutesInput.value = this.appSettings.focusMinutes || '';
+    this.elements.focusBreakMinutesInput.value =
+      this.appSettings.focusBreakMinutes ?? '';
+    this.elements.focusCyclesInput.value = this.appSettings.focusCycles || '';
+    this.renderFocusSites();
+  }
+
+  /**
+   * Render one checkbox per distracting site for the focus session site list
+   */
+  renderFocusSites() {
+    const selectedIds = this.appSettings.focusSiteIds || [];
+    this.elements.focusSitesList.replaceChildren(
+      ...this.distractingSites.map((site) => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = site.id;
+        checkbox.checked = selectedIds.includes(site.id);
+
+        const label = document.createElement('label');
+        label.appendChild(checkbox);
+        label.append(site.urlPattern);
+        return label;
+      })
+    );
+  }
+
+  /**
+   * Render the focus session history, most recent first
+   */
+  renderFocusHistory() {
+    const count = this.focusHistory.length;
+    this.elements.focusHistoryCount.textContent = `${count} ${count === 1 ? 'session' : 'sessions'}`;
+
+    this.elements.focusHistoryList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+
+    if (count === 0) {
+      this.elements.focusHistoryEmpty.style.display = 'block';
+      return;
+    }
+    this.elements.focusHistoryEmpty.style.display = 'none';
+
+    [...this.focusHistory].reverse().forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = 'item-card focus-history-item';
+      item.role = 'listitem';
+
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent =
+        entry.cycles > 1
+          ? `${entry.completedCycles} of ${entry.cycles} × ${entry.focusMinutes} min focus`
+          : `${entry.focusMinutes} min focus`;
+
+      const sites =
+        entry.siteIds.length > 0
+          ? `${entry.siteIds.length} ${entry.siteIds.length === 1 ? 'site' : 'sites'} blocked`
+          : 'all sites blocked';
+      const meta = document.createElement('div');
+      meta.className = 'item-subtitle';
+      meta.textContent = `${new Date(entry.startedAt).toLocaleString([], {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      })} · ${entry.status === 'completed' ? 'Completed' : 'Stopped early'} · ${sites}`;
+
+      const info = document.createElement('div');
+      info.className = 'item-info';
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const content = document.createElement('div');
+      content.className = 'item-content';
+      content.appendChild(info);
+      item.appendChild(content);
+
+      this.elements.focusHistoryList.appendChild(item);
+    });
+  }
+
+  /**
+   * Format a limit in seconds as minutes for the reduction plans
+   * @param {number} seconds - The limit
+   * @returns {string} E.g. "45 min"
+   */
+  formatPlanMinutes(seconds) {
+    return `${Math.round(seconds / 60)} min`;
+  }
+
+  /**
+   * Format a usage day key as a short date
+   * @param {string} dayKey - "YYYY-MM-DD"
+   * @returns {string} E.g. "Mon, Mar 18"
+   */
+  formatPlanDay(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString([], {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+  }
+
+  /**
+   * Render one option per distracting site for the reduction plan form
+   */
+  renderPlanSites() {
+    const select = this.elements.planSiteSelect;
+    const selectedId = select.value;
+    select.replaceChildren(
+      ...this.distractingSites.map(
+        (site) => new Option(site.urlPattern, site.id)
+      )
+    );
+    if (this.distractingSites.some((site) => site.id === selectedId)) {
+      select.value = selectedId;
+    }
+  }
+
+  /**
+   * Render the reduction plans with their progress
+   */
+  renderReductionPlans() {
+    // Plans of sites deleted on this page are gone in the background too
+    const plans = this.reductionPlans.filter((plan) =>
+      this.distractingSites.some((site) => site.id === plan.siteId)
+    );
+    const count = plans.length;
+    this.elements.plansCount.textContent = `${count} ${count === 1 ? 'plan' : 'plans'}`;
+
+    this.elements.plansList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+
+    if (count === 0) {
+      this.elements.plansEmpty.style.display = 'block';
+      return;
+    }
+    this.elements.plansEmpty.style.display = 'none';
+
+    const pausedReasons = {
+      exceeded: 'Paused: the limit was used up too often last week',
+      reverted: 'Paused after a change was reverted',
+      manual: 'Paused',
+    };
+
+    plans.forEach((plan) => {
+      const item = document.createElement('div');
+      item.className = 'item-card reduction-plan-item';
+      item.role = 'listitem';
+
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = plan.urlPattern;
+
+      let status = 'Target reached';
+      if (plan.status === 'active') {
+        status = `Next step ${this.formatPlanDay(plan.nextStepOn)}`;
+      } else if (plan.status === 'paused') {
+        status = pausedReasons[plan.pausedReason] || 'Paused';
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'item-subtitle';
+      meta.textContent = `${this.formatPlanMinutes(plan.currentLimitSeconds)} a day now · ${this.formatPlanMinutes(plan.startLimitSeconds)} → ${this.formatPlanMinutes(plan.targetLimitSeconds)}, −${plan.weeklyReductionPercent}% a week · ${status}`;
+
+      const progress = document.createElement('div');
+      progress.className = 'plan-progress';
+      progress.setAttribute('role', 'progressbar');
+      progress.setAttribute('aria-valuemin', '0');
+      progress.setAttribute('aria-valuemax', '100');
+      progress.setAttribute('aria-valuenow', String(plan.progressPercent));
+      progress.title = `${plan.progressPercent}% of the way to the target`;
+      const progressFill = document.createElement('div');
+      progressFill.className = 'plan-progress-fill';
+      progressFill.style.width = `${plan.progressPercent}%`;
+      progress.appendChild(progressFill);
+
+      const info = document.createElement('div');
+      info.className = 'item-info';
+      info.appendChild(title);
+      info.appendChild(meta);
+      info.appendChild(progress);
+
+      const actions = document.createElement('div');
+      actions.className = 'item-actions';
+
+      if (plan.status !== 'completed') {
+        const paused = plan.status === 'paused';
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'btn btn-secondary btn-small';
+        toggleBtn.textContent = paused ? 'Resume' : 'Pause';
+        toggleBtn.addEventListener('click', () =>
+          this.handleSetReductionPlanPaused(plan.siteId, !paused)
+        );
+        actions.appendChild(toggleBtn);
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-danger btn-small';
+      deleteBtn.setAttribute('aria-label', 'Stop plan');
+      deleteBtn.textContent = 'Stop';
+      deleteBtn.addEventListener('click', () =>
+        this.handleDeleteReductionPlan(plan.siteId)
+      );
+      actions.appendChild(deleteBtn);
 
-    this.elements.timeLimitInput.classList.remove('error');
-    return true;
+      const content = document.createElement('div');
+      content.className = 'item-content';
+      content.appendChild(info);
+      content.appendChild(actions);
+      item.appendChild(content);
+
+      this.elements.plansList.appendChild(item);
+    });
   }
 
   /**
-   * Validate open limit input
+   * Render the changes reduction plans made, most recent first
    */
-  validateOpenLimit() {
-    const openLimit = parseInt(this.elements.openLimitInput.value);
-    const errorElement =
-      this.elements.openLimitInput.parentElement.querySelector(
-        '.error-message'
-      );
+  renderReductionLog() {
+    const count = this.reductionLog.length;
+    this.elements.planLogCount.textContent = `${count} ${count === 1 ? 'change' : 'changes'}`;
 
-    // Remove existing error message
-    if (errorElement) {
-      errorElement.remove();
+    this.elements.planLogList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+
+    if (count === 0) {
+      this.elements.planLogEmpty.style.display = 'block';
+      return;
     }
+    this.elements.planLogEmpty.style.display = 'none';
+
+    [...this.reductionLog].reverse().forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = 'item-card reduction-log-item';
+      item.role = 'listitem';
+
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent =
+        entry.type === 'reduced'
+          ? `${entry.urlPattern || 'Deleted site'}: ${this.formatPlanMinutes(entry.fromSeconds)} → ${this.formatPlanMinutes(entry.toSeconds)} a day`
+          : `${entry.urlPattern || 'Deleted site'}: plan paused at ${this.formatPlanMinutes(entry.fromSeconds)} a day`;
+
+      const details = [this.formatPlanDay(entry.date)];
+      if (entry.type === 'paused') {
+        details.push(`limit used up on ${entry.exceededDays} days`);
+      }
+      if (entry.revertedAt) {
+        details.push(
+          `reverted ${new Date(entry.revertedAt).toLocaleDateString([], {
+            dateStyle: 'medium',
+          })}`
+        );
+      }
+      const meta = document.createElement('div');
+      meta.className = 'item-subtitle';
+      meta.textContent = details.join(' · ');
+
+      const info = document.createElement('div');
+      info.className = 'item-info';
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const content = document.createElement('div');
+      content.className = 'item-content';
+      content.appendChild(info);
+
+      // Lowered limits are reverted one by one, pauses are undone by resuming
+      const plan = this.reductionPlans.find(
+        (candidate) => candidate.siteId === entry.siteId
+      );
+      let undoBtn = null;
+      if (entry.type === 'reduced' && entry.canRevert) {
+        undoBtn = document.createElement('button');
+        undoBtn.textContent = 'Revert';
+        undoBtn.addEventListener('click', () =>
+          this.handleRevertReductionStep(entry)
+        );
+      } else if (
+        entry.type === 'paused' &&
+        plan &&
+        plan.status === 'paused' &&
+        plan.pausedReason === 'exceeded' &&
+        plan.lastStepOn === entry.date
+      ) {
+        undoBtn = document.createElement('button');
+        undoBtn.textContent = 'Resume';
+        undoBtn.addEventListener('click', () =>
+          this.handleSetReductionPlanPaused(entry.siteId, false)
+        );
+      }
+      if (undoBtn) {
+        undoBtn.className = 'btn btn-secondary btn-small';
+        const actions = document.createElement('div');
+        actions.className = 'item-actions';
+        actions.appendChild(undoBtn);
+        content.appendChild(actions);
+      }
+      item.appendChild(content);
 
-    // Open limit is optional - allow empty values
-    if (this.elements.openLimitInput.value.trim() === '') {
-      this.elements.openLimitInput.classList.remove('error');
-      return true;
+      this.elements.planLogList.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the allowlist mode preferences, windows and allowed sites
+   */
+  renderAllowlistSettings() {
+    const patterns = this.appSettings.allowlistPatterns || [];
+    const schedule = this.appSettings.allowlistSchedule || [];
+    const state = getAllowlistState(this.appSettings);
+
+    this.elements.allowlistEnabledInput.checked = state.enabled;
+    let status = 'Allowlist mode is off';
+    if (state.enabled) {
+      status = 'Allowlist mode is on';
+    } else if (state.active) {
+      status = `Allowlist mode is on until ${new Date(
+        state.endsAt
+      ).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
     }
+    this.elements.allowlistStatus.textContent = status;
+    this.elements.allowlistStatus.classList.toggle(
+      'allowlist-active',
+      state.active
+    );
 
-    if (isNaN(openLimit) || openLimit <= 0) {
-      this.showFieldError(
-        this.elements.openLimitInput,
-        'Open limit must be a positive number',
-        true
-      );
-      return false;
+    if (this.allowlistEditor) {
+      this.allowlistEditor.updateValue(schedule);
+    } else {
+      this.allowlistEditor = new ScheduleEditor({
+        container: this.elements.allowlistSchedule,
+        schedule,
+        blockOnly: true,
+        onSave: (newSchedule) =>
+          this.handleSaveAllowlistSettings(
+            { allowlistSchedule: newSchedule },
+            'Allowlist windows saved.'
+          ),
+      });
     }
 
-    if (openLimit > 100) {
-      this.showFieldError(
-        this.elements.openLimitInput,
-        'Open limit cannot exceed 100',
-        true
+    this.elements.allowlistCount.textContent = `${patterns.length} ${patterns.length === 1 ? 'site' : 'sites'}`;
+    this.elements.allowlistList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+    this.elements.allowlistEmpty.style.display =
+      patterns.length === 0 ? 'block' : 'none';
+
+    patterns.forEach((pattern) => {
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = pattern;
+
+      const info = document.createElement('div');
+      info.className = 'item-info';
+      info.appendChild(title);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-secondary btn-small';
+      removeBtn.setAttribute('aria-label', `Remove ${pattern}`);
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () =>
+        this.handleRemoveAllowlistPattern(pattern)
       );
-      return false;
-    }
 
-    this.elements.openLimitInput.classList.remove('error');
-    return true;
+      const actions = document.createElement('div');
+      actions.className = 'item-actions';
+      actions.appendChild(removeBtn);
+
+      const content = document.createElement('div');
+      content.className = 'item-content';
+      content.appendChild(info);
+      content.appendChild(actions);
+
+      const item = document.createElement('div');
+      item.className = 'item-card';
+      item.role = 'listitem';
+      item.appendChild(content);
+      this.elements.allowlistList.appendChild(item);
+    });
   }
 
   /**
-   * Validate note text input
+   * Render the strict mode preferences
    */
-  validateNoteText() {
-    const noteText = this.elements.noteTextInput.value.trim();
-    const errorElement =
-      this.elements.noteTextInput.parentElement.querySelector('.error-message');
+  renderStrictSettings() {
+    const delay = this.appSettings.strictModeDelay || 'nextDay';
+    this.elements.strictModeEnabledInput.checked = Boolean(
+      this.appSettings.strictModeEnabled
+    );
+    this.elements.strictModeDelaySelect.value = delay;
+    this.elements.strictCooldownInput.value =
+      this.appSettings.strictModeCooldownHours || '';
+    this.elements.strictCooldownInput.disabled = delay !== 'cooldown';
+  }
 
-    // Remove existing error message
-    if (errorElement) {
-      errorElement.remove();
-    }
+  /**
+   * Format when a held back change takes effect
+   * @param {number} timestamp - Time in ms
+   * @returns {string} E.g. "Mar 18, 2025, 12:00 AM"
+   */
+  formatPendingTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+  }
 
-    if (!noteText) {
-      this.showFieldError(this.elements.noteTextInput, 'Note text is required', true);
-      return false;
+  /**
+   * Format the new value of a field in a held back change
+   * @param {string} field - The site, group or settings field
+   * @param {*} value - Its new value
+   * @returns {string} The display value
+   */
+  formatPendingValue(field, value) {
+    if (typeof value === 'boolean') {
+      return value ? 'on' : 'off';
     }
-
-    if (noteText.length > 1000) {
-      this.showFieldError(
-        this.elements.noteTextInput,
-        'Note text is too long (max 1000 characters)',
-        true
-      );
-      return false;
+    if (field === 'groupId') {
+      const group = this.siteGroups.find((g) => g.id === value);
+      return group ? `"${group.name}"` : 'none';
     }
-
-    this.elements.noteTextInput.classList.remove('error');
-    return true;
+    if (!value || (Array.isArray(value) && value.length === 0)) {
+      return 'none';
+    }
+    if (field === 'schedule' || field === 'allowlistSchedule') {
+      return `${value.length} ${value.length === 1 ? 'window' : 'windows'}`;
+    }
+    if (field === 'enforcement') {
+      return value
+        .map((step) =>
+          step.afterMinutes > 0
+            ? `${step.mode} after ${step.afterMinutes}m`
+            : step.mode
+        )
+        .join(', ');
+    }
+    if (Array.isArray(value)) {
+      return value.join(', ');
+    }
+    if (field === 'overrideCountdownSeconds') {
+      return `${value} s`;
+    }
+    if (field.endsWith('Seconds')) {
+      return this.formatPlanMinutes(value);
+    }
+    if (field.endsWith('Hours')) {
+      return `${value} h`;
+    }
+    if (field.endsWith('Days')) {
+      return `${value} days`;
+    }
+    if (field === 'rolloverPercent') {
+      return `${value}%`;
+    }
+    return String(value);
   }
 
   /**
-   * Show field-specific error message
-   * @param {HTMLElement} inputElement - The input element to show error for
-   * @param {string} message - The error message to display
-   * @param {boolean} forceShow - Whether to always show errors regardless of touched state (for blur validation)
+   * Render the changes strict mode holds back, soonest first
    */
-  showFieldError(inputElement, message, forceShow = false) {
-    // Clear any existing error messages
-    const existingError =
-      inputElement.parentElement.querySelector('.error-message');
-    if (existingError) {
-      existingError.remove();
+  renderPendingChanges() {
+    const count = this.pendingChanges.length;
+    this.elements.pendingChangesCount.textContent = `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+    this.elements.pendingChangesList
+      .querySelectorAll('.item-card')
+      .forEach((item) => item.remove());
+
+    if (count === 0) {
+      this.elements.pendingChangesEmpty.style.display = 'block';
+      return;
     }
+    this.elements.pendingChangesEmpty.style.display = 'none';
+
+    const fieldLabels = {
+      urlPattern: 'URL pattern',
+      isEnabled: 'enabled',
+      dailyLimitSeconds: 'time limit',
+      dailyOpenLimit: 'open limit',
+      openCooldownSeconds: 'time between opens',
+      weeklyLimitSeconds: 'weekly time budget',
+      weeklyOpenLimit: 'weekly open budget',
+      monthlyLimitSeconds: 'monthly time budget',
+      monthlyOpenLimit: 'monthly open budget',
+      rolloverPercent: 'rollover',
+      rolloverCapSeconds: 'rollover cap',
+      rolloverExpiryDays: 'banked time lasts',
+      excludedPatterns: 'exceptions',
+      schedule: 'schedule',
+      groupId: 'group',
+      trackInBackground: 'background counting',
+      mindfulPause: 'mindful pause',
+      enforcement: 'enforcement',
+      strictModeEnabled: 'strict mode',
+      strictModeDelay: 'strict mode delay',
+      strictModeCooldownHours: 'strict mode cooldown',
+      overridesEnabled: 'overrides',
+      overrideMinutes: 'override length',
+      overrideDailyLimit: 'overrides per day',
+      overrideFriction: 'before an override',
+      overrideCountdownSeconds: 'override countdown',
+      allowlistEnabled: 'allowlist mode',
+      allowlistPatterns: 'allowed sites',
+      allowlistSchedule: 'allowlist windows',
+    };
 
-    if (message) {
-      // QA FIX: Always show error styling for blur validation or if field has been touched/form submitted
-      const shouldShowError = forceShow ||
-        inputElement.classList.contains('touched') ||
-        inputElement.closest('form').dataset.submitted;
+    [...this.pendingChanges]
+      .sort((a, b) => a.effectiveAt - b.effectiveAt)
+      .forEach((change) => {
+        const item = document.createElement('div');
+        item.className = 'item-card pending-change-item';
+        item.role = 'listitem';
+
+        const title = document.createElement('div');
+        title.className = 'item-title';
+        title.textContent =
+          change.action === 'delete'
+            ? `Delete "${change.targetName}"`
+            : `${change.targetName}: ${Object.entries(change.updates)
+                .map(
+                  ([field, value]) =>
+                    `${fieldLabels[field] || field} → ${this.formatPendingValue(field, value)}`
+                )
+                .join(', ')}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'item-subtitle';
+        meta.textContent = `Takes effect ${this.formatPendingTime(change.effectiveAt)}`;
+
+        const info = document.createElement('div');
+        info.className = 'item-info';
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary btn-small';
+        cancelBtn.setAttribute('aria-label', 'Cancel change');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () =>
+          this.handleCancelPendingChange(change)
+        );
 
-      if (shouldShowError) {
-        inputElement.classList.add('error');
+        const actions = document.createElement('div');
+        actions.className = 'item-actions';
+        actions.appendChild(cancelBtn);
 
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        errorDiv.style.cssText = `
-                    color: var(--accent-error);
-                    font-size: var(--font-size-xs);
-                    margin-top: var(--spacing-1);
-                `;
+        const content = document.createElement('div');
+        content.className = 'item-content';
+        content.appendChild(info);
+        content.appendChild(actions);
+        item.appendChild(content);
 
-        inputElement.parentElement.appendChild(errorDiv);
-      }
+        this.elements.pendingChangesList.appendChild(item);
+      });
+  }
 
-      // Show toast for the error only if forcing display (blur validation)
-      if (forceShow) {
-        this.showToast(message, 'warning');
-      }
+  /**
+   * Render the PIN form and status
+   */
+  renderPinSettings() {
+    const { enabled, lockedUntil, unlockedUntil } = this.pinStatus;
+    const formatTime = (timestamp) =>
+      new Date(timestamp).toLocaleTimeString([], {
+        hour: 'numeric',
+        minute: '2-digit',
+      });
 
-      // Don't auto-focus on blur validation to avoid disrupting user workflow
-      if (!forceShow) {
-        inputElement.focus();
-      }
+    this.elements.pinCurrentGroup.style.display = enabled ? '' : 'none';
+    this.elements.pinSubmitBtn.textContent = enabled ? 'Change PIN' : 'Set PIN';
+    this.elements.pinRemoveBtn.style.display = enabled ? '' : 'none';
+    this.elements.pinLockBtn.style.display = enabled ? '' : 'none';
+    this.elements.pinLockBtn.disabled = !unlockedUntil;
+
+    const statusElement = this.elements.pinStatus;
+    statusElement.classList.toggle('pin-locked-out', Boolean(lockedUntil));
+    if (!enabled) {
+      statusElement.textContent = 'No PIN set';
+    } else if (lockedUntil) {
+      statusElement.textContent = `Too many wrong PINs. Locked until ${formatTime(lockedUntil)}`;
+    } else if (unlockedUntil) {
+      statusElement.textContent = `Unlocked until ${formatTime(unlockedUntil)}`;
     } else {
-      // Remove error styling
-      inputElement.classList.remove('error');
+      statusElement.textContent = 'PIN set. Loosening a rule asks for it';
     }
   }
 
   /**
-   * Render the entire UI
+   * Render the sync toggles
    */
-  renderUI() {
-    this.renderSites();
-    this.renderNotes();
+  renderSyncSettings() {
+    const syncEnabled = Boolean(this.appSettings.syncEnabled);
+    this.elements.syncEnabledInput.checked = syncEnabled;
+    this.elements.syncUsageInput.checked = Boolean(
+      this.appSettings.syncUsageAcrossDevices
+    );
+    this.elements.syncUsageInput.disabled = !syncEnabled;
+    this.elements.syncNowBtn.disabled = !syncEnabled;
+  }
+
+  /**
+   * Render the sync status line
+   * @param {Object} status - Status from the getSyncStatus action
+   */
+  renderSyncStatus(status) {
+    const statusElement = this.elements.syncStatus;
+    statusElement.classList.toggle(
+      'sync-error',
+      Boolean(status.enabled && status.lastError)
+    );
+
+    if (!status.enabled) {
+      statusElement.textContent = 'Sync is off';
+      return;
+    }
+
+    const usedKb = (status.bytesInUse / 1024).toFixed(1);
+    const quotaKb = Math.round(status.quotaBytes / 1024);
+    const lastSynced = status.lastSyncedAt
+      ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`
+      : 'Not synced yet';
+    statusElement.textContent = status.lastError
+      ? `${status.lastError} (${lastSynced.toLowerCase()})`
+      : `${lastSynced} · ${usedKb} KB of ${quotaKb} KB used`;
   }
 
   /**
@@ -895,6 +3657,16 @@ class SettingsManager {
     // Update counter
     this.elements.sitesCount.textContent = `${this.distractingSites.length} ${this.distractingSites.length === 1 ? 'site' : 'sites'}`;
 
+    // Keep the focus session and reduction plan site lists in step
+    this.renderFocusSites();
+    this.renderPlanSites();
+    this.renderReductionPlans();
+
+    // Clear existing items (also when the list became empty, e.g. after an import)
+    const existingItems =
+      this.elements.sitesList.querySelectorAll('.item-card');
+    existingItems.forEach((item) => item.remove());
+
     // Show/hide empty state
     if (this.distractingSites.length === 0) {
       this.elements.sitesEmpty.style.display = 'block';
@@ -908,11 +3680,6 @@ class SettingsManager {
       this.createSiteItem(site)
     );
 
-    // Clear existing items and add new ones
-    const existingItems =
-      this.elements.sitesList.querySelectorAll('.item-card');
-    existingItems.forEach((item) => item.remove());
-
     siteItems.forEach((item) => this.elements.sitesList.appendChild(item));
   }
 
@@ -923,6 +3690,11 @@ class SettingsManager {
     // Update counter
     this.elements.notesCount.textContent = `${this.timeoutNotes.length} ${this.timeoutNotes.length === 1 ? 'note' : 'notes'}`;
 
+    // Clear existing items (also when the list became empty, e.g. after an import)
+    const existingItems =
+      this.elements.notesList.querySelectorAll('.item-card');
+    existingItems.forEach((item) => item.remove());
+
     // Show/hide empty state
     if (this.timeoutNotes.length === 0) {
       this.elements.notesEmpty.style.display = 'block';
@@ -936,12 +3708,53 @@ class SettingsManager {
       this.createNoteItem(note)
     );
 
-    // Clear existing items and add new ones
+    noteItems.forEach((item) => this.elements.notesList.appendChild(item));
+  }
+
+  /**
+   * Render the groups list and refresh every group picker on the page
+   */
+  renderGroups() {
+    // Update counter
+    this.elements.groupsCount.textContent = `${this.siteGroups.length} ${this.siteGroups.length === 1 ? 'group' : 'groups'}`;
+
+    // Refresh the group picker of the add-site form
+    const select = this.elements.siteGroupSelect;
+    const selectedGroupId = select.value;
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    this.siteGroups.forEach((group) => {
+      const option = document.createElement('option');
+      option.value = group.id;
+      option.textContent = group.name;
+      select.appendChild(option);
+    });
+    select.value = this.siteGroups.some((g) => g.id === selectedGroupId)
+      ? selectedGroupId
+      : '';
+
+    // Refresh the group pickers of existing site forms
+    this.limitForms.forEach((limitForm) =>
+      limitForm.setGroups(this.siteGroups)
+    );
+
+    // Clear existing items
     const existingItems =
-      this.elements.notesList.querySelectorAll('.item-card');
+      this.elements.groupsList.querySelectorAll('.item-card');
     existingItems.forEach((item) => item.remove());
 
-    noteItems.forEach((item) => this.elements.notesList.appendChild(item));
+    // Show/hide empty state
+    if (this.siteGroups.length === 0) {
+      this.elements.groupsEmpty.style.display = 'block';
+      return;
+    } else {
+      this.elements.groupsEmpty.style.display = 'none';
+    }
+
+    this.siteGroups
+      .map((group) => this.createGroupItem(group))
+      .forEach((item) => this.elements.groupsList.appendChild(item));
   }
 
   /**
@@ -956,6 +3769,7 @@ class SettingsManager {
     const limitForm = new LimitForm({
       container: item,
       siteData: site,
+      groups: this.siteGroups,
       onUpdate: async (siteId, updates) => {
         await this.handleEditSite(siteId, updates);
       },
@@ -1086,6 +3900,63 @@ class SettingsManager {
     return item;
   }
 
+  /**
+   * Create a group item DOM element
+   */
+  createGroupItem(group) {
+    const item = document.createElement('div');
+    item.className = 'item-card';
+    item.role = 'listitem';
+
+    const content = document.createElement('div');
+    content.className = 'item-content';
+
+    const info = document.createElement('div');
+    info.className = 'item-info';
+
+    const title = document.createElement('div');
+    title.className = 'item-title';
+    title.textContent = group.name;
+
+    const budget = [];
+    if (group.dailyLimitSeconds > 0) {
+      budget.push(`${Math.round(group.dailyLimitSeconds / 60)} min`);
+    }
+    if (group.dailyOpenLimit > 0) {
+      budget.push(`${group.dailyOpenLimit} opens`);
+    }
+    const members = this.distractingSites.filter(
+      (site) => site.groupId === group.id
+    );
+
+    const meta = document.createElement('div');
+    meta.className = 'item-subtitle';
+    meta.textContent = `${budget.join(' / ')} per day shared by ${
+      members.length > 0
+        ? members.map((site) => site.urlPattern).join(', ')
+        : 'no sites yet'
+    }`;
+
+    const actions = document.createElement('div');
+    actions.className = 'item-actions';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger btn-small delete-group-btn';
+    deleteBtn.setAttribute('aria-label', 'Delete group');
+    deleteBtn.textContent = 'Delete';
+
+    info.appendChild(title);
+    info.appendChild(meta);
+    actions.appendChild(deleteBtn);
+    content.appendChild(info);
+    content.appendChild(actions);
+    item.appendChild(content);
+
+    deleteBtn.addEventListener('click', () => this.handleDeleteGroup(group.id));
+
+    return item;
+  }
+
   /**
    * Prompt user to edit a note
    */
@@ -1346,6 +4217,57 @@ class SettingsManager {
       this.showLoading(false);
     }
   }
+
+  /**
+   * Handle deleting a site group. Member sites stay, but leave the group.
+   */
+  async handleDeleteGroup(groupId) {
+    const group = this.siteGroups.find((g) => g.id === groupId);
+    if (
+      !group ||
+      !confirm(
+        `Delete the group "${group.name}"? Its sites keep their own limits.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+
+      const response = await this.sendProtectedMessage({
+        action: 'deleteSiteGroup',
+        payload: { id: groupId },
+      });
+
+      if (response && response.success && response.pendingChange) {
+        this.notePendingChange(response.pendingChange);
+      } else if (response && response.success) {
+        this.siteGroups = this.siteGroups.filter((g) => g.id !== groupId);
+
+        // Mirror the ungrouping done by the background
+        this.distractingSites.forEach((site) => {
+          if (site.groupId === groupId) {
+            delete site.groupId;
+            const limitForm = this.limitForms.get(site.id);
+            if (limitForm) {
+              limitForm.updateSiteData(site);
+            }
+          }
+        });
+
+        this.renderGroups();
+        this.showToast(`Removed group "${group.name}".`, 'success');
+      } else {
+        throw new Error(response?.error?.message || 'Failed to delete group');
+      }
+    } catch (error) {
+      console.error('[Settings] Error deleting group:', error);
+      this.showToast(`Failed to delete group: ${error.message}`, 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
 }
 
 // Initialize the settings manager when the DOM is loaded
@@ -0,0 +1,296 @@
+/**
+ * @file stats.js
+ * @description JavaScript for the usage statistics page.
+ * Requests per-site statistics from the background script and renders, for each
+ * distracting site, the last 7 days compared with the 7 days before, the streak of
+ * days under the limit, an 8-week trend chart and a daily breakdown.
+ */
+
+// Ensure browser API is available (compatibility check)
+if (typeof browser === 'undefined' && typeof chrome !== 'undefined') {
+  window.browser = chrome;
+}
+
+const elements = {
+  message: document.getElementById('stats-message'),
+  list: document.getElementById('stats-list'),
+};
+
+/**
+ * Formats a number of seconds as a short duration, e.g. "1h 5m" or "45m".
+ * @private
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) {
+    return `${minutes}m`;
+  }
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+/**
+ * Formats a "YYYY-MM-DD" key for display, e.g. "Mon, Mar 4".
+ * @private
+ * @param {string} dateKey - The date key.
+ * @param {Object} [options] - Intl.DateTimeFormat options.
+ * @returns {string} The formatted date.
+ */
+function formatDateKey(
+  dateKey,
+  options = { weekday: 'short', month: 'short', day: 'numeric' }
+) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+}
+
+/**
+ * Creates an element with a class name and optional text content.
+ * @private
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Creates one summary tile (label, large value, detail line).
+ * @private
+ */
+function createTile(label, value, detail, detailClass) {
+  const tile = createElement('div', 'stats-tile');
+  tile.appendChild(createElement('div', 'stats-tile-label', label));
+  tile.appendChild(createElement('div', 'stats-tile-value', value));
+  if (detail) {
+    tile.appendChild(
+      createElement(
+        'div',
+        `stats-tile-detail${detailClass ? ' ' + detailClass : ''}`,
+        detail
+      )
+    );
+  }
+  return tile;
+}
+
+/**
+ * Builds the summary tiles for a site: week comparison, opens and streak.
+ * @private
+ */
+function createSummary(siteStats) {
+  const { current, previous, timeChangePercent } = siteStats.comparison;
+  const summary = createElement('div', 'stats-summary');
+
+  let changeText = 'No data for the previous 7 days';
+  let changeClass = '';
+  if (timeChangePercent !== null) {
+    const direction = timeChangePercent > 0 ? 'more' : 'less';
+    changeText =
+      timeChangePercent === 0
+        ? 'Same as the previous 7 days'
+        : `${Math.abs(timeChangePercent)}% ${direction} than the previous 7 days (${formatDuration(previous.timeSpentSeconds)})`;
+    if (timeChangePercent !== 0) {
+      changeClass =
+        timeChangePercent > 0 ? 'stats-change-up' : 'stats-change-down';
+    }
+  }
+  summary.appendChild(
+    createTile(
+      'Time, last 7 days',
+      formatDuration(current.timeSpentSeconds),
+      changeText,
+      changeClass
+    )
+  );
+
+  summary.appendChild(
+    createTile(
+      'Opens, last 7 days',
+      String(current.opens),
+      `${previous.opens} in the previous 7 days`
+    )
+  );
+
+  if (siteStats.streak !== null) {
+    summary.appendChild(
+      createTile(
+        'Days under the limit',
+        String(siteStats.streak),
+        siteStats.streak === 1 ? 'day in a row' : 'days in a row'
+      )
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Builds the weekly trend bar chart.
+ * @private
+ */
+function createWeeklyTrend(weeks) {
+  const container = createElement('div', 'stats-weekly');
+  container.appendChild(createElement('h3', 'stats-subtitle', 'Weekly trend'));
+
+  const maxSeconds = Math.max(...weeks.map((week) => week.timeSpentSeconds));
+  const bars = createElement('div', 'stats-bars');
+  bars.setAttribute('role', 'img');
+  bars.setAttribute(
+    'aria-label',
+    weeks
+      .map(
+        (week) =>
+          `Week of ${formatDateKey(week.weekStart)}: ${formatDuration(week.timeSpentSeconds)}`
+      )
+      .join(', ')
+  );
+
+  weeks.forEach((week) => {
+    const bar = createElement('div', 'stats-bar');
+    bar.title = `Week of ${formatDateKey(week.weekStart)}: ${formatDuration(week.timeSpentSeconds)}, ${week.opens} opens`;
+
+    const fill = createElement('div', 'stats-bar-fill');
+    const percent =
+      maxSeconds > 0 ? (week.timeSpentSeconds / maxSeconds) * 100 : 0;
+    fill.style.height = `${percent}%`;
+
+    bar.appendChild(fill);
+    bar.appendChild(
+      createElement(
+        'div',
+        'stats-bar-label',
+        formatDateKey(week.weekStart, { month: 'short', day: 'numeric' })
+      )
+    );
+    bars.appendChild(bar);
+  });
+
+  container.appendChild(bars);
+  return container;
+}
+
+/**
+ * Builds the daily breakdown table, newest day first. Days on which a limit was
+ * reached are highlighted.
+ * @private
+ */
+function createDailyTable(siteStats) {
+  const container = createElement('div', 'stats-daily');
+  container.appendChild(createElement('h3', 'stats-subtitle', 'Daily usage'));
+
+  const table = createElement('table', 'stats-table');
+  const headRow = table.createTHead().insertRow();
+  ['Day', 'Time', 'Opens'].forEach((heading) => {
+    headRow.appendChild(createElement('th', null, heading));
+  });
+
+  const body = table.createTBody();
+  [...siteStats.days].reverse().forEach((day) => {
+    const row = body.insertRow();
+    const overLimit =
+      (siteStats.dailyLimitSeconds > 0 &&
+        day.timeSpentSeconds >= siteStats.dailyLimitSeconds) ||
+      (siteStats.dailyOpenLimit > 0 && day.opens >= siteStats.dailyOpenLimit);
+    if (overLimit) {
+      row.className = 'over-limit';
+    }
+    row.appendChild(createElement('td', null, formatDateKey(day.date)));
+    row.appendChild(
+      createElement('td', null, formatDuration(day.timeSpentSeconds))
+    );
+    row.appendChild(createElement('td', null, String(day.opens)));
+  });
+
+  container.appendChild(table);
+  return container;
+}
+
+/**
+ * Builds the card for one site.
+ * @private
+ */
+function createSiteCard(siteStats) {
+  const card = createElement('section', 'settings-section stats-card');
+
+  const header = createElement('div', 'section-header');
+  header.appendChild(
+    createElement('h2', 'section-title', siteStats.urlPattern)
+  );
+
+  const limits = [];
+  if (siteStats.dailyLimitSeconds > 0) {
+    limits.push(`${formatDuration(siteStats.dailyLimitSeconds)} per day`);
+  }
+  if (siteStats.dailyOpenLimit > 0) {
+    limits.push(`${siteStats.dailyOpenLimit} opens per day`);
+  }
+  header.appendChild(
+    createElement(
+      'p',
+      'section-description',
+      limits.length > 0 ? `Limit: ${limits.join(', ')}` : 'No daily limit'
+    )
+  );
+  card.appendChild(header);
+
+  const body = createElement('div', 'stats-card-body');
+  body.appendChild(createSummary(siteStats));
+  body.appendChild(createWeeklyTrend(siteStats.weeks));
+  body.appendChild(createDailyTable(siteStats));
+  card.appendChild(body);
+
+  return card;
+}
+
+/**
+ * Shows a status message in place of the statistics.
+ * @private
+ */
+function showMessage(text) {
+  elements.message.textContent = text;
+  elements.message.classList.remove('hidden');
+}
+
+/**
+ * Loads the statistics from the background script and renders them.
+ * @private
+ */
+async function loadStatistics() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getUsageStatistics',
+    });
+
+    if (!response || !response.success) {
+      showMessage(
+        response?.error?.message || 'Failed to load usage statistics.'
+      );
+      return;
+    }
+
+    const { sites } = response.data;
+    if (sites.length === 0) {
+      showMessage(
+        'No distracting sites yet. Add some in the settings to start collecting statistics.'
+      );
+      return;
+    }
+
+    elements.message.classList.add('hidden');
+    elements.list.replaceChildren(...sites.map(createSiteCard));
+  } catch (error) {
+    console.error('[Stats] Error loading statistics:', error);
+    showMessage('Failed to load usage statistics.');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadStatistics);
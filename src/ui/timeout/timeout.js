@@ -7,6 +7,8 @@
  * - Parses URL parameters to get blocked site information
  * - Communicates with background scripts to fetch timeout notes
  * - Displays the blocked site URL and motivational alternatives
+ * - Offers an optional override ("5 more minutes") behind some friction, if enabled
+ * - Counts down to the end of a cooldown between opens, keeping the badge in step
  * - Provides a calm, encouraging user experience
  * - Optimized for performance and memory management
  */
@@ -46,6 +48,8 @@ let _pageState = {
   lastShuffleTime: 0, // Debounce shuffle requests
   animationInProgress: false,
   cleanupInterval: null,
+  overrideChallengeId: null, // Challenge to complete before an override
+  overrideInProgress: false,
 };
 
 /**
@@ -80,19 +84,99 @@ const ERROR_HANDLERS = {
  *
  * @returns {Object} Object containing parsed URL parameters
  * @returns {string} returns.blockedUrl - The original URL that was blocked
+ * @returns {string} returns.blockedTitle - The page title at the time, for title rules (optional)
  * @returns {string} returns.siteId - The site ID from the distracting sites list
  * @returns {string} returns.reason - The reason for blocking (optional)
+ * @returns {string} returns.limitType - The kind of limit that blocked the site (optional)
+ * @returns {number|null} returns.availableAt - When the site opens again, in ms (optional)
  */
 function getUrlParameters() {
   const params = new URLSearchParams(window.location.search);
+  const availableAt = parseInt(params.get('availableAt'), 10);
 
   return {
     blockedUrl: params.get('blockedUrl') || '',
+    blockedTitle: params.get('blockedTitle') || '',
     siteId: params.get('siteId') || '',
     reason: params.get('reason') || CONFIG.DEFAULT_REASON,
+    limitType: params.get('limitType') || '',
+    availableAt: isNaN(availableAt) ? null : availableAt,
   };
 }
 
+/**
+ * Describes when a blocked site becomes available again, relative to today.
+ *
+ * @param {number} timestamp - The time the site opens again, in ms
+ * @returns {string} E.g. "today at 17:00", "tomorrow at 00:00" or "on Monday at 09:00"
+ */
+function formatAvailableAt(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  const today = new Date();
+  const tomorrow = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate() + 1
+  );
+
+  if (date.toDateString() === today.toDateString()) {
+    return `today at ${time}`;
+  }
+  if (date.toDateString() === tomorrow.toDateString()) {
+    return `tomorrow at ${time}`;
+  }
+  return `on ${date.toLocaleDateString([], { weekday: 'long' })} at ${time}`;
+}
+
+/**
+ * Formats the time left in a cooldown as a clock, e.g. "44:05" or "1:02:09".
+ *
+ * @param {number} seconds - The time left
+ * @returns {string} The formatted time
+ */
+function formatCountdown(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Counts down to the end of a cooldown between opens. The badge shows the minutes left,
+ * so it is refreshed at the start and whenever they change.
+ *
+ * @param {HTMLElement} element - The element showing the countdown
+ * @param {number} availableAt - When the site can be opened again, in ms
+ * @param {number|null} [shownMinutes=null] - The minutes left at the previous tick
+ */
+function runCooldownCountdown(element, availableAt, shownMinutes = null) {
+  const secondsLeft = Math.ceil((availableAt - Date.now()) / 1000);
+  const minutesLeft = Math.max(0, Math.ceil(secondsLeft / 60));
+  if (minutesLeft !== shownMinutes) {
+    browser.runtime.sendMessage({ action: 'refreshBadge' }).catch((error) => {
+      console.warn('[Timeout] Could not refresh the badge:', error);
+    });
+  }
+
+  if (secondsLeft <= 0) {
+    element.textContent = 'You can open this site again now.';
+    return;
+  }
+
+  element.textContent = `You can open this site again in ${formatCountdown(secondsLeft)}.`;
+  _createManagedTimer(
+    () => runCooldownCountdown(element, availableAt, minutesLeft),
+    Math.min(1000, availableAt - Date.now())
+  );
+}
+
 /**
  * Safely parses a URL and extracts the hostname.
  *
@@ -124,6 +208,8 @@ function extractHostname(urlString) {
  * @param {Object} params - The URL parameters containing site information
  * @param {string} params.blockedUrl - The blocked URL
  * @param {string} params.reason - The reason for blocking
+ * @param {string} [params.limitType] - The kind of limit that blocked the site
+ * @param {number|null} [params.availableAt] - When the site opens again, in ms
  */
 function displayBlockedInfo(params) {
   const blockedUrlElement = document.getElementById('blocked-url');
@@ -139,8 +225,38 @@ function displayBlockedInfo(params) {
     blockedUrlElement.textContent = `Site blocked: ${hostname}`;
     blockReasonElement.textContent = params.reason;
 
+    // Focus, schedule, group, period, cooldown and allowlist blocks get their own heading; daily limits keep the default
+    const blockTitle = {
+      focus: 'Focus Session',
+      cooldown: 'Too Soon to Open Again',
+      allowlist: 'Allowlist Mode',
+      schedule: 'Blocked by Schedule',
+      group: 'Group Budget Used Up',
+      weekly: 'Weekly Budget Used Up',
+      monthly: 'Monthly Budget Used Up',
+    }[params.limitType];
+    const titleElement = document.getElementById('timeout-title');
+    if (titleElement && blockTitle) {
+      titleElement.textContent = blockTitle;
+    }
+
+    // Tell the user when the site opens again, if the background knows
+    const resetMessageElement = document.getElementById('reset-message');
+    if (
+      resetMessageElement &&
+      params.availableAt &&
+      params.limitType === 'cooldown'
+    ) {
+      runCooldownCountdown(resetMessageElement, params.availableAt);
+    } else if (resetMessageElement && params.availableAt) {
+      resetMessageElement.textContent = `This site opens again ${formatAvailableAt(params.availableAt)}.`;
+    } else if (resetMessageElement && params.limitType === 'allowlist') {
+      resetMessageElement.textContent =
+        'This site opens again when allowlist mode is switched off.';
+    }
+
     // Update page title with the blocked site
-    document.title = `Site Blocked: ${hostname} - Time Limit Reached`;
+    document.title = `Site Blocked: ${hostname} - ${blockTitle || 'Time Limit Reached'}`;
   } catch (error) {
     console.error('[Timeout] Error displaying blocked info:', error);
     blockedUrlElement.textContent = 'Site blocked: Unable to display URL';
@@ -417,6 +533,9 @@ async function initializeTimeoutPage() {
     // Display blocked site info (basic functionality, should work even if API fails)
     displayBlockedInfo(params);
 
+    // Offer an override if they are enabled (loads alongside the activities)
+    loadOverrideOptions(params);
+
     // Show loading state for activities
     showLoadingState();
 
@@ -473,6 +592,174 @@ async function initializeTimeoutPage() {
   }
 }
 
+/**
+ * Describes what an override grants, e.g. "5 more minutes" or "one more visit".
+ *
+ * @param {Object} options - Override options from the background script
+ * @returns {string} The description
+ */
+function describeOverrideGrant(options) {
+  const parts = [];
+  if (options.extraSeconds > 0) {
+    const minutes = Math.round(options.extraSeconds / 60);
+    parts.push(`${minutes} more ${minutes === 1 ? 'minute' : 'minutes'}`);
+  }
+  if (options.extraOpens > 0) {
+    parts.push('one more visit');
+  }
+  return parts.join(' and ');
+}
+
+/**
+ * Counts down until an override challenge may be answered, then enables the button.
+ *
+ * @param {HTMLButtonElement} button - The override button
+ * @param {string} label - The button label once the countdown is over
+ * @param {number} readyAt - When the countdown ends, in ms
+ */
+function runOverrideCountdown(button, label, readyAt) {
+  const secondsLeft = Math.ceil((readyAt - Date.now()) / 1000);
+  if (secondsLeft <= 0) {
+    button.disabled = false;
+    button.textContent = label;
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = `Wait ${secondsLeft}s to continue`;
+  _createManagedTimer(
+    () => runOverrideCountdown(button, label, readyAt),
+    Math.min(1000, readyAt - Date.now())
+  );
+}
+
+/**
+ * Shows the override offer, or why no override is possible.
+ *
+ * @param {Object} options - Override options from the background script
+ */
+function displayOverrideOptions(options) {
+  const section = document.getElementById('override-section');
+  const summary = document.getElementById('override-summary');
+  const challengeElement = document.getElementById('override-challenge');
+  const prompt = document.getElementById('override-prompt');
+  const answerInput = document.getElementById('override-answer');
+  const button = document.getElementById('override-btn');
+
+  if (!section || !summary || !challengeElement || !button) {
+    console.error('[Timeout] Override elements not found');
+    return;
+  }
+
+  // Overrides turned off: keep the section hidden
+  if (!options.available && !options.message) {
+    section.hidden = true;
+    return;
+  }
+
+  section.hidden = false;
+  if (!options.available) {
+    summary.textContent = options.message;
+    challengeElement.hidden = true;
+    button.hidden = true;
+    return;
+  }
+
+  const grant = describeOverrideGrant(options);
+  summary.textContent = `You can borrow ${grant} (${options.remaining} ${options.remaining === 1 ? 'override' : 'overrides'} left for this site today). Overrides are recorded in your override log.`;
+
+  const { challenge } = options;
+  _pageState.overrideChallengeId = challenge.id;
+
+  challengeElement.hidden = !challenge.prompt;
+  if (challenge.type === 'sentence') {
+    prompt.textContent = `Type this sentence to continue: "${challenge.prompt}"`;
+  } else if (challenge.type === 'arithmetic') {
+    prompt.textContent = `Solve this to continue: ${challenge.prompt} =`;
+  }
+  answerInput.value = '';
+  answerInput.inputMode = challenge.type === 'arithmetic' ? 'numeric' : 'text';
+
+  const label = `Borrow ${grant}`;
+  button.hidden = false;
+  runOverrideCountdown(button, label, challenge.readyAt);
+}
+
+/**
+ * Asks the background script which override, if any, can be offered for the blocked site.
+ *
+ * @param {Object} params - The URL parameters of the page
+ */
+async function loadOverrideOptions(params) {
+  if (!params.blockedUrl) {
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getOverrideOptions',
+      payload: {
+        blockedUrl: params.blockedUrl,
+        blockedTitle: params.blockedTitle,
+      },
+    });
+
+    if (response && response.success) {
+      displayOverrideOptions(response.data);
+    } else {
+      console.warn('[Timeout] Failed to load override options:', response);
+    }
+  } catch (error) {
+    console.error('[Timeout] Error loading override options:', error);
+  }
+}
+
+/**
+ * Sends the completed challenge and, once the override is granted, returns to the site.
+ */
+async function submitOverride() {
+  if (_pageState.overrideInProgress || !_pageState.overrideChallengeId) {
+    return;
+  }
+
+  const params = getUrlParameters();
+  const button = document.getElementById('override-btn');
+  const answerInput = document.getElementById('override-answer');
+  const errorElement = document.getElementById('override-error');
+
+  try {
+    _pageState.overrideInProgress = true;
+    button.disabled = true;
+    errorElement.textContent = '';
+
+    const response = await browser.runtime.sendMessage({
+      action: 'requestOverride',
+      payload: {
+        blockedUrl: params.blockedUrl,
+        blockedTitle: params.blockedTitle,
+        challengeId: _pageState.overrideChallengeId,
+        answer: answerInput.value,
+      },
+    });
+
+    if (response && response.success) {
+      console.log('[Timeout] Override granted:', response.data);
+      window.location.replace(params.blockedUrl);
+      return;
+    }
+
+    errorElement.textContent =
+      response?.error?.message || 'The override could not be granted.';
+  } catch (error) {
+    console.error('[Timeout] Error requesting override:', error);
+    errorElement.textContent =
+      'The override could not be granted. Please try again.';
+  } finally {
+    _pageState.overrideInProgress = false;
+    button.disabled = false;
+  }
+}
+
 /**
  * Handles visibility change events to potentially retry failed operations.
  * Enhanced to retry fetching activities when page becomes visible again.
@@ -653,6 +940,23 @@ function setupEventListeners() {
     );
   }
 
+  // Override button, and Enter in the challenge input
+  const overrideButton = document.getElementById('override-btn');
+  const overrideAnswer = document.getElementById('override-answer');
+  if (overrideButton && overrideAnswer) {
+    _addManagedEventListener(overrideButton, 'click', () => submitOverride());
+    _addManagedEventListener(overrideAnswer, 'keydown', (event) => {
+      if (event.key === 'Enter' && !overrideButton.disabled) {
+        event.preventDefault();
+        submitOverride();
+      }
+    });
+    // The sentence has to be typed, not pasted
+    _addManagedEventListener(overrideAnswer, 'paste', (event) =>
+      event.preventDefault()
+    );
+  }
+
   // Handle page visibility changes with cleanup
   const visibilityHandler = () => handleVisibilityChange();
   _addManagedEventListener(document, 'visibilitychange', visibilityHandler);